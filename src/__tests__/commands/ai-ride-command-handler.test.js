@@ -39,6 +39,7 @@ describe.each(['en', 'ru'])('AiRideCommandHandler (%s)', (language) => {
       getRide: jest.fn(),
       createRideFromParams: jest.fn(),
       updateRideFromParams: jest.fn(),
+      getInputUnits: jest.fn().mockResolvedValue('metric'),
       resolveCreateOrganizer: jest.fn((organizer, profile) => {
         if (organizer === 'Bob') return organizer;
         return `${profile.firstName} ${profile.lastName} (@${profile.username})`;
@@ -0,0 +1,174 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { AnnounceCommandHandler } from '../../commands/AnnounceCommandHandler.js';
+import { AnnouncementService, ANNOUNCEMENT_JOB_TYPE } from '../../services/AnnouncementService.js';
+import { JobSchedulerService } from '../../services/JobSchedulerService.js';
+import { MemoryStorage } from '../../storage/memory.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('AnnounceCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockRideMessagesService;
+  let storage;
+  let announcementService;
+  let mockCtx;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+  const ride = {
+    id: 'abc123',
+    title: 'Sunday <Loop>',
+    createdBy: 123,
+    participation: {
+      joined: [{ userId: 123 }, { userId: 201 }],
+      thinking: [{ userId: 202 }],
+      skipped: []
+    }
+  };
+
+  beforeEach(() => {
+    mockRideService = {
+      getRide: jest.fn().mockResolvedValue(ride),
+      isClubLeader: jest.fn().mockResolvedValue(false)
+    };
+    mockRideMessagesService = {
+      extractRideId: jest.fn().mockReturnValue({ rideId: 'abc123', error: null })
+    };
+    storage = new MemoryStorage();
+    announcementService = new AnnouncementService(new JobSchedulerService(storage));
+    jest.spyOn(announcementService, 'scheduleAnnouncement');
+
+    mockCtx = {
+      lang: language,
+      from: { id: 123, first_name: 'Olga' },
+      api: { sendMessage: jest.fn() },
+      message: { message_id: 55, text: '/announce #abc123\nBring lights\nand a jacket' },
+      match: ['announce:joined:abc123', 'joined', 'abc123'],
+      callbackQuery: {
+        message: { chat: { id: 123 }, message_id: 56, reply_to_message: { text: '/announce #abc123\nBring lights' } }
+      },
+      reply: jest.fn().mockResolvedValue({}),
+      editMessageText: jest.fn().mockResolvedValue({}),
+      answerCallbackQuery: jest.fn().mockResolvedValue({})
+    };
+
+    handler = new AnnounceCommandHandler(mockRideService, {}, mockRideMessagesService, announcementService);
+  });
+
+  describe('handle', () => {
+    it('should preview the announcement with recipient counts per target', async () => {
+      await handler.handle(mockCtx);
+
+      const [message, options] = mockCtx.reply.mock.calls[0];
+      expect(message).toBe(tr('commands.announce.preview', {
+        title: 'Sunday &lt;Loop&gt;',
+        text: 'Bring lights\nand a jacket'
+      }));
+      expect(options.reply_parameters).toEqual({ message_id: 55 });
+      expect(options.reply_markup.inline_keyboard).toEqual([
+        [
+          expect.objectContaining({ text: `${tr('commands.announce.targets.joined')} (1)`, callback_data: 'announce:joined:abc123' }),
+          expect.objectContaining({ text: `${tr('commands.announce.targets.thinking')} (1)`, callback_data: 'announce:thinking:abc123' }),
+          expect.objectContaining({ text: `${tr('commands.announce.targets.all')} (2)`, callback_data: 'announce:all:abc123' })
+        ],
+        [expect.objectContaining({ callback_data: 'announce:cancel:abc123' })]
+      ]);
+    });
+
+    it('should explain the usage without a message', async () => {
+      mockCtx.message.text = '/announce #abc123';
+
+      await handler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.announce.usage', { id: 'abc123' }), { parse_mode: 'HTML' });
+    });
+
+    it('should only let ride managers announce', async () => {
+      mockCtx.from.id = 999;
+
+      await handler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.common.onlyManagerAction'));
+    });
+  });
+
+  describe('handleCallback', () => {
+    it('should schedule the announcement to the chosen target and confirm right away', async () => {
+      await handler.handleCallback(mockCtx);
+
+      expect(announcementService.scheduleAnnouncement).toHaveBeenCalledWith(ride, {
+        text: 'Bring lights',
+        target: 'joined',
+        sender: expect.objectContaining({ userId: 123 }),
+        report: { chatId: 123, messageId: 56, language }
+      });
+      expect(mockCtx.editMessageText).toHaveBeenCalledTimes(1);
+      expect(mockCtx.editMessageText).toHaveBeenCalledWith(tr('commands.announce.sending'));
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalled();
+      expect(mockCtx.api.sendMessage).not.toHaveBeenCalled();
+      expect(Array.from(storage.jobs.values())).toEqual([
+        expect.objectContaining({ type: ANNOUNCEMENT_JOB_TYPE, status: 'pending' })
+      ]);
+    });
+
+    it('should report when nobody is in the chosen state', async () => {
+      mockCtx.match = ['announce:thinking:abc123', 'thinking', 'abc123'];
+      mockRideService.getRide.mockResolvedValue({ ...ride, participation: { joined: [{ userId: 123 }] } });
+
+      await handler.handleCallback(mockCtx);
+
+      expect(mockCtx.editMessageText).toHaveBeenCalledWith(tr('commands.announce.noRecipients'));
+      expect(announcementService.scheduleAnnouncement).not.toHaveBeenCalled();
+    });
+
+    it('should report when the announcement cannot be scheduled', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      announcementService.scheduleAnnouncement.mockRejectedValue(new Error('db down'));
+
+      await handler.handleCallback(mockCtx);
+
+      expect(mockCtx.editMessageText).toHaveBeenLastCalledWith(tr('commands.announce.error'));
+      console.error.mockRestore();
+    });
+
+    it('should cancel the announcement', async () => {
+      mockCtx.match = ['announce:cancel:abc123', 'cancel', 'abc123'];
+
+      await handler.handleCallback(mockCtx);
+
+      expect(mockCtx.editMessageText).toHaveBeenCalledWith(tr('commands.announce.cancelled'));
+      expect(announcementService.scheduleAnnouncement).not.toHaveBeenCalled();
+    });
+
+    it('should not send when the command message is gone', async () => {
+      mockCtx.callbackQuery.message = {};
+
+      await handler.handleCallback(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.announce.expired'));
+      expect(announcementService.scheduleAnnouncement).not.toHaveBeenCalled();
+    });
+
+    it('should only let ride managers send', async () => {
+      mockCtx.from.id = 999;
+
+      await handler.handleCallback(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.common.onlyManagerAction'));
+      expect(announcementService.scheduleAnnouncement).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleOwnerCallback', () => {
+    it('should explain how to announce', async () => {
+      mockCtx.match = ['rideowner:announce:abc123', 'abc123'];
+
+      await handler.handleOwnerCallback(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith();
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.announce.usage', { id: 'abc123' }), { parse_mode: 'HTML' });
+    });
+  });
+});
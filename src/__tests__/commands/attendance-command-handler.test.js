@@ -0,0 +1,168 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { AttendanceCommandHandler } from '../../commands/AttendanceCommandHandler.js';
+import { t } from '../../i18n/index.js';
+import { config } from '../../config.js';
+
+describe.each(['en', 'ru'])('AttendanceCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockRideMessagesService;
+  let mockCtx;
+  let ride;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+
+  const sentKeyboard = (call) => call[1].reply_markup.inline_keyboard;
+
+  beforeEach(() => {
+    ride = {
+      id: 'abc123',
+      title: 'Sunday <Loop>',
+      date: new Date(Date.now() - 10 * 60 * 1000),
+      createdBy: 123,
+      participation: {
+        joined: [
+          { userId: 201, username: 'alice', firstName: 'Alice' },
+          { userId: 202, firstName: 'Bob', lastName: 'Brown' }
+        ],
+        thinking: [],
+        skipped: []
+      },
+      attendance: [{ userId: 201, status: 'attended', markedBy: 201, markedAt: new Date() }]
+    };
+
+    mockRideService = {
+      getRide: jest.fn().mockImplementation(async () => ride),
+      isClubLeader: jest.fn().mockResolvedValue(false),
+      markAttendance: jest.fn().mockImplementation(async () => ({
+        success: true,
+        ride: { ...ride, attendance: [...ride.attendance, { userId: 202, status: 'noShow' }] },
+        status: 'noShow'
+      })),
+      checkIn: jest.fn().mockResolvedValue({ success: true, ride })
+    };
+    mockRideMessagesService = {
+      extractRideId: jest.fn().mockReturnValue({ rideId: 'abc123', error: null })
+    };
+
+    mockCtx = {
+      lang: language,
+      from: { id: 123 },
+      message: { text: '/attendance #abc123' },
+      match: ['rideowner:attendance:abc123', 'abc123'],
+      reply: jest.fn().mockResolvedValue({}),
+      editMessageText: jest.fn().mockResolvedValue({}),
+      answerCallbackQuery: jest.fn().mockResolvedValue({})
+    };
+
+    handler = new AttendanceCommandHandler(mockRideService, {}, mockRideMessagesService);
+  });
+
+  describe('handle', () => {
+    it('should show the roster of joined riders with their marks', async () => {
+      await handler.handle(mockCtx);
+
+      const [text, options] = mockCtx.reply.mock.calls[0];
+      expect(text).toContain(tr('commands.attendance.title'));
+      expect(text).toContain('Sunday &lt;Loop&gt; (#abc123)');
+      expect(text).toContain(tr('commands.attendance.summary', { attended: 1, noShow: 0, unmarked: 1 }));
+      expect(options.parse_mode).toBe('HTML');
+      expect(sentKeyboard(mockCtx.reply.mock.calls[0]).slice(0, 2)).toEqual([
+        [
+          { text: '✅ Alice', callback_data: 'attendance:abc123:201:attended' },
+          { text: tr('commands.attendance.noShowButton'), callback_data: 'attendance:abc123:201:noShow' }
+        ],
+        [
+          { text: '▫️ Bob Brown', callback_data: 'attendance:abc123:202:attended' },
+          { text: tr('commands.attendance.noShowButton'), callback_data: 'attendance:abc123:202:noShow' }
+        ]
+      ]);
+    });
+
+    it('should tell when attendance cannot be marked yet', async () => {
+      ride.date = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      await handler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.attendance.notStarted', {
+        minutes: config.attendance.checkInOpensMinutesBefore
+      }));
+    });
+
+    it('should only let ride managers mark attendance', async () => {
+      mockCtx.from.id = 999;
+
+      await handler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.common.onlyManagerAction'));
+    });
+  });
+
+  describe('handleOwnerCallback', () => {
+    it('should send the roster as a new message', async () => {
+      await handler.handleOwnerCallback(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith();
+      expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining(tr('commands.attendance.title')), expect.any(Object));
+    });
+  });
+
+  describe('handleMarkCallback', () => {
+    beforeEach(() => {
+      mockCtx.match = ['attendance:abc123:202:noShow', 'abc123', '202', 'noShow'];
+    });
+
+    it('should mark the rider and refresh the roster', async () => {
+      await handler.handleMarkCallback(mockCtx);
+
+      expect(mockRideService.markAttendance).toHaveBeenCalledWith(ride, 202, 'noShow', 123);
+      const [text] = mockCtx.editMessageText.mock.calls[0];
+      expect(text).toContain(tr('commands.attendance.summary', { attended: 1, noShow: 1, unmarked: 0 }));
+      expect(sentKeyboard(mockCtx.editMessageText.mock.calls[0])[1][0].text).toBe('🚫 Bob Brown');
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith();
+    });
+
+    it('should explain why a rider cannot be marked', async () => {
+      mockRideService.markAttendance.mockResolvedValue({ success: false, reason: 'notJoined' });
+
+      await handler.handleMarkCallback(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.attendance.notJoined'));
+      expect(mockCtx.editMessageText).not.toHaveBeenCalled();
+    });
+
+    it('should only let ride managers mark attendance', async () => {
+      mockCtx.from.id = 999;
+
+      await handler.handleMarkCallback(mockCtx);
+
+      expect(mockRideService.markAttendance).not.toHaveBeenCalled();
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.common.onlyManagerAction'));
+    });
+  });
+
+  describe('handleCheckIn', () => {
+    beforeEach(() => {
+      mockCtx.from.id = 202;
+      mockCtx.match = ['checkin:abc123', 'abc123'];
+    });
+
+    it('should check the rider in', async () => {
+      await handler.handleCheckIn(mockCtx);
+
+      expect(mockRideService.checkIn).toHaveBeenCalledWith(ride, 202);
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.attendance.checkIn.success'));
+    });
+
+    it('should explain why the rider cannot check in', async () => {
+      mockRideService.checkIn.mockResolvedValue({ success: false, reason: 'alreadyCheckedIn' });
+
+      await handler.handleCheckIn(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.attendance.checkIn.alreadyCheckedIn'));
+    });
+  });
+});
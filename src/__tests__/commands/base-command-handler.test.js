@@ -194,6 +194,51 @@ describe('BaseCommandHandler', () => {
     });
   });
 
+  describe('extractRideWithManagerCheck', () => {
+    it('should accept co-organizers', async () => {
+      const mockCtx = { message: { text: 'some text' }, from: { id: 456 } };
+      const mockRide = { id: '123', createdBy: 999, coOrganizers: [{ userId: 456 }] };
+      mockRideMessagesService.extractRideId.mockReturnValue({ rideId: '123', error: null });
+      mockRideService.getRide.mockResolvedValue(mockRide);
+
+      const result = await baseCommandHandler.extractRideWithManagerCheck(mockCtx, 'commands.update.onlyCreator');
+
+      expect(result).toEqual({ ride: mockRide, error: null });
+    });
+
+    it('should reject other users', async () => {
+      const mockCtx = { message: { text: 'some text' }, from: { id: 456 } };
+      mockRideMessagesService.extractRideId.mockReturnValue({ rideId: '123', error: null });
+      mockRideService.getRide.mockResolvedValue({ id: '123', createdBy: 999, coOrganizers: [{ userId: 789 }] });
+
+      const result = await baseCommandHandler.extractRideWithManagerCheck(mockCtx, 'commands.update.onlyCreator');
+
+      expect(result).toEqual({ ride: null, error: tr('commands.update.onlyCreator') });
+    });
+
+    it('should accept leaders of the club that owns the ride', async () => {
+      const mockCtx = { message: { text: 'some text' }, from: { id: 456 } };
+      const mockRide = { id: '123', createdBy: 999, clubId: 'club1' };
+      mockRideMessagesService.extractRideId.mockReturnValue({ rideId: '123', error: null });
+      mockRideService.getRide.mockResolvedValue(mockRide);
+      mockRideService.isClubLeader = jest.fn().mockResolvedValue(true);
+
+      const result = await baseCommandHandler.extractRideWithManagerCheck(mockCtx, 'commands.update.onlyCreator');
+
+      expect(mockRideService.isClubLeader).toHaveBeenCalledWith('club1', 456);
+      expect(result).toEqual({ ride: mockRide, error: null });
+    });
+  });
+
+  describe('parseRiderReference', () => {
+    it('reads a username, a user ID or nothing', () => {
+      expect(baseCommandHandler.parseRiderReference('/addleader #abc123 @carol')).toEqual({ username: 'carol' });
+      expect(baseCommandHandler.parseRiderReference('/addleader @carol')).toEqual({ username: 'carol' });
+      expect(baseCommandHandler.parseRiderReference('/transferride abc123 456')).toEqual({ userId: 456 });
+      expect(baseCommandHandler.parseRiderReference('/transferride abc123')).toBeNull();
+    });
+  });
+
   describe('isRideCreator', () => {
     it('should return true when user is the creator of a ride', () => {
       const ride = { id: 'abc123', createdBy: 456 };
@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { CalendarCommandHandler } from '../../commands/CalendarCommandHandler.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('CalendarCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockRideMessagesService;
+  let mockCalendarService;
+  let mockCtx;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+
+  const ride = { id: 'abc123', title: 'Sunday Loop', createdBy: 999, date: new Date('2026-10-25T08:30:00Z') };
+
+  beforeEach(() => {
+    mockRideService = {
+      getRide: jest.fn().mockResolvedValue(ride)
+    };
+    mockRideMessagesService = {
+      extractRideId: jest.fn().mockReturnValue({ rideId: 'abc123', error: null }),
+      getChatPreferences: jest.fn().mockResolvedValue({ language: null, timezone: null, units: null, defaultThreadId: null })
+    };
+    mockCalendarService = {
+      buildRideCalendar: jest.fn().mockReturnValue('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n'),
+      isFeedEnabled: jest.fn().mockReturnValue(true),
+      getFeedUrl: jest.fn().mockResolvedValue('https://bot.example.com/calendar/token.ics')
+    };
+    mockCtx = {
+      reply: jest.fn().mockResolvedValue({}),
+      replyWithDocument: jest.fn().mockResolvedValue({}),
+      lang: language,
+      chat: { id: 123, type: 'private' },
+      from: { id: 123, username: 'rider', first_name: 'Rita' },
+      message: { text: '/ics #abc123' }
+    };
+
+    handler = new CalendarCommandHandler(mockRideService, {}, mockRideMessagesService, mockCalendarService);
+  });
+
+  it('sends the ride as an .ics document to any user', async () => {
+    await handler.handle(mockCtx);
+
+    expect(mockCalendarService.buildRideCalendar).toHaveBeenCalledWith(ride, language, null);
+    const [file, options] = mockCtx.replyWithDocument.mock.calls[0];
+    expect(file.filename).toBe('ride-abc123.ics');
+    expect(options).toEqual({ caption: tr('commands.calendar.rideFileCaption', { title: 'Sunday Loop' }) });
+  });
+
+  it('gives the distance in the units of the chat', async () => {
+    mockRideMessagesService.getChatPreferences.mockResolvedValue({ language: null, timezone: null, units: 'imperial', defaultThreadId: null });
+
+    await handler.handle(mockCtx);
+
+    expect(mockRideMessagesService.getChatPreferences).toHaveBeenCalledWith(123);
+    expect(mockCalendarService.buildRideCalendar).toHaveBeenCalledWith(ride, language, 'imperial');
+  });
+
+  it('uses the replied ride message', async () => {
+    mockCtx.message = { text: '/ics', reply_to_message: { text: '🎫 #Ride #abc123' } };
+
+    await handler.handle(mockCtx);
+
+    expect(mockRideMessagesService.extractRideId).toHaveBeenCalled();
+    expect(mockCtx.replyWithDocument).toHaveBeenCalled();
+  });
+
+  it('reports a missing ride', async () => {
+    mockRideService.getRide.mockResolvedValue(null);
+
+    await handler.handle(mockCtx);
+
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.common.rideNotFoundById', { id: 'abc123' }));
+    expect(mockCtx.replyWithDocument).not.toHaveBeenCalled();
+  });
+
+  it('shows the feed link when no ride is given', async () => {
+    mockCtx.message = { text: '/ics' };
+
+    await handler.handle(mockCtx);
+
+    expect(mockCalendarService.getFeedUrl).toHaveBeenCalledWith(expect.objectContaining({ userId: 123 }), { reset: false });
+    expect(mockCtx.reply).toHaveBeenCalledWith(
+      tr('commands.calendar.feedLink', { url: 'https://bot.example.com/calendar/token.ics' }),
+      { parse_mode: 'HTML' }
+    );
+  });
+
+  it('replaces the feed link on reset', async () => {
+    mockCtx.message = { text: '/ics reset' };
+
+    await handler.handle(mockCtx);
+
+    expect(mockCalendarService.getFeedUrl).toHaveBeenCalledWith(expect.objectContaining({ userId: 123 }), { reset: true });
+    expect(mockCtx.reply.mock.calls[0][0]).toContain(tr('commands.calendar.feedReset'));
+  });
+
+  it('explains when feeds are not available', async () => {
+    mockCalendarService.isFeedEnabled.mockReturnValue(false);
+    mockCtx.message = { text: '/ics' };
+
+    await handler.handle(mockCtx);
+
+    expect(mockCalendarService.getFeedUrl).not.toHaveBeenCalled();
+    expect(mockCtx.reply).toHaveBeenCalledWith(
+      `${tr('commands.calendar.feedUnavailable')}\n\n${tr('commands.calendar.usage')}`,
+      { parse_mode: 'HTML' }
+    );
+  });
+});
@@ -64,6 +64,22 @@ describe.each(['en', 'ru'])('CancelRideCommandHandler (%s)', (language) => {
       expect(mockRideService.cancelRide).not.toHaveBeenCalled();
     });
 
+    it('lets a co-organizer cancel the ride', async () => {
+      mockRideMessagesService.extractRideId.mockReturnValue({ rideId: '456', error: null });
+      mockRideService.getRide.mockResolvedValue({
+        id: '456',
+        createdBy: 999,
+        coOrganizers: [{ userId: 123, username: 'co' }],
+        cancelled: false
+      });
+      mockRideService.cancelRide.mockResolvedValue({ id: '456', cancelled: true });
+      mockRideMessagesService.updateRideMessages.mockResolvedValue({ success: true, updatedCount: 1, removedCount: 0 });
+
+      await handler.handle(mockCtx);
+
+      expect(mockRideService.cancelRide).toHaveBeenCalledWith('456', 123);
+    });
+
     it('reports already cancelled ride', async () => {
       mockRideMessagesService.extractRideId.mockReturnValue({ rideId: '456', error: null });
       mockRideService.getRide.mockResolvedValue({ id: '456', createdBy: 123, cancelled: true });
@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { ClubCommandHandler } from '../../commands/ClubCommandHandler.js';
+import { UserProfile } from '../../models/UserProfile.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('ClubCommandHandler (%s)', (language) => {
+  let handler;
+  let mockClubService;
+  let mockMessageFormatter;
+  let mockCtx;
+  let club;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+  const rita = { userId: 456, username: 'rita', firstName: 'Rita', lastName: '', role: 'member' };
+
+  beforeEach(() => {
+    club = {
+      id: 'club1',
+      name: 'Sunday Riders',
+      inviteCode: 'code42',
+      members: [
+        { userId: 123, username: 'olga', firstName: 'Olga', lastName: '', role: 'owner' },
+        rita
+      ]
+    };
+
+    mockClubService = {
+      getClub: jest.fn().mockResolvedValue(club),
+      getClubsForUser: jest.fn().mockResolvedValue([club]),
+      createClub: jest.fn(),
+      joinClub: jest.fn(),
+      resetInviteCode: jest.fn(),
+      setMemberRole: jest.fn(),
+      removeMember: jest.fn(),
+      leaveClub: jest.fn()
+    };
+
+    mockMessageFormatter = {
+      formatParticipant: jest.fn(participant => `@${participant.username}`)
+    };
+
+    mockCtx = {
+      reply: jest.fn().mockResolvedValue({}),
+      lang: language,
+      from: { id: 123, username: 'olga', first_name: 'Olga' },
+      message: { text: '/club' }
+    };
+
+    handler = new ClubCommandHandler({}, mockMessageFormatter, {}, mockClubService);
+  });
+
+  it('lists the clubs of the user with their role', async () => {
+    await handler.handle(mockCtx);
+
+    const [text] = mockCtx.reply.mock.calls[0];
+    expect(text).toContain(tr('commands.club.listItem', {
+      name: 'Sunday Riders',
+      role: tr('commands.club.roles.owner'),
+      id: 'club1'
+    }));
+    expect(text).toContain(tr('commands.club.usage'));
+  });
+
+  it('creates a club with the rest of the line as its name', async () => {
+    mockCtx.message.text = '/club create Sunday Riders';
+    mockClubService.createClub.mockResolvedValue({ success: true, club });
+
+    await handler.handle(mockCtx);
+
+    expect(mockClubService.createClub).toHaveBeenCalledWith('Sunday Riders', UserProfile.fromTelegramUser(mockCtx.from));
+    expect(mockCtx.reply).toHaveBeenCalledWith(
+      tr('commands.club.created', { name: 'Sunday Riders', id: 'club1', code: 'code42' }),
+      { parse_mode: 'HTML' }
+    );
+  });
+
+  it('joins a club with its invite code', async () => {
+    mockCtx.message.text = '/club join code42';
+    mockClubService.joinClub.mockResolvedValue({ success: true, club });
+
+    await handler.handle(mockCtx);
+
+    expect(mockClubService.joinClub).toHaveBeenCalledWith('code42', expect.objectContaining({ userId: 123 }));
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.club.joined', { name: 'Sunday Riders' }), { parse_mode: 'HTML' });
+  });
+
+  it('explains an invalid invite code', async () => {
+    mockCtx.message.text = '/club join nope';
+    mockClubService.joinClub.mockResolvedValue({ success: false, club: null, reason: 'invalidCode' });
+
+    await handler.handle(mockCtx);
+
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.club.invalidCode'));
+  });
+
+  it('changes the role of a member', async () => {
+    mockCtx.message.text = '/club role club1 @rita leader';
+    mockClubService.setMemberRole.mockResolvedValue({ success: true, club, member: { ...rita, role: 'leader' } });
+
+    await handler.handle(mockCtx);
+
+    expect(mockClubService.setMemberRole).toHaveBeenCalledWith(club, { username: 'rita' }, 'leader', 123);
+    expect(mockCtx.reply).toHaveBeenCalledWith(
+      tr('commands.club.roleChanged', { name: '@rita', role: tr('commands.club.roles.leader'), club: 'Sunday Riders' }),
+      { parse_mode: 'HTML' }
+    );
+  });
+
+  it('explains when a role change is not allowed', async () => {
+    mockCtx.message.text = '/club role club1 456 admin';
+    mockClubService.setMemberRole.mockResolvedValue({ success: false, club, member: rita, reason: 'forbidden' });
+
+    await handler.handle(mockCtx);
+
+    expect(mockClubService.setMemberRole).toHaveBeenCalledWith(club, { userId: 456 }, 'admin', 123);
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.club.forbidden'), { parse_mode: 'HTML' });
+  });
+
+  it('shows the invite code to admins only', async () => {
+    mockCtx.message.text = '/club invite club1';
+
+    await handler.handle(mockCtx);
+    expect(mockCtx.reply).toHaveBeenCalledWith(
+      tr('commands.club.invite', { name: 'Sunday Riders', code: 'code42' }),
+      { parse_mode: 'HTML' }
+    );
+
+    mockCtx.from.id = 456;
+    await handler.handle(mockCtx);
+    expect(mockCtx.reply).toHaveBeenLastCalledWith(tr('commands.club.adminOnly'));
+  });
+
+  it('does not show a club to non-members', async () => {
+    mockCtx.message.text = '/club info club1';
+    mockCtx.from.id = 999;
+
+    await handler.handle(mockCtx);
+
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.club.notMember'));
+  });
+
+  it('keeps the owner in the club', async () => {
+    mockCtx.message.text = '/club leave club1';
+    mockClubService.leaveClub.mockResolvedValue({ success: false, club, reason: 'owner' });
+
+    await handler.handle(mockCtx);
+
+    expect(mockClubService.leaveClub).toHaveBeenCalledWith(club, 123);
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.club.ownerCannotLeave', { name: 'Sunday Riders' }), { parse_mode: 'HTML' });
+  });
+});
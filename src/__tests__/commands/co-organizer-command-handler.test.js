@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { CoOrganizerCommandHandler } from '../../commands/CoOrganizerCommandHandler.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('CoOrganizerCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockMessageFormatter;
+  let mockRideMessagesService;
+  let mockCtx;
+  let ride;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+  const carol = { userId: 456, username: 'carol', firstName: 'Carol', lastName: '' };
+
+  beforeEach(() => {
+    ride = { id: 'abc123', title: 'Morning Ride', createdBy: 123, coOrganizers: [] };
+
+    mockRideService = {
+      getRide: jest.fn().mockResolvedValue(ride),
+      addCoOrganizer: jest.fn(),
+      removeCoOrganizer: jest.fn(),
+      findRideParticipant: jest.fn()
+    };
+
+    mockMessageFormatter = {
+      formatParticipant: jest.fn(participant => `@${participant.username}`)
+    };
+
+    mockRideMessagesService = {
+      extractRideId: jest.fn().mockReturnValue({ rideId: 'abc123', error: null }),
+      updateRideMessages: jest.fn().mockResolvedValue({ success: true, updatedCount: 1, removedCount: 0 })
+    };
+
+    mockCtx = {
+      reply: jest.fn().mockResolvedValue({}),
+      answerCallbackQuery: jest.fn().mockResolvedValue({}),
+      editMessageText: jest.fn().mockResolvedValue({}),
+      lang: language,
+      from: { id: 123 },
+      message: { text: '/addleader #abc123 @carol' }
+    };
+
+    handler = new CoOrganizerCommandHandler(mockRideService, mockMessageFormatter, mockRideMessagesService);
+  });
+
+  describe('handle', () => {
+    it('adds a participant as co-organizer and updates the ride messages', async () => {
+      const updatedRide = { ...ride, coOrganizers: [carol] };
+      mockRideService.addCoOrganizer.mockResolvedValue({ success: true, ride: updatedRide, coOrganizer: carol });
+
+      await handler.handle(mockCtx);
+
+      expect(mockRideService.addCoOrganizer).toHaveBeenCalledWith(ride, { username: 'carol' }, 123);
+      expect(mockCtx.reply).toHaveBeenCalledWith(
+        tr('commands.coOrganizers.added', { name: '@carol', title: 'Morning Ride' }),
+        { parse_mode: 'HTML' }
+      );
+      expect(mockRideMessagesService.updateRideMessages).toHaveBeenCalledWith(updatedRide, mockCtx);
+    });
+
+    it('explains when the rider has not responded to the ride', async () => {
+      mockRideService.addCoOrganizer.mockResolvedValue({ success: false, ride: null, reason: 'notParticipant' });
+
+      await handler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(
+        tr('commands.coOrganizers.notParticipant', { user: '@carol' }),
+        { parse_mode: 'HTML' }
+      );
+      expect(mockRideMessagesService.updateRideMessages).not.toHaveBeenCalled();
+    });
+
+    it('only lets the ride creator manage co-organizers', async () => {
+      mockRideService.getRide.mockResolvedValue({ ...ride, coOrganizers: [{ userId: 999 }] });
+      mockCtx.from.id = 999;
+
+      await handler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.coOrganizers.onlyCreator'));
+      expect(mockRideService.addCoOrganizer).not.toHaveBeenCalled();
+    });
+
+    it('lists the co-organizers when no rider is given', async () => {
+      mockCtx.message.text = '/addleader #abc123';
+      mockRideService.getRide.mockResolvedValue({ ...ride, coOrganizers: [carol] });
+
+      await handler.handle(mockCtx);
+
+      const [text, options] = mockCtx.reply.mock.calls[0];
+      expect(text).toContain(tr('commands.coOrganizers.title'));
+      expect(text).toContain('• @carol');
+      expect(options.reply_markup.inline_keyboard[0][0]).toEqual({
+        text: tr('commands.coOrganizers.removeButton', { name: 'Carol' }),
+        callback_data: 'leaders:remove:abc123:456'
+      });
+    });
+  });
+
+  describe('handleRemoveCallback', () => {
+    it('removes the co-organizer and refreshes the list', async () => {
+      mockCtx.match = ['leaders:remove:abc123:456', 'abc123', '456'];
+      mockRideService.getRide.mockResolvedValue({ ...ride, coOrganizers: [carol] });
+      mockRideService.removeCoOrganizer.mockResolvedValue({ success: true, ride });
+
+      await handler.handleRemoveCallback(mockCtx);
+
+      expect(mockRideService.removeCoOrganizer).toHaveBeenCalledWith(expect.objectContaining({ id: 'abc123' }), 456, 123);
+      expect(mockCtx.editMessageText).toHaveBeenCalledWith(
+        expect.stringContaining(tr('commands.coOrganizers.none')),
+        expect.objectContaining({ parse_mode: 'HTML' })
+      );
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.coOrganizers.removed'));
+      expect(mockRideMessagesService.updateRideMessages).toHaveBeenCalledWith(ride, mockCtx);
+    });
+  });
+});
@@ -165,6 +165,24 @@ describe.each(['en', 'ru'])('DeleteRideCommandHandler (%s)', (language) => {
       expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith();
     });
 
+    it('replaces messages sent in inline mode with a notice', async () => {
+      mockCtx.api.editMessageTextInline = jest.fn().mockResolvedValue(true);
+      mockRideService.getRide.mockResolvedValue({
+        id: '456',
+        createdBy: 123,
+        messages: [
+          { chatId: 1001, messageId: 2001 },
+          { inlineMessageId: 'inline-1', language }
+        ]
+      });
+      mockRideService.deleteRide.mockResolvedValue(true);
+
+      await handler.handleConfirmation(mockCtx);
+
+      expect(mockCtx.api.deleteMessage).toHaveBeenCalledTimes(1);
+      expect(mockCtx.api.editMessageTextInline).toHaveBeenCalledWith('inline-1', tr('commands.delete.inlineMessageNotice'));
+    });
+
     it('reports failed ride deletion', async () => {
       mockRideService.getRide.mockResolvedValue({ id: '456', createdBy: 123 });
       mockRideService.deleteRide.mockResolvedValue(false);
@@ -108,7 +108,9 @@ describe.each(['en', 'ru'])('DuplicateRideCommandHandler (%s)', (language) => {
           meetingPoint: 'Test Location',
           settings: {
             notifyParticipation: false,
-            allowReposts: false
+            allowReposts: false,
+            reminders: [1440, 120],
+            shareLocation: false
           }
         }),
         'message'
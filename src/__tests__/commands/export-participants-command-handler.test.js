@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { InputFile } from 'grammy';
+import { ExportParticipantsCommandHandler } from '../../commands/ExportParticipantsCommandHandler.js';
+import { formatParticipantsCsv, formatParticipantsJson } from '../../utils/participant-export.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('ExportParticipantsCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockRideMessagesService;
+  let mockCtx;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+  const ride = {
+    id: 'abc123',
+    title: 'Sunday Loop',
+    date: new Date('2025-05-04T08:00:00Z'),
+    createdBy: 123,
+    participation: {
+      joined: [{ userId: 123, firstName: 'Olga' }, { userId: 201, username: 'alice', firstName: 'Alice' }],
+      thinking: [{ userId: 202, firstName: 'Bob' }],
+      skipped: []
+    }
+  };
+
+  const sentDocument = () => {
+    const [file, options] = mockCtx.replyWithDocument.mock.calls[0];
+    expect(file).toBeInstanceOf(InputFile);
+    return { fileName: file.filename, content: file.fileData.toString('utf8'), caption: options.caption };
+  };
+
+  beforeEach(() => {
+    mockRideService = {
+      getRide: jest.fn().mockResolvedValue(ride),
+      isClubLeader: jest.fn().mockResolvedValue(false),
+      getDefaultRideTimezone: jest.fn().mockResolvedValue('UTC'),
+      getInputUnits: jest.fn().mockResolvedValue('metric'),
+      searchRides: jest.fn().mockResolvedValue({ rides: [ride, { ...ride, id: 'def456' }], total: 2 })
+    };
+    mockRideMessagesService = {
+      extractRideId: jest.fn().mockReturnValue({ rideId: 'abc123', error: null })
+    };
+
+    mockCtx = {
+      lang: language,
+      from: { id: 123 },
+      message: { message_id: 55, text: '/exportparticipants #abc123' },
+      match: ['rideowner:export:abc123', 'abc123'],
+      reply: jest.fn().mockResolvedValue({}),
+      replyWithDocument: jest.fn().mockResolvedValue({}),
+      answerCallbackQuery: jest.fn().mockResolvedValue({})
+    };
+
+    handler = new ExportParticipantsCommandHandler(mockRideService, {}, mockRideMessagesService);
+  });
+
+  describe('handle', () => {
+    it('should send the participants of a ride as CSV by default', async () => {
+      await handler.handle(mockCtx);
+
+      expect(mockRideService.getRide).toHaveBeenCalledWith('abc123');
+      expect(sentDocument()).toEqual({
+        fileName: 'participants-abc123.csv',
+        content: formatParticipantsCsv([ride]),
+        caption: tr('commands.exportParticipants.rideCaption', { title: 'Sunday Loop' })
+      });
+    });
+
+    it('should send JSON when asked, before or after the ride ID', async () => {
+      mockCtx.message.text = '/exportparticipants JSON #abc123';
+
+      await handler.handle(mockCtx);
+
+      expect(mockRideService.getRide).toHaveBeenCalledWith('abc123');
+      expect(sentDocument()).toEqual(expect.objectContaining({
+        fileName: 'participants-abc123.json',
+        content: formatParticipantsJson([ride])
+      }));
+    });
+
+    it('should export the ride message replied to', async () => {
+      mockCtx.message = { message_id: 56, text: '/exportparticipants json', reply_to_message: { text: '🎫 #Ride #abc123' } };
+
+      await handler.handle(mockCtx);
+
+      expect(mockRideMessagesService.extractRideId).toHaveBeenCalledWith(
+        expect.objectContaining({ text: '/exportparticipants', reply_to_message: { text: '🎫 #Ride #abc123' } }),
+        { language }
+      );
+      expect(sentDocument().fileName).toBe('participants-abc123.json');
+    });
+
+    it('should explain the usage without a ride', async () => {
+      mockCtx.message.text = '/exportparticipants';
+
+      await handler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.exportParticipants.usage'), { parse_mode: 'HTML' });
+      expect(mockCtx.replyWithDocument).not.toHaveBeenCalled();
+    });
+
+    it('should only let ride managers export', async () => {
+      mockCtx.from.id = 999;
+
+      await handler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.common.onlyManagerAction'));
+      expect(mockCtx.replyWithDocument).not.toHaveBeenCalled();
+    });
+
+    it('should export the rides of the user over a date range', async () => {
+      mockCtx.message.text = '/exportparticipants json\nfrom: 2025-05-01\nto: 2025-05-31';
+
+      await handler.handle(mockCtx);
+
+      expect(mockRideService.searchRides).toHaveBeenCalledWith(
+        { dateFrom: expect.any(Date), dateTo: expect.any(Date), createdBy: 123 },
+        0,
+        200
+      );
+      expect(sentDocument()).toEqual({
+        fileName: 'participants.json',
+        content: formatParticipantsJson([ride, { ...ride, id: 'def456' }]),
+        caption: tr('commands.exportParticipants.rangeCaption', { count: 2, total: 2 })
+      });
+    });
+
+    it('should tell when only the first rides of the range were exported', async () => {
+      mockRideService.searchRides.mockResolvedValue({ rides: [ride], total: 250 });
+      mockCtx.message.text = '/exportparticipants\nfrom: 2025-01-01';
+
+      await handler.handle(mockCtx);
+
+      expect(sentDocument().caption).toBe(tr('commands.exportParticipants.rangeCaptionTruncated', { count: 1, total: 250 }));
+    });
+
+    it('should tell when no rides match the range', async () => {
+      mockRideService.searchRides.mockResolvedValue({ rides: [], total: 0 });
+      mockCtx.message.text = '/exportparticipants\nfrom: 2025-05-01';
+
+      await handler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.exportParticipants.noRides'));
+      expect(mockCtx.replyWithDocument).not.toHaveBeenCalled();
+    });
+
+    it('should report invalid criteria', async () => {
+      mockCtx.message.text = '/exportparticipants\nfrom: not a date at all';
+
+      await handler.handle(mockCtx);
+
+      expect(mockRideService.searchRides).not.toHaveBeenCalled();
+      expect(mockCtx.reply).toHaveBeenCalledWith(expect.any(String), { parse_mode: 'HTML' });
+    });
+  });
+
+  describe('handleCallback', () => {
+    it('should send the CSV file of the ride', async () => {
+      await handler.handleCallback(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith();
+      expect(sentDocument().fileName).toBe('participants-abc123.csv');
+    });
+
+    it('should only let ride managers export', async () => {
+      mockCtx.from.id = 999;
+
+      await handler.handleCallback(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.common.onlyManagerAction'));
+      expect(mockCtx.replyWithDocument).not.toHaveBeenCalled();
+    });
+  });
+});
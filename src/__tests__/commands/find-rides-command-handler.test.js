@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { FindRidesCommandHandler } from '../../commands/FindRidesCommandHandler.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('FindRidesCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockMessageFormatter;
+  let mockRideMessagesService;
+  let mockCtx;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+
+  beforeEach(() => {
+    mockRideService = {
+      getDefaultRideTimezone: jest.fn().mockResolvedValue('UTC'),
+      getInputUnits: jest.fn().mockResolvedValue('metric'),
+      searchRides: jest.fn().mockResolvedValue({ rides: [{ id: 'ride1' }], total: 7 })
+    };
+
+    mockMessageFormatter = {
+      formatRidesList: jest.fn().mockReturnValue('Found rides')
+    };
+
+    mockRideMessagesService = {};
+
+    mockCtx = {
+      reply: jest.fn().mockResolvedValue({}),
+      editMessageText: jest.fn().mockResolvedValue({}),
+      answerCallbackQuery: jest.fn().mockResolvedValue({}),
+      lang: language,
+      from: { id: 123 },
+      message: { message_id: 55, text: '/findrides lake\ncategory: road\ndist: 40+' }
+    };
+
+    handler = new FindRidesCommandHandler(mockRideService, mockMessageFormatter, mockRideMessagesService);
+  });
+
+  it('searches the rides of the user and replies to the search message', async () => {
+    await handler.handle(mockCtx);
+
+    expect(mockRideService.searchRides).toHaveBeenCalledWith(
+      { text: 'lake', category: 'road', distanceMin: 40, createdBy: 123 },
+      0,
+      5
+    );
+    expect(mockMessageFormatter.formatRidesList).toHaveBeenCalledWith([{ id: 'ride1' }], 1, 2, {
+      title: tr('commands.findRides.title', { total: 7 }),
+      emptyMessage: tr('commands.findRides.noResults')
+    });
+    const [text, options] = mockCtx.reply.mock.calls[0];
+    expect(text).toBe('Found rides');
+    expect(options.reply_parameters).toEqual({ message_id: 55 });
+    expect(options.reply_markup.inline_keyboard).toEqual([
+      [{ text: tr('buttons.next'), callback_data: 'findrides:2' }]
+    ]);
+  });
+
+  it('replies with the usage when there are no criteria', async () => {
+    mockCtx.message.text = '/findrides';
+
+    await handler.handle(mockCtx);
+
+    expect(mockRideService.searchRides).not.toHaveBeenCalled();
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.findRides.usage'), { parse_mode: 'HTML' });
+  });
+
+  it('replies with the parse error for invalid criteria', async () => {
+    mockCtx.message.text = '/findrides\nspeed: fast';
+
+    await handler.handle(mockCtx);
+
+    expect(mockRideService.searchRides).not.toHaveBeenCalled();
+    expect(mockCtx.reply).toHaveBeenCalledWith(
+      tr('parsers.rideSearch.invalidValue', { param: 'speed', value: 'fast' }),
+      { parse_mode: 'HTML' }
+    );
+  });
+
+  it('pages through the results of the search message the list replies to', async () => {
+    mockCtx.match = ['findrides:2', '2'];
+    mockCtx.callbackQuery = { message: { reply_to_message: { text: '/findrides lake' } } };
+
+    await handler.handleCallback(mockCtx);
+
+    expect(mockRideService.searchRides).toHaveBeenCalledWith({ text: 'lake', createdBy: 123 }, 5, 5);
+    const [text, options] = mockCtx.editMessageText.mock.calls[0];
+    expect(text).toBe('Found rides');
+    expect(options.reply_markup.inline_keyboard).toEqual([
+      [{ text: tr('buttons.previous'), callback_data: 'findrides:1' }]
+    ]);
+    expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith();
+  });
+
+  it('explains when the search message is gone', async () => {
+    mockCtx.match = ['findrides:2', '2'];
+    mockCtx.callbackQuery = { message: {} };
+
+    await handler.handleCallback(mockCtx);
+
+    expect(mockRideService.searchRides).not.toHaveBeenCalled();
+    expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.findRides.expired'));
+  });
+});
@@ -34,11 +34,11 @@ describe.each(['en', 'ru'])('FromStravaCommandHandler (%s)', (language) => {
     mockStorage = {
       getRideByStravaId: jest.fn(),
       createRide: jest.fn(),
-      updateRide: jest.fn(),
     };
 
     mockRideService = {
       createRide: jest.fn(),
+      updateRide: jest.fn(),
     };
     mockMessageFormatter = {};
 
@@ -149,7 +149,7 @@ describe.each(['en', 'ru'])('FromStravaCommandHandler (%s)', (language) => {
     it('does not call updateRide', async () => {
       await handler.handle(mockCtx);
 
-      expect(mockStorage.updateRide).not.toHaveBeenCalled();
+      expect(mockRideService.updateRide).not.toHaveBeenCalled();
     });
   });
 
@@ -161,13 +161,13 @@ describe.each(['en', 'ru'])('FromStravaCommandHandler (%s)', (language) => {
       mockParser.fetchEvent.mockResolvedValue({ id: EVENT_ID, title: 'Test' });
       mockParser.mapToRideData.mockReturnValue(MOCK_RIDE_DATA);
       mockStorage.getRideByStravaId.mockResolvedValue(existingRide);
-      mockStorage.updateRide.mockResolvedValue({ ...existingRide, title: 'Updated' });
+      mockRideService.updateRide.mockResolvedValue({ ...existingRide, title: 'Updated' });
     });
 
     it('updates the existing ride when same stravaId + user found', async () => {
       await handler.handle(mockCtx);
 
-      expect(mockStorage.updateRide).toHaveBeenCalledWith(
+      expect(mockRideService.updateRide).toHaveBeenCalledWith(
         'existing123',
         expect.objectContaining({ updatedBy: 101 })
       );
@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { GroupSettingsCommandHandler } from '../../commands/GroupSettingsCommandHandler.js';
+import { SettingsService } from '../../services/SettingsService.js';
+import { MemoryStorage } from '../../storage/memory.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('GroupSettingsCommandHandler (%s)', (language) => {
+  const CHAT_ID = -100123;
+  let handler;
+  let settingsService;
+  let mockCtx;
+
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+  const send = async (text, message = {}) => {
+    mockCtx.message = { text, ...message };
+    await handler.handle(mockCtx);
+    return mockCtx.reply.mock.calls[mockCtx.reply.mock.calls.length - 1];
+  };
+
+  beforeEach(() => {
+    settingsService = new SettingsService(new MemoryStorage());
+    mockCtx = {
+      lang: language,
+      chat: { id: CHAT_ID, type: 'supergroup' },
+      from: { id: 7 },
+      api: { getChatMember: jest.fn().mockResolvedValue({ status: 'administrator' }) },
+      reply: jest.fn().mockResolvedValue({})
+    };
+
+    handler = new GroupSettingsCommandHandler({}, {}, {}, settingsService);
+  });
+
+  it('shows the defaults', async () => {
+    const [text, options] = await send('/groupsettings');
+
+    expect(text).toContain(tr('commands.groupSettings.languageLine', { value: tr('commands.groupSettings.languageDefault') }));
+    expect(text).toContain(tr('commands.groupSettings.timezoneLine', { value: tr('commands.groupSettings.timezoneDefault') }));
+    expect(text).toContain(tr('commands.groupSettings.sharesLine', { value: tr('common.yes') }));
+    expect(options).toEqual({ parse_mode: 'HTML' });
+  });
+
+  it('sets the language and timezone', async () => {
+    await send('/groupsettings language ru');
+    const [text] = await send('/groupsettings timezone Europe/Berlin');
+
+    expect(text.startsWith(tr('commands.groupSettings.updated'))).toBe(true);
+    await expect(settingsService.getGroupSettings(CHAT_ID)).resolves.toMatchObject({
+      language: 'ru',
+      timezone: 'Europe/Berlin'
+    });
+  });
+
+  it('restores defaults', async () => {
+    await send('/groupsettings language ru');
+
+    await send('/groupsettings language default');
+
+    await expect(settingsService.getGroupSettings(CHAT_ID)).resolves.toMatchObject({ language: null });
+  });
+
+  it('rejects unknown timezones', async () => {
+    const [text] = await send('/groupsettings timezone Mars/Olympus');
+
+    expect(text).toBe(tr('commands.groupSettings.invalidTimezone', { timezone: 'Mars/Olympus' }));
+    await expect(settingsService.getGroupSettings(CHAT_ID)).resolves.toMatchObject({ timezone: null });
+  });
+
+  it('sets and restores the units', async () => {
+    const [text] = await send('/groupsettings units imperial');
+
+    expect(text).toContain(tr('commands.groupSettings.unitsLine', { value: tr('commands.units.imperial') }));
+    await expect(settingsService.getGroupSettings(CHAT_ID)).resolves.toMatchObject({ units: 'imperial' });
+
+    await send('/groupsettings units default');
+
+    await expect(settingsService.getGroupSettings(CHAT_ID)).resolves.toMatchObject({ units: null });
+  });
+
+  it('uses the current topic for ride posts', async () => {
+    await send('/groupsettings topic here', { message_thread_id: 55, is_topic_message: true });
+
+    await expect(settingsService.getGroupSettings(CHAT_ID)).resolves.toMatchObject({ defaultThreadId: 55 });
+  });
+
+  it('asks to send the topic setting inside a topic', async () => {
+    const [text] = await send('/groupsettings topic here');
+
+    expect(text).toBe(tr('commands.groupSettings.topicOutsideTopic'));
+  });
+
+  it('restricts sharing to ride creators', async () => {
+    await send('/groupsettings shares off');
+
+    await expect(settingsService.getGroupSettings(CHAT_ID)).resolves.toMatchObject({ allowMemberShares: false });
+  });
+
+  it('replies with the usage for unknown settings', async () => {
+    const [text] = await send('/groupsettings colour blue');
+
+    expect(text).toBe(tr('commands.groupSettings.usage', { languages: 'en|ru' }));
+  });
+
+  it('is limited to chat admins', async () => {
+    mockCtx.api.getChatMember.mockResolvedValue({ status: 'member' });
+
+    const [text] = await send('/groupsettings language ru');
+
+    expect(text).toBe(tr('commands.groupSettings.notAdmin'));
+    await expect(settingsService.getGroupSettings(CHAT_ID)).resolves.toMatchObject({ language: null });
+  });
+
+  it('accepts anonymous admins posting as the group', async () => {
+    mockCtx.api.getChatMember.mockResolvedValue({ status: 'member' });
+
+    await send('/groupsettings language ru', { sender_chat: { id: CHAT_ID } });
+
+    await expect(settingsService.getGroupSettings(CHAT_ID)).resolves.toMatchObject({ language: 'ru' });
+  });
+});
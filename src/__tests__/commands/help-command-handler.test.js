@@ -54,6 +54,17 @@ describe.each(['en', 'ru'])('HelpCommandHandler (%s)', (language) => {
     ]
   };
 
+  const expectedHelpPart4Fragments = {
+    en: [
+      '<b>👤 Personal Settings</b>',
+      '<b>🌍 Group Settings</b>'
+    ],
+    ru: [
+      '<b>👤 Личные настройки</b>',
+      '<b>🌍 Настройки группы</b>'
+    ]
+  };
+
   let helpCommandHandler;
   let mockRideService;
   let mockMessageFormatter;
@@ -86,10 +97,11 @@ describe.each(['en', 'ru'])('HelpCommandHandler (%s)', (language) => {
       await helpCommandHandler.handle(mockCtx);
       
       // Verify
-      expect(mockCtx.reply).toHaveBeenCalledTimes(3);
+      expect(mockCtx.reply).toHaveBeenCalledTimes(4);
       const [helpPart1, options1] = mockCtx.reply.mock.calls[0];
       const [helpPart2, options2] = mockCtx.reply.mock.calls[1];
       const [helpPart3, options3] = mockCtx.reply.mock.calls[2];
+      const [helpPart4, options4] = mockCtx.reply.mock.calls[3];
       expect(helpPart1).toContain('/newride');
       expect(helpPart2).toContain('/updateride');
       expect(helpPart2).toContain('/cancelride');
@@ -101,6 +113,8 @@ describe.each(['en', 'ru'])('HelpCommandHandler (%s)', (language) => {
       expect(helpPart3).toContain('/settings');
       expect(helpPart3).toContain('/joinchat');
       expect(helpPart3).not.toContain('@botname');
+      expect(helpPart4).toContain('/units');
+      expect(helpPart4).toContain('/groupsettings');
       for (const fragment of expectedHelpPart1Fragments[language]) {
         expect(helpPart1).toContain(fragment);
       }
@@ -110,12 +124,17 @@ describe.each(['en', 'ru'])('HelpCommandHandler (%s)', (language) => {
       for (const fragment of expectedHelpPart3Fragments[language]) {
         expect(helpPart3).toContain(fragment);
       }
+      for (const fragment of expectedHelpPart4Fragments[language]) {
+        expect(helpPart4).toContain(fragment);
+      }
       expect(options1).toEqual({ parse_mode: 'HTML' });
       expect(options2).toEqual({ parse_mode: 'HTML' });
       expect(options3).toEqual({ parse_mode: 'HTML' });
+      expect(options4).toEqual({ parse_mode: 'HTML' });
       expect(mockCtx.t).toHaveBeenCalledWith('templates.help1');
       expect(mockCtx.t).toHaveBeenCalledWith('templates.help2');
       expect(mockCtx.t).toHaveBeenCalledWith('templates.help3');
+      expect(mockCtx.t).toHaveBeenCalledWith('templates.help4');
     });
   });
 });
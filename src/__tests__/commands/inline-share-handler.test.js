@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { InlineShareHandler } from '../../commands/InlineShareHandler.js';
+
+describe.each(['en', 'ru'])('InlineShareHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockMessageFormatter;
+  let mockRideMessagesService;
+  let mockCtx;
+  const ride = { id: 'r1', title: 'Sunday Ride', meetingPoint: 'Park', messages: [] };
+  const keyboard = { inline_keyboard: [[{ text: 'Join', callback_data: 'join:r1' }]] };
+
+  beforeEach(() => {
+    mockRideService = {
+      getRidesToShare: jest.fn().mockResolvedValue([ride]),
+      getRide: jest.fn().mockResolvedValue(ride)
+    };
+
+    mockMessageFormatter = {
+      formatRideDateTime: jest.fn().mockReturnValue('Sun, 5 Jul 10:00')
+    };
+
+    mockRideMessagesService = {
+      formatInlineRideMessage: jest.fn().mockReturnValue({ message: 'Ride card', keyboard, parseMode: 'HTML' }),
+      trackInlineMessage: jest.fn().mockResolvedValue(ride)
+    };
+
+    mockCtx = {
+      lang: language,
+      from: { id: 123 },
+      inlineQuery: { query: 'sun' },
+      chosenInlineResult: { result_id: 'r1', inline_message_id: 'inline-1' },
+      answerInlineQuery: jest.fn().mockResolvedValue(true)
+    };
+
+    handler = new InlineShareHandler(mockRideService, mockMessageFormatter, mockRideMessagesService);
+  });
+
+  describe('handleInlineQuery', () => {
+    it('answers with the rides the user may post', async () => {
+      await handler.handleInlineQuery(mockCtx);
+
+      expect(mockRideService.getRidesToShare).toHaveBeenCalledWith(123, 'sun');
+      expect(mockRideMessagesService.formatInlineRideMessage).toHaveBeenCalledWith(ride, language);
+      expect(mockCtx.answerInlineQuery).toHaveBeenCalledWith([{
+        type: 'article',
+        id: 'r1',
+        title: 'Sunday Ride',
+        description: 'Sun, 5 Jul 10:00 · Park',
+        input_message_content: { message_text: 'Ride card', parse_mode: 'HTML' },
+        reply_markup: keyboard
+      }], { cache_time: 0, is_personal: true });
+    });
+
+    it('leaves out a missing meeting point from the description', async () => {
+      mockRideService.getRidesToShare.mockResolvedValue([{ ...ride, meetingPoint: undefined }]);
+
+      await handler.handleInlineQuery(mockCtx);
+
+      const [[results]] = mockCtx.answerInlineQuery.mock.calls;
+      expect(results[0].description).toBe('Sun, 5 Jul 10:00');
+    });
+
+    it('answers with no results when rides cannot be loaded', async () => {
+      mockRideService.getRidesToShare.mockRejectedValue(new Error('DB error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await handler.handleInlineQuery(mockCtx);
+
+      expect(mockCtx.answerInlineQuery).toHaveBeenCalledWith([], { cache_time: 0, is_personal: true });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('handleChosenResult', () => {
+    it('tracks the posted inline message', async () => {
+      await handler.handleChosenResult(mockCtx);
+
+      expect(mockRideService.getRide).toHaveBeenCalledWith('r1');
+      expect(mockRideMessagesService.trackInlineMessage).toHaveBeenCalledWith(ride, 'inline-1', language);
+    });
+
+    it('ignores results without an inline message ID', async () => {
+      mockCtx.chosenInlineResult = { result_id: 'r1' };
+
+      await handler.handleChosenResult(mockCtx);
+
+      expect(mockRideService.getRide).not.toHaveBeenCalled();
+      expect(mockRideMessagesService.trackInlineMessage).not.toHaveBeenCalled();
+    });
+
+    it('ignores results for rides that no longer exist', async () => {
+      mockRideService.getRide.mockResolvedValue(null);
+
+      await handler.handleChosenResult(mockCtx);
+
+      expect(mockRideMessagesService.trackInlineMessage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { LanguageCommandHandler } from '../../commands/LanguageCommandHandler.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('LanguageCommandHandler (%s)', (language) => {
+  let handler;
+  let mockSettingsService;
+  let mockCtx;
+
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+  const buttons = (markup) => markup.inline_keyboard.flat();
+
+  beforeEach(() => {
+    mockSettingsService = {
+      getUserLanguage: jest.fn().mockResolvedValue(null),
+      updateUserLanguage: jest.fn().mockResolvedValue({})
+    };
+
+    mockCtx = {
+      message: { text: '/language' },
+      lang: language,
+      t: (key, params) => tr(key, params),
+      from: { id: 123, username: 'rider', first_name: 'Rita', language_code: language },
+      reply: jest.fn().mockResolvedValue({}),
+      answerCallbackQuery: jest.fn().mockResolvedValue({}),
+      editMessageText: jest.fn().mockResolvedValue({})
+    };
+
+    handler = new LanguageCommandHandler({}, {}, {}, mockSettingsService);
+  });
+
+  describe('handle', () => {
+    it('shows the Telegram app language when none is chosen', async () => {
+      await handler.handle(mockCtx);
+
+      const [text, options] = mockCtx.reply.mock.calls[0];
+      expect(text).toContain(tr('commands.language.automatic', { language: t(language, 'commands.language.nativeName') }));
+      expect(options.parse_mode).toBe('HTML');
+      expect(buttons(options.reply_markup).map(button => button.callback_data))
+        .toEqual(['language:en', 'language:ru', 'language:auto']);
+      expect(buttons(options.reply_markup)[2].text).toBe(`✅ ${tr('commands.language.automaticButton')}`);
+    });
+
+    it('marks the chosen language', async () => {
+      mockSettingsService.getUserLanguage.mockResolvedValue('ru');
+
+      await handler.handle(mockCtx);
+
+      const [text, options] = mockCtx.reply.mock.calls[0];
+      expect(text).toContain(tr('commands.language.current', { language: 'Русский' }));
+      expect(buttons(options.reply_markup).map(button => button.text))
+        .toEqual(['English', '✅ Русский', tr('commands.language.automaticButton')]);
+    });
+  });
+
+  describe('handleCallback', () => {
+    it('stores the language and answers in it', async () => {
+      const target = language === 'en' ? 'ru' : 'en';
+      mockCtx.match = [`language:${target}`, target];
+
+      await handler.handleCallback(mockCtx);
+
+      expect(mockSettingsService.updateUserLanguage).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 123 }),
+        target
+      );
+      expect(mockCtx.lang).toBe(target);
+      expect(mockCtx.editMessageText).toHaveBeenCalledWith(
+        expect.stringContaining(t(target, 'commands.language.title')),
+        expect.objectContaining({ parse_mode: 'HTML' })
+      );
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(t(target, 'commands.language.updated'));
+    });
+
+    it('clears the choice to follow the Telegram app language', async () => {
+      mockCtx.match = ['language:auto', 'auto'];
+
+      await handler.handleCallback(mockCtx);
+
+      expect(mockSettingsService.updateUserLanguage).toHaveBeenCalledWith(expect.objectContaining({ userId: 123 }), null);
+      expect(mockCtx.lang).toBe(language);
+    });
+
+    it('rejects unknown languages', async () => {
+      mockCtx.match = ['language:xx', 'xx'];
+
+      await handler.handleCallback(mockCtx);
+
+      expect(mockSettingsService.updateUserLanguage).not.toHaveBeenCalled();
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('errors.generic'));
+    });
+  });
+});
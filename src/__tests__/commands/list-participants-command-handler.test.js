@@ -17,7 +17,8 @@ describe.each(['en', 'ru'])('ListParticipantsCommandHandler (%s)', (language) =>
   beforeEach(() => {
     // Create mock services
     mockRideService = {
-      getRide: jest.fn()
+      getRide: jest.fn(),
+      getAttendanceHistory: jest.fn().mockResolvedValue(new Map())
     };
 
     mockMessageFormatter = {
@@ -166,6 +167,52 @@ describe.each(['en', 'ru'])('ListParticipantsCommandHandler (%s)', (language) =>
       expect(replyMessage).toContain('<a href="tg://user?id=3">Bob Wilson (@bobwilson)</a>');
     });
 
+    it('should show ride managers the attendance of the riders', async () => {
+      mockRideMessagesService.extractRideId.mockReturnValue({ rideId: 'abc123', error: null });
+      mockRideService.getRide.mockResolvedValue({
+        id: 'abc123',
+        title: 'Test Ride',
+        createdBy: 123,
+        participation: {
+          joined: [{ userId: 1, firstName: 'John' }, { userId: 2, firstName: 'Jane' }],
+          thinking: [{ userId: 3, firstName: 'Bob' }],
+          skipped: []
+        },
+        attendance: [{ userId: 1, status: 'attended', markedBy: 123 }]
+      });
+      mockRideService.getAttendanceHistory.mockResolvedValue(new Map([
+        [1, { attended: 5, noShow: 1 }],
+        [3, { attended: 0, noShow: 2 }]
+      ]));
+      mockMessageFormatter.formatParticipant.mockImplementation(participant => participant.firstName);
+
+      await listParticipantsHandler.handle(mockCtx);
+
+      expect(mockRideService.getAttendanceHistory).toHaveBeenCalledWith([1, 2, 3]);
+      const replyMessage = mockCtx.reply.mock.calls[0][0];
+      expect(replyMessage).toContain(`1. John ✅ — ${tr('commands.listParticipants.attendanceHistory', { attended: 5, noShow: 1 })}`);
+      expect(replyMessage).toContain('2. Jane\n');
+      expect(replyMessage).toContain(`1. Bob — ${tr('commands.listParticipants.attendanceHistory', { attended: 0, noShow: 2 })}`);
+      expect(replyMessage).toContain(tr('commands.listParticipants.attendanceLegend'));
+    });
+
+    it('should not show attendance to other riders', async () => {
+      mockRideMessagesService.extractRideId.mockReturnValue({ rideId: 'abc123', error: null });
+      mockRideService.getRide.mockResolvedValue({
+        id: 'abc123',
+        title: 'Test Ride',
+        createdBy: 999,
+        participation: { joined: [{ userId: 1, firstName: 'John' }], thinking: [], skipped: [] },
+        attendance: [{ userId: 1, status: 'attended', markedBy: 999 }]
+      });
+      mockMessageFormatter.formatParticipant.mockImplementation(participant => participant.firstName);
+
+      await listParticipantsHandler.handle(mockCtx);
+
+      expect(mockRideService.getAttendanceHistory).not.toHaveBeenCalled();
+      expect(mockCtx.reply.mock.calls[0][0]).not.toContain('✅');
+    });
+
     it('should handle missing ride ID', async () => {
       // Setup
       mockRideMessagesService.extractRideId.mockReturnValue({ rideId: null, error: 'Invalid ride ID' });
@@ -86,5 +86,57 @@ describe.each(['en', 'ru'])('ListRidesCommandHandler (%s)', (language) => {
       expect(mockMessageFormatter.formatRidesList).toHaveBeenCalledWith(rides, 2, 3);
       expect(mockCtx.reply).toHaveBeenCalled();
     });
+
+    it('adds a button for each club of the user', async () => {
+      const clubService = { getClubsForUser: jest.fn().mockResolvedValue([{ id: 'club1', name: 'Sunday Riders' }]) };
+      handler = new ListRidesCommandHandler(mockRideService, mockMessageFormatter, {}, clubService);
+      mockRideService.getRidesByCreator.mockResolvedValue({ rides: [], total: 0 });
+
+      await handler.showRidesList(mockCtx, 1);
+
+      const [, options] = mockCtx.reply.mock.calls[0];
+      expect(options.reply_markup.inline_keyboard).toContainEqual([
+        { text: tr('commands.club.ridesButton', { name: 'Sunday Riders' }), callback_data: 'listclub:club1:1' }
+      ]);
+    });
+  });
+
+  describe('handleClubCallback', () => {
+    let clubService;
+    const club = { id: 'club1', name: 'Sunday Riders', members: [{ userId: 123, role: 'member' }] };
+
+    beforeEach(() => {
+      clubService = {
+        getClub: jest.fn().mockResolvedValue(club),
+        getClubRides: jest.fn().mockResolvedValue({ rides: [{ id: '1', title: 'Club ride' }], total: 6 })
+      };
+      handler = new ListRidesCommandHandler(mockRideService, mockMessageFormatter, {}, clubService);
+      mockCtx.match = ['listclub:club1:1', 'club1', '1'];
+    });
+
+    it('shows the rides of the club to its members', async () => {
+      await handler.handleClubCallback(mockCtx);
+
+      expect(clubService.getClubRides).toHaveBeenCalledWith('club1', 0, 5);
+      expect(mockMessageFormatter.formatRidesList).toHaveBeenCalledWith([{ id: '1', title: 'Club ride' }], 1, 2, {
+        title: tr('commands.club.ridesTitle', { name: 'Sunday Riders' }),
+        emptyMessage: tr('commands.club.noRides')
+      });
+      const [, options] = mockCtx.editMessageText.mock.calls[0];
+      expect(options.reply_markup.inline_keyboard).toEqual([
+        [{ text: tr('buttons.next'), callback_data: 'listclub:club1:2' }],
+        [{ text: tr('buttons.back'), callback_data: 'list:1' }]
+      ]);
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalled();
+    });
+
+    it('does not show the rides to non-members', async () => {
+      mockCtx.from.id = 999;
+
+      await handler.handleClubCallback(mockCtx);
+
+      expect(clubService.getClubRides).not.toHaveBeenCalled();
+      expect(mockCtx.editMessageText).toHaveBeenCalledWith(tr('commands.club.notMember'));
+    });
   });
 });
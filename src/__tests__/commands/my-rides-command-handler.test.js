@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { MyRidesCommandHandler } from '../../commands/MyRidesCommandHandler.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('MyRidesCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockMessageFormatter;
+  let mockRideMessagesService;
+  let mockRideParticipationService;
+  let mockCtx;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+  const rides = [
+    { id: 'ride1', title: 'Ride 1' },
+    { id: 'ride2', title: 'Ride 2', cancelled: true }
+  ];
+
+  beforeEach(() => {
+    mockRideService = {
+      getRidesByParticipant: jest.fn().mockResolvedValue({ rides, total: 2 })
+    };
+
+    mockMessageFormatter = {
+      formatMyRidesList: jest.fn().mockReturnValue('My rides list')
+    };
+
+    mockRideMessagesService = {
+      getChatPreferences: jest.fn().mockResolvedValue({ language: null, timezone: 'Europe/Berlin', units: null, defaultThreadId: null }),
+      updateRideMessages: jest.fn().mockResolvedValue({ success: true, updatedCount: 1, removedCount: 0 })
+    };
+
+    mockRideParticipationService = {
+      changeParticipation: jest.fn()
+    };
+
+    mockCtx = {
+      reply: jest.fn().mockResolvedValue({}),
+      editMessageText: jest.fn().mockResolvedValue({}),
+      answerCallbackQuery: jest.fn().mockResolvedValue({}),
+      lang: language,
+      api: {},
+      chat: { id: 123, type: 'private' },
+      from: { id: 123, username: 'rider', first_name: 'Rita' },
+      message: { text: '/myrides' }
+    };
+
+    handler = new MyRidesCommandHandler(
+      mockRideService,
+      mockMessageFormatter,
+      mockRideMessagesService,
+      mockRideParticipationService
+    );
+  });
+
+  it('opens on the joined tab with answer buttons for rides that are not cancelled', async () => {
+    await handler.handle(mockCtx);
+
+    expect(mockRideService.getRidesByParticipant).toHaveBeenCalledWith(123, ['joined', 'waitlist'], false, 0, 5);
+    expect(mockMessageFormatter.formatMyRidesList).toHaveBeenCalledWith(rides, 1, 1, {
+      tab: 'joined',
+      userId: 123,
+      lang: language,
+      timezone: 'Europe/Berlin'
+    });
+    const [text, options] = mockCtx.reply.mock.calls[0];
+    expect(text).toBe('My rides list');
+    expect(options.reply_markup.inline_keyboard).toEqual([
+      [
+        { text: `✅ ${tr('commands.myRides.tabs.joined')}`, callback_data: 'myrides:joined:1' },
+        { text: tr('commands.myRides.tabs.thinking'), callback_data: 'myrides:thinking:1' },
+        { text: tr('commands.myRides.tabs.past'), callback_data: 'myrides:past:1' }
+      ],
+      [
+        { text: `1. ${tr('buttons.thinking')}`, callback_data: 'myrides:set:thinking:ride1:joined:1' },
+        { text: `1. ${tr('buttons.pass')}`, callback_data: 'myrides:set:skipped:ride1:joined:1' }
+      ]
+    ]);
+  });
+
+  it('lists past rides without answer buttons', async () => {
+    mockCtx.match = ['myrides:past:1', 'past', '1'];
+
+    await handler.handleCallback(mockCtx);
+
+    expect(mockRideService.getRidesByParticipant).toHaveBeenCalledWith(123, ['joined'], true, 0, 5);
+    const [, options] = mockCtx.editMessageText.mock.calls[0];
+    expect(options.reply_markup.inline_keyboard).toHaveLength(1);
+    expect(mockCtx.answerCallbackQuery).toHaveBeenCalled();
+  });
+
+  it('changes the answer to a ride, updates its messages and refreshes the list', async () => {
+    const ride = { id: 'ride1', title: 'Ride 1' };
+    mockCtx.match = ['myrides:set:joined:ride1:thinking:1', 'joined', 'ride1', 'thinking', '1'];
+    mockRideParticipationService.changeParticipation.mockResolvedValue({
+      status: 'changed',
+      ride,
+      targetState: 'joined',
+      resultState: 'waitlist'
+    });
+
+    await handler.handleParticipationCallback(mockCtx);
+
+    expect(mockRideParticipationService.changeParticipation).toHaveBeenCalledWith({
+      rideId: 'ride1',
+      participantProfile: expect.objectContaining({ userId: 123 }),
+      targetState: 'joined',
+      language,
+      api: mockCtx.api
+    });
+    expect(mockRideMessagesService.updateRideMessages).toHaveBeenCalledWith(ride, mockCtx);
+    expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.participation.waitlistSuccess'));
+    expect(mockRideService.getRidesByParticipant).toHaveBeenCalledWith(123, ['thinking'], false, 0, 5);
+    expect(mockCtx.editMessageText).toHaveBeenCalled();
+  });
+
+  it('explains when the ride was cancelled meanwhile', async () => {
+    mockCtx.match = ['myrides:set:skipped:ride1:joined:1', 'skipped', 'ride1', 'joined', '1'];
+    mockRideParticipationService.changeParticipation.mockResolvedValue({ status: 'ride_cancelled', targetState: 'skipped' });
+
+    await handler.handleParticipationCallback(mockCtx);
+
+    expect(mockRideMessagesService.updateRideMessages).not.toHaveBeenCalled();
+    expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.participation.rideCancelled'));
+  });
+
+  it('goes back a page when the last ride of a page moved away', async () => {
+    mockCtx.match = ['myrides:thinking:2', 'thinking', '2'];
+    mockRideService.getRidesByParticipant
+      .mockResolvedValueOnce({ rides: [], total: 5 })
+      .mockResolvedValueOnce({ rides, total: 5 });
+
+    await handler.handleCallback(mockCtx);
+
+    expect(mockRideService.getRidesByParticipant).toHaveBeenLastCalledWith(123, ['thinking'], false, 0, 5);
+    expect(mockMessageFormatter.formatMyRidesList).toHaveBeenCalledWith(rides, 1, 1, expect.objectContaining({ tab: 'thinking' }));
+  });
+});
@@ -5,6 +5,7 @@
 import { jest } from '@jest/globals';
 import { NewRideCommandHandler } from '../../commands/NewRideCommandHandler.js';
 import { RideParamsHelper } from '../../utils/RideParamsHelper.js';
+import { RouteParser } from '../../utils/route-parser.js';
 import { t } from '../../i18n/index.js';
 
 jest.mock('../../utils/RideParamsHelper.js');
@@ -29,7 +30,11 @@ describe.each(['en', 'ru'])('NewRideCommandHandler (%s)', (language) => {
     jest.clearAllMocks();
 
     mockRideService = {
-      createRideFromParams: jest.fn()
+      createRideFromParams: jest.fn(),
+      applyRouteFile: jest.fn((data, routeFile) => {
+        data.routeFile = routeFile;
+        data.distance = data.distance ?? routeFile.distance;
+      })
     };
 
     mockMessageFormatter = {};
@@ -113,6 +118,58 @@ describe.each(['en', 'ru'])('NewRideCommandHandler (%s)', (language) => {
       expect(mockRideService.createRideFromParams).not.toHaveBeenCalled();
       expect(mockWizard.startWizard).not.toHaveBeenCalled();
     });
+
+    describe('with a GPX file', () => {
+      const document = { file_id: 'file-1', file_name: 'loop.gpx', file_size: 2048 };
+      const routeFile = { fileId: 'file-1', fileName: 'loop.gpx', distance: 42.5, elevationGain: 380 };
+      let processSpy;
+
+      beforeEach(() => {
+        processSpy = jest.spyOn(RouteParser, 'processRouteFile').mockResolvedValue({ routeFile });
+        mockCtx.api = {};
+        mockCtx.message = { caption: '/newride', document };
+      });
+
+      afterEach(() => {
+        processSpy.mockRestore();
+      });
+
+      it('starts wizard with the route file prefilled when the caption has no params', async () => {
+        await handler.handle(mockCtx, { title: 'Test Ride' });
+
+        expect(processSpy).toHaveBeenCalledWith(mockCtx.api, document, { language });
+        expect(mockWizard.startWizard).toHaveBeenCalledWith(mockCtx, { title: 'Test Ride', routeFile, distance: 42.5 });
+      });
+
+      it('creates ride with the route file when the caption has params', async () => {
+        mockCtx.message.caption = '/newride\ntitle: Test Ride\nwhen: tomorrow 11:00';
+        RideParamsHelper.parseRideParams.mockReturnValue({
+          params: { title: 'Test Ride', when: 'tomorrow 11:00' },
+          unknownParams: []
+        });
+        mockRideService.createRideFromParams.mockResolvedValue({ ride: { id: '123' }, error: null });
+
+        await handler.handle(mockCtx);
+
+        expect(RideParamsHelper.parseRideParams).toHaveBeenCalledWith(mockCtx.message.caption);
+        expect(mockRideService.createRideFromParams).toHaveBeenCalledWith(
+          { title: 'Test Ride', when: 'tomorrow 11:00' },
+          789,
+          expect.any(Object),
+          { language, routeFile }
+        );
+      });
+
+      it('replies with the file error and creates nothing', async () => {
+        processSpy.mockResolvedValue({ error: tr('utils.routeParser.gpxInvalid') });
+
+        await handler.handle(mockCtx);
+
+        expect(mockCtx.reply).toHaveBeenCalledWith(tr('utils.routeParser.gpxInvalid'));
+        expect(mockWizard.startWizard).not.toHaveBeenCalled();
+        expect(mockRideService.createRideFromParams).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('handleWithParams', () => {
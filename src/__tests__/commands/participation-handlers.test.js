@@ -37,7 +37,8 @@ describe.each(['en', 'ru'])('ParticipationHandlers (%s)', (language) => {
     // Create mock RideMessagesService
     mockRideMessagesService = {
       extractRideId: jest.fn(),
-      updateRideMessages: jest.fn()
+      updateRideMessages: jest.fn(),
+      trackInlineMessage: jest.fn()
     };
 
     // Add RideMessagesService to RideService
@@ -140,6 +141,27 @@ describe.each(['en', 'ru'])('ParticipationHandlers (%s)', (language) => {
       expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.participation.joinedSuccess'));
     });
     
+    it('should track a message sent in inline mode before updating ride messages', async () => {
+      const mockRide = { id: '123', cancelled: false, messages: [] };
+      const trackedRide = { ...mockRide, messages: [{ inlineMessageId: 'inline-1', language, isForCreator: false }] };
+      mockCtx.callbackQuery = { inline_message_id: 'inline-1' };
+      mockRideParticipationService.changeParticipation.mockResolvedValue({
+        status: 'changed',
+        ride: mockRide,
+        previousState: null,
+        targetState: 'joined',
+        resultState: 'joined'
+      });
+      mockRideMessagesService.trackInlineMessage.mockResolvedValue(trackedRide);
+      mockRideMessagesService.updateRideMessages.mockResolvedValue({ success: true, updatedCount: 1, removedCount: 0 });
+
+      await participationHandlers.handleJoinRide(mockCtx);
+
+      expect(mockRideMessagesService.trackInlineMessage).toHaveBeenCalledWith(mockRide, 'inline-1', language);
+      expect(mockRideMessagesService.updateRideMessages).toHaveBeenCalledWith(trackedRide, mockCtx);
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.participation.joinedSuccess'));
+    });
+
     it('should pass normalized UserProfile to participation service on successful join', async () => {
       const mockRide = {
         id: '123',
@@ -220,6 +242,38 @@ describe.each(['en', 'ru'])('ParticipationHandlers (%s)', (language) => {
       );
     });
     
+    it('should report waitlist placement when the ride is full', async () => {
+      const mockRide = { id: '123', cancelled: false, maxParticipants: 1 };
+      mockRideParticipationService.changeParticipation.mockResolvedValue({
+        status: 'changed',
+        ride: mockRide,
+        previousState: null,
+        targetState: 'joined',
+        resultState: 'waitlist'
+      });
+      mockRideMessagesService.updateRideMessages.mockResolvedValue({ success: true, updatedCount: 1, removedCount: 0 });
+
+      await participationHandlers.handleJoinRide(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.participation.waitlistSuccess'));
+    });
+
+    it('should report when the rider is already on the waitlist', async () => {
+      mockRideParticipationService.changeParticipation.mockResolvedValue({
+        status: 'already_in_state',
+        targetState: 'joined',
+        resultState: 'waitlist'
+      });
+
+      await participationHandlers.handleJoinRide(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(
+        tr('commands.participation.alreadyInState', {
+          state: tr('commands.participation.states.waitlist')
+        })
+      );
+    });
+
     it('should handle error during join', async () => {
       // Setup
       const dbError = new Error('Database error');
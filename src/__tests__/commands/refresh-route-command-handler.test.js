@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { RefreshRouteCommandHandler } from '../../commands/RefreshRouteCommandHandler.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('RefreshRouteCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockRideMessagesService;
+  let mockCtx;
+  let ride;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+
+  beforeEach(() => {
+    ride = { id: 'abc123', title: 'Morning Ride', createdBy: 123, routes: [{ url: 'https://www.komoot.com/tour/77' }] };
+
+    mockRideService = {
+      getRide: jest.fn().mockResolvedValue(ride),
+      refreshRouteMetadata: jest.fn()
+    };
+
+    mockRideMessagesService = {
+      extractRideId: jest.fn().mockReturnValue({ rideId: 'abc123', error: null }),
+      updateRideMessages: jest.fn().mockResolvedValue({ success: true, updatedCount: 1, removedCount: 0 })
+    };
+
+    mockCtx = {
+      reply: jest.fn().mockResolvedValue({}),
+      lang: language,
+      from: { id: 123, username: 'bob', first_name: 'Bob' },
+      message: { text: '/refreshroute #abc123' }
+    };
+
+    handler = new RefreshRouteCommandHandler(mockRideService, {}, mockRideMessagesService);
+  });
+
+  it('reads the route again and updates the ride messages', async () => {
+    const refreshedRide = { ...ride, distance: 57.6, elevation: 135 };
+    mockRideService.refreshRouteMetadata.mockResolvedValue({ success: true, ride: refreshedRide });
+
+    await handler.handle(mockCtx);
+
+    expect(mockRideService.refreshRouteMetadata).toHaveBeenCalledWith(ride, 123);
+    expect(mockCtx.reply).toHaveBeenCalledWith(
+      tr('commands.refreshRoute.refreshed', { title: 'Morning Ride' }),
+      { parse_mode: 'HTML' }
+    );
+    expect(mockRideMessagesService.updateRideMessages).toHaveBeenCalledWith(refreshedRide, mockCtx);
+  });
+
+  it.each(['noRoutes', 'noMetadata'])('explains when the route could not be refreshed (%s)', async (reason) => {
+    mockRideService.refreshRouteMetadata.mockResolvedValue({ success: false, ride: null, reason });
+
+    await handler.handle(mockCtx);
+
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr(`commands.refreshRoute.${reason}`));
+    expect(mockRideMessagesService.updateRideMessages).not.toHaveBeenCalled();
+  });
+
+  it('does not let other users refresh the route', async () => {
+    mockCtx.from.id = 999;
+
+    await handler.handle(mockCtx);
+
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.refreshRoute.onlyCreator'));
+    expect(mockRideService.refreshRouteMetadata).not.toHaveBeenCalled();
+  });
+
+  it('reports unexpected errors', async () => {
+    mockRideService.refreshRouteMetadata.mockRejectedValue(new Error('boom'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await handler.handle(mockCtx);
+
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.refreshRoute.error'));
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { RideSeriesCommandHandler } from '../../commands/RideSeriesCommandHandler.js';
+import { t } from '../../i18n/index.js';
+import { config } from '../../config.js';
+
+describe.each(['en', 'ru'])('RideSeriesCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockRideMessagesService;
+  let mockRideSeriesService;
+  let mockCtx;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+
+  const ride = { id: 'abc123', createdBy: 123, date: new Date('2026-10-20T18:30:00Z') };
+  const series = {
+    id: 'series1',
+    rule: { frequency: 'weekly', interval: 1, weekdays: [2] },
+    status: 'active',
+    occurrences: 1,
+    count: null,
+    until: null,
+    skipDates: []
+  };
+
+  const setText = (text) => {
+    mockCtx.message.text = text;
+  };
+
+  beforeEach(() => {
+    mockRideService = {
+      getRide: jest.fn().mockResolvedValue(ride)
+    };
+    mockRideMessagesService = {
+      extractRideId: jest.fn().mockReturnValue({ rideId: 'abc123', error: null })
+    };
+    mockRideSeriesService = {
+      getSeriesForRide: jest.fn().mockResolvedValue(series),
+      setRecurrence: jest.fn().mockResolvedValue(series),
+      setStatus: jest.fn().mockResolvedValue(series),
+      skipDate: jest.fn().mockResolvedValue({ series, dateKey: '2026-11-03', alreadyCreated: false }),
+      getNextScheduledDate: jest.fn().mockResolvedValue(null)
+    };
+    mockCtx = {
+      reply: jest.fn().mockResolvedValue({}),
+      lang: language,
+      from: { id: 123 },
+      message: { text: '/series #abc123' }
+    };
+
+    handler = new RideSeriesCommandHandler(mockRideService, {}, mockRideMessagesService, mockRideSeriesService);
+  });
+
+  describe('handleRepeat', () => {
+    it('should block non-creators', async () => {
+      mockRideService.getRide.mockResolvedValue({ ...ride, createdBy: 999 });
+      setText('/repeatride #abc123\nrepeat: weekly');
+
+      await handler.handleRepeat(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.onlyCreator'));
+      expect(mockRideSeriesService.setRecurrence).not.toHaveBeenCalled();
+    });
+
+    it('should set the recurrence with parsed rule, end date and count', async () => {
+      setText('/repeatride #abc123\nrepeat: every 2 weeks on tue, thu\nuntil: 2026-12-31\ncount: 10');
+
+      await handler.handleRepeat(mockCtx);
+
+      expect(mockRideSeriesService.setRecurrence).toHaveBeenCalledWith(ride, {
+        rule: { frequency: 'weekly', interval: 2, weekdays: [2, 4] },
+        until: expect.any(Date),
+        count: 10
+      });
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.created', {
+        id: 'abc123',
+        rule: tr('recurrence.weekly', { days: tr('recurrence.weekdays.tue') }),
+        daysAhead: config.rideSeries.daysAhead
+      }));
+      expect(mockCtx.reply).toHaveBeenLastCalledWith(expect.stringContaining(tr('commands.series.statusTitle')), { parse_mode: 'HTML' });
+    });
+
+    it('should reply with the parser error for an invalid rule', async () => {
+      setText('/repeatride #abc123\nrepeat: sometimes');
+
+      await handler.handleRepeat(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('parsers.recurrence.invalidFormat'));
+      expect(mockRideSeriesService.setRecurrence).not.toHaveBeenCalled();
+    });
+
+    it.each(['1', 'many'])('should reject count "%s"', async (count) => {
+      setText(`/repeatride #abc123\nrepeat: weekly\ncount: ${count}`);
+
+      await handler.handleRepeat(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.invalidCount'));
+    });
+
+    it('should report unknown parameters', async () => {
+      setText('/repeatride #abc123\nrepeat: weekly\nevery: week');
+
+      await handler.handleRepeat(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(
+        expect.stringContaining(tr('commands.common.unknownParameters', { params: 'every' })),
+        { parse_mode: 'HTML' }
+      );
+    });
+
+    it('should show usage when the ride does not repeat and no rule is given', async () => {
+      mockRideSeriesService.getSeriesForRide.mockResolvedValue(null);
+      setText('/repeatride #abc123');
+
+      await handler.handleRepeat(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.repeatUsage'), { parse_mode: 'HTML' });
+    });
+  });
+
+  describe('handleSeries', () => {
+    it('should tell when the ride does not repeat', async () => {
+      mockRideSeriesService.getSeriesForRide.mockResolvedValue(null);
+
+      await handler.handleSeries(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.notInSeries', { id: 'abc123' }));
+    });
+
+    it('should show the series status', async () => {
+      mockRideSeriesService.getNextScheduledDate.mockResolvedValue(new Date('2026-10-27T18:30:00Z'));
+
+      await handler.handleSeries(mockCtx);
+
+      const [text, options] = mockCtx.reply.mock.calls[0];
+      expect(options).toEqual({ parse_mode: 'HTML' });
+      expect(text).toContain(tr('commands.series.statusTitle'));
+      expect(text).toContain(tr('commands.series.statusLine', { status: tr('commands.series.statuses.active') }));
+      expect(text).toContain(tr('commands.series.occurrencesLine', { occurrences: 1 }));
+      expect(text).toContain(tr('commands.series.nextLine', { date: '' }).trim());
+    });
+
+    it('should pause an active series', async () => {
+      setText('/series #abc123 pause');
+
+      await handler.handleSeries(mockCtx);
+
+      expect(mockRideSeriesService.setStatus).toHaveBeenCalledWith('series1', 'paused');
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.paused'));
+    });
+
+    it('should only resume paused series', async () => {
+      setText('/series #abc123 resume');
+
+      await handler.handleSeries(mockCtx);
+
+      expect(mockRideSeriesService.setStatus).not.toHaveBeenCalled();
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.notPaused'));
+    });
+
+    it('should end a series', async () => {
+      setText('/series #abc123 end');
+
+      await handler.handleSeries(mockCtx);
+
+      expect(mockRideSeriesService.setStatus).toHaveBeenCalledWith('series1', 'ended');
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.ended'));
+    });
+
+    it('should not change an ended series', async () => {
+      mockRideSeriesService.getSeriesForRide.mockResolvedValue({ ...series, status: 'ended' });
+      setText('/series #abc123 pause');
+
+      await handler.handleSeries(mockCtx);
+
+      expect(mockRideSeriesService.setStatus).not.toHaveBeenCalled();
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.alreadyEnded'));
+    });
+
+    it('should skip a date', async () => {
+      mockRideService.getRide.mockResolvedValue({ ...ride, timezone: 'Europe/Berlin' });
+      setText('/series #abc123 skip 2026-11-03');
+
+      await handler.handleSeries(mockCtx);
+
+      expect(mockRideSeriesService.skipDate).toHaveBeenCalledWith(series, expect.any(Date), 'Europe/Berlin');
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.skipped', { date: '2026-11-03' }));
+    });
+
+    it('should ask for a date when skip has none', async () => {
+      setText('/series #abc123 skip');
+
+      await handler.handleSeries(mockCtx);
+
+      expect(mockRideSeriesService.skipDate).not.toHaveBeenCalled();
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.invalidSkipDate'), { parse_mode: 'HTML' });
+    });
+
+    it('should show usage for unknown actions', async () => {
+      setText('/series #abc123 stop');
+
+      await handler.handleSeries(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.series.seriesUsage'), { parse_mode: 'HTML' });
+    });
+  });
+});
@@ -23,12 +23,13 @@ describe.each(['en', 'ru'])('RideSettingsCommandHandler (%s)', (language) => {
     };
 
     mockSettingsService = {
-      getUserRideDefaults: jest.fn().mockResolvedValue({ notifyParticipation: true, allowReposts: false }),
+      getUserRideDefaults: jest.fn().mockResolvedValue({ notifyParticipation: true, allowReposts: false, reminders: [1440, 120] }),
       updateUserRideDefaults: jest.fn().mockResolvedValue({
         settings: {
           rideDefaults: {
             notifyParticipation: false,
-            allowReposts: false
+            allowReposts: false,
+            reminders: [1440, 120]
           }
         }
       })
@@ -98,7 +99,14 @@ describe.each(['en', 'ru'])('RideSettingsCommandHandler (%s)', (language) => {
       const callbackData = options.reply_markup.inline_keyboard[0][0].callback_data;
       expect(callbackData).toBe(`settings:ride:bool:np:off:${mongoRideId}`);
       expect(options.reply_markup.inline_keyboard[1][0].callback_data).toBe(`settings:ride:bool:repost:on:${mongoRideId}`);
+      expect(options.reply_markup.inline_keyboard[2][0].callback_data).toBe(`settings:ride:bool:loc:on:${mongoRideId}`);
+      expect(options.reply_markup.inline_keyboard[3].map(button => button.callback_data)).toEqual([
+        `settings:ride:rem:1440:off:${mongoRideId}`,
+        `settings:ride:rem:120:off:${mongoRideId}`,
+        `settings:ride:rem:60:on:${mongoRideId}`
+      ]);
       expect(Buffer.byteLength(callbackData, 'utf8')).toBeLessThanOrEqual(64);
+      expect(Buffer.byteLength(options.reply_markup.inline_keyboard[3][0].callback_data, 'utf8')).toBeLessThanOrEqual(64);
     });
 
     it('renders ride settings for /settings when replying to a ride message', async () => {
@@ -142,7 +150,7 @@ describe.each(['en', 'ru'])('RideSettingsCommandHandler (%s)', (language) => {
       await handler.handle(mockCtx);
 
       expect(mockCtx.reply).toHaveBeenCalledWith(
-        tr('commands.common.onlyCreatorAction')
+        tr('commands.common.onlyManagerAction')
       );
     });
   });
@@ -214,7 +222,8 @@ describe.each(['en', 'ru'])('RideSettingsCommandHandler (%s)', (language) => {
         settings: {
           rideDefaults: {
             notifyParticipation: true,
-            allowReposts: true
+            allowReposts: true,
+            reminders: [1440, 120]
           }
         }
       });
@@ -275,7 +284,7 @@ describe.each(['en', 'ru'])('RideSettingsCommandHandler (%s)', (language) => {
       await handler.handleCallback(mockCtx);
 
       expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(
-        tr('commands.common.onlyCreatorAction')
+        tr('commands.common.onlyManagerAction')
       );
     });
 
@@ -369,6 +378,33 @@ describe.each(['en', 'ru'])('RideSettingsCommandHandler (%s)', (language) => {
       );
     });
 
+    it('updates the ride messages when location sharing is toggled', async () => {
+      mockCtx.match = ['settings:ride:bool:loc:on:123', 'loc', 'on', '123'];
+      mockRideMessagesService.updateRideMessages = jest.fn().mockResolvedValue({ success: true, updatedCount: 1, removedCount: 0 });
+      mockRideService.getRide.mockResolvedValue({
+        id: '123',
+        title: 'Morning Ride',
+        createdBy: 123,
+        settings: { notifyParticipation: true, allowReposts: false, shareLocation: false }
+      });
+      const updatedRide = {
+        id: '123',
+        title: 'Morning Ride',
+        createdBy: 123,
+        settings: { notifyParticipation: true, allowReposts: false, shareLocation: true }
+      };
+      mockRideService.updateRide.mockResolvedValue(updatedRide);
+
+      await handler.handleRideBooleanCallback(mockCtx);
+
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('123', { settings: { shareLocation: true } }, 123);
+      expect(mockRideMessagesService.updateRideMessages).toHaveBeenCalledWith(updatedRide, mockCtx);
+      expect(mockCtx.editMessageText).toHaveBeenCalledWith(
+        expect.stringContaining(tr('commands.settings.shareLocationLabel')),
+        expect.any(Object)
+      );
+    });
+
     it('treats setting an already-current ride setting as a successful no-op', async () => {
       mockCtx.match = ['settings:ride:bool:np:on:123', 'np', 'on', '123'];
       mockRideService.getRide.mockResolvedValue({
@@ -422,7 +458,7 @@ describe.each(['en', 'ru'])('RideSettingsCommandHandler (%s)', (language) => {
 
       expect(mockRideService.updateRide).not.toHaveBeenCalled();
       expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(
-        tr('commands.common.onlyCreatorAction')
+        tr('commands.common.onlyManagerAction')
       );
     });
 
@@ -436,4 +472,82 @@ describe.each(['en', 'ru'])('RideSettingsCommandHandler (%s)', (language) => {
       expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('errors.generic'));
     });
   });
+
+  describe('handleUserReminderCallback', () => {
+    it('adds a reminder offset to the user defaults', async () => {
+      mockCtx.match = ['settings:user:rem:60:on', '60', 'on'];
+
+      await handler.handleUserReminderCallback(mockCtx);
+
+      expect(mockSettingsService.updateUserRideDefaults).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 123 }),
+        { reminders: [1440, 120, 60] }
+      );
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.settings.updated'));
+    });
+
+    it('treats removing an already-removed offset as a no-op', async () => {
+      mockCtx.match = ['settings:user:rem:60:off', '60', 'off'];
+
+      await handler.handleUserReminderCallback(mockCtx);
+
+      expect(mockSettingsService.updateUserRideDefaults).not.toHaveBeenCalled();
+      expect(mockCtx.editMessageText).toHaveBeenCalledWith(
+        expect.stringContaining(tr('commands.settings.remindersLabel')),
+        expect.objectContaining({ parse_mode: 'HTML' })
+      );
+    });
+
+    it('answers with a generic error for offsets that cannot be configured', async () => {
+      mockCtx.match = ['settings:user:rem:5:on', '5', 'on'];
+
+      await handler.handleUserReminderCallback(mockCtx);
+
+      expect(mockSettingsService.getUserRideDefaults).not.toHaveBeenCalled();
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('errors.generic'));
+    });
+  });
+
+  describe('handleRideReminderCallback', () => {
+    it('removes a reminder offset from the ride settings', async () => {
+      mockCtx.match = ['settings:ride:rem:1440:off:123', '1440', 'off', '123'];
+      const ride = {
+        id: '123',
+        title: 'Morning Ride',
+        createdBy: 123,
+        settings: { notifyParticipation: true, allowReposts: false, reminders: [1440, 120] }
+      };
+      mockRideService.getRide.mockResolvedValue(ride);
+      mockRideService.updateRide.mockResolvedValue({ ...ride, settings: { ...ride.settings, reminders: [120] } });
+
+      await handler.handleRideReminderCallback(mockCtx);
+
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('123', { settings: { reminders: [120] } }, 123);
+      const [text] = mockCtx.editMessageText.mock.calls[0];
+      expect(text).toContain(`${tr('commands.settings.remindersLabel')}: <b>${tr('commands.reminders.offset.hours', { count: 2 })}</b>`);
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.settings.rideUpdated'));
+    });
+
+    it('shows reminders as off when none are left', async () => {
+      mockCtx.match = ['settings:ride:rem:120:off:123', '120', 'off', '123'];
+      const ride = { id: '123', title: 'Morning Ride', createdBy: 123, settings: { reminders: [120] } };
+      mockRideService.getRide.mockResolvedValue(ride);
+      mockRideService.updateRide.mockResolvedValue({ ...ride, settings: { reminders: [] } });
+
+      await handler.handleRideReminderCallback(mockCtx);
+
+      const [text] = mockCtx.editMessageText.mock.calls[0];
+      expect(text).toContain(`${tr('commands.settings.remindersLabel')}: <b>${tr('commands.settings.remindersOff')}</b>`);
+    });
+
+    it('returns the creator-only error for another user', async () => {
+      mockCtx.match = ['settings:ride:rem:60:on:123', '60', 'on', '123'];
+      mockRideService.getRide.mockResolvedValue({ id: '123', createdBy: 999 });
+
+      await handler.handleRideReminderCallback(mockCtx);
+
+      expect(mockRideService.updateRide).not.toHaveBeenCalled();
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.common.onlyManagerAction'));
+    });
+  });
 });
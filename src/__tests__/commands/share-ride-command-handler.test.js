@@ -163,6 +163,48 @@ describe.each(['en', 'ru'])('ShareRideCommandHandler (%s)', (language) => {
       );
     });
 
+    describe('in a group with chat settings', () => {
+      let mockSettingsService;
+
+      beforeEach(() => {
+        mockSettingsService = {
+          getGroupSettings: jest.fn().mockResolvedValue({ allowMemberShares: false, defaultThreadId: 77 })
+        };
+        mockCtx.chat = { id: -100123, type: 'supergroup' };
+        handler = new ShareRideCommandHandler(mockRideService, mockMessageFormatter, mockRideMessagesService, mockSettingsService);
+        mockRideMessagesService.extractRideId.mockReturnValue({ rideId: '123', error: null });
+        mockRideMessagesService.createRideMessage.mockResolvedValue({ sentMessage: { message_id: 42 } });
+      });
+
+      it('blocks sharing by non-creators when the group allows only creators', async () => {
+        mockRideService.getRide.mockResolvedValue({
+          id: '123',
+          createdBy: 456,
+          cancelled: false,
+          messages: [],
+          settings: { allowReposts: true }
+        });
+
+        await handler.handle(mockCtx);
+
+        expect(mockSettingsService.getGroupSettings).toHaveBeenCalledWith(-100123);
+        expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.share.onlyCreatorInThisChat'));
+        expect(mockRideMessagesService.createRideMessage).not.toHaveBeenCalled();
+      });
+
+      it('posts the creator share to the default topic of the group', async () => {
+        mockRideService.getRide.mockResolvedValue({ id: '123', createdBy: 789, cancelled: false, messages: [] });
+
+        await handler.handle(mockCtx);
+
+        expect(mockRideMessagesService.createRideMessage).toHaveBeenCalledWith(
+          expect.objectContaining({ id: '123' }),
+          mockCtx,
+          77
+        );
+      });
+    });
+
     it('handles unexpected service errors', async () => {
       mockRideMessagesService.extractRideId.mockReturnValue({ rideId: '123', error: null });
       mockRideService.getRide.mockRejectedValue(new Error('Database error'));
@@ -27,7 +27,9 @@ describe.each(['en', 'ru'])('StartCommandHandler (%s)', (language) => {
   let mockRideService;
   let mockMessageFormatter;
   let mockRideMessagesService;
+  let mockRideParticipationService;
   let mockCtx;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
 
   beforeEach(() => {
     // Create mock services (required by BaseCommandHandler)
@@ -36,11 +38,18 @@ describe.each(['en', 'ru'])('StartCommandHandler (%s)', (language) => {
     };
 
     mockMessageFormatter = {
-      formatRideDetails: jest.fn()
+      formatRideDetails: jest.fn(),
+      formatRideDateTime: jest.fn().mockReturnValue('Sun, 05 Jul 2026 at 10:00')
     };
 
     mockRideMessagesService = {
-      updateRideMessages: jest.fn()
+      updateRideMessages: jest.fn().mockResolvedValue({ success: true, updatedCount: 1, removedCount: 0 }),
+      replaceRideMessage: jest.fn().mockResolvedValue({}),
+      getChatPreferences: jest.fn().mockResolvedValue({ language: null, timezone: 'Europe/Berlin', units: null, defaultThreadId: null })
+    };
+
+    mockRideParticipationService = {
+      changeParticipation: jest.fn()
     };
 
     // Create mock Grammy context
@@ -52,8 +61,11 @@ describe.each(['en', 'ru'])('StartCommandHandler (%s)', (language) => {
       api: {
         getMe: jest.fn().mockResolvedValue({ username: 'testbot' })
       },
+      editMessageText: jest.fn().mockResolvedValue({}),
+      answerCallbackQuery: jest.fn().mockResolvedValue({}),
       lang: language,
       t: jest.fn((key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' })),
+      from: { id: 789, username: 'testuser', first_name: 'Test' },
       message: {
         from: {
           id: 789,
@@ -70,7 +82,8 @@ describe.each(['en', 'ru'])('StartCommandHandler (%s)', (language) => {
     startHandler = new StartCommandHandler(
       mockRideService,
       mockMessageFormatter,
-      mockRideMessagesService
+      mockRideMessagesService,
+      mockRideParticipationService
     );
   });
 
@@ -140,4 +153,147 @@ describe.each(['en', 'ru'])('StartCommandHandler (%s)', (language) => {
       expect(callArgs[1]).toEqual({ parse_mode: 'HTML' });
     });
   });
+
+  describe('ride deep links', () => {
+    const ride = { id: 'abc123', title: 'Sunday <Loop>', cancelled: false };
+
+    it('should post the ride message in place of an earlier one for a ride link', async () => {
+      mockCtx.match = 'ride_abc123';
+      mockRideService.getRide.mockResolvedValue(ride);
+
+      await startHandler.handle(mockCtx);
+
+      expect(mockRideService.getRide).toHaveBeenCalledWith('abc123');
+      expect(mockRideMessagesService.replaceRideMessage).toHaveBeenCalledWith(ride, mockCtx);
+      expect(mockCtx.reply).not.toHaveBeenCalled();
+    });
+
+    it('should report a missing ride', async () => {
+      mockCtx.match = 'ride_missing';
+      mockRideService.getRide.mockResolvedValue(null);
+
+      await startHandler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.participation.rideNotFound'));
+      expect(mockRideMessagesService.replaceRideMessage).not.toHaveBeenCalled();
+    });
+
+    it('should ask to confirm joining for a join link', async () => {
+      mockCtx.match = 'join_abc123';
+      mockRideService.getRide.mockResolvedValue(ride);
+
+      await startHandler.handle(mockCtx);
+
+      expect(mockMessageFormatter.formatRideDateTime).toHaveBeenCalledWith(ride, language, 'Europe/Berlin');
+      const [message, options] = mockCtx.reply.mock.calls[0];
+      expect(message).toBe(tr('commands.start.joinConfirm', {
+        title: 'Sunday &lt;Loop&gt;',
+        date: 'Sun, 05 Jul 2026 at 10:00'
+      }));
+      expect(options.parse_mode).toBe('HTML');
+      expect(options.reply_markup.inline_keyboard[0][0]).toEqual(expect.objectContaining({
+        text: tr('buttons.join'),
+        callback_data: 'startjoin:abc123'
+      }));
+      expect(mockRideParticipationService.changeParticipation).not.toHaveBeenCalled();
+    });
+
+    it('should not offer to join a cancelled ride', async () => {
+      mockCtx.match = 'join_abc123';
+      mockRideService.getRide.mockResolvedValue({ ...ride, cancelled: true });
+
+      await startHandler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.participation.rideCancelled'));
+    });
+
+    it('should send the route file for a gpx link', async () => {
+      mockCtx.match = 'gpx_abc123';
+      mockCtx.replyWithDocument = jest.fn().mockResolvedValue({});
+      mockRideService.getRide.mockResolvedValue({ ...ride, routeFile: { fileId: 'file-1', fileName: 'loop.gpx' } });
+
+      await startHandler.handle(mockCtx);
+
+      expect(mockCtx.replyWithDocument).toHaveBeenCalledWith('file-1', {
+        caption: tr('commands.start.routeFileCaption', { title: 'Sunday &lt;Loop&gt;' }),
+        parse_mode: 'HTML'
+      });
+    });
+
+    it('should report a ride without a route file', async () => {
+      mockCtx.match = 'gpx_abc123';
+      mockCtx.replyWithDocument = jest.fn();
+      mockRideService.getRide.mockResolvedValue(ride);
+
+      await startHandler.handle(mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.start.routeFileMissing'));
+      expect(mockCtx.replyWithDocument).not.toHaveBeenCalled();
+    });
+
+    it('should show the welcome message for other payloads', async () => {
+      mockCtx.match = 'something';
+
+      await startHandler.handle(mockCtx);
+
+      expect(mockRideService.getRide).not.toHaveBeenCalled();
+      expect(mockCtx.reply.mock.calls[0][0]).toContain('/newride');
+    });
+  });
+
+  describe('handleJoinCallback', () => {
+    beforeEach(() => {
+      mockCtx.match = ['startjoin:abc123', 'abc123'];
+    });
+
+    it('should join the ride and post its message', async () => {
+      const joinedRide = { id: 'abc123', messages: [] };
+      mockRideParticipationService.changeParticipation.mockResolvedValue({
+        status: 'changed',
+        ride: joinedRide,
+        previousState: null,
+        targetState: 'joined',
+        resultState: 'joined'
+      });
+
+      await startHandler.handleJoinCallback(mockCtx);
+
+      expect(mockRideParticipationService.changeParticipation).toHaveBeenCalledWith({
+        rideId: 'abc123',
+        participantProfile: expect.objectContaining({ userId: 789, username: 'testuser' }),
+        targetState: 'joined',
+        language,
+        api: mockCtx.api
+      });
+      expect(mockCtx.editMessageText).toHaveBeenCalledWith(tr('commands.participation.joinedSuccess'), {});
+      expect(mockRideMessagesService.updateRideMessages).toHaveBeenCalledWith(joinedRide, mockCtx);
+      expect(mockRideMessagesService.replaceRideMessage).toHaveBeenCalledWith(joinedRide, mockCtx);
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith();
+    });
+
+    it('should tell a rider who already joined', async () => {
+      mockRideParticipationService.changeParticipation.mockResolvedValue({
+        status: 'already_in_state',
+        targetState: 'joined',
+        resultState: 'joined'
+      });
+
+      await startHandler.handleJoinCallback(mockCtx);
+
+      expect(mockCtx.editMessageText).toHaveBeenCalledWith(tr('commands.participation.alreadyInState', {
+        state: tr('commands.participation.states.joined')
+      }), {});
+      expect(mockRideMessagesService.replaceRideMessage).not.toHaveBeenCalled();
+    });
+
+    it('should answer with an error when joining fails', async () => {
+      mockRideParticipationService.changeParticipation.mockRejectedValue(new Error('DB error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await startHandler.handleJoinCallback(mockCtx);
+
+      expect(mockCtx.answerCallbackQuery).toHaveBeenCalledWith(tr('commands.participation.genericError'));
+      console.error.mockRestore();
+    });
+  });
 });
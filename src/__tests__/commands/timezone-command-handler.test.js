@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { TimezoneCommandHandler } from '../../commands/TimezoneCommandHandler.js';
+import { SettingsService } from '../../services/SettingsService.js';
+import { MemoryStorage } from '../../storage/memory.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('TimezoneCommandHandler (%s)', (language) => {
+  let handler;
+  let settingsService;
+  let mockCtx;
+
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+  const send = async (text) => {
+    mockCtx.message = { text };
+    await handler.handle(mockCtx);
+    return mockCtx.reply.mock.calls[mockCtx.reply.mock.calls.length - 1];
+  };
+
+  beforeEach(() => {
+    settingsService = new SettingsService(new MemoryStorage());
+    mockCtx = {
+      lang: language,
+      chat: { id: 123, type: 'private' },
+      from: { id: 123, username: 'rider', first_name: 'Rita' },
+      reply: jest.fn().mockResolvedValue({})
+    };
+
+    handler = new TimezoneCommandHandler({}, {}, {}, settingsService);
+  });
+
+  it('shows the default timezone when none is chosen', async () => {
+    const [text, options] = await send('/timezone');
+
+    expect(text).toContain(tr('commands.timezone.title'));
+    expect(text).toContain(tr('commands.timezone.usage'));
+    expect(options).toEqual({ parse_mode: 'HTML' });
+  });
+
+  it('stores the timezone', async () => {
+    const [text] = await send('/timezone Europe/Berlin');
+
+    expect(text.startsWith(tr('commands.timezone.updated'))).toBe(true);
+    expect(text).toContain(tr('commands.timezone.current', { timezone: 'Europe/Berlin' }));
+    await expect(settingsService.getUserTimezone(123)).resolves.toBe('Europe/Berlin');
+  });
+
+  it('restores the default timezone', async () => {
+    await send('/timezone Europe/Berlin');
+
+    await send('/timezone default');
+
+    await expect(settingsService.getUserTimezone(123)).resolves.toBeNull();
+  });
+
+  it('rejects unknown timezones', async () => {
+    const [text] = await send('/timezone Mars/Olympus');
+
+    expect(text).toBe(tr('commands.timezone.invalid', { timezone: 'Mars/Olympus' }));
+    await expect(settingsService.getUserTimezone(123)).resolves.toBeNull();
+  });
+
+  it('replies with an error when the timezone cannot be stored', async () => {
+    jest.spyOn(settingsService, 'updateUserTimezone').mockRejectedValue(new Error('db down'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const [text] = await send('/timezone Europe/Berlin');
+
+    expect(text).toBe(tr('commands.timezone.error'));
+    consoleSpy.mockRestore();
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { TransferRideCommandHandler } from '../../commands/TransferRideCommandHandler.js';
+import { UserProfile } from '../../models/UserProfile.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('TransferRideCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockMessageFormatter;
+  let mockRideMessagesService;
+  let mockNotificationService;
+  let mockCtx;
+  let ride;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+  const nina = new UserProfile({ userId: 456, username: 'nina', firstName: 'Nina', lastName: '' });
+
+  beforeEach(() => {
+    ride = { id: 'abc123', title: 'Morning Ride', createdBy: 123 };
+
+    mockRideService = {
+      getRide: jest.fn().mockResolvedValue(ride),
+      transferRide: jest.fn()
+    };
+
+    mockMessageFormatter = {
+      formatParticipant: jest.fn(participant => `@${participant.username}`)
+    };
+
+    mockRideMessagesService = {
+      extractRideId: jest.fn().mockReturnValue({ rideId: 'abc123', error: null }),
+      updateRideMessages: jest.fn().mockResolvedValue({ success: true, updatedCount: 2, removedCount: 0 })
+    };
+
+    mockNotificationService = {
+      scheduleRideTransferNotification: jest.fn().mockResolvedValue()
+    };
+
+    mockCtx = {
+      reply: jest.fn().mockResolvedValue({}),
+      lang: language,
+      from: { id: 123, username: 'bob', first_name: 'Bob' },
+      message: { text: '/transferride #abc123 @nina' }
+    };
+
+    handler = new TransferRideCommandHandler(
+      mockRideService,
+      mockMessageFormatter,
+      mockRideMessagesService,
+      mockNotificationService
+    );
+  });
+
+  it('hands the ride over, updates its messages and notifies the new creator', async () => {
+    const transferredRide = { ...ride, createdBy: 456 };
+    mockRideService.transferRide.mockResolvedValue({ success: true, ride: transferredRide, newCreator: nina });
+
+    await handler.handle(mockCtx);
+
+    const previousCreator = UserProfile.fromTelegramUser(mockCtx.from);
+    expect(mockRideService.transferRide).toHaveBeenCalledWith(ride, { username: 'nina' }, previousCreator);
+    expect(mockCtx.reply).toHaveBeenCalledWith(
+      tr('commands.transfer.transferred', { name: '@nina', title: 'Morning Ride' }),
+      { parse_mode: 'HTML' }
+    );
+    expect(mockRideMessagesService.updateRideMessages).toHaveBeenCalledWith(transferredRide, mockCtx);
+    expect(mockNotificationService.scheduleRideTransferNotification).toHaveBeenCalledWith(transferredRide, previousCreator);
+  });
+
+  it('shows the usage when no rider is given', async () => {
+    mockCtx.message.text = '/transferride #abc123';
+
+    await handler.handle(mockCtx);
+
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.transfer.usage', { id: 'abc123' }), { parse_mode: 'HTML' });
+    expect(mockRideService.transferRide).not.toHaveBeenCalled();
+  });
+
+  it('explains when the rider has not responded to the ride', async () => {
+    mockRideService.transferRide.mockResolvedValue({ success: false, ride: null, reason: 'notParticipant' });
+
+    await handler.handle(mockCtx);
+
+    expect(mockCtx.reply).toHaveBeenCalledWith(
+      tr('commands.transfer.notParticipant', { user: '@nina' }),
+      { parse_mode: 'HTML' }
+    );
+    expect(mockRideMessagesService.updateRideMessages).not.toHaveBeenCalled();
+    expect(mockNotificationService.scheduleRideTransferNotification).not.toHaveBeenCalled();
+  });
+
+  it('does not let co-organizers hand the ride over', async () => {
+    mockRideService.getRide.mockResolvedValue({ ...ride, coOrganizers: [{ userId: 999 }] });
+    mockCtx.from.id = 999;
+
+    await handler.handle(mockCtx);
+
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.transfer.onlyCreator'));
+    expect(mockRideService.transferRide).not.toHaveBeenCalled();
+  });
+});
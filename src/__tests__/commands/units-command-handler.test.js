@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { UnitsCommandHandler } from '../../commands/UnitsCommandHandler.js';
+import { SettingsService } from '../../services/SettingsService.js';
+import { MemoryStorage } from '../../storage/memory.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('UnitsCommandHandler (%s)', (language) => {
+  let handler;
+  let settingsService;
+  let mockCtx;
+
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+  const send = async (text) => {
+    mockCtx.message = { text };
+    await handler.handle(mockCtx);
+    return mockCtx.reply.mock.calls[mockCtx.reply.mock.calls.length - 1];
+  };
+
+  beforeEach(() => {
+    settingsService = new SettingsService(new MemoryStorage());
+    mockCtx = {
+      lang: language,
+      chat: { id: 123, type: 'private' },
+      from: { id: 123, username: 'rider', first_name: 'Rita' },
+      reply: jest.fn().mockResolvedValue({})
+    };
+
+    handler = new UnitsCommandHandler({}, {}, {}, settingsService);
+  });
+
+  it('shows metric units when none are chosen', async () => {
+    const [text, options] = await send('/units');
+
+    expect(text).toContain(tr('commands.units.current', { units: tr('commands.units.metric') }));
+    expect(text).toContain(tr('commands.units.usage'));
+    expect(options).toEqual({ parse_mode: 'HTML' });
+  });
+
+  it('stores the unit system', async () => {
+    const [text] = await send('/units Imperial');
+
+    expect(text.startsWith(tr('commands.units.updated'))).toBe(true);
+    expect(text).toContain(tr('commands.units.current', { units: tr('commands.units.imperial') }));
+    await expect(settingsService.getUserUnits(123)).resolves.toBe('imperial');
+  });
+
+  it('restores the default unit system', async () => {
+    await send('/units imperial');
+
+    await send('/units default');
+
+    await expect(settingsService.getUserUnits(123)).resolves.toBeNull();
+  });
+
+  it('replies with the usage for unknown systems', async () => {
+    const [text] = await send('/units furlongs');
+
+    expect(text).toBe(tr('commands.units.usage'));
+    await expect(settingsService.getUserUnits(123)).resolves.toBeNull();
+  });
+
+  it('replies with an error when the unit system cannot be stored', async () => {
+    jest.spyOn(settingsService, 'updateUserUnits').mockRejectedValue(new Error('db down'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const [text] = await send('/units imperial');
+
+    expect(text).toBe(tr('commands.units.error'));
+    consoleSpy.mockRestore();
+  });
+});
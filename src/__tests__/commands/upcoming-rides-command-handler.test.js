@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { UpcomingRidesCommandHandler } from '../../commands/UpcomingRidesCommandHandler.js';
+import { t } from '../../i18n/index.js';
+
+describe.each(['en', 'ru'])('UpcomingRidesCommandHandler (%s)', (language) => {
+  let handler;
+  let mockRideService;
+  let mockMessageFormatter;
+  let mockRideMessagesService;
+  let mockCtx;
+  const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+
+  beforeEach(() => {
+    mockRideService = {
+      getUpcomingRidesForChat: jest.fn().mockResolvedValue({ rides: [{ id: '1', title: 'Ride 1' }], total: 1 })
+    };
+
+    mockMessageFormatter = {
+      formatUpcomingRidesList: jest.fn().mockReturnValue('Upcoming rides list')
+    };
+
+    mockRideMessagesService = {
+      getChatPreferences: jest.fn().mockResolvedValue({ language: null, timezone: null, units: null, defaultThreadId: null })
+    };
+
+    mockCtx = {
+      reply: jest.fn().mockResolvedValue({}),
+      editMessageText: jest.fn().mockResolvedValue({}),
+      answerCallbackQuery: jest.fn().mockResolvedValue({}),
+      lang: language,
+      chat: { id: -1001234, type: 'supergroup', username: 'velo_club' },
+      from: { id: 123 },
+      message: { text: '/upcoming' },
+      match: ['upcoming:2', '2']
+    };
+
+    handler = new UpcomingRidesCommandHandler(mockRideService, mockMessageFormatter, mockRideMessagesService);
+  });
+
+  it('lists the upcoming rides of the chat', async () => {
+    await handler.handle(mockCtx);
+
+    expect(mockRideService.getUpcomingRidesForChat).toHaveBeenCalledWith(-1001234, 0, 5);
+    expect(mockMessageFormatter.formatUpcomingRidesList).toHaveBeenCalledWith(
+      [{ id: '1', title: 'Ride 1' }],
+      1,
+      1,
+      { chatId: -1001234, chatUsername: 'velo_club', lang: language, timezone: null }
+    );
+    expect(mockCtx.reply).toHaveBeenCalledWith('Upcoming rides list', expect.objectContaining({
+      parse_mode: 'HTML',
+      reply_markup: undefined
+    }));
+  });
+
+  it('uses the language and timezone of the group', async () => {
+    mockRideMessagesService.getChatPreferences.mockResolvedValue({ language: 'ru', timezone: 'Europe/Berlin' });
+
+    await handler.handle(mockCtx);
+
+    expect(mockMessageFormatter.formatUpcomingRidesList).toHaveBeenCalledWith(
+      expect.any(Array),
+      1,
+      1,
+      expect.objectContaining({ lang: 'ru', timezone: 'Europe/Berlin' })
+    );
+  });
+
+  it('edits the list for the requested page with navigation buttons', async () => {
+    mockRideService.getUpcomingRidesForChat.mockResolvedValue({ rides: [], total: 12 });
+
+    await handler.handleCallback(mockCtx);
+
+    expect(mockRideService.getUpcomingRidesForChat).toHaveBeenCalledWith(-1001234, 5, 5);
+    const [text, options] = mockCtx.editMessageText.mock.calls[0];
+    expect(text).toBe('Upcoming rides list');
+    expect(options.reply_markup.inline_keyboard[0]).toEqual([
+      { text: tr('buttons.previous'), callback_data: 'upcoming:1' },
+      { text: tr('buttons.next'), callback_data: 'upcoming:3' }
+    ]);
+    expect(mockCtx.answerCallbackQuery).toHaveBeenCalled();
+  });
+
+  it('reports storage failures', async () => {
+    mockRideService.getUpcomingRidesForChat.mockRejectedValue(new Error('db down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await handler.handle(mockCtx);
+
+    expect(mockCtx.reply).toHaveBeenCalledWith(tr('commands.upcoming.error'));
+    console.error.mockRestore();
+  });
+});
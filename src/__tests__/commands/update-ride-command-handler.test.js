@@ -95,6 +95,22 @@ describe.each(['en', 'ru'])('UpdateRideCommandHandler (%s)', (language) => {
       expect(mockWizard.startWizard).not.toHaveBeenCalled();
     });
 
+    it('lets a co-organizer update the ride', async () => {
+      mockRideMessagesService.extractRideId.mockReturnValue({ rideId: '123', error: null });
+      mockRideService.getRide.mockResolvedValue({
+        id: '123',
+        createdBy: 999,
+        coOrganizers: [{ userId: 101112, username: 'co' }],
+        title: 'Test Ride',
+        date: new Date('2025-03-30T10:00:00Z')
+      });
+
+      await handler.handle(mockCtx);
+
+      expect(mockCtx.reply).not.toHaveBeenCalledWith(tr('commands.update.onlyCreator'));
+      expect(mockWizard.startWizard).toHaveBeenCalled();
+    });
+
     it('starts wizard with ride prefill when no inline params are provided', async () => {
       const ride = {
         id: '123',
@@ -167,6 +183,32 @@ describe.each(['en', 'ru'])('UpdateRideCommandHandler (%s)', (language) => {
       expect(mockWizard.startWizard).not.toHaveBeenCalled();
     });
 
+    it('moves the meeting point to the location the command replies to', async () => {
+      const ride = { id: '123', createdBy: 101112, title: 'Test Ride', meetingPoint: 'Old Point' };
+      const meetingPoint = { meetingPoint: 'Bike Shop, Main St 1', meetingPointLocation: { lat: 52.52, lon: 13.405 } };
+      mockCtx.message.reply_to_message = {
+        message_id: 400,
+        location: { latitude: 52.52, longitude: 13.405 },
+        venue: { title: 'Bike Shop', address: 'Main St 1' }
+      };
+      mockRideMessagesService.extractRideId.mockReturnValue({ rideId: '123', error: null });
+      mockRideService.getRide.mockResolvedValue(ride);
+      mockRideService.updateRide = jest.fn().mockResolvedValue({ ...ride, ...meetingPoint });
+      mockRideMessagesService.updateRideMessages.mockResolvedValue({ success: true, updatedCount: 2, removedCount: 0 });
+
+      await handler.handle(mockCtx);
+
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('123', meetingPoint, 101112);
+      expect(mockRideMessagesService.updateRideMessages).toHaveBeenCalledWith({ ...ride, ...meetingPoint }, mockCtx);
+      expect(mockCtx.reply).toHaveBeenCalledWith(
+        tr('commands.common.rideActionUpdatedMessages', {
+          action: tr('commands.common.actions.updated'),
+          count: 2
+        })
+      );
+      expect(mockWizard.startWizard).not.toHaveBeenCalled();
+    });
+
     it('stops and replies when params contain unknown keys', async () => {
       mockCtx.message.text = '/updateride #123\nlocation: Somewhere';
       mockRideMessagesService.extractRideId.mockReturnValue({ rideId: '123', error: null });
@@ -29,6 +29,7 @@ const mockServer = {
 
 const mockExpressApp = {
   use: jest.fn(),
+  get: jest.fn(),
   listen: jest.fn((port, cb) => {
     if (cb) cb();
     return mockServer;
@@ -103,6 +104,13 @@ describe('Bot Webhook Functionality', () => {
     expect(mockExpressApp.use).toHaveBeenCalledWith('/test-webhook', mockWebhookMiddleware);
   });
 
+  test('should register calendar feed route', async () => {
+    await botInstance.start();
+    await Promise.resolve();
+
+    expect(mockExpressApp.get).toHaveBeenCalledWith(`${appConfig.calendar.feedPath}/:token.ics`, expect.any(Function));
+  });
+
   test('should pass updates from webhook middleware to bot handler', async () => {
     await botInstance.start();
     await Promise.resolve();
@@ -78,17 +78,33 @@ describe('Bot', () => {
           expect.objectContaining({ command: 'resumeride' }),
           expect.objectContaining({ command: 'deleteride' }),
           expect.objectContaining({ command: 'settings' }),
+          expect.objectContaining({ command: 'language' }),
+          expect.objectContaining({ command: 'timezone' }),
+          expect.objectContaining({ command: 'units' }),
+          expect.objectContaining({ command: 'repeatride' }),
+          expect.objectContaining({ command: 'series' }),
+          expect.objectContaining({ command: 'addleader' }),
+          expect.objectContaining({ command: 'announce' }),
+          expect.objectContaining({ command: 'exportparticipants' }),
+          expect.objectContaining({ command: 'attendance' }),
+          expect.objectContaining({ command: 'transferride' }),
+          expect.objectContaining({ command: 'refreshroute' }),
+          expect.objectContaining({ command: 'club' }),
+          expect.objectContaining({ command: 'myrides' }),
+          expect.objectContaining({ command: 'findrides' }),
         ])
       );
       expect(bot.botConfig.commands.publicOnly).toEqual(
         expect.arrayContaining([
           expect.objectContaining({ command: 'attach' }),
           expect.objectContaining({ command: 'detach' }),
+          expect.objectContaining({ command: 'groupsettings' }),
         ])
       );
       expect(bot.botConfig.commands.mixed).toEqual(
         expect.arrayContaining([
           expect.objectContaining({ command: 'shareride' }),
+          expect.objectContaining({ command: 'upcoming' }),
         ])
       );
       expect(bot.botConfig.callbacks).toEqual(
@@ -96,6 +112,13 @@ describe('Bot', () => {
           expect.objectContaining({ pattern: /^join:(\w+)$/ }),
           expect.objectContaining({ pattern: /^thinking:(\w+)$/ }),
           expect.objectContaining({ pattern: /^skip:(\w+)$/ }),
+          expect.objectContaining({ pattern: /^startjoin:(\w+)$/ }),
+          expect.objectContaining({ pattern: /^rideowner:announce:(\w+)$/ }),
+          expect.objectContaining({ pattern: /^announce:(joined|thinking|all|cancel):(\w+)$/ }),
+          expect.objectContaining({ pattern: /^rideowner:export:(\w+)$/ }),
+          expect.objectContaining({ pattern: /^rideowner:attendance:(\w+)$/ }),
+          expect.objectContaining({ pattern: /^attendance:(\w+):(\d+):(attended|noShow)$/ }),
+          expect.objectContaining({ pattern: /^checkin:(\w+)$/ }),
           expect.objectContaining({ pattern: /^delete:(\w+):(\w+)(?::(message|callback))?$/ }),
           expect.objectContaining({ pattern: /^rideowner:update:(\w+)$/ }),
           expect.objectContaining({ pattern: /^rideowner:duplicate:(\w+)$/ }),
@@ -104,8 +127,13 @@ describe('Bot', () => {
           expect.objectContaining({ pattern: /^rideowner:resume:(\w+)$/ }),
           expect.objectContaining({ pattern: /^rideowner:participants:(\w+)$/ }),
           expect.objectContaining({ pattern: /^rideowner:settings:(\w+)$/ }),
+          expect.objectContaining({ pattern: /^listclub:(\w+):(\d+)$/ }),
+          expect.objectContaining({ pattern: /^upcoming:(\d+)$/ }),
+          expect.objectContaining({ pattern: /^myrides:(joined|thinking|past):(\d+)$/ }),
+          expect.objectContaining({ pattern: /^findrides:(\d+)$/ }),
           expect.objectContaining({ pattern: /^settings:user:bool:(\w+):(on|off)$/ }),
           expect.objectContaining({ pattern: /^settings:ride:bool:(\w+):(on|off):(\w+)$/ }),
+          expect.objectContaining({ pattern: /^language:(\w+)$/ }),
           expect.objectContaining({ pattern: /^wizard:(\w+)(?::(.*))?$/ }),
         ])
       );
@@ -137,6 +165,16 @@ describe('Bot', () => {
       expect(next).toHaveBeenCalledTimes(1);
     });
 
+    it('should resolve the i18n language from the stored user preference', async () => {
+      await storage.upsertUser({ userId: 42, settings: { language: 'ru' } });
+      const i18nMiddleware = mockBotUse.mock.calls[0][0];
+      const ctx = { from: { id: 42, language_code: 'en' } };
+
+      await i18nMiddleware(ctx, jest.fn().mockResolvedValue(undefined));
+
+      expect(ctx.lang).toBe('ru');
+    });
+
     it('should register callback query handlers', () => {
       expect(mockBotCallbackQuery).toHaveBeenCalledWith(
         /^join:(\w+)$/,
@@ -200,6 +238,11 @@ describe('Bot', () => {
       );
     });
 
+    it('should register inline mode handlers', () => {
+      expect(mockBotOn).toHaveBeenCalledWith('inline_query', expect.any(Function));
+      expect(mockBotOn).toHaveBeenCalledWith('chosen_inline_result', expect.any(Function));
+    });
+
     it('should register wizard input handler', () => {
       expect(mockBotOn).toHaveBeenCalledWith(
         'message:text',
@@ -207,6 +250,13 @@ describe('Bot', () => {
       );
     });
 
+    it('should register wizard document handler', () => {
+      expect(mockBotOn).toHaveBeenCalledWith(
+        'message:document',
+        expect.any(Function)
+      );
+    });
+
     it('should answer callback query with a generic error when a callback handler throws', async () => {
       const failingHandler = jest.fn().mockRejectedValue(new Error('Boom'));
       const callbackCtx = {
@@ -443,5 +493,64 @@ describe('Bot', () => {
       expect(mockApiSetMyCommands).toHaveBeenCalled();
       expect(mockBotStart).toHaveBeenCalled();
     });
+
+    it('should give the message formatter the bot username for deep links', async () => {
+      const { config } = await import('../../config.js');
+      config.bot.useWebhook = false;
+
+      await bot.start();
+
+      expect(mockApiGetMe).toHaveBeenCalled();
+      expect(bot.messageFormatter.botUsername).toBe('testbot');
+    });
+
+    it('should start the job worker', async () => {
+      const { config } = await import('../../config.js');
+      config.bot.useWebhook = false;
+      const workerSpy = jest.spyOn(bot.jobScheduler, 'start').mockResolvedValue();
+
+      await bot.start();
+
+      expect(workerSpy).toHaveBeenCalledWith(bot.bot.api);
+    });
+  });
+
+  describe('handleCalendarFeedRequest', () => {
+    let res;
+
+    beforeEach(() => {
+      bot = new Bot(storage);
+      res = {
+        status: jest.fn().mockReturnThis(),
+        set: jest.fn().mockReturnThis(),
+        send: jest.fn().mockReturnThis()
+      };
+    });
+
+    it('should serve the feed of a known token as text/calendar', async () => {
+      jest.spyOn(bot.calendarService, 'buildFeed').mockResolvedValue('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+
+      await bot.handleCalendarFeedRequest({ params: { token: 'secret' } }, res);
+
+      expect(bot.calendarService.buildFeed).toHaveBeenCalledWith('secret');
+      expect(res.set).toHaveBeenCalledWith('Content-Type', 'text/calendar; charset=utf-8');
+      expect(res.send).toHaveBeenCalledWith('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+    });
+
+    it('should answer 404 for unknown tokens', async () => {
+      await bot.handleCalendarFeedRequest({ params: { token: 'unknown' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should answer 500 when the feed cannot be built', async () => {
+      jest.spyOn(bot.calendarService, 'buildFeed').mockRejectedValue(new Error('db down'));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await bot.handleCalendarFeedRequest({ params: { token: 'secret' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      errorSpy.mockRestore();
+    });
   });
 });
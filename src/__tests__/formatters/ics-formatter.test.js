@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+
+import { IcsFormatter } from '../../formatters/IcsFormatter.js';
+import { config } from '../../config.js';
+import { t } from '../../i18n/index.js';
+
+describe('IcsFormatter', () => {
+  const formatter = new IcsFormatter();
+  const ride = {
+    id: 'abc123',
+    title: 'Sunday Loop, fast; no drop',
+    date: new Date('2026-10-25T08:30:00Z'),
+    duration: 150,
+    meetingPoint: 'Café "Chain", Main St',
+    routes: [
+      { url: 'https://www.strava.com/routes/1', label: 'Long' },
+      { url: 'https://www.komoot.com/tour/2' }
+    ],
+    distance: 80,
+    additionalInfo: 'Bring lights\nand a spare tube',
+    createdAt: new Date('2026-10-01T10:00:00Z'),
+    updatedAt: new Date('2026-10-02T11:15:00Z')
+  };
+
+  const unfold = (ics) => ics.replace(/\r\n /g, '');
+  const property = (ics, name) => unfold(ics).split('\r\n').find(line => line.startsWith(`${name}:`))?.slice(name.length + 1);
+
+  it('builds a calendar with one event per ride', () => {
+    const ics = formatter.formatCalendar([ride, { ...ride, id: 'def456' }]);
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(ics).toContain('UID:abc123@ridebot');
+    expect(ics).toContain('UID:def456@ridebot');
+  });
+
+  it('maps the ride fields to event properties', () => {
+    const ics = formatter.formatCalendar([ride], { language: 'en' });
+
+    expect(property(ics, 'DTSTART')).toBe('20261025T083000Z');
+    expect(property(ics, 'DTEND')).toBe('20261025T110000Z');
+    expect(property(ics, 'DTSTAMP')).toBe('20261002T111500Z');
+    expect(property(ics, 'SUMMARY')).toBe('Sunday Loop\\, fast\\; no drop');
+    expect(property(ics, 'LOCATION')).toBe('Café "Chain"\\, Main St');
+    expect(property(ics, 'URL')).toBe('https://www.strava.com/routes/1');
+    expect(property(ics, 'STATUS')).toBe('CONFIRMED');
+
+    const description = property(ics, 'DESCRIPTION');
+    expect(description).toContain('Route: Long — https://www.strava.com/routes/1');
+    expect(description).toContain('https://www.komoot.com/tour/2');
+    expect(description).toContain('Distance: 80 km');
+    expect(description).toContain('Bring lights\\nand a spare tube');
+    expect(description).toContain('#Ride #abc123');
+  });
+
+  it('gives the distance in the units of the readers', () => {
+    const ics = formatter.formatCalendar([ride], { language: 'en', units: 'imperial' });
+
+    expect(property(ics, 'DESCRIPTION')).toContain('Distance: 49.7 mi');
+  });
+
+  it('uses the default length for rides without a duration', () => {
+    const ics = formatter.formatCalendar([{ ...ride, duration: undefined }]);
+
+    const minutes = config.calendar.defaultEventDurationMinutes;
+    const end = new Date(ride.date.getTime() + minutes * 60 * 1000);
+    expect(property(ics, 'DTEND')).toBe(formatter.formatDateTime(end));
+  });
+
+  it('marks cancelled rides', () => {
+    const ics = formatter.formatCalendar([{ ...ride, cancelled: true }], { language: 'en' });
+
+    expect(property(ics, 'STATUS')).toBe('CANCELLED');
+    expect(property(ics, 'SUMMARY')).toBe(`${t('en', 'templates.cancelled')} Sunday Loop\\, fast\\; no drop`);
+  });
+
+  it('adds the feed name and refresh interval when given', () => {
+    const ics = formatter.formatCalendar([], { name: 'Bike rides', refreshMinutes: 60 });
+
+    expect(ics).toContain('X-WR-CALNAME:Bike rides\r\n');
+    expect(ics).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT60M\r\n');
+    expect(ics).not.toContain('BEGIN:VEVENT');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'Поездка '.repeat(20)}`;
+
+    const folded = formatter.foldLine(line);
+
+    const chunks = folded.split('\r\n');
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(Buffer.byteLength(chunk)).toBeLessThanOrEqual(75));
+    chunks.slice(1).forEach(chunk => expect(chunk.startsWith(' ')).toBe(true));
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+  });
+});
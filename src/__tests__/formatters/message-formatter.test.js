@@ -155,7 +155,7 @@ describe('MessageFormatter', () => {
 
       const result = messageFormatter.getRideKeyboard(ride, 'en', true);
 
-      expect(result.inline_keyboard).toHaveLength(2);
+      expect(result.inline_keyboard).toHaveLength(3);
       expect(result.inline_keyboard[0]).toEqual(
         expect.arrayContaining([
           expect.objectContaining({ callback_data: 'rideowner:update:123' }),
@@ -170,6 +170,43 @@ describe('MessageFormatter', () => {
           expect.objectContaining({ callback_data: 'rideowner:settings:123' }),
         ])
       );
+      expect(result.inline_keyboard[2]).toEqual([
+        expect.objectContaining({ callback_data: 'rideowner:leaders:123' }),
+        expect.objectContaining({ callback_data: 'rideowner:announce:123' }),
+        expect.objectContaining({ callback_data: 'rideowner:export:123' })
+      ]);
+    });
+
+    it('adds check-in and attendance buttons once check-in opens', () => {
+      const ride = {
+        id: '123',
+        title: 'Test Ride',
+        date: new Date(Date.now() - 10 * 60 * 1000),
+        cancelled: false
+      };
+
+      const result = messageFormatter.getRideKeyboard(ride, 'en', true);
+
+      expect(result.inline_keyboard[1]).toEqual([
+        expect.objectContaining({ text: tr('en', 'buttons.checkIn'), callback_data: 'checkin:123' })
+      ]);
+      expect(result.inline_keyboard.flat()).toContainEqual(
+        expect.objectContaining({ text: tr('en', 'buttons.attendance'), callback_data: 'rideowner:attendance:123' })
+      );
+    });
+
+    it('keeps the attendance button after check-in closes', () => {
+      const ride = {
+        id: '123',
+        title: 'Test Ride',
+        date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+        cancelled: false
+      };
+
+      const callbacks = messageFormatter.getRideKeyboard(ride, 'en', true).inline_keyboard.flat().map(button => button.callback_data);
+
+      expect(callbacks).not.toContain('checkin:123');
+      expect(callbacks).toContain('rideowner:attendance:123');
     });
   });
   
@@ -213,7 +250,7 @@ describe('MessageFormatter', () => {
       expect(result).toContain('Ride #123');
       expect(result).toContain('Bring lights and a jacket');
       expect(messageFormatter.formatDuration).toHaveBeenCalledWith(120, 'en');
-      expect(messageFormatter.formatSpeedRange).toHaveBeenCalledWith(25, 30, 'en');
+      expect(messageFormatter.formatSpeedRange).toHaveBeenCalledWith(25, 30, 'en', undefined);
     });
     
     it.each(['en', 'ru'])('should format ride message with cancelled status (%s)', (language) => {
@@ -259,6 +296,22 @@ describe('MessageFormatter', () => {
       expect(result).not.toContain(tr(language, 'formatter.labels.speed'));
     });
     
+    it.each(['en', 'ru'])('should link the meeting point to its map pin (%s)', (language) => {
+      const ride = {
+        id: '123',
+        title: 'Test Ride',
+        date: new Date('2025-03-30T10:00:00Z'),
+        meetingPoint: 'Bike Shop',
+        meetingPointLocation: { lat: 52.52, lon: 13.405 }
+      };
+
+      const result = messageFormatter.formatRideMessage(ride, [], { lang: language });
+
+      expect(result).toContain(
+        `${tr(language, 'formatter.labels.meetingPoint')}: Bike Shop (<a href="https://www.google.com/maps/search/?api=1&amp;query=52.52,13.405">${tr(language, 'formatter.labels.map')}</a>)`
+      );
+    });
+
     it('should format participants correctly', () => {
       // Setup
       const ride = {
@@ -296,7 +349,91 @@ describe('MessageFormatter', () => {
       const formatSpy = jest.spyOn(DateParser, 'formatDateTime');
       messageFormatter.formatRideMessage(ride, { joined: [], thinking: [], skipped: [] }, { lang: 'ru' });
 
-      expect(formatSpy).toHaveBeenCalledWith(ride.date, 'ru');
+      expect(formatSpy.mock.calls[0].slice(0, 2)).toEqual([ride.date, 'ru']);
+    });
+
+    it('should format date in the timezone of the ride', () => {
+      const ride = {
+        id: '123',
+        title: 'Test Ride',
+        date: new Date('2025-03-30T23:30:00Z'),
+        timezone: 'Asia/Tokyo'
+      };
+
+      const result = messageFormatter.formatRideMessage(ride, { joined: [], thinking: [], skipped: [] });
+
+      expect(result).toContain('08:30 (Asia/Tokyo)');
+    });
+
+    it('should add the local time of the readers', () => {
+      const ride = {
+        id: '123',
+        title: 'Test Ride',
+        date: new Date('2025-03-30T10:00:00Z'),
+        timezone: 'Europe/London'
+      };
+
+      const result = messageFormatter.formatRideMessage(ride, { joined: [], thinking: [], skipped: [] }, { timezone: 'Asia/Tokyo' });
+
+      expect(result).toContain(t('en', 'formatter.viewerTime', { time: '19:00', timezone: 'Asia/Tokyo' }));
+    });
+
+    it('should not add the local time when it matches the ride time', () => {
+      const ride = {
+        id: '123',
+        title: 'Test Ride',
+        date: new Date('2025-03-30T10:00:00Z'),
+        timezone: 'Europe/London'
+      };
+
+      const result = messageFormatter.formatRideMessage(ride, { joined: [], thinking: [], skipped: [] }, { timezone: 'Europe/Lisbon' });
+
+      expect(result).not.toContain('Europe/Lisbon');
+    });
+
+    it('should render distance and speed in the unit system of the readers', () => {
+      const ride = {
+        id: '123',
+        title: 'Test Ride',
+        date: new Date('2025-03-30T10:00:00Z'),
+        distance: 40.2,
+        speedMin: 25.7,
+        speedMax: 29
+      };
+
+      const result = messageFormatter.formatRideMessage(ride, { joined: [], thinking: [], skipped: [] }, { units: 'imperial' });
+
+      expect(result).toContain(`25 ${t('en', 'formatter.units.mi')}`);
+      expect(result).toContain(`16-18 ${t('en', 'formatter.units.mph')}`);
+    });
+
+    it.each(['en', 'ru'])('should render elevation gain and the difficulty grade (%s)', (language) => {
+      const ride = {
+        id: '123',
+        title: 'Test Ride',
+        date: new Date('2025-03-30T10:00:00Z'),
+        distance: 100,
+        elevation: 1500
+      };
+
+      const result = messageFormatter.formatRideMessage(ride, {}, { lang: language });
+      const imperial = messageFormatter.formatRideMessage(ride, {}, { lang: language, units: 'imperial' });
+
+      expect(result).toContain(`⛰ ${tr(language, 'formatter.labels.elevation')}: 1500 ${tr(language, 'formatter.units.m')}\n`);
+      expect(result).toContain(`📈 ${tr(language, 'formatter.labels.difficulty')}: ${tr(language, 'formatter.difficulty.veryHard')}\n`);
+      expect(imperial).toContain(`4921 ${tr(language, 'formatter.units.ft')}`);
+    });
+
+    it('should not grade rides without a distance', () => {
+      const result = messageFormatter.formatRideMessage({
+        id: '123',
+        title: 'Test Ride',
+        date: new Date('2025-03-30T10:00:00Z'),
+        elevation: 800
+      }, {});
+
+      expect(result).toContain('⛰');
+      expect(result).not.toContain('📈');
     });
 
     it.each(['en', 'ru'])('should truncate participants when there are more than MAX_PARTICIPANTS_DISPLAY (%s)', (language) => {
@@ -526,6 +663,45 @@ describe('MessageFormatter', () => {
       expect(result).toContain(`\n\n${tr(language, 'formatter.shareLine', { id: 'abc123' })}\n\n🎫 #Ride #abc123`);
     });
 
+    it.each(['en', 'ru'])('should include deep links to the ride when the bot username is known (%s)', (language) => {
+      const formatter = new MessageFormatter({ botUsername: 'testbot' });
+      const ride = {
+        id: 'abc123',
+        title: 'Test Ride',
+        date: new Date('2025-03-30T10:00:00Z'),
+        groupId: -1001234
+      };
+      const links = {
+        id: 'abc123',
+        rideLink: 'https://t.me/testbot?start=ride_abc123',
+        joinLink: 'https://t.me/testbot?start=join_abc123'
+      };
+
+      const forCreator = formatter.formatRideMessage(ride, {}, { isForCreator: true, lang: language });
+      const forOthers = formatter.formatRideMessage(ride, {}, { isForCreator: false, lang: language });
+
+      expect(forCreator).toContain(`${tr(language, 'formatter.shareLineWithLinks', links)}\n\n🎫 #Ride #abc123`);
+      expect(forCreator).toContain(tr(language, 'formatter.groupChatLineWithLink', links));
+      expect(forOthers).not.toContain(links.rideLink);
+      expect(forOthers).toContain(tr(language, 'formatter.groupChatLineWithLink', links));
+      expect(forOthers).not.toContain(tr(language, 'formatter.groupChatLine', { id: 'abc123' }));
+    });
+
+    it.each(['en', 'ru'])('should link the route file to its deep link when the bot username is known (%s)', (language) => {
+      const ride = {
+        id: 'abc123',
+        title: 'Test Ride',
+        date: new Date('2025-03-30T10:00:00Z'),
+        routeFile: { fileId: 'file-1', fileName: 'Lake <loop>.gpx' }
+      };
+
+      const linked = new MessageFormatter({ botUsername: 'testbot' }).formatRideMessage(ride, {}, { lang: language });
+      const plain = messageFormatter.formatRideMessage(ride, {}, { lang: language });
+
+      expect(linked).toContain(`📎 ${tr(language, 'formatter.labels.routeFile')}: <a href="https://t.me/testbot?start=gpx_abc123">Lake &lt;loop&gt;.gpx</a>`);
+      expect(plain).toContain(`📎 ${tr(language, 'formatter.labels.routeFile')}: Lake &lt;loop&gt;.gpx\n`);
+    });
+
     it.each(['en', 'ru'])('should not include share line for non-creator (%s)', (language) => {
       // Setup
       const ride = {
@@ -545,6 +721,43 @@ describe('MessageFormatter', () => {
       // Should have only one empty line before the #Ride line
       expect(result).toMatch(/\n\n🎫 #Ride #abc123/);
     });
+
+    it.each(['en', 'ru'])('should show joined count against the limit and the waitlist (%s)', (language) => {
+      const ride = {
+        id: 'abc123',
+        title: 'Capped Ride',
+        date: new Date('2025-03-30T10:00:00Z'),
+        maxParticipants: 2
+      };
+      const participation = {
+        joined: [
+          { userId: 1, firstName: 'First', username: 'first' },
+          { userId: 2, firstName: 'Second', username: 'second' }
+        ],
+        thinking: [],
+        skipped: [],
+        waitlist: [{ userId: 3, firstName: 'Waiting', username: 'waiting' }]
+      };
+
+      const result = messageFormatter.formatRideMessage(ride, participation, { lang: language });
+
+      expect(result).toContain(`${tr(language, 'formatter.participation.joined')} (2/2)`);
+      expect(result).toContain(`⏳ ${tr(language, 'formatter.participation.waitlist')} (1): `);
+      expect(result).toContain('Waiting');
+    });
+
+    it.each(['en', 'ru'])('should hide the waitlist line when nobody is waiting (%s)', (language) => {
+      const ride = {
+        id: 'abc123',
+        title: 'Open Ride',
+        date: new Date('2025-03-30T10:00:00Z')
+      };
+
+      const result = messageFormatter.formatRideMessage(ride, { joined: [], thinking: [], skipped: [] }, { lang: language });
+
+      expect(result).toContain(`${tr(language, 'formatter.participation.joined')} (0)`);
+      expect(result).not.toContain('⏳');
+    });
   });
   
   describe('formatRidesList', () => {
@@ -606,6 +819,80 @@ describe('MessageFormatter', () => {
       expect(result).toContain(tr(language, 'formatter.pageLabel', { page: 2, totalPages: 3 }));
     });
   });
+
+  describe('formatMyRidesList', () => {
+    const rides = [
+      {
+        id: '123',
+        title: 'Full Ride',
+        date: new Date('2025-03-30T10:00:00Z'),
+        meetingPoint: 'Location 1',
+        participation: { joined: [], waitlist: [{ userId: 7 }] }
+      },
+      {
+        id: '456',
+        title: 'Called Off',
+        date: new Date('2025-03-31T11:00:00Z'),
+        cancelled: true,
+        participation: { joined: [{ userId: 7 }] }
+      }
+    ];
+
+    it.each(['en', 'ru'])('should number the rides and mark waitlist and cancellations (%s)', (language) => {
+      const result = messageFormatter.formatMyRidesList(rides, 1, 1, { tab: 'joined', userId: 7, lang: language });
+
+      expect(result).toContain(tr(language, 'formatter.myRides.titles.joined'));
+      expect(result).toContain('1. <b>Full Ride</b>');
+      expect(result).toContain(`⏳ ${tr(language, 'formatter.myRides.onWaitlist')}`);
+      expect(result).toContain(`2. <b>Called Off</b> ${tr(language, 'templates.cancelled')}`);
+      expect(result).toContain('#Ride #456');
+    });
+
+    it.each(['en', 'ru'])('should explain an empty tab (%s)', (language) => {
+      const result = messageFormatter.formatMyRidesList([], 1, 1, { tab: 'past', userId: 7, lang: language });
+
+      expect(result).toBe(tr(language, 'formatter.myRides.empty.past'));
+    });
+  });
+
+  describe('formatUpcomingRidesList', () => {
+    const rides = [
+      {
+        id: '123',
+        title: 'Morning <Loop>',
+        date: new Date('2025-03-30T10:00:00Z'),
+        meetingPoint: 'Location 1',
+        maxParticipants: 10,
+        participation: { joined: [{ userId: 1 }, { userId: 2 }] },
+        messages: [{ chatId: -1001234, messageId: 42 }]
+      },
+      {
+        id: '456',
+        title: 'Attached Ride',
+        date: new Date('2025-03-31T11:00:00Z'),
+        groupId: -1001234,
+        messages: []
+      }
+    ];
+
+    it.each(['en', 'ru'])('should link each ride to its message in the chat (%s)', (language) => {
+      const result = messageFormatter.formatUpcomingRidesList(rides, 1, 2, { chatId: -1001234, lang: language });
+
+      expect(result).toContain(tr(language, 'formatter.upcomingRidesTitle'));
+      expect(result).toContain('<b><a href="https://t.me/c/1234/42">Morning &lt;Loop&gt;</a></b>');
+      expect(result).toContain('<b>Attached Ride</b>');
+      expect(result).toContain('📍 Location 1');
+      expect(result).toContain(`🚴 ${tr(language, 'formatter.participation.joined')}: 2/10`);
+      expect(result).toContain(`🚴 ${tr(language, 'formatter.participation.joined')}: 0`);
+      expect(result).toContain(tr(language, 'formatter.pageLabel', { page: 1, totalPages: 2 }));
+    });
+
+    it.each(['en', 'ru'])('should explain an empty list (%s)', (language) => {
+      const result = messageFormatter.formatUpcomingRidesList([], 1, 1, { chatId: -1001234, lang: language });
+
+      expect(result).toBe(tr(language, 'formatter.noUpcomingRides'));
+    });
+  });
   
   describe('formatDuration', () => {
     it.each(['en', 'ru'])('should format duration less than an hour (%s)', (language) => {
@@ -635,7 +922,7 @@ describe('MessageFormatter', () => {
     });
 
     it.each(['en', 'ru'])('should format speed range with only max (%s)', (language) => {
-      expect(messageFormatter.formatSpeedRange(null, 30, language)).toBe(tr(language, 'formatter.upToSpeed', { max: 30 }));
+      expect(messageFormatter.formatSpeedRange(null, 30, language)).toBe(tr(language, 'formatter.upToSpeed', { max: 30, unit: tr(language, 'formatter.units.kmh') }));
     });
   });
 
@@ -692,6 +979,12 @@ describe('MessageFormatter', () => {
       expect(result).toContain(tr(language, 'formatter.units.km'));
     });
 
+    it.each(['en', 'ru'])('renders elevation gain and difficulty (%s)', (language) => {
+      const result = messageFormatter.formatRidePreview({ title: 'Test', distance: 30, elevation: 200 }, language);
+      expect(result).toContain(`200 ${tr(language, 'formatter.units.m')}`);
+      expect(result).toContain(tr(language, 'formatter.difficulty.easy'));
+    });
+
     it.each(['en', 'ru'])('renders duration via formatDuration (%s)', (language) => {
       const result = messageFormatter.formatRidePreview({ title: 'Test', duration: 90 }, language);
       expect(result).toContain(tr(language, 'formatter.labels.duration'));
@@ -494,6 +494,7 @@ describe('Scenario Harness Integration', () => {
       },
     });
     await jest.advanceTimersByTimeAsync(20_000);
+    await harness.runDueJobs();
 
     expect(harness.outbox.replies).toHaveLength(repliesBeforeFirstJoin);
 
@@ -536,6 +537,7 @@ describe('Scenario Harness Integration', () => {
       },
     });
     await jest.advanceTimersByTimeAsync(20_000);
+    await harness.runDueJobs();
 
     expect(harness.outbox.replies).toEqual(
       expect.arrayContaining([
@@ -546,4 +548,61 @@ describe('Scenario Harness Integration', () => {
       ])
     );
   });
+
+  it('waitlists riders on a full ride and promotes them when a spot opens up', async () => {
+    const harness = await createScenarioHarness();
+    const owner = { id: 42, first_name: 'Alex', last_name: 'Rider', username: 'alex' };
+    const guestOne = { id: 77, first_name: 'Sam', last_name: 'Guest', username: 'sam' };
+    const guestTwo = { id: 78, first_name: 'Mia', last_name: 'Guest', username: 'mia' };
+    const chat = { id: 501, type: 'private' };
+
+    await harness.dispatchMessage({
+      text: '/newride\ntitle: Small Group Ride\nwhen: tomorrow 11:00\nmax: 2',
+      chat,
+      from: owner,
+    });
+
+    const [ride] = harness.listRides();
+    expect(ride.maxParticipants).toBe(2);
+    const trackedMessage = ride.messages[0];
+    const participationCallback = (data, from) => harness.dispatchCallback({
+      data,
+      chat,
+      from,
+      message: {
+        message_id: trackedMessage.messageId,
+        text: harness.outbox.replies[0].text,
+        chat,
+        from: { id: 0, is_bot: true, username: 'testbot' },
+      },
+    });
+
+    await participationCallback(`join:${ride.id}`, guestOne);
+    await participationCallback(`join:${ride.id}`, guestTwo);
+
+    let updatedRide = harness.getRide(ride.id);
+    expect(updatedRide.participation.joined.map(p => p.userId)).toEqual([owner.id, guestOne.id]);
+    expect(updatedRide.participation.waitlist.map(p => p.userId)).toEqual([guestTwo.id]);
+    expect(harness.outbox.callbackAnswers).toContainEqual({
+      text: tr('commands.participation.waitlistSuccess'),
+    });
+    expect(harness.outbox.edits[harness.outbox.edits.length - 1].text).toContain(
+      `${tr('formatter.participation.joined')} (2/2)`
+    );
+
+    await participationCallback(`skip:${ride.id}`, guestOne);
+    await harness.runDueJobs();
+
+    updatedRide = harness.getRide(ride.id);
+    expect(updatedRide.participation.joined.map(p => p.userId)).toEqual([owner.id, guestTwo.id]);
+    expect(updatedRide.participation.waitlist).toEqual([]);
+    expect(harness.outbox.replies).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          chatId: guestTwo.id,
+          text: tr('commands.notifications.promotedFromWaitlist', { title: 'Small Group Ride', rideId: ride.id }),
+        }),
+      ])
+    );
+  });
 });
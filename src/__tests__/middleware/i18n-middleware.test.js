@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { createI18nMiddleware } from '../../middleware/i18nMiddleware.js';
+import { config } from '../../config.js';
+
+describe('i18nMiddleware', () => {
+  let settingsService;
+  let middleware;
+  let next;
+
+  beforeEach(() => {
+    settingsService = { getUserLanguage: jest.fn().mockResolvedValue(null) };
+    middleware = createI18nMiddleware(settingsService);
+    next = jest.fn().mockResolvedValue(undefined);
+  });
+
+  it('should prefer the language stored for the user', async () => {
+    settingsService.getUserLanguage.mockResolvedValue('ru');
+    const ctx = { from: { id: 1, language_code: 'en' } };
+
+    await middleware(ctx, next);
+
+    expect(settingsService.getUserLanguage).toHaveBeenCalledWith(1);
+    expect(ctx.lang).toBe('ru');
+    expect(ctx.t('common.yes')).toBe('Да');
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('should use the Telegram client language when none is stored', async () => {
+    const ctx = { from: { id: 1, language_code: 'ru-RU' } };
+
+    await middleware(ctx, next);
+
+    expect(ctx.lang).toBe('ru');
+  });
+
+  it('should fall back to the default language for unsupported client languages', async () => {
+    const ctx = { from: { id: 1, language_code: 'de' } };
+
+    await middleware(ctx, next);
+
+    expect(ctx.lang).toBe(config.i18n.defaultLanguage);
+  });
+
+  it('should use the default language for updates without a user', async () => {
+    const ctx = {};
+
+    await middleware(ctx, next);
+
+    expect(settingsService.getUserLanguage).not.toHaveBeenCalled();
+    expect(ctx.lang).toBe(config.i18n.defaultLanguage);
+  });
+
+  it('should keep handling the update when the stored language cannot be loaded', async () => {
+    settingsService.getUserLanguage.mockRejectedValue(new Error('db down'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const ctx = { from: { id: 1, language_code: 'ru' } };
+
+    await middleware(ctx, next);
+
+    expect(ctx.lang).toBe('ru');
+    expect(next).toHaveBeenCalledTimes(1);
+    consoleSpy.mockRestore();
+  });
+});
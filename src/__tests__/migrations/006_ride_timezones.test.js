@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+
+import { migrateRideTimezones } from '../../migrations/migrations/006_ride_timezones.js';
+
+function createFakeDb({ rides = [] } = {}) {
+  const collections = {
+    rides: rides.map(item => ({ ...item }))
+  };
+
+  return {
+    ...collections,
+    collection(name) {
+      const collection = collections[name];
+      if (!collection) {
+        throw new Error(`Unexpected collection: ${name}`);
+      }
+
+      return {
+        async updateMany(filter, update) {
+          let modifiedCount = 0;
+
+          collection.forEach(document => {
+            const exists = Object.prototype.hasOwnProperty.call(document, 'timezone');
+            if (exists !== filter.timezone.$exists) {
+              return;
+            }
+
+            Object.assign(document, update.$set);
+            modifiedCount += 1;
+          });
+
+          return { modifiedCount };
+        }
+      };
+    }
+  };
+}
+
+describe('migrateRideTimezones', () => {
+  it('assigns the deployment timezone to rides without one', async () => {
+    const db = createFakeDb({
+      rides: [
+        { _id: 1, title: 'Old ride' },
+        { _id: 2, title: 'Tokyo ride', timezone: 'Asia/Tokyo' }
+      ]
+    });
+
+    await migrateRideTimezones(db, 'Europe/Berlin');
+
+    expect(db.rides[0].timezone).toBe('Europe/Berlin');
+    expect(db.rides[1].timezone).toBe('Asia/Tokyo');
+  });
+
+  it('marks rides as using server time when no default timezone is configured', async () => {
+    const db = createFakeDb({ rides: [{ _id: 1, title: 'Old ride' }] });
+
+    await migrateRideTimezones(db, null);
+
+    expect(db.rides[0]).toHaveProperty('timezone', null);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+
+import { migrateToSchedulerJobs } from '../../migrations/migrations/007_scheduler_jobs.js';
+import { config } from '../../config.js';
+
+function createFakeDb({ ridereminders = [], rideseries = [] } = {}) {
+  const collections = {
+    ridereminders: ridereminders.map(item => ({ ...item })),
+    rideseries: rideseries.map(item => ({ ...item })),
+    jobs: []
+  };
+
+  return {
+    ...collections,
+    collection(name) {
+      const collection = collections[name];
+      if (!collection) {
+        throw new Error(`Unexpected collection: ${name}`);
+      }
+
+      return {
+        find(filter) {
+          return {
+            async toArray() {
+              return collection.filter(document => document.status === filter.status);
+            }
+          };
+        },
+        async insertMany(documents) {
+          collection.push(...documents);
+          return { insertedCount: documents.length };
+        }
+      };
+    }
+  };
+}
+
+describe('migrateToSchedulerJobs', () => {
+  const now = new Date('2026-10-19T09:00:00Z');
+
+  it('turns pending reminders into reminder jobs', async () => {
+    const dueAt = new Date('2026-10-20T16:30:00Z');
+    const db = createFakeDb({
+      ridereminders: [
+        { _id: 1, rideId: 'ride1', offsetMinutes: 120, dueAt, status: 'pending' },
+        { _id: 2, rideId: 'ride1', offsetMinutes: 1440, dueAt: new Date('2026-10-19T18:30:00Z'), status: 'sent' }
+      ]
+    });
+
+    await migrateToSchedulerJobs(db, now);
+
+    expect(db.jobs).toEqual([{
+      type: 'reminder:ride',
+      key: 'reminder:ride1:120',
+      payload: { rideId: 'ride1', offsetMinutes: 120, dueAt },
+      status: 'pending',
+      runAt: dueAt,
+      attempts: 0,
+      maxAttempts: config.jobs.maxAttempts,
+      lockedUntil: null,
+      createdAt: now
+    }]);
+  });
+
+  it('schedules a job for every active ride series right away', async () => {
+    const db = createFakeDb({
+      rideseries: [
+        { _id: { toString: () => 'series1' }, status: 'active' },
+        { _id: { toString: () => 'series2' }, status: 'paused' }
+      ]
+    });
+
+    await migrateToSchedulerJobs(db, now);
+
+    expect(db.jobs).toEqual([expect.objectContaining({
+      type: 'rideSeries:createRides',
+      key: 'rideSeries:series1',
+      payload: { seriesId: 'series1' },
+      runAt: now
+    })]);
+  });
+
+  it('does nothing without reminders or series', async () => {
+    const db = createFakeDb();
+
+    await migrateToSchedulerJobs(db, now);
+
+    expect(db.jobs).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+
+import { migrateCheckInJobs } from '../../migrations/migrations/008_check_in_jobs.js';
+import { config } from '../../config.js';
+
+const MINUTE_MS = 60 * 1000;
+
+function createFakeDb({ rides = [] } = {}) {
+  const collections = {
+    rides: rides.map(item => ({ ...item })),
+    jobs: []
+  };
+
+  return {
+    ...collections,
+    collection(name) {
+      const collection = collections[name];
+      if (!collection) {
+        throw new Error(`Unexpected collection: ${name}`);
+      }
+
+      return {
+        find(filter) {
+          return {
+            async toArray() {
+              return collection.filter(document => document.cancelled !== filter.cancelled.$ne
+                && document.date > filter.date.$gt);
+            }
+          };
+        },
+        async insertMany(documents) {
+          collection.push(...documents);
+          return { insertedCount: documents.length };
+        }
+      };
+    }
+  };
+}
+
+describe('migrateCheckInJobs', () => {
+  const now = new Date('2026-10-19T09:00:00Z');
+  const rideId = (id) => ({ toString: () => id });
+  const inMinutes = (minutes) => new Date(now.getTime() + minutes * MINUTE_MS);
+
+  it('schedules the opening and closing of check-in for upcoming rides', async () => {
+    const date = inMinutes(24 * 60);
+    const db = createFakeDb({ rides: [{ _id: rideId('ride1'), date }] });
+
+    await migrateCheckInJobs(db, now);
+
+    expect(db.jobs).toEqual([
+      {
+        type: 'checkIn:refreshMessages',
+        key: 'checkIn:ride1:open',
+        payload: { rideId: 'ride1', date },
+        status: 'pending',
+        runAt: new Date(date.getTime() - config.attendance.checkInOpensMinutesBefore * MINUTE_MS),
+        attempts: 0,
+        maxAttempts: config.jobs.maxAttempts,
+        lockedUntil: null,
+        createdAt: now
+      },
+      expect.objectContaining({
+        key: 'checkIn:ride1:close',
+        runAt: new Date(date.getTime() + config.attendance.checkInClosesMinutesAfter * MINUTE_MS)
+      })
+    ]);
+  });
+
+  it('only closes the check-in of rides whose check-in is open and skips cancelled and past rides', async () => {
+    const db = createFakeDb({
+      rides: [
+        { _id: rideId('ongoing'), date: inMinutes(10) },
+        { _id: rideId('cancelled'), date: inMinutes(24 * 60), cancelled: true },
+        { _id: rideId('past'), date: inMinutes(-7 * 24 * 60) }
+      ]
+    });
+
+    await migrateCheckInJobs(db, now);
+
+    expect(db.jobs.map(job => job.key)).toEqual(['checkIn:ongoing:close']);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+
+import { migrateReminderJobs } from '../../migrations/migrations/009_reminder_jobs.js';
+import { config } from '../../config.js';
+
+const MINUTE_MS = 60 * 1000;
+
+function createFakeDb({ rides = [], jobs = [] } = {}) {
+  const collections = {
+    rides: rides.map(item => ({ ...item })),
+    jobs: jobs.map(item => ({ ...item }))
+  };
+
+  return {
+    ...collections,
+    collection(name) {
+      const collection = collections[name];
+      if (!collection) {
+        throw new Error(`Unexpected collection: ${name}`);
+      }
+
+      return {
+        find(filter) {
+          return {
+            async toArray() {
+              if (name === 'jobs') {
+                return collection.filter(document => document.type === filter.type && document.status === filter.status);
+              }
+              return collection.filter(document => document.cancelled !== filter.cancelled.$ne
+                && document.date > filter.date.$gt);
+            }
+          };
+        },
+        async insertMany(documents) {
+          collection.push(...documents);
+          return { insertedCount: documents.length };
+        }
+      };
+    }
+  };
+}
+
+describe('migrateReminderJobs', () => {
+  const now = new Date('2026-10-19T09:00:00Z');
+  const rideId = (id) => ({ toString: () => id });
+  const inMinutes = (minutes) => new Date(now.getTime() + minutes * MINUTE_MS);
+
+  it('schedules the reminders of upcoming rides by their reminder setting', async () => {
+    const date = inMinutes(3 * 24 * 60);
+    const db = createFakeDb({ rides: [{ _id: rideId('ride1'), date, settings: { reminders: [1440, 120] } }] });
+
+    await migrateReminderJobs(db, now);
+
+    expect(db.jobs).toEqual([
+      {
+        type: 'reminder:ride',
+        key: 'reminder:ride1:1440',
+        payload: { rideId: 'ride1', offsetMinutes: 1440, dueAt: inMinutes(2 * 24 * 60) },
+        status: 'pending',
+        runAt: inMinutes(2 * 24 * 60),
+        attempts: 0,
+        maxAttempts: config.jobs.maxAttempts,
+        lockedUntil: null,
+        createdAt: now
+      },
+      expect.objectContaining({
+        key: 'reminder:ride1:120',
+        payload: { rideId: 'ride1', offsetMinutes: 120, dueAt: inMinutes(3 * 24 * 60 - 120) },
+        runAt: inMinutes(3 * 24 * 60 - 120)
+      })
+    ]);
+  });
+
+  it('skips reminders that are due already, turned off or scheduled, and cancelled and past rides', async () => {
+    const db = createFakeDb({
+      rides: [
+        { _id: rideId('soon'), date: inMinutes(180), settings: { reminders: [1440, 120] } },
+        { _id: rideId('off'), date: inMinutes(3 * 24 * 60), settings: { reminders: [] } },
+        { _id: rideId('moved'), date: inMinutes(3 * 24 * 60), settings: { reminders: [1440, 120] } },
+        { _id: rideId('cancelled'), date: inMinutes(3 * 24 * 60), cancelled: true, settings: { reminders: [120] } },
+        { _id: rideId('past'), date: inMinutes(-60), settings: { reminders: [120] } }
+      ],
+      jobs: [{ type: 'reminder:ride', key: 'reminder:moved:1440', status: 'pending' }]
+    });
+
+    await migrateReminderJobs(db, now);
+
+    expect(db.jobs.map(job => job.key)).toEqual(['reminder:moved:1440', 'reminder:soon:120', 'reminder:moved:120']);
+  });
+});
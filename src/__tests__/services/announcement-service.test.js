@@ -0,0 +1,240 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { AnnouncementService, ANNOUNCEMENT_JOB_TYPE } from '../../services/AnnouncementService.js';
+import { JobSchedulerService } from '../../services/JobSchedulerService.js';
+import { MemoryStorage } from '../../storage/memory.js';
+import { UserProfile } from '../../models/UserProfile.js';
+import { t } from '../../i18n/index.js';
+import { config } from '../../config.js';
+
+const tr = (language, key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+
+describe('AnnouncementService', () => {
+  let service;
+  let settingsService;
+  let storage;
+  let jobScheduler;
+  let api;
+  let originalInterval;
+  let originalMessagesPerJob;
+  const sender = new UserProfile({ userId: 100, username: 'olga', firstName: 'Olga' });
+  const ride = {
+    id: 'ride-1',
+    title: 'Morning <Ride>',
+    createdBy: 100,
+    groupId: -100500,
+    participation: {
+      joined: [{ userId: 100, firstName: 'Olga' }, { userId: 201, firstName: 'Alice' }],
+      waitlist: [{ userId: 202, firstName: 'Bob' }],
+      thinking: [{ userId: 203, firstName: 'Carol' }, { userId: 201, firstName: 'Alice' }],
+      skipped: [{ userId: 204, firstName: 'Dan' }]
+    }
+  };
+
+  const report = { chatId: 100, messageId: 77, language: 'en' };
+
+  const announce = (target, overrides = {}) =>
+    service.scheduleAnnouncement(ride, { text: 'Hi', target, sender, report, ...overrides });
+
+  // Run the announcement jobs, retries included, moving the clock a day ahead for each round
+  const runJobs = async () => {
+    let now = Date.now();
+    for (let round = 0; round < 20 && pendingJobs().length > 0; round++) {
+      now += 24 * 60 * 60 * 1000;
+      await jobScheduler.processDueJobs(api, new Date(now));
+    }
+  };
+
+  const pendingJobs = () => Array.from(storage.jobs.values())
+    .filter(job => job.type === ANNOUNCEMENT_JOB_TYPE && job.status === 'pending');
+
+  const expectReport = (counts) => {
+    expect(api.editMessageText).toHaveBeenCalledTimes(1);
+    expect(api.editMessageText).toHaveBeenCalledWith(100, 77, tr('en', 'commands.announce.report', counts));
+  };
+
+  beforeEach(() => {
+    originalInterval = config.announcements.sendIntervalMs;
+    originalMessagesPerJob = config.announcements.messagesPerJob;
+    config.announcements.sendIntervalMs = 0;
+
+    settingsService = {
+      getUserLanguage: jest.fn().mockResolvedValue(null),
+      getGroupSettings: jest.fn().mockResolvedValue({ language: 'ru' })
+    };
+    api = {
+      sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+      editMessageText: jest.fn().mockResolvedValue({})
+    };
+    storage = new MemoryStorage();
+    jobScheduler = new JobSchedulerService(storage);
+    service = new AnnouncementService(jobScheduler, settingsService);
+  });
+
+  afterEach(() => {
+    config.announcements.sendIntervalMs = originalInterval;
+    config.announcements.messagesPerJob = originalMessagesPerJob;
+  });
+
+  describe('getRecipients', () => {
+    it('should pick the riders of the target states once, without the sender', () => {
+      expect(service.getRecipients(ride, 'joined', 100).map(p => p.userId)).toEqual([201, 202]);
+      expect(service.getRecipients(ride, 'thinking', 100).map(p => p.userId)).toEqual([203, 201]);
+      expect(service.getRecipients(ride, 'all', 100).map(p => p.userId)).toEqual([201, 202, 203]);
+    });
+  });
+
+  describe('scheduleAnnouncement', () => {
+    it('should schedule the first job without sending anything', async () => {
+      expect(await announce('all')).toBe(3);
+
+      expect(api.sendMessage).not.toHaveBeenCalled();
+      expect(pendingJobs()).toEqual([expect.objectContaining({
+        key: 'announcement:100:77:0',
+        payload: expect.objectContaining({
+          rideId: 'ride-1',
+          groupId: -100500,
+          recipients: [
+            { userId: 201, username: undefined, firstName: 'Alice', lastName: undefined },
+            { userId: 202, username: undefined, firstName: 'Bob', lastName: undefined },
+            { userId: 203, username: undefined, firstName: 'Carol', lastName: undefined }
+          ],
+          next: 0,
+          report
+        })
+      })]);
+    });
+
+    it('should schedule nothing without recipients', async () => {
+      expect(await service.scheduleAnnouncement({ ...ride, participation: {} }, { text: 'Hi', target: 'all', sender, report })).toBe(0);
+      expect(pendingJobs()).toEqual([]);
+    });
+
+    it('should replace the pending announcement of the same preview', async () => {
+      await announce('all');
+      await announce('all');
+
+      expect(pendingJobs()).toHaveLength(1);
+    });
+  });
+
+  describe('announcement jobs', () => {
+    it('should DM the riders in their language and report deliveries', async () => {
+      settingsService.getUserLanguage.mockImplementation(async userId => (userId === 202 ? 'ru' : null));
+      await announce('joined', { text: 'Bring <lights>' });
+
+      await runJobs();
+
+      const params = { name: 'Olga', title: 'Morning &lt;Ride&gt;', text: 'Bring &lt;lights&gt;', id: 'ride-1' };
+      expect(api.sendMessage).toHaveBeenCalledWith(201, tr('en', 'commands.announce.message', params), { parse_mode: 'HTML' });
+      expect(api.sendMessage).toHaveBeenCalledWith(202, tr('ru', 'commands.announce.message', params), { parse_mode: 'HTML' });
+      expectReport({ total: 2, sent: 2, viaGroup: 0, failed: 0 });
+    });
+
+    it('should send a few DMs per job and continue in the next one', async () => {
+      config.announcements.messagesPerJob = 2;
+      config.announcements.sendIntervalMs = 50;
+      const pause = jest.spyOn(service, 'pause').mockResolvedValue();
+      await announce('all');
+
+      await jobScheduler.processDueJobs(api);
+
+      expect(api.sendMessage).toHaveBeenCalledTimes(2);
+      expect(pause.mock.calls).toEqual([[50]]);
+      expect(pendingJobs()).toEqual([expect.objectContaining({
+        key: 'announcement:100:77:2',
+        payload: expect.objectContaining({ next: 2, sent: 2 })
+      })]);
+
+      await runJobs();
+      expect(api.sendMessage).toHaveBeenCalledTimes(3);
+      expectReport({ total: 3, sent: 3, viaGroup: 0, failed: 0 });
+    });
+
+    it('should mention riders who never started the bot in the attached group', async () => {
+      api.sendMessage.mockImplementation(async chatId => {
+        if (chatId === 202 || chatId === 203) {
+          throw Object.assign(new Error('Forbidden'), { error_code: 403 });
+        }
+        return { message_id: 1 };
+      });
+      await announce('all', { text: 'Bring lights' });
+
+      await runJobs();
+
+      expect(api.sendMessage).toHaveBeenLastCalledWith(-100500, tr('ru', 'commands.announce.groupMessage', {
+        name: 'Olga',
+        title: 'Morning &lt;Ride&gt;',
+        text: 'Bring lights',
+        mentions: '<a href="tg://user?id=202">Bob</a>, <a href="tg://user?id=203">Carol</a>',
+        id: 'ride-1'
+      }), { parse_mode: 'HTML' });
+      expectReport({ total: 3, sent: 1, viaGroup: 2, failed: 0 });
+    });
+
+    it('should count unreachable riders as not delivered without an attached group', async () => {
+      api.sendMessage.mockRejectedValue(Object.assign(new Error('Forbidden'), { error_code: 403 }));
+      await service.scheduleAnnouncement({ ...ride, groupId: null }, { text: 'Hi', target: 'joined', sender, report });
+
+      await runJobs();
+
+      expect(api.sendMessage).toHaveBeenCalledTimes(2);
+      expectReport({ total: 2, sent: 0, viaGroup: 0, failed: 2 });
+    });
+
+    it('should retry a failed DM without repeating the ones that went through', async () => {
+      api.sendMessage.mockImplementation(async chatId => {
+        if (chatId === 202 && api.sendMessage.mock.calls.filter(([id]) => id === 202).length === 1) {
+          throw new Error('Network error');
+        }
+        return { message_id: 1 };
+      });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await announce('all');
+
+      await runJobs();
+
+      expect(api.sendMessage.mock.calls.map(([chatId]) => chatId)).toEqual([201, 202, 202, 203]);
+      expectReport({ total: 3, sent: 3, viaGroup: 0, failed: 0 });
+      console.warn.mockRestore();
+    });
+
+    it('should wait as long as Telegram asks when it reports too many requests', async () => {
+      api.sendMessage
+        .mockResolvedValueOnce({ message_id: 1 })
+        .mockRejectedValueOnce(Object.assign(new Error('Too Many Requests'), {
+          error_code: 429,
+          parameters: { retry_after: 3 }
+        }));
+      await announce('joined');
+
+      await jobScheduler.processDueJobs(api);
+
+      const [continuation] = pendingJobs();
+      expect(continuation.payload).toMatchObject({ next: 1, sent: 1 });
+      expect(continuation.runAt.getTime()).toBeGreaterThanOrEqual(Date.now() + 2900);
+    });
+
+    it('should count a rider as not delivered once the job runs out of attempts', async () => {
+      api.sendMessage.mockImplementation(async chatId => {
+        if (chatId === 201) {
+          throw new Error('Network error');
+        }
+        return { message_id: 1 };
+      });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await announce('joined');
+
+      await runJobs();
+
+      expect(api.sendMessage.mock.calls.filter(([chatId]) => chatId === 201)).toHaveLength(config.jobs.maxAttempts);
+      expectReport({ total: 2, sent: 1, viaGroup: 0, failed: 1 });
+      console.warn.mockRestore();
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+
+import { MemoryStorage } from '../../storage/memory.js';
+import { CalendarService } from '../../services/CalendarService.js';
+import { UserProfile } from '../../models/UserProfile.js';
+import { config } from '../../config.js';
+
+describe('CalendarService', () => {
+  const rider = new UserProfile({ userId: 101, username: 'rider', firstName: 'Rita' });
+  const now = new Date('2026-10-19T09:00:00Z');
+  const day = (n) => new Date(Date.UTC(2026, 9, n, 8, 0));
+  let storage;
+  let service;
+  let originalBotConfig;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    service = new CalendarService(storage);
+    originalBotConfig = { ...config.bot };
+    config.bot.useWebhook = true;
+    config.bot.webhookDomain = 'https://bot.example.com';
+  });
+
+  afterEach(() => {
+    config.bot = originalBotConfig;
+  });
+
+  describe('isFeedEnabled', () => {
+    it('requires webhook mode with a public domain', () => {
+      expect(service.isFeedEnabled()).toBe(true);
+
+      config.bot.webhookDomain = undefined;
+      expect(service.isFeedEnabled()).toBe(false);
+
+      config.bot.webhookDomain = 'https://bot.example.com';
+      config.bot.useWebhook = false;
+      expect(service.isFeedEnabled()).toBe(false);
+    });
+  });
+
+  describe('getFeedUrl', () => {
+    it('creates a token once and reuses it', async () => {
+      const url = await service.getFeedUrl(rider);
+
+      expect(url).toMatch(new RegExp(`^https://bot\\.example\\.com${config.calendar.feedPath}/[\\w-]+\\.ics$`));
+      expect(await service.getFeedUrl(rider)).toBe(url);
+      expect((await storage.getUser(rider.userId)).username).toBe('rider');
+    });
+
+    it('replaces the token on reset', async () => {
+      const url = await service.getFeedUrl(rider);
+      const oldToken = (await storage.getUser(rider.userId)).calendarToken;
+
+      const newUrl = await service.getFeedUrl(rider, { reset: true });
+
+      expect(newUrl).not.toBe(url);
+      expect(await service.buildFeed(oldToken, now)).toBeNull();
+    });
+  });
+
+  describe('buildFeed', () => {
+    it('lists the recent and upcoming rides the user created or joined', async () => {
+      await service.getFeedUrl(rider);
+      const { calendarToken } = await storage.getUser(rider.userId);
+      await storage.createRide({ title: 'Own ride', date: day(25), createdBy: rider.userId, messages: [] });
+      const joined = await storage.createRide({ title: 'Joined ride', date: day(22), createdBy: 5, messages: [], cancelled: true });
+      await storage.setParticipation(joined.id, 'joined', rider);
+      await storage.createRide({ title: 'Other ride', date: day(23), createdBy: 5, messages: [] });
+      await storage.createRide({ title: 'Old ride', date: new Date(Date.UTC(2026, 7, 1)), createdBy: rider.userId, messages: [] });
+
+      const ics = await service.buildFeed(calendarToken, now);
+
+      expect(ics).toContain('SUMMARY:Own ride');
+      expect(ics).toContain('Joined ride');
+      expect(ics).toContain('STATUS:CANCELLED');
+      expect(ics).not.toContain('Other ride');
+      expect(ics).not.toContain('Old ride');
+      expect(ics).toContain('X-WR-CALNAME:');
+    });
+
+    it('gives distances in the units of the user', async () => {
+      await service.getFeedUrl(rider);
+      const { calendarToken } = await storage.getUser(rider.userId);
+      await storage.upsertUser({ userId: rider.userId, settings: { units: 'imperial' } });
+      await storage.createRide({ title: 'Own ride', date: day(25), createdBy: rider.userId, messages: [], distance: 80 });
+
+      const ics = await service.buildFeed(calendarToken, now);
+
+      expect(ics).toContain('49.7 mi');
+    });
+
+    it('returns null for unknown or missing tokens', async () => {
+      expect(await service.buildFeed('unknown', now)).toBeNull();
+      expect(await service.buildFeed(undefined, now)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { MemoryStorage } from '../../storage/memory.js';
+import { RideService } from '../../services/RideService.js';
+import { CheckInService, CHECK_IN_JOB_TYPE } from '../../services/CheckInService.js';
+import { JobSchedulerService } from '../../services/JobSchedulerService.js';
+import { config } from '../../config.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+describe('CheckInService', () => {
+  const now = new Date('2026-10-19T09:00:00Z');
+  const opensMs = config.attendance.checkInOpensMinutesBefore * MINUTE_MS;
+  const closesMs = config.attendance.checkInClosesMinutesAfter * MINUTE_MS;
+  let storage;
+  let jobScheduler;
+  let rideMessagesService;
+  let checkInService;
+  let rideService;
+  let api;
+
+  const createRide = (date, overrides = {}) => rideService.createRide({
+    title: 'Sunday Loop',
+    date,
+    createdBy: 101,
+    messages: [],
+    ...overrides
+  });
+
+  const pendingCheckInJobs = () => Array.from(storage.jobs.values())
+    .filter(job => job.type === CHECK_IN_JOB_TYPE && job.status === 'pending')
+    .sort((a, b) => a.runAt - b.runAt);
+
+  const refreshedTitles = () => rideMessagesService.updateRideMessages.mock.calls.map(([ride]) => ride.title);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    storage = new MemoryStorage();
+    jobScheduler = new JobSchedulerService(storage);
+    rideMessagesService = { updateRideMessages: jest.fn().mockResolvedValue({ success: true }) };
+    checkInService = new CheckInService(storage, jobScheduler, rideMessagesService);
+    rideService = new RideService(storage, undefined, null, checkInService);
+    api = {};
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('scheduling', () => {
+    it('should schedule the opening and closing of check-in when a ride is created', async () => {
+      const date = new Date(now.getTime() + 24 * HOUR_MS);
+      const ride = await createRide(date);
+
+      expect(pendingCheckInJobs()).toEqual([
+        expect.objectContaining({
+          key: `checkIn:${ride.id}:open`,
+          payload: { rideId: ride.id, date },
+          runAt: new Date(date.getTime() - opensMs)
+        }),
+        expect.objectContaining({
+          key: `checkIn:${ride.id}:close`,
+          payload: { rideId: ride.id, date },
+          runAt: new Date(date.getTime() + closesMs)
+        })
+      ]);
+    });
+
+    it('should skip phases that already began', async () => {
+      const ride = await createRide(new Date(now.getTime() + 10 * MINUTE_MS));
+
+      expect(pendingCheckInJobs().map(job => job.key)).toEqual([`checkIn:${ride.id}:close`]);
+    });
+
+    it('should move the jobs along with the ride date', async () => {
+      const ride = await createRide(new Date(now.getTime() + 24 * HOUR_MS));
+      const newDate = new Date(now.getTime() + 48 * HOUR_MS);
+
+      await rideService.updateRide(ride.id, { date: newDate });
+
+      expect(pendingCheckInJobs().map(job => job.runAt)).toEqual([
+        new Date(newDate.getTime() - opensMs),
+        new Date(newDate.getTime() + closesMs)
+      ]);
+    });
+
+    it('should drop the jobs of cancelled and deleted rides and restore them on resume', async () => {
+      const ride = await createRide(new Date(now.getTime() + 24 * HOUR_MS));
+
+      await rideService.cancelRide(ride.id);
+      expect(pendingCheckInJobs()).toEqual([]);
+
+      await rideService.resumeRide(ride.id);
+      expect(pendingCheckInJobs()).toHaveLength(2);
+
+      await rideService.deleteRide(ride.id);
+      expect(pendingCheckInJobs()).toEqual([]);
+    });
+  });
+
+  describe('check-in jobs', () => {
+    it('should refresh the ride messages when check-in opens and closes', async () => {
+      const ride = await createRide(new Date(now.getTime() + 24 * HOUR_MS), { title: 'Opened' });
+      await createRide(new Date(now.getTime() + 48 * HOUR_MS), { title: 'Later' });
+
+      jest.setSystemTime(new Date(ride.date.getTime() - opensMs));
+      expect(await jobScheduler.processDueJobs(api)).toBe(1);
+      expect(refreshedTitles()).toEqual(['Opened']);
+      expect(rideMessagesService.updateRideMessages).toHaveBeenCalledWith(expect.objectContaining({ id: ride.id }), { api });
+
+      jest.setSystemTime(new Date(ride.date.getTime() + closesMs));
+      await jobScheduler.processDueJobs(api);
+      expect(refreshedTitles()).toEqual(['Opened', 'Opened']);
+    });
+
+    it('should not refresh rides that were moved or cancelled after the jobs were scheduled', async () => {
+      const moved = await createRide(new Date(now.getTime() + 24 * HOUR_MS), { title: 'Moved' });
+      const cancelled = await createRide(new Date(now.getTime() + 24 * HOUR_MS), { title: 'Cancelled' });
+      await storage.updateRide(moved.id, { date: new Date(moved.date.getTime() + HOUR_MS) });
+      await storage.updateRide(cancelled.id, { cancelled: true });
+
+      jest.setSystemTime(new Date(moved.date.getTime() - opensMs));
+      expect(await jobScheduler.processDueJobs(api)).toBe(2);
+      expect(rideMessagesService.updateRideMessages).not.toHaveBeenCalled();
+    });
+
+    it('should retry when the ride messages cannot be refreshed', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const ride = await createRide(new Date(now.getTime() + 24 * HOUR_MS));
+      rideMessagesService.updateRideMessages.mockRejectedValueOnce(new Error('Telegram is down'));
+
+      jest.setSystemTime(new Date(ride.date.getTime() - opensMs));
+      expect(await jobScheduler.processDueJobs(api)).toBe(0);
+      expect(pendingCheckInJobs()[0]).toMatchObject({ key: `checkIn:${ride.id}:open`, attempts: 1 });
+      console.warn.mockRestore();
+    });
+  });
+});
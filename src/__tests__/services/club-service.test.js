@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+
+import { MemoryStorage } from '../../storage/memory.js';
+import { ClubService, MAX_CLUB_NAME_LENGTH } from '../../services/ClubService.js';
+import { UserProfile } from '../../models/UserProfile.js';
+
+describe('ClubService', () => {
+  const owner = new UserProfile({ userId: 1, username: 'olga', firstName: 'Olga' });
+  const rider = new UserProfile({ userId: 2, username: 'Rider', firstName: 'Rita' });
+  const other = new UserProfile({ userId: 3, username: 'otto', firstName: 'Otto' });
+  let storage;
+  let service;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    service = new ClubService(storage);
+  });
+
+  const createClubWithRider = async () => {
+    const { club } = await service.createClub('Sunday Riders', owner);
+    return (await service.joinClub(club.inviteCode, rider)).club;
+  };
+
+  describe('createClub', () => {
+    it('creates a club owned by the user with an invite code', async () => {
+      const result = await service.createClub('  Sunday Riders ', owner);
+
+      expect(result.success).toBe(true);
+      expect(result.club.name).toBe('Sunday Riders');
+      expect(result.club.createdBy).toBe(1);
+      expect(result.club.inviteCode).toEqual(expect.any(String));
+      expect(result.club.members).toEqual([
+        expect.objectContaining({ userId: 1, username: 'olga', role: 'owner' })
+      ]);
+      expect(await service.getClubsForUser(1)).toEqual([expect.objectContaining({ id: result.club.id })]);
+    });
+
+    it('rejects empty and overlong names', async () => {
+      expect((await service.createClub('  ', owner)).reason).toBe('invalidName');
+      expect((await service.createClub('x'.repeat(MAX_CLUB_NAME_LENGTH + 1), owner)).reason).toBe('invalidName');
+    });
+  });
+
+  describe('joinClub', () => {
+    it('adds the user as a member once', async () => {
+      const { club } = await service.createClub('Sunday Riders', owner);
+
+      const result = await service.joinClub(club.inviteCode, rider);
+      expect(result.success).toBe(true);
+      expect(result.club.members[1]).toEqual(expect.objectContaining({ userId: 2, role: 'member' }));
+
+      expect((await service.joinClub(club.inviteCode, rider)).reason).toBe('alreadyMember');
+    });
+
+    it('rejects unknown and replaced codes', async () => {
+      const { club } = await service.createClub('Sunday Riders', owner);
+      expect((await service.joinClub('nope', rider)).reason).toBe('invalidCode');
+
+      const reset = await service.resetInviteCode(club, 1);
+      expect(reset.club.inviteCode).not.toBe(club.inviteCode);
+      expect((await service.joinClub(club.inviteCode, rider)).reason).toBe('invalidCode');
+      expect((await service.joinClub(reset.club.inviteCode, rider)).success).toBe(true);
+    });
+  });
+
+  describe('setMemberRole', () => {
+    it('lets the owner make a member leader by username', async () => {
+      const club = await createClubWithRider();
+
+      const result = await service.setMemberRole(club, { username: 'rider' }, 'leader', 1);
+
+      expect(result.success).toBe(true);
+      expect(result.member).toEqual(expect.objectContaining({ userId: 2, role: 'leader' }));
+      expect((await service.getClub(club.id)).members[1].role).toBe('leader');
+    });
+
+    it('refuses unknown roles, ownership, strangers and members without rights', async () => {
+      const club = await createClubWithRider();
+
+      expect((await service.setMemberRole(club, { userId: 2 }, 'captain', 1)).reason).toBe('invalidRole');
+      expect((await service.setMemberRole(club, { userId: 2 }, 'owner', 1)).reason).toBe('invalidRole');
+      expect((await service.setMemberRole(club, { userId: 3 }, 'leader', 1)).reason).toBe('notMember');
+      expect((await service.setMemberRole(club, { userId: 1 }, 'member', 2)).reason).toBe('forbidden');
+    });
+  });
+
+  describe('removeMember and leaveClub', () => {
+    it('lets admins remove members and members leave', async () => {
+      let club = await createClubWithRider();
+      club = (await service.joinClub(club.inviteCode, other)).club;
+
+      const removed = await service.removeMember(club, { userId: 3 }, 1);
+      expect(removed.success).toBe(true);
+      expect(removed.member.userId).toBe(3);
+
+      const left = await service.leaveClub(removed.club, 2);
+      expect(left.success).toBe(true);
+      expect(left.club.members.map(member => member.userId)).toEqual([1]);
+    });
+
+    it('keeps the owner in the club', async () => {
+      const club = await createClubWithRider();
+
+      expect((await service.leaveClub(club, 1)).reason).toBe('owner');
+      expect((await service.removeMember(club, { userId: 1 }, 2)).reason).toBe('forbidden');
+      expect((await service.leaveClub(club, 3)).reason).toBe('notMember');
+    });
+  });
+
+  describe('getClubRides', () => {
+    it('returns the rides owned by the club', async () => {
+      const { club } = await service.createClub('Sunday Riders', owner);
+      await storage.createRide({ title: 'Club ride', date: new Date('2026-11-01T08:00:00Z'), createdBy: 1, clubId: club.id });
+      await storage.createRide({ title: 'Own ride', date: new Date('2026-11-02T08:00:00Z'), createdBy: 1 });
+
+      const { rides, total } = await service.getClubRides(club.id, 0, 5);
+
+      expect(total).toBe(1);
+      expect(rides[0].title).toBe('Club ride');
+    });
+  });
+});
@@ -37,6 +37,27 @@ describe('GroupManagementService', () => {
       expect(mockApi.sendMessage).toHaveBeenCalledWith(USER_ID, expectedMsg);
     });
 
+    it('should send the invite in the language chosen by the user', async () => {
+      service = new GroupManagementService({ getUserLanguage: jest.fn().mockResolvedValue('ru') });
+
+      await service.addParticipant(mockApi, GROUP_ID, USER_ID, 'en');
+
+      const expectedMsg = t('ru', 'commands.group.inviteLinkSent', { link: 'https://t.me/+abc123' }, { fallbackLanguage: 'en' });
+      expect(mockApi.sendMessage).toHaveBeenCalledWith(USER_ID, expectedMsg);
+    });
+
+    it('should ask the creator in their own language when the user has not started the bot', async () => {
+      const CREATOR_ID = 789;
+      const getUserLanguage = jest.fn(async (userId) => (userId === CREATOR_ID ? 'ru' : null));
+      service = new GroupManagementService({ getUserLanguage });
+      mockApi.sendMessage.mockRejectedValueOnce({ error_code: 403 });
+
+      await service.addParticipant(mockApi, GROUP_ID, USER_ID, 'en', CREATOR_ID);
+
+      const expectedMsg = t('ru', 'commands.group.inviteLinkForCreator', { link: 'https://t.me/+abc123' }, { fallbackLanguage: 'en' });
+      expect(mockApi.sendMessage).toHaveBeenLastCalledWith(CREATOR_ID, expectedMsg);
+    });
+
     it('should silently skip when user is the group owner', async () => {
       mockApi.unbanChatMember.mockRejectedValue({ description: "Bad Request: can't remove chat owner" });
       const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
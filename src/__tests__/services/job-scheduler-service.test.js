@@ -0,0 +1,188 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { MemoryStorage } from '../../storage/memory.js';
+import { JobSchedulerService } from '../../services/JobSchedulerService.js';
+import { config } from '../../config.js';
+
+describe('JobSchedulerService', () => {
+  const now = new Date('2026-10-19T09:00:00Z');
+  let storage;
+  let scheduler;
+  let handler;
+  let api;
+
+  const advance = (ms) => jest.setSystemTime(new Date(Date.now() + ms));
+  const storedJob = (id) => storage.jobs.get(id);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    storage = new MemoryStorage();
+    scheduler = new JobSchedulerService(storage);
+    handler = jest.fn().mockResolvedValue(undefined);
+    scheduler.registerHandler('test', handler);
+    api = { sendMessage: jest.fn() };
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  describe('schedule', () => {
+    it('stores a pending job that runs now by default', async () => {
+      const job = await scheduler.schedule('test', { value: 1 });
+
+      expect(job).toMatchObject({
+        type: 'test',
+        key: null,
+        payload: { value: 1 },
+        status: 'pending',
+        runAt: now,
+        attempts: 0,
+        maxAttempts: config.jobs.maxAttempts
+      });
+    });
+
+    it('runs the job after the given delay', async () => {
+      const job = await scheduler.schedule('test', {}, { delayMs: 20_000 });
+
+      expect(job.runAt).toEqual(new Date(now.getTime() + 20_000));
+    });
+
+    it('replaces the pending job with the same idempotency key', async () => {
+      await scheduler.schedule('test', { value: 1 }, { key: 'k', delayMs: 10_000 });
+      await scheduler.schedule('test', { value: 2 }, { key: 'k', delayMs: 10_000 });
+      advance(10_000);
+
+      expect(await scheduler.processDueJobs(api)).toBe(1);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith({ value: 2 }, expect.objectContaining({ api }));
+    });
+  });
+
+  describe('processDueJobs', () => {
+    it('runs due jobs only and marks them completed', async () => {
+      const due = await scheduler.schedule('test', { value: 'due' });
+      const later = await scheduler.schedule('test', { value: 'later' }, { delayMs: 60_000 });
+
+      expect(await scheduler.processDueJobs(api)).toBe(1);
+
+      expect(handler).toHaveBeenCalledWith({ value: 'due' }, { api, job: expect.objectContaining({ id: due.id, attempts: 1 }) });
+      expect(storedJob(due.id)).toMatchObject({ status: 'completed', lockedUntil: null, finishedAt: expect.any(Date) });
+      expect(storedJob(later.id).status).toBe('pending');
+      expect(await scheduler.processDueJobs(api)).toBe(0);
+    });
+
+    it('retries failed jobs with exponential backoff', async () => {
+      handler.mockRejectedValueOnce(new Error('boom')).mockRejectedValueOnce(new Error('boom again'));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const job = await scheduler.schedule('test', {});
+
+      expect(await scheduler.processDueJobs(api)).toBe(0);
+      expect(storedJob(job.id)).toMatchObject({
+        status: 'pending',
+        attempts: 1,
+        lastError: 'boom',
+        runAt: new Date(now.getTime() + config.jobs.retryBaseDelayMs)
+      });
+
+      advance(config.jobs.retryBaseDelayMs);
+      expect(await scheduler.processDueJobs(api)).toBe(0);
+      expect(storedJob(job.id).runAt).toEqual(new Date(Date.now() + 2 * config.jobs.retryBaseDelayMs));
+
+      advance(2 * config.jobs.retryBaseDelayMs);
+      expect(await scheduler.processDueJobs(api)).toBe(1);
+      expect(storedJob(job.id)).toMatchObject({ status: 'completed', attempts: 3 });
+      warnSpy.mockRestore();
+    });
+
+    it('does not retry a job whose key was rescheduled while it ran', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const job = await scheduler.schedule('test', { value: 1 }, { key: 'k' });
+      handler.mockImplementationOnce(async () => {
+        await scheduler.schedule('test', { value: 2 }, { key: 'k', delayMs: 10_000 });
+        throw new Error('boom');
+      });
+
+      expect(await scheduler.processDueJobs(api)).toBe(0);
+      expect(storedJob(job.id)).toMatchObject({ status: 'failed', lastError: 'boom' });
+
+      advance(config.jobs.retryMaxDelayMs);
+      expect(await scheduler.processDueJobs(api)).toBe(1);
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(handler).toHaveBeenLastCalledWith({ value: 2 }, expect.anything());
+      warnSpy.mockRestore();
+    });
+
+    it('gives up a job once it is out of attempts', async () => {
+      handler.mockRejectedValue(new Error('boom'));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const job = await scheduler.schedule('test', {}, { maxAttempts: 1 });
+
+      await scheduler.processDueJobs(api);
+
+      expect(storedJob(job.id)).toMatchObject({ status: 'failed', attempts: 1, lastError: 'boom' });
+      advance(config.jobs.retryMaxDelayMs);
+      await scheduler.processDueJobs(api);
+      expect(handler).toHaveBeenCalledTimes(1);
+      errorSpy.mockRestore();
+    });
+
+    it('fails jobs without a registered handler', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const job = await scheduler.schedule('unknown', {});
+
+      await scheduler.processDueJobs(api);
+
+      expect(storedJob(job.id).lastError).toContain('No handler registered');
+      warnSpy.mockRestore();
+    });
+
+    it('runs a job again when its worker did not finish it', async () => {
+      const job = await scheduler.schedule('test', {});
+      await storage.claimNextDueJob(new Date(), new Date(Date.now() + config.jobs.lockTimeoutMs));
+
+      expect(await scheduler.processDueJobs(api)).toBe(0);
+      advance(config.jobs.lockTimeoutMs);
+      expect(await scheduler.processDueJobs(api)).toBe(1);
+      expect(storedJob(job.id)).toMatchObject({ status: 'completed', attempts: 2 });
+    });
+
+    it('runs at most one batch per call', async () => {
+      for (let i = 0; i < config.jobs.batchSize + 1; i++) {
+        await scheduler.schedule('test', { i });
+      }
+
+      expect(await scheduler.processDueJobs(api)).toBe(config.jobs.batchSize);
+      expect(await scheduler.processDueJobs(api)).toBe(1);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('doubles the delay per attempt up to the maximum', () => {
+      expect(scheduler.getRetryDelay(1)).toBe(config.jobs.retryBaseDelayMs);
+      expect(scheduler.getRetryDelay(3)).toBe(4 * config.jobs.retryBaseDelayMs);
+      expect(scheduler.getRetryDelay(30)).toBe(config.jobs.retryMaxDelayMs);
+    });
+  });
+
+  describe('start', () => {
+    it('polls for due jobs right away and then periodically', async () => {
+      const spy = jest.spyOn(scheduler, 'processDueJobs').mockResolvedValue(0);
+
+      await scheduler.start(api);
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(config.jobs.pollIntervalMs);
+      expect(spy).toHaveBeenCalledTimes(2);
+
+      scheduler.stop();
+      await jest.advanceTimersByTimeAsync(config.jobs.pollIntervalMs);
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+  });
+});
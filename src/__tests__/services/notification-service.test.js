@@ -4,6 +4,10 @@
 
 import { jest } from '@jest/globals';
 import { NotificationService } from '../../services/NotificationService.js';
+import { JobSchedulerService } from '../../services/JobSchedulerService.js';
+import { MemoryStorage } from '../../storage/memory.js';
+import { SettingsService } from '../../services/SettingsService.js';
+import { UserProfile } from '../../models/UserProfile.js';
 import { t } from '../../i18n/index.js';
 import { config } from '../../config.js';
 
@@ -12,6 +16,9 @@ const tr = (key, params = {}) =>
 
 describe('NotificationService', () => {
   let service;
+  let storage;
+  let jobScheduler;
+  let settingsService;
   let mockApi;
   const ride = {
     id: 'ride-1',
@@ -28,9 +35,18 @@ describe('NotificationService', () => {
     lastName: 'Smith'
   };
 
+  const runJobsAfter = async (ms) => {
+    jest.advanceTimersByTime(ms);
+    return await jobScheduler.processDueJobs(mockApi);
+  };
+
   beforeEach(() => {
     jest.useFakeTimers();
-    service = new NotificationService();
+    jest.setSystemTime(new Date('2026-10-19T09:00:00Z'));
+    storage = new MemoryStorage();
+    jobScheduler = new JobSchedulerService(storage);
+    settingsService = new SettingsService(storage);
+    service = new NotificationService(jobScheduler, settingsService);
     mockApi = { sendMessage: jest.fn().mockResolvedValue({}) };
   });
 
@@ -40,10 +56,11 @@ describe('NotificationService', () => {
 
   describe('scheduleParticipationNotification', () => {
     it('sends notification after 20s', async () => {
-      service.scheduleParticipationNotification(ride, participant, 'joined', mockApi);
+      await service.scheduleParticipationNotification(ride, participant, 'joined');
+      await runJobsAfter(19_000);
       expect(mockApi.sendMessage).not.toHaveBeenCalled();
 
-      await jest.runAllTimersAsync();
+      await runJobsAfter(1_000);
 
       expect(mockApi.sendMessage).toHaveBeenCalledTimes(1);
       expect(mockApi.sendMessage).toHaveBeenCalledWith(
@@ -54,11 +71,14 @@ describe('NotificationService', () => {
     });
 
     it('debounces rapid state changes — only final state fires', async () => {
-      service.scheduleParticipationNotification(ride, participant, 'joined', mockApi);
-      service.scheduleParticipationNotification(ride, participant, 'thinking', mockApi);
-      service.scheduleParticipationNotification(ride, participant, 'skipped', mockApi);
+      await service.scheduleParticipationNotification(ride, participant, 'joined');
+      await service.scheduleParticipationNotification(ride, participant, 'thinking');
+      await runJobsAfter(15_000);
+      await service.scheduleParticipationNotification(ride, participant, 'skipped');
 
-      await jest.runAllTimersAsync();
+      await runJobsAfter(15_000);
+      expect(mockApi.sendMessage).not.toHaveBeenCalled();
+      await runJobsAfter(5_000);
 
       expect(mockApi.sendMessage).toHaveBeenCalledTimes(1);
       const sentText = mockApi.sendMessage.mock.calls[0][1];
@@ -78,37 +98,54 @@ describe('NotificationService', () => {
           notifyParticipation: false
         }
       };
-      service.scheduleParticipationNotification(silentRide, participant, 'joined', mockApi);
+      await service.scheduleParticipationNotification(silentRide, participant, 'joined');
 
-      await jest.runAllTimersAsync();
+      await runJobsAfter(20_000);
 
       expect(mockApi.sendMessage).not.toHaveBeenCalled();
+      expect(storage.jobs.size).toBe(0);
     });
 
     it('does not send when participant is the ride creator', async () => {
       const creatorParticipant = { ...participant, userId: ride.createdBy };
-      service.scheduleParticipationNotification(ride, creatorParticipant, 'joined', mockApi);
+      await service.scheduleParticipationNotification(ride, creatorParticipant, 'joined');
 
-      await jest.runAllTimersAsync();
+      await runJobsAfter(20_000);
 
       expect(mockApi.sendMessage).not.toHaveBeenCalled();
     });
 
+    it('notifies co-organizers too, but not about their own changes', async () => {
+      const coOrganizer = { userId: 400, username: 'carol', firstName: 'Carol', lastName: '' };
+      const ledRide = { ...ride, coOrganizers: [coOrganizer] };
+
+      await service.scheduleParticipationNotification(ledRide, participant, 'joined');
+      await service.scheduleParticipationNotification(ledRide, coOrganizer, 'joined');
+      await runJobsAfter(20_000);
+
+      const recipients = mockApi.sendMessage.mock.calls.map(([chatId, text]) => [chatId, text.includes('Alice')]);
+      expect(recipients).toEqual(expect.arrayContaining([
+        [ride.createdBy, true],
+        [coOrganizer.userId, true],
+        [ride.createdBy, false]
+      ]));
+      expect(mockApi.sendMessage).toHaveBeenCalledTimes(3);
+    });
+
     it('sends independently for two different participants', async () => {
       const bob = { userId: 300, username: 'bob', firstName: 'Bob', lastName: '' };
-      service.scheduleParticipationNotification(ride, participant, 'joined', mockApi);
-      service.scheduleParticipationNotification(ride, bob, 'thinking', mockApi);
+      await service.scheduleParticipationNotification(ride, participant, 'joined');
+      await service.scheduleParticipationNotification(ride, bob, 'thinking');
 
-      await jest.runAllTimersAsync();
+      await runJobsAfter(20_000);
 
       expect(mockApi.sendMessage).toHaveBeenCalledTimes(2);
     });
 
     it('uses correct message template for each state', async () => {
       for (const state of ['joined', 'thinking', 'skipped']) {
-        service = new NotificationService();
-        service.scheduleParticipationNotification(ride, participant, state, mockApi);
-        await jest.runAllTimersAsync();
+        await service.scheduleParticipationNotification(ride, participant, state);
+        await runJobsAfter(20_000);
 
         const sentText = mockApi.sendMessage.mock.calls[mockApi.sendMessage.mock.calls.length - 1][1];
         const expectedText = tr(`commands.notifications.${state}`, {
@@ -120,23 +157,113 @@ describe('NotificationService', () => {
       }
     });
 
-    it('handles API failure gracefully — logs error, does not throw', async () => {
-      const apiError = new Error('Telegram error');
-      mockApi.sendMessage.mockRejectedValueOnce(apiError);
+    it('uses the language chosen by the ride creator', async () => {
+      await settingsService.updateUserLanguage(new UserProfile({ userId: ride.createdBy }), 'ru');
+
+      await service.scheduleParticipationNotification(ride, participant, 'joined');
+      await runJobsAfter(20_000);
+
+      expect(mockApi.sendMessage).toHaveBeenCalledWith(
+        ride.createdBy,
+        t('ru', 'commands.notifications.joined', { name: 'Alice Smith (@alice)', title: ride.title, rideId: ride.id }),
+        { parse_mode: 'HTML' }
+      );
+    });
+
+    it('retries the notification when sending fails', async () => {
+      mockApi.sendMessage.mockRejectedValueOnce(new Error('Telegram error'));
+      const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await service.scheduleParticipationNotification(ride, participant, 'joined');
+      expect(await runJobsAfter(20_000)).toBe(0);
+      expect(await runJobsAfter(config.jobs.retryBaseDelayMs)).toBe(1);
+
+      expect(mockApi.sendMessage).toHaveBeenCalledTimes(2);
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('notification:participation'), expect.any(Error));
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('logs scheduling failures without throwing', async () => {
+      const storageError = new Error('db down');
+      jest.spyOn(storage, 'scheduleJob').mockRejectedValue(storageError);
       const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
 
-      service.scheduleParticipationNotification(ride, participant, 'joined', mockApi);
-      await jest.runAllTimersAsync();
+      await expect(service.scheduleParticipationNotification(ride, participant, 'joined')).resolves.toBeUndefined();
 
       expect(consoleErrorSpy).toHaveBeenCalledWith(
         expect.stringContaining('NotificationService'),
-        apiError
+        storageError
       );
       consoleErrorSpy.mockRestore();
     });
 
   });
 
+  describe('scheduleWaitlistPromotionNotification', () => {
+    it('sends the promotion on the next job run', async () => {
+      await service.scheduleWaitlistPromotionNotification(ride, participant);
+
+      expect(await jobScheduler.processDueJobs(mockApi)).toBe(1);
+      expect(mockApi.sendMessage).toHaveBeenCalledWith(
+        participant.userId,
+        tr('commands.notifications.promotedFromWaitlist', { title: ride.title, rideId: ride.id }),
+        { parse_mode: 'HTML' }
+      );
+    });
+
+    it('uses the language chosen by the promoted rider', async () => {
+      await settingsService.updateUserLanguage(new UserProfile({ userId: participant.userId }), 'ru');
+
+      await service.scheduleWaitlistPromotionNotification(ride, participant);
+      await jobScheduler.processDueJobs(mockApi);
+
+      expect(mockApi.sendMessage).toHaveBeenCalledWith(
+        participant.userId,
+        t('ru', 'commands.notifications.promotedFromWaitlist', { title: ride.title, rideId: ride.id }),
+        { parse_mode: 'HTML' }
+      );
+    });
+
+    it('invites the promoted rider to the ride group after the message', async () => {
+      const groupManagementService = { addParticipant: jest.fn().mockResolvedValue({ success: true }) };
+      service = new NotificationService(jobScheduler, settingsService, groupManagementService);
+
+      await service.scheduleWaitlistPromotionNotification({ ...ride, groupId: -1001 }, participant);
+      await jobScheduler.processDueJobs(mockApi);
+
+      expect(groupManagementService.addParticipant).toHaveBeenCalledWith(
+        mockApi, -1001, participant.userId, config.i18n.defaultLanguage, ride.createdBy
+      );
+      expect(mockApi.sendMessage.mock.invocationCallOrder[0])
+        .toBeLessThan(groupManagementService.addParticipant.mock.invocationCallOrder[0]);
+    });
+
+    it('does not invite anyone when the ride has no group', async () => {
+      const groupManagementService = { addParticipant: jest.fn() };
+      service = new NotificationService(jobScheduler, settingsService, groupManagementService);
+
+      await service.scheduleWaitlistPromotionNotification(ride, participant);
+      await jobScheduler.processDueJobs(mockApi);
+
+      expect(groupManagementService.addParticipant).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('scheduleRideTransferNotification', () => {
+    it('tells the new creator who handed the ride over', async () => {
+      const transferredRide = { ...ride, createdBy: participant.userId };
+
+      await service.scheduleRideTransferNotification(transferredRide, { userId: 100, firstName: 'Bob', username: 'bob' });
+      await runJobsAfter(0);
+
+      expect(mockApi.sendMessage).toHaveBeenCalledWith(
+        participant.userId,
+        tr('commands.notifications.rideTransferred', { name: 'Bob (@bob)', title: ride.title, rideId: ride.id }),
+        { parse_mode: 'HTML' }
+      );
+    });
+  });
+
   describe('_formatName', () => {
     it('formats full name with username', () => {
       expect(service._formatName({ firstName: 'Alice', lastName: 'Smith', username: 'alice' }))
@@ -0,0 +1,229 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { MemoryStorage } from '../../storage/memory.js';
+import { RideService } from '../../services/RideService.js';
+import { SettingsService } from '../../services/SettingsService.js';
+import { ReminderService, REMINDER_JOB_TYPE, formatReminderOffset } from '../../services/ReminderService.js';
+import { JobSchedulerService } from '../../services/JobSchedulerService.js';
+import { UserProfile } from '../../models/UserProfile.js';
+import { t } from '../../i18n/index.js';
+import { config } from '../../config.js';
+
+const tr = (key, params = {}) =>
+  t(config.i18n.defaultLanguage, key, params, { fallbackLanguage: config.i18n.fallbackLanguage });
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('ReminderService', () => {
+  const creator = new UserProfile({ userId: 101, username: 'organizer', firstName: 'Olga' });
+  const rider = new UserProfile({ userId: 202, username: 'rider', firstName: 'Rita' });
+  const doubter = new UserProfile({ userId: 303, username: 'doubter', firstName: 'Dan' });
+  const now = new Date('2026-10-19T09:00:00Z');
+  let storage;
+  let settingsService;
+  let jobScheduler;
+  let reminderService;
+  let rideService;
+  let api;
+
+  const createRide = async (overrides = {}) => {
+    const ride = await rideService.createRide({
+      title: 'Sunday <Loop>',
+      date: new Date(now.getTime() + 48 * HOUR_MS),
+      meetingPoint: 'Café',
+      createdBy: creator.userId,
+      messages: [],
+      ...overrides
+    }, creator);
+    await rideService.setParticipation(ride.id, rider, 'joined');
+    await rideService.setParticipation(ride.id, doubter, 'thinking');
+    return await rideService.getRide(ride.id);
+  };
+
+  const reminderJobs = () => Array.from(storage.jobs.values()).filter(job => job.type === REMINDER_JOB_TYPE);
+
+  const pendingReminders = () => reminderJobs()
+    .filter(job => job.status === 'pending')
+    .map(job => job.payload.offsetMinutes)
+    .sort((a, b) => b - a);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    storage = new MemoryStorage();
+    settingsService = new SettingsService(storage);
+    jobScheduler = new JobSchedulerService(storage);
+    reminderService = new ReminderService(storage, jobScheduler, settingsService);
+    rideService = new RideService(storage, settingsService, reminderService);
+    api = { sendMessage: jest.fn().mockResolvedValue({}) };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('scheduling', () => {
+    it('schedules the default reminders when a ride is created', async () => {
+      await createRide();
+
+      expect(pendingReminders()).toEqual([1440, 120]);
+      const ride = Array.from(storage.rides.values())[0];
+      expect(reminderJobs().map(job => job.runAt.getTime()).sort((a, b) => a - b)).toEqual([
+        ride.date.getTime() - 24 * HOUR_MS,
+        ride.date.getTime() - 2 * HOUR_MS
+      ]);
+    });
+
+    it('moves the reminders along with the ride date', async () => {
+      const ride = await createRide();
+      const newDate = new Date(ride.date.getTime() + 24 * HOUR_MS);
+
+      await rideService.updateRide(ride.id, { date: newDate }, creator.userId);
+
+      const pending = reminderJobs().filter(job => job.status === 'pending');
+      expect(pending).toHaveLength(2);
+      expect(pending.map(job => job.runAt.getTime()).sort((a, b) => a - b)).toEqual([
+        newDate.getTime() - 24 * HOUR_MS,
+        newDate.getTime() - 2 * HOUR_MS
+      ]);
+    });
+
+    it('skips reminders that would already be due', async () => {
+      await createRide({ date: new Date(now.getTime() + 3 * HOUR_MS) });
+
+      expect(pendingReminders()).toEqual([120]);
+    });
+
+    it('follows the ride reminder setting', async () => {
+      const ride = await createRide();
+
+      await rideService.updateRide(ride.id, { settings: { reminders: [60] } }, creator.userId);
+      expect(pendingReminders()).toEqual([60]);
+
+      await rideService.updateRide(ride.id, { settings: { reminders: [] } }, creator.userId);
+      expect(pendingReminders()).toEqual([]);
+    });
+
+    it('drops pending reminders of cancelled and deleted rides and restores them on resume', async () => {
+      const ride = await createRide();
+
+      await rideService.cancelRide(ride.id, creator.userId);
+      expect(pendingReminders()).toEqual([]);
+
+      await rideService.resumeRide(ride.id, creator.userId);
+      expect(pendingReminders()).toEqual([1440, 120]);
+
+      await rideService.deleteRide(ride.id);
+      expect(pendingReminders()).toEqual([]);
+    });
+
+    it('uses the creator defaults for new rides', async () => {
+      await new SettingsService(storage).updateUserRideDefaults(creator, { reminders: [60] });
+
+      await createRide();
+
+      expect(pendingReminders()).toEqual([60]);
+    });
+
+    it('does not fail the ride change when reminders cannot be stored', async () => {
+      jest.spyOn(storage, 'scheduleJob').mockRejectedValue(new Error('db down'));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const ride = await createRide();
+
+      expect(ride.title).toBe('Sunday <Loop>');
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('reminder jobs', () => {
+    it('reminds joined riders and nudges riders who are thinking', async () => {
+      const ride = await createRide();
+      jest.setSystemTime(new Date(ride.date.getTime() - 24 * HOUR_MS));
+
+      expect(await jobScheduler.processDueJobs(api)).toBe(1);
+
+      const recipients = api.sendMessage.mock.calls.map(([chatId]) => chatId);
+      expect(recipients).toEqual([creator.userId, rider.userId, doubter.userId]);
+
+      const [, joinedText, joinedOptions] = api.sendMessage.mock.calls[1];
+      expect(joinedText).toContain(tr('commands.reminders.joined', {
+        title: 'Sunday &lt;Loop&gt;',
+        offset: formatReminderOffset(1440)
+      }));
+      expect(joinedText).toContain('📍 Café');
+      expect(joinedOptions).toEqual({ parse_mode: 'HTML' });
+
+      const [, thinkingText, thinkingOptions] = api.sendMessage.mock.calls[2];
+      expect(thinkingText).toContain(tr('commands.reminders.thinking', {
+        title: 'Sunday &lt;Loop&gt;',
+        offset: formatReminderOffset(1440)
+      }));
+      expect(thinkingOptions.reply_markup.inline_keyboard[0].map(button => button.callback_data)).toEqual([
+        `join:${ride.id}`,
+        `thinking:${ride.id}`,
+        `skip:${ride.id}`
+      ]);
+
+      expect(await jobScheduler.processDueJobs(api)).toBe(0);
+      expect(api.sendMessage).toHaveBeenCalledTimes(3);
+    });
+
+    it('writes to each recipient in their chosen language', async () => {
+      await settingsService.updateUserLanguage(doubter, 'ru');
+      const ride = await createRide();
+      jest.setSystemTime(new Date(ride.date.getTime() - 24 * HOUR_MS));
+
+      await jobScheduler.processDueJobs(api);
+
+      const ruParams = {
+        title: 'Sunday &lt;Loop&gt;',
+        offset: formatReminderOffset(1440, 'ru')
+      };
+      const [, joinedText] = api.sendMessage.mock.calls[1];
+      expect(joinedText).toContain(tr('commands.reminders.joined', {
+        title: 'Sunday &lt;Loop&gt;',
+        offset: formatReminderOffset(1440)
+      }));
+      const [, thinkingText, thinkingOptions] = api.sendMessage.mock.calls[2];
+      expect(thinkingText).toContain(t('ru', 'commands.reminders.thinking', ruParams));
+      expect(thinkingOptions.reply_markup.inline_keyboard[0][0].text).toBe(t('ru', 'buttons.join'));
+    });
+
+    it('sends only the latest reminder when several are due at once', async () => {
+      const ride = await createRide();
+      jest.setSystemTime(new Date(ride.date.getTime() - 90 * 60 * 1000));
+
+      expect(await jobScheduler.processDueJobs(api)).toBe(2);
+      expect(api.sendMessage).toHaveBeenCalledTimes(3);
+      expect(api.sendMessage.mock.calls[0][1]).toContain(formatReminderOffset(90));
+    });
+
+    it('does not send reminders that no longer match the ride', async () => {
+      const ride = await createRide();
+      const [job] = reminderJobs().sort((a, b) => a.runAt - b.runAt);
+      await storage.updateRide(ride.id, { date: new Date(ride.date.getTime() + 24 * HOUR_MS) });
+      jest.setSystemTime(job.runAt);
+
+      expect(await jobScheduler.processDueJobs(api)).toBe(1);
+      expect(api.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('keeps going when a rider cannot be messaged', async () => {
+      const ride = await createRide();
+      api.sendMessage.mockRejectedValueOnce(new Error('bot was blocked by the user'));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.setSystemTime(new Date(ride.date.getTime() - 2 * HOUR_MS));
+
+      expect(await jobScheduler.processDueJobs(api)).toBe(2);
+      expect(api.sendMessage).toHaveBeenCalledTimes(3);
+      // A retry would message the other riders twice
+      expect(reminderJobs().every(job => job.status === 'completed')).toBe(true);
+      warnSpy.mockRestore();
+    });
+  });
+});
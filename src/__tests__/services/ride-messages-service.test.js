@@ -608,6 +608,286 @@ describe('RideMessagesService', () => {
     });
   });
 
+  describe('replaceRideMessage', () => {
+    const formatted = {
+      message: 'Formatted ride message',
+      keyboard: { inline_keyboard: [] },
+      parseMode: 'HTML'
+    };
+    let mockCtx;
+
+    beforeEach(() => {
+      mockMessageFormatter.formatRideWithKeyboard.mockReturnValue(formatted);
+      mockRideService.updateRide.mockImplementation(async (rideId, updates) => ({ id: rideId, ...updates }));
+      mockCtx = {
+        chat: { id: 12345, type: 'private' },
+        from: { id: 12345 },
+        reply: jest.fn().mockResolvedValue({ message_id: 3 }),
+        api: { deleteMessage: jest.fn().mockResolvedValue(true) }
+      };
+    });
+
+    it('should delete the messages of the ride in the chat and track the new one instead', async () => {
+      const ride = {
+        id: 'ride123',
+        createdBy: 42,
+        messages: [
+          { chatId: 12345, messageId: 1, language: 'en', isForCreator: false },
+          { chatId: -100123, messageId: 2, language: 'en', isForCreator: false },
+          { inlineMessageId: 'inline-1', language: 'en', isForCreator: false }
+        ]
+      };
+
+      const { updatedRide } = await rideMessagesService.replaceRideMessage(ride, mockCtx);
+
+      expect(mockCtx.api.deleteMessage).toHaveBeenCalledTimes(1);
+      expect(mockCtx.api.deleteMessage).toHaveBeenCalledWith(12345, 1);
+      expect(updatedRide.messages).toEqual([
+        { chatId: -100123, messageId: 2, language: 'en', isForCreator: false },
+        { inlineMessageId: 'inline-1', language: 'en', isForCreator: false },
+        { chatId: 12345, messageId: 3, language: 'en', isForCreator: false }
+      ]);
+    });
+
+    it('should keep tracking a message that cannot be deleted', async () => {
+      const ride = { id: 'ride123', createdBy: 42, messages: [{ chatId: 12345, messageId: 1, language: 'en', isForCreator: false }] };
+      mockCtx.api.deleteMessage.mockRejectedValue(new Error('Bad Request: message can\'t be deleted'));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { updatedRide } = await rideMessagesService.replaceRideMessage(ride, mockCtx);
+
+      expect(updatedRide.messages.map(message => message.messageId)).toEqual([1, 3]);
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('postRideMessageToChat', () => {
+    it('should send the ride through the API to the target chat and topic and track the message', async () => {
+      const mockRide = { id: 'ride123', createdBy: 42, messages: [{ chatId: 1, messageId: 2 }] };
+      const api = { sendMessage: jest.fn().mockResolvedValue({ message_id: 555 }) };
+
+      mockMessageFormatter.formatRideWithKeyboard.mockReturnValue({
+        message: 'Formatted ride message',
+        keyboard: { inline_keyboard: [] },
+        parseMode: 'HTML'
+      });
+      mockRideService.updateRide.mockResolvedValue({ ...mockRide, messages: [] });
+
+      await rideMessagesService.postRideMessageToChat(mockRide, api, {
+        chatId: -100123,
+        messageThreadId: 7,
+        language: 'ru'
+      });
+
+      expect(mockMessageFormatter.formatRideWithKeyboard).toHaveBeenCalledWith(
+        mockRide,
+        { joined: [], thinking: [], skipped: [] },
+        { isForCreator: false, lang: 'ru' }
+      );
+      expect(api.sendMessage).toHaveBeenCalledWith(-100123, 'Formatted ride message', {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [] },
+        message_thread_id: 7
+      });
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('ride123', {
+        messages: [
+          { chatId: 1, messageId: 2 },
+          { chatId: -100123, messageId: 555, language: 'ru', isForCreator: false, messageThreadId: 7 }
+        ]
+      });
+    });
+
+    it('should treat the creator private chat as a creator copy by default', async () => {
+      const mockRide = { id: 'ride123', createdBy: 42, messages: [] };
+      const api = { sendMessage: jest.fn().mockResolvedValue({ message_id: 556 }) };
+
+      mockMessageFormatter.formatRideWithKeyboard.mockReturnValue({
+        message: 'Formatted ride message',
+        keyboard: { inline_keyboard: [] },
+        parseMode: 'HTML'
+      });
+      mockRideService.updateRide.mockResolvedValue(mockRide);
+
+      await rideMessagesService.postRideMessageToChat(mockRide, api, { chatId: 42 });
+
+      expect(mockMessageFormatter.formatRideWithKeyboard).toHaveBeenCalledWith(
+        mockRide,
+        { joined: [], thinking: [], skipped: [] },
+        { isForCreator: true, lang: 'en' }
+      );
+    });
+  });
+
+  describe('group chat settings', () => {
+    let mockSettingsService;
+
+    beforeEach(() => {
+      mockSettingsService = {
+        getGroupSettings: jest.fn().mockResolvedValue({
+          language: 'ru',
+          timezone: 'Europe/Berlin',
+          defaultThreadId: 77,
+          allowMemberShares: true
+        }),
+        getUserTimezone: jest.fn().mockResolvedValue(null),
+        getUserUnits: jest.fn().mockResolvedValue(null)
+      };
+      rideMessagesService = new RideMessagesService(mockRideService, mockMessageFormatter, mockSettingsService);
+      mockMessageFormatter.formatRideWithKeyboard.mockReturnValue({
+        message: 'Formatted ride message',
+        keyboard: { inline_keyboard: [] },
+        parseMode: 'HTML'
+      });
+    });
+
+    it('should post in the group language, timezone and default topic', async () => {
+      const mockRide = { id: 'ride123', participants: [], messages: [] };
+      const mockCtx = {
+        chat: { id: -100123, type: 'supergroup' },
+        lang: 'en',
+        message: {},
+        reply: jest.fn().mockResolvedValue({ message_id: 1 })
+      };
+      mockRideService.updateRide.mockResolvedValue(mockRide);
+
+      await rideMessagesService.createRideMessage(mockRide, mockCtx);
+
+      expect(mockSettingsService.getGroupSettings).toHaveBeenCalledWith(-100123);
+      expect(mockMessageFormatter.formatRideWithKeyboard).toHaveBeenCalledWith(
+        mockRide,
+        { joined: [], thinking: [], skipped: [] },
+        { isForCreator: false, lang: 'ru', timezone: 'Europe/Berlin' }
+      );
+      expect(mockCtx.reply).toHaveBeenCalledWith('Formatted ride message', expect.objectContaining({ message_thread_id: 77 }));
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('ride123', {
+        messages: [{ chatId: -100123, messageId: 1, messageThreadId: 77, language: 'ru', isForCreator: false }]
+      });
+    });
+
+    it('should keep the topic the command was sent in', async () => {
+      const mockRide = { id: 'ride123', participants: [], messages: [] };
+      const mockCtx = {
+        chat: { id: -100123, type: 'supergroup' },
+        message: { message_thread_id: 5 },
+        reply: jest.fn().mockResolvedValue({ message_id: 1 })
+      };
+      mockRideService.updateRide.mockResolvedValue(mockRide);
+
+      await rideMessagesService.createRideMessage(mockRide, mockCtx);
+
+      expect(mockCtx.reply).toHaveBeenCalledWith('Formatted ride message', expect.objectContaining({ message_thread_id: 5 }));
+    });
+
+    it('should not look up group settings for private chats', async () => {
+      const mockRide = { id: 'ride123', createdBy: 456, participants: [], messages: [] };
+      const mockCtx = {
+        chat: { id: 123, type: 'private' },
+        from: { id: 123 },
+        message: {},
+        reply: jest.fn().mockResolvedValue({ message_id: 1 })
+      };
+      mockRideService.updateRide.mockResolvedValue(mockRide);
+
+      await rideMessagesService.createRideMessage(mockRide, mockCtx);
+
+      expect(mockSettingsService.getGroupSettings).not.toHaveBeenCalled();
+      expect(mockSettingsService.getUserTimezone).toHaveBeenCalledWith(123);
+      expect(mockMessageFormatter.formatRideWithKeyboard).toHaveBeenCalledWith(
+        mockRide,
+        { joined: [], thinking: [], skipped: [] },
+        { isForCreator: false, lang: 'en' }
+      );
+    });
+
+    it('should show the local time of the user in private chats', async () => {
+      mockSettingsService.getUserTimezone.mockResolvedValue('Asia/Tokyo');
+      const mockRide = {
+        id: 'ride123',
+        participants: [],
+        messages: [{ chatId: 123, messageId: 1, language: 'en', isForCreator: false }]
+      };
+      const mockCtx = { api: { editMessageText: jest.fn().mockResolvedValue({}) } };
+
+      await rideMessagesService.updateRideMessages(mockRide, mockCtx);
+
+      expect(mockMessageFormatter.formatRideWithKeyboard).toHaveBeenCalledWith(
+        mockRide,
+        { joined: [], thinking: [], skipped: [] },
+        { isForCreator: false, lang: 'en', timezone: 'Asia/Tokyo' }
+      );
+    });
+
+    it('should use the unit system of the user in private chats and of the group in groups', async () => {
+      mockSettingsService.getUserUnits.mockResolvedValue('imperial');
+      mockSettingsService.getGroupSettings.mockResolvedValue({ language: null, timezone: null, units: 'metric' });
+      const mockRide = {
+        id: 'ride123',
+        participants: [],
+        messages: [
+          { chatId: 123, messageId: 1, language: 'en', isForCreator: false },
+          { chatId: -100123, messageId: 2, language: 'en', isForCreator: false }
+        ]
+      };
+      const mockCtx = { api: { editMessageText: jest.fn().mockResolvedValue({}) } };
+
+      await rideMessagesService.updateRideMessages(mockRide, mockCtx);
+
+      expect(mockSettingsService.getUserUnits).toHaveBeenCalledWith(123);
+      expect(mockMessageFormatter.formatRideWithKeyboard).toHaveBeenCalledWith(
+        mockRide,
+        { joined: [], thinking: [], skipped: [] },
+        { isForCreator: false, lang: 'en', units: 'imperial' }
+      );
+      expect(mockMessageFormatter.formatRideWithKeyboard).toHaveBeenCalledWith(
+        mockRide,
+        { joined: [], thinking: [], skipped: [] },
+        { isForCreator: false, lang: 'en', units: 'metric' }
+      );
+    });
+
+    it('should render updates with the current group settings', async () => {
+      const mockRide = {
+        id: 'ride123',
+        participants: [],
+        messages: [
+          { chatId: -100123, messageId: 1, language: 'en', isForCreator: false },
+          { chatId: -100123, messageId: 2, language: 'en', isForCreator: false }
+        ]
+      };
+      const mockCtx = { api: { editMessageText: jest.fn().mockResolvedValue({}) } };
+
+      await rideMessagesService.updateRideMessages(mockRide, mockCtx);
+
+      expect(mockSettingsService.getGroupSettings).toHaveBeenCalledTimes(1);
+      expect(mockMessageFormatter.formatRideWithKeyboard).toHaveBeenCalledWith(
+        mockRide,
+        { joined: [], thinking: [], skipped: [] },
+        { isForCreator: false, lang: 'ru', timezone: 'Europe/Berlin' }
+      );
+    });
+
+    it('should fall back to the message language when settings cannot be loaded', async () => {
+      mockSettingsService.getGroupSettings.mockRejectedValue(new Error('db down'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const mockRide = {
+        id: 'ride123',
+        participants: [],
+        messages: [{ chatId: -100123, messageId: 1, language: 'en', isForCreator: false }]
+      };
+      const mockCtx = { api: { editMessageText: jest.fn().mockResolvedValue({}) } };
+
+      const result = await rideMessagesService.updateRideMessages(mockRide, mockCtx);
+
+      expect(result.updatedCount).toBe(1);
+      expect(mockMessageFormatter.formatRideWithKeyboard).toHaveBeenCalledWith(
+        mockRide,
+        { joined: [], thinking: [], skipped: [] },
+        { isForCreator: false, lang: 'en' }
+      );
+      consoleSpy.mockRestore();
+    });
+  });
+
   describe('updateRideMessages', () => {
     it('should return early when ride has no messages', async () => {
       // Setup
@@ -673,6 +953,29 @@ describe('RideMessagesService', () => {
       );
     });
 
+    it('should render owner buttons in the private chat of a co-organizer', async () => {
+      const mockRide = {
+        id: 'ride123',
+        participants: [],
+        coOrganizers: [{ userId: 12345, username: 'carol' }],
+        messages: [
+          { chatId: 12345, messageId: 67890, language: 'en', isForCreator: false },
+          { chatId: -100555, messageId: 1, language: 'en', isForCreator: false }
+        ]
+      };
+      const mockCtx = { api: { editMessageText: jest.fn().mockResolvedValue({}) } };
+      mockMessageFormatter.formatRideWithKeyboard.mockReturnValue({
+        message: 'Updated ride message',
+        keyboard: { inline_keyboard: [] },
+        parseMode: 'HTML'
+      });
+
+      await rideMessagesService.updateRideMessages(mockRide, mockCtx);
+
+      expect(mockMessageFormatter.formatRideWithKeyboard.mock.calls.map(call => call[2].isForCreator))
+        .toEqual([true, false]);
+    });
+
     it('should update multiple messages across different chats', async () => {
       // Setup
       const mockRide = {
@@ -1179,5 +1482,255 @@ describe('RideMessagesService', () => {
         { isForCreator: false, lang: 'en' }
       );
     });
+
+    it('should edit messages sent in inline mode by their inline message ID', async () => {
+      const mockRide = {
+        id: 'ride123',
+        createdBy: 123,
+        messages: [{ inlineMessageId: 'inline-1', language: 'ru', isForCreator: false }]
+      };
+      const mockCtx = {
+        api: {
+          editMessageText: jest.fn(),
+          editMessageTextInline: jest.fn().mockResolvedValue(true)
+        }
+      };
+      mockMessageFormatter.formatRideWithKeyboard.mockReturnValue({
+        message: 'Updated ride message',
+        keyboard: { inline_keyboard: [] },
+        parseMode: 'HTML'
+      });
+
+      const result = await rideMessagesService.updateRideMessages(mockRide, mockCtx);
+
+      expect(mockCtx.api.editMessageTextInline).toHaveBeenCalledWith('inline-1', 'Updated ride message', {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [] }
+      });
+      expect(mockCtx.api.editMessageText).not.toHaveBeenCalled();
+      expect(mockMessageFormatter.formatRideWithKeyboard.mock.calls[0][2]).toEqual({ isForCreator: false, lang: 'ru' });
+      expect(result).toEqual({ success: true, updatedCount: 1, removedCount: 0 });
+    });
+
+    it('should stop tracking only the inline message that no longer exists', async () => {
+      const chatMessage = { chatId: 12345, messageId: 67890, language: 'en', isForCreator: false };
+      const mockRide = {
+        id: 'ride123',
+        messages: [
+          chatMessage,
+          { inlineMessageId: 'gone', language: 'en', isForCreator: false },
+          { inlineMessageId: 'kept', language: 'en', isForCreator: false }
+        ]
+      };
+      const mockCtx = {
+        api: {
+          editMessageText: jest.fn().mockResolvedValue({}),
+          editMessageTextInline: jest.fn(async (inlineMessageId) => {
+            if (inlineMessageId === 'gone') {
+              throw { description: 'Bad Request: MESSAGE_ID_INVALID' };
+            }
+            return true;
+          })
+        }
+      };
+      mockMessageFormatter.formatRideWithKeyboard.mockReturnValue({
+        message: 'Updated ride message',
+        keyboard: { inline_keyboard: [] },
+        parseMode: 'HTML'
+      });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await rideMessagesService.updateRideMessages(mockRide, mockCtx);
+
+      expect(result).toEqual({ success: true, updatedCount: 2, removedCount: 1 });
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('ride123', {
+        messages: [chatMessage, { inlineMessageId: 'kept', language: 'en', isForCreator: false }]
+      });
+    });
+  });
+
+  describe('meeting point location', () => {
+    const pin = { lat: 52.52, lon: 13.405 };
+    const sharingRide = (overrides = {}) => ({
+      id: 'ride123',
+      participants: [],
+      meetingPointLocation: pin,
+      settings: { shareLocation: true },
+      messages: [],
+      ...overrides
+    });
+
+    beforeEach(() => {
+      mockMessageFormatter.formatRideWithKeyboard.mockReturnValue({
+        message: 'Formatted ride message',
+        keyboard: { inline_keyboard: [] },
+        parseMode: 'HTML'
+      });
+    });
+
+    it('should post the meeting point under a ride message in a group', async () => {
+      const ride = sharingRide();
+      const api = {
+        sendMessage: jest.fn().mockResolvedValue({ message_id: 555 }),
+        sendLocation: jest.fn().mockResolvedValue({ message_id: 556 })
+      };
+      mockRideService.updateRide.mockResolvedValue(ride);
+
+      await rideMessagesService.postRideMessageToChat(ride, api, { chatId: -100123, messageThreadId: 7 });
+
+      expect(api.sendLocation).toHaveBeenCalledWith(-100123, 52.52, 13.405, {
+        reply_parameters: { message_id: 555, allow_sending_without_reply: true },
+        message_thread_id: 7
+      });
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('ride123', {
+        messages: [
+          { chatId: -100123, messageId: 555, language: 'en', isForCreator: false, messageThreadId: 7 },
+          { chatId: -100123, messageId: 556, isForCreator: false, location: pin, messageThreadId: 7 }
+        ]
+      });
+    });
+
+    it.each([
+      ['in private chats', sharingRide(), 42],
+      ['when the ride does not share it', sharingRide({ settings: { shareLocation: false } }), -100123],
+      ['without a map pin', sharingRide({ meetingPointLocation: null }), -100123]
+    ])('should not post the meeting point %s', async (_, ride, chatId) => {
+      const api = {
+        sendMessage: jest.fn().mockResolvedValue({ message_id: 555 }),
+        sendLocation: jest.fn()
+      };
+      mockRideService.updateRide.mockResolvedValue(ride);
+
+      await rideMessagesService.postRideMessageToChat(ride, api, { chatId });
+
+      expect(api.sendLocation).not.toHaveBeenCalled();
+      expect(mockRideService.updateRide.mock.calls[0][1].messages).toHaveLength(1);
+    });
+
+    it('should keep the ride message when the meeting point cannot be posted', async () => {
+      const ride = sharingRide();
+      const api = {
+        sendMessage: jest.fn().mockResolvedValue({ message_id: 555 }),
+        sendLocation: jest.fn().mockRejectedValue(new Error('Forbidden'))
+      };
+      mockRideService.updateRide.mockResolvedValue(ride);
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await rideMessagesService.postRideMessageToChat(ride, api, { chatId: -100123 });
+
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('ride123', {
+        messages: [{ chatId: -100123, messageId: 555, language: 'en', isForCreator: false }]
+      });
+      warnSpy.mockRestore();
+    });
+
+    it('should not edit location messages when updating ride messages', async () => {
+      const ride = sharingRide({
+        messages: [
+          { chatId: -100123, messageId: 10, language: 'en', isForCreator: false },
+          { chatId: -100123, messageId: 11, isForCreator: false, location: pin }
+        ]
+      });
+      const ctx = { api: { editMessageText: jest.fn().mockResolvedValue({}), sendLocation: jest.fn() } };
+
+      const result = await rideMessagesService.updateRideMessages(ride, ctx);
+
+      expect(ctx.api.editMessageText).toHaveBeenCalledTimes(1);
+      expect(ctx.api.sendLocation).not.toHaveBeenCalled();
+      expect(mockRideService.updateRide).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: true, updatedCount: 1, removedCount: 0 });
+    });
+
+    it('should replace the location messages of a moved map pin', async () => {
+      const ride = sharingRide({
+        messages: [
+          { chatId: -100123, messageId: 10, language: 'en', isForCreator: false },
+          { chatId: -100123, messageId: 11, isForCreator: false, location: { lat: 1, lon: 2 } }
+        ]
+      });
+      const ctx = {
+        api: {
+          editMessageText: jest.fn().mockResolvedValue({}),
+          deleteMessage: jest.fn().mockResolvedValue(true),
+          sendLocation: jest.fn().mockResolvedValue({ message_id: 12 })
+        }
+      };
+
+      await rideMessagesService.updateRideMessages(ride, ctx);
+
+      expect(ctx.api.deleteMessage).toHaveBeenCalledWith(-100123, 11);
+      expect(ctx.api.sendLocation).toHaveBeenCalledWith(-100123, 52.52, 13.405, {
+        reply_parameters: { message_id: 10, allow_sending_without_reply: true }
+      });
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('ride123', {
+        messages: [
+          { chatId: -100123, messageId: 10, language: 'en', isForCreator: false },
+          { chatId: -100123, messageId: 12, isForCreator: false, location: pin }
+        ]
+      });
+    });
+
+    it('should delete the location messages once the ride stops sharing them', async () => {
+      const ride = sharingRide({
+        settings: { shareLocation: false },
+        messages: [
+          { chatId: -100123, messageId: 10, language: 'en', isForCreator: false },
+          { chatId: -100123, messageId: 11, isForCreator: false, location: pin }
+        ]
+      });
+      const ctx = {
+        api: {
+          editMessageText: jest.fn().mockResolvedValue({}),
+          deleteMessage: jest.fn().mockResolvedValue(true),
+          sendLocation: jest.fn()
+        }
+      };
+
+      await rideMessagesService.updateRideMessages(ride, ctx);
+
+      expect(ctx.api.deleteMessage).toHaveBeenCalledWith(-100123, 11);
+      expect(ctx.api.sendLocation).not.toHaveBeenCalled();
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('ride123', {
+        messages: [{ chatId: -100123, messageId: 10, language: 'en', isForCreator: false }]
+      });
+    });
+  });
+
+  describe('inline mode', () => {
+    it('should render inline messages without owner buttons and reader preferences', () => {
+      const ride = { id: 'ride123', createdBy: 123, participation: { joined: [], thinking: [], skipped: [] } };
+      mockMessageFormatter.formatRideWithKeyboard.mockReturnValue({ message: 'Ride', keyboard: {}, parseMode: 'HTML' });
+
+      const result = rideMessagesService.formatInlineRideMessage(ride, 'ru');
+
+      expect(result).toEqual({ message: 'Ride', keyboard: {}, parseMode: 'HTML' });
+      expect(mockMessageFormatter.formatRideWithKeyboard).toHaveBeenCalledWith(
+        ride,
+        ride.participation,
+        { isForCreator: false, lang: 'ru' }
+      );
+    });
+
+    it('should track an inline message once', async () => {
+      const ride = { id: 'ride123', messages: [{ chatId: 1, messageId: 2 }] };
+      mockRideService.updateRide.mockResolvedValue({ id: 'ride123', tracked: true });
+
+      const updatedRide = await rideMessagesService.trackInlineMessage(ride, 'inline-1', 'en');
+      const unchangedRide = await rideMessagesService.trackInlineMessage(
+        { ...ride, messages: [{ inlineMessageId: 'inline-1' }] },
+        'inline-1',
+        'en'
+      );
+
+      expect(mockRideService.updateRide).toHaveBeenCalledTimes(1);
+      expect(mockRideService.updateRide).toHaveBeenCalledWith('ride123', {
+        messages: [
+          { chatId: 1, messageId: 2 },
+          { inlineMessageId: 'inline-1', language: 'en', isForCreator: false }
+        ]
+      });
+      expect(updatedRide).toEqual({ id: 'ride123', tracked: true });
+      expect(unchangedRide.messages).toEqual([{ inlineMessageId: 'inline-1' }]);
+    });
   });
 });
@@ -34,7 +34,8 @@ describe('RideParticipationService', () => {
       setParticipation: jest.fn()
     };
     mockNotificationService = {
-      scheduleParticipationNotification: jest.fn()
+      scheduleParticipationNotification: jest.fn().mockResolvedValue(undefined),
+      scheduleWaitlistPromotionNotification: jest.fn().mockResolvedValue(undefined)
     };
     mockGroupManagementService = {
       addParticipant: jest.fn().mockResolvedValue({}),
@@ -94,7 +95,7 @@ describe('RideParticipationService', () => {
       api
     });
 
-    expect(result).toEqual({ status: 'already_in_state', targetState: 'joined' });
+    expect(result).toEqual({ status: 'already_in_state', targetState: 'joined', resultState: 'joined' });
     expect(mockNotificationService.scheduleParticipationNotification).not.toHaveBeenCalled();
   });
 
@@ -118,13 +119,13 @@ describe('RideParticipationService', () => {
       status: 'changed',
       ride,
       previousState: null,
-      targetState: 'joined'
+      targetState: 'joined',
+      resultState: 'joined'
     });
     expect(mockNotificationService.scheduleParticipationNotification).toHaveBeenCalledWith(
       ride,
       participantProfile,
-      'joined',
-      api
+      'joined'
     );
     expect(mockGroupManagementService.addParticipant).toHaveBeenCalledWith(
       api,
@@ -177,4 +178,32 @@ describe('RideParticipationService', () => {
 
     expect(mockGroupManagementService.removeParticipant).not.toHaveBeenCalled();
   });
+
+  it('puts participant on the waitlist without inviting them to the group', async () => {
+    mockRideService.getRide.mockResolvedValue(ride);
+    mockRideService.setParticipation.mockResolvedValue({
+      success: true,
+      ride,
+      previousState: null,
+      state: 'waitlist',
+      promoted: []
+    });
+
+    const result = await service.changeParticipation({
+      rideId: 'ride-1',
+      participantProfile,
+      targetState: 'joined',
+      language: 'en',
+      api
+    });
+
+    expect(result.status).toBe('changed');
+    expect(result.resultState).toBe('waitlist');
+    expect(mockNotificationService.scheduleParticipationNotification).toHaveBeenCalledWith(
+      ride,
+      participantProfile,
+      'waitlist'
+    );
+    expect(mockGroupManagementService.addParticipant).not.toHaveBeenCalled();
+  });
 });
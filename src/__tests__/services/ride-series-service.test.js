@@ -0,0 +1,348 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { MemoryStorage } from '../../storage/memory.js';
+import { RideService } from '../../services/RideService.js';
+import { RideMessagesService } from '../../services/RideMessagesService.js';
+import { RideSeriesService, SERIES_JOB_TYPE } from '../../services/RideSeriesService.js';
+import { JobSchedulerService } from '../../services/JobSchedulerService.js';
+import { MessageFormatter } from '../../formatters/MessageFormatter.js';
+import { UserProfile } from '../../models/UserProfile.js';
+import { config } from '../../config.js';
+
+describe('RideSeriesService', () => {
+  const creator = new UserProfile({ userId: 101, username: 'organizer', firstName: 'Olga' });
+  let storage;
+  let rideService;
+  let jobScheduler;
+  let rideSeriesService;
+  let api;
+  let originalTimezone;
+  let originalDaysAhead;
+  let nextMessageId;
+
+  const createRide = async (date, overrides = {}) => {
+    const { ride } = await rideService.createRideFromParams({
+      title: 'Tuesday Café Ride',
+      when: date,
+      meet: 'Café',
+      ...overrides
+    }, null, creator);
+    return ride;
+  };
+
+  // Run the due series jobs and return the rides they created
+  const runDueJobs = async () => {
+    const existingIds = new Set(storage.rides.keys());
+    await jobScheduler.processDueJobs(api);
+    return Array.from(storage.rides.values())
+      .filter(ride => !existingIds.has(ride.id))
+      .sort((a, b) => a.date - b.date);
+  };
+
+  const pendingSeriesJobs = () => Array.from(storage.jobs.values())
+    .filter(job => job.type === SERIES_JOB_TYPE && job.status === 'pending');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2026, 9, 19, 9, 0)); // Monday 19 Oct 2026
+
+    originalTimezone = config.dateFormat.defaultTimezone;
+    originalDaysAhead = config.rideSeries.daysAhead;
+    config.dateFormat.defaultTimezone = null;
+    config.rideSeries.daysAhead = 7;
+
+    storage = new MemoryStorage();
+    rideService = new RideService(storage);
+    jobScheduler = new JobSchedulerService(storage);
+    rideSeriesService = new RideSeriesService(
+      storage,
+      rideService,
+      new RideMessagesService(rideService, new MessageFormatter()),
+      jobScheduler
+    );
+
+    nextMessageId = 500;
+    api = {
+      sendMessage: jest.fn(async () => ({ message_id: nextMessageId++ }))
+    };
+  });
+
+  afterEach(() => {
+    config.dateFormat.defaultTimezone = originalTimezone;
+    config.rideSeries.daysAhead = originalDaysAhead;
+    jest.useRealTimers();
+  });
+
+  describe('setRecurrence', () => {
+    it('should create a series anchored at the ride and link the ride to it', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+
+      const series = await rideSeriesService.setRecurrence(ride, {
+        rule: { frequency: 'weekly', interval: 1, weekdays: [] }
+      });
+
+      expect(series).toMatchObject({
+        createdBy: 101,
+        rule: { frequency: 'weekly', interval: 1, weekdays: [2] },
+        occurrences: 1,
+        status: 'active',
+        lastRideId: ride.id
+      });
+      expect((await storage.getRide(ride.id)).seriesId).toBe(series.id);
+    });
+
+    it('should schedule the series job for when the next ride enters the creation window', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+
+      const series = await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+
+      expect(pendingSeriesJobs()).toEqual([expect.objectContaining({
+        key: `rideSeries:${series.id}`,
+        payload: { seriesId: series.id },
+        runAt: new Date(2026, 9, 20, 18, 30)
+      })]);
+    });
+
+    it('should replace the rule and reactivate an existing series', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      const series = await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+      await rideSeriesService.setStatus(series.id, 'ended');
+
+      const updated = await rideSeriesService.setRecurrence(
+        await storage.getRide(ride.id),
+        { rule: { frequency: 'weekly', interval: 2, weekdays: [4] }, count: 5 }
+      );
+
+      expect(updated.id).toBe(series.id);
+      expect(updated).toMatchObject({ status: 'active', count: 5, rule: { interval: 2, weekdays: [4] } });
+    });
+  });
+
+  describe('series jobs', () => {
+    it('should duplicate the latest ride for the next date and post it to the same chats', async () => {
+      const ride = await createRide('2026-10-20T18:30', { max: '10' });
+      await rideService.updateRide(ride.id, {
+        messages: [
+          { chatId: 101, messageId: 1, language: 'en', isForCreator: true },
+          { chatId: -100200, messageId: 2, messageThreadId: 9, language: 'ru', isForCreator: false }
+        ]
+      });
+      const series = await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+      jest.setSystemTime(new Date(2026, 9, 21, 9, 0));
+
+      const created = await runDueJobs();
+
+      expect(created).toHaveLength(1);
+      const instance = await storage.getRide(created[0].id);
+      expect(instance).toMatchObject({
+        title: 'Tuesday Café Ride',
+        meetingPoint: 'Café',
+        maxParticipants: 10,
+        seriesId: series.id,
+        createdBy: 101
+      });
+      expect(instance.date).toEqual(new Date(2026, 9, 27, 18, 30));
+      expect(instance.participation.joined.map(p => p.userId)).toEqual([101]);
+
+      expect(api.sendMessage).toHaveBeenCalledTimes(2);
+      expect(api.sendMessage).toHaveBeenCalledWith(101, expect.stringContaining('Tuesday Café Ride'), expect.any(Object));
+      expect(api.sendMessage).toHaveBeenCalledWith(
+        -100200,
+        expect.stringContaining('Tuesday Café Ride'),
+        expect.objectContaining({ message_thread_id: 9 })
+      );
+      expect(instance.messages).toEqual([
+        expect.objectContaining({ chatId: 101, messageId: 500, isForCreator: true }),
+        expect.objectContaining({ chatId: -100200, messageId: 501, messageThreadId: 9, language: 'ru' })
+      ]);
+
+      expect(await storage.getRideSeries(series.id)).toMatchObject({
+        occurrences: 2,
+        lastRideId: instance.id,
+        lastRideDate: instance.date
+      });
+      expect(pendingSeriesJobs()).toEqual([expect.objectContaining({ runAt: new Date(2026, 9, 27, 18, 30) })]);
+    });
+
+    it('should not repost the new ride to messages sent in inline mode or location messages', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      await rideService.updateRide(ride.id, {
+        messages: [
+          { chatId: 101, messageId: 1, language: 'en', isForCreator: true },
+          { chatId: 101, messageId: 2, isForCreator: false, location: { lat: 52.52, lon: 13.405 } },
+          { inlineMessageId: 'inline-1', language: 'en', isForCreator: false }
+        ]
+      });
+      await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+      jest.setSystemTime(new Date(2026, 9, 21, 9, 0));
+
+      const created = await runDueJobs();
+
+      expect(api.sendMessage).toHaveBeenCalledTimes(1);
+      expect(api.sendMessage).toHaveBeenCalledWith(101, expect.any(String), expect.any(Object));
+      const instance = await storage.getRide(created[0].id);
+      expect(instance.messages).toEqual([expect.objectContaining({ chatId: 101, messageId: 500 })]);
+    });
+
+    it('should not create rides outside the creation window or twice for the same date', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 2, weekdays: [2] } });
+
+      expect(await runDueJobs()).toHaveLength(0);
+
+      jest.setSystemTime(new Date(2026, 9, 28, 9, 0));
+      expect(await runDueJobs()).toHaveLength(1);
+      expect(await runDueJobs()).toHaveLength(0);
+    });
+
+    it('should create every ride that falls within the window', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2, 4, 6] } });
+
+      const created = await runDueJobs();
+
+      expect(created.map(r => r.date)).toEqual([
+        new Date(2026, 9, 22, 18, 30),
+        new Date(2026, 9, 24, 18, 30)
+      ]);
+    });
+
+    it('should honor skipped dates', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      const series = await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+
+      const { alreadyCreated } = await rideSeriesService.skipDate(series, new Date(2026, 9, 27, 12, 0));
+      expect(alreadyCreated).toBe(false);
+      expect(pendingSeriesJobs()).toEqual([expect.objectContaining({ runAt: new Date(2026, 9, 27, 18, 30) })]);
+
+      jest.setSystemTime(new Date(2026, 10, 2, 9, 0));
+      const created = await runDueJobs();
+
+      expect(created.map(r => r.date)).toEqual([new Date(2026, 10, 3, 18, 30)]);
+    });
+
+    it('should report skipping a date that already has a ride', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      const series = await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+
+      const result = await rideSeriesService.skipDate(series, new Date(2026, 9, 20, 12, 0));
+
+      expect(result).toMatchObject({ dateKey: '2026-10-20', alreadyCreated: true });
+      expect((await storage.getRideSeries(series.id)).skipDates).toEqual([]);
+    });
+
+    it('should skip paused series and schedule them again on resume', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      const series = await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+      await rideSeriesService.setStatus(series.id, 'paused');
+      jest.setSystemTime(new Date(2026, 9, 21, 9, 0));
+
+      expect(await runDueJobs()).toHaveLength(0);
+      expect(pendingSeriesJobs()).toHaveLength(0);
+
+      await rideSeriesService.setStatus(series.id, 'active');
+      expect(await runDueJobs()).toHaveLength(1);
+    });
+
+    it('should end the series once the ride count is reached', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      const series = await rideSeriesService.setRecurrence(ride, {
+        rule: { frequency: 'weekly', interval: 1, weekdays: [2] },
+        count: 2
+      });
+      jest.setSystemTime(new Date(2026, 9, 21, 9, 0));
+
+      expect(await runDueJobs()).toHaveLength(1);
+      jest.setSystemTime(new Date(2026, 10, 2, 9, 0));
+      expect(await runDueJobs()).toHaveLength(0);
+      expect((await storage.getRideSeries(series.id)).status).toBe('ended');
+    });
+
+    it('should end the series after its end date', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      const series = await rideSeriesService.setRecurrence(ride, {
+        rule: { frequency: 'weekly', interval: 1, weekdays: [2] },
+        until: new Date(2026, 9, 26, 12, 0)
+      });
+
+      expect(await runDueJobs()).toHaveLength(0);
+      expect((await storage.getRideSeries(series.id)).status).toBe('ended');
+    });
+
+    it('should end the series when its latest ride was deleted', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      const series = await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+      await storage.deleteRide(ride.id);
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.setSystemTime(new Date(2026, 9, 21, 9, 0));
+
+      expect(await runDueJobs()).toHaveLength(0);
+      expect((await storage.getRideSeries(series.id)).status).toBe('ended');
+      warnSpy.mockRestore();
+    });
+
+    it('should still create the ride when posting to a chat fails', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      await rideService.updateRide(ride.id, { messages: [{ chatId: -100300, messageId: 3 }] });
+      await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+      api.sendMessage.mockRejectedValueOnce(new Error('chat not found'));
+      jest.setSystemTime(new Date(2026, 9, 21, 9, 0));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const created = await runDueJobs();
+
+      expect(created).toHaveLength(1);
+      expect(created[0].messages).toEqual([]);
+      warnSpy.mockRestore();
+    });
+
+    it('should not create the ride a second time when posting it fails', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      const series = await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+      const shareSpy = jest.spyOn(rideSeriesService, 'shareInstance').mockRejectedValueOnce(new Error('network down'));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.setSystemTime(new Date(2026, 9, 21, 9, 0));
+
+      const created = await runDueJobs();
+
+      expect(created).toHaveLength(1);
+      expect(await storage.getRideSeries(series.id)).toMatchObject({ occurrences: 2, lastRideId: created[0].id });
+      jest.setSystemTime(new Date(2026, 9, 21, 10, 0));
+      expect(await runDueJobs()).toHaveLength(0);
+      expect(Array.from(storage.rides.values()).filter(r => r.seriesId === series.id)).toHaveLength(2);
+      shareSpy.mockRestore();
+      errorSpy.mockRestore();
+    });
+
+    it('should retry the job when the next ride could not be created', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'weekly', interval: 1, weekdays: [2] } });
+      const duplicateSpy = jest.spyOn(rideService, 'duplicateRide').mockResolvedValueOnce({ ride: null, error: 'db down' });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.setSystemTime(new Date(2026, 9, 21, 9, 0));
+
+      expect(await runDueJobs()).toHaveLength(0);
+      expect(pendingSeriesJobs()).toEqual([expect.objectContaining({ attempts: 1 })]);
+
+      jest.setSystemTime(new Date(2026, 9, 21, 10, 0));
+      expect(await runDueJobs()).toHaveLength(1);
+      duplicateSpy.mockRestore();
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('getNextScheduledDate', () => {
+    it('should return the next date for active series only', async () => {
+      const ride = await createRide('2026-10-20T18:30');
+      const series = await rideSeriesService.setRecurrence(ride, { rule: { frequency: 'monthly', interval: 1, weekOfMonth: -1, weekday: 6 } });
+
+      expect(await rideSeriesService.getNextScheduledDate(series)).toEqual(new Date(2026, 9, 31, 18, 30));
+
+      const paused = await rideSeriesService.setStatus(series.id, 'paused');
+      expect(await rideSeriesService.getNextScheduledDate(paused)).toBeNull();
+    });
+  });
+});
@@ -307,6 +307,158 @@ describe('RideService', () => {
     });
   });
 
+  describe('Participant Limit and Waitlist', () => {
+    const participant2 = { userId: 202, username: 'second', firstName: 'Second', lastName: 'Rider' };
+    const participant3 = { userId: 303, username: 'third', firstName: 'Third', lastName: 'Rider' };
+
+    it('should put a rider on the waitlist when the ride is full', async () => {
+      const ride = await rideService.createRide({ ...testRide, maxParticipants: 1 });
+      await rideService.setParticipation(ride.id, testParticipant, 'joined');
+
+      const result = await rideService.setParticipation(ride.id, participant2, 'joined');
+
+      expect(result.success).toBe(true);
+      expect(result.state).toBe('waitlist');
+      expect(result.ride.participation.joined.map(p => p.userId)).toEqual([testParticipant.userId]);
+      expect(result.ride.participation.waitlist.map(p => p.userId)).toEqual([participant2.userId]);
+    });
+
+    it('should report already_in_state when a waitlisted rider asks to join again', async () => {
+      const ride = await rideService.createRide({ ...testRide, maxParticipants: 1 });
+      await rideService.setParticipation(ride.id, testParticipant, 'joined');
+      await rideService.setParticipation(ride.id, participant2, 'joined');
+
+      const result = await rideService.setParticipation(ride.id, participant2, 'joined');
+
+      expect(result.success).toBe(false);
+      expect(result.state).toBe('waitlist');
+    });
+
+    it('should promote the first waitlisted rider when a joined rider leaves', async () => {
+      const ride = await rideService.createRide({ ...testRide, maxParticipants: 1 });
+      await rideService.setParticipation(ride.id, testParticipant, 'joined');
+      await rideService.setParticipation(ride.id, participant2, 'joined');
+      await rideService.setParticipation(ride.id, participant3, 'joined');
+
+      const result = await rideService.setParticipation(ride.id, testParticipant, 'skipped');
+
+      expect(result.previousState).toBe('joined');
+      expect(result.promoted.map(p => p.userId)).toEqual([participant2.userId]);
+      expect(result.ride.participation.joined.map(p => p.userId)).toEqual([participant2.userId]);
+      expect(result.ride.participation.waitlist.map(p => p.userId)).toEqual([participant3.userId]);
+    });
+
+    it('should not let a newcomer take a free spot ahead of waitlisted riders', async () => {
+      const ride = await rideService.createRide({ ...testRide, maxParticipants: 1 });
+      await rideService.setParticipation(ride.id, testParticipant, 'joined');
+      await rideService.setParticipation(ride.id, participant2, 'joined');
+      await rideService.updateRide(ride.id, { maxParticipants: 2 });
+
+      const newcomer = await rideService.setParticipation(ride.id, participant3, 'joined');
+      expect(newcomer.state).toBe('waitlist');
+
+      // Raising the limit gave the freed spot to the first waitlisted rider
+      const firstInLine = await rideService.setParticipation(ride.id, participant2, 'joined');
+      expect(firstInLine.success).toBe(false);
+      expect(firstInLine.state).toBe('joined');
+    });
+
+    it('should not go over the limit when riders join the last spot at the same time', async () => {
+      const ride = await rideService.createRide({ ...testRide, maxParticipants: 1 });
+
+      const results = await Promise.all([
+        rideService.setParticipation(ride.id, testParticipant, 'joined'),
+        rideService.setParticipation(ride.id, participant2, 'joined')
+      ]);
+
+      expect(results.map(result => result.state)).toEqual(['joined', 'waitlist']);
+      const stored = await storage.getRide(ride.id);
+      expect(stored.participation.joined.map(p => p.userId)).toEqual([testParticipant.userId]);
+      expect(stored.participation.waitlist.map(p => p.userId)).toEqual([participant2.userId]);
+    });
+
+    it('should promote waitlisted riders and tell them when the limit is raised', async () => {
+      const notificationService = { scheduleWaitlistPromotionNotification: jest.fn().mockResolvedValue() };
+      rideService = new RideService(storage, undefined, null, null, notificationService);
+      const ride = await rideService.createRide({ ...testRide, maxParticipants: 1 });
+      await rideService.setParticipation(ride.id, testParticipant, 'joined');
+      await rideService.setParticipation(ride.id, participant2, 'joined');
+      await rideService.setParticipation(ride.id, participant3, 'joined');
+
+      const updated = await rideService.updateRide(ride.id, { maxParticipants: 2 }, testRide.createdBy);
+
+      expect(updated.participation.joined.map(p => p.userId)).toEqual([testParticipant.userId, participant2.userId]);
+      expect(updated.participation.waitlist.map(p => p.userId)).toEqual([participant3.userId]);
+      expect(notificationService.scheduleWaitlistPromotionNotification).toHaveBeenCalledTimes(1);
+      expect(notificationService.scheduleWaitlistPromotionNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ id: ride.id }),
+        expect.objectContaining({ userId: participant2.userId })
+      );
+    });
+
+    it('should promote the whole waitlist when the limit is removed', async () => {
+      const notificationService = { scheduleWaitlistPromotionNotification: jest.fn().mockResolvedValue() };
+      rideService = new RideService(storage, undefined, null, null, notificationService);
+      const ride = await rideService.createRide({ ...testRide, maxParticipants: 1 });
+      await rideService.setParticipation(ride.id, testParticipant, 'joined');
+      await rideService.setParticipation(ride.id, participant2, 'joined');
+      await rideService.setParticipation(ride.id, participant3, 'joined');
+
+      const { ride: updated } = await rideService.updateRideFromParams(ride.id, { max: '-' }, testRide.createdBy);
+
+      expect(updated.participation.joined).toHaveLength(3);
+      expect(updated.participation.waitlist).toEqual([]);
+      expect(notificationService.scheduleWaitlistPromotionNotification).toHaveBeenCalledTimes(2);
+    });
+
+    it('should tell riders promoted when a joined rider leaves', async () => {
+      const notificationService = { scheduleWaitlistPromotionNotification: jest.fn().mockResolvedValue() };
+      rideService = new RideService(storage, undefined, null, null, notificationService);
+      const ride = await rideService.createRide({ ...testRide, maxParticipants: 1 });
+      await rideService.setParticipation(ride.id, testParticipant, 'joined');
+      await rideService.setParticipation(ride.id, participant2, 'joined');
+
+      await rideService.setParticipation(ride.id, testParticipant, 'skipped');
+
+      expect(notificationService.scheduleWaitlistPromotionNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ id: ride.id }),
+        expect.objectContaining({ userId: participant2.userId })
+      );
+    });
+
+    it('should not limit joined riders when maxParticipants is not set', async () => {
+      const ride = await rideService.createRide(testRide);
+      await rideService.setParticipation(ride.id, testParticipant, 'joined');
+      const result = await rideService.setParticipation(ride.id, participant2, 'joined');
+
+      expect(result.state).toBe('joined');
+      expect(result.ride.participation.joined).toHaveLength(2);
+    });
+
+    it('should parse and clear the max parameter', async () => {
+      const { ride } = await rideService.createRideFromParams(
+        { title: 'Capped Ride', when: 'tomorrow at 10:00', max: '15' },
+        null,
+        testCreatorProfile
+      );
+      expect(ride.maxParticipants).toBe(15);
+
+      const { ride: updated } = await rideService.updateRideFromParams(ride.id, { max: '-' }, testCreatorProfile.userId);
+      expect(updated.maxParticipants).toBeNull();
+    });
+
+    it('should reject a non-numeric max parameter', async () => {
+      const result = await rideService.createRideFromParams(
+        { title: 'Capped Ride', when: 'tomorrow at 10:00', max: 'lots' },
+        null,
+        testCreatorProfile
+      );
+
+      expect(result.ride).toBeNull();
+      expect(result.error).toBe(tr('en', 'parsers.maxParticipants.invalidFormat'));
+    });
+  });
+
   describe('Ride Listing', () => {
     it('should get rides created by a user', async () => {
       // Create rides for different users
@@ -339,6 +491,57 @@ describe('RideService', () => {
       expect(result.total).toBe(5);
       expect(result.rides).toHaveLength(2);
     });
+
+    it('should get the rides of a chat that have not started yet', async () => {
+      await rideService.createRide({ ...testRide, title: 'Past Ride' });
+      await rideService.createRide({ ...testRide, title: 'Future Ride', date: new Date('2030-03-15T15:00:00Z') });
+
+      const result = await rideService.getUpcomingRidesForChat(123456, 0, 5);
+
+      expect(result.total).toBe(1);
+      expect(result.rides[0].title).toBe('Future Ride');
+    });
+
+    it('should get the upcoming or past rides a user responded to', async () => {
+      const past = await rideService.createRide({ ...testRide, title: 'Past Ride' });
+      const future = await rideService.createRide({ ...testRide, title: 'Future Ride', date: new Date('2030-03-15T15:00:00Z') });
+      await rideService.setParticipation(past.id, testParticipant, 'joined');
+      await rideService.setParticipation(future.id, testParticipant, 'joined');
+
+      const upcoming = await rideService.getRidesByParticipant(101, ['joined'], false, 0, 5);
+      const ridden = await rideService.getRidesByParticipant(101, ['joined'], true, 0, 5);
+
+      expect(upcoming.rides.map(ride => ride.title)).toEqual(['Future Ride']);
+      expect(ridden.rides.map(ride => ride.title)).toEqual(['Past Ride']);
+    });
+
+    it('should get the upcoming rides a user may post in inline mode', async () => {
+      const date = new Date('2030-03-15T15:00:00Z');
+      await rideService.createRide({ ...testRide, title: 'Past Ride' });
+      await rideService.createRide({ ...testRide, title: 'Own Ride', date });
+      const cancelled = await rideService.createRide({ ...testRide, title: 'Cancelled Ride', date });
+      await rideService.cancelRide(cancelled.id);
+      const reposts = await rideService.createRide({ ...testRide, title: 'Open Ride', createdBy: 456, date, settings: { allowReposts: true } });
+      const noReposts = await rideService.createRide({ ...testRide, title: 'Closed Ride', createdBy: 456, date, settings: { allowReposts: false } });
+      await rideService.setParticipation(reposts.id, { ...testParticipant, userId: 789 }, 'joined');
+      await rideService.setParticipation(noReposts.id, { ...testParticipant, userId: 789 }, 'joined');
+
+      const rides = await rideService.getRidesToShare(789);
+      const found = await rideService.getRidesToShare(789, ' OPEN ');
+
+      expect(rides.map(ride => ride.title).sort()).toEqual(['Open Ride', 'Own Ride']);
+      expect(found.map(ride => ride.title)).toEqual(['Open Ride']);
+    });
+
+    it('should search rides matching the query', async () => {
+      await rideService.createRide({ ...testRide, title: 'Lake Loop', category: 'road' });
+      await rideService.createRide({ ...testRide, title: 'Forest Loop', category: 'gravel' });
+
+      const result = await rideService.searchRides({ createdBy: testRide.createdBy, category: 'road' }, 0, 5);
+
+      expect(result.total).toBe(1);
+      expect(result.rides[0].title).toBe('Lake Loop');
+    });
   });
 
   describe('Route Processing', () => {
@@ -353,6 +556,7 @@ describe('RideService', () => {
       RouteParser.processRouteInfo.mockResolvedValueOnce({
         routeLink: 'https://example.com/route',
         distance: 50,
+        elevation: 640,
         duration: 180
       });
       
@@ -360,6 +564,7 @@ describe('RideService', () => {
       
       expect(result.error).toBeNull();
       expect(result.ride.distance).toBe(50);
+      expect(result.ride.elevation).toBe(640);
       expect(result.ride.duration).toBe(180);
       expect(RouteParser.processRouteInfo).toHaveBeenCalledWith('https://example.com/route');
     });
@@ -370,6 +575,7 @@ describe('RideService', () => {
         when: 'tomorrow 9am',
         route: 'https://example.com/route',
         dist: '75',
+        elevation: '900',
         duration: '3h 30m'
       };
       
@@ -377,6 +583,7 @@ describe('RideService', () => {
       RouteParser.processRouteInfo.mockResolvedValueOnce({
         routeLink: 'https://example.com/route',
         distance: 50,
+        elevation: 640,
         duration: 180
       });
       
@@ -384,6 +591,7 @@ describe('RideService', () => {
       
       expect(result.error).toBeNull();
       expect(result.ride.distance).toBe(75); // From params, not from route parser
+      expect(result.ride.elevation).toBe(900);
       expect(result.ride.duration).toBe(210); // From params (3h 30m = 210 minutes), not from route parser
       expect(RouteParser.processRouteInfo).toHaveBeenCalledWith('https://example.com/route');
     });
@@ -465,7 +673,35 @@ describe('RideService', () => {
       
       expect(result.ride).toBeNull();
     });
-    
+
+    it('should take distance and meeting point from a route file when not given', async () => {
+      const routeFile = {
+        fileId: 'file-1',
+        fileName: 'loop.gpx',
+        distance: 42.5,
+        elevationGain: 380,
+        start: { lat: 55.75, lon: 37.61 },
+        bounds: { minLat: 55.75, minLon: 37.61, maxLat: 55.9, maxLon: 37.8 }
+      };
+
+      const result = await rideService.createRideFromParams(
+        { title: 'GPX Ride', when: 'tomorrow 9am' }, 123456, testCreatorProfile, { routeFile }
+      );
+      const withParams = await rideService.createRideFromParams(
+        { title: 'GPX Ride', when: 'tomorrow 9am', meet: 'Coffee Shop', dist: '50' }, 123456, testCreatorProfile, { routeFile }
+      );
+
+      expect(result.error).toBeNull();
+      expect(result.ride.routeFile).toEqual(routeFile);
+      expect(result.ride.distance).toBe(42.5);
+      expect(result.ride.elevation).toBe(380);
+      expect(result.ride.meetingPoint).toBe('55.75000, 37.61000');
+      expect(result.ride.meetingPointLocation).toEqual({ lat: 55.75, lon: 37.61 });
+      expect(withParams.ride.distance).toBe(50);
+      expect(withParams.ride.meetingPoint).toBe('Coffee Shop');
+      expect(withParams.ride.meetingPointLocation ?? null).toBeNull();
+    });
+
     it.each(['en', 'ru'])('should include timezone info in error message when timezone is configured (%s)', async (language) => {
       // Set a timezone for this specific test
       config.dateFormat.defaultTimezone = 'Europe/London';
@@ -589,6 +825,8 @@ describe('RideService', () => {
       expect(result.ride.settings).toEqual({
         notifyParticipation: false,
         allowReposts: false,
+        reminders: [1440, 120],
+        shareLocation: false,
         futureSetting: 'preserved'
       });
       expect(result.ride.updatedBy).toBe(502);
@@ -625,6 +863,419 @@ describe('RideService', () => {
     });
   });
 
+  describe('Timezones', () => {
+    const creator = new UserProfile({ userId: 504, username: 'u504' });
+
+    it('should create rides in the home timezone of the creator', async () => {
+      await storage.upsertUser({ userId: 504, settings: { timezone: 'Asia/Tokyo' } });
+
+      const result = await rideService.createRideFromParams(
+        { title: 'Tokyo Ride', when: '21 July 2030 10:00' },
+        1,
+        creator
+      );
+
+      expect(result.error).toBeNull();
+      expect(result.ride.timezone).toBe('Asia/Tokyo');
+      expect(result.ride.date.toISOString()).toBe('2030-07-21T01:00:00.000Z');
+    });
+
+    it('should fall back to the configured default timezone', async () => {
+      config.dateFormat.defaultTimezone = 'Europe/Berlin';
+
+      const result = await rideService.createRideFromParams(
+        { title: 'Berlin Ride', when: '21 July 2030 10:00' },
+        1,
+        creator
+      );
+
+      expect(result.ride.timezone).toBe('Europe/Berlin');
+      expect(result.ride.date.toISOString()).toBe('2030-07-21T08:00:00.000Z');
+    });
+
+    it('should prefer the timezone parameter', async () => {
+      await storage.upsertUser({ userId: 504, settings: { timezone: 'Asia/Tokyo' } });
+
+      const result = await rideService.createRideFromParams(
+        { title: 'Berlin Ride', when: '21 July 2030 10:00', timezone: 'Europe/Berlin' },
+        1,
+        creator
+      );
+
+      expect(result.ride.timezone).toBe('Europe/Berlin');
+      expect(result.ride.date.toISOString()).toBe('2030-07-21T08:00:00.000Z');
+    });
+
+    it('should reject unknown timezones', async () => {
+      const result = await rideService.createRideFromParams(
+        { title: 'Ride', when: '21 July 2030 10:00', timezone: 'Mars/Olympus' },
+        1,
+        creator
+      );
+
+      expect(result.ride).toBeNull();
+      expect(result.error).toContain('Mars/Olympus');
+    });
+
+    it('should read an updated date in the timezone of the ride', async () => {
+      const ride = await rideService.createRide({ ...testRide, timezone: 'Asia/Tokyo' });
+
+      const result = await rideService.updateRideFromParams(ride.id, { when: '21 July 2030 10:00' }, 789);
+
+      expect(result.error).toBeNull();
+      expect(result.ride.timezone).toBe('Asia/Tokyo');
+      expect(result.ride.date.toISOString()).toBe('2030-07-21T01:00:00.000Z');
+    });
+
+    it('should keep the timezone when duplicating a ride', async () => {
+      const originalRide = await rideService.createRide({
+        ...testRide,
+        date: new Date('2030-03-15T15:00:00Z'),
+        timezone: 'Asia/Tokyo'
+      });
+
+      const result = await rideService.duplicateRide(originalRide.id, {}, new UserProfile({ userId: 7, username: 'user7' }));
+
+      expect(result.error).toBeNull();
+      expect(result.ride.timezone).toBe('Asia/Tokyo');
+    });
+  });
+
+  describe('Co-organizers', () => {
+    const rider = new UserProfile({ userId: 202, username: 'CoLead', firstName: 'Cora', lastName: 'Lead' });
+
+    const createRideWithRider = async () => {
+      const ride = await rideService.createRide({ ...testRide, date: new Date('2030-03-15T15:00:00Z') });
+      const result = await rideService.setParticipation(ride.id, rider, 'thinking');
+      return result.ride;
+    };
+
+    it('should add a rider of the ride by username or user ID', async () => {
+      const ride = await createRideWithRider();
+
+      const byUsername = await rideService.addCoOrganizer(ride, { username: 'colead' }, 789);
+
+      expect(byUsername.success).toBe(true);
+      expect(byUsername.coOrganizer).toEqual(new UserProfile(rider));
+      expect(byUsername.ride.coOrganizers).toEqual([
+        { userId: 202, username: 'CoLead', firstName: 'Cora', lastName: 'Lead' }
+      ]);
+      expect(byUsername.ride.updatedBy).toBe(789);
+
+      const byUserId = await rideService.addCoOrganizer(byUsername.ride, { userId: 202 }, 789);
+      expect(byUserId).toEqual({ success: false, ride: null, reason: 'alreadyCoOrganizer' });
+    });
+
+    it('should only add riders who responded to the ride', async () => {
+      const ride = await createRideWithRider();
+
+      await expect(rideService.addCoOrganizer(ride, { username: 'stranger' }, 789))
+        .resolves.toEqual({ success: false, ride: null, reason: 'notParticipant' });
+    });
+
+    it('should not add the creator', async () => {
+      const ride = await rideService.createRide({ ...testRide }, testCreatorProfile);
+
+      await expect(rideService.addCoOrganizer(ride, { userId: 789 }, 789))
+        .resolves.toEqual({ success: false, ride: null, reason: 'creator' });
+    });
+
+    it('should remove a co-organizer', async () => {
+      const { ride } = await rideService.addCoOrganizer(await createRideWithRider(), { userId: 202 }, 789);
+
+      const result = await rideService.removeCoOrganizer(ride, 202, 789);
+
+      expect(result.success).toBe(true);
+      expect(result.ride.coOrganizers).toEqual([]);
+      await expect(rideService.removeCoOrganizer(result.ride, 202, 789)).resolves.toMatchObject({ success: false });
+    });
+
+    it('should keep co-organizers when the creator duplicates the ride', async () => {
+      const { ride } = await rideService.addCoOrganizer(await createRideWithRider(), { userId: 202 }, 789);
+
+      const ownCopy = await rideService.duplicateRide(ride.id, {}, testCreatorProfile);
+      const otherCopy = await rideService.duplicateRide(ride.id, {}, new UserProfile({ userId: 7, username: 'user7' }));
+
+      expect(ownCopy.ride.coOrganizers).toEqual(ride.coOrganizers);
+      expect(otherCopy.ride.coOrganizers).toBeUndefined();
+    });
+  });
+
+  describe('transferRide', () => {
+    const rider = new UserProfile({ userId: 202, username: 'NewLead', firstName: 'Nina', lastName: 'Lead' });
+
+    const createRideWithRider = async (overrides = {}) => {
+      const ride = await rideService.createRide({
+        ...testRide,
+        date: new Date('2030-03-15T15:00:00Z'),
+        organizer: 'Test Creator (@creator)',
+        groupId: -100200,
+        settings: { notifyParticipation: false },
+        messages: [
+          { chatId: 789, messageId: 1, isForCreator: true },
+          { chatId: 202, messageId: 2, isForCreator: false },
+          { chatId: -100200, messageId: 3, isForCreator: false }
+        ],
+        ...overrides
+      });
+      const result = await rideService.setParticipation(ride.id, rider, 'joined');
+      return result.ride;
+    };
+
+    it('should hand the ride over and move the owner buttons', async () => {
+      const ride = await createRideWithRider();
+
+      const result = await rideService.transferRide(ride, { username: 'newlead' }, testCreatorProfile);
+
+      expect(result.success).toBe(true);
+      expect(result.newCreator).toEqual(new UserProfile(rider));
+      expect(result.ride).toMatchObject({
+        createdBy: 202,
+        updatedBy: 789,
+        organizer: 'Nina Lead (@NewLead)',
+        groupId: -100200,
+        settings: { notifyParticipation: false }
+      });
+      expect(result.ride.messages.map(message => message.isForCreator)).toEqual([false, true, false]);
+      expect(result.ride.participation.joined).toEqual([expect.objectContaining({ userId: 202 })]);
+    });
+
+    it('should keep an organizer name that does not name the previous creator', async () => {
+      const ride = await createRideWithRider({ organizer: 'Velo Club' });
+
+      const result = await rideService.transferRide(ride, { userId: 202 }, testCreatorProfile);
+
+      expect(result.ride.organizer).toBe('Velo Club');
+    });
+
+    it('should drop the new creator from the co-organizers', async () => {
+      const { ride } = await rideService.addCoOrganizer(await createRideWithRider(), { userId: 202 }, 789);
+
+      const result = await rideService.transferRide(ride, { userId: 202 }, testCreatorProfile);
+
+      expect(result.ride.coOrganizers).toEqual([]);
+    });
+
+    it('should move a series of the ride to the new creator', async () => {
+      const series = await storage.createRideSeries({ createdBy: 789, status: 'active' });
+      const ride = await createRideWithRider({ seriesId: series.id });
+
+      await rideService.transferRide(ride, { userId: 202 }, testCreatorProfile);
+
+      await expect(storage.getRideSeries(series.id)).resolves.toMatchObject({ createdBy: 202 });
+    });
+
+    it('should only hand the ride over to its riders', async () => {
+      const ride = await createRideWithRider();
+
+      await expect(rideService.transferRide(ride, { username: 'stranger' }, testCreatorProfile))
+        .resolves.toEqual({ success: false, ride: null, reason: 'notParticipant' });
+      await expect(rideService.getRide(ride.id)).resolves.toMatchObject({ createdBy: 789 });
+    });
+  });
+
+  describe('refreshRouteMetadata', () => {
+    let parseRouteSpy;
+
+    beforeEach(() => {
+      parseRouteSpy = jest.spyOn(RouteParser, 'parseRoute');
+    });
+
+    afterEach(() => {
+      parseRouteSpy.mockRestore();
+    });
+
+    it('should read the known routes again and take the first figures found', async () => {
+      const ride = await rideService.createRide({
+        ...testRide,
+        routes: [
+          { url: 'https://example.com/route' },
+          { url: 'https://www.strava.com/routes/5' },
+          { url: 'https://www.komoot.com/tour/77' }
+        ]
+      });
+      parseRouteSpy
+        .mockResolvedValueOnce({ distance: 62 })
+        .mockResolvedValueOnce({ distance: 64, elevation: 720, duration: 200 });
+
+      const result = await rideService.refreshRouteMetadata(ride, 789);
+
+      expect(parseRouteSpy.mock.calls).toEqual([
+        ['https://www.strava.com/routes/5', { refresh: true }],
+        ['https://www.komoot.com/tour/77', { refresh: true }]
+      ]);
+      expect(result.success).toBe(true);
+      expect(result.ride).toMatchObject({ distance: 62, elevation: 720, duration: 200, updatedBy: 789 });
+    });
+
+    it('should leave the ride unchanged without known routes or figures', async () => {
+      const ride = await rideService.createRide(testRide);
+      await expect(rideService.refreshRouteMetadata(ride, 789))
+        .resolves.toEqual({ success: false, ride: null, reason: 'noRoutes' });
+
+      const routedRide = await rideService.createRide({ ...testRide, routeLink: 'https://www.strava.com/routes/5' });
+      parseRouteSpy.mockResolvedValueOnce(null);
+      await expect(rideService.refreshRouteMetadata(routedRide, 789))
+        .resolves.toEqual({ success: false, ride: null, reason: 'noMetadata' });
+      await expect(rideService.getRide(routedRide.id)).resolves.toMatchObject({ distance: 50, duration: 180 });
+    });
+  });
+
+  describe('Attendance', () => {
+    const rider = new UserProfile({ userId: 202, username: 'rider', firstName: 'Rita' });
+    const rideDate = new Date('2030-03-15T15:00:00Z');
+    const atMinutes = minutes => new Date(rideDate.getTime() + minutes * 60 * 1000);
+
+    const createRideWithRider = async (state = 'joined') => {
+      const ride = await rideService.createRide({ ...testRide, date: rideDate });
+      const result = await rideService.setParticipation(ride.id, rider, state);
+      return result.ride;
+    };
+
+    it('should check joined riders in while check-in is open', async () => {
+      const ride = await createRideWithRider();
+
+      const result = await rideService.checkIn(ride, 202, atMinutes(-10));
+
+      expect(result.success).toBe(true);
+      expect(result.ride.attendance).toEqual([
+        { userId: 202, status: 'attended', markedBy: 202, markedAt: expect.any(Date) }
+      ]);
+      await expect(rideService.checkIn(result.ride, 202, atMinutes(5)))
+        .resolves.toEqual({ success: false, ride: null, reason: 'alreadyCheckedIn' });
+    });
+
+    it('should only check riders in during the check-in phase', async () => {
+      const ride = await createRideWithRider();
+
+      await expect(rideService.checkIn(ride, 202, atMinutes(-31)))
+        .resolves.toEqual({ success: false, ride: null, reason: 'notOpen' });
+      await expect(rideService.checkIn(ride, 202, atMinutes(180)))
+        .resolves.toEqual({ success: false, ride: null, reason: 'notOpen' });
+      await expect(rideService.checkIn({ ...ride, cancelled: true }, 202, atMinutes(0)))
+        .resolves.toEqual({ success: false, ride: null, reason: 'notOpen' });
+    });
+
+    it('should not check in riders who did not join', async () => {
+      const ride = await createRideWithRider('thinking');
+
+      await expect(rideService.checkIn(ride, 202, atMinutes(0)))
+        .resolves.toEqual({ success: false, ride: null, reason: 'notJoined' });
+    });
+
+    it('should let organizers mark riders after check-in opens and clear a repeated mark', async () => {
+      const ride = await createRideWithRider();
+
+      await expect(rideService.markAttendance(ride, 202, 'noShow', 789, atMinutes(-40)))
+        .resolves.toEqual({ success: false, ride: null, reason: 'notStarted' });
+
+      const marked = await rideService.markAttendance(ride, 202, 'noShow', 789, atMinutes(24 * 60));
+      expect(marked).toMatchObject({ success: true, status: 'noShow' });
+      expect(marked.ride.attendance).toEqual([expect.objectContaining({ userId: 202, status: 'noShow', markedBy: 789 })]);
+
+      const cleared = await rideService.markAttendance(marked.ride, 202, 'noShow', 789, atMinutes(24 * 60));
+      expect(cleared).toMatchObject({ success: true, status: null });
+      expect(cleared.ride.attendance).toEqual([]);
+
+      await expect(rideService.markAttendance(ride, 303, 'attended', 789, atMinutes(0)))
+        .resolves.toEqual({ success: false, ride: null, reason: 'notJoined' });
+    });
+
+    it('should count the attendance of riders over all rides', async () => {
+      const first = await createRideWithRider();
+      const second = await createRideWithRider();
+      await rideService.markAttendance(first, 202, 'attended', 789, atMinutes(0));
+      await rideService.markAttendance(second, 202, 'noShow', 789, atMinutes(0));
+
+      const history = await rideService.getAttendanceHistory([202, 303]);
+
+      expect(history).toEqual(new Map([[202, { attended: 1, noShow: 1 }]]));
+      await expect(rideService.getAttendanceHistory([])).resolves.toEqual(new Map());
+    });
+  });
+
+  describe('Clubs', () => {
+    const rideParams = { title: 'Club Ride', when: 'tomorrow at 10:00' };
+    let club;
+
+    beforeEach(async () => {
+      club = await storage.createClub({
+        name: 'Velo Club',
+        createdBy: 1,
+        inviteCode: 'code42',
+        members: [
+          { userId: 1, role: 'owner' },
+          { userId: 789, role: 'leader' },
+          { userId: 7, role: 'member' }
+        ]
+      });
+    });
+
+    it('should let club leaders add a ride to the club', async () => {
+      const result = await rideService.createRideFromParams({ ...rideParams, club: `#${club.id}` }, null, testCreatorProfile);
+
+      expect(result.error).toBeNull();
+      expect(result.ride.clubId).toBe(club.id);
+      await expect(rideService.isClubLeader(club.id, 789)).resolves.toBe(true);
+      await expect(storage.getRidesByClub(club.id, 0, 5)).resolves.toMatchObject({ total: 1 });
+    });
+
+    it('should refuse unknown clubs and members below leader', async () => {
+      const member = new UserProfile({ userId: 7, username: 'user7' });
+
+      const unknown = await rideService.createRideFromParams({ ...rideParams, club: 'nope' }, null, testCreatorProfile);
+      const notLeader = await rideService.createRideFromParams({ ...rideParams, club: club.id }, null, member);
+
+      expect(unknown).toEqual({ ride: null, error: tr('en', 'services.ride.clubNotFound', { id: 'nope' }) });
+      expect(notLeader).toEqual({ ride: null, error: tr('en', 'services.ride.clubLeadersOnly', { club: 'Velo Club' }) });
+    });
+
+    it('should take a ride out of its club on update', async () => {
+      const { ride } = await rideService.createRideFromParams({ ...rideParams, club: club.id }, null, testCreatorProfile);
+
+      const result = await rideService.updateRideFromParams(ride.id, { club: '-' }, 789);
+
+      expect(result.ride.clubId).toBeNull();
+    });
+
+    it('should keep a duplicate in the club only for club leaders', async () => {
+      const { ride } = await rideService.createRideFromParams({ ...rideParams, club: club.id }, null, testCreatorProfile);
+
+      const leaderCopy = await rideService.duplicateRide(ride.id, {}, testCreatorProfile);
+      const memberCopy = await rideService.duplicateRide(ride.id, {}, new UserProfile({ userId: 7, username: 'user7' }));
+
+      expect(leaderCopy.ride.clubId).toBe(club.id);
+      expect(memberCopy.ride.clubId).toBeUndefined();
+    });
+  });
+
+  describe('Units', () => {
+    const creator = new UserProfile({ userId: 505, username: 'u505' });
+
+    it('should read distance and speed in the unit system of the creator', async () => {
+      await storage.upsertUser({ userId: 505, settings: { units: 'imperial' } });
+
+      const result = await rideService.createRideFromParams(
+        { title: 'Imperial Ride', when: '21 July 2030 10:00', dist: '25', speed: '16-18' },
+        1,
+        creator
+      );
+
+      expect(result.error).toBeNull();
+      expect(result.ride).toMatchObject({ distance: 40.2, speedMin: 25.7, speedMax: 29 });
+    });
+
+    it('should keep stored values when an imperial user duplicates a ride', async () => {
+      await storage.upsertUser({ userId: 505, settings: { units: 'imperial' } });
+      const originalRide = await rideService.createRide({ ...testRide, date: new Date('2030-03-15T15:00:00Z') });
+
+      const result = await rideService.duplicateRide(originalRide.id, {}, creator);
+
+      expect(result.error).toBeNull();
+      expect(result.ride).toMatchObject({ distance: 50, speedMin: 25, speedMax: 28 });
+    });
+  });
+
   describe('Organizer Field', () => {
     it('should set organizer field when creating a ride with organizer parameter', async () => {
       const params = {
@@ -1161,6 +1812,7 @@ describe('RideService', () => {
         speedMax: 30,
         organizer: 'Org',
         category: 'road',
+        elevation: 720,
         additionalInfo: 'Info'
       });
       const result = await rideService.duplicateRide(originalRide.id, {}, new UserProfile({ userId: 7, username: 'user7' }));
@@ -1174,12 +1826,44 @@ describe('RideService', () => {
       expect(result.ride.meetingPoint).toBe(originalRide.meetingPoint);
       expect(result.ride.routeLink).toBe(originalRide.routeLink);
       expect(result.ride.distance).toBe(originalRide.distance);
+      expect(result.ride.elevation).toBe(720);
       expect(result.ride.duration).toBe(originalRide.duration);
       expect(result.ride.speedMin).toBe(26);
       expect(result.ride.speedMax).toBe(30);
       expect(result.ride.additionalInfo).toBe(originalRide.additionalInfo);
     });
 
+    it('should keep the route file on duplicate unless a new route is given', async () => {
+      const routeFile = { fileId: 'file-1', fileName: 'loop.gpx', distance: 42.5, start: { lat: 55.75, lon: 37.61 } };
+      const originalRide = await rideService.createRide({ ...testRide, date: new Date('2030-03-15T15:00:00Z'), routeFile });
+      const creator = new UserProfile({ userId: 7, username: 'user7' });
+
+      const kept = await rideService.duplicateRide(originalRide.id, {}, creator);
+      RouteParser.processRouteInfo.mockResolvedValueOnce({ routeLink: 'https://example.com/other' });
+      const replaced = await rideService.duplicateRide(originalRide.id, { route: 'https://example.com/other' }, creator);
+
+      expect(kept.ride.routeFile).toEqual(routeFile);
+      expect(replaced.ride.routeFile ?? null).toBeNull();
+    });
+
+    it('should keep the meeting point pin on duplicate unless a new meeting point is given', async () => {
+      const meetingPointLocation = { lat: 52.52, lon: 13.405 };
+      const originalRide = await rideService.createRide({
+        ...testRide,
+        date: new Date('2030-03-15T15:00:00Z'),
+        meetingPoint: 'Bike Shop',
+        meetingPointLocation
+      });
+      const creator = new UserProfile({ userId: 7, username: 'user7' });
+
+      const kept = await rideService.duplicateRide(originalRide.id, {}, creator);
+      const replaced = await rideService.duplicateRide(originalRide.id, { meet: 'Cafe' }, creator);
+
+      expect(kept.ride.meetingPointLocation).toEqual(meetingPointLocation);
+      expect(replaced.ride.meetingPoint).toBe('Cafe');
+      expect(replaced.ride.meetingPointLocation ?? null).toBeNull();
+    });
+
     it('should duplicate your own ride using the original ride settings snapshot', async () => {
       const creator = new UserProfile({ userId: 7, username: 'user7' });
       const originalRide = await rideService.createRide({
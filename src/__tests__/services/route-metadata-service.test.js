@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { MemoryStorage } from '../../storage/memory.js';
+import { RouteMetadataService } from '../../services/RouteMetadataService.js';
+import { komoot } from '../../utils/route-providers/index.js';
+import { config } from '../../config.js';
+
+describe('RouteMetadataService', () => {
+  const url = 'https://www.komoot.com/de-de/tour/2810321675?ref=wtd';
+  const routeKey = 'komoot:tour:2810321675';
+  const hour = 60 * 60 * 1000;
+  let storage;
+  let service;
+  let fetchSpy;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    service = new RouteMetadataService(storage);
+    fetchSpy = jest.spyOn(komoot, 'fetchMetadata').mockResolvedValue({ distance: 57.6, elevation: 135, duration: 123 });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+    jest.restoreAllMocks();
+  });
+
+  it('fetches a route once and reuses it for other links of the same route', async () => {
+    expect(await service.getMetadata(komoot, url)).toEqual({ distance: 57.6, elevation: 135, duration: 123 });
+    expect(await service.getMetadata(komoot, 'https://www.komoot.com/tour/2810321675')).toEqual({ distance: 57.6, elevation: 135, duration: 123 });
+
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    const entry = await storage.getRouteMetadata(routeKey);
+    expect(entry.expiresAt.getTime() - entry.fetchedAt.getTime()).toBe(config.routeMetadata.ttlMs);
+  });
+
+  it('fetches the route again once its entry expired', async () => {
+    await storage.saveRouteMetadata({
+      routeKey,
+      metadata: { distance: 50 },
+      fetchedAt: new Date(Date.now() - 8 * 24 * hour),
+      expiresAt: new Date(Date.now() - hour)
+    });
+
+    expect(await service.getMetadata(komoot, url)).toEqual({ distance: 57.6, elevation: 135, duration: 123 });
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('remembers failed fetches for a shorter time', async () => {
+    fetchSpy.mockRejectedValueOnce(new Error('timeout'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await service.getMetadata(komoot, url)).toBeNull();
+    expect(await service.getMetadata(komoot, url)).toBeNull();
+
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    const entry = await storage.getRouteMetadata(routeKey);
+    expect(entry.metadata).toBeNull();
+    expect(entry.expiresAt.getTime() - entry.fetchedAt.getTime()).toBe(config.routeMetadata.failureTtlMs);
+  });
+
+  it('skips the cached entry on refresh and replaces it', async () => {
+    await service.getMetadata(komoot, url);
+    fetchSpy.mockResolvedValueOnce({ distance: 60 });
+
+    expect(await service.getMetadata(komoot, url, { refresh: true })).toEqual({ distance: 60 });
+    expect(await service.getMetadata(komoot, url)).toEqual({ distance: 60 });
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to the provider when the cache fails', async () => {
+    jest.spyOn(storage, 'getRouteMetadata').mockRejectedValue(new Error('db down'));
+    jest.spyOn(storage, 'saveRouteMetadata').mockRejectedValue(new Error('db down'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await service.getMetadata(komoot, url)).toEqual({ distance: 57.6, elevation: 135, duration: 123 });
+    expect(consoleSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not cache URLs without a route ID', async () => {
+    const provider = { getRouteKey: () => null, fetchMetadata: jest.fn().mockResolvedValue({ distance: 10 }) };
+
+    await service.getMetadata(provider, 'https://example.com/route');
+    await service.getMetadata(provider, 'https://example.com/route');
+
+    expect(provider.fetchMetadata).toHaveBeenCalledTimes(2);
+    expect(storage.routeMetadata.size).toBe(0);
+  });
+});
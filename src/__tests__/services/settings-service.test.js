@@ -57,7 +57,9 @@ describe('SettingsService', () => {
       expect(user.firstName).toBe('Alice');
       expect(user.settings.rideDefaults).toEqual({
         notifyParticipation: false,
-        allowReposts: false
+        allowReposts: false,
+        reminders: [1440, 120],
+        shareLocation: false
       });
     });
 
@@ -89,7 +91,9 @@ describe('SettingsService', () => {
 
       expect(settings).toEqual({
         notifyParticipation: false,
-        allowReposts: false
+        allowReposts: false,
+        reminders: [1440, 120],
+        shareLocation: false
       });
     });
 
@@ -104,7 +108,9 @@ describe('SettingsService', () => {
 
       expect(settings).toEqual({
         notifyParticipation: false,
-        allowReposts: false
+        allowReposts: false,
+        reminders: [1440, 120],
+        shareLocation: false
       });
     });
 
@@ -126,8 +132,125 @@ describe('SettingsService', () => {
 
       expect(updatedSettings).toEqual({
         notifyParticipation: false,
-        allowReposts: true
+        allowReposts: true,
+        reminders: [1440, 120],
+        shareLocation: false
       });
     });
   });
+
+  describe('user language', () => {
+    const profile = new UserProfile({ userId: 123, username: 'alice', firstName: 'Alice' });
+
+    it('has no language until the user chooses one', async () => {
+      await expect(service.getUserLanguage(123)).resolves.toBeNull();
+    });
+
+    it('stores the language next to the ride defaults', async () => {
+      await service.updateUserRideDefaults(profile, { notifyParticipation: false });
+
+      await service.updateUserLanguage(profile, 'ru');
+
+      await expect(service.getUserLanguage(123)).resolves.toBe('ru');
+      const defaults = await service.getUserRideDefaults(123);
+      expect(defaults.notifyParticipation).toBe(false);
+    });
+
+    it('clears the language with null', async () => {
+      await service.updateUserLanguage(profile, 'ru');
+
+      await service.updateUserLanguage(profile, null);
+
+      await expect(service.getUserLanguage(123)).resolves.toBeNull();
+    });
+
+    it('rejects unsupported languages', async () => {
+      await expect(service.updateUserLanguage(profile, 'xx')).rejects.toThrow('Unsupported language: xx');
+    });
+  });
+
+  describe('user timezone', () => {
+    const profile = new UserProfile({ userId: 123, username: 'alice', firstName: 'Alice' });
+
+    it('stores the timezone next to the language', async () => {
+      await service.updateUserLanguage(profile, 'ru');
+
+      await service.updateUserTimezone(profile, 'Europe/Berlin');
+
+      await expect(service.getUserTimezone(123)).resolves.toBe('Europe/Berlin');
+      await expect(service.getUserLanguage(123)).resolves.toBe('ru');
+    });
+
+    it('clears the timezone with null', async () => {
+      await service.updateUserTimezone(profile, 'Europe/Berlin');
+
+      await service.updateUserTimezone(profile, null);
+
+      await expect(service.getUserTimezone(123)).resolves.toBeNull();
+    });
+
+    it('rejects unknown timezones', async () => {
+      await expect(service.updateUserTimezone(profile, 'Mars/Olympus')).rejects.toThrow('Unknown timezone: Mars/Olympus');
+    });
+  });
+
+  describe('user units', () => {
+    const profile = new UserProfile({ userId: 123, username: 'alice', firstName: 'Alice' });
+
+    it('stores the unit system next to the timezone', async () => {
+      await service.updateUserTimezone(profile, 'Europe/Berlin');
+
+      await service.updateUserUnits(profile, 'imperial');
+
+      await expect(service.getUserUnits(123)).resolves.toBe('imperial');
+      await expect(service.getUserTimezone(123)).resolves.toBe('Europe/Berlin');
+    });
+
+    it('clears the unit system with null', async () => {
+      await service.updateUserUnits(profile, 'imperial');
+
+      await service.updateUserUnits(profile, null);
+
+      await expect(service.getUserUnits(123)).resolves.toBeNull();
+    });
+
+    it('rejects unsupported unit systems', async () => {
+      await expect(service.updateUserUnits(profile, 'furlongs')).rejects.toThrow('Unsupported unit system: furlongs');
+    });
+  });
+
+  describe('group settings', () => {
+    const CHAT_ID = -100123;
+
+    it('returns system defaults for groups without settings', async () => {
+      await expect(service.getGroupSettings(CHAT_ID)).resolves.toEqual(SettingsService.getSystemGroupDefaults());
+    });
+
+    it('merges updates with the stored settings', async () => {
+      await service.updateGroupSettings(CHAT_ID, { language: 'ru' });
+      await service.updateGroupSettings(CHAT_ID, { timezone: 'Europe/Berlin', allowMemberShares: false });
+
+      await expect(service.getGroupSettings(CHAT_ID)).resolves.toEqual({
+        language: 'ru',
+        timezone: 'Europe/Berlin',
+        units: null,
+        defaultThreadId: null,
+        allowMemberShares: false
+      });
+    });
+
+    it('rejects unsupported languages and unknown timezones', async () => {
+      await expect(service.updateGroupSettings(CHAT_ID, { language: 'xx' })).rejects.toThrow('Unsupported language: xx');
+      await expect(service.updateGroupSettings(CHAT_ID, { timezone: 'Mars/Olympus' })).rejects.toThrow('Unknown timezone: Mars/Olympus');
+    });
+  });
+
+  describe('reminder offsets', () => {
+    it('keeps offsets unique and ordered from the earliest reminder', () => {
+      expect(SettingsService.setReminderOffset([120], 1440, true)).toEqual([1440, 120]);
+      expect(SettingsService.setReminderOffset([1440, 120], 120, true)).toEqual([1440, 120]);
+      expect(SettingsService.setReminderOffset([1440, 120], 1440, false)).toEqual([120]);
+      expect(SettingsService.setReminderOffset(undefined, 60, true)).toEqual([60]);
+    });
+  });
 });
@@ -118,6 +118,37 @@ describe('MemoryStorage', () => {
       expect(updatedRide2.participation.joined[0].username).toBe('user2');
     });
 
+    it('should track waitlisted participants and move them between states', async () => {
+      const ride = await storage.createRide(testRide);
+      const participant = { userId: 123, username: 'waiting', firstName: 'Wait', lastName: 'Listed' };
+
+      const waitlisted = await storage.setParticipation(ride.id, 'waitlist', participant);
+      expect(waitlisted.ride.participation.waitlist).toHaveLength(1);
+      expect(await storage.getParticipation(ride.id, 123)).toBe('waitlist');
+
+      const joined = await storage.setParticipation(ride.id, 'joined', participant);
+      expect(joined.ride.participation.waitlist).toHaveLength(0);
+      expect(joined.ride.participation.joined).toHaveLength(1);
+    });
+
+    it('should replace, clear and count attendance marks', async () => {
+      const ride1 = await storage.createRide(testRide);
+      const ride2 = await storage.createRide({ ...testRide, title: 'Second Ride' });
+      expect(ride1.attendance).toEqual([]);
+
+      await storage.setAttendance(ride1.id, 123, 'noShow', 1);
+      const marked = await storage.setAttendance(ride1.id, 123, 'attended', 1);
+      expect(marked.attendance).toEqual([{ userId: 123, status: 'attended', markedBy: 1, markedAt: expect.any(Date) }]);
+      await storage.setAttendance(ride1.id, 456, 'attended', 456);
+      await storage.setAttendance(ride2.id, 123, 'noShow', 1);
+
+      await expect(storage.getAttendanceStats([123])).resolves.toEqual([{ userId: 123, attended: 1, noShow: 1 }]);
+
+      const cleared = await storage.setAttendance(ride2.id, 123, null, 1);
+      expect(cleared.attendance).toEqual([]);
+      await expect(storage.getAttendanceStats([123, 789])).resolves.toEqual([{ userId: 123, attended: 1, noShow: 0 }]);
+    });
+
     it('should preserve explicitly provided ride settings', async () => {
       const ride = await storage.createRide({
         ...testRide,
@@ -173,6 +204,38 @@ describe('MemoryStorage', () => {
       expect(updated.createdAt).toEqual(created.createdAt);
       expect(updated.updatedAt.getTime()).toBeGreaterThanOrEqual(created.updatedAt.getTime());
     });
+
+    it('should find users by calendar token and keep the token on later upserts', async () => {
+      await storage.upsertUser({ userId: 123, username: 'alice', calendarToken: 'secret-token' });
+      await storage.upsertUser({ userId: 123, firstName: 'Alice' });
+
+      const user = await storage.getUserByCalendarToken('secret-token');
+      expect(user).toMatchObject({ userId: 123, firstName: 'Alice', calendarToken: 'secret-token' });
+      await expect(storage.getUserByCalendarToken('other-token')).resolves.toBeNull();
+    });
+
+    it('should keep other user settings when one setting changes', async () => {
+      await storage.upsertUser({ userId: 123, settings: { rideDefaults: { notifyParticipation: false } } });
+      await storage.upsertUser({ userId: 123, settings: { language: 'ru' } });
+
+      const user = await storage.getUser(123);
+      expect(user.settings).toEqual({ rideDefaults: { notifyParticipation: false }, language: 'ru' });
+    });
+  });
+
+  describe('Group Settings', () => {
+    it('should return null for groups without settings', async () => {
+      await expect(storage.getGroupSettings(-100123)).resolves.toBeNull();
+    });
+
+    it('should merge updates into the stored settings', async () => {
+      const created = await storage.upsertGroupSettings(-100123, { language: 'ru' });
+      await storage.upsertGroupSettings(-100123, { timezone: 'Europe/Berlin' });
+
+      const settings = await storage.getGroupSettings(-100123);
+      expect(settings).toMatchObject({ chatId: -100123, language: 'ru', timezone: 'Europe/Berlin' });
+      expect(settings.createdAt).toEqual(created.createdAt);
+    });
   });
 
   describe('Ride Listing', () => {
@@ -200,6 +263,87 @@ describe('MemoryStorage', () => {
       expect(result.rides[0].date.getTime()).toBeGreaterThan(result.rides[1].date.getTime());
       expect(result.rides[1].date.getTime()).toBeGreaterThan(result.rides[2].date.getTime());
     });
+
+    it('should list rides created or joined by a user from a date on, in date order', async () => {
+      const day = (n) => new Date(Date.UTC(2024, 2, n, 10));
+      await storage.createRide({ ...testRide, title: 'Past', date: day(1) });
+      await storage.createRide({ ...testRide, title: 'Created', date: day(20) });
+      const joined = await storage.createRide({ ...testRide, title: 'Joined', date: day(15), createdBy: 555 });
+      const thinking = await storage.createRide({ ...testRide, title: 'Thinking', date: day(16), createdBy: 555 });
+      await storage.setParticipation(joined.id, 'joined', { userId: 789, username: 'creator' });
+      await storage.setParticipation(thinking.id, 'thinking', { userId: 789, username: 'creator' });
+
+      const rides = await storage.getRidesForUser(789, day(10));
+
+      expect(rides.map(ride => ride.title)).toEqual(['Joined', 'Created']);
+    });
+
+    it('should list upcoming rides posted to or attached to a chat, in date order', async () => {
+      const day = (n) => new Date(Date.UTC(2024, 2, n, 10));
+      const chatMessage = [{ chatId: -100500, messageId: 7 }];
+      await storage.createRide({ ...testRide, title: 'Past', date: day(1), messages: chatMessage });
+      await storage.createRide({ ...testRide, title: 'Later', date: day(20), messages: chatMessage });
+      await storage.createRide({ ...testRide, title: 'Attached', date: day(15), messages: [], groupId: -100500 });
+      await storage.createRide({ ...testRide, title: 'Cancelled', date: day(16), messages: chatMessage, cancelled: true });
+      await storage.createRide({ ...testRide, title: 'Elsewhere', date: day(17) });
+
+      const result = await storage.getUpcomingRidesForChat(-100500, day(10), 0, 1);
+
+      expect(result.total).toBe(2);
+      expect(result.rides.map(ride => ride.title)).toEqual(['Attached']);
+    });
+
+    it('should list rides by participation state, upcoming soonest first and past latest first', async () => {
+      const day = (n) => new Date(Date.UTC(2024, 2, n, 10));
+      const rider = { userId: 321, username: 'rider' };
+      const rides = {};
+      for (const [title, date, state] of [
+        ['Old', day(1), 'joined'], ['Older', day(2), 'joined'], ['Soon', day(12), 'waitlist'],
+        ['Later', day(20), 'joined'], ['Maybe', day(14), 'thinking'], ['Passed', day(15), 'skipped']
+      ]) {
+        rides[title] = await storage.createRide({ ...testRide, title, date });
+        await storage.setParticipation(rides[title].id, state, rider);
+      }
+
+      const upcoming = await storage.getRidesByParticipant(321, ['joined', 'waitlist'], { since: day(10) }, 0, 10);
+      const past = await storage.getRidesByParticipant(321, ['joined'], { before: day(10) }, 0, 1);
+
+      expect(upcoming.rides.map(ride => ride.title)).toEqual(['Soon', 'Later']);
+      expect(past.total).toBe(2);
+      expect(past.rides.map(ride => ride.title)).toEqual(['Older']);
+    });
+
+    it('should search rides by every criterion of the query, newest first', async () => {
+      const day = (n) => new Date(Date.UTC(2024, 2, n, 10));
+      const rides = [
+        { title: 'Lake Loop', date: day(5), category: 'road', distance: 60, speedMin: 25, speedMax: 28 },
+        { title: 'Hill Repeats', date: day(6), category: 'road', distance: 40, speedMin: 22, speedMax: null, meetingPoint: 'Lake parking' },
+        { title: 'Gravel Lake', date: day(7), category: 'gravel', distance: 60, speedMin: 20, speedMax: 22 },
+        { title: 'Lake Sprint', date: day(8), category: 'road', distance: 30, speedMin: 30, speedMax: 32 },
+        { title: 'Lake Cancelled', date: day(9), category: 'road', distance: 60, speedMin: 25, speedMax: 28, cancelled: true },
+        { title: 'Lake Elsewhere', date: day(10), category: 'road', distance: 60, speedMin: 25, speedMax: 28, createdBy: 111 },
+        { title: 'Lake Unknown', date: day(11), category: 'road', distance: null, speedMin: null, speedMax: null }
+      ];
+      for (const ride of rides) {
+        await storage.createRide({ ...testRide, meetingPoint: '', createdBy: 789, ...ride });
+      }
+
+      const result = await storage.searchRides({
+        createdBy: 789,
+        category: 'road',
+        dateFrom: day(5),
+        dateTo: day(11),
+        distanceMin: 35,
+        speedMin: 24,
+        speedMax: 26,
+        text: 'LAKE',
+        cancelled: false
+      }, 0, 10);
+      const cancelled = await storage.searchRides({ createdBy: 789, cancelled: true }, 0, 10);
+
+      expect(result.rides.map(ride => ride.title)).toEqual(['Hill Repeats', 'Lake Loop']);
+      expect(cancelled.rides.map(ride => ride.title)).toEqual(['Lake Cancelled']);
+    });
   });
   
   describe('Messages Array Handling', () => {
@@ -301,4 +445,206 @@ describe('MemoryStorage', () => {
       expect(found.createdBy).toBe(createdBy);
     });
   });
+
+  describe('Ride Series', () => {
+    const seriesData = {
+      createdBy: 789,
+      rule: { frequency: 'weekly', interval: 1, weekdays: [2] },
+      anchorDate: new Date('2026-10-20T18:30:00Z'),
+      until: null,
+      count: null,
+      occurrences: 1,
+      status: 'active',
+      lastRideId: 'ride1',
+      lastRideDate: new Date('2026-10-20T18:30:00Z')
+    };
+
+    it('should create, update and get a series', async () => {
+      const created = await storage.createRideSeries(seriesData);
+      expect(created.id).toBeDefined();
+      expect(created.skipDates).toEqual([]);
+
+      const updated = await storage.updateRideSeries(created.id, { occurrences: 2, skipDates: ['2026-11-03'] });
+      expect(updated).toMatchObject({ occurrences: 2, skipDates: ['2026-11-03'] });
+      expect(updated.updatedAt).toBeInstanceOf(Date);
+
+      expect(await storage.getRideSeries(created.id)).toEqual(updated);
+      expect(await storage.getRideSeries('missing')).toBeNull();
+    });
+
+    it('should throw when updating a missing series', async () => {
+      await expect(storage.updateRideSeries('missing', { status: 'ended' })).rejects.toThrow('Ride series not found');
+    });
+  });
+
+  describe('Clubs', () => {
+    const owner = { userId: 789, username: 'owner', firstName: 'Olga', lastName: '', role: 'owner', joinedAt: new Date('2026-10-01T10:00:00Z') };
+
+    it('should create, update and get a club', async () => {
+      const created = await storage.createClub({ name: 'Velo Club', createdBy: 789, members: [owner], inviteCode: 'code1' });
+      expect(created).toMatchObject({ name: 'Velo Club', createdBy: 789, members: [owner], inviteCode: 'code1' });
+      expect(created.id).toBeDefined();
+
+      const updated = await storage.updateClub(created.id, { members: [owner, { ...owner, userId: 790, role: 'member' }] });
+      expect(updated.members).toHaveLength(2);
+      expect(updated.updatedAt).toBeInstanceOf(Date);
+
+      expect(await storage.getClub(created.id)).toEqual(updated);
+      expect(await storage.getClubByInviteCode('code1')).toEqual(updated);
+      expect(await storage.getClub('missing')).toBeNull();
+      expect(await storage.getClubByInviteCode('missing')).toBeNull();
+    });
+
+    it('should list the clubs of a member in name order', async () => {
+      await storage.createClub({ name: 'Zeta Riders', createdBy: 789, members: [owner], inviteCode: 'code1' });
+      await storage.createClub({ name: 'Alpha Riders', createdBy: 789, members: [owner], inviteCode: 'code2' });
+      await storage.createClub({ name: 'Other Club', createdBy: 555, members: [{ ...owner, userId: 555 }], inviteCode: 'code3' });
+
+      const clubs = await storage.getClubsForUser(789);
+
+      expect(clubs.map(club => club.name)).toEqual(['Alpha Riders', 'Zeta Riders']);
+    });
+
+    it('should list the rides of a club by date in descending order', async () => {
+      await storage.createRide({ ...testRide, title: 'Older', clubId: 'club1', date: new Date('2024-03-15T15:00:00Z') });
+      await storage.createRide({ ...testRide, title: 'Newer', clubId: 'club1', date: new Date('2024-03-16T15:00:00Z') });
+      await storage.createRide({ ...testRide, title: 'Personal' });
+
+      const result = await storage.getRidesByClub('club1', 0, 10);
+
+      expect(result.total).toBe(2);
+      expect(result.rides.map(ride => ride.title)).toEqual(['Newer', 'Older']);
+    });
+
+    it('should throw when updating a missing club', async () => {
+      await expect(storage.updateClub('missing', { name: 'X' })).rejects.toThrow('Club not found');
+    });
+  });
+
+  describe('Jobs', () => {
+    const at = (minutes) => new Date(Date.UTC(2026, 9, 20, 10, minutes));
+    const job = (overrides = {}) => ({
+      type: 'test',
+      key: null,
+      payload: { value: 1 },
+      runAt: at(0),
+      maxAttempts: 3,
+      ...overrides
+    });
+
+    it('should replace the pending job with the same key', async () => {
+      const first = await storage.scheduleJob(job({ key: 'k1' }));
+      const replaced = await storage.scheduleJob(job({ key: 'k1', payload: { value: 2 }, runAt: at(5) }));
+      const other = await storage.scheduleJob(job({ key: 'k2' }));
+
+      expect(replaced.id).toBe(first.id);
+      expect(replaced).toMatchObject({ status: 'pending', attempts: 0, payload: { value: 2 }, runAt: at(5) });
+      expect(other.id).not.toBe(first.id);
+    });
+
+    it('should keep one pending job when a key is scheduled concurrently', async () => {
+      const jobs = await Promise.all([1, 2, 3].map(value => storage.scheduleJob(job({ key: 'k1', payload: { value } }))));
+
+      expect(new Set(jobs.map(item => item.id)).size).toBe(1);
+      expect(await storage.claimNextDueJob(at(10), at(15))).toMatchObject({ key: 'k1' });
+      expect(await storage.claimNextDueJob(at(10), at(15))).toBeNull();
+    });
+
+    it('should put a failed job back to pending for a retry', async () => {
+      await storage.scheduleJob(job({ key: 'k1' }));
+      const claimed = await storage.claimNextDueJob(at(0), at(5));
+
+      const retried = await storage.retryJob(claimed.id, { runAt: at(10), lastError: 'boom' });
+
+      expect(retried).toMatchObject({ id: claimed.id, status: 'pending', runAt: at(10), lockedUntil: null, lastError: 'boom' });
+    });
+
+    it('should fail instead of retry a job whose key was rescheduled while it ran', async () => {
+      await storage.scheduleJob(job({ key: 'k1' }));
+      const claimed = await storage.claimNextDueJob(at(0), at(5));
+      const newer = await storage.scheduleJob(job({ key: 'k1', payload: { value: 2 } }));
+
+      expect(await storage.retryJob(claimed.id, { runAt: at(10), lastError: 'boom' })).toBeNull();
+
+      expect(await storage.claimNextDueJob(at(20), at(25))).toMatchObject({ id: newer.id, payload: { value: 2 } });
+      expect(await storage.claimNextDueJob(at(20), at(25))).toBeNull();
+    });
+    it('should schedule a new job for a key whose job is no longer pending', async () => {
+      const first = await storage.scheduleJob(job({ key: 'k1' }));
+      await storage.claimNextDueJob(at(0), at(5));
+
+      const second = await storage.scheduleJob(job({ key: 'k1' }));
+
+      expect(second.id).not.toBe(first.id);
+    });
+
+    it('should claim due jobs oldest first and lease them', async () => {
+      await storage.scheduleJob(job({ payload: { value: 'late' }, runAt: at(2) }));
+      await storage.scheduleJob(job({ payload: { value: 'early' }, runAt: at(1) }));
+      await storage.scheduleJob(job({ payload: { value: 'future' }, runAt: at(30) }));
+
+      const claimed = await storage.claimNextDueJob(at(10), at(15));
+      expect(claimed).toMatchObject({ payload: { value: 'early' }, status: 'running', attempts: 1, lockedUntil: at(15) });
+      expect((await storage.claimNextDueJob(at(10), at(15))).payload).toEqual({ value: 'late' });
+      expect(await storage.claimNextDueJob(at(10), at(15))).toBeNull();
+    });
+
+    it('should reclaim running jobs whose lease expired', async () => {
+      await storage.scheduleJob(job());
+      const claimed = await storage.claimNextDueJob(at(0), at(5));
+
+      expect(await storage.claimNextDueJob(at(4), at(9))).toBeNull();
+      const reclaimed = await storage.claimNextDueJob(at(5), at(10));
+      expect(reclaimed).toMatchObject({ id: claimed.id, attempts: 2 });
+    });
+
+    it('should update jobs and not claim finished ones', async () => {
+      const scheduled = await storage.scheduleJob(job());
+      const updated = await storage.updateJob(scheduled.id, { status: 'completed', finishedAt: at(1) });
+
+      expect(updated).toMatchObject({ status: 'completed', finishedAt: at(1) });
+      expect(await storage.claimNextDueJob(at(10), at(15))).toBeNull();
+    });
+
+    it('should throw when updating a missing job', async () => {
+      await expect(storage.updateJob('missing', { status: 'completed' })).rejects.toThrow('Job not found');
+    });
+
+    it('should delete only the pending jobs whose key starts with the prefix', async () => {
+      await storage.scheduleJob(job({ key: 'reminder:ride1:1440' }));
+      await storage.claimNextDueJob(at(0), at(30));
+      await storage.scheduleJob(job({ key: 'reminder:ride1:120' }));
+      await storage.scheduleJob(job({ key: 'reminder:ride10:120' }));
+      await storage.scheduleJob(job({ key: 'reminder:ride2:120' }));
+
+      expect(await storage.deletePendingJobs('reminder:ride1:')).toBe(1);
+
+      const claimed = [];
+      let next;
+      while ((next = await storage.claimNextDueJob(at(10), at(15)))) {
+        claimed.push(next.key);
+      }
+      expect(claimed.sort()).toEqual(['reminder:ride10:120', 'reminder:ride2:120']);
+    });
+  });
+
+  describe('Route Metadata', () => {
+    const fetchedAt = new Date(Date.UTC(2026, 9, 20, 10));
+    const expiresAt = new Date(Date.UTC(2026, 9, 27, 10));
+
+    it('should save and replace route metadata by route key', async () => {
+      await storage.saveRouteMetadata({ routeKey: 'komoot:tour:1', metadata: { distance: 57.6, elevation: 135 }, fetchedAt, expiresAt });
+      await storage.saveRouteMetadata({ routeKey: 'komoot:tour:2', metadata: null, fetchedAt, expiresAt });
+      await storage.saveRouteMetadata({ routeKey: 'komoot:tour:1', metadata: { distance: 60 }, fetchedAt, expiresAt });
+
+      expect(await storage.getRouteMetadata('komoot:tour:1')).toEqual({
+        routeKey: 'komoot:tour:1', metadata: { distance: 60 }, fetchedAt, expiresAt
+      });
+      expect((await storage.getRouteMetadata('komoot:tour:2')).metadata).toBeNull();
+    });
+
+    it('should return null for a route without cached metadata', async () => {
+      expect(await storage.getRouteMetadata('strava:route:missing')).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+import {
+  getCheckInWindow,
+  hasCheckInStarted,
+  isCheckInOpen,
+  getAttendanceStatus
+} from '../../utils/attendance-utils.js';
+import { config } from '../../config.js';
+
+describe('attendance-utils', () => {
+  const MINUTE_MS = 60 * 1000;
+  const ride = { date: new Date('2026-10-19T09:00:00Z'), cancelled: false };
+  const at = minutes => new Date(ride.date.getTime() + minutes * MINUTE_MS);
+  const opensMinutes = config.attendance.checkInOpensMinutesBefore;
+  const closesMinutes = config.attendance.checkInClosesMinutesAfter;
+
+  it('should open check-in before the ride and close it after', () => {
+    expect(getCheckInWindow(ride)).toEqual({ opensAt: at(-opensMinutes), closesAt: at(closesMinutes) });
+  });
+
+  it('should tell whether check-in has started', () => {
+    expect(hasCheckInStarted(ride, at(-opensMinutes - 1))).toBe(false);
+    expect(hasCheckInStarted(ride, at(-opensMinutes))).toBe(true);
+    expect(hasCheckInStarted(ride, at(closesMinutes + 60))).toBe(true);
+    expect(hasCheckInStarted({ ...ride, cancelled: true }, at(0))).toBe(false);
+  });
+
+  it('should tell whether riders can check in', () => {
+    expect(isCheckInOpen(ride, at(-opensMinutes - 1))).toBe(false);
+    expect(isCheckInOpen(ride, at(0))).toBe(true);
+    expect(isCheckInOpen(ride, at(closesMinutes))).toBe(false);
+    expect(isCheckInOpen({ ...ride, cancelled: true }, at(0))).toBe(false);
+  });
+
+  it('should find the attendance mark of a rider', () => {
+    const marked = { ...ride, attendance: [{ userId: 1, status: 'attended' }, { userId: 2, status: 'noShow' }] };
+
+    expect(getAttendanceStatus(marked, 1)).toBe('attended');
+    expect(getAttendanceStatus(marked, 2)).toBe('noShow');
+    expect(getAttendanceStatus(marked, 3)).toBeNull();
+    expect(getAttendanceStatus(ride, 1)).toBeNull();
+  });
+});
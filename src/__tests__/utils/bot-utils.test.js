@@ -2,7 +2,7 @@
  * @jest-environment node
  */
 import { jest } from '@jest/globals';
-import { getBotUsername, replaceBotUsername } from '../../utils/botUtils.js';
+import { getBotUsername, replaceBotUsername, getMessageLink, getStartLink, parseRideStartPayload } from '../../utils/botUtils.js';
 
 describe('botUtils', () => {
   describe('getBotUsername', () => {
@@ -63,4 +63,43 @@ describe('botUtils', () => {
       expect(result).toBe('Use /shareride@botname to share a ride');
     });
   });
+
+  describe('getMessageLink', () => {
+    it('should link to messages of public chats by username', () => {
+      expect(getMessageLink({ chatId: -1001234, messageId: 42 }, 'velo_club')).toBe('https://t.me/velo_club/42');
+      expect(getMessageLink({ chatId: -1001234, messageId: 42, messageThreadId: 7 }, 'velo_club'))
+        .toBe('https://t.me/velo_club/7/42');
+    });
+
+    it('should link to messages of private supergroups by chat ID', () => {
+      expect(getMessageLink({ chatId: -1001234, messageId: 42 })).toBe('https://t.me/c/1234/42');
+      expect(getMessageLink({ chatId: -1001234, messageId: 42, messageThreadId: 7 })).toBe('https://t.me/c/1234/7/42');
+    });
+
+    it('should return null for basic groups and private chats', () => {
+      expect(getMessageLink({ chatId: -4567, messageId: 42 })).toBeNull();
+      expect(getMessageLink({ chatId: 123, messageId: 42 })).toBeNull();
+    });
+  });
+
+  describe('getStartLink', () => {
+    it('should link to the bot with a start payload', () => {
+      expect(getStartLink('testbot', 'ride_abc123')).toBe('https://t.me/testbot?start=ride_abc123');
+    });
+  });
+
+  describe('parseRideStartPayload', () => {
+    it('should parse ride, join and gpx payloads', () => {
+      expect(parseRideStartPayload('ride_abc123')).toEqual({ action: 'ride', rideId: 'abc123' });
+      expect(parseRideStartPayload(' join_abc123 ')).toEqual({ action: 'join', rideId: 'abc123' });
+      expect(parseRideStartPayload('gpx_abc123')).toEqual({ action: 'gpx', rideId: 'abc123' });
+    });
+
+    it('should ignore other payloads', () => {
+      expect(parseRideStartPayload(undefined)).toBeNull();
+      expect(parseRideStartPayload('')).toBeNull();
+      expect(parseRideStartPayload('ride_')).toBeNull();
+      expect(parseRideStartPayload('share_abc123')).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,52 @@
+/**
+ * @jest-environment node
+ */
+import {
+  CLUB_ROLES,
+  isValidClubRole,
+  getClubMember,
+  getClubRole,
+  hasClubRole,
+  canChangeClubMember
+} from '../../utils/club-utils.js';
+
+describe('club-utils', () => {
+  const club = {
+    id: 'c1',
+    members: [
+      { userId: 1, role: CLUB_ROLES.OWNER },
+      { userId: 2, role: CLUB_ROLES.ADMIN },
+      { userId: 3, role: CLUB_ROLES.LEADER },
+      { userId: 4, role: CLUB_ROLES.MEMBER }
+    ]
+  };
+
+  it('should know the club roles', () => {
+    expect(isValidClubRole('leader')).toBe(true);
+    expect(isValidClubRole('captain')).toBe(false);
+    expect(isValidClubRole('toString')).toBe(false);
+  });
+
+  it('should find members and their roles', () => {
+    expect(getClubMember(club, 3)).toEqual({ userId: 3, role: 'leader' });
+    expect(getClubRole(club, 2)).toBe('admin');
+    expect(getClubRole(club, 5)).toBeNull();
+    expect(getClubRole(null, 1)).toBeNull();
+  });
+
+  it('should compare roles by rank', () => {
+    expect(hasClubRole(club, 4)).toBe(true);
+    expect(hasClubRole(club, 5)).toBe(false);
+    expect(hasClubRole(club, 3, CLUB_ROLES.LEADER)).toBe(true);
+    expect(hasClubRole(club, 4, CLUB_ROLES.LEADER)).toBe(false);
+    expect(hasClubRole(club, 1, CLUB_ROLES.ADMIN)).toBe(true);
+  });
+
+  it('should let admins and the owner change only members below them', () => {
+    expect(canChangeClubMember(club, 1, club.members[1], CLUB_ROLES.MEMBER)).toBe(true);
+    expect(canChangeClubMember(club, 2, club.members[2], CLUB_ROLES.MEMBER)).toBe(true);
+    expect(canChangeClubMember(club, 2, club.members[3], CLUB_ROLES.ADMIN)).toBe(false);
+    expect(canChangeClubMember(club, 2, club.members[0])).toBe(false);
+    expect(canChangeClubMember(club, 3, club.members[3])).toBe(false);
+  });
+});
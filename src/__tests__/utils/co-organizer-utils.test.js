@@ -0,0 +1,29 @@
+/**
+ * @jest-environment node
+ */
+import {
+  getCoOrganizers,
+  isCoOrganizer,
+  canManageRide,
+  getRideManagerIds
+} from '../../utils/co-organizer-utils.js';
+
+describe('co-organizer-utils', () => {
+  const ride = { id: 'r1', createdBy: 1, coOrganizers: [{ userId: 2 }, { userId: 3 }] };
+
+  it('should treat rides without the field as having no co-organizers', () => {
+    expect(getCoOrganizers({ createdBy: 1 })).toEqual([]);
+    expect(isCoOrganizer({ createdBy: 1 }, 2)).toBe(false);
+  });
+
+  it('should let the creator and co-organizers manage a ride', () => {
+    expect(canManageRide(ride, 1)).toBe(true);
+    expect(canManageRide(ride, 3)).toBe(true);
+    expect(canManageRide(ride, 4)).toBe(false);
+    expect(isCoOrganizer(ride, 1)).toBe(false);
+  });
+
+  it('should list the creator first among the managers', () => {
+    expect(getRideManagerIds(ride)).toEqual([1, 2, 3]);
+  });
+});
@@ -100,6 +100,11 @@ describe('DateParser', () => {
       const result = DateParser.parseDateTime('not a valid date');
       expect(result).toBeNull();
     });
+
+    it('should parse in the timezone passed in the options', () => {
+      const result = DateParser.parseDateTime('March 15 2024 at 15:30', { timezone: 'Asia/Tokyo' });
+      expect(result.date.toISOString()).toBe('2024-03-15T06:30:00.000Z');
+    });
   });
 
   describe('isPast', () => {
@@ -132,5 +137,33 @@ describe('DateParser', () => {
       expect(DateParser.getDisplayLocale('en')).toBe('en-GB');
       expect(DateParser.getDisplayLocale('unknown')).toBe(config.dateFormat.locale);
     });
+
+    it('should format in the given timezone', () => {
+      const date = new Date('2024-03-15T23:30:00Z');
+
+      expect(DateParser.formatDateTime(date, 'en', 'UTC').time).toBe('23:30');
+      expect(DateParser.formatDateTime(date, 'en', 'Asia/Tokyo').time).toBe('08:30');
+    });
+  });
+
+  describe('resolveTimezone', () => {
+    it('should fall back to the configured default timezone', () => {
+      config.dateFormat.defaultTimezone = 'Europe/London';
+      expect(DateParser.resolveTimezone('Asia/Tokyo')).toBe('Asia/Tokyo');
+      expect(DateParser.resolveTimezone(null)).toBe('Europe/London');
+
+      config.dateFormat.defaultTimezone = null;
+      expect(DateParser.resolveTimezone(undefined)).toBeNull();
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    it('should accept IANA timezone names only', () => {
+      expect(DateParser.isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(DateParser.isValidTimezone('UTC')).toBe(true);
+      expect(DateParser.isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(DateParser.isValidTimezone('')).toBe(false);
+      expect(DateParser.isValidTimezone(null)).toBe(false);
+    });
   });
 });
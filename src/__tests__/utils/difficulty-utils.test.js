@@ -0,0 +1,41 @@
+/**
+ * @jest-environment node
+ */
+import { DIFFICULTY_GRADES, getRideEffort, getRideDifficulty } from '../../utils/difficulty-utils.js';
+
+describe('difficulty-utils', () => {
+  describe('getRideEffort', () => {
+    it('should count climbing as extra flat distance', () => {
+      expect(getRideEffort({ distance: 50 })).toBe(50);
+      expect(getRideEffort({ distance: 50, elevation: 1000 })).toBe(90);
+    });
+
+    it('should scale the effort with the speed and cap the factor', () => {
+      expect(getRideEffort({ distance: 50, speedMin: 28, speedMax: 32 })).toBeCloseTo(60);
+      expect(getRideEffort({ distance: 50, speedMin: 30 })).toBeCloseTo(60);
+      expect(getRideEffort({ distance: 50, speedMax: 50 })).toBeCloseTo(70);
+      expect(getRideEffort({ distance: 50, speedMax: 10 })).toBeCloseTo(40);
+    });
+
+    it('should return null without a distance', () => {
+      expect(getRideEffort({ elevation: 1000, speedMin: 25 })).toBeNull();
+    });
+  });
+
+  describe('getRideDifficulty', () => {
+    it('should grade rides by effort', () => {
+      expect(getRideDifficulty({ distance: 30 })).toBe('easy');
+      expect(getRideDifficulty({ distance: 40, elevation: 400 })).toBe('moderate');
+      expect(getRideDifficulty({ distance: 100, elevation: 600, speedMin: 22, speedMax: 26 })).toBe('hard');
+      expect(getRideDifficulty({ distance: 160, elevation: 1500 })).toBe('veryHard');
+    });
+
+    it('should return null without a distance', () => {
+      expect(getRideDifficulty({})).toBeNull();
+    });
+
+    it('should list the grades from the easiest', () => {
+      expect(DIFFICULTY_GRADES).toEqual(['easy', 'moderate', 'hard', 'veryHard']);
+    });
+  });
+});
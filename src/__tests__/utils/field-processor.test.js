@@ -54,6 +54,97 @@ describe('FieldProcessor', () => {
     });
   });
 
+  describe('processRideFields — max', () => {
+    it('parses a positive whole number into maxParticipants', () => {
+      const { data, error } = FieldProcessor.processRideFields({ max: '15' });
+      expect(error).toBeNull();
+      expect(data.maxParticipants).toBe(15);
+    });
+
+    it.each(['0', '-3', '2.5', 'many'])('rejects invalid value %s', (value) => {
+      const { data, error } = FieldProcessor.processRideFields({ max: value });
+      expect(data).toBeNull();
+      expect(error).toBeTruthy();
+    });
+
+    it('clears the limit with a dash on update', () => {
+      const { data } = FieldProcessor.processRideFields({ max: '-' }, true);
+      expect(data.maxParticipants).toBeNull();
+    });
+  });
+
+  describe('processRideFields — timezone', () => {
+    it('accepts an IANA timezone name', () => {
+      const { data, error } = FieldProcessor.processRideFields({ timezone: 'Europe/Berlin' });
+      expect(error).toBeNull();
+      expect(data.timezone).toBe('Europe/Berlin');
+    });
+
+    it('rejects unknown timezones', () => {
+      const { data, error } = FieldProcessor.processRideFields({ timezone: 'Mars/Olympus' });
+      expect(data).toBeNull();
+      expect(error).toContain('Mars/Olympus');
+    });
+
+    it('clears the timezone with a dash on update', () => {
+      const { data } = FieldProcessor.processRideFields({ timezone: '-' }, true);
+      expect(data.timezone).toBeNull();
+    });
+
+    it('reads the date in the timezone of the ride', () => {
+      const berlin = FieldProcessor.processRideFields({ when: '21 July 2030 10:00' }, false, { timezone: 'Europe/Berlin' });
+      const tokyo = FieldProcessor.processRideFields({ when: '21 July 2030 10:00', timezone: 'Asia/Tokyo' }, false, { timezone: 'Europe/Berlin' });
+
+      expect(berlin.data.date.toISOString()).toBe('2030-07-21T08:00:00.000Z');
+      expect(tokyo.data.date.toISOString()).toBe('2030-07-21T01:00:00.000Z');
+    });
+  });
+
+  describe('processRideFields — units', () => {
+    it('reads distance and speed without a unit in the unit system of the user', () => {
+      const { data, error } = FieldProcessor.processRideFields({ dist: '25', speed: '16-18' }, false, { units: 'imperial' });
+      expect(error).toBeNull();
+      expect(data).toMatchObject({ distance: 40.2, speedMin: 25.7, speedMax: 29 });
+    });
+
+    it('keeps values with an explicit unit', () => {
+      const { data } = FieldProcessor.processRideFields({ dist: '40km', speed: '25-28 km/h' }, false, { units: 'imperial' });
+      expect(data).toMatchObject({ distance: 40, speedMin: 25, speedMax: 28 });
+    });
+
+    it('rejects invalid distances', () => {
+      const { data, error } = FieldProcessor.processRideFields({ dist: 'far' });
+      expect(data).toBeNull();
+      expect(error).toContain('far');
+    });
+  });
+
+  describe('processRideFields — elevation', () => {
+    it('reads elevation gain in meters, or in feet for imperial units', () => {
+      expect(FieldProcessor.processRideFields({ elevation: '850' }).data).toEqual({ elevation: 850 });
+      expect(FieldProcessor.processRideFields({ elevation: '2800' }, false, { units: 'imperial' }).data).toEqual({ elevation: 853 });
+      expect(FieldProcessor.processRideFields({ elevation: '850m' }, false, { units: 'imperial' }).data).toEqual({ elevation: 850 });
+    });
+
+    it('clears elevation gain with a dash on update', () => {
+      expect(FieldProcessor.processRideFields({ elevation: '-' }, true).data).toEqual({ elevation: null });
+    });
+
+    it('rejects invalid elevation gain', () => {
+      const { data, error } = FieldProcessor.processRideFields({ elevation: 'hilly' });
+      expect(data).toBeNull();
+      expect(error).toContain('hilly');
+    });
+  });
+
+  describe('processRideFields — meet', () => {
+    it('drops the map pin when the meeting point is typed or cleared on update', () => {
+      expect(FieldProcessor.processRideFields({ meet: 'Cafe' }).data).toEqual({ meetingPoint: 'Cafe' });
+      expect(FieldProcessor.processRideFields({ meet: 'Cafe' }, true).data).toEqual({ meetingPoint: 'Cafe', meetingPointLocation: null });
+      expect(FieldProcessor.processRideFields({ meet: '-' }, true).data).toEqual({ meetingPoint: '', meetingPointLocation: null });
+    });
+  });
+
   describe('processSpeedField', () => {
     // Range
     it('parses a full range', () => {
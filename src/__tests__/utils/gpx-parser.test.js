@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  isGpxDocument,
+  getDistanceKm,
+  getElevationGain,
+  parseGpx,
+  formatCoordinates
+} from '../../utils/gpx-parser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readFixture = name => fs.readFileSync(path.join(__dirname, '../../test-setup/gpx', name), 'utf8');
+
+describe('gpx-parser', () => {
+  it('should recognize GPX documents by file name or MIME type', () => {
+    expect(isGpxDocument({ file_name: 'Loop.GPX', mime_type: 'application/octet-stream' })).toBe(true);
+    expect(isGpxDocument({ file_name: 'track', mime_type: 'application/gpx+xml' })).toBe(true);
+    expect(isGpxDocument({ file_name: 'route.pdf', mime_type: 'application/pdf' })).toBe(false);
+    expect(isGpxDocument(undefined)).toBe(false);
+  });
+
+  it('should measure great-circle distances', () => {
+    expect(getDistanceKm({ lat: 0, lon: 0 }, { lat: 1, lon: 0 })).toBeCloseTo(111.19, 1);
+    expect(getDistanceKm({ lat: 55.75, lon: 37.61 }, { lat: 55.75, lon: 37.61 })).toBe(0);
+  });
+
+  it('should count climbing without GPS noise', () => {
+    expect(getElevationGain([100, 101, 102, 100, 110, 108, 115])).toBe(17);
+    expect(getElevationGain([200, 150, 100])).toBe(0);
+  });
+
+  describe('parseGpx', () => {
+    it('should summarize the track of a GPX file', () => {
+      expect(parseGpx(readFixture('morning-loop.gpx'))).toEqual({
+        distance: 3,
+        elevationGain: 23,
+        start: { lat: 55.75, lon: 37.61 },
+        bounds: { minLat: 55.75, minLon: 37.61, maxLat: 55.759, maxLon: 37.626 }
+      });
+    });
+
+    it('should read route points when the file has no track', () => {
+      const result = parseGpx('<gpx><rte><rtept lat="1" lon="2"/><rtept lat="1.01" lon="2"/></rte></gpx>');
+
+      expect(result).toEqual(expect.objectContaining({ distance: 1.1, elevationGain: null, start: { lat: 1, lon: 2 } }));
+    });
+
+    it('should return null for files without points', () => {
+      expect(parseGpx('<gpx version="1.1"><metadata/></gpx>')).toBeNull();
+      expect(parseGpx('<kml><Placemark/></kml>')).toBeNull();
+      expect(parseGpx('not a gpx file')).toBeNull();
+    });
+  });
+
+  it('should format coordinates for a meeting point', () => {
+    expect(formatCoordinates({ lat: 55.75, lon: 37.61 })).toBe('55.75000, 37.61000');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+import { getMeetingPointFromMessage, getMapUrl, isSameLocation } from '../../utils/meeting-point.js';
+
+describe('meeting-point', () => {
+  describe('getMeetingPointFromMessage', () => {
+    it('should use the coordinates of a plain location as the meeting point text', () => {
+      expect(getMeetingPointFromMessage({ location: { latitude: 52.52, longitude: 13.405 } })).toEqual({
+        meetingPoint: '52.52000, 13.40500',
+        meetingPointLocation: { lat: 52.52, lon: 13.405 }
+      });
+    });
+
+    it('should use the name and address of a venue', () => {
+      const message = {
+        location: { latitude: 52.5163, longitude: 13.3777 },
+        venue: { title: 'Brandenburg Gate', address: 'Pariser Platz, Berlin', location: { latitude: 52.5163, longitude: 13.3777 } }
+      };
+
+      expect(getMeetingPointFromMessage(message)).toEqual({
+        meetingPoint: 'Brandenburg Gate, Pariser Platz, Berlin',
+        meetingPointLocation: { lat: 52.5163, lon: 13.3777 }
+      });
+    });
+
+    it('should return null for messages without a location', () => {
+      expect(getMeetingPointFromMessage({ text: 'Central park' })).toBeNull();
+      expect(getMeetingPointFromMessage(undefined)).toBeNull();
+    });
+  });
+
+  describe('getMapUrl', () => {
+    it('should drop a pin on the location', () => {
+      expect(getMapUrl({ lat: 52.52, lon: 13.405 })).toBe('https://www.google.com/maps/search/?api=1&query=52.52,13.405');
+    });
+  });
+
+  describe('isSameLocation', () => {
+    it('should compare coordinates and treat two missing locations as the same', () => {
+      expect(isSameLocation({ lat: 1, lon: 2 }, { lat: 1, lon: 2 })).toBe(true);
+      expect(isSameLocation({ lat: 1, lon: 2 }, { lat: 1, lon: 3 })).toBe(false);
+      expect(isSameLocation({ lat: 1, lon: 2 }, null)).toBe(false);
+      expect(isSameLocation(null, undefined)).toBe(true);
+    });
+  });
+});
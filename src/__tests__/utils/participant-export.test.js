@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+import {
+  PARTICIPANT_EXPORT_COLUMNS,
+  getExportParticipants,
+  formatParticipantsCsv,
+  formatParticipantsJson,
+  formatParticipantsExport
+} from '../../utils/participant-export.js';
+
+describe('participant-export', () => {
+  const ride = {
+    id: 'abc123',
+    title: 'Sunday, "Lake" Loop',
+    date: new Date('2025-05-04T08:00:00Z'),
+    participation: {
+      joined: [{ userId: 1, username: 'olga', firstName: 'Olga', lastName: 'K', createdAt: new Date('2025-05-01T10:00:00Z') }],
+      thinking: [{ userId: 2, firstName: '=HYPERLINK("x")', lastName: '', createdAt: new Date('2025-05-02T10:00:00Z') }],
+      skipped: [],
+      waitlist: [{ userId: 3, username: 'ivan', firstName: 'Иван', lastName: 'Петров' }]
+    }
+  };
+
+  it('should list the participants of every state', () => {
+    expect(getExportParticipants(ride)).toEqual([
+      { userId: 1, username: 'olga', firstName: 'Olga', lastName: 'K', state: 'joined', createdAt: '2025-05-01T10:00:00.000Z' },
+      { userId: 2, username: null, firstName: '=HYPERLINK("x")', lastName: '', state: 'thinking', createdAt: '2025-05-02T10:00:00.000Z' },
+      { userId: 3, username: 'ivan', firstName: 'Иван', lastName: 'Петров', state: 'waitlist', createdAt: null }
+    ]);
+  });
+
+  describe('formatParticipantsCsv', () => {
+    it('should write a header and one row per participant', () => {
+      const lines = formatParticipantsCsv([ride]).split('\r\n');
+
+      expect(lines[0]).toBe(`\uFEFF${PARTICIPANT_EXPORT_COLUMNS.join(',')}`);
+      expect(lines[1]).toBe('abc123,"Sunday, ""Lake"" Loop",2025-05-04T08:00:00.000Z,joined,1,olga,Olga,K,2025-05-01T10:00:00.000Z');
+      expect(lines[3]).toBe('abc123,"Sunday, ""Lake"" Loop",2025-05-04T08:00:00.000Z,waitlist,3,ivan,Иван,Петров,');
+      expect(lines[4]).toBe('');
+    });
+
+    it('should keep spreadsheet apps from running names as formulas', () => {
+      const row = formatParticipantsCsv([ride]).split('\r\n')[2];
+
+      expect(row).toContain(',"\'=HYPERLINK(""x"")",');
+    });
+
+    it('should write only the header without participants', () => {
+      expect(formatParticipantsCsv([{ id: 'r1', title: 'Empty', participation: {} }]))
+        .toBe(`\uFEFF${PARTICIPANT_EXPORT_COLUMNS.join(',')}\r\n`);
+    });
+  });
+
+  describe('formatParticipantsJson', () => {
+    it('should group the participants by ride', () => {
+      const result = JSON.parse(formatParticipantsJson([ride, { ...ride, id: 'def456', cancelled: true, participation: {} }]));
+
+      expect(result.rides).toHaveLength(2);
+      expect(result.rides[0]).toEqual({
+        id: 'abc123',
+        title: 'Sunday, "Lake" Loop',
+        date: '2025-05-04T08:00:00.000Z',
+        cancelled: false,
+        participants: getExportParticipants(ride)
+      });
+      expect(result.rides[1]).toEqual(expect.objectContaining({ id: 'def456', cancelled: true, participants: [] }));
+    });
+  });
+
+  it('should pick the formatter by format', () => {
+    expect(formatParticipantsExport([ride], 'json')).toBe(formatParticipantsJson([ride]));
+    expect(formatParticipantsExport([ride], 'csv')).toBe(formatParticipantsCsv([ride]));
+  });
+});
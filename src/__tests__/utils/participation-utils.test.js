@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+import {
+  PARTICIPATION_STATES,
+  createEmptyParticipation,
+  hasParticipantLimit,
+  getFreeSpots,
+  parseMaxParticipants
+} from '../../utils/participation-utils.js';
+
+describe('participation-utils', () => {
+  it('should list all participation states including waitlist', () => {
+    expect(PARTICIPATION_STATES).toEqual(['joined', 'thinking', 'skipped', 'waitlist']);
+  });
+
+  it('should create an empty participation object for every state', () => {
+    expect(createEmptyParticipation()).toEqual({ joined: [], thinking: [], skipped: [], waitlist: [] });
+  });
+
+  describe('hasParticipantLimit / getFreeSpots', () => {
+    it('should treat missing or non-positive limits as unlimited', () => {
+      expect(hasParticipantLimit({})).toBe(false);
+      expect(hasParticipantLimit({ maxParticipants: 0 })).toBe(false);
+      expect(getFreeSpots({ participation: { joined: [{ userId: 1 }] } })).toBe(Infinity);
+    });
+
+    it('should count free spots and never go below zero', () => {
+      const ride = { maxParticipants: 2, participation: { joined: [{ userId: 1 }] } };
+      expect(hasParticipantLimit(ride)).toBe(true);
+      expect(getFreeSpots(ride)).toBe(1);
+      expect(getFreeSpots({ ...ride, maxParticipants: 1, participation: { joined: [{ userId: 1 }, { userId: 2 }] } })).toBe(0);
+    });
+  });
+
+  describe('parseMaxParticipants', () => {
+    it('should parse a positive integer', () => {
+      expect(parseMaxParticipants(' 12 ')).toEqual({ maxParticipants: 12 });
+    });
+
+    it.each(['0', '-3', '2.5', 'abc'])('should reject %s', (value) => {
+      const result = parseMaxParticipants(value);
+      expect(result.maxParticipants).toBeNull();
+      expect(result.error).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+import {
+  parseRecurrenceRule,
+  completeRecurrenceRule,
+  getNextOccurrence,
+  describeRecurrenceRule,
+  formatDateKey,
+  formatLocalDateTime
+} from '../../utils/recurrence-utils.js';
+
+describe('recurrence-utils', () => {
+  describe('parseRecurrenceRule', () => {
+    it.each([
+      ['weekly on tue, thu', { frequency: 'weekly', interval: 1, weekdays: [2, 4] }],
+      ['Weekly on Thursday and Tuesday', { frequency: 'weekly', interval: 1, weekdays: [2, 4] }],
+      ['biweekly on sat', { frequency: 'weekly', interval: 2, weekdays: [6] }],
+      ['every 3 weeks on sun', { frequency: 'weekly', interval: 3, weekdays: [0] }],
+      ['weekly', { frequency: 'weekly', interval: 1, weekdays: [] }],
+      ['monthly on 2nd sun', { frequency: 'monthly', interval: 1, weekOfMonth: 2, weekday: 0 }],
+      ['every 2 months on last sat', { frequency: 'monthly', interval: 2, weekOfMonth: -1, weekday: 6 }],
+      ['monthly', { frequency: 'monthly', interval: 1, weekOfMonth: null, weekday: null }],
+      ['еженедельно по вт, чт', { frequency: 'weekly', interval: 1, weekdays: [2, 4] }],
+      ['каждые 2 недели в субботу', { frequency: 'weekly', interval: 2, weekdays: [6] }],
+      ['ежемесячно во 2-е вс', { frequency: 'monthly', interval: 1, weekOfMonth: 2, weekday: 0 }],
+      ['ежемесячно в последнюю сб', { frequency: 'monthly', interval: 1, weekOfMonth: -1, weekday: 6 }]
+    ])('should parse "%s"', (text, expected) => {
+      expect(parseRecurrenceRule(text)).toEqual({ rule: expected });
+    });
+
+    it.each(['', 'sometimes', 'weekly on funday', 'every 0 weeks', 'every 13 months', 'monthly on sat'])(
+      'should reject "%s"',
+      (text) => {
+        const result = parseRecurrenceRule(text, { language: 'en' });
+        expect(result.rule).toBeNull();
+        expect(result.error).toContain('repeat rule');
+      }
+    );
+  });
+
+  describe('completeRecurrenceRule', () => {
+    it('should default weekly rules to the weekday of the first ride', () => {
+      const anchor = new Date(2026, 9, 20, 18, 30); // Tuesday
+      expect(completeRecurrenceRule({ frequency: 'weekly', interval: 1, weekdays: [] }, anchor).weekdays).toEqual([2]);
+    });
+
+    it('should default monthly rules to the week and weekday of the first ride', () => {
+      const thirdTuesday = new Date(2026, 9, 20, 18, 30);
+      const lastSaturday = new Date(2026, 9, 31, 10, 0);
+      const rule = { frequency: 'monthly', interval: 1, weekOfMonth: null, weekday: null };
+
+      expect(completeRecurrenceRule(rule, thirdTuesday)).toEqual({ ...rule, weekOfMonth: 3, weekday: 2 });
+      expect(completeRecurrenceRule(rule, lastSaturday)).toEqual({ ...rule, weekOfMonth: -1, weekday: 6 });
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    const anchorDate = new Date(2026, 9, 20, 18, 30); // Tuesday 20 Oct 2026
+
+    const collect = (rule, count) => {
+      const dates = [];
+      let after = anchorDate;
+      for (let i = 0; i < count; i++) {
+        after = getNextOccurrence(rule, { anchorDate, after });
+        dates.push(formatLocalDateTime(after));
+      }
+      return dates;
+    };
+
+    it('should expand weekly rules on several weekdays', () => {
+      expect(collect({ frequency: 'weekly', interval: 1, weekdays: [2, 4] }, 3)).toEqual([
+        '2026-10-22T18:30',
+        '2026-10-27T18:30',
+        '2026-10-29T18:30'
+      ]);
+    });
+
+    it('should skip weeks that are not part of an every-N-weeks rule', () => {
+      expect(collect({ frequency: 'weekly', interval: 2, weekdays: [2, 4] }, 4)).toEqual([
+        '2026-10-22T18:30',
+        '2026-11-03T18:30',
+        '2026-11-05T18:30',
+        '2026-11-17T18:30'
+      ]);
+    });
+
+    it('should expand nth and last weekday of the month rules', () => {
+      expect(collect({ frequency: 'monthly', interval: 1, weekOfMonth: 2, weekday: 0 }, 2)).toEqual([
+        '2026-11-08T18:30',
+        '2026-12-13T18:30'
+      ]);
+      expect(collect({ frequency: 'monthly', interval: 2, weekOfMonth: -1, weekday: 6 }, 2)).toEqual([
+        '2026-10-31T18:30',
+        '2026-12-26T18:30'
+      ]);
+    });
+
+    it('should use the time of day of the given template date', () => {
+      const next = getNextOccurrence(
+        { frequency: 'weekly', interval: 1, weekdays: [2] },
+        { anchorDate, after: anchorDate, timeOf: new Date(2026, 9, 27, 7, 15) }
+      );
+      expect(formatLocalDateTime(next)).toBe('2026-10-27T07:15');
+    });
+
+    it('should start from the lower bound when it is past the anchor', () => {
+      const next = getNextOccurrence(
+        { frequency: 'weekly', interval: 2, weekdays: [2] },
+        { anchorDate, after: new Date(2026, 11, 1, 20, 0) }
+      );
+      expect(formatDateKey(next)).toBe('2026-12-15');
+    });
+  });
+
+  describe('describeRecurrenceRule', () => {
+    it('should describe weekly and monthly rules in the requested language', () => {
+      expect(describeRecurrenceRule({ frequency: 'weekly', interval: 1, weekdays: [2, 4] }, 'en')).toBe('weekly on Tue, Thu');
+      expect(describeRecurrenceRule({ frequency: 'weekly', interval: 2, weekdays: [6] }, 'en')).toBe('every 2 weeks on Sat');
+      expect(describeRecurrenceRule({ frequency: 'monthly', interval: 1, weekOfMonth: -1, weekday: 6 }, 'en')).toBe('monthly on the last Sat');
+      expect(describeRecurrenceRule({ frequency: 'monthly', interval: 1, weekOfMonth: 2, weekday: 0 }, 'ru')).toBe('ежемесячно: 2-й вс');
+    });
+  });
+});
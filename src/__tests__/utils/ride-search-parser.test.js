@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { parseRideSearch } from '../../utils/ride-search-parser.js';
+import { t } from '../../i18n/index.js';
+
+describe('parseRideSearch', () => {
+  const tr = (language, key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-03-09T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('searches the text after the command in titles and meeting points', () => {
+    expect(parseRideSearch('/findrides lake loop')).toEqual({ query: { text: 'lake loop' } });
+    expect(parseRideSearch('/findrides@ridebot lake')).toEqual({ query: { text: 'lake' } });
+  });
+
+  it('returns an empty query without criteria', () => {
+    expect(parseRideSearch('/findrides')).toEqual({ query: {} });
+  });
+
+  it('reads the criteria on the following lines', () => {
+    const { query, error } = parseRideSearch(
+      '/findrides\ncategory: Road\ndist: 40-80\nspeed: 25+\ntext: lake\ncancelled: yes',
+      { timezone: 'UTC' }
+    );
+
+    expect(error).toBeUndefined();
+    expect(query).toEqual({
+      category: 'road',
+      distanceMin: 40,
+      distanceMax: 80,
+      speedMin: 25,
+      text: 'lake',
+      cancelled: true
+    });
+  });
+
+  it('covers whole days in the timezone of the user', () => {
+    const { query } = parseRideSearch('/findrides\nfrom: 2024-05-01\nto: 2024-05-31', { timezone: 'Europe/Berlin' });
+
+    expect(query.dateFrom).toEqual(new Date('2024-04-30T22:00:00.000Z'));
+    expect(query.dateTo).toEqual(new Date('2024-05-31T21:59:59.999Z'));
+  });
+
+  it('reads distances and speeds without a unit in the unit system of the user', () => {
+    const { query } = parseRideSearch('/findrides\ndist: 25-50\nspeed: 15-18', { units: 'imperial' });
+
+    expect(query).toEqual({ distanceMin: 40.2, distanceMax: 80.5, speedMin: 24.1, speedMax: 29 });
+  });
+
+  it.each(['en', 'ru'])('explains unknown criteria and invalid values (%s)', (language) => {
+    expect(parseRideSearch('/findrides\ncolour: red', { language }).error)
+      .toBe(tr(language, 'parsers.rideSearch.unknownParam', { param: 'colour' }));
+    expect(parseRideSearch('/findrides\ndist: far', { language }).error)
+      .toBe(tr(language, 'parsers.rideSearch.invalidValue', { param: 'dist', value: 'far' }));
+    expect(parseRideSearch('/findrides\ncategory: bmx', { language }).error)
+      .toContain(tr(language, 'parsers.rideSearch.invalidCategory', {
+        value: 'bmx',
+        categories: 'mixed, road, gravel, mtb, mtb-xc, e-bike, virtual'
+      }));
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for RouteParser.processRouteFile.
+ * Uses jest.unstable_mockModule + dynamic imports (required for ESM), so the GPX file is
+ * "downloaded" from a fixture instead of the Bot API.
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const mockFetch = jest.fn();
+
+jest.unstable_mockModule('node-fetch', () => ({ default: mockFetch }));
+
+const { RouteParser } = await import('../../utils/route-parser.js');
+const { t } = await import('../../i18n/index.js');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const gpx = fs.readFileSync(path.join(__dirname, '../../test-setup/gpx/morning-loop.gpx'), 'utf8');
+const tr = (key, params = {}) => t('en', key, params, { fallbackLanguage: 'en' });
+
+describe('processRouteFile', () => {
+  const document = { file_id: 'file-1', file_name: 'morning-loop.gpx', file_size: gpx.length };
+  let api;
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    api = { token: 'test-token', getFile: jest.fn().mockResolvedValue({ file_path: 'documents/file_1.gpx' }) };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('downloads the file and reads the route from it', async () => {
+    mockFetch.mockResolvedValueOnce({ ok: true, text: async () => gpx });
+
+    const result = await RouteParser.processRouteFile(api, document, { language: 'en' });
+
+    expect(api.getFile).toHaveBeenCalledWith('file-1');
+    expect(mockFetch).toHaveBeenCalledWith('https://api.telegram.org/file/bottest-token/documents/file_1.gpx');
+    expect(result).toEqual({
+      routeFile: {
+        fileId: 'file-1',
+        fileName: 'morning-loop.gpx',
+        distance: 3,
+        elevationGain: 23,
+        start: { lat: 55.75, lon: 37.61 },
+        bounds: { minLat: 55.75, minLon: 37.61, maxLat: 55.759, maxLon: 37.626 }
+      }
+    });
+  });
+
+  test('rejects files over the size limit without downloading them', async () => {
+    const result = await RouteParser.processRouteFile(api, { ...document, file_size: 50 * 1024 * 1024 }, { language: 'en' });
+
+    expect(result).toEqual({ error: tr('utils.routeParser.gpxTooLarge', { size: 5 }) });
+    expect(api.getFile).not.toHaveBeenCalled();
+  });
+
+  test('reports files without a route', async () => {
+    mockFetch.mockResolvedValueOnce({ ok: true, text: async () => '<gpx version="1.1"></gpx>' });
+
+    const result = await RouteParser.processRouteFile(api, document, { language: 'en' });
+
+    expect(result).toEqual({ error: tr('utils.routeParser.gpxInvalid') });
+  });
+
+  test('reports failed downloads', async () => {
+    mockFetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' });
+    await expect(RouteParser.processRouteFile(api, document, { language: 'en' }))
+      .resolves.toEqual({ error: tr('utils.routeParser.gpxDownloadFailed') });
+
+    api.getFile.mockRejectedValueOnce(new Error('file is too big'));
+    await expect(RouteParser.processRouteFile(api, document, { language: 'en' }))
+      .resolves.toEqual({ error: tr('utils.routeParser.gpxDownloadFailed') });
+  });
+});
@@ -1,14 +1,6 @@
 import { jest } from '@jest/globals';
 import { RouteParser } from '../../utils/route-parser.js';
-import { config } from '../../config.js';
-import { invalidateStravaTokenCache } from '../../utils/strava-token-store.js';
-import * as cheerio from 'cheerio';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { garmin, komoot, strava } from '../../utils/route-providers/index.js';
 
 describe('RouteParser', () => {
   describe('isValidRouteUrl', () => {
@@ -65,6 +57,8 @@ describe('RouteParser', () => {
       expect(RouteParser.getRouteId('https://www.strava.com/routes/123456')).toBe('123456');
       expect(RouteParser.getRouteId('https://www.strava.com/activities/789')).toBe('789');
       expect(RouteParser.getRouteId('http://ridewithgps.com/routes/12345')).toBe('12345');
+      expect(RouteParser.getRouteId('https://www.komoot.com/de-de/tour/2810321675?ref=wtd')).toBe('2810321675');
+      expect(RouteParser.getRouteId('https://connect.garmin.com/app/course/12345678')).toBe('12345678');
     });
 
     test('should return null for invalid URLs', () => {
@@ -89,38 +83,10 @@ describe('RouteParser', () => {
     });
   });
 
-  describe('parseStravaViaApi', () => {
-    let origClientId, origClientSecret;
-
-    beforeEach(() => {
-      origClientId = config.strava.clientId;
-      origClientSecret = config.strava.clientSecret;
-      invalidateStravaTokenCache();
-    });
-
-    afterEach(() => {
-      config.strava.clientId = origClientId;
-      config.strava.clientSecret = origClientSecret;
-      invalidateStravaTokenCache();
-    });
-
-    test('returns null when clientId not configured', async () => {
-      config.strava.clientId = null;
-      const result = await RouteParser.parseStravaViaApi('https://www.strava.com/routes/123456');
-      expect(result).toBeNull();
-    });
-
-    test('returns null when clientSecret not configured', async () => {
-      config.strava.clientSecret = null;
-      const result = await RouteParser.parseStravaViaApi('https://www.strava.com/routes/123456');
-      expect(result).toBeNull();
-    });
-  });
-
-  describe('parseRoute (Strava dispatch)', () => {
-    test('delegates Strava URLs to parseStravaViaApi', async () => {
+  describe('parseRoute (provider dispatch)', () => {
+    test('delegates Strava URLs to the Strava provider', async () => {
       const spy = jest
-        .spyOn(RouteParser, 'parseStravaViaApi')
+        .spyOn(strava, 'fetchMetadata')
         .mockResolvedValueOnce({ distance: 50, duration: 150 });
 
       const result = await RouteParser.parseRoute('https://www.strava.com/routes/123456');
@@ -130,9 +96,9 @@ describe('RouteParser', () => {
       spy.mockRestore();
     });
 
-    test('delegates Strava activity URLs to parseStravaViaApi', async () => {
+    test('delegates Strava activity URLs to the Strava provider', async () => {
       const spy = jest
-        .spyOn(RouteParser, 'parseStravaViaApi')
+        .spyOn(strava, 'fetchMetadata')
         .mockResolvedValueOnce({ distance: 46, duration: 135 });
 
       const result = await RouteParser.parseRoute('https://www.strava.com/activities/789');
@@ -141,157 +107,97 @@ describe('RouteParser', () => {
       expect(result).toEqual({ distance: 46, duration: 135 });
       spy.mockRestore();
     });
-  });
 
-  describe('parseRideWithGPSRoute', () => {
-    test('should parse route details', () => {
-      const htmlPath = path.join(__dirname, '../../test-setup/html/ridewithgps-route.html');
-      const html = fs.readFileSync(htmlPath, 'utf8');
-      const $ = cheerio.load(html);
-      const result = RouteParser.parseRideWithGPSRoute($, 'https://ridewithgps.com/routes/48435067');
-      expect(result).toEqual({
-        distance: 163.3
-      });
-    });
+    test('returns null when the provider finds nothing', async () => {
+      const spy = jest.spyOn(komoot, 'fetchMetadata').mockResolvedValueOnce(null);
 
-    describe('parseRideWithGPSActivity', () => {
-      test('should parse activity details', () => {
-        const htmlPath = path.join(__dirname, '../../test-setup/html/ridewithgps-activity.html');
-        const html = fs.readFileSync(htmlPath, 'utf8');
-        const $ = cheerio.load(html);
-        const result = RouteParser.parseRideWithGPSRoute($, 'https://ridewithgps.com/trips/369168327');
-        expect(result).toEqual({
-          distance: 57.0,
-          duration: 137
-        });
-      });
+      const result = await RouteParser.parseRoute('https://www.komoot.com/tour/12345');
 
-      test('should return null for invalid HTML', () => {
-        const html = '<div>Invalid content</div>';
-        const $ = cheerio.load(html);
-        const result = RouteParser.parseRideWithGPSRoute($, 'https://ridewithgps.com/routes/48435067');
-        expect(result).toBeNull();
-      });
+      expect(spy).toHaveBeenCalledWith('https://www.komoot.com/tour/12345');
+      expect(result).toBeNull();
+      spy.mockRestore();
     });
-  });
 
-  describe('parseKomootRoute', () => {
-    test('should parse route details', () => {
-      const htmlPath = path.join(__dirname, '../../test-setup/html/komoot-route.html');
-      const html = fs.readFileSync(htmlPath, 'utf8');
-      const $ = cheerio.load(html);
-      const result = RouteParser.parseKomootRoute($);
-      expect(result).toEqual({
-        distance: 57.6, // Parser returns exact value, not rounded
-        duration: 123 // 2h 03m in minutes
-      });
-    });
+    test('returns null when the provider throws', async () => {
+      const spy = jest.spyOn(garmin, 'fetchMetadata').mockRejectedValueOnce(new Error('Network down'));
 
-    describe('parseKomootActivity', () => {
-      test('should parse route details from recorded activity', () => {
-        const htmlPath = path.join(__dirname, '../../test-setup/html/komoot-activity.html');
-        const html = fs.readFileSync(htmlPath, 'utf8');
-        const $ = cheerio.load(html);
-        const result = RouteParser.parseKomootRoute($);
-        expect(result).toEqual({
-          distance: 57.0, // Parser returns exact value, not rounded
-          duration: 137 // 2h 17m in minutes
-        });
-      });
+      const result = await RouteParser.parseRoute('https://connect.garmin.com/app/course/12345678');
 
-      test('should return null for invalid HTML', () => {
-        const html = '<div>Invalid content</div>';
-        const $ = cheerio.load(html);
-        const result = RouteParser.parseKomootRoute($);
-        expect(result).toBeNull();
-      });
+      expect(result).toBeNull();
+      spy.mockRestore();
     });
 
-    describe('processRouteInfo', () => {
-      test('should process valid route URLs', async () => {
-        const parseRouteSpy = jest
-          .spyOn(RouteParser, 'parseRoute')
-          .mockResolvedValue({ distance: 50, duration: 180 });
+    test('reads routes through the metadata cache when one is set', async () => {
+      const cache = { getMetadata: jest.fn().mockResolvedValue({ distance: 57.6 }) };
+      RouteParser.setMetadataCache(cache);
 
-        const result = await RouteParser.processRouteInfo('https://www.strava.com/routes/123456');
+      try {
+        const url = 'https://www.komoot.com/tour/12345';
+        expect(await RouteParser.parseRoute(url, { refresh: true })).toEqual({ distance: 57.6 });
+        expect(cache.getMetadata).toHaveBeenCalledWith(komoot, url, { refresh: true });
+      } finally {
+        RouteParser.setMetadataCache(null);
+      }
+    });
+  });
 
-        expect(result).toEqual({
-          routeLink: 'https://www.strava.com/routes/123456',
-          distance: 50,
-          duration: 180
-        });
-        parseRouteSpy.mockRestore();
-      });
+  describe('processRouteInfo', () => {
+    test('should process valid route URLs', async () => {
+      const parseRouteSpy = jest
+        .spyOn(RouteParser, 'parseRoute')
+        .mockResolvedValue({ distance: 50, elevation: 640, duration: 180 });
 
-      test('should handle invalid URL formats', async () => {
-        const result = await RouteParser.processRouteInfo('not-a-url');
+      const result = await RouteParser.processRouteInfo('https://www.strava.com/routes/123456');
 
-        expect(result).toEqual({
-          error: 'Invalid URL format. Please provide a valid URL.',
-          routeLink: 'not-a-url'
-        });
+      expect(result).toEqual({
+        routeLink: 'https://www.strava.com/routes/123456',
+        distance: 50,
+        elevation: 640,
+        duration: 180
       });
+      parseRouteSpy.mockRestore();
+    });
 
-      test('should handle unknown providers', async () => {
-        const result = await RouteParser.processRouteInfo('https://unknown.com/route');
+    test('should handle invalid URL formats', async () => {
+      const result = await RouteParser.processRouteInfo('not-a-url');
 
-        expect(result).toEqual({
-          routeLink: 'https://unknown.com/route'
-        });
+      expect(result).toEqual({
+        error: 'Invalid URL format. Please provide a valid URL.',
+        routeLink: 'not-a-url'
       });
+    });
 
-      test('should handle partial route parsing results', async () => {
-        const parseRouteSpy = jest
-          .spyOn(RouteParser, 'parseRoute')
-          .mockResolvedValue({ distance: 50 });
-
-        const result = await RouteParser.processRouteInfo('https://www.strava.com/routes/123456');
+    test('should handle unknown providers', async () => {
+      const result = await RouteParser.processRouteInfo('https://unknown.com/route');
 
-        expect(result).toEqual({
-          routeLink: 'https://www.strava.com/routes/123456',
-          distance: 50
-        });
-        parseRouteSpy.mockRestore();
+      expect(result).toEqual({
+        routeLink: 'https://unknown.com/route'
       });
+    });
 
-      test('should handle null result from route parser', async () => {
-        const parseRouteSpy = jest.spyOn(RouteParser, 'parseRoute').mockResolvedValue(null);
-
-        const result = await RouteParser.processRouteInfo('https://www.strava.com/routes/123456');
+    test('should handle partial route parsing results', async () => {
+      const parseRouteSpy = jest
+        .spyOn(RouteParser, 'parseRoute')
+        .mockResolvedValue({ distance: 50 });
 
-        expect(result).toEqual({
-          routeLink: 'https://www.strava.com/routes/123456'
-        });
-        parseRouteSpy.mockRestore();
-      });
-    });
-  });
+      const result = await RouteParser.processRouteInfo('https://www.strava.com/routes/123456');
 
-  describe('parseGarminRoute', () => {
-    test('should parse activity details', () => {
-      const htmlPath = path.join(__dirname, '../../test-setup/html/garmin-activity.html');
-      const html = fs.readFileSync(htmlPath, 'utf8');
-      const $ = cheerio.load(html);
-      const result = RouteParser.parseGarminRoute($, 'https://connect.garmin.com/app/activity/22070080926');
       expect(result).toEqual({
-        distance: 57.01,
-        duration: 123 // 2h 2m 59s → 123 min (59s rounds up)
+        routeLink: 'https://www.strava.com/routes/123456',
+        distance: 50
       });
+      parseRouteSpy.mockRestore();
     });
 
-    test('should return null for route page with no metrics', () => {
-      const htmlPath = path.join(__dirname, '../../test-setup/html/garmin-route.html');
-      const html = fs.readFileSync(htmlPath, 'utf8');
-      const $ = cheerio.load(html);
-      const result = RouteParser.parseGarminRoute($, 'https://connect.garmin.com/app/course/12345678');
-      expect(result).toBeNull();
-    });
+    test('should handle null result from route parser', async () => {
+      const parseRouteSpy = jest.spyOn(RouteParser, 'parseRoute').mockResolvedValue(null);
 
-    test('should return null for invalid HTML', () => {
-      const html = '<div>Invalid content</div>';
-      const $ = cheerio.load(html);
-      const result = RouteParser.parseGarminRoute($, 'https://connect.garmin.com/app/activity/12345678');
-      expect(result).toBeNull();
+      const result = await RouteParser.processRouteInfo('https://www.strava.com/routes/123456');
+
+      expect(result).toEqual({
+        routeLink: 'https://www.strava.com/routes/123456'
+      });
+      parseRouteSpy.mockRestore();
     });
   });
 });
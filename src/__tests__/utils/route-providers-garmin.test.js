@@ -0,0 +1,65 @@
+/**
+ * Tests for the Garmin Connect route provider: courses come from the course service,
+ * activities from their share pages.
+ * Uses jest.unstable_mockModule + dynamic imports (required for ESM).
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const mockFetch = jest.fn();
+
+jest.unstable_mockModule('node-fetch', () => ({ default: mockFetch }));
+
+const { garmin } = await import('../../utils/route-providers/garmin.js');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readFixture = (...parts) => fs.readFileSync(path.join(__dirname, '../../test-setup', ...parts), 'utf8');
+
+describe('garmin.fetchMetadata', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test('reads a course from the course service', async () => {
+    const course = JSON.parse(readFixture('json', 'garmin-course.json'));
+    mockFetch.mockResolvedValueOnce({ ok: true, json: async () => course });
+
+    const result = await garmin.fetchMetadata('https://connect.garmin.com/modern/course/12345678');
+
+    expect(mockFetch).toHaveBeenCalledWith(
+      'https://connect.garmin.com/modern/proxy/course-service/course/12345678',
+      { headers: { Accept: 'application/json', NK: 'NT' } }
+    );
+    expect(result).toEqual({ distance: 84.32, elevation: 1061 });
+  });
+
+  test('returns null for a private course', async () => {
+    mockFetch.mockResolvedValueOnce({ ok: false, status: 403, statusText: 'Forbidden' });
+
+    expect(await garmin.fetchMetadata('https://connect.garmin.com/app/course/12345678')).toBeNull();
+  });
+
+  test('returns null when the course service cannot be reached', async () => {
+    mockFetch.mockRejectedValueOnce(new Error('socket hang up'));
+
+    expect(await garmin.fetchMetadata('https://connect.garmin.com/app/course/12345678')).toBeNull();
+  });
+
+  test('reads an activity from its share page', async () => {
+    mockFetch.mockResolvedValueOnce({ ok: true, text: async () => readFixture('html', 'garmin-activity.html') });
+
+    const result = await garmin.fetchMetadata('https://connect.garmin.com/modern/activity/22070080926');
+
+    expect(mockFetch).toHaveBeenCalledWith('https://connect.garmin.com/modern/activity/22070080926');
+    expect(result).toEqual({ distance: 57.01, elevation: 104, duration: 123 });
+  });
+});
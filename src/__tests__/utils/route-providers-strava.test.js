@@ -1,9 +1,9 @@
 /**
- * Tests for RouteParser.parseStravaViaApi.
+ * Tests for the Strava route provider, which reads routes and activities from the Strava API.
  * Uses jest.unstable_mockModule + dynamic imports (required for ESM).
  *
  * getStravaAccessToken is mocked at the token-store boundary so these tests
- * focus purely on route-parser's responsibility: selecting the right API
+ * focus purely on the provider's responsibility: selecting the right API
  * endpoint, parsing the response, and handling errors.
  * OAuth flow / token refresh logic is tested in strava-token-store tests.
  */
@@ -17,14 +17,14 @@ jest.unstable_mockModule('../../utils/strava-token-store.js', () => ({
   getStravaAccessToken: mockGetAccessToken
 }));
 
-const { RouteParser } = await import('../../utils/route-parser.js');
+const { strava } = await import('../../utils/route-providers/strava.js');
 const { config } = await import('../../config.js');
 
 function mockApiResponse(body) {
   mockFetch.mockResolvedValueOnce({ ok: true, json: async () => body });
 }
 
-describe('parseStravaViaApi', () => {
+describe('strava.fetchMetadata', () => {
   beforeEach(() => {
     mockFetch.mockReset();
     mockGetAccessToken.mockReset().mockResolvedValue('test-access-token');
@@ -41,33 +41,33 @@ describe('parseStravaViaApi', () => {
   });
 
   test('parses route — uses /routes/ endpoint and estimated_moving_time', async () => {
-    mockApiResponse({ distance: 94200, estimated_moving_time: 16980 });
+    mockApiResponse({ distance: 94200, elevation_gain: 1234.5, estimated_moving_time: 16980 });
 
-    const result = await RouteParser.parseStravaViaApi('https://www.strava.com/routes/123456');
+    const result = await strava.fetchMetadata('https://www.strava.com/routes/123456');
 
     expect(mockFetch).toHaveBeenCalledWith(
       'https://www.strava.com/api/v3/routes/123456',
       expect.objectContaining({ headers: { Authorization: 'Bearer test-access-token' } })
     );
-    expect(result).toEqual({ distance: 94, duration: 283 });
+    expect(result).toEqual({ distance: 94, elevation: 1235, duration: 283 });
   });
 
   test('parses activity — uses /activities/ endpoint and moving_time', async () => {
-    mockApiResponse({ distance: 45600, moving_time: 8100 });
+    mockApiResponse({ distance: 45600, total_elevation_gain: 380, moving_time: 8100 });
 
-    const result = await RouteParser.parseStravaViaApi('https://www.strava.com/activities/789');
+    const result = await strava.fetchMetadata('https://www.strava.com/activities/789');
 
     expect(mockFetch).toHaveBeenCalledWith(
       'https://www.strava.com/api/v3/activities/789',
       expect.anything()
     );
-    expect(result).toEqual({ distance: 46, duration: 135 });
+    expect(result).toEqual({ distance: 46, elevation: 380, duration: 135 });
   });
 
   test('falls back to 20 km/h estimate when estimated_moving_time is 0', async () => {
     mockApiResponse({ distance: 60000, estimated_moving_time: 0 });
 
-    const result = await RouteParser.parseStravaViaApi('https://www.strava.com/routes/999');
+    const result = await strava.fetchMetadata('https://www.strava.com/routes/999');
 
     expect(result).toEqual({ distance: 60, duration: 180 });
   });
@@ -75,7 +75,7 @@ describe('parseStravaViaApi', () => {
   test('returns null on API error response', async () => {
     mockFetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' });
 
-    const result = await RouteParser.parseStravaViaApi('https://www.strava.com/routes/404');
+    const result = await strava.fetchMetadata('https://www.strava.com/routes/404');
 
     expect(result).toBeNull();
   });
@@ -83,7 +83,7 @@ describe('parseStravaViaApi', () => {
   test('returns null when getStravaAccessToken throws (no refresh token)', async () => {
     mockGetAccessToken.mockRejectedValueOnce(new Error('No Strava refresh token available'));
 
-    const result = await RouteParser.parseStravaViaApi('https://www.strava.com/routes/123');
+    const result = await strava.fetchMetadata('https://www.strava.com/routes/123');
 
     expect(result).toBeNull();
     expect(mockFetch).not.toHaveBeenCalled();
@@ -92,7 +92,7 @@ describe('parseStravaViaApi', () => {
   test('returns null when clientId is not configured', async () => {
     config.strava.clientId = null;
 
-    const result = await RouteParser.parseStravaViaApi('https://www.strava.com/routes/123');
+    const result = await strava.fetchMetadata('https://www.strava.com/routes/123');
 
     expect(result).toBeNull();
     expect(mockGetAccessToken).not.toHaveBeenCalled();
@@ -101,7 +101,7 @@ describe('parseStravaViaApi', () => {
   test('returns null when clientSecret is not configured', async () => {
     config.strava.clientSecret = null;
 
-    const result = await RouteParser.parseStravaViaApi('https://www.strava.com/routes/123');
+    const result = await strava.fetchMetadata('https://www.strava.com/routes/123');
 
     expect(result).toBeNull();
     expect(mockGetAccessToken).not.toHaveBeenCalled();
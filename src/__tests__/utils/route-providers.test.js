@@ -0,0 +1,217 @@
+import { jest } from '@jest/globals';
+import * as cheerio from 'cheerio';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  extractKnownRouteUrls,
+  findRouteProvider,
+  garmin,
+  getRouteProviders,
+  getRouteKey,
+  komoot,
+  registerRouteProvider,
+  ridewithgps,
+  strava,
+  unregisterRouteProvider
+} from '../../utils/route-providers/index.js';
+import { getDerivedRouteLabel } from '../../utils/route-links.js';
+import { RouteParser } from '../../utils/route-parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, '../../test-setup/html', name), 'utf8');
+  return cheerio.load(html);
+}
+
+describe('route providers', () => {
+  describe('registry', () => {
+    test('should register the built-in providers in matching order', () => {
+      expect(getRouteProviders().map(provider => provider.name)).toEqual(['strava', 'ridewithgps', 'komoot', 'garmin']);
+    });
+
+    test('should find the provider of a route URL', () => {
+      expect(findRouteProvider('https://www.strava.com/routes/123456')).toBe(strava);
+      expect(findRouteProvider('https://ridewithgps.com/trips/369168327')).toBe(ridewithgps);
+      expect(findRouteProvider('https://www.komoot.com/de-de/tour/2810321675')).toBe(komoot);
+      expect(findRouteProvider('https://connect.garmin.com/modern/course/12345678')).toBe(garmin);
+      expect(findRouteProvider('https://example.com/route/123')).toBeNull();
+      expect(findRouteProvider(null)).toBeNull();
+    });
+
+    test('should extract the route URLs of registered providers from text', () => {
+      const text = 'Loop https://www.komoot.com/tour/77 see https://example.com/a and https://www.strava.com/routes/5';
+      expect(extractKnownRouteUrls(text)).toEqual(['https://www.komoot.com/tour/77', 'https://www.strava.com/routes/5']);
+      expect(extractKnownRouteUrls('')).toEqual([]);
+    });
+
+    test('should build the same route key for every link of a route', () => {
+      expect(getRouteKey('https://www.strava.com/routes/5?utm_source=share')).toBe('strava:route:5');
+      expect(getRouteKey('https://strava.com/activities/5')).toBe('strava:activity:5');
+      expect(getRouteKey('https://ridewithgps.com/trips/12')).toBe('ridewithgps:trip:12');
+      expect(getRouteKey('https://www.komoot.com/de-de/tour/77?ref=wtd')).toBe('komoot:tour:77');
+      expect(getRouteKey('https://www.komoot.com/tour/77')).toBe('komoot:tour:77');
+      expect(getRouteKey('https://connect.garmin.com/modern/course/9')).toBe('garmin:course:9');
+      expect(getRouteKey('https://example.com/route/1')).toBeNull();
+    });
+
+    test('should let a registered provider match, label and parse its links', async () => {
+      const provider = {
+        name: 'bikemap',
+        label: 'Bikemap',
+        patterns: [/https?:\/\/(?:www\.)?bikemap\.net\/en\/r\/(\d+)/],
+        getRouteId: url => url.match(/\/r\/(\d+)/)?.[1] || null,
+        getRouteKey: url => {
+          const id = url.match(/\/r\/(\d+)/)?.[1];
+          return id ? `bikemap:route:${id}` : null;
+        },
+        fetchMetadata: jest.fn().mockResolvedValue({ distance: 42 })
+      };
+      registerRouteProvider(provider);
+
+      try {
+        const url = 'https://www.bikemap.net/en/r/9001/';
+        expect(RouteParser.isKnownProvider(url)).toBe(true);
+        expect(RouteParser.getRouteProvider(url)).toBe('bikemap');
+        expect(RouteParser.getRouteId(url)).toBe('9001');
+        expect(getDerivedRouteLabel(url)).toBe('Bikemap');
+        expect(await RouteParser.parseRoute(url)).toEqual({ distance: 42 });
+        expect(provider.fetchMetadata).toHaveBeenCalledWith(url);
+      } finally {
+        unregisterRouteProvider('bikemap');
+      }
+
+      expect(findRouteProvider('https://www.bikemap.net/en/r/9001/')).toBeNull();
+    });
+
+    test('should replace a registered provider with the same name', () => {
+      const replacement = { ...komoot, label: 'Komoot Tour' };
+      registerRouteProvider(replacement);
+
+      try {
+        expect(getRouteProviders().filter(provider => provider.name === 'komoot')).toEqual([replacement]);
+        expect(getDerivedRouteLabel('https://www.komoot.com/tour/1')).toBe('Komoot Tour');
+      } finally {
+        registerRouteProvider(komoot);
+      }
+    });
+  });
+
+  describe('ridewithgps', () => {
+    test('should parse route details', () => {
+      const result = ridewithgps.parsePage(loadFixture('ridewithgps-route.html'), 'https://ridewithgps.com/routes/48435067');
+      expect(result).toEqual({
+        distance: 163.3,
+        elevation: 1026
+      });
+    });
+
+    test('should parse activity details', () => {
+      const result = ridewithgps.parsePage(loadFixture('ridewithgps-activity.html'), 'https://ridewithgps.com/trips/369168327');
+      expect(result).toEqual({
+        distance: 57.0,
+        elevation: 149,
+        duration: 137
+      });
+    });
+
+    test('should return null for invalid HTML', () => {
+      const result = ridewithgps.parsePage(cheerio.load('<div>Invalid content</div>'), 'https://ridewithgps.com/routes/48435067');
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('komoot', () => {
+    test('should parse a planned tour from the embedded page state', () => {
+      const result = komoot.parsePage(loadFixture('komoot-route.html'));
+      expect(result).toEqual({
+        distance: 57.6,
+        elevation: 135,
+        duration: 123 // 7406 s
+      });
+    });
+
+    test('should parse a recorded tour from the embedded page state', () => {
+      const result = komoot.parsePage(loadFixture('komoot-activity.html'));
+      expect(result).toEqual({
+        distance: 57.0,
+        elevation: 104,
+        duration: 137 // 8211 s
+      });
+    });
+
+    test('should fall back to og:description without the page state', () => {
+      const $ = cheerio.load(
+        '<meta property="og:description" content="Valery planned an outdoor adventure with komoot! Distance: 57.6 km | Duration: 02:03 h"/>'
+      );
+      expect(komoot.parsePage($)).toEqual({ distance: 57.6, duration: 123 });
+    });
+
+    test('should fall back to og:description when the page state is broken', () => {
+      const $ = cheerio.load(
+        '<meta property="og:description" content="Distance: 40.2 km | Duration: 01:50 h"/>'
+        + '<script>kmtBoot.setProps("{not json");</script>'
+      );
+      expect(komoot.parsePage($)).toEqual({ distance: 40.2, duration: 110 });
+    });
+
+    test('should return null for invalid HTML', () => {
+      expect(komoot.parsePage(cheerio.load('<div>Invalid content</div>'))).toBeNull();
+    });
+
+    test('should extract the tour ID from localized URLs', () => {
+      expect(komoot.getRouteId('https://www.komoot.com/tour/2810321675')).toBe('2810321675');
+      expect(komoot.getRouteId('https://www.komoot.com/pl-pl/tour/2810321675?share_token=abc')).toBe('2810321675');
+    });
+  });
+
+  describe('garmin', () => {
+    test('should parse activity details', () => {
+      const result = garmin.parsePage(loadFixture('garmin-activity.html'), 'https://connect.garmin.com/app/activity/22070080926');
+      expect(result).toEqual({
+        distance: 57.01,
+        elevation: 104,
+        duration: 123 // 2h 2m 59s → 123 min (59s rounds up)
+      });
+    });
+
+    test('should read course details from the course service data', () => {
+      const data = JSON.parse(fs.readFileSync(path.join(__dirname, '../../test-setup/json/garmin-course.json'), 'utf8'));
+      expect(garmin.toCourseMetadata(data)).toEqual({
+        distance: 84.32,
+        elevation: 1061
+      });
+    });
+
+    test('should add the duration of courses recorded from an activity', () => {
+      expect(garmin.toCourseMetadata({ distanceMeter: 57010, elevationGainMeter: 104, elapsedSeconds: 7379 }))
+        .toEqual({ distance: 57.01, elevation: 104, duration: 123 });
+    });
+
+    test('should return null for invalid HTML', () => {
+      const result = garmin.parsePage(cheerio.load('<div>Invalid content</div>'), 'https://connect.garmin.com/app/activity/12345678');
+      expect(result).toBeNull();
+    });
+
+    test('should extract activity and course IDs', () => {
+      expect(garmin.getRouteId('https://connect.garmin.com/modern/activity/22070080926')).toBe('22070080926');
+      expect(garmin.getRouteId('https://connect.garmin.com/app/course/12345678')).toBe('12345678');
+    });
+  });
+
+  describe('strava', () => {
+    test('should map Strava API routes and activities', () => {
+      expect(strava.toMetadata({ distance: 94200, elevation_gain: 1234.5, estimated_moving_time: 16980 }))
+        .toEqual({ distance: 94, elevation: 1235, duration: 283 });
+      expect(strava.toMetadata({ distance: 45600, total_elevation_gain: 380, moving_time: 8100 }, true))
+        .toEqual({ distance: 46, elevation: 380, duration: 135 });
+      expect(strava.toMetadata({})).toBeNull();
+    });
+
+    test('should build route URLs', () => {
+      expect(strava.getRouteUrl('9876543210')).toBe('https://www.strava.com/routes/9876543210');
+    });
+  });
+});
@@ -218,12 +218,13 @@ describe('StravaEventParser', () => {
       expect(data.metadata).toEqual({ stravaId: eventId });
     });
 
-    it('uses attached route for routes/routeLink/distance/duration', () => {
+    it('uses attached route for routes/routeLink/distance/elevation/duration', () => {
       const event = {
         ...baseEvent,
         route: {
           id_str: '9876543210',
           distance: 95000,
+          elevation_gain: 812.6,
           estimated_moving_time: 14400,
         },
       };
@@ -231,6 +232,7 @@ describe('StravaEventParser', () => {
       expect(data.routeLink).toBe('https://www.strava.com/routes/9876543210');
       expect(data.routes).toEqual([{ url: 'https://www.strava.com/routes/9876543210' }]);
       expect(data.distance).toBe(95);
+      expect(data.elevation).toBe(813);
       expect(data.duration).toBe(240);
     });
 
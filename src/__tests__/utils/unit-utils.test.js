@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+import {
+  DEFAULT_UNIT_SYSTEM,
+  isValidUnitSystem,
+  resolveUnitSystem,
+  toMetric,
+  fromMetric,
+  parseDistanceInput,
+  parseDistanceRangeInput,
+  splitSpeedUnit,
+  formatDistance,
+  parseElevationInput,
+  formatElevation
+} from '../../utils/unit-utils.js';
+import { parseSpeedInput, formatSpeed } from '../../utils/speed-utils.js';
+import { t } from '../../i18n/index.js';
+
+describe('unit-utils', () => {
+  describe('unit systems', () => {
+    it('accepts only the supported systems', () => {
+      expect(isValidUnitSystem('metric')).toBe(true);
+      expect(isValidUnitSystem('imperial')).toBe(true);
+      expect(isValidUnitSystem('nautical')).toBe(false);
+      expect(isValidUnitSystem(null)).toBe(false);
+    });
+
+    it('falls back to metric when no system is chosen', () => {
+      expect(DEFAULT_UNIT_SYSTEM).toBe('metric');
+      expect(resolveUnitSystem(null)).toBe('metric');
+      expect(resolveUnitSystem('imperial')).toBe('imperial');
+    });
+
+    it('converts between miles and km with one decimal', () => {
+      expect(toMetric(25, 'imperial')).toBe(40.2);
+      expect(toMetric(25, 'metric')).toBe(25);
+      expect(fromMetric(40, 'imperial')).toBe(24.9);
+      expect(fromMetric(40, null)).toBe(40);
+    });
+  });
+
+  describe('parseDistanceInput', () => {
+    it('reads numbers without a unit in the unit system of the user', () => {
+      expect(parseDistanceInput('40')).toBe(40);
+      expect(parseDistanceInput('40', 'imperial')).toBe(64.4);
+      expect(parseDistanceInput('35,5')).toBe(35.5);
+    });
+
+    it('respects an explicit unit', () => {
+      expect(parseDistanceInput('40km', 'imperial')).toBe(40);
+      expect(parseDistanceInput('40 км', 'imperial')).toBe(40);
+      expect(parseDistanceInput('25mi')).toBe(40.2);
+      expect(parseDistanceInput('25 miles')).toBe(40.2);
+      expect(parseDistanceInput('25 миль')).toBe(40.2);
+    });
+
+    it('returns null for invalid input', () => {
+      expect(parseDistanceInput('far')).toBeNull();
+      expect(parseDistanceInput('40 parsecs')).toBeNull();
+      expect(parseDistanceInput('')).toBeNull();
+    });
+  });
+
+  describe('parseDistanceRangeInput', () => {
+    it('reads ranges, minimums, maximums and single values', () => {
+      expect(parseDistanceRangeInput('40-80')).toEqual({ distanceMin: 40, distanceMax: 80 });
+      expect(parseDistanceRangeInput('40+')).toEqual({ distanceMin: 40 });
+      expect(parseDistanceRangeInput('-80')).toEqual({ distanceMax: 80 });
+      expect(parseDistanceRangeInput('60')).toEqual({ distanceMin: 60, distanceMax: 60 });
+    });
+
+    it('converts miles and reads numbers without a unit in the unit system of the user', () => {
+      expect(parseDistanceRangeInput('25-50 mi')).toEqual({ distanceMin: 40.2, distanceMax: 80.5 });
+      expect(parseDistanceRangeInput('25-50', 'imperial')).toEqual({ distanceMin: 40.2, distanceMax: 80.5 });
+      expect(parseDistanceRangeInput('40-80km', 'imperial')).toEqual({ distanceMin: 40, distanceMax: 80 });
+    });
+
+    it('returns null for invalid input', () => {
+      expect(parseDistanceRangeInput('far')).toBeNull();
+      expect(parseDistanceRangeInput('')).toBeNull();
+    });
+  });
+
+  describe('parseElevationInput', () => {
+    it('reads meters and feet into whole meters', () => {
+      expect(parseElevationInput('850')).toBe(850);
+      expect(parseElevationInput('+1026 m')).toBe(1026);
+      expect(parseElevationInput('2800ft')).toBe(853);
+      expect(parseElevationInput('2800', 'imperial')).toBe(853);
+      expect(parseElevationInput('850м', 'imperial')).toBe(850);
+    });
+
+    it('returns null for invalid input', () => {
+      expect(parseElevationInput('hilly')).toBeNull();
+      expect(parseElevationInput('-200')).toBeNull();
+      expect(parseElevationInput('')).toBeNull();
+    });
+  });
+
+  describe('speed units', () => {
+    it('splits a trailing unit off speed input', () => {
+      expect(splitSpeedUnit('16-18 mph')).toEqual({ text: '16-18', units: 'imperial' });
+      expect(splitSpeedUnit('25-28 km/h', 'imperial')).toEqual({ text: '25-28', units: 'metric' });
+      expect(splitSpeedUnit('25-28', 'imperial')).toEqual({ text: '25-28', units: 'imperial' });
+    });
+
+    it('parses speed in mph into km/h', () => {
+      expect(parseSpeedInput('16-18 mph')).toEqual({ speedMin: 25.7, speedMax: 29 });
+      expect(parseSpeedInput('20+', 'imperial')).toEqual({ speedMin: 32.2 });
+      expect(parseSpeedInput('25-28 km/h', 'imperial')).toEqual({ speedMin: 25, speedMax: 28 });
+      expect(parseSpeedInput('fast mph')).toBeNull();
+    });
+  });
+
+  describe.each(['en', 'ru'])('formatting (%s)', (language) => {
+    const tr = (key, params = {}) => t(language, key, params, { fallbackLanguage: 'en' });
+
+    it('formats distances in the chosen system', () => {
+      expect(formatDistance(40, language)).toBe(`40 ${tr('formatter.units.km')}`);
+      expect(formatDistance(40.2, language, 'imperial')).toBe(`25 ${tr('formatter.units.mi')}`);
+    });
+
+    it('formats elevation gain in the chosen system', () => {
+      expect(formatElevation(853, language)).toBe(`853 ${tr('formatter.units.m')}`);
+      expect(formatElevation(853, language, 'imperial')).toBe(`2799 ${tr('formatter.units.ft')}`);
+    });
+
+    it('formats speeds in the chosen system', () => {
+      expect(formatSpeed(25.7, 29, language, 'imperial')).toBe(`16-18 ${tr('formatter.units.mph')}`);
+      expect(formatSpeed(null, 29, language, 'imperial')).toBe(
+        tr('formatter.upToSpeed', { max: 18, unit: tr('formatter.units.mph') })
+      );
+      expect(formatSpeed(25, 28, language)).toBe(`25-28 ${tr('formatter.units.kmh')}`);
+    });
+  });
+});
@@ -79,7 +79,9 @@ describe.each(['en', 'ru'])('RideWizard Edge Cases (%s)', (language) => {
     storage = new MockStorage();
     mockRideService = {
       createRide: jest.fn((data) => storage.createRide(data)),
-      updateRide: jest.fn((id, data) => storage.updateRide(id, data))
+      updateRide: jest.fn((id, data) => storage.updateRide(id, data)),
+      getDefaultRideTimezone: jest.fn().mockResolvedValue(null),
+      getInputUnits: jest.fn().mockResolvedValue('metric')
     };
     mockMessageFormatter = {
       formatRidePreview: jest.fn().mockReturnValue('<preview>')
@@ -84,7 +84,10 @@ describe.each(['en', 'ru'])('RideWizard — Live Preview (%s)', (language) => {
       updateRideMessages: jest.fn().mockResolvedValue(true)
     };
     wizard = new RideWizard(storage, {
-      createRide: jest.fn((data) => storage.createRide(data))
+      createRide: jest.fn((data) => storage.createRide(data)),
+      updateRide: jest.fn((id, data) => storage.updateRide(id, data)),
+      getDefaultRideTimezone: jest.fn().mockResolvedValue(null),
+      getInputUnits: jest.fn().mockResolvedValue('metric')
     }, mockMessageFormatter, mockRideMessagesService);
   });
 
@@ -98,12 +101,17 @@ describe.each(['en', 'ru'])('RideWizard — Live Preview (%s)', (language) => {
           datetime: date,        // wizard key
           organizer: 'Jane',
           meetingPoint: 'Park',
+          meetingPointLocation: { lat: 52.52, lon: 13.405 },
           routes: [{ url: 'https://strava.com/routes/1' }],
+          routeFile: { fileId: 'file-1', fileName: 'loop.gpx' },
           distance: 45,
+          elevation: 620,
           duration: 90,
           speedMin: 25,
           speedMax: 28,
+          maxParticipants: 12,
           additionalInfo: 'Bring lights',
+          timezone: 'Europe/Berlin',
           // extra wizard-only keys that should NOT appear in result
           chatId: 456,
           currentUser: 123
@@ -118,12 +126,17 @@ describe.each(['en', 'ru'])('RideWizard — Live Preview (%s)', (language) => {
         date: date,              // mapped from 'datetime'
         organizer: 'Jane',
         meetingPoint: 'Park',
+        meetingPointLocation: { lat: 52.52, lon: 13.405 },
         routes: [{ url: 'https://strava.com/routes/1' }],
+        routeFile: { fileId: 'file-1', fileName: 'loop.gpx' },
         distance: 45,
+        elevation: 620,
         duration: 90,
         speedMin: 25,
         speedMax: 28,
-        additionalInfo: 'Bring lights'
+        maxParticipants: 12,
+        additionalInfo: 'Bring lights',
+        timezone: 'Europe/Berlin'
       });
     });
 
@@ -132,6 +145,7 @@ describe.each(['en', 'ru'])('RideWizard — Live Preview (%s)', (language) => {
       expect(result.date).toBeNull();
       expect(result.category).toBeNull();
       expect(result.organizer).toBeNull();
+      expect(result.timezone).toBeNull();
     });
   });
 
@@ -189,7 +203,8 @@ describe.each(['en', 'ru'])('RideWizard — Live Preview (%s)', (language) => {
       // formatRidePreview should have been called with title data
       expect(mockMessageFormatter.formatRidePreview).toHaveBeenCalledWith(
         expect.objectContaining({ title: 'Evening Ride' }),
-        language
+        language,
+        'metric'
       );
 
       // editMessageText called for the preview (previewMessageId = 1)
@@ -211,7 +226,8 @@ describe.each(['en', 'ru'])('RideWizard — Live Preview (%s)', (language) => {
 
       expect(mockMessageFormatter.formatRidePreview).toHaveBeenCalledWith(
         expect.objectContaining({ category: 'road' }),
-        language
+        language,
+        'metric'
       );
     });
 
@@ -240,7 +256,7 @@ describe.each(['en', 'ru'])('RideWizard — Live Preview (%s)', (language) => {
       await wizard.handleWizardAction(ctx); // skip organizer
       ctx.message = { text: 'tomorrow at 6pm', message_id: 11 };
       await wizard.handleWizardInput(ctx); // date
-      for (let i = 0; i < 6; i++) {
+      for (let i = 0; i < 8; i++) {
         ctx.match = ['wizard:skip', 'skip'];
         await wizard.handleWizardAction(ctx);
       }
@@ -140,7 +140,10 @@ describe.each(['en', 'ru'])('RideWizard (%s)', (language) => {
         };
         storage.rides.set(ride.id, updatedRide);
         return updatedRide;
-      })
+      }),
+      updateRide: jest.fn((id, data) => storage.updateRide(id, data)),
+      getDefaultRideTimezone: jest.fn().mockResolvedValue(null),
+      getInputUnits: jest.fn().mockResolvedValue('metric')
     };
     mockMessageFormatter = {
       formatRideMessage: jest.fn(),
@@ -395,7 +398,7 @@ describe.each(['en', 'ru'])('RideWizard (%s)', (language) => {
       await wizard.handleWizardInput(ctx);
       
       // Skip to the additional info step
-      for (let i = 0; i < 5; i++) {
+      for (let i = 0; i < 7; i++) {
         ctx.match = ['wizard:skip', 'skip'];
         await wizard.handleWizardAction(ctx);
       }
@@ -437,7 +440,7 @@ describe.each(['en', 'ru'])('RideWizard (%s)', (language) => {
       await wizard.handleWizardInput(ctx);
 
       // Skip to the additional info step
-      for (let i = 0; i < 5; i++) {
+      for (let i = 0; i < 7; i++) {
         ctx.match = ['wizard:skip', 'skip'];
         await wizard.handleWizardAction(ctx);
       }
@@ -540,9 +543,9 @@ describe.each(['en', 'ru'])('RideWizard (%s)', (language) => {
       expect(lastMessage.text).toContain(tr('wizard.prompts.distance'));
     });
 
-    test('should prefill parsed distance and duration but still show both steps', async () => {
+    test('should prefill parsed distance, elevation and duration but still show their steps', async () => {
       jest.spyOn(RouteParser, 'isKnownProvider').mockReturnValueOnce(true);
-      jest.spyOn(RouteParser, 'parseRoute').mockResolvedValueOnce({ distance: 60, duration: 150 });
+      jest.spyOn(RouteParser, 'parseRoute').mockResolvedValueOnce({ distance: 60, elevation: 450, duration: 150 });
 
       await wizard.startWizard(ctx);
 
@@ -568,10 +571,102 @@ describe.each(['en', 'ru'])('RideWizard (%s)', (language) => {
       ctx.match = ['wizard:keep', 'keep'];
       await wizard.handleWizardAction(ctx);
 
+      lastMessage = ctx._test.editedMessages[ctx._test.editedMessages.length - 1];
+      expect(lastMessage.text).toContain(tr('wizard.prompts.elevation'));
+      expect(lastMessage.text).toContain(`${tr('wizard.messages.currentValue')}: 450 ${tr('formatter.units.m')}`);
+
+      ctx.match = ['wizard:keep', 'keep'];
+      await wizard.handleWizardAction(ctx);
+
       lastMessage = ctx._test.editedMessages[ctx._test.editedMessages.length - 1];
       expect(lastMessage.text).toContain(tr('wizard.prompts.duration'));
       expect(lastMessage.text).toContain(`${tr('wizard.messages.currentValue')}: 2${tr('formatter.units.hour')} 30${tr('formatter.units.min')}`);
     });
+
+    test('should take a GPX file at the route step and prefill distance and meeting point', async () => {
+      const routeFile = {
+        fileId: 'file-1',
+        fileName: 'loop.gpx',
+        distance: 42.5,
+        elevationGain: 380,
+        start: { lat: 55.75, lon: 37.61 },
+        bounds: { minLat: 55.75, minLon: 37.61, maxLat: 55.9, maxLon: 37.8 }
+      };
+      const processSpy = jest.spyOn(RouteParser, 'processRouteFile').mockResolvedValueOnce({ routeFile });
+
+      await wizard.startWizard(ctx);
+      const state = wizard.wizardStates.get(wizard.getWizardStateKey(ctx.from.id, ctx.chat.id));
+      state.step = 'route';
+
+      const document = { file_id: 'file-1', file_name: 'loop.gpx', file_size: 2048 };
+      ctx.message = { document, message_id: 7 };
+      await wizard.handleWizardDocument(ctx);
+
+      expect(processSpy).toHaveBeenCalledWith(ctx.api, document, { language });
+      expect(state.step).toBe('distance');
+      expect(state.data.routeFile).toEqual(routeFile);
+      expect(state.data.distance).toBe(42.5);
+      expect(state.data.meetingPoint).toBe('55.75000, 37.61000');
+      expect(ctx._test.deletedMessages).toContainEqual({ chatId: 456, messageId: 7 });
+
+      // Clearing the route step drops the file too
+      state.step = 'route';
+      ctx.match = ['wizard:skip', 'skip'];
+      await wizard.handleWizardAction(ctx);
+      expect(state.data.routeFile).toBeUndefined();
+      processSpy.mockRestore();
+    });
+
+    test('should reject documents outside the route step', async () => {
+      const processSpy = jest.spyOn(RouteParser, 'processRouteFile');
+      await wizard.startWizard(ctx);
+
+      ctx.message = { document: { file_id: 'file-1', file_name: 'loop.gpx' }, message_id: 7 };
+      await wizard.handleWizardDocument(ctx);
+
+      const state = wizard.wizardStates.get(wizard.getWizardStateKey(ctx.from.id, ctx.chat.id));
+      expect(state.step).toBe('title');
+      expect(processSpy).not.toHaveBeenCalled();
+      expect(ctx._test.messages.at(-1).text).toBe(tr('wizard.validation.documentNotExpected'));
+      processSpy.mockRestore();
+    });
+
+    test('should take a location at the meeting point step and drop it for a typed meeting point', async () => {
+      await wizard.startWizard(ctx);
+      const state = wizard.wizardStates.get(wizard.getWizardStateKey(ctx.from.id, ctx.chat.id));
+      state.step = 'meet';
+
+      ctx.message = {
+        location: { latitude: 52.5163, longitude: 13.3777 },
+        venue: { title: 'Brandenburg Gate', address: 'Pariser Platz' },
+        message_id: 8
+      };
+      await wizard.handleWizardLocation(ctx);
+
+      expect(state.step).toBe('info');
+      expect(state.data.meetingPoint).toBe('Brandenburg Gate, Pariser Platz');
+      expect(state.data.meetingPointLocation).toEqual({ lat: 52.5163, lon: 13.3777 });
+      expect(ctx._test.deletedMessages).toContainEqual({ chatId: 456, messageId: 8 });
+
+      state.step = 'meet';
+      ctx.message = { text: 'Cafe on the corner', message_id: 9 };
+      await wizard.handleWizardInput(ctx);
+
+      expect(state.data.meetingPoint).toBe('Cafe on the corner');
+      expect(state.data.meetingPointLocation).toBeUndefined();
+    });
+
+    test('should reject locations outside the meeting point step', async () => {
+      await wizard.startWizard(ctx);
+
+      ctx.message = { location: { latitude: 52.52, longitude: 13.405 }, message_id: 8 };
+      await wizard.handleWizardLocation(ctx);
+
+      const state = wizard.wizardStates.get(wizard.getWizardStateKey(ctx.from.id, ctx.chat.id));
+      expect(state.step).toBe('title');
+      expect(state.data.meetingPointLocation).toBeUndefined();
+      expect(ctx._test.messages.at(-1).text).toBe(tr('wizard.validation.locationNotExpected'));
+    });
   });
 
   describe('Ride Creation', () => {
@@ -586,8 +681,10 @@ describe.each(['en', 'ru'])('RideWizard (%s)', (language) => {
         { text: 'tomorrow at 6pm', step: 'date' },
         { text: 'https://example.com/route', step: 'route' },
         { text: '50', step: 'distance' },
+        { text: '650', step: 'elevation' },
         { text: '120', step: 'duration' },
         { text: '25-28', step: 'speed' },
+        { text: '15', step: 'max' },
         { text: 'City Center', step: 'meet' },
         { text: 'Bring lights and a jacket', step: 'additionalInfo' }
       ];
@@ -608,8 +705,10 @@ describe.each(['en', 'ru'])('RideWizard (%s)', (language) => {
       expect(createdRide.category).toBe('road');
       expect(createdRide.organizer).toBe('John Doe');
       expect(createdRide.meetingPoint).toBe('City Center');
+      expect(createdRide.elevation).toBe(650);
       expect(createdRide.speedMin).toBe(25);
       expect(createdRide.speedMax).toBe(28);
+      expect(createdRide.maxParticipants).toBe(15);
       expect(createdRide.additionalInfo).toBe('Bring lights and a jacket');
 
       // Verify RideMessagesService was called
@@ -632,7 +731,7 @@ describe.each(['en', 'ru'])('RideWizard (%s)', (language) => {
       }
       
       // Skip optional fields
-      for (let i = 0; i < 6; i++) {
+      for (let i = 0; i < 7; i++) {
         ctx.match = ['wizard:skip', 'skip'];
         await wizard.handleWizardAction(ctx);
       }
@@ -745,8 +844,8 @@ describe.each(['en', 'ru'])('RideWizard (%s)', (language) => {
         ctx.message = { text, message_id: ctx._test.messages.length + 2 };
         await wizard.handleWizardInput(ctx);
       }
-      // Skip route, distance, duration, speed, meet, info
-      for (let i = 0; i < 6; i++) {
+      // Skip route, distance, elevation, duration, speed, max, meet, info
+      for (let i = 0; i < 8; i++) {
         ctx.match = ['wizard:skip', 'skip'];
         await wizard.handleWizardAction(ctx);
       }
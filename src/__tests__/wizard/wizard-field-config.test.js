@@ -42,6 +42,7 @@ describe('wizardFieldConfig', () => {
       expect(WIZARD_FIELDS.date).toBeDefined();
       expect(WIZARD_FIELDS.route).toBeDefined();
       expect(WIZARD_FIELDS.distance).toBeDefined();
+      expect(WIZARD_FIELDS.elevation).toBeDefined();
       expect(WIZARD_FIELDS.duration).toBeDefined();
       expect(WIZARD_FIELDS.speed).toBeDefined();
       expect(WIZARD_FIELDS.meet).toBeDefined();
@@ -171,6 +172,30 @@ describe('wizardFieldConfig', () => {
     });
   });
 
+  describe('elevation field', () => {
+    it('should read elevation gain in meters, or in feet for imperial units', () => {
+      expect(WIZARD_FIELDS.elevation.validator('850')).toEqual({ valid: true, value: 850 });
+      expect(WIZARD_FIELDS.elevation.validator('2800', { units: 'imperial' })).toEqual({ valid: true, value: 853 });
+    });
+
+    it('should reject non-numeric input', () => {
+      const result = WIZARD_FIELDS.elevation.validator('hilly');
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe(tr('wizard.validation.elevationInvalid'));
+    });
+
+    it('should format elevation gain in the unit system of the user', () => {
+      expect(WIZARD_FIELDS.elevation.formatter(853, { units: 'imperial' })).toBe(`2799 ${tr('formatter.units.ft')}`);
+    });
+
+    it('should sit between distance and duration', () => {
+      expect(WIZARD_FIELDS.distance.nextStep).toBe('elevation');
+      expect(WIZARD_FIELDS.elevation.previousStep).toBe('distance');
+      expect(WIZARD_FIELDS.elevation.nextStep).toBe('duration');
+      expect(WIZARD_FIELDS.duration.previousStep).toBe('elevation');
+    });
+  });
+
   describe('duration field', () => {
     it('should validate minutes as number', () => {
       const result = WIZARD_FIELDS.duration.validator('120');
@@ -263,6 +288,17 @@ describe('wizardFieldConfig', () => {
       expect(nextStep).toBe('distance');
     });
 
+    it('should post-process known route with elevation gain and prefill elevation step', async () => {
+      jest.spyOn(RouteParser, 'isKnownProvider').mockReturnValueOnce(true);
+      jest.spyOn(RouteParser, 'parseRoute').mockResolvedValueOnce({ distance: 163.3, elevation: 1026 });
+      const state = { data: { routes: [{ url: 'https://ridewithgps.com/routes/1' }], elevation: 300 } };
+
+      await WIZARD_FIELDS.route.postProcess('https://ridewithgps.com/routes/1', state);
+
+      expect(state.data.distance).toBe(163.3);
+      expect(state.data.elevation).toBe(1026);
+    });
+
     it('should post-process known route with only distance and prefill distance step', async () => {
       jest.spyOn(RouteParser, 'isKnownProvider').mockReturnValueOnce(true);
       jest.spyOn(RouteParser, 'parseRoute').mockResolvedValueOnce({ distance: 42 });
@@ -320,6 +356,45 @@ describe('wizardFieldConfig', () => {
         'Strava | https://www.strava.com/routes/1\nShort option | https://ridewithgps.com/routes/2'
       );
     });
+
+    it('should list the route file next to the route links', () => {
+      const state = { data: { routeFile: { fileId: 'file-1', fileName: 'loop.gpx' } } };
+
+      expect(WIZARD_FIELDS.route.hasValue(state)).toBe(true);
+      expect(WIZARD_FIELDS.route.formatter(undefined, state)).toBe('GPX | loop.gpx');
+    });
+
+    it('should take a GPX file and prefill distance and meeting point', async () => {
+      const routeFile = { fileId: 'file-1', fileName: 'loop.gpx', distance: 42.5, elevationGain: 380, start: { lat: 55.75, lon: 37.61 } };
+      const processSpy = jest.spyOn(RouteParser, 'processRouteFile').mockResolvedValueOnce({ routeFile });
+      const state = { data: { distance: 30 } };
+      const api = {};
+
+      const result = await WIZARD_FIELDS.route.processDocument({ document: { file_id: 'file-1', file_name: 'loop.gpx' } }, state, api);
+
+      expect(result).toEqual({ valid: true });
+      expect(processSpy).toHaveBeenCalledWith(api, { file_id: 'file-1', file_name: 'loop.gpx' }, { language: 'en' });
+      expect(state.data).toEqual({
+        routeFile,
+        distance: 42.5,
+        elevation: 380,
+        meetingPoint: '55.75000, 37.61000',
+        meetingPointLocation: { lat: 55.75, lon: 37.61 }
+      });
+      processSpy.mockRestore();
+    });
+
+    it('should reject documents that are not GPX files', async () => {
+      const processSpy = jest.spyOn(RouteParser, 'processRouteFile');
+      const state = { data: {} };
+
+      const result = await WIZARD_FIELDS.route.processDocument({ document: { file_id: 'file-1', file_name: 'notes.pdf' } }, state, {});
+
+      expect(result).toEqual({ valid: false, error: t('en', 'wizard.validation.routeFileInvalid') });
+      expect(processSpy).not.toHaveBeenCalled();
+      expect(state.data).toEqual({});
+      processSpy.mockRestore();
+    });
   });
 
   describe('organizer field', () => {
@@ -346,6 +421,23 @@ describe('wizardFieldConfig', () => {
       expect(WIZARD_FIELDS.meet.required).toBe(false);
       expect(WIZARD_FIELDS.meet.clearable).toBe(true);
     });
+
+    it('should take a location with its map pin', () => {
+      const state = { data: {} };
+
+      const result = WIZARD_FIELDS.meet.processLocation({ location: { latitude: 52.52, longitude: 13.405 } }, state);
+
+      expect(result).toEqual({ valid: true });
+      expect(state.data).toEqual({ meetingPoint: '52.52000, 13.40500', meetingPointLocation: { lat: 52.52, lon: 13.405 } });
+      expect(WIZARD_FIELDS.meet.attachmentDataKey).toBe('meetingPointLocation');
+    });
+
+    it('should drop the map pin when the meeting point is typed', () => {
+      const state = { data: { meetingPoint: 'Cafe', meetingPointLocation: { lat: 52.52, lon: 13.405 } } };
+
+      expect(WIZARD_FIELDS.meet.postProcess('Cafe', state)).toBe('info');
+      expect(state.data.meetingPointLocation).toBeUndefined();
+    });
   });
 
   describe('info field', () => {
@@ -3,6 +3,8 @@ import { BaseCommandHandler } from './BaseCommandHandler.js';
 import { parseDateTimeInput } from '../utils/date-input-parser.js';
 import { normalizeCategory } from '../utils/category-utils.js';
 import { parseSpeedInput } from '../utils/speed-utils.js';
+import { parseDistanceInput, parseElevationInput } from '../utils/unit-utils.js';
+import { parseMaxParticipants } from '../utils/participation-utils.js';
 import { parseDuration } from '../utils/duration-parser.js';
 import { RouteParser } from '../utils/route-parser.js';
 import { getRideRoutes, parseRouteEntries } from '../utils/route-links.js';
@@ -59,7 +61,7 @@ export class AiRideCommandHandler extends BaseCommandHandler {
         await ctx.reply(this.translate(ctx, 'commands.common.rideNotFoundById', { id: rideId }));
         return;
       }
-      if (!this.isRideCreator(ride, ctx.from.id)) {
+      if (!await this.isRideManager(ride, ctx.from.id)) {
         await ctx.reply(this.translate(ctx, 'commands.update.onlyCreator'));
         return;
       }
@@ -232,11 +234,13 @@ export class AiRideCommandHandler extends BaseCommandHandler {
     const previewParams = await this._enrichWithRouteInfo(params, state);
 
     const creatorProfile = UserProfile.fromTelegramUser(ctx.from);
+    const units = await this.rideService.getInputUnits(ctx.from.id);
     const previewObj = this._buildPreviewObject(previewParams, state, {
       creatorProfile,
-      language: ctx.lang
+      language: ctx.lang,
+      units
     });
-    const previewText = this.messageFormatter.formatRidePreview(previewObj, ctx.lang);
+    const previewText = this.messageFormatter.formatRidePreview(previewObj, ctx.lang, units);
     const atLimit = state.messageCount >= MAX_DIALOG_MESSAGES;
     const fullText = atLimit
       ? `${previewText}\n\n${this.translate(ctx, 'commands.airide.dialogLimitReached')}`
@@ -291,7 +295,7 @@ export class AiRideCommandHandler extends BaseCommandHandler {
   }
 
   /**
-   * Returns a copy of params enriched with distance/duration fetched from the route URL.
+   * Returns a copy of params enriched with distance/elevation/duration fetched from the route URL.
    * Results are cached in state.routeInfoCache keyed by URL to avoid re-fetching on
    * every dialog message. Does not mutate params or state.lastParams.
    * @param {Object} params - AI-extracted params
@@ -317,7 +321,7 @@ export class AiRideCommandHandler extends BaseCommandHandler {
 
       if (!info) {
         const cachedInfo = state.routeInfoCache[route.url];
-        if (cachedInfo && !cachedInfo.error && (cachedInfo.distance || cachedInfo.duration)) {
+        if (cachedInfo && !cachedInfo.error && (cachedInfo.distance || cachedInfo.elevation || cachedInfo.duration)) {
           info = cachedInfo;
         }
       }
@@ -327,7 +331,10 @@ export class AiRideCommandHandler extends BaseCommandHandler {
 
     const enriched = { ...params };
     if (info.distance && !params.dist) {
-      enriched.dist = String(info.distance);
+      enriched.dist = `${info.distance}km`;
+    }
+    if (info.elevation && !params.elevation) {
+      enriched.elevation = `${info.elevation}m`;
     }
     if (info.duration && !params.duration) {
       // parseDuration (used in _buildPreviewObject) accepts e.g. "90m"
@@ -342,7 +349,7 @@ export class AiRideCommandHandler extends BaseCommandHandler {
    * reflects the full final state (existing + changes).
    * @param {Object} params - AI-extracted params
    * @param {Object|null} state - handler state (used to access existing ride in update mode)
-   * @param {{creatorProfile?: UserProfile|null, language?: string}} options
+   * @param {{creatorProfile?: UserProfile|null, language?: string, units?: string}} options - `units` reads distances and speeds without a unit
    */
   _buildPreviewObject(params, state = null, options = {}) {
     const existingRide = state?.mode === 'update' ? state.ride : null;
@@ -358,19 +365,27 @@ export class AiRideCommandHandler extends BaseCommandHandler {
       category:     null,
       organizer:    this._resolvePreviewOrganizer(params, state, options),
       meetingPoint: params.meet      || existingRide?.meetingPoint || null,
+      meetingPointLocation: params.meet ? null : (existingRide?.meetingPointLocation ?? null),
       routes:       clearsRoutes ? [] : (routeInputs ? (parsedPreviewRoutes || null) : getRideRoutes(existingRide)),
-      distance:     params.dist      ? parseFloat(params.dist)
+      distance:     params.dist      ? parseDistanceInput(params.dist, options.units)
                                      : (existingRide?.distance   ?? null),
+      elevation:    params.elevation ? parseElevationInput(params.elevation, options.units)
+                                     : (existingRide?.elevation  ?? null),
       duration:     null, // parsed below
       speedMin:     null,
       speedMax:     null,
+      maxParticipants: params.max ? parseMaxParticipants(params.max).maxParticipants
+                                  : (existingRide?.maxParticipants ?? null),
       additionalInfo: null
     };
 
     // date: AI param takes priority, else fall back to existing ride date
+    if (existingRide?.timezone) {
+      preview.timezone = existingRide.timezone;
+    }
     if (params.when) {
       try {
-        const result = parseDateTimeInput(params.when);
+        const result = parseDateTimeInput(params.when, { timezone: existingRide?.timezone });
         preview.date = result?.date ?? null;
       } catch { /* show no date if parsing fails */ }
     } else if (existingRide?.date) {
@@ -394,7 +409,7 @@ export class AiRideCommandHandler extends BaseCommandHandler {
     // speed: parse into speedMin/speedMax (same as FieldProcessor does on save)
     const speedStr = params.speed ?? null;
     if (speedStr) {
-      const speedResult = parseSpeedInput(speedStr);
+      const speedResult = parseSpeedInput(speedStr, options.units);
       if (speedResult) {
         preview.speedMin = speedResult.speedMin ?? null;
         preview.speedMax = speedResult.speedMax ?? null;
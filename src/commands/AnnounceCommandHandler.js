@@ -0,0 +1,133 @@
+import { InlineKeyboard } from 'grammy';
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { config } from '../config.js';
+import { UserProfile } from '../models/UserProfile.js';
+import { escapeHtml } from '../utils/html-escape.js';
+import { ANNOUNCEMENT_TARGETS } from '../services/AnnouncementService.js';
+
+/**
+ * Handler for /announce #rideId with the announcement on the next lines, and the Announce owner button.
+ * The organizer picks who gets the announcement from a preview that replies to the command,
+ * so the buttons read the text from that message instead of carrying it in the callback data.
+ */
+export class AnnounceCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/AnnouncementService.js').AnnouncementService} announcementService
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, announcementService) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.announcementService = announcementService;
+  }
+
+  /**
+   * Handle the /announce command
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handle(ctx) {
+    const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.common.onlyManagerAction');
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    const text = this.extractAnnouncementText(ctx.message.text);
+    if (!text) {
+      await ctx.reply(this.translate(ctx, 'commands.announce.usage', { id: ride.id }), { parse_mode: 'HTML' });
+      return;
+    }
+
+    const keyboard = new InlineKeyboard();
+    for (const target of Object.keys(ANNOUNCEMENT_TARGETS)) {
+      const count = this.announcementService.getRecipients(ride, target, ctx.from.id).length;
+      keyboard.text(`${this.translate(ctx, `commands.announce.targets.${target}`)} (${count})`, `announce:${target}:${ride.id}`);
+    }
+    keyboard.row().text(this.translate(ctx, 'buttons.cancel'), `announce:cancel:${ride.id}`);
+
+    await ctx.reply(this.translate(ctx, 'commands.announce.preview', {
+      title: escapeHtml(ride.title),
+      text: escapeHtml(text)
+    }), {
+      parse_mode: 'HTML',
+      reply_markup: keyboard,
+      reply_parameters: { message_id: ctx.message.message_id }
+    });
+  }
+
+  /**
+   * Handle the target buttons of the preview
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleCallback(ctx) {
+    const target = ctx.match[1];
+    if (target === 'cancel') {
+      await ctx.editMessageText(this.translate(ctx, 'commands.announce.cancelled'));
+      await ctx.answerCallbackQuery();
+      return;
+    }
+
+    const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.common.onlyManagerAction', 'callback', 2);
+    if (error) {
+      await ctx.answerCallbackQuery(error);
+      return;
+    }
+
+    const commandText = ctx.callbackQuery.message?.reply_to_message?.text;
+    const text = commandText ? this.extractAnnouncementText(commandText) : '';
+    if (!text) {
+      await ctx.answerCallbackQuery(this.translate(ctx, 'commands.announce.expired'));
+      return;
+    }
+
+    const sender = UserProfile.fromTelegramUser(ctx.from);
+    if (this.announcementService.getRecipients(ride, target, sender.userId).length === 0) {
+      await ctx.editMessageText(this.translate(ctx, 'commands.announce.noRecipients'));
+      await ctx.answerCallbackQuery();
+      return;
+    }
+
+    // Remove the buttons first, so the announcement cannot be sent twice
+    await ctx.editMessageText(this.translate(ctx, 'commands.announce.sending'));
+    await ctx.answerCallbackQuery();
+
+    // The DMs go out in background jobs, which edit this message into the delivery report when done
+    try {
+      const { message } = ctx.callbackQuery;
+      await this.announcementService.scheduleAnnouncement(ride, {
+        text,
+        target,
+        sender,
+        report: { chatId: message.chat.id, messageId: message.message_id, language: ctx.lang || config.i18n.defaultLanguage }
+      });
+    } catch (error) {
+      console.error('Error scheduling announcement:', error);
+      await ctx.editMessageText(this.translate(ctx, 'commands.announce.error'));
+    }
+  }
+
+  /**
+   * Handle the Announce owner button
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleOwnerCallback(ctx) {
+    const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.common.onlyManagerAction', 'callback');
+    if (error) {
+      await this.replyOrAnswerCallback(ctx, 'callback', error);
+      return;
+    }
+
+    await ctx.answerCallbackQuery();
+    await ctx.reply(this.translate(ctx, 'commands.announce.usage', { id: ride.id }), { parse_mode: 'HTML' });
+  }
+
+  /**
+   * The announcement is everything after the command line
+   * @param {string} text - Command message text
+   * @returns {string}
+   */
+  extractAnnouncementText(text) {
+    return text.split('\n').slice(1).join('\n').trim();
+  }
+}
@@ -0,0 +1,143 @@
+import { InlineKeyboard } from 'grammy';
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { escapeHtml } from '../utils/html-escape.js';
+import { config } from '../config.js';
+import { getAttendanceStatus, hasCheckInStarted } from '../utils/attendance-utils.js';
+
+const STATUS_ICONS = Object.freeze({ attended: '✅', noShow: '🚫', unmarked: '▫️' });
+
+/**
+ * Handler for ride attendance: the roster of /attendance #rideId and the Attendance owner button,
+ * where organizers mark joined riders as attended or no-show, and the Check in button of ride messages.
+ */
+export class AttendanceCommandHandler extends BaseCommandHandler {
+  /**
+   * Handle the /attendance command
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handle(ctx) {
+    const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.common.onlyManagerAction');
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    await this.showRoster(ctx, 'reply', ride);
+  }
+
+  /**
+   * Handle the Attendance owner button
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleOwnerCallback(ctx) {
+    const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.common.onlyManagerAction', 'callback');
+    if (error) {
+      await this.replyOrAnswerCallback(ctx, 'callback', error);
+      return;
+    }
+
+    await ctx.answerCallbackQuery();
+    await this.showRoster(ctx, 'reply', ride);
+  }
+
+  /**
+   * Handle the roster buttons that mark a rider
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleMarkCallback(ctx) {
+    const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.common.onlyManagerAction', 'callback');
+    if (error) {
+      await ctx.answerCallbackQuery(error);
+      return;
+    }
+
+    try {
+      const result = await this.rideService.markAttendance(ride, parseInt(ctx.match[2], 10), ctx.match[3], ctx.from.id);
+      if (!result.success) {
+        await ctx.answerCallbackQuery(this.translate(ctx, `commands.attendance.${result.reason}`, {
+          minutes: config.attendance.checkInOpensMinutesBefore
+        }));
+        return;
+      }
+
+      await this.showRoster(ctx, 'edit', result.ride);
+      await ctx.answerCallbackQuery();
+    } catch (error) {
+      console.error('Error marking attendance:', error);
+      await ctx.answerCallbackQuery(this.translate(ctx, 'commands.attendance.error'));
+    }
+  }
+
+  /**
+   * Handle the Check in button of ride messages
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleCheckIn(ctx) {
+    const { ride, error } = await this.getRideById(ctx, ctx.match[1]);
+    if (error) {
+      await ctx.answerCallbackQuery(error);
+      return;
+    }
+
+    try {
+      const result = await this.rideService.checkIn(ride, ctx.from.id);
+      await ctx.answerCallbackQuery(this.translate(ctx, `commands.attendance.checkIn.${result.success ? 'success' : result.reason}`));
+    } catch (error) {
+      console.error('Error checking in:', error);
+      await ctx.answerCallbackQuery(this.translate(ctx, 'commands.attendance.error'));
+    }
+  }
+
+  /**
+   * Render the joined riders of a ride with buttons to mark them as attended or no-show.
+   * @param {import('grammy').Context} ctx
+   * @param {'reply'|'edit'} mode
+   * @param {Object} ride
+   * @returns {Promise<void>}
+   */
+  async showRoster(ctx, mode, ride) {
+    if (!hasCheckInStarted(ride)) {
+      await ctx.reply(this.translate(ctx, ride.cancelled ? 'commands.attendance.cancelled' : 'commands.attendance.notStarted', {
+        minutes: config.attendance.checkInOpensMinutesBefore
+      }));
+      return;
+    }
+
+    const joined = ride.participation?.joined || [];
+    const statuses = joined.map(participant => getAttendanceStatus(ride, participant.userId) || 'unmarked');
+    const count = status => statuses.filter(value => value === status).length;
+    const text = [
+      `<b>${this.translate(ctx, 'commands.attendance.title')}</b>`,
+      `${escapeHtml(ride.title)} (#${ride.id})`,
+      '',
+      joined.length > 0
+        ? this.translate(ctx, 'commands.attendance.summary', {
+          attended: count('attended'),
+          noShow: count('noShow'),
+          unmarked: count('unmarked')
+        })
+        : this.translate(ctx, 'commands.attendance.noJoined'),
+      '',
+      this.translate(ctx, 'commands.attendance.hint')
+    ].join('\n');
+
+    const keyboard = new InlineKeyboard();
+    joined.forEach((participant, index) => {
+      keyboard
+        .text(
+          `${STATUS_ICONS[statuses[index]]} ${this.getParticipantButtonName(participant)}`,
+          `attendance:${ride.id}:${participant.userId}:attended`
+        )
+        .text(this.translate(ctx, 'commands.attendance.noShowButton'), `attendance:${ride.id}:${participant.userId}:noShow`)
+        .row();
+    });
+
+    const options = { parse_mode: 'HTML', reply_markup: keyboard };
+    if (mode === 'edit') {
+      await this.editMessageTextIgnoringNotModified(ctx, text, options);
+      return;
+    }
+
+    await ctx.reply(text, options);
+  }
+}
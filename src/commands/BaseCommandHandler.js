@@ -4,6 +4,7 @@
 import { RideParamsHelper } from '../utils/RideParamsHelper.js';
 import { config } from '../config.js';
 import { t } from '../i18n/index.js';
+import { canManageRide } from '../utils/co-organizer-utils.js';
 
 export class BaseCommandHandler {
   /**
@@ -46,6 +47,19 @@ export class BaseCommandHandler {
     return ride.createdBy === userId;
   }
 
+  /**
+   * Validate if user may manage a ride: its creator, a co-organizer or a leader of the club owning it
+   * @param {Object} ride - Ride object
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} - True if user may manage the ride
+   */
+  async isRideManager(ride, userId) {
+    if (canManageRide(ride, userId)) {
+      return true;
+    }
+    return Boolean(ride.clubId) && await this.rideService.isClubLeader(ride.clubId, userId);
+  }
+
   /**
    * Load a ride by ID.
    *
@@ -120,6 +134,64 @@ export class BaseCommandHandler {
     return { ride, error: null };
   }
 
+  /**
+   * Extract and load a ride that the user may manage as its creator, a co-organizer or a club leader.
+   *
+   * @param {import('grammy').Context} ctx - Grammy context used for localization
+   * @param {string} errorMessageKey - Localization key for the permission error
+   * @param {'message'|'callback'} [mode='message'] - Telegram entry-point mode
+   * @param {number} [callbackMatchIndex=1] - Index of the regex capture group containing the ride ID
+   * @returns {Promise<{ride: Object|null, error: string|null}>}
+   */
+  async extractRideWithManagerCheck(ctx, errorMessageKey, mode = 'message', callbackMatchIndex = 1) {
+    const { ride, error } = await this.extractRide(ctx, mode, callbackMatchIndex);
+    if (error) {
+      return { ride: null, error };
+    }
+
+    if (!await this.isRideManager(ride, ctx.from.id)) {
+      return { ride: null, error: this.translate(ctx, errorMessageKey) };
+    }
+
+    return { ride, error: null };
+  }
+
+  /**
+   * Find the rider named in a command: "/command #rideId @username" or "/command #rideId <user ID>",
+   * or "/command @username" in reply to a ride message.
+   *
+   * @param {string} text - Command text
+   * @returns {{userId?: number, username?: string}|null}
+   */
+  parseRiderReference(text) {
+    const args = text.split('\n')[0].trim().split(/\s+/).slice(1);
+    const rider = args.find(arg => arg.startsWith('@')) || (args.length > 1 ? args[args.length - 1] : null);
+    return rider ? this.parseUserReference(rider) : null;
+  }
+
+  /**
+   * Turn a command argument naming a user into a reference: digits are a user ID, anything else a username.
+   *
+   * @param {string} token - "@username", "username" or a user ID
+   * @returns {{userId?: number, username?: string}}
+   */
+  parseUserReference(token) {
+    return /^\d+$/.test(token)
+      ? { userId: parseInt(token, 10) }
+      : { username: token.replace(/^@/, '') };
+  }
+
+  /**
+   * Plain-text name of a rider for button labels.
+   *
+   * @param {Object} participant
+   * @returns {string}
+   */
+  getParticipantButtonName(participant) {
+    const fullName = `${participant.firstName || ''} ${participant.lastName || ''}`.trim();
+    return fullName || (participant.username ? `@${participant.username}` : String(participant.userId));
+  }
+
   /**
    * Send a user-facing result using the transport of the current entry point.
    *
@@ -136,6 +208,31 @@ export class BaseCommandHandler {
 
     await ctx.reply(message);
   }
+
+  /**
+   * Edit the message of a callback, ignoring Telegram's error when nothing changed.
+   *
+   * @param {import('grammy').Context} ctx
+   * @param {string} text
+   * @param {Object} options
+   * @returns {Promise<void>}
+   */
+  async editMessageTextIgnoringNotModified(ctx, text, options) {
+    try {
+      await ctx.editMessageText(text, options);
+    } catch (error) {
+      const isNotModifiedError = error?.error_code === 400
+        && (
+          error?.description?.includes('message is not modified')
+          || error?.message?.includes('message is not modified')
+        );
+
+      if (isNotModifiedError) {
+        return;
+      }
+      throw error;
+    }
+  }
   
   /**
    * Update the ride message
@@ -156,6 +253,26 @@ export class BaseCommandHandler {
     return result;
   }
 
+  /**
+   * Feedback on a participation change made outside the ride message buttons, e.g. from /myrides
+   * @param {import('grammy').Context} ctx
+   * @param {{status: string, targetState: string, resultState?: string}} result
+   * @returns {string}
+   */
+  buildParticipationFeedback(ctx, result) {
+    if (result.status === 'ride_not_found') {
+      return this.translate(ctx, 'commands.participation.rideNotFound');
+    }
+    if (result.status === 'ride_cancelled') {
+      return this.translate(ctx, 'commands.participation.rideCancelled');
+    }
+    if (result.status === 'already_in_state') {
+      const stateLabel = this.translate(ctx, `commands.participation.states.${result.resultState || result.targetState}`);
+      return this.translate(ctx, 'commands.participation.alreadyInState', { state: stateLabel });
+    }
+    return this.translate(ctx, `commands.participation.${result.resultState}Success`);
+  }
+
   /**
    * Parse ride parameters from text and handle any unknown parameters
    * @param {import('grammy').Context} ctx - Grammy context
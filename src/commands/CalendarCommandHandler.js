@@ -0,0 +1,93 @@
+import { InputFile } from 'grammy';
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { UserProfile } from '../models/UserProfile.js';
+import { escapeHtml } from '../utils/html-escape.js';
+
+/**
+ * Handler for the /ics command.
+ * /ics #rideId (or a reply to a ride message) sends the ride as an .ics file,
+ * /ics alone shows the user's calendar feed link and /ics reset replaces it.
+ */
+export class CalendarCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/CalendarService.js').CalendarService} calendarService
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, calendarService) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.calendarService = calendarService;
+  }
+
+  /**
+   * Handle the ics command
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handle(ctx) {
+    const text = ctx.message.text;
+    const [, argument] = text.split('\n')[0].trim().split(/\s+/);
+
+    if (argument?.toLowerCase() === 'reset') {
+      await this.sendFeedLink(ctx, true);
+      return;
+    }
+
+    if (!argument && !ctx.message.reply_to_message && !text.includes('\n')) {
+      await this.sendFeedLink(ctx, false);
+      return;
+    }
+
+    await this.sendRideCalendar(ctx);
+  }
+
+  /**
+   * Send the .ics file of the referenced ride, with distances in the units of the chat.
+   * @param {import('grammy').Context} ctx
+   */
+  async sendRideCalendar(ctx) {
+    const { ride, error } = await this.extractRide(ctx);
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    try {
+      const { units } = await this.rideMessagesService.getChatPreferences(ctx.chat?.id);
+      const ics = this.calendarService.buildRideCalendar(ride, ctx.lang, units);
+      await ctx.replyWithDocument(new InputFile(Buffer.from(ics, 'utf8'), `ride-${ride.id}.ics`), {
+        caption: this.translate(ctx, 'commands.calendar.rideFileCaption', { title: ride.title })
+      });
+    } catch (error) {
+      console.error('Error sending ride calendar file:', error);
+      await ctx.reply(this.translate(ctx, 'commands.calendar.error'));
+    }
+  }
+
+  /**
+   * Show the user's calendar feed link, optionally replacing it with a new one.
+   * @param {import('grammy').Context} ctx
+   * @param {boolean} reset
+   */
+  async sendFeedLink(ctx, reset) {
+    if (!this.calendarService.isFeedEnabled()) {
+      await ctx.reply(
+        `${this.translate(ctx, 'commands.calendar.feedUnavailable')}\n\n${this.translate(ctx, 'commands.calendar.usage')}`,
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+
+    try {
+      const url = await this.calendarService.getFeedUrl(UserProfile.fromTelegramUser(ctx.from), { reset });
+      const message = this.translate(ctx, 'commands.calendar.feedLink', { url: escapeHtml(url) });
+      await ctx.reply(
+        reset ? `${this.translate(ctx, 'commands.calendar.feedReset')}\n\n${message}` : message,
+        { parse_mode: 'HTML' }
+      );
+    } catch (error) {
+      console.error('Error getting calendar feed link:', error);
+      await ctx.reply(this.translate(ctx, 'commands.calendar.error'));
+    }
+  }
+}
@@ -0,0 +1,295 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { UserProfile } from '../models/UserProfile.js';
+import { MAX_CLUB_NAME_LENGTH } from '../services/ClubService.js';
+import { CLUB_ROLES, getClubRole, hasClubRole } from '../utils/club-utils.js';
+import { escapeHtml } from '../utils/html-escape.js';
+
+const ROLE_ORDER = [CLUB_ROLES.OWNER, CLUB_ROLES.ADMIN, CLUB_ROLES.LEADER, CLUB_ROLES.MEMBER];
+
+/**
+ * Handler for /club: /club lists the user's clubs; subcommands create, join, info, invite, role, remove and leave
+ * manage clubs and their members.
+ */
+export class ClubCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/ClubService.js').ClubService} clubService
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, clubService) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.clubService = clubService;
+  }
+
+  /**
+   * Handle the /club command
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handle(ctx) {
+    const firstLine = ctx.message.text.split('\n')[0].trim();
+    const [, subcommand, ...args] = firstLine.split(/\s+/);
+
+    try {
+      switch (subcommand?.toLowerCase()) {
+        case undefined:
+          await this.showClubs(ctx);
+          return;
+        case 'create':
+          await this.createClub(ctx, args.join(' '));
+          return;
+        case 'join':
+          await this.joinClub(ctx, args[0]);
+          return;
+        case 'info':
+          await this.showClubInfo(ctx, args[0]);
+          return;
+        case 'invite':
+          await this.showInvite(ctx, args[0], args[1]?.toLowerCase() === 'reset');
+          return;
+        case 'role':
+          await this.setMemberRole(ctx, args[0], args[1], args[2]);
+          return;
+        case 'remove':
+          await this.removeMember(ctx, args[0], args[1]);
+          return;
+        case 'leave':
+          await this.leaveClub(ctx, args[0]);
+          return;
+        default:
+          await ctx.reply(this.translate(ctx, 'commands.club.usage'), { parse_mode: 'HTML' });
+      }
+    } catch (error) {
+      console.error('Error handling club command:', error);
+      await ctx.reply(this.translate(ctx, 'commands.club.error'));
+    }
+  }
+
+  /**
+   * Reply with the clubs of the user and the usage of the subcommands
+   * @param {import('grammy').Context} ctx
+   */
+  async showClubs(ctx) {
+    const clubs = await this.clubService.getClubsForUser(ctx.from.id);
+    const lines = clubs.length === 0
+      ? [this.translate(ctx, 'commands.club.noClubs')]
+      : clubs.map(club => this.translate(ctx, 'commands.club.listItem', {
+        name: escapeHtml(club.name),
+        role: this.translateRole(ctx, getClubRole(club, ctx.from.id)),
+        id: club.id
+      }));
+
+    const message = [
+      this.translate(ctx, 'commands.club.listTitle'),
+      ...lines,
+      '',
+      this.translate(ctx, 'commands.club.usage')
+    ].join('\n');
+    await ctx.reply(message, { parse_mode: 'HTML' });
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string} name
+   */
+  async createClub(ctx, name) {
+    const result = await this.clubService.createClub(name, UserProfile.fromTelegramUser(ctx.from));
+    if (!result.success) {
+      await ctx.reply(this.translate(ctx, 'commands.club.invalidName', { max: MAX_CLUB_NAME_LENGTH }), { parse_mode: 'HTML' });
+      return;
+    }
+
+    await ctx.reply(this.translate(ctx, 'commands.club.created', {
+      name: escapeHtml(result.club.name),
+      id: result.club.id,
+      code: result.club.inviteCode
+    }), { parse_mode: 'HTML' });
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string} [inviteCode]
+   */
+  async joinClub(ctx, inviteCode) {
+    const result = await this.clubService.joinClub(inviteCode, UserProfile.fromTelegramUser(ctx.from));
+    if (result.reason === 'invalidCode') {
+      await ctx.reply(this.translate(ctx, 'commands.club.invalidCode'));
+      return;
+    }
+
+    const key = result.success ? 'commands.club.joined' : 'commands.club.alreadyMember';
+    await ctx.reply(this.translate(ctx, key, { name: escapeHtml(result.club.name) }), { parse_mode: 'HTML' });
+  }
+
+  /**
+   * Reply with the members of a club, grouped by role. Only members can see them.
+   * @param {import('grammy').Context} ctx
+   * @param {string} [clubId]
+   */
+  async showClubInfo(ctx, clubId) {
+    const club = await this.getMemberClub(ctx, clubId);
+    if (!club) {
+      return;
+    }
+
+    const members = ROLE_ORDER.flatMap(role => club.members.filter(member => member.role === role));
+    const message = [
+      this.translate(ctx, 'commands.club.infoTitle', { name: escapeHtml(club.name), id: club.id }),
+      ...members.map(member => this.translate(ctx, 'commands.club.memberItem', {
+        name: this.messageFormatter.formatParticipant(member),
+        role: this.translateRole(ctx, member.role)
+      }))
+    ].join('\n');
+    await ctx.reply(message, { parse_mode: 'HTML' });
+  }
+
+  /**
+   * Reply with the invite code of a club, replacing it first when asked. Admins and the owner only.
+   * @param {import('grammy').Context} ctx
+   * @param {string} [clubId]
+   * @param {boolean} reset
+   */
+  async showInvite(ctx, clubId, reset) {
+    const club = await this.getMemberClub(ctx, clubId);
+    if (!club) {
+      return;
+    }
+    if (!hasClubRole(club, ctx.from.id, CLUB_ROLES.ADMIN)) {
+      await ctx.reply(this.translate(ctx, 'commands.club.adminOnly'));
+      return;
+    }
+
+    const currentClub = reset ? (await this.clubService.resetInviteCode(club, ctx.from.id)).club : club;
+    const key = reset ? 'commands.club.inviteReset' : 'commands.club.invite';
+    await ctx.reply(this.translate(ctx, key, {
+      name: escapeHtml(currentClub.name),
+      code: currentClub.inviteCode
+    }), { parse_mode: 'HTML' });
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string} [clubId]
+   * @param {string} [memberToken] - @username or user ID
+   * @param {string} [role]
+   */
+  async setMemberRole(ctx, clubId, memberToken, role) {
+    if (!memberToken || !role) {
+      await ctx.reply(this.translate(ctx, 'commands.club.usage'), { parse_mode: 'HTML' });
+      return;
+    }
+    const club = await this.getMemberClub(ctx, clubId);
+    if (!club) {
+      return;
+    }
+
+    const result = await this.clubService.setMemberRole(
+      club,
+      this.parseUserReference(memberToken),
+      role.toLowerCase(),
+      ctx.from.id
+    );
+    if (!result.success) {
+      await ctx.reply(this.buildMemberErrorMessage(ctx, memberToken, result.reason), { parse_mode: 'HTML' });
+      return;
+    }
+
+    await ctx.reply(this.translate(ctx, 'commands.club.roleChanged', {
+      name: this.messageFormatter.formatParticipant(result.member),
+      role: this.translateRole(ctx, result.member.role),
+      club: escapeHtml(club.name)
+    }), { parse_mode: 'HTML' });
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string} [clubId]
+   * @param {string} [memberToken] - @username or user ID
+   */
+  async removeMember(ctx, clubId, memberToken) {
+    if (!memberToken) {
+      await ctx.reply(this.translate(ctx, 'commands.club.usage'), { parse_mode: 'HTML' });
+      return;
+    }
+    const club = await this.getMemberClub(ctx, clubId);
+    if (!club) {
+      return;
+    }
+
+    const result = await this.clubService.removeMember(club, this.parseUserReference(memberToken), ctx.from.id);
+    if (!result.success) {
+      await ctx.reply(this.buildMemberErrorMessage(ctx, memberToken, result.reason), { parse_mode: 'HTML' });
+      return;
+    }
+
+    await ctx.reply(this.translate(ctx, 'commands.club.removed', {
+      name: this.messageFormatter.formatParticipant(result.member),
+      club: escapeHtml(club.name)
+    }), { parse_mode: 'HTML' });
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string} [clubId]
+   */
+  async leaveClub(ctx, clubId) {
+    const club = await this.getMemberClub(ctx, clubId);
+    if (!club) {
+      return;
+    }
+
+    const result = await this.clubService.leaveClub(club, ctx.from.id);
+    const key = result.success ? 'commands.club.left' : 'commands.club.ownerCannotLeave';
+    await ctx.reply(this.translate(ctx, key, { name: escapeHtml(club.name) }), { parse_mode: 'HTML' });
+  }
+
+  /**
+   * Load a club the user is a member of, replying with the reason when there is none.
+   * @param {import('grammy').Context} ctx
+   * @param {string} [clubId]
+   * @returns {Promise<Object|null>}
+   */
+  async getMemberClub(ctx, clubId) {
+    if (!clubId) {
+      await ctx.reply(this.translate(ctx, 'commands.club.usage'), { parse_mode: 'HTML' });
+      return null;
+    }
+
+    const club = await this.clubService.getClub(clubId.replace(/^#/, ''));
+    if (!club) {
+      await ctx.reply(this.translate(ctx, 'commands.club.notFound', { id: escapeHtml(clubId) }), { parse_mode: 'HTML' });
+      return null;
+    }
+    if (!hasClubRole(club, ctx.from.id)) {
+      await ctx.reply(this.translate(ctx, 'commands.club.notMember'));
+      return null;
+    }
+
+    return club;
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string} memberToken
+   * @param {'invalidRole'|'notMember'|'forbidden'} reason
+   * @returns {string}
+   */
+  buildMemberErrorMessage(ctx, memberToken, reason) {
+    if (reason === 'invalidRole') {
+      return this.translate(ctx, 'commands.club.invalidRole');
+    }
+    if (reason === 'forbidden') {
+      return this.translate(ctx, 'commands.club.forbidden');
+    }
+    return this.translate(ctx, 'commands.club.memberNotFound', { user: escapeHtml(memberToken) });
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string} role
+   * @returns {string}
+   */
+  translateRole(ctx, role) {
+    return this.translate(ctx, `commands.club.roles.${role}`);
+  }
+}
@@ -0,0 +1,149 @@
+import { InlineKeyboard } from 'grammy';
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { escapeHtml } from '../utils/html-escape.js';
+import { getCoOrganizers } from '../utils/co-organizer-utils.js';
+
+/**
+ * Handler for ride co-organizers: /addleader #rideId @username and the Co-organizers owner button.
+ * Only the ride creator manages the list; co-organizers pass the permission checks of the other owner actions.
+ */
+export class CoOrganizerCommandHandler extends BaseCommandHandler {
+  /**
+   * Handle the /addleader command. Without a rider it shows the current co-organizers.
+   * @param {import('grammy').Context} ctx
+   */
+  async handle(ctx) {
+    const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.coOrganizers.onlyCreator');
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    const reference = this.parseRiderReference(ctx.message.text);
+    if (!reference) {
+      await this.showCoOrganizers(ctx, 'reply', ride);
+      return;
+    }
+
+    try {
+      const result = await this.rideService.addCoOrganizer(ride, reference, ctx.from.id);
+      if (!result.success) {
+        await ctx.reply(this.buildAddErrorMessage(ctx, ride, reference, result.reason), { parse_mode: 'HTML' });
+        return;
+      }
+
+      await ctx.reply(this.translate(ctx, 'commands.coOrganizers.added', {
+        name: this.messageFormatter.formatParticipant(result.coOrganizer),
+        title: escapeHtml(ride.title)
+      }), { parse_mode: 'HTML' });
+      await this.updateRideMessage(result.ride, ctx);
+    } catch (error) {
+      console.error('Error adding co-organizer:', error);
+      await ctx.reply(this.translate(ctx, 'commands.coOrganizers.error'));
+    }
+  }
+
+  /**
+   * Handle the Co-organizers owner button.
+   * @param {import('grammy').Context} ctx
+   */
+  async handleCallback(ctx) {
+    const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.coOrganizers.onlyCreator', 'callback');
+    if (error) {
+      await this.replyOrAnswerCallback(ctx, 'callback', error);
+      return;
+    }
+
+    await ctx.answerCallbackQuery();
+    await this.showCoOrganizers(ctx, 'reply', ride);
+  }
+
+  /**
+   * Handle the remove button of a co-organizer.
+   * @param {import('grammy').Context} ctx
+   */
+  async handleRemoveCallback(ctx) {
+    const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.coOrganizers.onlyCreator', 'callback');
+    if (error) {
+      await ctx.answerCallbackQuery(error);
+      return;
+    }
+
+    try {
+      const result = await this.rideService.removeCoOrganizer(ride, parseInt(ctx.match[2], 10), ctx.from.id);
+      await this.showCoOrganizers(ctx, 'edit', result.ride);
+      if (!result.success) {
+        await ctx.answerCallbackQuery(this.translate(ctx, 'commands.coOrganizers.notCoOrganizer'));
+        return;
+      }
+
+      await ctx.answerCallbackQuery(this.translate(ctx, 'commands.coOrganizers.removed'));
+      await this.updateRideMessage(result.ride, ctx);
+    } catch (error) {
+      console.error('Error removing co-organizer:', error);
+      await ctx.answerCallbackQuery(this.translate(ctx, 'commands.coOrganizers.error'));
+    }
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {Object} ride
+   * @param {{userId?: number, username?: string}} reference
+   * @param {'notParticipant'|'creator'|'alreadyCoOrganizer'} reason
+   * @returns {string}
+   */
+  buildAddErrorMessage(ctx, ride, reference, reason) {
+    if (reason === 'alreadyCoOrganizer') {
+      const coOrganizer = this.rideService.findRideParticipant(ride, reference);
+      return this.translate(ctx, 'commands.coOrganizers.alreadyCoOrganizer', {
+        name: this.messageFormatter.formatParticipant(coOrganizer)
+      });
+    }
+    if (reason === 'creator') {
+      return this.translate(ctx, 'commands.coOrganizers.creator');
+    }
+    return this.translate(ctx, 'commands.coOrganizers.notParticipant', {
+      user: escapeHtml(reference.username ? `@${reference.username}` : String(reference.userId))
+    });
+  }
+
+  /**
+   * Render the co-organizers of a ride with a remove button for each of them.
+   * @param {import('grammy').Context} ctx
+   * @param {'reply'|'edit'} mode
+   * @param {Object} ride
+   * @returns {Promise<void>}
+   */
+  async showCoOrganizers(ctx, mode, ride) {
+    const coOrganizers = getCoOrganizers(ride);
+    const text = [
+      `<b>${this.translate(ctx, 'commands.coOrganizers.title')}</b>`,
+      `${escapeHtml(ride.title)} (#${ride.id})`,
+      '',
+      coOrganizers.length > 0
+        ? coOrganizers.map(coOrganizer => `• ${this.messageFormatter.formatParticipant(coOrganizer)}`).join('\n')
+        : this.translate(ctx, 'commands.coOrganizers.none'),
+      '',
+      this.translate(ctx, 'commands.coOrganizers.hint'),
+      this.translate(ctx, 'commands.coOrganizers.usage', { id: ride.id })
+    ].join('\n');
+
+    const keyboard = new InlineKeyboard();
+    coOrganizers.forEach(coOrganizer => {
+      keyboard
+        .text(
+          this.translate(ctx, 'commands.coOrganizers.removeButton', { name: this.getParticipantButtonName(coOrganizer) }),
+          `leaders:remove:${ride.id}:${coOrganizer.userId}`
+        )
+        .row();
+    });
+
+    const options = { parse_mode: 'HTML', reply_markup: keyboard };
+    if (mode === 'edit') {
+      await this.editMessageTextIgnoringNotModified(ctx, text, options);
+      return;
+    }
+
+    await ctx.reply(text, options);
+  }
+}
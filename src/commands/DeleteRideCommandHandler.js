@@ -1,5 +1,7 @@
 import { BaseCommandHandler } from './BaseCommandHandler.js';
 import { InlineKeyboard } from 'grammy';
+import { config } from '../config.js';
+import { t } from '../i18n/index.js';
 
 /**
  * Handler for the deleteride command
@@ -115,6 +117,7 @@ export class DeleteRideCommandHandler extends BaseCommandHandler {
 
   /**
    * Delete tracked ride messages, keeping count of deleted and unavailable ones.
+   * Bots cannot delete messages sent in inline mode, so those are replaced with a notice.
    */
   async deleteTrackedMessages(ctx, messages) {
     let deletedCount = 0;
@@ -122,7 +125,15 @@ export class DeleteRideCommandHandler extends BaseCommandHandler {
 
     for (const message of messages) {
       try {
-        await ctx.api.deleteMessage(message.chatId, message.messageId);
+        if (message.inlineMessageId) {
+          const notice = t(message.language || ctx.lang, 'commands.delete.inlineMessageNotice', {}, {
+            fallbackLanguage: config.i18n.fallbackLanguage,
+            withMissingMarker: config.isDev
+          });
+          await ctx.api.editMessageTextInline(message.inlineMessageId, notice);
+        } else {
+          await ctx.api.deleteMessage(message.chatId, message.messageId);
+        }
         deletedCount++;
       } catch (error) {
         removedCount++;
@@ -71,12 +71,17 @@ export class DuplicateRideCommandHandler extends BaseCommandHandler {
       category: ride.category,
       organizer: ride.organizer,
       datetime: tomorrow,
+      timezone: ride.timezone ?? null,
       meetingPoint: ride.meetingPoint,
+      meetingPointLocation: ride.meetingPointLocation,
       routes: getRideRoutes(ride),
+      routeFile: ride.routeFile,
       distance: ride.distance,
+      elevation: ride.elevation,
       duration: ride.duration,
       speedMin: ride.speedMin,
       speedMax: ride.speedMax,
+      maxParticipants: ride.maxParticipants,
       additionalInfo: ride.additionalInfo,
       settings: SettingsService.getRideSettingsSnapshot(ride)
     };
@@ -0,0 +1,141 @@
+import { InputFile } from 'grammy';
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { parseRideSearch } from '../utils/ride-search-parser.js';
+import { PARTICIPANT_EXPORT_FORMATS, formatParticipantsExport } from '../utils/participant-export.js';
+
+/**
+ * Most rides exported at once for a date range
+ */
+const MAX_EXPORTED_RIDES = 200;
+
+/**
+ * Handler for /exportparticipants: sends the participants of a ride, or of the user's rides matching
+ * /findrides criteria such as a date range, as a CSV or JSON document. The Export owner button sends
+ * the CSV file of its ride.
+ */
+export class ExportParticipantsCommandHandler extends BaseCommandHandler {
+  /**
+   * Handle the /exportparticipants command
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handle(ctx) {
+    const [commandLine, ...criteriaLines] = ctx.message.text.split('\n');
+    const args = commandLine.trim().split(/\s+/).slice(1);
+    const format = args.map(arg => arg.toLowerCase()).find(arg => PARTICIPANT_EXPORT_FORMATS.includes(arg))
+      || PARTICIPANT_EXPORT_FORMATS[0];
+    const rideReference = args.find(arg => !PARTICIPANT_EXPORT_FORMATS.includes(arg.toLowerCase()));
+
+    if (!rideReference && criteriaLines.some(line => line.trim())) {
+      await this.exportRange(ctx, criteriaLines, format);
+      return;
+    }
+
+    if (!rideReference && !ctx.message.reply_to_message) {
+      await ctx.reply(this.translate(ctx, 'commands.exportParticipants.usage'), { parse_mode: 'HTML' });
+      return;
+    }
+
+    const { ride, error } = await this.loadManagedRide(ctx, rideReference);
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    await this.sendExport(ctx, [ride], format, `participants-${ride.id}`, this.translate(ctx, 'commands.exportParticipants.rideCaption', {
+      title: ride.title
+    }));
+  }
+
+  /**
+   * Handle the Export owner button
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleCallback(ctx) {
+    const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.common.onlyManagerAction', 'callback');
+    if (error) {
+      await this.replyOrAnswerCallback(ctx, 'callback', error);
+      return;
+    }
+
+    await ctx.answerCallbackQuery();
+    await this.sendExport(ctx, [ride], PARTICIPANT_EXPORT_FORMATS[0], `participants-${ride.id}`, this.translate(ctx, 'commands.exportParticipants.rideCaption', {
+      title: ride.title
+    }));
+  }
+
+  /**
+   * Load the ride named after the command, or the ride message replied to, if the user may manage it.
+   * The format argument must not be taken for a ride ID, so the reply is read without the arguments.
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {string|undefined} rideReference - "#rideId" or "rideId"
+   * @returns {Promise<{ride: Object|null, error: string|null}>}
+   */
+  async loadManagedRide(ctx, rideReference) {
+    const { rideId, error } = rideReference
+      ? { rideId: rideReference.replace(/^#/, ''), error: null }
+      : this.rideMessagesService.extractRideId({ ...ctx.message, text: '/exportparticipants' }, { language: ctx.lang });
+    if (error) {
+      return { ride: null, error };
+    }
+
+    const result = await this.getRideById(ctx, rideId);
+    if (result.ride && !await this.isRideManager(result.ride, ctx.from.id)) {
+      return { ride: null, error: this.translate(ctx, 'commands.common.onlyManagerAction') };
+    }
+    return result;
+  }
+
+  /**
+   * Export the participants of the user's rides matching search criteria
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {string[]} criteriaLines - `param: value` lines as in /findrides
+   * @param {'csv'|'json'} format
+   */
+  async exportRange(ctx, criteriaLines, format) {
+    const [timezone, units] = await Promise.all([
+      this.rideService.getDefaultRideTimezone(ctx.from.id),
+      this.rideService.getInputUnits(ctx.from.id)
+    ]);
+    const { query, error } = parseRideSearch(['/exportparticipants', ...criteriaLines].join('\n'), {
+      language: ctx.lang,
+      timezone,
+      units
+    });
+    if (error) {
+      await ctx.reply(error, { parse_mode: 'HTML' });
+      return;
+    }
+
+    try {
+      const { rides, total } = await this.rideService.searchRides({ ...query, createdBy: ctx.from.id }, 0, MAX_EXPORTED_RIDES);
+      if (rides.length === 0) {
+        await ctx.reply(this.translate(ctx, 'commands.exportParticipants.noRides'));
+        return;
+      }
+
+      const captionKey = total > rides.length ? 'commands.exportParticipants.rangeCaptionTruncated' : 'commands.exportParticipants.rangeCaption';
+      await this.sendExport(ctx, rides, format, 'participants', this.translate(ctx, captionKey, { count: rides.length, total }));
+    } catch (error) {
+      console.error('Error searching rides to export:', error);
+      await ctx.reply(this.translate(ctx, 'commands.exportParticipants.error'));
+    }
+  }
+
+  /**
+   * Send the participants of rides as a document
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {import('../storage/interface.js').Ride[]} rides
+   * @param {'csv'|'json'} format
+   * @param {string} fileName - File name without the extension
+   * @param {string} caption
+   */
+  async sendExport(ctx, rides, format, fileName, caption) {
+    try {
+      const content = formatParticipantsExport(rides, format);
+      await ctx.replyWithDocument(new InputFile(Buffer.from(content, 'utf8'), `${fileName}.${format}`), { caption });
+    } catch (error) {
+      console.error('Error sending participants export:', error);
+      await ctx.reply(this.translate(ctx, 'commands.exportParticipants.error'));
+    }
+  }
+}
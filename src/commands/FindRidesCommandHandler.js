@@ -0,0 +1,108 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { InlineKeyboard } from 'grammy';
+import { parseRideSearch } from '../utils/ride-search-parser.js';
+
+/**
+ * Handler for /findrides: searches the user's rides by category, date window, distance, speed,
+ * text and cancelled state. The results reply to the search message, so page buttons read the
+ * criteria from it again instead of carrying them in the callback data.
+ */
+export class FindRidesCommandHandler extends BaseCommandHandler {
+  /**
+   * Handle the /findrides command
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handle(ctx) {
+    const { query, error } = await this.parseSearch(ctx, ctx.message.text);
+    if (error) {
+      await ctx.reply(error, { parse_mode: 'HTML' });
+      return;
+    }
+    if (!query) {
+      await ctx.reply(this.translate(ctx, 'commands.findRides.usage'), { parse_mode: 'HTML' });
+      return;
+    }
+
+    await this.showResults(ctx, query, 1, ctx.message.message_id);
+  }
+
+  /**
+   * Handle callback query for result navigation
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleCallback(ctx) {
+    const page = parseInt(ctx.match[1]);
+    const searchText = ctx.callbackQuery.message?.reply_to_message?.text;
+    const { query } = searchText ? await this.parseSearch(ctx, searchText) : {};
+    if (!query) {
+      await ctx.answerCallbackQuery(this.translate(ctx, 'commands.findRides.expired'));
+      return;
+    }
+
+    await this.showResults(ctx, query, page);
+    await ctx.answerCallbackQuery();
+  }
+
+  /**
+   * Parse the search criteria of a search message, limited to the rides of the user
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {string} text - Search message text
+   * @returns {Promise<{query: import('../storage/interface.js').RideSearchQuery|null, error?: string}>} - No query without criteria
+   */
+  async parseSearch(ctx, text) {
+    const [timezone, units] = await Promise.all([
+      this.rideService.getDefaultRideTimezone(ctx.from.id),
+      this.rideService.getInputUnits(ctx.from.id)
+    ]);
+    const { query, error } = parseRideSearch(text, { language: ctx.lang, timezone, units });
+    if (error || Object.keys(query).length === 0) {
+      return { query: null, error };
+    }
+
+    return { query: { ...query, createdBy: ctx.from.id } };
+  }
+
+  /**
+   * Show a page of search results
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {import('../storage/interface.js').RideSearchQuery} query
+   * @param {number} page - Page number
+   * @param {number|null} [replyToMessageId] - Search message to reply to; the message is edited when omitted
+   */
+  async showResults(ctx, query, page, replyToMessageId = null) {
+    try {
+      const limit = 5; // Number of rides per page
+      const skip = (page - 1) * limit;
+      const { rides, total } = await this.rideService.searchRides(query, skip, limit);
+
+      const totalPages = Math.max(1, Math.ceil(total / limit));
+      const message = this.messageFormatter.formatRidesList(rides, page, totalPages, {
+        title: this.translate(ctx, 'commands.findRides.title', { total }),
+        emptyMessage: this.translate(ctx, 'commands.findRides.noResults')
+      });
+
+      const keyboard = new InlineKeyboard();
+      if (page > 1) {
+        keyboard.text(this.translate(ctx, 'buttons.previous'), `findrides:${page - 1}`);
+      }
+      if (page < totalPages) {
+        keyboard.text(this.translate(ctx, 'buttons.next'), `findrides:${page + 1}`);
+      }
+      const hasButtons = keyboard.inline_keyboard.some(row => row.length > 0);
+
+      const options = {
+        parse_mode: 'HTML',
+        reply_markup: hasButtons ? keyboard : undefined
+      };
+
+      if (replyToMessageId) {
+        await ctx.reply(message, { ...options, reply_parameters: { message_id: replyToMessageId } });
+      } else {
+        await this.editMessageTextIgnoringNotModified(ctx, message, options);
+      }
+    } catch (error) {
+      console.error('Error searching rides:', error);
+      await ctx.reply(this.translate(ctx, 'commands.findRides.error'));
+    }
+  }
+}
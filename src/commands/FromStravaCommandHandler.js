@@ -51,7 +51,7 @@ export class FromStravaCommandHandler extends BaseCommandHandler {
     if (existing) {
       // Update existing ride
       const { updatedBy, ...fieldsToUpdate } = { ...rideData, updatedBy: ctx.from.id };
-      const updatedRide = await this.storage.updateRide(existing.id, { ...fieldsToUpdate, updatedBy });
+      const updatedRide = await this.rideService.updateRide(existing.id, { ...fieldsToUpdate, updatedBy });
       await this.updateRideMessage(updatedRide, ctx);
       await ctx.reply(this.translate(ctx, 'commands.fromStrava.updated'));
     } else {
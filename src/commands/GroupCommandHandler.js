@@ -53,7 +53,7 @@ export class GroupCommandHandler extends BaseCommandHandler {
       return;
     }
 
-    if (!this.isRideCreator(ride, ctx.from.id)) {
+    if (!await this.isRideManager(ride, ctx.from.id)) {
       await ctx.reply(this.translate(ctx, 'commands.group.notCreator'));
       return;
     }
@@ -106,7 +106,7 @@ export class GroupCommandHandler extends BaseCommandHandler {
 
     // Rename the group (best-effort)
     try {
-      const dateStr = DateParser.formatDateForChatTitle(ride.date, ctx.lang);
+      const dateStr = DateParser.formatDateForChatTitle(ride.date, ctx.lang, ride.timezone);
       const chatTitle = this.translate(ctx, 'commands.group.chatTitle', { title: ride.title, date: dateStr })
         .slice(0, 255);
       await ctx.api.setChatTitle(groupId, chatTitle);
@@ -204,9 +204,9 @@ export class GroupCommandHandler extends BaseCommandHandler {
       return;
     }
 
-    // Allow ride creator or a group admin to detach
-    const isCreator = this.isRideCreator(ride, ctx.from.id);
-    if (!isCreator) {
+    // Allow ride creator, a co-organizer or a group admin to detach
+    const isManager = await this.isRideManager(ride, ctx.from.id);
+    if (!isManager) {
       let callerMember;
       try {
         callerMember = await ctx.api.getChatMember(groupId, ctx.from.id);
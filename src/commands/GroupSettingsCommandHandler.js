@@ -0,0 +1,198 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { getSupportedLanguages, t } from '../i18n/index.js';
+import { DateParser } from '../utils/date-parser.js';
+import { escapeHtml } from '../utils/html-escape.js';
+import { isValidUnitSystem, resolveUnitSystem } from '../utils/unit-utils.js';
+
+const RESET_VALUES = ['default', 'off'];
+
+/**
+ * Handler for /groupsettings: chat-level preferences of a group, changeable by its admins.
+ * /groupsettings shows the settings; /groupsettings <setting> <value> changes one of them:
+ * language (en, ru, default), timezone (IANA name, default), units (metric, imperial, default),
+ * topic (here, off) and shares (on, off).
+ */
+export class GroupSettingsCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/SettingsService.js').SettingsService} settingsService
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, settingsService) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.settingsService = settingsService;
+  }
+
+  /**
+   * Handle the /groupsettings command
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handle(ctx) {
+    if (ctx.chat?.type === 'private') {
+      await ctx.reply(this.translate(ctx, 'commands.group.notInGroup'));
+      return;
+    }
+
+    if (!await this.isChatAdmin(ctx)) {
+      await ctx.reply(this.translate(ctx, 'commands.groupSettings.notAdmin'));
+      return;
+    }
+
+    const [, setting, value] = ctx.message.text.split('\n')[0].trim().split(/\s+/);
+
+    try {
+      if (!setting) {
+        await this.showSettings(ctx);
+        return;
+      }
+
+      const { patch, error } = this.parseSetting(ctx, setting.toLowerCase(), value);
+      if (error) {
+        await ctx.reply(error, { parse_mode: 'HTML' });
+        return;
+      }
+
+      await this.settingsService.updateGroupSettings(ctx.chat.id, patch);
+      await this.showSettings(ctx, this.translate(ctx, 'commands.groupSettings.updated'));
+    } catch (error) {
+      console.error('Error handling group settings:', error);
+      await ctx.reply(this.translate(ctx, 'commands.groupSettings.error'));
+    }
+  }
+
+  /**
+   * Check whether the sender is an admin of the current chat.
+   * Messages from anonymous admins are sent on behalf of the chat itself.
+   * @param {import('grammy').Context} ctx
+   * @returns {Promise<boolean>}
+   */
+  async isChatAdmin(ctx) {
+    if (ctx.message?.sender_chat?.id === ctx.chat.id) {
+      return true;
+    }
+
+    try {
+      const member = await ctx.api.getChatMember(ctx.chat.id, ctx.from.id);
+      return member?.status === 'administrator' || member?.status === 'creator';
+    } catch (error) {
+      console.error('GroupSettingsCommandHandler: failed to check admin status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Turn a setting and its value from the command into a settings patch.
+   * @param {import('grammy').Context} ctx
+   * @param {string} setting
+   * @param {string} [value]
+   * @returns {{patch: Object|null, error: string|null}}
+   */
+  parseSetting(ctx, setting, value) {
+    const normalizedValue = value?.toLowerCase();
+    const invalid = () => ({ patch: null, error: this.buildUsage(ctx) });
+
+    switch (setting) {
+      case 'language':
+        if (RESET_VALUES.includes(normalizedValue)) {
+          return { patch: { language: null }, error: null };
+        }
+        if (!getSupportedLanguages().includes(normalizedValue)) {
+          return invalid();
+        }
+        return { patch: { language: normalizedValue }, error: null };
+
+      case 'timezone':
+        if (RESET_VALUES.includes(normalizedValue)) {
+          return { patch: { timezone: null }, error: null };
+        }
+        if (!DateParser.isValidTimezone(value)) {
+          return {
+            patch: null,
+            error: this.translate(ctx, 'commands.groupSettings.invalidTimezone', { timezone: escapeHtml(value || '') })
+          };
+        }
+        return { patch: { timezone: value }, error: null };
+
+      case 'units':
+        if (RESET_VALUES.includes(normalizedValue)) {
+          return { patch: { units: null }, error: null };
+        }
+        if (!isValidUnitSystem(normalizedValue)) {
+          return invalid();
+        }
+        return { patch: { units: normalizedValue }, error: null };
+
+      case 'topic':
+        if (RESET_VALUES.includes(normalizedValue)) {
+          return { patch: { defaultThreadId: null }, error: null };
+        }
+        if (normalizedValue !== 'here') {
+          return invalid();
+        }
+        if (!ctx.message.is_topic_message || !ctx.message.message_thread_id) {
+          return { patch: null, error: this.translate(ctx, 'commands.groupSettings.topicOutsideTopic') };
+        }
+        return { patch: { defaultThreadId: ctx.message.message_thread_id }, error: null };
+
+      case 'shares':
+        if (normalizedValue !== 'on' && normalizedValue !== 'off') {
+          return invalid();
+        }
+        return { patch: { allowMemberShares: normalizedValue === 'on' }, error: null };
+
+      default:
+        return invalid();
+    }
+  }
+
+  /**
+   * Reply with the current settings of the chat
+   * @param {import('grammy').Context} ctx
+   * @param {string} [header] - Line shown above the settings
+   */
+  async showSettings(ctx, header) {
+    const settings = await this.settingsService.getGroupSettings(ctx.chat.id);
+    const lines = [
+      `<b>${this.translate(ctx, 'commands.groupSettings.title')}</b>`,
+      '',
+      this.translate(ctx, 'commands.groupSettings.languageLine', {
+        value: settings.language
+          ? t(settings.language, 'commands.language.nativeName')
+          : this.translate(ctx, 'commands.groupSettings.languageDefault')
+      }),
+      this.translate(ctx, 'commands.groupSettings.timezoneLine', {
+        value: settings.timezone
+          ? escapeHtml(settings.timezone)
+          : this.translate(ctx, 'commands.groupSettings.timezoneDefault')
+      }),
+      this.translate(ctx, 'commands.groupSettings.unitsLine', {
+        value: this.translate(ctx, `commands.units.${resolveUnitSystem(settings.units)}`)
+      }),
+      this.translate(ctx, 'commands.groupSettings.topicLine', {
+        value: settings.defaultThreadId
+          ? this.translate(ctx, 'commands.groupSettings.topicSet', { id: settings.defaultThreadId })
+          : this.translate(ctx, 'commands.groupSettings.topicDefault')
+      }),
+      this.translate(ctx, 'commands.groupSettings.sharesLine', {
+        value: this.translate(ctx, settings.allowMemberShares ? 'common.yes' : 'common.no')
+      }),
+      '',
+      this.buildUsage(ctx)
+    ];
+
+    if (header) {
+      lines.unshift(header, '');
+    }
+
+    await ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @returns {string}
+   */
+  buildUsage(ctx) {
+    return this.translate(ctx, 'commands.groupSettings.usage', { languages: getSupportedLanguages().join('|') });
+  }
+}
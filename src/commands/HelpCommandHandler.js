@@ -10,7 +10,7 @@ export class HelpCommandHandler extends BaseCommandHandler {
    * @param {import('grammy').Context} ctx - Grammy context
    */
   async handle(ctx) {
-    const helpParts = ['templates.help1', 'templates.help2', 'templates.help3'];
+    const helpParts = ['templates.help1', 'templates.help2', 'templates.help3', 'templates.help4'];
 
     for (const key of helpParts) {
       const text = ctx.t(key);
@@ -0,0 +1,68 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+
+/**
+ * Handler for inline mode: typing the bot's username in any chat lists the user's upcoming rides,
+ * and picking one posts the ride message with the participation buttons there, without the bot
+ * being a member of the chat. Posted messages are tracked from the chosen inline results.
+ */
+export class InlineShareHandler extends BaseCommandHandler {
+  /**
+   * Answer an inline query with the rides the user may post
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleInlineQuery(ctx) {
+    try {
+      const rides = await this.rideService.getRidesToShare(ctx.from.id, ctx.inlineQuery.query);
+      const results = rides.map(ride => this.buildResult(ctx, ride));
+
+      // Results depend on the user, so they must not be shared between users or cached
+      await ctx.answerInlineQuery(results, { cache_time: 0, is_personal: true });
+    } catch (error) {
+      console.error('Error answering inline query:', error);
+      await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+    }
+  }
+
+  /**
+   * Track the message posted from a chosen inline result
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleChosenResult(ctx) {
+    const { result_id: rideId, inline_message_id: inlineMessageId } = ctx.chosenInlineResult;
+    // Telegram only reports the message ID of results with an inline keyboard
+    if (!inlineMessageId) {
+      return;
+    }
+
+    try {
+      const ride = await this.rideService.getRide(rideId);
+      if (ride) {
+        await this.rideMessagesService.trackInlineMessage(ride, inlineMessageId, ctx.lang);
+      }
+    } catch (error) {
+      console.error('Error tracking inline ride message:', error);
+    }
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {Object} ride
+   * @returns {Object} - Inline query result of type article
+   */
+  buildResult(ctx, ride) {
+    const { message, keyboard, parseMode } = this.rideMessagesService.formatInlineRideMessage(ride, ctx.lang);
+    const details = [this.messageFormatter.formatRideDateTime(ride, ctx.lang), ride.meetingPoint].filter(Boolean);
+
+    return {
+      type: 'article',
+      id: ride.id,
+      title: ride.title,
+      description: details.join(' · '),
+      input_message_content: {
+        message_text: message,
+        parse_mode: parseMode
+      },
+      reply_markup: keyboard
+    };
+  }
+}
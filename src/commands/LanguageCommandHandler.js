@@ -0,0 +1,102 @@
+import { InlineKeyboard } from 'grammy';
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { UserProfile } from '../models/UserProfile.js';
+import { getSupportedLanguages, t } from '../i18n/index.js';
+import { resolveUserLanguage, setContextLanguage } from '../middleware/i18nMiddleware.js';
+
+const AUTO_LANGUAGE = 'auto';
+
+/**
+ * Handler for the /language command: shows the interface language and lets the user change it.
+ */
+export class LanguageCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/SettingsService.js').SettingsService} settingsService
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, settingsService) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.settingsService = settingsService;
+  }
+
+  /**
+   * Handle the /language command.
+   * @param {import('grammy').Context} ctx
+   */
+  async handle(ctx) {
+    const storedLanguage = await this.settingsService.getUserLanguage(ctx.from.id);
+    await ctx.reply(this.buildText(ctx, storedLanguage), {
+      parse_mode: 'HTML',
+      reply_markup: this.buildKeyboard(ctx, storedLanguage)
+    });
+  }
+
+  /**
+   * Handle a language button press.
+   * @param {import('grammy').Context} ctx
+   */
+  async handleCallback(ctx) {
+    const choice = ctx.match?.[1];
+    if (choice !== AUTO_LANGUAGE && !getSupportedLanguages().includes(choice)) {
+      await ctx.answerCallbackQuery(this.translate(ctx, 'errors.generic'));
+      return;
+    }
+
+    const storedLanguage = choice === AUTO_LANGUAGE ? null : choice;
+    await this.settingsService.updateUserLanguage(UserProfile.fromTelegramUser(ctx.from), storedLanguage);
+
+    // Answer in the new language right away
+    setContextLanguage(ctx, resolveUserLanguage(storedLanguage, ctx.from.language_code));
+
+    await this.editMessageTextIgnoringNotModified(ctx, this.buildText(ctx, storedLanguage), {
+      parse_mode: 'HTML',
+      reply_markup: this.buildKeyboard(ctx, storedLanguage)
+    });
+    await ctx.answerCallbackQuery(this.translate(ctx, 'commands.language.updated'));
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string|null} storedLanguage
+   * @returns {string}
+   */
+  buildText(ctx, storedLanguage) {
+    const current = storedLanguage
+      ? this.getLanguageName(storedLanguage)
+      : this.translate(ctx, 'commands.language.automatic', { language: this.getLanguageName(ctx.lang) });
+
+    return [
+      `<b>${this.translate(ctx, 'commands.language.title')}</b>`,
+      '',
+      this.translate(ctx, 'commands.language.current', { language: current }),
+      this.translate(ctx, 'commands.language.hint')
+    ].join('\n');
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string|null} storedLanguage
+   * @returns {InlineKeyboard}
+   */
+  buildKeyboard(ctx, storedLanguage) {
+    const keyboard = new InlineKeyboard();
+    for (const language of getSupportedLanguages()) {
+      const label = this.getLanguageName(language);
+      keyboard.text(language === storedLanguage ? `✅ ${label}` : label, `language:${language}`).row();
+    }
+
+    const autoLabel = this.translate(ctx, 'commands.language.automaticButton');
+    return keyboard.text(storedLanguage ? autoLabel : `✅ ${autoLabel}`, `language:${AUTO_LANGUAGE}`);
+  }
+
+  /**
+   * Name of a language in that language, so users can find theirs in any interface language.
+   * @param {string} language
+   * @returns {string}
+   */
+  getLanguageName(language) {
+    return t(language, 'commands.language.nativeName');
+  }
+}
@@ -1,5 +1,7 @@
 import { BaseCommandHandler } from './BaseCommandHandler.js';
 import { escapeHtml } from '../utils/html-escape.js';
+import { PARTICIPATION_STATES, createEmptyParticipation, hasParticipantLimit } from '../utils/participation-utils.js';
+import { getAttendanceStatus } from '../utils/attendance-utils.js';
 
 /**
  * Handler for the listparticipants command
@@ -39,7 +41,7 @@ export class ListParticipantsCommandHandler extends BaseCommandHandler {
    * Handle owner action callback for listing participants.
    */
   async handleCallback(ctx) {
-    const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.common.onlyCreatorAction', 'callback');
+    const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.common.onlyManagerAction', 'callback');
 
     if (error) {
       await this.replyOrAnswerCallback(ctx, 'callback', error);
@@ -52,56 +54,98 @@ export class ListParticipantsCommandHandler extends BaseCommandHandler {
 
   /**
    * Send the formatted participants list for a loaded ride.
+   * Ride managers also see whether riders showed up, on this ride and over all rides.
    */
   async showParticipants(ctx, ride) {
-    await ctx.reply(this.buildParticipantsMessage(ctx, ride), { parse_mode: 'HTML' });
+    const attendanceHistory = await this.isRideManager(ride, ctx.from.id)
+      ? await this.rideService.getAttendanceHistory(
+        PARTICIPATION_STATES.flatMap(state => (ride.participation?.[state] || []).map(participant => participant.userId))
+      )
+      : null;
+    await ctx.reply(this.buildParticipantsMessage(ctx, ride, attendanceHistory), { parse_mode: 'HTML' });
   }
 
   /**
    * Build the participants list message body.
+   * @param {import('grammy').Context} ctx
+   * @param {Object} ride
+   * @param {Map<number, {attended: number, noShow: number}>|null} [attendanceHistory] - Attendance of the riders, for ride managers
    */
-  buildParticipantsMessage(ctx, ride) {
-    const participation = ride.participation || { joined: [], thinking: [], skipped: [] };
+  buildParticipantsMessage(ctx, ride, attendanceHistory = null) {
+    const participation = { ...createEmptyParticipation(), ...(ride.participation || {}) };
+    const describeAttendance = attendanceHistory
+      ? participant => this.formatAttendance(ctx, ride, participant.userId, attendanceHistory.get(participant.userId))
+      : null;
     const joinedCount = participation.joined.length;
     const thinkingCount = participation.thinking.length;
     const skippedCount = participation.skipped.length;
-    const totalCount = joinedCount + thinkingCount + skippedCount;
+    const waitlistCount = participation.waitlist.length;
+    const totalCount = joinedCount + thinkingCount + skippedCount + waitlistCount;
 
     let message = `👥 <b>${this.translate(ctx, 'commands.listParticipants.allParticipantsTitle', {
       title: escapeHtml(ride.title),
       total: totalCount
     })}</b>\n\n`;
 
-    message += `🚴 <b>${this.translate(ctx, 'commands.listParticipants.joinedLabel', { count: joinedCount })}:</b>\n`;
+    const joinedLabelCount = hasParticipantLimit(ride) ? `${joinedCount}/${ride.maxParticipants}` : joinedCount;
+    message += `🚴 <b>${this.translate(ctx, 'commands.listParticipants.joinedLabel', { count: joinedLabelCount })}:</b>\n`;
     if (joinedCount > 0) {
-      message += this.formatParticipantsByCategory(participation.joined);
+      message += this.formatParticipantsByCategory(participation.joined, describeAttendance);
     } else {
       message += this.translate(ctx, 'commands.listParticipants.noOneJoinedYet');
     }
 
     message += '\n\n';
 
+    if (waitlistCount > 0) {
+      message += `⏳ <b>${this.translate(ctx, 'commands.listParticipants.waitlistLabel', { count: waitlistCount })}:</b>\n`;
+      message += this.formatParticipantsByCategory(participation.waitlist, describeAttendance);
+      message += '\n\n';
+    }
+
     if (thinkingCount > 0) {
       message += `🤔 <b>${this.translate(ctx, 'commands.listParticipants.thinkingLabel', { count: thinkingCount })}:</b>\n`;
-      message += this.formatParticipantsByCategory(participation.thinking);
+      message += this.formatParticipantsByCategory(participation.thinking, describeAttendance);
       message += '\n\n';
     }
 
     if (skippedCount > 0) {
       message += `🙅 <b>${this.translate(ctx, 'commands.listParticipants.notInterestedLabel', { count: skippedCount })}:</b>\n`;
-      message += this.formatParticipantsByCategory(participation.skipped);
+      message += this.formatParticipantsByCategory(participation.skipped, describeAttendance);
       message += '\n\n';
     }
 
+    if (attendanceHistory && (attendanceHistory.size > 0 || (ride.attendance || []).length > 0)) {
+      message += this.translate(ctx, 'commands.listParticipants.attendanceLegend');
+    }
+
     return message.trim();
   }
 
+  /**
+   * Attendance mark of a rider on this ride, followed by their attendance over all rides.
+   * @param {import('grammy').Context} ctx
+   * @param {Object} ride
+   * @param {number} userId
+   * @param {{attended: number, noShow: number}|undefined} history
+   * @returns {string}
+   */
+  formatAttendance(ctx, ride, userId, history) {
+    const status = getAttendanceStatus(ride, userId);
+    let text = status ? ` ${status === 'attended' ? '✅' : '🚫'}` : '';
+    if (history) {
+      text += ` — ${this.translate(ctx, 'commands.listParticipants.attendanceHistory', history)}`;
+    }
+    return text;
+  }
+
   /**
    * Format participants by category without truncation
    * @param {Array} participants - List of participants
+   * @param {(participant: Object) => string} [describeAttendance] - Text added after each name
    * @returns {string} - Formatted participants list
    */
-  formatParticipantsByCategory(participants) {
+  formatParticipantsByCategory(participants, describeAttendance = null) {
     if (participants.length === 0) {
       return '';
     }
@@ -109,7 +153,7 @@ export class ListParticipantsCommandHandler extends BaseCommandHandler {
     return participants
       .map((participant, index) => {
         const displayName = this.messageFormatter.formatParticipant(participant);
-        return `${index + 1}. ${displayName}`;
+        return `${index + 1}. ${displayName}${describeAttendance ? describeAttendance(participant) : ''}`;
       })
       .join('\n');
   }
@@ -1,10 +1,23 @@
 import { BaseCommandHandler } from './BaseCommandHandler.js';
 import { InlineKeyboard } from 'grammy';
+import { hasClubRole } from '../utils/club-utils.js';
 
 /**
- * Handler for the listrides command
+ * Handler for the listrides command.
+ * Besides the user's own rides it offers a view of the rides of each club the user is a member of.
  */
 export class ListRidesCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/ClubService.js').ClubService|null} [clubService] - Adds the club views
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, clubService = null) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.clubService = clubService;
+  }
+
   /**
    * Handle the listrides command
    * @param {import('grammy').Context} ctx - Grammy context
@@ -24,6 +37,17 @@ export class ListRidesCommandHandler extends BaseCommandHandler {
     await ctx.answerCallbackQuery();
   }
 
+  /**
+   * Handle callback query for the rides of a club
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleClubCallback(ctx) {
+    const clubId = ctx.match[1];
+    const page = parseInt(ctx.match[2]);
+    await this.showClubRidesList(ctx, clubId, page);
+    await ctx.answerCallbackQuery();
+  }
+
   /**
    * Show the rides list
    * @param {import('grammy').Context} ctx - Grammy context
@@ -54,6 +78,12 @@ export class ListRidesCommandHandler extends BaseCommandHandler {
       keyboard.text(ctx.t('buttons.next'), `list:${page + 1}`);
     }
     
+    // One button per club of the user opens the club's rides
+    const clubs = this.clubService ? await this.clubService.getClubsForUser(ctx.from.id) : [];
+    for (const club of clubs) {
+      keyboard.row().text(ctx.t('commands.club.ridesButton', { name: club.name }), `listclub:${club.id}:1`);
+    }
+
     // Check if keyboard has any buttons
     const hasButtons = keyboard.inline_keyboard.some(row => row.length > 0);
     
@@ -68,4 +98,39 @@ export class ListRidesCommandHandler extends BaseCommandHandler {
       await ctx.reply(message, options);
     }
   }
+
+  /**
+   * Show the rides of a club by editing the list message. Only members of the club can see them.
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {string} clubId
+   * @param {number} page - Page number
+   */
+  async showClubRidesList(ctx, clubId, page) {
+    const club = await this.clubService.getClub(clubId);
+    if (!hasClubRole(club, ctx.from.id)) {
+      await ctx.editMessageText(ctx.t('commands.club.notMember'));
+      return;
+    }
+
+    const limit = 5; // Number of rides per page
+    const skip = (page - 1) * limit;
+    const { rides, total } = await this.clubService.getClubRides(club.id, skip, limit);
+
+    const totalPages = Math.max(1, Math.ceil(total / limit));
+    const message = this.messageFormatter.formatRidesList(rides, page, totalPages, {
+      title: ctx.t('commands.club.ridesTitle', { name: club.name }),
+      emptyMessage: ctx.t('commands.club.noRides')
+    });
+
+    const keyboard = new InlineKeyboard();
+    if (page > 1) {
+      keyboard.text(ctx.t('buttons.previous'), `listclub:${club.id}:${page - 1}`);
+    }
+    if (page < totalPages) {
+      keyboard.text(ctx.t('buttons.next'), `listclub:${club.id}:${page + 1}`);
+    }
+    keyboard.row().text(ctx.t('buttons.back'), 'list:1');
+
+    await ctx.editMessageText(message, { parse_mode: 'HTML', reply_markup: keyboard });
+  }
 }
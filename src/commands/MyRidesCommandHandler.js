@@ -0,0 +1,174 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { InlineKeyboard } from 'grammy';
+import { UserProfile } from '../models/UserProfile.js';
+
+/**
+ * Participation states and time range listed on each tab of /myrides.
+ * Riders on the waitlist said "I'm in" to a full ride, so they are listed with the joined rides.
+ */
+const TABS = Object.freeze({
+  joined: { states: ['joined', 'waitlist'], past: false },
+  thinking: { states: ['thinking'], past: false },
+  past: { states: ['joined'], past: true }
+});
+
+/**
+ * Buttons offered for the rides of each upcoming tab: every answer except the one the rider already gave.
+ */
+const TAB_ACTIONS = Object.freeze({
+  joined: [['thinking', 'buttons.thinking'], ['skipped', 'buttons.pass']],
+  thinking: [['joined', 'buttons.join'], ['skipped', 'buttons.pass']]
+});
+
+const PAGE_SIZE = 5;
+
+/**
+ * Handler for /myrides: the rides a user joined or is thinking about, and their past rides,
+ * with buttons to change the answer to each upcoming ride.
+ */
+export class MyRidesCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/RideParticipationService.js').RideParticipationService} rideParticipationService
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, rideParticipationService) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.rideParticipationService = rideParticipationService;
+  }
+
+  /**
+   * Handle the /myrides command
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handle(ctx) {
+    await this.showMyRides(ctx, 'joined', 1);
+  }
+
+  /**
+   * Handle callback query for tabs and list navigation
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleCallback(ctx) {
+    const [, tab, page] = ctx.match;
+    await this.showMyRides(ctx, tab, parseInt(page), true);
+    await ctx.answerCallbackQuery();
+  }
+
+  /**
+   * Handle callback query changing the answer to a ride from the list
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleParticipationCallback(ctx) {
+    const [, state, rideId, tab, page] = ctx.match;
+
+    try {
+      const result = await this.rideParticipationService.changeParticipation({
+        rideId,
+        participantProfile: UserProfile.fromTelegramUser(ctx.from),
+        targetState: state,
+        language: ctx.lang,
+        api: ctx.api
+      });
+
+      if (result.status === 'changed') {
+        await this.updateRideMessage(result.ride, ctx);
+      }
+      await ctx.answerCallbackQuery(this.buildParticipationFeedback(ctx, result));
+    } catch (error) {
+      console.error(`Error updating participation to ${state}:`, error);
+      await ctx.answerCallbackQuery(this.translate(ctx, 'commands.participation.genericError'));
+      return;
+    }
+
+    await this.showMyRides(ctx, tab, parseInt(page), true);
+  }
+
+  /**
+   * Show one page of a /myrides tab
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {'joined'|'thinking'|'past'} tab
+   * @param {number} page - Page number
+   * @param {boolean} isEdit - Whether to edit the message or send a new one
+   */
+  async showMyRides(ctx, tab, page, isEdit = false) {
+    try {
+      const { states, past } = TABS[tab];
+      const { rides, total } = await this.rideService.getRidesByParticipant(
+        ctx.from.id,
+        states,
+        past,
+        (page - 1) * PAGE_SIZE,
+        PAGE_SIZE
+      );
+
+      // A ride may have moved to another tab, leaving the last page empty
+      const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+      if (page > totalPages) {
+        await this.showMyRides(ctx, tab, totalPages, isEdit);
+        return;
+      }
+
+      const { timezone } = await this.rideMessagesService.getChatPreferences(ctx.from.id);
+      const message = this.messageFormatter.formatMyRidesList(rides, page, totalPages, {
+        tab,
+        userId: ctx.from.id,
+        lang: ctx.lang,
+        timezone
+      });
+      const options = {
+        parse_mode: 'HTML',
+        reply_markup: this.buildKeyboard(ctx, tab, page, totalPages, rides)
+      };
+
+      if (isEdit) {
+        await this.editMessageTextIgnoringNotModified(ctx, message, options);
+      } else {
+        await ctx.reply(message, options);
+      }
+    } catch (error) {
+      console.error('Error listing rides of a participant:', error);
+      await ctx.reply(this.translate(ctx, 'commands.myRides.error'));
+    }
+  }
+
+  /**
+   * Tabs, answer buttons for each listed ride that can still be answered, and page navigation.
+   * @param {import('grammy').Context} ctx
+   * @param {string} tab
+   * @param {number} page
+   * @param {number} totalPages
+   * @param {Object[]} rides
+   * @returns {InlineKeyboard}
+   */
+  buildKeyboard(ctx, tab, page, totalPages, rides) {
+    const keyboard = new InlineKeyboard();
+    for (const tabName of Object.keys(TABS)) {
+      const label = this.translate(ctx, `commands.myRides.tabs.${tabName}`);
+      keyboard.text(tabName === tab ? `✅ ${label}` : label, `myrides:${tabName}:1`);
+    }
+
+    rides.forEach((ride, index) => {
+      if (!TAB_ACTIONS[tab] || ride.cancelled) {
+        return;
+      }
+      keyboard.row();
+      for (const [state, labelKey] of TAB_ACTIONS[tab]) {
+        keyboard.text(`${index + 1}. ${this.translate(ctx, labelKey)}`, `myrides:set:${state}:${ride.id}:${tab}:${page}`);
+      }
+    });
+
+    if (totalPages > 1) {
+      keyboard.row();
+      if (page > 1) {
+        keyboard.text(this.translate(ctx, 'buttons.previous'), `myrides:${tab}:${page - 1}`);
+      }
+      if (page < totalPages) {
+        keyboard.text(this.translate(ctx, 'buttons.next'), `myrides:${tab}:${page + 1}`);
+      }
+    }
+
+    return keyboard;
+  }
+}
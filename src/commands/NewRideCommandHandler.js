@@ -1,8 +1,10 @@
 import { BaseCommandHandler } from './BaseCommandHandler.js';
 import { UserProfile } from '../models/UserProfile.js';
+import { RouteParser } from '../utils/route-parser.js';
+import { isGpxDocument } from '../utils/gpx-parser.js';
 
 /**
- * Handler for the newride command
+ * Handler for the newride command. The command can also be the caption of a GPX file, which becomes the ride's route.
  */
 export class NewRideCommandHandler extends BaseCommandHandler {
   /**
@@ -22,15 +24,31 @@ export class NewRideCommandHandler extends BaseCommandHandler {
    * @param {Object} prefillData - Optional data to prefill
    */
   async handle(ctx, prefillData = null) {
+    const text = ctx.message.text ?? ctx.message.caption ?? '';
+
+    let routeFile = null;
+    if (isGpxDocument(ctx.message.document)) {
+      const result = await RouteParser.processRouteFile(ctx.api, ctx.message.document, { language: ctx.lang });
+      if (result.error) {
+        await ctx.reply(result.error);
+        return;
+      }
+      routeFile = result.routeFile;
+    }
+
     // If parameters are provided, use the parameter-based approach
-    if (ctx.message.text.includes('\n')) {
-      const { params, hasUnknownParams } = await this.parseRideParams(ctx, ctx.message.text);
+    if (text.includes('\n')) {
+      const { params, hasUnknownParams } = await this.parseRideParams(ctx, text);
       if (hasUnknownParams) return;
       
-      return this.handleWithParams(ctx, params);
+      return this.handleWithParams(ctx, params, routeFile);
     }
 
-    // Otherwise start the wizard
+    // Otherwise start the wizard, with the route file and what it fills in
+    if (routeFile) {
+      prefillData = { ...prefillData };
+      this.rideService.applyRouteFile(prefillData, routeFile);
+    }
     await this.wizard.startWizard(ctx, prefillData);
   }
 
@@ -38,12 +56,15 @@ export class NewRideCommandHandler extends BaseCommandHandler {
    * Handle the newride command with parameters
    * @param {import('grammy').Context} ctx - Grammy context
    * @param {Object} params - Command parameters
+   * @param {import('../storage/interface.js').RouteFile|null} [routeFile] - GPX file sent with the command
    */
-  async handleWithParams(ctx, params) {
+  async handleWithParams(ctx, params, routeFile = null) {
     const creatorProfile = UserProfile.fromTelegramUser(ctx.from);
-    const { ride, error } = ctx.lang
-      ? await this.rideService.createRideFromParams(params, ctx.chat.id, creatorProfile, { language: ctx.lang })
-      : await this.rideService.createRideFromParams(params, ctx.chat.id, creatorProfile);
+    const options = ctx.lang ? { language: ctx.lang } : {};
+    if (routeFile) {
+      options.routeFile = routeFile;
+    }
+    const { ride, error } = await this.rideService.createRideFromParams(params, ctx.chat.id, creatorProfile, options);
 
     if (error) {
       await ctx.reply(error);
@@ -69,15 +69,22 @@ export class ParticipationHandlers extends BaseCommandHandler {
       }
 
       if (result.status === 'changed') {
-        const result2 = await this.updateRideMessage(result.ride, ctx);
+        // Track the message clicked when it was sent in inline mode and Telegram did not report it
+        const inlineMessageId = ctx.callbackQuery?.inline_message_id;
+        const ride = inlineMessageId
+          ? await this.rideMessagesService.trackInlineMessage(result.ride, inlineMessageId, ctx.lang)
+          : result.ride;
+        const result2 = await this.updateRideMessage(ride, ctx);
         
         if (result2.success) {
-          await ctx.answerCallbackQuery(successMessage);
+          await ctx.answerCallbackQuery(result.resultState === 'waitlist'
+            ? this.translate(ctx, 'commands.participation.waitlistSuccess')
+            : successMessage);
         } else {
           await ctx.answerCallbackQuery(this.translate(ctx, 'commands.participation.updatedButMessageFailed'));
         }
       } else {
-        const stateLabel = this.translate(ctx, `commands.participation.states.${state}`);
+        const stateLabel = this.translate(ctx, `commands.participation.states.${result.resultState || state}`);
         await ctx.answerCallbackQuery(this.translate(ctx, 'commands.participation.alreadyInState', { state: stateLabel }));
       }
     } catch (error) {
@@ -0,0 +1,36 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { escapeHtml } from '../utils/html-escape.js';
+
+/**
+ * Handler for /refreshroute #rideId: the ride creator reads the ride's routes again from their providers,
+ * skipping the route metadata cache, e.g. after editing the route on Strava or Komoot.
+ */
+export class RefreshRouteCommandHandler extends BaseCommandHandler {
+  /**
+   * Handle the /refreshroute command.
+   * @param {import('grammy').Context} ctx
+   */
+  async handle(ctx) {
+    const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.refreshRoute.onlyCreator');
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    try {
+      const result = await this.rideService.refreshRouteMetadata(ride, ctx.from.id);
+      if (!result.success) {
+        await ctx.reply(this.translate(ctx, `commands.refreshRoute.${result.reason}`));
+        return;
+      }
+
+      await ctx.reply(this.translate(ctx, 'commands.refreshRoute.refreshed', {
+        title: escapeHtml(ride.title)
+      }), { parse_mode: 'HTML' });
+      await this.updateRideMessage(result.ride, ctx);
+    } catch (error) {
+      console.error('Error refreshing route metadata:', error);
+      await ctx.reply(this.translate(ctx, 'commands.refreshRoute.error'));
+    }
+  }
+}
@@ -0,0 +1,259 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { DateParser } from '../utils/date-parser.js';
+import { escapeHtml } from '../utils/html-escape.js';
+import { describeRecurrenceRule, parseRecurrenceRule } from '../utils/recurrence-utils.js';
+import { SERIES_STATUSES } from '../services/RideSeriesService.js';
+import { config } from '../config.js';
+
+const SERIES_PARAM_KEYS = ['repeat', 'until', 'count'];
+
+/**
+ * Handler for /repeatride and /series commands.
+ * /repeatride sets the recurrence rule of a ride, /series shows and manages the series.
+ */
+export class RideSeriesCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/RideSeriesService.js').RideSeriesService} rideSeriesService
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, rideSeriesService) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.rideSeriesService = rideSeriesService;
+  }
+
+  /**
+   * Handle /repeatride #rideId with repeat/until/count parameters
+   * @param {import('grammy').Context} ctx
+   */
+  async handleRepeat(ctx) {
+    const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.series.onlyCreator');
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    const { params, unknownParams } = this.parseSeriesParams(ctx.message.text);
+    if (unknownParams.length > 0) {
+      await ctx.reply(
+        `${this.translate(ctx, 'commands.common.unknownParameters', { params: unknownParams.join(', ') })}\n\n` +
+        this.translate(ctx, 'commands.series.repeatUsage'),
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+
+    if (!params.repeat) {
+      const series = await this.rideSeriesService.getSeriesForRide(ride);
+      if (series) {
+        await this.replyWithStatus(ctx, series, ride.timezone);
+      } else {
+        await ctx.reply(this.translate(ctx, 'commands.series.repeatUsage'), { parse_mode: 'HTML' });
+      }
+      return;
+    }
+
+    const { recurrence, error: recurrenceError } = this.parseRecurrence(ctx, params, ride.timezone);
+    if (recurrenceError) {
+      await ctx.reply(recurrenceError);
+      return;
+    }
+
+    const series = await this.rideSeriesService.setRecurrence(ride, recurrence);
+    await ctx.reply(this.translate(ctx, 'commands.series.created', {
+      id: ride.id,
+      rule: describeRecurrenceRule(series.rule, ctx.lang),
+      daysAhead: config.rideSeries.daysAhead
+    }));
+    await this.replyWithStatus(ctx, series, ride.timezone);
+  }
+
+  /**
+   * Handle /series #rideId [pause|resume|skip DATE|end]
+   * @param {import('grammy').Context} ctx
+   */
+  async handleSeries(ctx) {
+    const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.series.onlyCreator');
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    const series = await this.rideSeriesService.getSeriesForRide(ride);
+    if (!series) {
+      await ctx.reply(this.translate(ctx, 'commands.series.notInSeries', { id: ride.id }));
+      return;
+    }
+
+    const [action, ...args] = this.getActionTokens(ctx.message.text);
+    switch (action) {
+      case undefined:
+        await this.replyWithStatus(ctx, series, ride.timezone);
+        return;
+      case 'pause':
+        await this.changeStatus(ctx, series, SERIES_STATUSES.ACTIVE, SERIES_STATUSES.PAUSED, 'notActive', 'paused');
+        return;
+      case 'resume':
+        await this.changeStatus(ctx, series, SERIES_STATUSES.PAUSED, SERIES_STATUSES.ACTIVE, 'notPaused', 'resumed');
+        return;
+      case 'end':
+        await this.changeStatus(ctx, series, null, SERIES_STATUSES.ENDED, 'alreadyEnded', 'ended');
+        return;
+      case 'skip':
+        await this.skipDate(ctx, series, args.join(' '), ride.timezone);
+        return;
+      default:
+        await ctx.reply(this.translate(ctx, 'commands.series.seriesUsage'), { parse_mode: 'HTML' });
+    }
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {Object} series
+   * @param {string|null} requiredStatus - Status the series must have, or null for any status except ended
+   * @param {string} nextStatus
+   * @param {string} rejectKey - commands.series.* key used when the series is in the wrong status
+   * @param {string} successKey - commands.series.* key used on success
+   */
+  async changeStatus(ctx, series, requiredStatus, nextStatus, rejectKey, successKey) {
+    const allowed = requiredStatus
+      ? series.status === requiredStatus
+      : series.status !== SERIES_STATUSES.ENDED;
+    if (!allowed) {
+      const key = series.status === SERIES_STATUSES.ENDED ? 'alreadyEnded' : rejectKey;
+      await ctx.reply(this.translate(ctx, `commands.series.${key}`));
+      return;
+    }
+
+    await this.rideSeriesService.setStatus(series.id, nextStatus);
+    await ctx.reply(this.translate(ctx, `commands.series.${successKey}`));
+  }
+
+  async skipDate(ctx, series, dateText, timezone = null) {
+    if (series.status === SERIES_STATUSES.ENDED) {
+      await ctx.reply(this.translate(ctx, 'commands.series.alreadyEnded'));
+      return;
+    }
+
+    const parsed = dateText ? DateParser.parseDateTime(dateText, { language: ctx.lang, timezone }) : null;
+    if (!parsed) {
+      await ctx.reply(this.translate(ctx, 'commands.series.invalidSkipDate'), { parse_mode: 'HTML' });
+      return;
+    }
+
+    const { dateKey, alreadyCreated } = await this.rideSeriesService.skipDate(series, parsed.date, timezone);
+    const key = alreadyCreated ? 'commands.series.skipAlreadyCreated' : 'commands.series.skipped';
+    await ctx.reply(this.translate(ctx, key, { date: dateKey }));
+  }
+
+  /**
+   * Reply with the rule, status and next date of a series.
+   * @param {import('grammy').Context} ctx
+   * @param {Object} series
+   * @param {string|null} [timezone] - Timezone of the series rides
+   */
+  async replyWithStatus(ctx, series, timezone = null) {
+    const lines = [
+      this.translate(ctx, 'commands.series.statusTitle'),
+      this.translate(ctx, 'commands.series.ruleLine', { rule: escapeHtml(describeRecurrenceRule(series.rule, ctx.lang)) }),
+      this.translate(ctx, 'commands.series.statusLine', {
+        status: this.translate(ctx, `commands.series.statuses.${series.status}`)
+      })
+    ];
+
+    if (series.until) {
+      lines.push(this.translate(ctx, 'commands.series.untilLine', { date: this.formatDate(series.until, ctx.lang, timezone) }));
+    }
+    lines.push(series.count
+      ? this.translate(ctx, 'commands.series.countLine', { occurrences: series.occurrences, count: series.count })
+      : this.translate(ctx, 'commands.series.occurrencesLine', { occurrences: series.occurrences }));
+
+    const nextDate = await this.rideSeriesService.getNextScheduledDate(series);
+    if (nextDate) {
+      const { date, time } = DateParser.formatDateTime(nextDate, ctx.lang, timezone);
+      lines.push(this.translate(ctx, 'commands.series.nextLine', { date: `${date}, ${time}` }));
+    }
+
+    if (series.skipDates.length > 0) {
+      lines.push(this.translate(ctx, 'commands.series.skipLine', { dates: series.skipDates.join(', ') }));
+    }
+
+    await ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
+  }
+
+  formatDate(date, language, timezone = null) {
+    return DateParser.formatDateTime(new Date(date), language, timezone).date;
+  }
+
+  /**
+   * Parse repeat/until/count values into a recurrence object.
+   * @param {import('grammy').Context} ctx
+   * @param {{repeat: string, until?: string, count?: string}} params
+   * @param {string|null} [timezone] - Timezone of the ride
+   * @returns {{recurrence: Object|null, error: string|null}}
+   */
+  parseRecurrence(ctx, params, timezone = null) {
+    const { rule, error } = parseRecurrenceRule(params.repeat, { language: ctx.lang });
+    if (error) {
+      return { recurrence: null, error };
+    }
+
+    let until = null;
+    if (params.until) {
+      const parsedUntil = DateParser.parseDateTime(params.until, { language: ctx.lang, timezone });
+      if (!parsedUntil) {
+        return { recurrence: null, error: this.translate(ctx, 'commands.series.invalidUntil') };
+      }
+      until = parsedUntil.date;
+    }
+
+    let count = null;
+    if (params.count) {
+      count = /^\d+$/.test(params.count) ? parseInt(params.count, 10) : NaN;
+      if (!(count >= 2)) {
+        return { recurrence: null, error: this.translate(ctx, 'commands.series.invalidCount') };
+      }
+    }
+
+    return { recurrence: { rule, until, count }, error: null };
+  }
+
+  /**
+   * Parse "key: value" lines that follow the command line.
+   * @param {string} text
+   * @returns {{params: Object, unknownParams: string[]}}
+   */
+  parseSeriesParams(text) {
+    const params = {};
+    const unknownParams = [];
+
+    for (const line of text.split('\n').slice(1)) {
+      if (!line.trim()) continue;
+      const match = line.match(/^\s*(\w+)\s*:\s*(.+)$/);
+      const key = match?.[1].toLowerCase();
+      if (key && SERIES_PARAM_KEYS.includes(key)) {
+        params[key] = match[2].trim();
+      } else {
+        unknownParams.push(match ? match[1] : line.trim());
+      }
+    }
+
+    return { params, unknownParams };
+  }
+
+  /**
+   * Get the words that follow the ride ID on the command line.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  getActionTokens(text) {
+    const firstLine = text.split('\n')[0];
+    const tail = firstLine.replace(/^\/\w+(@\w+)?(\s+#?\w+)?/, '').trim();
+    if (!tail) {
+      return [];
+    }
+    const [action, ...args] = tail.split(/\s+/);
+    return [action.toLowerCase(), ...args];
+  }
+}
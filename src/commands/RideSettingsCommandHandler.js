@@ -3,10 +3,13 @@ import { InlineKeyboard } from 'grammy';
 import { UserProfile } from '../models/UserProfile.js';
 import { escapeHtml } from '../utils/html-escape.js';
 import { SettingsService } from '../services/SettingsService.js';
+import { formatReminderOffset } from '../services/ReminderService.js';
+import { config } from '../config.js';
 
 const BOOLEAN_SETTING_CALLBACK_KEYS = {
   np: 'notifyParticipation',
-  repost: 'allowReposts'
+  repost: 'allowReposts',
+  loc: 'shareLocation'
 };
 
 /**
@@ -33,7 +36,7 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
   async handle(ctx) {
     const commandTail = (ctx.message?.text || '').split(/\s+/).slice(1).join(' ').trim();
     if (ctx.message?.reply_to_message || commandTail) {
-      const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.common.onlyCreatorAction');
+      const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.common.onlyManagerAction');
       if (error) {
         await ctx.reply(error);
         return;
@@ -50,9 +53,9 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
    * Handle owner action callback for ride settings button.
    */
   async handleCallback(ctx) {
-    const { ride, error } = await this.extractRideWithCreatorCheck(
+    const { ride, error } = await this.extractRideWithManagerCheck(
       ctx,
-      'commands.common.onlyCreatorAction',
+      'commands.common.onlyManagerAction',
       'callback'
     );
     if (error) {
@@ -104,9 +107,9 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
       return;
     }
 
-    const { ride, error } = await this.extractRideWithCreatorCheck(
+    const { ride, error } = await this.extractRideWithManagerCheck(
       ctx,
-      'commands.common.onlyCreatorAction',
+      'commands.common.onlyManagerAction',
       'callback',
       3
     );
@@ -129,6 +132,79 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
         },
         ctx.from.id
       );
+      // Posted ride messages get or lose their location messages
+      if (settingName === 'shareLocation') {
+        await this.updateRideMessage(rideToRender, ctx);
+      }
+    }
+
+    await this.showRideSettings(ctx, 'edit', rideToRender);
+    await ctx.answerCallbackQuery(this.translate(ctx, 'commands.settings.rideUpdated'));
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @returns {Promise<void>}
+   */
+  async handleUserReminderCallback(ctx) {
+    const offset = this.getReminderOffset(ctx.match?.[1]);
+    if (offset === null) {
+      await ctx.answerCallbackQuery(this.translate(ctx, 'errors.generic'));
+      return;
+    }
+
+    const currentDefaults = await this.settingsService.getUserRideDefaults(ctx.from.id);
+    const reminders = SettingsService.setReminderOffset(
+      currentDefaults.reminders,
+      offset,
+      this.parseBooleanCallbackValue(ctx.match?.[2])
+    );
+    let defaults = currentDefaults;
+
+    if (!this.sameReminders(currentDefaults.reminders, reminders)) {
+      const updatedUser = await this.settingsService.updateUserRideDefaults(
+        UserProfile.fromTelegramUser(ctx.from),
+        { reminders }
+      );
+      defaults = updatedUser.settings.rideDefaults;
+    }
+
+    await this.showUserSettings(ctx, 'edit', defaults);
+    await ctx.answerCallbackQuery(this.translate(ctx, 'commands.settings.updated'));
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @returns {Promise<void>}
+   */
+  async handleRideReminderCallback(ctx) {
+    const offset = this.getReminderOffset(ctx.match?.[1]);
+    if (offset === null) {
+      await ctx.answerCallbackQuery(this.translate(ctx, 'errors.generic'));
+      return;
+    }
+
+    const { ride, error } = await this.extractRideWithManagerCheck(
+      ctx,
+      'commands.common.onlyManagerAction',
+      'callback',
+      3
+    );
+    if (error) {
+      await ctx.answerCallbackQuery(error);
+      return;
+    }
+
+    const currentSettings = SettingsService.getRideSettingsSnapshot(ride);
+    const reminders = SettingsService.setReminderOffset(
+      currentSettings.reminders,
+      offset,
+      this.parseBooleanCallbackValue(ctx.match?.[2])
+    );
+    let rideToRender = ride;
+
+    if (!this.sameReminders(currentSettings.reminders, reminders)) {
+      rideToRender = await this.rideService.updateRide(ride.id, { settings: { reminders } }, ctx.from.id);
     }
 
     await this.showRideSettings(ctx, 'edit', rideToRender);
@@ -196,6 +272,8 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
       '',
       this.buildSettingLine(ctx, 'commands.settings.notifyParticipationLabel', defaults.notifyParticipation),
       this.buildSettingLine(ctx, 'commands.settings.allowRepostsLabel', defaults.allowReposts),
+      this.buildSettingLine(ctx, 'commands.settings.shareLocationLabel', defaults.shareLocation),
+      this.buildRemindersLine(ctx, defaults.reminders),
       this.translate(ctx, 'commands.settings.userHint')
     ].join('\n');
   }
@@ -206,7 +284,7 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
    * @returns {InlineKeyboard}
    */
   buildUserSettingsKeyboard(ctx, defaults) {
-    return new InlineKeyboard()
+    const keyboard = new InlineKeyboard()
       .text(
         this.getSettingToggleLabel(ctx, defaults.notifyParticipation, {
           enableKey: 'commands.settings.enableNotifyOnParticipationChange',
@@ -221,7 +299,17 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
           disableKey: 'commands.settings.disableReposts'
         }),
         `settings:user:bool:repost:${defaults.allowReposts ? 'off' : 'on'}`
-      );
+      )
+      .row()
+      .text(
+        this.getSettingToggleLabel(ctx, defaults.shareLocation, {
+          enableKey: 'commands.settings.enableShareLocation',
+          disableKey: 'commands.settings.disableShareLocation'
+        }),
+        `settings:user:bool:loc:${defaults.shareLocation ? 'off' : 'on'}`
+      )
+      .row();
+    return this.addReminderButtons(ctx, keyboard, defaults.reminders, 'settings:user:rem', '');
   }
 
   /**
@@ -237,6 +325,8 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
       '',
       this.buildSettingLine(ctx, 'commands.settings.notifyParticipationLabel', settings.notifyParticipation),
       this.buildSettingLine(ctx, 'commands.settings.allowRepostsLabel', settings.allowReposts),
+      this.buildSettingLine(ctx, 'commands.settings.shareLocationLabel', settings.shareLocation),
+      this.buildRemindersLine(ctx, settings.reminders),
       this.translate(ctx, 'commands.settings.rideHint')
     ].join('\n');
   }
@@ -248,7 +338,7 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
    * @returns {InlineKeyboard}
    */
   buildRideSettingsKeyboard(ctx, rideId, settings) {
-    return new InlineKeyboard()
+    const keyboard = new InlineKeyboard()
       .text(
         this.getSettingToggleLabel(ctx, settings.notifyParticipation, {
           enableKey: 'commands.settings.enableNotifyOnParticipationChange',
@@ -263,7 +353,72 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
           disableKey: 'commands.settings.disableReposts'
         }),
         `settings:ride:bool:repost:${settings.allowReposts ? 'off' : 'on'}:${rideId}`
+      )
+      .row()
+      .text(
+        this.getSettingToggleLabel(ctx, settings.shareLocation, {
+          enableKey: 'commands.settings.enableShareLocation',
+          disableKey: 'commands.settings.disableShareLocation'
+        }),
+        `settings:ride:bool:loc:${settings.shareLocation ? 'off' : 'on'}:${rideId}`
+      )
+      .row();
+    return this.addReminderButtons(ctx, keyboard, settings.reminders, 'settings:ride:rem', `:${rideId}`);
+  }
+
+  /**
+   * Add one checkbox-style button per configurable reminder offset.
+   *
+   * @param {import('grammy').Context} ctx
+   * @param {InlineKeyboard} keyboard
+   * @param {number[]} reminders - Enabled offsets
+   * @param {string} callbackPrefix
+   * @param {string} callbackSuffix
+   * @returns {InlineKeyboard}
+   */
+  addReminderButtons(ctx, keyboard, reminders, callbackPrefix, callbackSuffix) {
+    config.reminders.availableOffsets.forEach(offset => {
+      const enabled = reminders.includes(offset);
+      keyboard.text(
+        this.translate(
+          ctx,
+          enabled ? 'commands.settings.reminderEnabledButton' : 'commands.settings.reminderDisabledButton',
+          { offset: formatReminderOffset(offset, ctx.lang) }
+        ),
+        `${callbackPrefix}:${offset}:${enabled ? 'off' : 'on'}${callbackSuffix}`
       );
+    });
+    return keyboard;
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {number[]} reminders
+   * @returns {string}
+   */
+  buildRemindersLine(ctx, reminders) {
+    const value = reminders.length > 0
+      ? reminders.map(offset => formatReminderOffset(offset, ctx.lang)).join(', ')
+      : this.translate(ctx, 'commands.settings.remindersOff');
+    return `${this.translate(ctx, 'commands.settings.remindersLabel')}: <b>${value}</b>`;
+  }
+
+  /**
+   * @param {string} value
+   * @returns {number|null}
+   */
+  getReminderOffset(value) {
+    const offset = parseInt(value, 10);
+    return config.reminders.availableOffsets.includes(offset) ? offset : null;
+  }
+
+  /**
+   * @param {number[]} left
+   * @param {number[]} right
+   * @returns {boolean}
+   */
+  sameReminders(left, right) {
+    return left.length === right.length && left.every((value, index) => value === right[index]);
   }
 
   /**
@@ -276,7 +431,7 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
 
   /**
    * @param {string} callbackKey
-   * @returns {'notifyParticipation'|'allowReposts'|null}
+   * @returns {'notifyParticipation'|'allowReposts'|'shareLocation'|null}
    */
   getBooleanSettingName(callbackKey) {
     return BOOLEAN_SETTING_CALLBACK_KEYS[callbackKey] || null;
@@ -306,27 +461,4 @@ export class RideSettingsCommandHandler extends BaseCommandHandler {
       ? this.translate(ctx, keys.disableKey)
       : this.translate(ctx, keys.enableKey);
   }
-
-  /**
-   * @param {import('grammy').Context} ctx
-   * @param {string} text
-   * @param {Object} options
-   * @returns {Promise<void>}
-   */
-  async editMessageTextIgnoringNotModified(ctx, text, options) {
-    try {
-      await ctx.editMessageText(text, options);
-    } catch (error) {
-      const isNotModifiedError = error?.error_code === 400
-        && (
-          error?.description?.includes('message is not modified')
-          || error?.message?.includes('message is not modified')
-        );
-
-      if (isNotModifiedError) {
-        return;
-      }
-      throw error;
-    }
-  }
 }
@@ -47,7 +47,7 @@ export class RideStateChangeHandler extends BaseCommandHandler {
       return;
     }
 
-    if (!this.isRideCreator(ride, ctx.from.id)) {
+    if (!await this.isRideManager(ride, ctx.from.id)) {
       await this.replyOrAnswerCallback(ctx, mode, this.getCreatorOnlyMessage(ctx));
       return;
     }
@@ -10,9 +10,11 @@ export class ShareRideCommandHandler extends BaseCommandHandler {
    * @param {import('../services/RideService.js').RideService} rideService
    * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
    * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/SettingsService.js').SettingsService} [settingsService] - Source of group chat settings
    */
-  constructor(rideService, messageFormatter, rideMessagesService) {
+  constructor(rideService, messageFormatter, rideMessagesService, settingsService = null) {
     super(rideService, messageFormatter, rideMessagesService);
+    this.settingsService = settingsService;
   }
 
   /**
@@ -39,20 +41,29 @@ export class ShareRideCommandHandler extends BaseCommandHandler {
       }
 
       const rideSettings = SettingsService.getRideSettingsSnapshot(ride);
+      const isCreator = this.isRideCreator(ride, ctx.from.id);
 
       // Only allow non-creators to repost when the ride explicitly permits it.
-      if (!this.isRideCreator(ride, ctx.from.id) && !rideSettings.allowReposts) {
+      if (!isCreator && !rideSettings.allowReposts) {
         await ctx.reply(this.translate(ctx, 'commands.share.onlyCreatorRepost'));
         return;
       }
 
+      const groupSettings = await this.getGroupSettings(ctx);
+
+      // Group admins may restrict sharing in their group to ride creators.
+      if (!isCreator && groupSettings && !groupSettings.allowMemberShares) {
+        await ctx.reply(this.translate(ctx, 'commands.share.onlyCreatorInThisChat'));
+        return;
+      }
+
       if (ride.cancelled) {
         await ctx.reply(this.translate(ctx, 'commands.share.cannotRepostCancelled'));
         return;
       }
 
       const currentChatId = ctx.chat.id;
-      const currentThreadId = ctx.message.message_thread_id || null;
+      const currentThreadId = ctx.message.message_thread_id || groupSettings?.defaultThreadId || null;
 
       // Check if the ride is already posted in the current chat and topic
       if (ride.messages && ride.messages.some(msg => 
@@ -68,7 +79,7 @@ export class ShareRideCommandHandler extends BaseCommandHandler {
       }
 
       // Post the ride to the current chat
-      const result = await this.shareRideToChat(ride, ctx);
+      const result = await this.shareRideToChat(ride, ctx, currentThreadId);
       
       if (!result.success) {
         await ctx.reply(this.translate(ctx, 'commands.share.failedToPostWithError', { error: result.error }));
@@ -79,15 +90,28 @@ export class ShareRideCommandHandler extends BaseCommandHandler {
     }
   }
 
+  /**
+   * Settings of the current chat when it is a group
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @returns {Promise<Object|null>}
+   */
+  async getGroupSettings(ctx) {
+    if (!this.settingsService || ctx.chat?.type === 'private') {
+      return null;
+    }
+    return this.settingsService.getGroupSettings(ctx.chat.id);
+  }
+
   /**
    * Post a ride to the current chat
    * @param {Object} ride - Ride object
    * @param {import('grammy').Context} ctx - Grammy context
+   * @param {number|null} [messageThreadId] - Topic to post to, the topic of the command when omitted
    * @returns {Promise<{success: boolean, error: string|null}>} - Result
    */
-  async shareRideToChat(ride, ctx) {
+  async shareRideToChat(ride, ctx, messageThreadId = ctx.message?.message_thread_id) {
     try {
-      const result = await this.rideMessagesService.createRideMessage(ride, ctx, ctx.message?.message_thread_id);
+      const result = await this.rideMessagesService.createRideMessage(ride, ctx, messageThreadId);
       return { success: true };
     } catch (error) {
       console.error('Error posting ride to chat:', error);
@@ -1,16 +1,128 @@
 import { BaseCommandHandler } from './BaseCommandHandler.js';
-import { replaceBotUsername } from '../utils/botUtils.js';
+import { InlineKeyboard } from 'grammy';
+import { UserProfile } from '../models/UserProfile.js';
+import { escapeHtml } from '../utils/html-escape.js';
+import { parseRideStartPayload, replaceBotUsername } from '../utils/botUtils.js';
 
 /**
- * Handler for the start command
+ * Handler for the start command, including the ride deep links `t.me/<bot>?start=ride_<id>`,
+ * which show the ride, `t.me/<bot>?start=join_<id>`, which join it after a confirmation,
+ * and `t.me/<bot>?start=gpx_<id>`, which send its GPX file
  */
 export class StartCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/RideParticipationService.js').RideParticipationService} rideParticipationService
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, rideParticipationService) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.rideParticipationService = rideParticipationService;
+  }
+
   /**
    * Handle the start command
    * @param {import('grammy').Context} ctx - Grammy context
    */
   async handle(ctx) {
+    const deepLink = parseRideStartPayload(ctx.match);
+    if (deepLink) {
+      await this.handleRideLink(ctx, deepLink);
+      return;
+    }
+
     const startMessage = await replaceBotUsername(ctx.t('templates.start'), ctx);
     await ctx.reply(startMessage, { parse_mode: 'HTML' });
   }
+
+  /**
+   * Show the ride of a deep link, send its GPX file, or ask to confirm joining it.
+   * The ride message replaces the one an earlier link left in the chat.
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {{action: 'ride'|'join'|'gpx', rideId: string}} deepLink
+   */
+  async handleRideLink(ctx, { action, rideId }) {
+    try {
+      const ride = await this.rideService.getRide(rideId);
+      if (!ride) {
+        await ctx.reply(this.translate(ctx, 'commands.participation.rideNotFound'));
+        return;
+      }
+
+      if (action === 'ride') {
+        await this.rideMessagesService.replaceRideMessage(ride, ctx);
+        return;
+      }
+
+      if (action === 'gpx') {
+        await this.sendRouteFile(ctx, ride);
+        return;
+      }
+
+      if (ride.cancelled) {
+        await ctx.reply(this.translate(ctx, 'commands.participation.rideCancelled'));
+        return;
+      }
+
+      const { timezone } = await this.rideMessagesService.getChatPreferences(ctx.from.id);
+      const message = this.translate(ctx, 'commands.start.joinConfirm', {
+        title: escapeHtml(ride.title),
+        date: this.messageFormatter.formatRideDateTime(ride, ctx.lang, timezone)
+      });
+      const keyboard = new InlineKeyboard().text(this.translate(ctx, 'buttons.join'), `startjoin:${ride.id}`);
+      await ctx.reply(message, { parse_mode: 'HTML', reply_markup: keyboard });
+    } catch (error) {
+      console.error('Error opening ride deep link:', error);
+      await ctx.reply(this.translate(ctx, 'commands.participation.genericError'));
+    }
+  }
+
+  /**
+   * Send the GPX file of a ride again by its Telegram file ID
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {Object} ride
+   */
+  async sendRouteFile(ctx, ride) {
+    if (!ride.routeFile) {
+      await ctx.reply(this.translate(ctx, 'commands.start.routeFileMissing'));
+      return;
+    }
+
+    await ctx.replyWithDocument(ride.routeFile.fileId, {
+      caption: this.translate(ctx, 'commands.start.routeFileCaption', { title: escapeHtml(ride.title) }),
+      parse_mode: 'HTML'
+    });
+  }
+
+  /**
+   * Handle the confirmation of joining a ride from a deep link.
+   * The confirmation is replaced with the outcome, and a joined rider gets the ride message,
+   * in place of one an earlier link left in the chat.
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleJoinCallback(ctx) {
+    const rideId = ctx.match[1];
+
+    try {
+      const result = await this.rideParticipationService.changeParticipation({
+        rideId,
+        participantProfile: UserProfile.fromTelegramUser(ctx.from),
+        targetState: 'joined',
+        language: ctx.lang,
+        api: ctx.api
+      });
+
+      await this.editMessageTextIgnoringNotModified(ctx, this.buildParticipationFeedback(ctx, result), {});
+      await ctx.answerCallbackQuery();
+
+      if (result.status === 'changed') {
+        await this.updateRideMessage(result.ride, ctx);
+        await this.rideMessagesService.replaceRideMessage(result.ride, ctx);
+      }
+    } catch (error) {
+      console.error('Error joining ride from deep link:', error);
+      await ctx.answerCallbackQuery(this.translate(ctx, 'commands.participation.genericError'));
+    }
+  }
 }
@@ -0,0 +1,79 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { UserProfile } from '../models/UserProfile.js';
+import { DateParser } from '../utils/date-parser.js';
+import { escapeHtml } from '../utils/html-escape.js';
+
+const RESET_VALUES = ['default', 'off'];
+
+/**
+ * Handler for the /timezone command: shows and changes the user's home timezone.
+ * New rides of the user take place in it, and ride messages in private chat show the local time.
+ */
+export class TimezoneCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/SettingsService.js').SettingsService} settingsService
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, settingsService) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.settingsService = settingsService;
+  }
+
+  /**
+   * Handle the /timezone command.
+   * @param {import('grammy').Context} ctx
+   */
+  async handle(ctx) {
+    const [, value] = ctx.message.text.split('\n')[0].trim().split(/\s+/);
+
+    try {
+      if (!value) {
+        const timezone = await this.settingsService.getUserTimezone(ctx.from.id);
+        await ctx.reply(this.buildText(ctx, timezone), { parse_mode: 'HTML' });
+        return;
+      }
+
+      const timezone = RESET_VALUES.includes(value.toLowerCase()) ? null : value;
+      if (timezone && !DateParser.isValidTimezone(timezone)) {
+        await ctx.reply(this.translate(ctx, 'commands.timezone.invalid', { timezone: escapeHtml(timezone) }), { parse_mode: 'HTML' });
+        return;
+      }
+
+      await this.settingsService.updateUserTimezone(UserProfile.fromTelegramUser(ctx.from), timezone);
+      await ctx.reply(
+        `${this.translate(ctx, 'commands.timezone.updated')}\n\n${this.buildText(ctx, timezone)}`,
+        { parse_mode: 'HTML' }
+      );
+    } catch (error) {
+      console.error('Error handling timezone command:', error);
+      await ctx.reply(this.translate(ctx, 'commands.timezone.error'));
+    }
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string|null} timezone - The user's home timezone
+   * @returns {string}
+   */
+  buildText(ctx, timezone) {
+    const effectiveTimezone = DateParser.resolveTimezone(timezone);
+    const current = timezone
+      ? escapeHtml(timezone)
+      : this.translate(ctx, 'commands.timezone.default', {
+        timezone: effectiveTimezone
+          ? escapeHtml(effectiveTimezone)
+          : this.translate(ctx, 'commands.timezone.serverTime')
+      });
+
+    return [
+      `<b>${this.translate(ctx, 'commands.timezone.title')}</b>`,
+      '',
+      this.translate(ctx, 'commands.timezone.current', { timezone: current }),
+      this.translate(ctx, 'commands.timezone.hint'),
+      '',
+      this.translate(ctx, 'commands.timezone.usage')
+    ].join('\n');
+  }
+}
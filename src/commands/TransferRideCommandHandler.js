@@ -0,0 +1,75 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { UserProfile } from '../models/UserProfile.js';
+import { escapeHtml } from '../utils/html-escape.js';
+
+/**
+ * Handler for /transferride #rideId @username: the ride creator hands the ride over to one of its riders.
+ * Participants, posted messages, the attached group and settings stay with the ride; the owner buttons move to the new creator.
+ */
+export class TransferRideCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/NotificationService.js').NotificationService|null} [notificationService] - Tells the new creator about the transfer
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, notificationService = null) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Handle the /transferride command.
+   * @param {import('grammy').Context} ctx
+   */
+  async handle(ctx) {
+    const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.transfer.onlyCreator');
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    const reference = this.parseRiderReference(ctx.message.text);
+    if (!reference) {
+      await ctx.reply(this.translate(ctx, 'commands.transfer.usage', { id: ride.id }), { parse_mode: 'HTML' });
+      return;
+    }
+
+    try {
+      const previousCreator = UserProfile.fromTelegramUser(ctx.from);
+      const result = await this.rideService.transferRide(ride, reference, previousCreator);
+      if (!result.success) {
+        await ctx.reply(this.buildTransferErrorMessage(ctx, reference, result.reason), { parse_mode: 'HTML' });
+        return;
+      }
+
+      await ctx.reply(this.translate(ctx, 'commands.transfer.transferred', {
+        name: this.messageFormatter.formatParticipant(result.newCreator),
+        title: escapeHtml(ride.title)
+      }), { parse_mode: 'HTML' });
+      await this.updateRideMessage(result.ride, ctx);
+
+      if (this.notificationService) {
+        await this.notificationService.scheduleRideTransferNotification(result.ride, previousCreator);
+      }
+    } catch (error) {
+      console.error('Error transferring ride:', error);
+      await ctx.reply(this.translate(ctx, 'commands.transfer.error'));
+    }
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {{userId?: number, username?: string}} reference
+   * @param {'notParticipant'|'creator'} reason
+   * @returns {string}
+   */
+  buildTransferErrorMessage(ctx, reference, reason) {
+    if (reason === 'creator') {
+      return this.translate(ctx, 'commands.transfer.creator');
+    }
+    return this.translate(ctx, 'commands.transfer.notParticipant', {
+      user: escapeHtml(reference.username ? `@${reference.username}` : String(reference.userId))
+    });
+  }
+}
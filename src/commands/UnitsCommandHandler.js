@@ -0,0 +1,72 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { UserProfile } from '../models/UserProfile.js';
+import { isValidUnitSystem, resolveUnitSystem } from '../utils/unit-utils.js';
+
+const RESET_VALUES = ['default', 'off'];
+
+/**
+ * Handler for the /units command: shows and changes the user's unit system.
+ * Ride messages in private chat and the wizard use it, and numbers typed without a unit are read in it.
+ */
+export class UnitsCommandHandler extends BaseCommandHandler {
+  /**
+   * @param {import('../services/RideService.js').RideService} rideService
+   * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('../services/SettingsService.js').SettingsService} settingsService
+   */
+  constructor(rideService, messageFormatter, rideMessagesService, settingsService) {
+    super(rideService, messageFormatter, rideMessagesService);
+    this.settingsService = settingsService;
+  }
+
+  /**
+   * Handle the /units command.
+   * @param {import('grammy').Context} ctx
+   */
+  async handle(ctx) {
+    const [, value] = ctx.message.text.split('\n')[0].trim().split(/\s+/);
+
+    try {
+      if (!value) {
+        const units = await this.settingsService.getUserUnits(ctx.from.id);
+        await ctx.reply(this.buildText(ctx, units), { parse_mode: 'HTML' });
+        return;
+      }
+
+      const normalizedValue = value.toLowerCase();
+      const units = RESET_VALUES.includes(normalizedValue) ? null : normalizedValue;
+      if (units && !isValidUnitSystem(units)) {
+        await ctx.reply(this.translate(ctx, 'commands.units.usage'), { parse_mode: 'HTML' });
+        return;
+      }
+
+      await this.settingsService.updateUserUnits(UserProfile.fromTelegramUser(ctx.from), units);
+      await ctx.reply(
+        `${this.translate(ctx, 'commands.units.updated')}\n\n${this.buildText(ctx, units)}`,
+        { parse_mode: 'HTML' }
+      );
+    } catch (error) {
+      console.error('Error handling units command:', error);
+      await ctx.reply(this.translate(ctx, 'commands.units.error'));
+    }
+  }
+
+  /**
+   * @param {import('grammy').Context} ctx
+   * @param {string|null} units - The user's unit system
+   * @returns {string}
+   */
+  buildText(ctx, units) {
+    return [
+      `<b>${this.translate(ctx, 'commands.units.title')}</b>`,
+      '',
+      this.translate(ctx, 'commands.units.current', {
+        units: this.translate(ctx, `commands.units.${resolveUnitSystem(units)}`)
+      }),
+      this.translate(ctx, 'commands.units.hint'),
+      '',
+      this.translate(ctx, 'commands.units.usage')
+    ].join('\n');
+  }
+}
@@ -0,0 +1,79 @@
+import { BaseCommandHandler } from './BaseCommandHandler.js';
+import { InlineKeyboard } from 'grammy';
+import { t } from '../i18n/index.js';
+import { config } from '../config.js';
+
+/**
+ * Handler for /upcoming: rides of the current chat that have not started yet, soonest first.
+ * A ride belongs to the chat when it was posted there or the chat is its attached group.
+ * The list is shown in the group's language and local time from /groupsettings.
+ */
+export class UpcomingRidesCommandHandler extends BaseCommandHandler {
+  /**
+   * Handle the /upcoming command
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handle(ctx) {
+    await this.showUpcomingRides(ctx, 1);
+  }
+
+  /**
+   * Handle callback query for list navigation
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleCallback(ctx) {
+    const page = parseInt(ctx.match[1]);
+    await this.showUpcomingRides(ctx, page, true);
+    await ctx.answerCallbackQuery();
+  }
+
+  /**
+   * Show the upcoming rides of the chat
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {number} page - Page number
+   * @param {boolean} isEdit - Whether to edit the message or send a new one
+   */
+  async showUpcomingRides(ctx, page, isEdit = false) {
+    const preferences = await this.rideMessagesService.getChatPreferences(ctx.chat.id);
+    const language = preferences.language || ctx.lang || config.i18n.defaultLanguage;
+    const translate = (key, params = {}) => t(language, key, params, { fallbackLanguage: config.i18n.fallbackLanguage });
+
+    try {
+      const limit = 5; // Number of rides per page
+      const skip = (page - 1) * limit;
+      const { rides, total } = await this.rideService.getUpcomingRidesForChat(ctx.chat.id, skip, limit);
+
+      const totalPages = Math.max(1, Math.ceil(total / limit));
+      const message = this.messageFormatter.formatUpcomingRidesList(rides, page, totalPages, {
+        chatId: ctx.chat.id,
+        chatUsername: ctx.chat.username || null,
+        lang: language,
+        timezone: preferences.timezone
+      });
+
+      const keyboard = new InlineKeyboard();
+      if (page > 1) {
+        keyboard.text(translate('buttons.previous'), `upcoming:${page - 1}`);
+      }
+      if (page < totalPages) {
+        keyboard.text(translate('buttons.next'), `upcoming:${page + 1}`);
+      }
+      const hasButtons = keyboard.inline_keyboard.some(row => row.length > 0);
+
+      const options = {
+        parse_mode: 'HTML',
+        link_preview_options: { is_disabled: true },
+        reply_markup: hasButtons ? keyboard : undefined
+      };
+
+      if (isEdit) {
+        await ctx.editMessageText(message, options);
+      } else {
+        await ctx.reply(message, options);
+      }
+    } catch (error) {
+      console.error('Error listing upcoming rides:', error);
+      await ctx.reply(translate('commands.upcoming.error'));
+    }
+  }
+}
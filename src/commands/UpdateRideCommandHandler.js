@@ -1,9 +1,10 @@
 import { BaseCommandHandler } from './BaseCommandHandler.js';
 import { DEFAULT_CATEGORY } from '../utils/category-utils.js';
 import { getRideRoutes } from '../utils/route-links.js';
+import { getMeetingPointFromMessage } from '../utils/meeting-point.js';
 
 /**
- * Handler for the updateride command
+ * Handler for the updateride command. Sent as a reply to a location or venue, it moves the meeting point there.
  */
 export class UpdateRideCommandHandler extends BaseCommandHandler {
   /**
@@ -22,7 +23,7 @@ export class UpdateRideCommandHandler extends BaseCommandHandler {
    * @param {import('grammy').Context} ctx - Grammy context
    */
   async handle(ctx) {
-    const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.update.onlyCreator');
+    const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.update.onlyCreator');
     
     if (error) {
       await ctx.reply(error);
@@ -37,14 +38,36 @@ export class UpdateRideCommandHandler extends BaseCommandHandler {
       return this.handleWithParams(ctx, ride, params);
     }
 
+    const meetingPoint = getMeetingPointFromMessage(ctx.message.reply_to_message);
+    if (meetingPoint) {
+      return this.handleMeetingPoint(ctx, ride, meetingPoint);
+    }
+
     await this.startUpdateWizard(ctx, ride);
   }
 
+  /**
+   * Move the meeting point of a ride to a shared location or venue
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {Object} ride - Ride object
+   * @param {{meetingPoint: string, meetingPointLocation: {lat: number, lon: number}}} meetingPoint
+   */
+  async handleMeetingPoint(ctx, ride, meetingPoint) {
+    try {
+      const updatedRide = await this.rideService.updateRide(ride.id, meetingPoint, ctx.from.id);
+      const result = await this.updateRideMessage(updatedRide, ctx);
+      await ctx.reply(this.formatUpdateResultMessage(ctx, result, this.translate(ctx, 'commands.common.actions.updated')));
+    } catch (error) {
+      console.error('Error updating meeting point:', error);
+      await ctx.reply(this.translate(ctx, 'commands.update.messageUpdateError'));
+    }
+  }
+
   /**
    * Handle owner action callback for ride editing.
    */
   async handleCallback(ctx) {
-    const { ride, error } = await this.extractRideWithCreatorCheck(ctx, 'commands.update.onlyCreator', 'callback');
+    const { ride, error } = await this.extractRideWithManagerCheck(ctx, 'commands.update.onlyCreator', 'callback');
 
     if (error) {
       await this.replyOrAnswerCallback(ctx, 'callback', error);
@@ -68,12 +91,17 @@ export class UpdateRideCommandHandler extends BaseCommandHandler {
       category: ride.category || DEFAULT_CATEGORY,
       organizer: ride.organizer,
       datetime: ride.date,
+      timezone: ride.timezone ?? null,
       meetingPoint: ride.meetingPoint,
+      meetingPointLocation: ride.meetingPointLocation,
       routes: getRideRoutes(ride),
+      routeFile: ride.routeFile,
       distance: ride.distance,
+      elevation: ride.elevation,
       duration: ride.duration,
       speedMin: ride.speedMin,
       speedMax: ride.speedMax,
+      maxParticipants: ride.maxParticipants,
       additionalInfo: ride.additionalInfo
     };
   }
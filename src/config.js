@@ -38,38 +38,60 @@ export const config = {
     // If not set, the server's local timezone will be used
     defaultTimezone: process.env.DEFAULT_TIMEZONE || null
   },
-  routeProviders: {
-    strava: {
-      domain: 'strava.com',
-      patterns: [
-        /https?:\/\/(?:www\.)?strava\.com\/routes\/\d+/,
-        /https?:\/\/(?:www\.)?strava\.com\/activities\/\d+/
-      ]
-    },
-    ridewithgps: {
-      domain: 'ridewithgps.com',
-      patterns: [
-        /https?:\/\/(?:www\.)?ridewithgps\.com\/routes\/\d+/,
-        /https?:\/\/(?:www\.)?ridewithgps\.com\/trips\/\d+/
-      ]
-    },
-    komoot: {
-      domain: 'komoot.com',
-      patterns: [
-        /https?:\/\/(?:www\.)?komoot\.com\/tour\/\d+/
-      ]
-    },
-    garmin: {
-      domain: 'connect.garmin.com',
-      patterns: [
-        /https?:\/\/connect\.garmin\.com\/modern\/activity\/\d+/,
-        /https?:\/\/connect\.garmin\.com\/modern\/course\/\d+/,
-        /https?:\/\/connect\.garmin\.com\/app\/activity\/\d+/,
-        /https?:\/\/connect\.garmin\.com\/app\/course\/\d+/
-      ]
-    }
+  routeFiles: {
+    // Largest GPX document read; the Bot API downloads files up to 20 MB
+    maxFileSizeBytes: 5 * 1024 * 1024
+  },
+  routeMetadata: {
+    // How long the distance, elevation gain and duration read from a route provider are reused
+    ttlMs: 7 * 24 * 60 * 60 * 1000,
+    // How long a route whose figures could not be read is not asked for again
+    failureTtlMs: 60 * 60 * 1000
   },
   maxParticipantsDisplay: parseInt(process.env.MAX_PARTICIPANTS_DISPLAY, 10) || 20,
+  rideSeries: {
+    // How many days before its date the next ride of a recurring series is created
+    daysAhead: parseInt(process.env.RIDE_SERIES_DAYS_AHEAD, 10) || 7
+  },
+  reminders: {
+    // Minutes before the start at which participants are reminded, unless the ride or user settings say otherwise
+    defaultOffsets: [24 * 60, 2 * 60],
+    // Offsets that can be toggled in /settings
+    availableOffsets: [24 * 60, 2 * 60, 60]
+  },
+  calendar: {
+    // Path of the per-user calendar feeds served by the webhook server
+    feedPath: '/calendar',
+    // Length of calendar events for rides without a duration
+    defaultEventDurationMinutes: 120,
+    // How many days of past rides the feeds keep
+    feedPastDays: 30
+  },
+  jobs: {
+    // How often the worker polls storage for due jobs
+    pollIntervalMs: 5 * 1000,
+    // Maximum number of jobs run per poll
+    batchSize: 20,
+    // Attempts before a failing job is given up
+    maxAttempts: 5,
+    // Retry backoff doubles from the base delay up to the max delay
+    retryBaseDelayMs: 30 * 1000,
+    retryMaxDelayMs: 60 * 60 * 1000,
+    // A running job whose worker died is picked up again after this long
+    lockTimeoutMs: 5 * 60 * 1000
+  },
+  attendance: {
+    // Riders can check in from this many minutes before the start...
+    checkInOpensMinutesBefore: 30,
+    // ...until this many minutes after it
+    checkInClosesMinutesAfter: 3 * 60
+  },
+  announcements: {
+    // Pause between the DMs of an announcement; Telegram allows about 30 messages per second
+    sendIntervalMs: 50,
+    // DMs sent by one announcement job before it schedules the next one
+    messagesPerJob: 20
+  },
   strava: {
     clientId:     process.env.STRAVA_CLIENT_ID     || null,
     clientSecret: process.env.STRAVA_CLIENT_SECRET || null,
@@ -6,7 +6,7 @@ import { RideService } from '../services/RideService.js';
 import { RideMessagesService } from '../services/RideMessagesService.js';
 import { MessageFormatter } from '../formatters/MessageFormatter.js';
 import { threadMiddleware } from '../middleware/threadMiddleware.js';
-import { i18nMiddleware } from '../middleware/i18nMiddleware.js';
+import { createI18nMiddleware } from '../middleware/i18nMiddleware.js';
 import { HelpCommandHandler } from '../commands/HelpCommandHandler.js';
 import { StartCommandHandler } from '../commands/StartCommandHandler.js';
 import { NewRideCommandHandler } from '../commands/NewRideCommandHandler.js';
@@ -21,6 +21,8 @@ import { ResumeRideCommandHandler } from '../commands/ResumeRideCommandHandler.j
 import { RideSettingsCommandHandler } from '../commands/RideSettingsCommandHandler.js';
 import { ParticipationHandlers } from '../commands/ParticipationHandlers.js';
 import { NotificationService } from '../services/NotificationService.js';
+import { AnnouncementService } from '../services/AnnouncementService.js';
+import { CheckInService } from '../services/CheckInService.js';
 import { GroupCommandHandler } from '../commands/GroupCommandHandler.js';
 import { GroupManagementService } from '../services/GroupManagementService.js';
 import { AiRideCommandHandler } from '../commands/AiRideCommandHandler.js';
@@ -30,6 +32,30 @@ import { replaceBotUsername } from '../utils/botUtils.js';
 import { t } from '../i18n/index.js';
 import { RideParticipationService } from '../services/RideParticipationService.js';
 import { SettingsService } from '../services/SettingsService.js';
+import { RideSeriesService } from '../services/RideSeriesService.js';
+import { RideSeriesCommandHandler } from '../commands/RideSeriesCommandHandler.js';
+import { ReminderService } from '../services/ReminderService.js';
+import { JobSchedulerService } from '../services/JobSchedulerService.js';
+import { CalendarService } from '../services/CalendarService.js';
+import { CalendarCommandHandler } from '../commands/CalendarCommandHandler.js';
+import { LanguageCommandHandler } from '../commands/LanguageCommandHandler.js';
+import { TimezoneCommandHandler } from '../commands/TimezoneCommandHandler.js';
+import { UnitsCommandHandler } from '../commands/UnitsCommandHandler.js';
+import { GroupSettingsCommandHandler } from '../commands/GroupSettingsCommandHandler.js';
+import { CoOrganizerCommandHandler } from '../commands/CoOrganizerCommandHandler.js';
+import { AnnounceCommandHandler } from '../commands/AnnounceCommandHandler.js';
+import { ExportParticipantsCommandHandler } from '../commands/ExportParticipantsCommandHandler.js';
+import { AttendanceCommandHandler } from '../commands/AttendanceCommandHandler.js';
+import { TransferRideCommandHandler } from '../commands/TransferRideCommandHandler.js';
+import { RefreshRouteCommandHandler } from '../commands/RefreshRouteCommandHandler.js';
+import { ClubService } from '../services/ClubService.js';
+import { ClubCommandHandler } from '../commands/ClubCommandHandler.js';
+import { UpcomingRidesCommandHandler } from '../commands/UpcomingRidesCommandHandler.js';
+import { MyRidesCommandHandler } from '../commands/MyRidesCommandHandler.js';
+import { FindRidesCommandHandler } from '../commands/FindRidesCommandHandler.js';
+import { InlineShareHandler } from '../commands/InlineShareHandler.js';
+import { RouteMetadataService } from '../services/RouteMetadataService.js';
+import { RouteParser } from '../utils/route-parser.js';
 
 /**
  * Core Bot class that coordinates all components
@@ -40,18 +66,36 @@ export class Bot {
    */
   constructor(storage, options = {}) {
     // Initialize services
-    const settingsService = new SettingsService(storage);
-    const rideService = new RideService(storage, settingsService);
+    this.jobScheduler = new JobSchedulerService(storage);
+    this.settingsService = new SettingsService(storage);
+    this.reminderService = new ReminderService(storage, this.jobScheduler, this.settingsService);
+    RouteParser.setMetadataCache(new RouteMetadataService(storage));
+    this.checkInService = new CheckInService(storage, this.jobScheduler);
+    this.groupManagementService = new GroupManagementService(this.settingsService);
+    const notificationService = new NotificationService(this.jobScheduler, this.settingsService, this.groupManagementService);
+    const rideService = new RideService(
+      storage,
+      this.settingsService,
+      this.reminderService,
+      this.checkInService,
+      notificationService
+    );
     const messageFormatter = new MessageFormatter();
-    const rideMessagesService = new RideMessagesService(rideService, messageFormatter);
-    const notificationService = new NotificationService();
+    this.messageFormatter = messageFormatter;
+    const rideMessagesService = new RideMessagesService(rideService, messageFormatter, this.settingsService);
+    // Ride changes reschedule check-in jobs and the jobs re-render ride messages, so the two are wired after construction
+    this.checkInService.rideMessagesService = rideMessagesService;
+    this.calendarService = new CalendarService(storage);
+    this.clubService = new ClubService(storage);
+    this.rideSeriesService = new RideSeriesService(storage, rideService, rideMessagesService, this.jobScheduler);
     this.wizard = new RideWizard(storage, rideService, messageFormatter, rideMessagesService);
     const aiRideService = new AiRideService();
     this.aiRideHandler = new AiRideCommandHandler(rideService, messageFormatter, rideMessagesService, aiRideService);
     this.fromStravaHandler = new FromStravaCommandHandler(rideService, messageFormatter, rideMessagesService, storage);
+    this.inlineShareHandler = new InlineShareHandler(rideService, messageFormatter, rideMessagesService);
     this.botConfig = this.getBotConfig(
       rideService,
-      settingsService,
+      this.settingsService,
       messageFormatter,
       rideMessagesService,
       notificationService
@@ -64,22 +108,38 @@ export class Bot {
   }
 
   getBotConfig(rideService, settingsService, messageFormatter, rideMessagesService, notificationService) {
-    const startHandler = new StartCommandHandler(rideService, messageFormatter, rideMessagesService);
     const helpHandler = new HelpCommandHandler(rideService, messageFormatter, rideMessagesService);
     const newRideHandler = new NewRideCommandHandler(rideService, messageFormatter, this.wizard, rideMessagesService);
     const updateRideHandler = new UpdateRideCommandHandler(rideService, messageFormatter, this.wizard, rideMessagesService);
     const cancelRideHandler = new CancelRideCommandHandler(rideService, messageFormatter, rideMessagesService);
     const deleteRideHandler = new DeleteRideCommandHandler(rideService, messageFormatter, rideMessagesService);
-    const listRidesHandler = new ListRidesCommandHandler(rideService, messageFormatter, rideMessagesService);
+    const listRidesHandler = new ListRidesCommandHandler(rideService, messageFormatter, rideMessagesService, this.clubService);
+    const upcomingRidesHandler = new UpcomingRidesCommandHandler(rideService, messageFormatter, rideMessagesService);
     const listParticipantsHandler = new ListParticipantsCommandHandler(rideService, messageFormatter, rideMessagesService);
     const duplicateRideHandler = new DuplicateRideCommandHandler(rideService, messageFormatter, this.wizard, rideMessagesService);
     const resumeRideHandler = new ResumeRideCommandHandler(rideService, messageFormatter, rideMessagesService);
     const rideSettingsHandler = new RideSettingsCommandHandler(rideService, messageFormatter, rideMessagesService, settingsService);
-    const groupManagementService = new GroupManagementService();
+    const groupManagementService = this.groupManagementService;
     const rideParticipationService = new RideParticipationService(rideService, notificationService, groupManagementService);
     const participationHandler = new ParticipationHandlers(rideService, messageFormatter, rideMessagesService, rideParticipationService);
-    const shareRideHandler = new ShareRideCommandHandler(rideService, messageFormatter, rideMessagesService);
+    const startHandler = new StartCommandHandler(rideService, messageFormatter, rideMessagesService, rideParticipationService);
+    const myRidesHandler = new MyRidesCommandHandler(rideService, messageFormatter, rideMessagesService, rideParticipationService);
+    const findRidesHandler = new FindRidesCommandHandler(rideService, messageFormatter, rideMessagesService);
+    const shareRideHandler = new ShareRideCommandHandler(rideService, messageFormatter, rideMessagesService, settingsService);
     const groupHandler = new GroupCommandHandler(rideService, messageFormatter, rideMessagesService, groupManagementService);
+    const rideSeriesHandler = new RideSeriesCommandHandler(rideService, messageFormatter, rideMessagesService, this.rideSeriesService);
+    const calendarHandler = new CalendarCommandHandler(rideService, messageFormatter, rideMessagesService, this.calendarService);
+    const languageHandler = new LanguageCommandHandler(rideService, messageFormatter, rideMessagesService, settingsService);
+    const timezoneHandler = new TimezoneCommandHandler(rideService, messageFormatter, rideMessagesService, settingsService);
+    const unitsHandler = new UnitsCommandHandler(rideService, messageFormatter, rideMessagesService, settingsService);
+    const groupSettingsHandler = new GroupSettingsCommandHandler(rideService, messageFormatter, rideMessagesService, settingsService);
+    const coOrganizerHandler = new CoOrganizerCommandHandler(rideService, messageFormatter, rideMessagesService);
+    const announceHandler = new AnnounceCommandHandler(rideService, messageFormatter, rideMessagesService, new AnnouncementService(this.jobScheduler, settingsService));
+    const exportParticipantsHandler = new ExportParticipantsCommandHandler(rideService, messageFormatter, rideMessagesService);
+    const attendanceHandler = new AttendanceCommandHandler(rideService, messageFormatter, rideMessagesService);
+    const transferRideHandler = new TransferRideCommandHandler(rideService, messageFormatter, rideMessagesService, notificationService);
+    const refreshRouteHandler = new RefreshRouteCommandHandler(rideService, messageFormatter, rideMessagesService);
+    const clubHandler = new ClubCommandHandler(rideService, messageFormatter, rideMessagesService, this.clubService);
     
     return {
       commands: {
@@ -91,17 +151,33 @@ export class Bot {
           { command: 'cancelride', descriptionKey: 'bot.commandDescriptions.cancelride', handler: (ctx) => cancelRideHandler.handle(ctx) },
           { command: 'deleteride', descriptionKey: 'bot.commandDescriptions.deleteride', handler: (ctx) => deleteRideHandler.handle(ctx) },
           { command: 'listrides', descriptionKey: 'bot.commandDescriptions.listrides', handler: (ctx) => listRidesHandler.handle(ctx) },
+          { command: 'myrides', descriptionKey: 'bot.commandDescriptions.myrides', handler: (ctx) => myRidesHandler.handle(ctx) },
+          { command: 'findrides', descriptionKey: 'bot.commandDescriptions.findrides', handler: (ctx) => findRidesHandler.handle(ctx) },
           { command: 'listparticipants', descriptionKey: 'bot.commandDescriptions.listparticipants', handler: (ctx) => listParticipantsHandler.handle(ctx) },
           { command: 'dupride', descriptionKey: 'bot.commandDescriptions.dupride', handler: (ctx) => duplicateRideHandler.handle(ctx) },
           { command: 'resumeride', descriptionKey: 'bot.commandDescriptions.resumeride', handler: (ctx) => resumeRideHandler.handle(ctx) },
+          { command: 'repeatride', descriptionKey: 'bot.commandDescriptions.repeatride', handler: (ctx) => rideSeriesHandler.handleRepeat(ctx) },
+          { command: 'series', descriptionKey: 'bot.commandDescriptions.series', handler: (ctx) => rideSeriesHandler.handleSeries(ctx) },
+          { command: 'addleader', descriptionKey: 'bot.commandDescriptions.addleader', handler: (ctx) => coOrganizerHandler.handle(ctx) },
+          { command: 'announce', descriptionKey: 'bot.commandDescriptions.announce', handler: (ctx) => announceHandler.handle(ctx) },
+          { command: 'exportparticipants', descriptionKey: 'bot.commandDescriptions.exportparticipants', handler: (ctx) => exportParticipantsHandler.handle(ctx) },
+          { command: 'attendance', descriptionKey: 'bot.commandDescriptions.attendance', handler: (ctx) => attendanceHandler.handle(ctx) },
+          { command: 'transferride', descriptionKey: 'bot.commandDescriptions.transferride', handler: (ctx) => transferRideHandler.handle(ctx) },
+          { command: 'refreshroute', descriptionKey: 'bot.commandDescriptions.refreshroute', handler: (ctx) => refreshRouteHandler.handle(ctx) },
+          { command: 'club', descriptionKey: 'bot.commandDescriptions.club', handler: (ctx) => clubHandler.handle(ctx) },
           { command: 'settings', descriptionKey: 'bot.commandDescriptions.settings', handler: (ctx) => rideSettingsHandler.handle(ctx) },
+          { command: 'language', descriptionKey: 'bot.commandDescriptions.language', handler: (ctx) => languageHandler.handle(ctx) },
+          { command: 'timezone', descriptionKey: 'bot.commandDescriptions.timezone', handler: (ctx) => timezoneHandler.handle(ctx) },
+          { command: 'units', descriptionKey: 'bot.commandDescriptions.units', handler: (ctx) => unitsHandler.handle(ctx) },
           { command: 'airide', descriptionKey: 'bot.commandDescriptions.airide', handler: (ctx) => this.aiRideHandler.handle(ctx) },
           { command: 'joinchat', descriptionKey: 'bot.commandDescriptions.joinchat', handler: (ctx) => groupHandler.handleJoinChat(ctx) },
           { command: 'fromstrava', descriptionKey: 'bot.commandDescriptions.fromstrava', handler: (ctx) => this.fromStravaHandler.handle(ctx) },
+          { command: 'ics', descriptionKey: 'bot.commandDescriptions.ics', handler: (ctx) => calendarHandler.handle(ctx) },
         ],
         publicOnly: [
           { command: 'attach', descriptionKey: 'bot.commandDescriptions.attach', handler: (ctx) => groupHandler.handleAttach(ctx) },
           { command: 'detach', descriptionKey: 'bot.commandDescriptions.detach', handler: (ctx) => groupHandler.handleDetach(ctx) },
+          { command: 'groupsettings', descriptionKey: 'bot.commandDescriptions.groupsettings', handler: (ctx) => groupSettingsHandler.handle(ctx) },
         ],
         mixed: [
           { command: 'shareride', descriptionKey: 'bot.commandDescriptions.shareride', handler: async (ctx) => {
@@ -115,14 +191,21 @@ export class Bot {
             // Process the shareride command normally
             shareRideHandler.handle(ctx);
           }},
+          { command: 'upcoming', descriptionKey: 'bot.commandDescriptions.upcoming', handler: (ctx) => upcomingRidesHandler.handle(ctx) },
         ],
       },
       callbacks: [
         { pattern: /^join:(\w+)$/, handler: (ctx) => participationHandler.handleJoinRide(ctx) },
         { pattern: /^thinking:(\w+)$/, handler: (ctx) => participationHandler.handleThinkingRide(ctx) },
         { pattern: /^skip:(\w+)$/, handler: (ctx) => participationHandler.handleSkipRide(ctx) },
+        { pattern: /^startjoin:(\w+)$/, handler: (ctx) => startHandler.handleJoinCallback(ctx) },
         { pattern: /^delete:(\w+):(\w+)(?::(message|callback))?$/, handler: (ctx) => deleteRideHandler.handleConfirmation(ctx) },
         { pattern: /^list:(\d+)$/, handler: (ctx) => listRidesHandler.handleCallback(ctx) },
+        { pattern: /^listclub:(\w+):(\d+)$/, handler: (ctx) => listRidesHandler.handleClubCallback(ctx) },
+        { pattern: /^upcoming:(\d+)$/, handler: (ctx) => upcomingRidesHandler.handleCallback(ctx) },
+        { pattern: /^myrides:(joined|thinking|past):(\d+)$/, handler: (ctx) => myRidesHandler.handleCallback(ctx) },
+        { pattern: /^myrides:set:(joined|thinking|skipped):(\w+):(joined|thinking|past):(\d+)$/, handler: (ctx) => myRidesHandler.handleParticipationCallback(ctx) },
+        { pattern: /^findrides:(\d+)$/, handler: (ctx) => findRidesHandler.handleCallback(ctx) },
         { pattern: /^rideowner:update:(\w+)$/, handler: (ctx) => updateRideHandler.handleCallback(ctx) },
         { pattern: /^rideowner:duplicate:(\w+)$/, handler: (ctx) => duplicateRideHandler.handleCallback(ctx) },
         { pattern: /^rideowner:delete:(\w+)$/, handler: (ctx) => deleteRideHandler.handleCallback(ctx) },
@@ -130,8 +213,19 @@ export class Bot {
         { pattern: /^rideowner:resume:(\w+)$/, handler: (ctx) => resumeRideHandler.handleCallback(ctx) },
         { pattern: /^rideowner:participants:(\w+)$/, handler: (ctx) => listParticipantsHandler.handleCallback(ctx) },
         { pattern: /^rideowner:settings:(\w+)$/, handler: (ctx) => rideSettingsHandler.handleCallback(ctx) },
+        { pattern: /^rideowner:leaders:(\w+)$/, handler: (ctx) => coOrganizerHandler.handleCallback(ctx) },
+        { pattern: /^rideowner:announce:(\w+)$/, handler: (ctx) => announceHandler.handleOwnerCallback(ctx) },
+        { pattern: /^announce:(joined|thinking|all|cancel):(\w+)$/, handler: (ctx) => announceHandler.handleCallback(ctx) },
+        { pattern: /^rideowner:export:(\w+)$/, handler: (ctx) => exportParticipantsHandler.handleCallback(ctx) },
+        { pattern: /^rideowner:attendance:(\w+)$/, handler: (ctx) => attendanceHandler.handleOwnerCallback(ctx) },
+        { pattern: /^attendance:(\w+):(\d+):(attended|noShow)$/, handler: (ctx) => attendanceHandler.handleMarkCallback(ctx) },
+        { pattern: /^checkin:(\w+)$/, handler: (ctx) => attendanceHandler.handleCheckIn(ctx) },
+        { pattern: /^leaders:remove:(\w+):(\d+)$/, handler: (ctx) => coOrganizerHandler.handleRemoveCallback(ctx) },
         { pattern: /^settings:user:bool:(\w+):(on|off)$/, handler: (ctx) => rideSettingsHandler.handleUserBooleanCallback(ctx) },
         { pattern: /^settings:ride:bool:(\w+):(on|off):(\w+)$/, handler: (ctx) => rideSettingsHandler.handleRideBooleanCallback(ctx) },
+        { pattern: /^settings:user:rem:(\d+):(on|off)$/, handler: (ctx) => rideSettingsHandler.handleUserReminderCallback(ctx) },
+        { pattern: /^settings:ride:rem:(\d+):(on|off):(\w+)$/, handler: (ctx) => rideSettingsHandler.handleRideReminderCallback(ctx) },
+        { pattern: /^language:(\w+)$/, handler: (ctx) => languageHandler.handleCallback(ctx) },
         { pattern: /^wizard:(\w+)(?::(.*))?$/, handler: (ctx) => this.wizard.handleWizardAction(ctx) },
         { pattern: /^airide:(confirm|cancel):(\d+:\d+)$/, handler: (ctx) => this.aiRideHandler.handleCallback(ctx) },
       ],
@@ -143,7 +237,7 @@ export class Bot {
    */
   configureBot() {
     // Apply middleware for localization context
-    this.bot.use(i18nMiddleware);
+    this.bot.use(createI18nMiddleware(this.settingsService));
 
     // Apply middleware for handling message thread IDs in topics
     this.bot.use(threadMiddleware);
@@ -153,12 +247,22 @@ export class Bot {
     
     // Callback query handlers
     this.setupCallbackQueryHandlers();
+
+    // Inline mode: posting rides to any chat and tracking the posted messages
+    this.bot.on('inline_query', (ctx) => this.inlineShareHandler.handleInlineQuery(ctx));
+    this.bot.on('chosen_inline_result', (ctx) => this.inlineShareHandler.handleChosenResult(ctx));
     
     // Text input handlers: wizard first, then AI ride follow-up
     this.bot.on('message:text', async (ctx) => {
       await this.wizard.handleWizardInput(ctx);
       await this.aiRideHandler.handleTextInput(ctx);
     });
+
+    // GPX files sent at the wizard's route step
+    this.bot.on('message:document', (ctx) => this.wizard.handleWizardDocument(ctx));
+
+    // Locations and venues sent at the wizard's meeting point step
+    this.bot.on('message:location', (ctx) => this.wizard.handleWizardLocation(ctx));
   }
 
   translateCallbackError(ctx) {
@@ -226,6 +330,28 @@ export class Bot {
     });
   }
 
+  /**
+   * Serve the calendar feed of the user owning the token in the URL.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  async handleCalendarFeedRequest(req, res) {
+    try {
+      const ics = await this.calendarService.buildFeed(req.params.token);
+      if (!ics) {
+        res.status(404).send('Not found');
+        return;
+      }
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Cache-Control', 'private, max-age=300');
+      res.send(ics);
+    } catch (error) {
+      console.error('Error serving calendar feed:', error);
+      res.status(500).send('Internal server error');
+    }
+  }
+
   /**
    * Set up bot commands in Telegram menu
    */
@@ -263,12 +389,30 @@ export class Bot {
     }
   }
 
+  /**
+   * Give the message formatter the bot's username for the ride deep links
+   */
+  async setupBotUsername() {
+    try {
+      const botInfo = await this.bot.api.getMe();
+      this.messageFormatter.botUsername = botInfo.username;
+    } catch (error) {
+      console.error('Error getting bot username:', error);
+    }
+  }
+
   /**
    * Start the bot
    */
   async start() {
     // Set up bot commands
     await this.setupBotCommands();
+
+    // Ride messages link to the bot with deep links
+    await this.setupBotUsername();
+
+    // Run persisted background jobs: participation notifications, pre-ride reminders, ride series and check-in
+    this.jobScheduler.start(this.bot.api);
     
     if (config.bot.useWebhook) {
       const app = express();
@@ -277,6 +421,9 @@ export class Bot {
       const webhookPath = config.bot.webhookPath || '/';
       app.use(webhookPath, this.bot.createWebhookMiddleware());
 
+      // Per-user calendar feeds for calendar app subscriptions
+      app.get(`${config.calendar.feedPath}/:token.ics`, (req, res) => this.handleCalendarFeedRequest(req, res));
+
       app.listen(config.bot.webhookPort, async () => {
         console.log(`Webhook server listening on port ${config.bot.webhookPort}`);
         const webhookUrl = `${config.bot.webhookDomain}${webhookPath}`;
@@ -0,0 +1,161 @@
+import { config } from '../config.js';
+import { t } from '../i18n/index.js';
+import { getDerivedRouteLabel, getRideRoutes } from '../utils/route-links.js';
+import { formatDistance } from '../utils/unit-utils.js';
+
+const MINUTE_MS = 60 * 1000;
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Formats rides as iCalendar (RFC 5545) documents
+ */
+export class IcsFormatter {
+  translate(key, params = {}, language = config.i18n.defaultLanguage) {
+    return t(language, key, params, {
+      fallbackLanguage: config.i18n.fallbackLanguage,
+      withMissingMarker: config.isDev
+    });
+  }
+
+  /**
+   * Build a calendar with one event per ride.
+   * @param {import('../storage/interface.js').Ride[]} rides
+   * @param {Object} [options]
+   * @param {string} [options.language]
+   * @param {string|null} [options.units] - Unit system of the readers, metric by default
+   * @param {string} [options.name] - Calendar name shown by calendar apps subscribed to a feed
+   * @param {number} [options.refreshMinutes] - Suggested refresh interval for feeds
+   * @returns {string}
+   */
+  formatCalendar(rides, { language = config.i18n.defaultLanguage, units = null, name, refreshMinutes } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//ridebot//Bike Rides//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+    if (name) {
+      lines.push(`X-WR-CALNAME:${this.escapeText(name)}`);
+    }
+    if (refreshMinutes) {
+      lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+    }
+
+    for (const ride of rides) {
+      lines.push(...this.formatEvent(ride, language, units));
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build the VEVENT lines of a ride. The UID stays the same for the life of the ride,
+   * so calendar apps update the event instead of adding a new one.
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {string} language
+   * @param {string|null} [units] - Unit system of the readers
+   * @returns {string[]}
+   */
+  formatEvent(ride, language, units = null) {
+    const start = new Date(ride.date);
+    const durationMinutes = ride.duration || config.calendar.defaultEventDurationMinutes;
+    const end = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+    const modified = new Date(ride.updatedAt || ride.createdAt || Date.now());
+    const summary = ride.cancelled
+      ? `${this.translate('templates.cancelled', {}, language)} ${ride.title}`
+      : ride.title;
+    const [firstRoute] = getRideRoutes(ride);
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${ride.id}@ridebot`,
+      `DTSTAMP:${this.formatDateTime(modified)}`,
+      `LAST-MODIFIED:${this.formatDateTime(modified)}`,
+      `DTSTART:${this.formatDateTime(start)}`,
+      `DTEND:${this.formatDateTime(end)}`,
+      `SUMMARY:${this.escapeText(summary)}`,
+      `STATUS:${ride.cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+    if (ride.meetingPoint) {
+      lines.push(`LOCATION:${this.escapeText(ride.meetingPoint)}`);
+    }
+    if (firstRoute) {
+      lines.push(`URL:${firstRoute.url}`);
+    }
+    lines.push(`DESCRIPTION:${this.escapeText(this.buildDescription(ride, language, units))}`, 'END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Plain-text event description: routes, distance, organizer, additional info and the ride ID.
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {string} language
+   * @param {string|null} [units] - Unit system of the readers
+   * @returns {string}
+   */
+  buildDescription(ride, language, units = null) {
+    const lines = getRideRoutes(ride).map(route =>
+      `${this.translate('formatter.labels.route', {}, language)}: ${route.label || getDerivedRouteLabel(route.url, language)} — ${route.url}`
+    );
+    if (ride.distance) {
+      lines.push(`${this.translate('formatter.labels.distance', {}, language)}: ${formatDistance(ride.distance, language, units)}`);
+    }
+    if (ride.organizer) {
+      lines.push(`${this.translate('formatter.labels.organizer', {}, language)}: ${ride.organizer}`);
+    }
+    if (ride.additionalInfo) {
+      lines.push(`${this.translate('formatter.labels.additionalInfo', {}, language)}: ${ride.additionalInfo}`);
+    }
+    lines.push(`#Ride #${ride.id}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Format a date as a UTC date-time, e.g. 20261020T183000Z
+   * @param {Date} date
+   * @returns {string}
+   */
+  formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape a TEXT property value
+   * @param {string} text
+   * @returns {string}
+   */
+  escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line into 75-octet chunks without splitting multi-byte characters.
+   * Continuation lines start with a space, which counts towards their length.
+   * @param {string} line
+   * @returns {string}
+   */
+  foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let currentOctets = 0;
+    for (const char of line) {
+      const charOctets = Buffer.byteLength(char);
+      const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (currentOctets + charOctets > limit) {
+        chunks.push(current);
+        current = '';
+        currentOctets = 0;
+      }
+      current += char;
+      currentOctets += charOctets;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+  }
+}
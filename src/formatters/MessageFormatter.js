@@ -5,7 +5,13 @@ import { DateParser } from '../utils/date-parser.js';
 import { getCategoryLabel } from '../utils/category-utils.js';
 import { t } from '../i18n/index.js';
 import { formatSpeed } from '../utils/speed-utils.js';
+import { formatDistance, formatElevation } from '../utils/unit-utils.js';
+import { getRideDifficulty } from '../utils/difficulty-utils.js';
 import { getDerivedRouteLabel, getRideRoutes } from '../utils/route-links.js';
+import { hasParticipantLimit } from '../utils/participation-utils.js';
+import { hasCheckInStarted, isCheckInOpen } from '../utils/attendance-utils.js';
+import { getMessageLink, getStartLink } from '../utils/botUtils.js';
+import { getMapUrl } from '../utils/meeting-point.js';
 
 /**
  * Handles formatting messages for display
@@ -16,6 +22,13 @@ export class MessageFormatter {
    */
   static MAX_MESSAGE_LENGTH = 4096;
 
+  /**
+   * @param {{botUsername?: string|null}} [options] - Username of the bot; ride messages only get deep links when it is known
+   */
+  constructor({ botUsername = null } = {}) {
+    this.botUsername = botUsername;
+  }
+
   translate(key, params = {}, language = config.i18n.defaultLanguage) {
     return t(language, key, params, {
       fallbackLanguage: config.i18n.fallbackLanguage,
@@ -39,6 +52,58 @@ export class MessageFormatter {
     }).join(', ');
   }
 
+  /**
+   * Render the meeting point of a ride. A meeting point with a map pin links to it on the map.
+   * @param {Object} ride
+   * @param {string} [language]
+   * @returns {string} HTML line with a trailing line break, or an empty string
+   */
+  renderMeetingPointLine(ride, language = config.i18n.defaultLanguage) {
+    if (!ride.meetingPoint) {
+      return '';
+    }
+
+    const mapLink = ride.meetingPointLocation
+      ? ` (<a href="${escapeHtml(getMapUrl(ride.meetingPointLocation))}">${this.translate('formatter.labels.map', {}, language)}</a>)`
+      : '';
+    return `📍 ${this.translate('formatter.labels.meetingPoint', {}, language)}: ${escapeHtml(ride.meetingPoint)}${mapLink}
+`;
+  }
+
+  /**
+   * Render the GPX file of a ride. Once the bot username is known, the file name links to the
+   * `gpx_<id>` deep link that sends the file in the private chat with the bot.
+   * @param {Object} ride
+   * @param {string} [language]
+   * @returns {string} HTML line with a trailing line break, or an empty string
+   */
+  renderRouteFileLine(ride, language = config.i18n.defaultLanguage) {
+    if (!ride.routeFile) {
+      return '';
+    }
+
+    const fileName = escapeHtml(ride.routeFile.fileName);
+    const file = this.botUsername && ride.id
+      ? `<a href="${getStartLink(this.botUsername, `gpx_${ride.id}`)}">${fileName}</a>`
+      : fileName;
+    return `📎 ${this.translate('formatter.labels.routeFile', {}, language)}: ${file}\n`;
+  }
+
+  /**
+   * Render the difficulty grade of a ride, derived from its distance, elevation gain and speed.
+   * @param {Object} ride
+   * @param {string} [language]
+   * @returns {string} HTML line with a trailing line break, or an empty string without a distance
+   */
+  renderDifficultyLine(ride, language = config.i18n.defaultLanguage) {
+    const difficulty = getRideDifficulty(ride);
+    if (!difficulty) {
+      return '';
+    }
+
+    return `📈 ${this.translate('formatter.labels.difficulty', {}, language)}: ${this.translate(`formatter.difficulty.${difficulty}`, {}, language)}\n`;
+  }
+
   /**
    * Format a ride message with keyboard
    * @param {Object} ride - Ride object
@@ -81,6 +146,11 @@ export class MessageFormatter {
       keyboard.text(this.translate('buttons.join', {}, language), `join:${ride.id}`);
       keyboard.text(this.translate('buttons.thinking', {}, language), `thinking:${ride.id}`);
       keyboard.text(this.translate('buttons.pass', {}, language), `skip:${ride.id}`);
+
+      // Joined riders check in themselves during the check-in phase
+      if (isCheckInOpen(ride)) {
+        keyboard.row().text(this.translate('buttons.checkIn', {}, language), `checkin:${ride.id}`);
+      }
     }
 
     if (isForCreator) {
@@ -100,6 +170,16 @@ export class MessageFormatter {
         )
         .text(this.translate('buttons.participants', {}, language), `rideowner:participants:${ride.id}`)
         .text(this.translate('buttons.settings', {}, language), `rideowner:settings:${ride.id}`);
+
+      keyboard.row()
+        .text(this.translate('buttons.coOrganizers', {}, language), `rideowner:leaders:${ride.id}`)
+        .text(this.translate('buttons.announce', {}, language), `rideowner:announce:${ride.id}`)
+        .text(this.translate('buttons.exportParticipants', {}, language), `rideowner:export:${ride.id}`);
+
+      if (hasCheckInStarted(ride)) {
+        keyboard.row()
+          .text(this.translate('buttons.attendance', {}, language), `rideowner:attendance:${ride.id}`);
+      }
     }
     
     return keyboard;
@@ -121,29 +201,64 @@ export class MessageFormatter {
       : emptyMessage;
   }
 
+  /**
+   * Format the start of a ride in the ride's timezone. The timezone is named when it is not the
+   * configured default, and the time in the viewer's timezone is added when it reads differently.
+   * @param {{date: Date, timezone?: string|null}} ride
+   * @param {string} language
+   * @param {string|null} [viewerTimezone]
+   * @returns {string}
+   */
+  formatRideDateTime(ride, language, viewerTimezone = null) {
+    const atWord = this.translate('formatter.atWord', {}, language);
+    const rideTimezone = DateParser.resolveTimezone(ride.timezone);
+    const rideTime = DateParser.formatDateTime(ride.date, language, rideTimezone);
+    let datetime = `${rideTime.date} ${atWord} ${rideTime.time}`;
+
+    if (rideTimezone && rideTimezone !== config.dateFormat.defaultTimezone) {
+      datetime += ` (${escapeHtml(rideTimezone)})`;
+    }
+
+    if (viewerTimezone && viewerTimezone !== rideTimezone) {
+      const viewerTime = DateParser.formatDateTime(ride.date, language, viewerTimezone);
+      if (viewerTime.date !== rideTime.date || viewerTime.time !== rideTime.time) {
+        const time = viewerTime.date === rideTime.date
+          ? viewerTime.time
+          : `${viewerTime.date} ${atWord} ${viewerTime.time}`;
+        datetime += ` · ${this.translate('formatter.viewerTime', { time, timezone: escapeHtml(viewerTimezone) }, language)}`;
+      }
+    }
+
+    return datetime;
+  }
+
   /**
    * Format a ride message
    * @param {Object} ride - Ride object
    * @param {Object} participation - Participation object with joined, thinking, skipped arrays
    * @param {Object} options - Additional options for formatting
    * @param {boolean} options.isForCreator - Whether this message is for the ride creator
+   * @param {string} [options.timezone] - Timezone of the readers, shown as a local time hint
+   * @param {string} [options.units] - Unit system of the readers, metric by default
    * @returns {string} - Formatted message
    */
   formatRideMessage(ride, participation, options = {}) {
     const language = options.lang || config.i18n.defaultLanguage;
-    // Use DateParser for consistent timezone handling
-    const formattedDateTime = DateParser.formatDateTime(ride.date, language);
-    const datetime = `${formattedDateTime.date} ${this.translate('formatter.atWord', {}, language)} ${formattedDateTime.time}`;
+    const datetime = this.formatRideDateTime(ride, language, options.timezone);
     
     // Extract all participation categories
     const joinedParticipants = participation?.joined || [];
     const thinkingParticipants = participation?.thinking || [];
     const skippedParticipants = participation?.skipped || [];
+    const waitlistParticipants = participation?.waitlist || [];
     
     // Format participant counts and lists
-    const participantCount = joinedParticipants.length;
+    const participantCount = hasParticipantLimit(ride)
+      ? `${joinedParticipants.length}/${ride.maxParticipants}`
+      : joinedParticipants.length;
     const thinkingCount = thinkingParticipants.length;
     const notInterestedCount = skippedParticipants.length;
+    const waitlistCount = waitlistParticipants.length;
     
     const participantsList = this.formatParticipantsWithLogic(
       joinedParticipants,
@@ -156,6 +271,10 @@ export class MessageFormatter {
       ? this.formatParticipantsList(thinkingParticipants, language)
       : '';
     
+    const waitlistContent = waitlistCount > 0
+      ? this.formatParticipantsList(waitlistParticipants, language)
+      : '';
+    
     const notInterestedContent = notInterestedCount > 0
       ? notInterestedCount.toString()
       : '';
@@ -177,28 +296,31 @@ export class MessageFormatter {
     if (ride.organizer) {
       group3 += `👤 ${this.translate('formatter.labels.organizer', {}, language)}: ${escapeHtml(ride.organizer)}\n`;
     }
-    if (ride.meetingPoint) {
-      group3 += `📍 ${this.translate('formatter.labels.meetingPoint', {}, language)}: ${escapeHtml(ride.meetingPoint)}\n`;
-    }
+    group3 += this.renderMeetingPointLine(ride, language);
     const rideRouteLinks = this.renderRouteLinks(ride, language);
     if (rideRouteLinks) {
       group3 += `🗺️ ${this.translate('formatter.labels.route', {}, language)}: ${rideRouteLinks}\n`;
     }
+    group3 += this.renderRouteFileLine(ride, language);
     if (group3) {
       rideDetails += `\n${group3}`;
     }
     
-    // Group 4: Distance, Duration, Speed
+    // Group 4: Distance, Elevation, Duration, Speed, Difficulty
     let group4 = '';
     if (ride.distance) {
-      group4 += `📏 ${this.translate('formatter.labels.distance', {}, language)}: ${ride.distance} ${this.translate('formatter.units.km', {}, language)}\n`;
+      group4 += `📏 ${this.translate('formatter.labels.distance', {}, language)}: ${formatDistance(ride.distance, language, options.units)}\n`;
+    }
+    if (ride.elevation) {
+      group4 += `⛰ ${this.translate('formatter.labels.elevation', {}, language)}: ${formatElevation(ride.elevation, language, options.units)}\n`;
     }
     if (ride.duration) {
       group4 += `⏱ ${this.translate('formatter.labels.duration', {}, language)}: ${this.formatDuration(ride.duration, language)}\n`;
     }
     if (ride.speedMin || ride.speedMax) {
-      group4 += `⚡ ${this.translate('formatter.labels.speed', {}, language)}: ${this.formatSpeedRange(ride.speedMin, ride.speedMax, language)}\n`;
+      group4 += `⚡ ${this.translate('formatter.labels.speed', {}, language)}: ${this.formatSpeedRange(ride.speedMin, ride.speedMax, language, options.units)}\n`;
     }
+    group4 += this.renderDifficultyLine(ride, language);
     if (group4) {
       rideDetails += `\n${group4}`;
     }
@@ -218,23 +340,29 @@ export class MessageFormatter {
       .replace('{participants}', participantsList)
       .replace('{thinkingCount}', thinkingCount)
       .replace('{thinking}', thinkingContent)
+      .replace('{waitlistCount}', waitlistCount)
+      .replace('{waitlist}', waitlistContent)
       .replace('{notInterestedCount}', notInterestedContent)
       .replace('{joinedLabel}', this.translate('formatter.participation.joined', {}, language))
       .replace('{thinkingLabel}', this.translate('formatter.participation.thinking', {}, language))
+      .replace('{waitlistLabel}', this.translate('formatter.participation.waitlist', {}, language))
       .replace('{notInterestedLabel}', this.translate('formatter.participation.notInterested', {}, language));
     
     // Add cancellation instructions if the ride is cancelled
     const cancelledInstructions = ride.cancelled ? `\n\n${this.translate('templates.cancelledMessage', {}, language)}` : '';
     message = message.replace('{cancelledInstructions}', cancelledInstructions);
 
-    // Add share line for ride creator in private chat
+    // Add share line for ride creator in private chat, with deep links to the ride when the bot username is known
+    const rideLinks = this.botUsername
+      ? { rideLink: getStartLink(this.botUsername, `ride_${ride.id}`), joinLink: getStartLink(this.botUsername, `join_${ride.id}`) }
+      : null;
     const shareLine = options.isForCreator
-      ? `${this.translate('formatter.shareLine', { id: ride.id }, language)}\n\n`
+      ? `${this.translate(rideLinks ? 'formatter.shareLineWithLinks' : 'formatter.shareLine', { id: ride.id, ...rideLinks }, language)}\n\n`
       : '';
     message = message.replace('{shareLine}', shareLine);
 
     const groupChatLine = ride.groupId
-      ? `${this.translate('formatter.groupChatLine', { id: ride.id }, language)}\n\n`
+      ? `${this.translate(rideLinks ? 'formatter.groupChatLineWithLink' : 'formatter.groupChatLine', { id: ride.id, ...rideLinks }, language)}\n\n`
       : '';
     message = message.replace('{groupChatLine}', groupChatLine);
 
@@ -242,11 +370,16 @@ export class MessageFormatter {
     
     // Remove lines that contain only emoji and empty content (e.g., "🤔 Thinking (0): ")
     const thinkingLabel = this.translate('formatter.participation.thinking', {}, language);
+    const waitlistLabel = this.translate('formatter.participation.waitlist', {}, language);
     const notInterestedLabel = this.translate('formatter.participation.notInterested', {}, language);
     message = message.replace(
       new RegExp(`🤔 ${this.escapeForRegex(thinkingLabel)} \\(0\\): \\n`, 'g'),
       ''
     );
+    message = message.replace(
+      new RegExp(`⏳ ${this.escapeForRegex(waitlistLabel)} \\(0\\): \\n`, 'g'),
+      ''
+    );
     message = message.replace(
       new RegExp(`🙅 ${this.escapeForRegex(notInterestedLabel)}: \\n`, 'g'),
       ''
@@ -260,9 +393,10 @@ export class MessageFormatter {
    * Shows all available ride fields without participation info or keyboard.
    * @param {Object} rideData - Ride-like object (from buildPreviewRideObject)
    * @param {string} language - Language code
+   * @param {string|null} [units] - Unit system of the reader
    * @returns {string} - HTML-formatted preview string
    */
-  formatRidePreview(rideData, language = config.i18n.defaultLanguage) {
+  formatRidePreview(rideData, language = config.i18n.defaultLanguage, units = null) {
     // Header: show title or placeholder
     if (!rideData.title) {
       return this.translate('wizard.preview.placeholder', {}, language);
@@ -272,8 +406,7 @@ export class MessageFormatter {
     // Group 2: When and Category
     let group2 = '';
     if (rideData.date) {
-      const fmt = DateParser.formatDateTime(rideData.date, language);
-      group2 += `📅 ${this.translate('formatter.labels.when', {}, language)}: ${fmt.date} ${this.translate('formatter.atWord', {}, language)} ${fmt.time}\n`;
+      group2 += `📅 ${this.translate('formatter.labels.when', {}, language)}: ${this.formatRideDateTime(rideData, language)}\n`;
     }
     if (rideData.category) {
       group2 += `🚵 ${this.translate('formatter.labels.category', {}, language)}: ${escapeHtml(getCategoryLabel(rideData.category, language))}\n`;
@@ -285,27 +418,33 @@ export class MessageFormatter {
     if (rideData.organizer) {
       group3 += `👤 ${this.translate('formatter.labels.organizer', {}, language)}: ${escapeHtml(rideData.organizer)}\n`;
     }
-    if (rideData.meetingPoint) {
-      group3 += `📍 ${this.translate('formatter.labels.meetingPoint', {}, language)}: ${escapeHtml(rideData.meetingPoint)}\n`;
-    }
+    group3 += this.renderMeetingPointLine(rideData, language);
     const previewRouteLinks = this.renderRouteLinks(rideData, language);
     if (previewRouteLinks) {
       group3 += `🗺️ ${this.translate('formatter.labels.route', {}, language)}: ${previewRouteLinks}\n`;
     }
+    group3 += this.renderRouteFileLine(rideData, language);
     if (group3) {
       message += `\n${group3}`;
     }
 
-    // Group 4: Distance, Duration, Speed
+    // Group 4: Distance, Elevation, Duration, Speed, Difficulty
     let group4 = '';
     if (rideData.distance) {
-      group4 += `📏 ${this.translate('formatter.labels.distance', {}, language)}: ${rideData.distance} ${this.translate('formatter.units.km', {}, language)}\n`;
+      group4 += `📏 ${this.translate('formatter.labels.distance', {}, language)}: ${formatDistance(rideData.distance, language, units)}\n`;
+    }
+    if (rideData.elevation) {
+      group4 += `⛰ ${this.translate('formatter.labels.elevation', {}, language)}: ${formatElevation(rideData.elevation, language, units)}\n`;
     }
     if (rideData.duration) {
       group4 += `⏱ ${this.translate('formatter.labels.duration', {}, language)}: ${this.formatDuration(rideData.duration, language)}\n`;
     }
     if (rideData.speedMin || rideData.speedMax) {
-      group4 += `⚡ ${this.translate('formatter.labels.speed', {}, language)}: ${this.formatSpeedRange(rideData.speedMin, rideData.speedMax, language)}\n`;
+      group4 += `⚡ ${this.translate('formatter.labels.speed', {}, language)}: ${this.formatSpeedRange(rideData.speedMin, rideData.speedMax, language, units)}\n`;
+    }
+    group4 += this.renderDifficultyLine(rideData, language);
+    if (hasParticipantLimit(rideData)) {
+      group4 += `👥 ${this.translate('formatter.labels.maxParticipants', {}, language)}: ${rideData.maxParticipants}\n`;
     }
     if (group4) {
       message += `\n${group4}`;
@@ -324,20 +463,20 @@ export class MessageFormatter {
    * @param {Array} rides - List of rides
    * @param {number} page - Current page
    * @param {number} totalPages - Total number of pages
+   * @param {{title?: string, emptyMessage?: string}} [options] - Title and empty-list text replacing those of the user's own rides
    * @returns {string} - Formatted message
    */
-  formatRidesList(rides, page, totalPages) {
+  formatRidesList(rides, page, totalPages, { title, emptyMessage } = {}) {
     const language = config.i18n.defaultLanguage;
     if (rides.length === 0) {
-      return this.translate('formatter.noCreatedRides', {}, language);
+      return emptyMessage ? escapeHtml(emptyMessage) : this.translate('formatter.noCreatedRides', {}, language);
     }
     
-    let message = `🚲 <b>${this.translate('formatter.yourRidesTitle', {}, language)}</b>\n\n`;
+    const listTitle = title ? escapeHtml(title) : this.translate('formatter.yourRidesTitle', {}, language);
+    let message = `🚲 <b>${listTitle}</b>\n\n`;
     
     for (const ride of rides) {
-      // Use DateParser for consistent timezone handling
-      const formattedDateTime = DateParser.formatDateTime(ride.date, language);
-      const datetime = `${formattedDateTime.date} ${this.translate('formatter.atWord', {}, language)} ${formattedDateTime.time}`;
+      const datetime = this.formatRideDateTime(ride, language);
       const status = ride.cancelled ? this.translate('templates.cancelled', {}, language) : '';
       
       message += `<b>${escapeHtml(ride.title)}</b> ${status}\n`;
@@ -348,8 +487,9 @@ export class MessageFormatter {
       }
       
       // Add chat information
-      if (ride.messages && ride.messages.length > 0) {
-        const chatCount = ride.messages.length;
+      const rideMessages = (ride.messages || []).filter(entry => !entry.location);
+      if (rideMessages.length > 0) {
+        const chatCount = rideMessages.length;
         if (chatCount === 1) {
           message += `📢 ${this.translate('formatter.postedInSingleChat', { count: chatCount }, language)}\n`;
         } else {
@@ -369,6 +509,89 @@ export class MessageFormatter {
     return message;
   }
 
+  /**
+   * Format the upcoming rides of a chat. Each title links to the ride's message in that chat when Telegram has a link for it.
+   * @param {Array} rides - List of rides
+   * @param {number} page - Current page
+   * @param {number} totalPages - Total number of pages
+   * @param {Object} options
+   * @param {number} options.chatId - Chat the list is shown in
+   * @param {string|null} [options.chatUsername] - Username of the chat, when it is public
+   * @param {string} [options.lang] - Language of the chat
+   * @param {string|null} [options.timezone] - Timezone of the readers, shown as a local time hint
+   * @returns {string} - Formatted message
+   */
+  formatUpcomingRidesList(rides, page, totalPages, { chatId, chatUsername = null, lang, timezone = null }) {
+    const language = lang || config.i18n.defaultLanguage;
+    if (rides.length === 0) {
+      return this.translate('formatter.noUpcomingRides', {}, language);
+    }
+
+    let message = `🗓 <b>${this.translate('formatter.upcomingRidesTitle', {}, language)}</b>\n\n`;
+
+    for (const ride of rides) {
+      const chatMessage = (ride.messages || []).find(entry => entry.chatId === chatId && !entry.location);
+      const link = chatMessage ? getMessageLink(chatMessage, chatUsername) : null;
+      const title = escapeHtml(ride.title);
+      const joinedCount = ride.participation?.joined?.length || 0;
+      const participantCount = hasParticipantLimit(ride) ? `${joinedCount}/${ride.maxParticipants}` : joinedCount;
+
+      message += link ? `<b><a href="${escapeHtml(link)}">${title}</a></b>\n` : `<b>${title}</b>\n`;
+      message += `📅 ${this.formatRideDateTime(ride, language, timezone)}\n`;
+      if (ride.meetingPoint) {
+        message += `📍 ${escapeHtml(ride.meetingPoint)}\n`;
+      }
+      message += `🚴 ${this.translate('formatter.participation.joined', {}, language)}: ${participantCount}\n`;
+      message += `🎫 #Ride #${ride.id}\n\n`;
+    }
+
+    if (totalPages > 1) {
+      message += `\n${this.translate('formatter.pageLabel', { page, totalPages }, language)}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format a page of the rides a user responded to, numbered so that the buttons below the list can refer to them.
+   * @param {Array} rides - List of rides
+   * @param {number} page - Current page
+   * @param {number} totalPages - Total number of pages
+   * @param {Object} options
+   * @param {'joined'|'thinking'|'past'} options.tab - Tab of /myrides being shown
+   * @param {number} options.userId - User the list is for
+   * @param {string} [options.lang] - Language of the user
+   * @param {string|null} [options.timezone] - Timezone of the user, shown as a local time hint
+   * @returns {string} - Formatted message
+   */
+  formatMyRidesList(rides, page, totalPages, { tab, userId, lang, timezone = null }) {
+    const language = lang || config.i18n.defaultLanguage;
+    if (rides.length === 0) {
+      return this.translate(`formatter.myRides.empty.${tab}`, {}, language);
+    }
+
+    let message = `🚲 <b>${this.translate(`formatter.myRides.titles.${tab}`, {}, language)}</b>\n\n`;
+
+    rides.forEach((ride, index) => {
+      const status = ride.cancelled ? ` ${this.translate('templates.cancelled', {}, language)}` : '';
+      message += `${index + 1}. <b>${escapeHtml(ride.title)}</b>${status}\n`;
+      message += `📅 ${this.formatRideDateTime(ride, language, timezone)}\n`;
+      if (ride.meetingPoint) {
+        message += `📍 ${escapeHtml(ride.meetingPoint)}\n`;
+      }
+      if ((ride.participation?.waitlist || []).some(participant => participant.userId === userId)) {
+        message += `⏳ ${this.translate('formatter.myRides.onWaitlist', {}, language)}\n`;
+      }
+      message += `🎫 #Ride #${ride.id}\n\n`;
+    });
+
+    if (totalPages > 1) {
+      message += `\n${this.translate('formatter.pageLabel', { page, totalPages }, language)}`;
+    }
+
+    return message;
+  }
+
   /**
    * Format a duration in minutes to a human-readable string
    * @param {number} minutes - Duration in minutes
@@ -393,10 +616,12 @@ export class MessageFormatter {
    * Format a speed range
    * @param {number|null} min - Minimum speed
    * @param {number|null} max - Maximum speed
+   * @param {string} [language]
+   * @param {string|null} [units] - Unit system of the readers
    * @returns {string} - Formatted speed range
    */
-  formatSpeedRange(min, max, language = config.i18n.defaultLanguage) {
-    return formatSpeed(min, max, language);
+  formatSpeedRange(min, max, language = config.i18n.defaultLanguage, units = null) {
+    return formatSpeed(min, max, language, units);
   }
 
   /**
@@ -39,6 +39,10 @@ export function resolveLanguage(language, fallbackLanguage = 'en') {
   return fallbackLanguage;
 }
 
+export function getSupportedLanguages() {
+  return Object.keys(locales);
+}
+
 export function getLocale(language, fallbackLanguage = 'en') {
   const resolved = resolveLanguage(language, fallbackLanguage);
   return locales[resolved] || locales[fallbackLanguage] || locales.en;
@@ -49,9 +49,11 @@ when: Date and time (e.g., "tomorrow at 6pm", "this saturday 10am", "21 Jul 14:3
 category: One of: "Regular/Mixed Ride" (default), "Road Ride", "Gravel Ride", "Mountain/Enduro/Downhill Ride", "MTB-XC Ride", "E-Bike Ride", "Virtual/Indoor Ride" (optional)
 meet: Meeting point (optional)
 route: Route link or "Label | URL" (repeat to add multiple routes) (optional)
-dist: Distance in km (optional)
+dist: Distance in km, or add mi for miles (40mi) (optional)
+elevation: Elevation gain in m, or add ft for feet (2800ft) (optional)
 duration: Duration in minutes or human-readable format (e.g., "2h 30m", "90m", "1.5h") (optional)
-speed: Speed in km/h: range (25-28), min (25+ or 25-), max (-28), avg (25 or ~25) (optional)
+speed: Speed in km/h or with mph: range (25-28), min (25+ or 25-), max (-28), avg (25 or ~25) (optional)
+max: Maximum number of participants; riders beyond it go to the waitlist (optional)
 info: Additional information (optional)
 settings.notifyParticipation: yes/no — notify the creator when participants change status (optional)
 settings.allowReposts: yes/no — allow other users to repost this ride with /shareride (optional)
@@ -77,6 +79,8 @@ Route notes:
 • Use <code>route: Label | URL</code> to set a custom label
 • The URL is always taken from the last <code>|</code>-separated segment, so <code>|</code> may be used inside the label
 • If a label is omitted, the bot shows <code>Strava</code>, <code>Garmin</code>, <code>Komoot</code>, <code>RideWithGPS</code>, or localized <code>Link</code>
+• Send a .gpx file with <code>/newride</code> as its caption (or at the wizard's route step) to attach it: its distance and start point fill in the distance and meeting point
+• Route figures are reused for a week; send <code>/refreshroute #abc123</code> to read them again
 
 3. Using AI in dialog mode (private chat only):
 Send /airide and describe the ride in plain language. The bot will parse the details with AI, show a live preview, and let you refine it across multiple messages before confirming. AI can extract multiple route links too.
@@ -194,10 +198,23 @@ Use /settings #rideId, reply to a ride message with /settings, or press the Sett
 Available settings:
 • Participation notifications — whether the creator gets private notifications when people join, think, or pass.
 • Repost permission — whether users other than the creator can repost the ride with /shareride.
+• Meeting point location — whether ride posts in groups also get the meeting point as a location message. The meeting point has a map pin when it was sent as a location or venue at the wizard's meeting point step, or by replying to one with <code>/updateride #abc123</code>.
+• Reminders — when joined riders get a reminder before the start (24 h, 2 h, 1 h); riders who are still thinking get a nudge to decide.
 Defaults apply only to newly created rides. Ride-specific settings affect only that ride.
 
 <b>🧭 Private Creator Buttons</b>
-In your private ride message, owner-only buttons let you edit, duplicate, delete, cancel/resume, list participants, and open settings without typing the full commands.
+In your private ride message, owner-only buttons let you edit, duplicate, delete, cancel/resume, list participants, open settings and manage co-organizers without typing the full commands.
+
+<b>🔁 Recurring Rides</b>
+Make a ride repeat and the bot will create the next one automatically:
+<pre>
+/repeatride #abc123
+repeat: weekly on tue, thu
+until: 31 Dec 2026 (optional)
+count: 10 (optional)
+</pre>
+Rules: weekly on DAYS, every 2 weeks on DAYS, monthly on 2nd sun, monthly on last sat. Each new ride copies the latest one in the series, is created a few days ahead and is posted to the same chats.
+Manage the series with <code>/series #abc123</code> plus <code>pause</code>, <code>resume</code>, <code>skip DATE</code> or <code>end</code>.
 
 <b>📢 Sharing a Ride</b>
 By default, only the ride creator can repost a ride to another chat. The creator can allow reposts by other users in /settings.
@@ -213,7 +230,7 @@ The ride will be posted to the current chat and all instances will be synchroniz
 <b>Important:</b> The bot needs to be added to the other chat before sharing. Bot needs to be chat admin in the other chat to use the short form of /shareride, but you can always use the full form /shareride@botname.
 
 <b>📎 Attaching a Group to a Ride</b>
-Only the ride creator can attach a group:
+The ride creator or a co-organizer can attach a group:
 1. Create a Telegram group and add the bot as admin (needs "Add Members" and "Ban Users" permissions)
 2. Use /attach with the ride ID in the group chat: <code>/attach #abc123</code>
 The bot will rename the group to the ride title and date, post and pin the ride info, and automatically add/remove members as participants join or leave the ride.
@@ -226,6 +243,50 @@ Any participant who has joined the ride can request an invite link by sending th
 <code>/joinchat #rideId</code>
 The bot will send you a single-use invite link (valid 24 hours). The command only works if you have joined the ride.
 
+<b>✅ Attendance</b>
+From 30 minutes before the start until 3 hours after it, the ride message has a Check in button for joined riders. Organizers mark who showed up with the Attendance button or <code>/attendance #rideId</code>, and /listparticipants shows them each rider's attendance over all rides.
+    `.trim(),
+
+    help4: `
+<b>👤 Personal Settings</b>
+Use /language to choose the language of bot messages. Until you choose one, the bot follows your Telegram app language.
+Use /timezone to set the timezone of your new rides (or add <code>timezone:</code> to a ride).
+Use /units to choose kilometers or miles. Ride messages in your private chat and the ride wizard show distances, elevation gain and speeds in them, and numbers you type without a unit are read in them. A unit can always be given: <code>dist: 40mi</code>, <code>speed: 16-18mph</code>.
+
+<b>🌍 Group Settings</b>
+Group admins can send /groupsettings in the group to set the language, timezone and units of ride posts, the topic they go to, and whether members may share rides there.
+
+<b>👥 Co-organizers</b>
+Send <code>/addleader #abc123 @username</code> to let a rider who responded to your ride manage it with you. Co-organizers can update, cancel and resume the ride, see its participants, change its settings and attach a group, and they get participation notifications. The Co-organizers button on your private ride message lists and removes them.
+Send <code>/transferride #abc123 @username</code> to hand the ride over to one of its riders: participants, messages, the attached group and settings stay with the ride.
+
+<b>📣 Announcements</b>
+Send <code>/announce #abc123</code> with a message on the next lines (or use the Announce button) and choose whether joined riders, riders who are thinking, or both get it as a DM. Riders who never started the bot are mentioned in the attached group instead, and you get the delivery counts.
+
+<b>📋 Participant Export</b>
+Send <code>/exportparticipants #abc123</code> (or use the Export button) to get the ride's participants as a CSV file; add <code>json</code> for JSON. To export all your rides over a period, put <code>from</code> and <code>to</code> on the next lines, as in /findrides.
+
+<b>🏁 Clubs</b>
+Send <code>/club create Name</code> to start a club and share its invite code; send /club to see your clubs and all club commands. Admins give members the leader, admin or member role. Add <code>club: ID</code> to a ride to make it a club ride: every leader of the club can then manage it, and /listrides shows the club's rides.
+
+<b>🗓 Upcoming Rides</b>
+Send /upcoming in a group to list the rides shared there or attached to it that have not started yet, soonest first, with links to their messages. In private chat it lists the upcoming rides posted to you.
+
+<b>🚴 Your Rides as a Rider</b>
+Send /myrides to see the rides you joined, the ones you are thinking about and your past rides. The buttons below the list change your answer to a ride without looking for its message.
+
+<b>🔎 Search Your Rides</b>
+Send /findrides with words from the title or meeting point, and criteria on the next lines: <code>category</code>, <code>from</code>, <code>to</code>, <code>dist</code>, <code>speed</code> and <code>cancelled</code>. Send /findrides alone for an example.
+
+<b>📤 Post Rides in Any Chat</b>
+In any chat, type <code>@botname</code> and a part of a ride title, then pick the ride to post it with the participation buttons. The bot doesn't need to be in the chat. You can post your upcoming rides and the rides you joined that allow reposts.
+
+<b>🔗 Ride Links</b>
+The messages of your rides in private chat have two links to use on websites, in Strava descriptions or on posters: one opens the ride in the bot, the other joins the ride after a confirmation.
+
+<b>📅 Calendar</b>
+Send <code>/ics #abc123</code> (or reply to a ride message with /ics) to get the ride as an .ics file.
+Send /ics alone to get your personal calendar feed link: subscribe to it in your calendar app to keep the rides you joined or created in sync. <code>/ics reset</code> replaces the link.
     `.trim(),
 
     ride: `
@@ -234,6 +295,7 @@ The bot will send you a single-use invite link (valid 24 hours). The command onl
 {rideDetails}
 🚴 {joinedLabel} ({participantCount}): {participants}
 🤔 {thinkingLabel} ({thinkingCount}): {thinking}
+⏳ {waitlistLabel} ({waitlistCount}): {waitlist}
 🙅 {notInterestedLabel}: {notInterestedCount}
 
 {groupChatLine}{shareLine}🎫 #Ride #{id}{cancelledInstructions}
@@ -263,6 +325,11 @@ Click here to start a private chat: @botname
     resumeRide: 'Resume',
     participants: 'Participants',
     settings: 'Settings',
+    coOrganizers: 'Co-organizers',
+    announce: 'Announce',
+    exportParticipants: 'Export',
+    attendance: 'Attendance',
+    checkIn: '📍 Check in',
     confirmDelete: 'Yes, delete ❌',
     cancelDelete: 'No, keep it ✅',
     back: '⬅️ Back',
@@ -287,6 +354,11 @@ Click here to start a private chat: @botname
     ownerActions: {
       settingsComingSoon: 'Ride settings are not available yet.'
     },
+    start: {
+      joinConfirm: 'Join the ride <b>{title}</b> on {date}?',
+      routeFileCaption: 'GPX route of <b>{title}</b>',
+      routeFileMissing: 'This ride has no GPX file.'
+    },
     settings: {
       userTitle: 'Default settings for new rides',
       userHint: 'These defaults will be copied into each new ride you create.',
@@ -298,9 +370,64 @@ Click here to start a private chat: @botname
       disableNotifyOnParticipationChange: 'Disable participation notifications',
       enableReposts: 'Allow reposts',
       disableReposts: 'Forbid reposts',
+      shareLocationLabel: 'Post the meeting point as a location in groups',
+      enableShareLocation: 'Post the meeting point location',
+      disableShareLocation: 'Do not post the meeting point location',
+      remindersLabel: 'Remind participants before the start',
+      remindersOff: 'off',
+      reminderEnabledButton: '✅ {offset}',
+      reminderDisabledButton: '⬜ {offset}',
       updated: 'Default settings updated.',
       rideUpdated: 'Ride settings updated.'
     },
+    groupSettings: {
+      title: '⚙️ Group settings',
+      languageLine: 'Language of ride posts: {value}',
+      languageDefault: 'language of the person who shares the ride',
+      timezoneLine: 'Local time shown next to ride times: {value}',
+      timezoneDefault: 'none',
+      unitsLine: 'Units of ride posts: {value}',
+      topicLine: 'Topic for ride posts: {value}',
+      topicSet: 'topic {id}',
+      topicDefault: 'the topic where the ride is shared',
+      sharesLine: 'Members may share any ride that allows reposts: {value}',
+      usage: 'Change a setting with:\n<code>/groupsettings language {languages}|default</code>\n<code>/groupsettings timezone Europe/Berlin|default</code>\n<code>/groupsettings units metric|imperial|default</code>\n<code>/groupsettings topic here|off</code> (send it in the topic)\n<code>/groupsettings shares on|off</code>',
+      notAdmin: 'Only group admins can change group settings.',
+      invalidTimezone: 'Unknown timezone "{timezone}". Use a name like <code>Europe/Berlin</code>.',
+      topicOutsideTopic: 'Send <code>/groupsettings topic here</code> inside the topic that should receive ride posts.',
+      updated: '✅ Group settings updated.',
+      error: 'Failed to update group settings. Please try again later.'
+    },
+    language: {
+      title: '🌐 Language',
+      current: 'Current language: {language}',
+      automatic: 'Telegram app language ({language})',
+      automaticButton: 'Use Telegram app language',
+      hint: 'Bot messages to you, including notifications, use this language.',
+      nativeName: 'English',
+      updated: 'Language updated.'
+    },
+    timezone: {
+      title: '🕒 Timezone',
+      current: 'Your timezone: {timezone}',
+      default: 'not set, using {timezone}',
+      serverTime: 'server time',
+      hint: 'Your new rides take place in this timezone unless you add <code>timezone:</code>, and ride messages in this chat show your local time for rides elsewhere.',
+      usage: 'Change it with <code>/timezone Europe/Berlin</code>, or go back to the default with <code>/timezone default</code>.',
+      invalid: 'Unknown timezone "{timezone}". Use a name like <code>Europe/Berlin</code>.',
+      updated: '✅ Timezone updated.',
+      error: 'Failed to update your timezone. Please try again later.'
+    },
+    units: {
+      title: '📏 Units',
+      current: 'Your units: {units}',
+      metric: 'kilometers (km, km/h)',
+      imperial: 'miles (mi, mph)',
+      hint: 'Ride messages in this chat and the ride wizard show distances and speeds in these units, and numbers you type without a unit are read in them. You can always add a unit, e.g. <code>dist: 40mi</code> or <code>speed: 18mph</code>.',
+      usage: 'Change them with <code>/units metric</code> or <code>/units imperial</code>.',
+      updated: '✅ Units updated.',
+      error: 'Failed to update your units. Please try again later.'
+    },
     common: {
       rideNotFoundById: 'Ride #{id} not found',
       rideNotFoundByIdWithDot: 'Ride #{id} not found.',
@@ -308,6 +435,7 @@ Click here to start a private chat: @botname
       unknownParameters: 'Unknown parameter(s): {params}',
       validParameters: 'Valid parameters are:',
       onlyCreatorAction: 'Only the ride creator can perform this action.',
+      onlyManagerAction: 'Only the ride creator, co-organizers and leaders of its club can perform this action.',
       rideActionUpdatedMessages: 'Ride {action} successfully. Updated {count} message(s).',
       rideActionNoMessagesUpdated: 'Ride has been {action}, but no messages were updated. You may want to /shareride the ride in the chats of your choice again, they could have been removed.',
       removedUnavailableMessages: 'Removed {count} unavailable message(s).',
@@ -322,7 +450,7 @@ Click here to start a private chat: @botname
       }
     },
     update: {
-      onlyCreator: 'Only the ride creator can update this ride.',
+      onlyCreator: 'Only the ride creator, co-organizers and leaders of its club can update this ride.',
       messageUpdateError: 'Ride has been updated, but there was an error updating the ride message. You may need to create a new ride message.'
     },
     cancel: {
@@ -334,18 +462,178 @@ Click here to start a private chat: @botname
     duplicate: {
       success: 'Ride duplicated successfully!'
     },
+    announce: {
+      usage: 'Send <code>/announce #{id}</code> with your message on the next lines, e.g.:\n<pre>/announce #{id}\nThe meeting point moved 200 m to the north gate.</pre>',
+      preview: '📣 Announcement for <b>{title}</b>:\n\n{text}\n\nWho should get it?',
+      targets: {
+        joined: 'Joined',
+        thinking: 'Thinking',
+        all: 'Both'
+      },
+      message: '📣 Message from {name} about the ride <b>{title}</b>:\n\n{text}\n\n🎫 #Ride #{id}',
+      groupMessage: '📣 Message from {name} about the ride <b>{title}</b> for {mentions}:\n\n{text}\n\n🎫 #Ride #{id}',
+      sending: '📣 Sending the announcement… The delivery report will replace this message once everyone has it.',
+      report: '📣 Announcement sent.\nRecipients: {total}\n✅ Delivered: {sent}\n👥 Posted in the ride group for: {viaGroup}\n⚠️ Not delivered: {failed}',
+      noRecipients: 'No riders are in the chosen state, so the announcement was not sent.',
+      cancelled: 'Announcement cancelled.',
+      expired: 'The announcement message is no longer available. Please send /announce again.',
+      error: 'An error occurred while sending the announcement.'
+    },
+    exportParticipants: {
+      usage: 'Send <code>/exportparticipants #abc123</code> to get the participants of a ride as a CSV file, or <code>/exportparticipants #abc123 json</code> for JSON.\nTo export all your rides over a period, put the criteria of /findrides on the next lines, e.g.:\n<pre>/exportparticipants csv\nfrom: 2025-05-01\nto: 2025-05-31</pre>',
+      rideCaption: '📋 Participants of {title}',
+      rangeCaption: '📋 Participants of {count} rides',
+      rangeCaptionTruncated: '📋 Participants of the first {count} of {total} rides. Narrow the dates to export the rest.',
+      noRides: 'None of your rides match these criteria.',
+      error: 'An error occurred while exporting the participants.'
+    },
+    coOrganizers: {
+      title: '👥 Co-organizers',
+      none: 'No co-organizers yet.',
+      hint: 'Co-organizers can update, cancel and resume the ride, see its participants, change its settings and attach a group. They get participation notifications and the owner buttons on the ride message in their private chat with the bot.',
+      usage: 'To add one, send <code>/addleader #{id} @username</code>. Only riders who responded to the ride can be added.',
+      removeButton: '✖️ {name}',
+      onlyCreator: 'Only the ride creator can manage its co-organizers.',
+      notParticipant: '{user} has not responded to this ride. Ask them to press one of its buttons first.',
+      creator: 'The ride creator already manages the ride.',
+      alreadyCoOrganizer: '{name} is already a co-organizer of this ride.',
+      added: '✅ {name} is now a co-organizer of "{title}".',
+      removed: 'Co-organizer removed.',
+      notCoOrganizer: 'This rider is no longer a co-organizer.',
+      error: 'Failed to update the co-organizers. Please try again later.'
+    },
+    transfer: {
+      usage: 'To hand the ride over, send <code>/transferride #{id} @username</code>. Only riders who responded to the ride and its co-organizers can take it over.',
+      onlyCreator: 'Only the ride creator can hand the ride over.',
+      notParticipant: '{user} has not responded to this ride. Ask them to press one of its buttons first.',
+      creator: 'You already own this ride.',
+      transferred: '✅ "{title}" now belongs to {name}. Participants, posted messages, the attached group and settings stay with the ride; the owner buttons and notifications move to the new creator, who gets a message about it.',
+      error: 'Failed to hand the ride over. Please try again later.'
+    },
+    refreshRoute: {
+      onlyCreator: 'Only the ride creator can refresh its route.',
+      noRoutes: 'This ride has no Strava, RideWithGPS, Komoot or Garmin route to refresh.',
+      noMetadata: 'Could not read the route figures. The ride was left unchanged; please try again later.',
+      refreshed: '✅ Route figures of "{title}" were read again and the ride was updated.',
+      error: 'Failed to refresh the route. Please try again later.'
+    },
+    upcoming: {
+      error: 'Failed to load the upcoming rides. Please try again later.'
+    },
+    myRides: {
+      tabs: {
+        joined: '🚴 Joined',
+        thinking: '🤔 Thinking',
+        past: '🕘 Past'
+      },
+      error: 'Failed to load your rides. Please try again later.'
+    },
+    findRides: {
+      usage: 'Search your rides: put words from the title or meeting point after the command and criteria on the next lines, e.g.\n<code>/findrides lake\ncategory: road\nfrom: 2025-05-01\nto: 2025-05-31\ndist: 40-80\nspeed: 25-30\ncancelled: no</code>\nCategories: mixed, road, gravel, mtb, mtb-xc, e-bike, virtual. Ranges also take <code>40+</code> or <code>-80</code>.',
+      title: 'Rides found: {total}',
+      noResults: 'No rides match your search.',
+      expired: 'The search message is gone. Send /findrides again.',
+      error: 'Failed to search rides. Please try again later.'
+    },
+    club: {
+      usage: '<code>/club create Name</code> starts a club, <code>/club join CODE</code> joins one with its invite code.\n<code>/club info ID</code> lists the members, <code>/club invite ID</code> shows the invite code (add <code>reset</code> to replace it), <code>/club role ID @username admin|leader|member</code> changes a role, <code>/club remove ID @username</code> removes a member and <code>/club leave ID</code> leaves the club.',
+      listTitle: '🏁 <b>Your clubs</b>',
+      listItem: '• <b>{name}</b>: {role}, ID <code>{id}</code>',
+      noClubs: 'You are not a member of any club yet.',
+      created: '✅ Club "{name}" created, its ID is <code>{id}</code>. Riders join it by sending <code>/club join {code}</code> to the bot. Add <code>club: {id}</code> to a ride to make it a club ride.',
+      invalidName: 'Please give the club a name of up to {max} characters: <code>/club create Name</code>',
+      notFound: 'Club {id} not found.',
+      notMember: 'You are not a member of this club.',
+      adminOnly: 'Only admins and the owner of the club can do this.',
+      infoTitle: '🏁 <b>{name}</b> (ID <code>{id}</code>)',
+      memberItem: '• {name}: {role}',
+      invite: 'Riders join "{name}" by sending <code>/club join {code}</code> to the bot.',
+      inviteReset: '🔄 The previous invite code no longer works. Riders now join "{name}" by sending <code>/club join {code}</code> to the bot.',
+      joined: '✅ You joined "{name}". Its admins can give you a role.',
+      invalidCode: 'This invite code is not valid. Ask a club admin for the current one.',
+      alreadyMember: 'You are already a member of "{name}".',
+      invalidRole: 'The role must be admin, leader or member.',
+      memberNotFound: '{user} is not a member of this club.',
+      forbidden: 'You can only change members with a lower role than yours, and only give roles below your own.',
+      roleChanged: '✅ {name} is now {role} of "{club}".',
+      removed: '✅ {name} was removed from "{club}".',
+      left: 'You left "{name}".',
+      ownerCannotLeave: 'The owner cannot leave the club.',
+      ridesButton: '🏁 {name}',
+      ridesTitle: 'Rides of {name}',
+      noRides: 'This club has no rides yet.',
+      error: 'Failed to process the club command. Please try again later.',
+      roles: {
+        owner: 'owner',
+        admin: 'admin',
+        leader: 'leader',
+        member: 'member'
+      }
+    },
+    series: {
+      onlyCreator: 'Only the ride creator can manage its repeats.',
+      repeatUsage: 'To make a ride repeat, send:\n<pre>/repeatride #rideId\nrepeat: weekly on tue, thu\nuntil: 31 Dec 2026 (optional)\ncount: 10 (optional)</pre>',
+      seriesUsage: 'Usage: <code>/series #rideId</code> to see the series, or add <code>pause</code>, <code>resume</code>, <code>skip DATE</code> or <code>end</code>.',
+      created: '🔁 Ride #{id} now repeats {rule}. Each next ride is created {daysAhead} day(s) before its date and posted to the same chats.',
+      statusTitle: '🔁 <b>Ride series</b>',
+      ruleLine: 'Repeats: {rule}',
+      statusLine: 'Status: {status}',
+      untilLine: 'Until: {date}',
+      countLine: 'Rides: {occurrences} of {count}',
+      occurrencesLine: 'Rides created: {occurrences}',
+      nextLine: 'Next ride: {date}',
+      skipLine: 'Skipped dates: {dates}',
+      statuses: {
+        active: 'active',
+        paused: 'paused',
+        ended: 'ended'
+      },
+      notInSeries: 'Ride #{id} does not repeat. Use /repeatride to make it repeat.',
+      invalidUntil: "❌ I couldn't understand the end date. Example: until: 31 Dec 2026",
+      invalidCount: '❌ The number of rides must be a whole number of at least 2.',
+      invalidSkipDate: '❌ Please provide the date to skip, e.g. <code>/series #abc123 skip 4 Nov</code>',
+      paused: 'Series paused. No new rides will be created until you resume it.',
+      resumed: 'Series resumed.',
+      ended: 'Series ended. Rides that already exist are not affected.',
+      skipped: 'No ride will be created on {date}.',
+      skipAlreadyCreated: 'The ride on {date} has already been created. Use /cancelride to cancel it.',
+      notActive: 'This series is not active.',
+      notPaused: 'This series is not paused.',
+      alreadyEnded: 'This series has ended. Use /repeatride to start it again.'
+    },
     listParticipants: {
       invalidRideIdUsage: 'Please provide a valid ride ID. Usage: /listparticipants rideID',
       allParticipantsTitle: 'All Participants for "{title}" ({total})',
       joinedLabel: 'Joined ({count})',
       thinkingLabel: 'Thinking ({count})',
+      waitlistLabel: 'Waitlist ({count})',
       notInterestedLabel: 'Not interested ({count})',
       noOneJoinedYet: 'No one joined yet.',
-      retrieveError: 'An error occurred while retrieving participants.'
+      retrieveError: 'An error occurred while retrieving participants.',
+      attendanceHistory: '{attended} attended, {noShow} no-show',
+      attendanceLegend: '✅ attended · 🚫 no-show on this ride. The counts cover all rides.'
+    },
+    attendance: {
+      title: '✅ Attendance',
+      summary: '✅ Attended: {attended} · 🚫 No-show: {noShow} · ▫️ Not marked: {unmarked}',
+      noJoined: 'No one joined this ride.',
+      hint: 'Tap a rider who showed up, or No-show next to them. Tap again to clear the mark.',
+      noShowButton: '🚫 No-show',
+      notStarted: 'Attendance can be marked from {minutes} minutes before the start.',
+      cancelled: 'This ride is cancelled.',
+      notJoined: 'This rider is no longer joined.',
+      error: 'An error occurred while saving attendance.',
+      checkIn: {
+        success: '✅ You are checked in. Have a good ride!',
+        notOpen: 'Check-in is not open for this ride.',
+        notJoined: 'Only riders who joined the ride can check in.',
+        alreadyCheckedIn: 'You are already checked in.'
+      }
     },
     share: {
       invalidRideIdUsage: 'Please provide a valid ride ID. Usage: /shareride rideID',
       onlyCreatorRepost: 'Only the ride creator can repost this ride.',
+      onlyCreatorInThisChat: 'In this chat, only the ride creator can share this ride.',
       cannotRepostCancelled: 'Cannot repost a cancelled ride.',
       alreadyPostedInChat: 'This ride is already posted in this chat{topicSuffix}.',
       topicSuffix: ' topic',
@@ -359,6 +647,7 @@ Click here to start a private chat: @botname
       joinedSuccess: 'You have joined the ride!',
       thinkingSuccess: 'You are thinking about this ride',
       skippedSuccess: 'You have passed on this ride',
+      waitlistSuccess: 'The ride is full. You are on the waitlist and will be notified if a spot opens up',
       rideNotFound: 'Ride not found',
       rideCancelled: 'This ride has been cancelled',
       updatedButMessageFailed: 'Your participation was updated, but message updates failed',
@@ -367,23 +656,47 @@ Click here to start a private chat: @botname
       states: {
         joined: 'joined',
         thinking: 'thinking',
-        skipped: 'skipped'
+        skipped: 'skipped',
+        waitlist: 'on the waitlist'
       }
     },
     notifications: {
       joined: '🚴 <b>{name}</b> joined your ride "<b>{title}</b>"\n\n🔕 To stop notifications:\n<pre>/updateride #{rideId}\nsettings.notifyParticipation: no</pre>',
       thinking: '🤔 <b>{name}</b> is thinking about your ride "<b>{title}</b>"\n\n🔕 To stop notifications:\n<pre>/updateride #{rideId}\nsettings.notifyParticipation: no</pre>',
-      skipped: '🙅 <b>{name}</b> declined your ride "<b>{title}</b>"\n\n🔕 To stop notifications:\n<pre>/updateride #{rideId}\nsettings.notifyParticipation: no</pre>'
+      skipped: '🙅 <b>{name}</b> declined your ride "<b>{title}</b>"\n\n🔕 To stop notifications:\n<pre>/updateride #{rideId}\nsettings.notifyParticipation: no</pre>',
+      waitlist: '⏳ <b>{name}</b> joined the waitlist for your ride "<b>{title}</b>"\n\n🔕 To stop notifications:\n<pre>/updateride #{rideId}\nsettings.notifyParticipation: no</pre>',
+      promotedFromWaitlist: '🎉 A spot opened up on the ride "<b>{title}</b>" and you have been moved from the waitlist to the participants!\n\n🎫 #Ride #{rideId}',
+      rideTransferred: '🔑 <b>{name}</b> handed the ride "<b>{title}</b>" over to you. You can now update, cancel and share it, and you get its participation notifications.\n\n🎫 #Ride #{rideId}'
+    },
+    reminders: {
+      joined: '⏰ Reminder: the ride "<b>{title}</b>" starts in {offset}.',
+      thinking: '🤔 The ride "<b>{title}</b>" starts in {offset} and you are still thinking. Will you join?',
+      whenLine: '📅 {date}, {time}',
+      meetingPointLine: '📍 {meetingPoint}',
+      footer: '🎫 #Ride #{rideId}',
+      offset: {
+        hours: '{count} h',
+        minutes: '{count} min'
+      }
+    },
+    calendar: {
+      usage: 'Send <code>/ics #rideId</code> or reply to a ride message with /ics to get the ride as a calendar file.',
+      rideFileCaption: '📅 {title}: open the file to add the ride to your calendar.',
+      feedLink: '📅 Your personal calendar feed with the rides you joined or created:\n<code>{url}</code>\n\nAdd it to your calendar app as a subscription ("From URL") and the rides stay in sync, including updates and cancellations. Keep the link private; <code>/ics reset</code> replaces it with a new one.\n\nFor a single ride, send <code>/ics #rideId</code>.',
+      feedReset: '🔄 Your previous calendar link no longer works.',
+      feedUnavailable: 'Calendar subscriptions are not available on this bot.',
+      feedName: 'Bike rides',
+      error: 'Failed to create the calendar. Please try again later.'
     },
     stateChange: {
-      onlyCreator: 'Only the ride creator can {action} this ride.',
+      onlyCreator: 'Only the ride creator, co-organizers and leaders of its club can {action} this ride.',
       messageUpdateError: 'Ride has been {action}, but there was an error updating the ride message. You may need to create a new ride message.'
     },
     group: {
       notInGroup: 'This command must be used in a group chat.',
       notSupergroup: 'This command requires a supergroup. To convert this group, enable "Chat history for new members" in the group settings — Telegram will upgrade it to a supergroup automatically. Then retry: <code>{command}</code>',
       rideNotFound: 'Ride not found.',
-      notCreator: 'Only the ride creator can perform this action.',
+      notCreator: 'Only the ride creator, co-organizers and leaders of its club can perform this action.',
       alreadyAttached: 'This ride already has a group attached. Use /detach first.',
       groupAlreadyAttachedToAnotherRide: 'This group is already attached to another ride. Use /detach first.',
       botNotAdmin: 'The bot is not an admin in this group. Please make it an admin and try again.',
@@ -405,7 +718,8 @@ Click here to start a private chat: @botname
       success: 'Ride deleted successfully.',
       failed: 'Failed to delete ride.',
       deletedMessages: 'Deleted {count} message(s).',
-      removedMessages: 'Removed {count} unavailable message(s).'
+      removedMessages: 'Removed {count} unavailable message(s).',
+      inlineMessageNotice: '🗑 This ride was deleted by its organizer.'
     },
     airide: {
       usageHint: 'Use /airide to create a ride in dialog mode.\nTo update an existing ride: /airide #rideId',
@@ -431,38 +745,72 @@ Click here to start a private chat: @botname
     noParticipantsYet: 'No participants yet',
     noOneJoinedYet: 'No one joined yet',
     atWord: 'at',
+    viewerTime: '{time} in {timezone}',
     routeLinkLabel: 'Link',
     noCreatedRides: 'You have not created any rides yet.',
     yourRidesTitle: 'Your Rides',
+    upcomingRidesTitle: 'Upcoming Rides',
+    noUpcomingRides: 'No upcoming rides have been shared in this chat yet.',
+    myRides: {
+      titles: {
+        joined: 'Rides you joined',
+        thinking: 'Rides you are thinking about',
+        past: 'Your past rides'
+      },
+      empty: {
+        joined: 'You have not joined any upcoming rides.',
+        thinking: 'You are not thinking about any upcoming rides.',
+        past: 'You have not ridden any rides with the bot yet.'
+      },
+      onWaitlist: 'You are on the waitlist'
+    },
     postedInSingleChat: 'Posted in {count} chat',
     postedInMultipleChats: 'Posted in {count} chats',
     notPostedInAnyChats: 'Not posted in any chats',
     pageLabel: 'Page {page}/{totalPages}',
     andMoreParticipants: '{displayedList} and {count} more',
-    upToSpeed: 'up to {max} km/h',
+    upToSpeed: 'up to {max} {unit}',
     shareLine: 'Share this ride: <code>/shareride #{id}</code>',
     groupChatLine: '<blockquote>Join the ride\'s private group chat: send <code>/joinchat #{id}</code> to the bot in private messages (only works if you have joined the ride).</blockquote>',
+    shareLineWithLinks: 'Share this ride: <code>/shareride #{id}</code>\nLinks for websites and posters: <a href="{rideLink}">view the ride</a> · <a href="{joinLink}">join the ride</a>',
+    groupChatLineWithLink: '<blockquote>Join the ride\'s private group chat: <a href="{joinLink}">join the ride</a> and the bot will send you an invite link, or send <code>/joinchat #{id}</code> to the bot if you have already joined.</blockquote>',
     labels: {
       when: 'When',
       category: 'Category',
       organizer: 'Organizer',
       meetingPoint: 'Meeting point',
       route: 'Route',
+      routeFile: 'GPX',
+      map: 'map',
       distance: 'Distance',
+      elevation: 'Elevation gain',
       duration: 'Duration',
       speed: 'Avg speed',
-      additionalInfo: 'Additional info'
+      maxParticipants: 'Max participants',
+      additionalInfo: 'Additional info',
+      difficulty: 'Difficulty'
+    },
+    difficulty: {
+      easy: 'Easy',
+      moderate: 'Moderate',
+      hard: 'Hard',
+      veryHard: 'Very hard'
     },
     participation: {
       joined: 'Joined',
       thinking: 'Thinking',
+      waitlist: 'Waitlist',
       notInterested: 'Not interested'
     },
     units: {
       km: 'km',
       min: 'min',
       hour: 'h',
-      kmh: 'km/h'
+      kmh: 'km/h',
+      mi: 'mi',
+      mph: 'mph',
+      m: 'm',
+      ft: 'ft'
     }
   },
   categories: {
@@ -482,6 +830,48 @@ Click here to start a private chat: @botname
     },
     duration: {
       invalidFormat: "❌ I couldn't understand that duration format. Please try something like:\n• 90 (for 90 minutes)\n• 2h (for 2 hours)\n• 2h 30m (for 2 hours and 30 minutes)\n• 1.5h (for 1 hour and 30 minutes)"
+    },
+    maxParticipants: {
+      invalidFormat: '❌ Maximum participants must be a positive whole number, e.g. 15.'
+    },
+    distance: {
+      invalid: '❌ I couldn\'t understand the distance "{value}". Use a number, optionally with km or mi, e.g. 40, 65km or 40mi.'
+    },
+    elevation: {
+      invalid: '❌ I couldn\'t understand the elevation gain "{value}". Use a number, optionally with m or ft, e.g. 850, 850m or 2800ft.'
+    },
+    timezone: {
+      invalid: '❌ Unknown timezone "{timezone}". Use a name from the tz database, e.g. Europe/Berlin or America/New_York.'
+    },
+    rideSearch: {
+      unknownParam: '❌ Unknown search criterion "{param}". Use category, from, to, dist, speed, text or cancelled.',
+      invalidValue: '❌ I couldn\'t understand {param}: "{value}".',
+      invalidCategory: '❌ Unknown category "{value}". Use one of: {categories}.'
+    },
+    recurrence: {
+      invalidFormat: "❌ I couldn't understand the repeat rule. Please try something like:\n• weekly on tue, thu\n• every 2 weeks on sat\n• monthly on 2nd sun\n• monthly on last sat"
+    }
+  },
+  recurrence: {
+    weekly: 'weekly on {days}',
+    everyNWeeks: 'every {interval} weeks on {days}',
+    monthly: 'monthly on the {ordinal} {day}',
+    everyNMonths: 'every {interval} months on the {ordinal} {day}',
+    ordinals: {
+      1: '1st',
+      2: '2nd',
+      3: '3rd',
+      4: '4th',
+      last: 'last'
+    },
+    weekdays: {
+      sun: 'Sun',
+      mon: 'Mon',
+      tue: 'Tue',
+      wed: 'Wed',
+      thu: 'Thu',
+      fri: 'Fri',
+      sat: 'Sat'
     }
   },
   wizard: {
@@ -505,18 +895,24 @@ Click here to start a private chat: @botname
       category: '🚵 Please select the ride category:',
       organizer: '👤 Who is organizing this ride?\n<i>Enter a dash (-) to clear/skip this field</i>',
       date: '📅 When is the ride?\nYou can use natural language like:\n• tomorrow at 6pm\n• in 2 hours\n• this saturday 10am\n• 21 Jul 14:30',
-      route: '🗺️ Please enter the route link (or skip):\n<i>Enter a dash (-) to clear/skip this field</i>',
-      distance: '📏 Please enter the distance in kilometers (or skip):\n<i>Enter a dash (-) to clear/skip this field</i>',
+      route: '🗺️ Please enter the route link or send a GPX file (or skip):\n<i>Enter a dash (-) to clear/skip this field</i>',
+      distance: '📏 Please enter the distance in your /units, or add km or mi (e.g. 40mi), or skip:\n<i>Enter a dash (-) to clear/skip this field</i>',
+      elevation: '⛰ Please enter the elevation gain in your /units (meters or feet), or add m or ft (e.g. 2800ft), or skip:\n<i>Enter a dash (-) to clear/skip this field</i>',
       duration: '⏱ Please enter the duration (e.g., \"2h 30m\", \"90m\", \"1.5h\"):\n<i>Enter a dash (-) to clear/skip this field</i>',
-      speed: '⚡ Avg speed in km/h or skip:\n• 25-28 — range\n• 25+ or 25- — minimum\n• -28 — maximum\n• 25 or ~25 — average\n<i>Enter a dash (-) to clear/skip this field</i>',
-      meet: '📍 Please enter the meeting point (or skip):\n<i>Enter a dash (-) to clear/skip this field</i>',
+      speed: '⚡ Avg speed in your /units (add km/h or mph to choose) or skip:\n• 25-28 — range\n• 25+ or 25- — minimum\n• -28 — maximum\n• 25 or ~25 — average\n<i>Enter a dash (-) to clear/skip this field</i>',
+      meet: '📍 Please enter the meeting point or send a location (or skip):\n<i>Enter a dash (-) to clear/skip this field</i>',
+      max: '👥 Maximum number of participants (or skip for no limit):\nWhen the ride is full, new riders go to the waitlist.\n<i>Enter a dash (-) to clear/skip this field</i>',
       info: 'ℹ️ Please enter any additional information (or skip):\n<i>Enter a dash (-) to clear/skip this field</i>',
       notify: '🔔 Notify you when participants join or leave?\n<i>You can change this later by updating the ride.</i>'
     },
     validation: {
       titleRequired: 'Title cannot be empty',
       routeInvalid: 'Invalid route URL format. Please provide a valid URL, use a dash (-) to clear the field, or click Skip.',
-      distanceInvalid: 'Please enter a valid number for distance, or use a dash (-) to clear the field.'
+      routeFileInvalid: 'Please send the route as a .gpx file.',
+      documentNotExpected: 'Files can only be sent at the route step. Please reply with text.',
+      locationNotExpected: 'Locations can only be sent at the meeting point step. Please reply with text.',
+      distanceInvalid: 'Please enter a valid number for distance, or use a dash (-) to clear the field.',
+      elevationInvalid: 'Please enter a valid number for elevation gain, or use a dash (-) to clear the field.'
     },
     confirm: {
       confirmPrompt: '👆 Review the preview above and confirm'
@@ -531,6 +927,8 @@ Click here to start a private chat: @botname
       errorCreatingRide: 'An error occurred while creating the ride.',
       errorUpdatingRide: 'An error occurred while updating the ride.',
       originalRideNotFound: 'Original ride not found',
+      clubNotFound: 'Club {id} not found. Send /club to see the IDs of your clubs.',
+      clubLeadersOnly: 'Only leaders, admins and the owner of "{club}" can add rides to it.',
       selfOrganizerReferences: ['i', 'me', 'myself']
     },
     rideMessages: {
@@ -543,19 +941,26 @@ Click here to start a private chat: @botname
     category: 'Ride category',
     organizer: 'Ride organizer name',
     when: 'Date and time of the ride',
+    timezone: 'Timezone of the ride, e.g. Europe/Berlin (your /timezone by default)',
     meet: 'Meeting point',
     route: 'Route URL',
-    dist: 'Distance in kilometers',
+    dist: 'Distance, e.g. 65 or 40mi (your /units without a unit)',
+    elevation: 'Elevation gain, e.g. 850 or 2800ft (meters or feet by your /units without a unit)',
     duration: 'Duration in minutes',
-    speed: 'Speed: range (25-28), min (25+), max (-28), avg (25)',
+    speed: 'Speed: range (25-28), min (25+), max (-28), avg (25); add km/h or mph to choose units',
+    max: 'Maximum number of participants',
     info: 'Additional information',
+    club: 'ID of the club that owns the ride (see /club); its leaders may edit it',
     settingsNotifyParticipation: 'Ride setting: notify on participation changes (yes/no)',
     settingsAllowReposts: 'Ride setting: allow other users to repost with /shareride (yes/no)',
     id: 'Ride ID (for commands that need it)'
   },
   utils: {
     routeParser: {
-      invalidUrl: 'Invalid URL format. Please provide a valid URL.'
+      invalidUrl: 'Invalid URL format. Please provide a valid URL.',
+      gpxTooLarge: 'The GPX file is too large. Files up to {size} MB are supported.',
+      gpxDownloadFailed: 'Could not download the GPX file. Please try again.',
+      gpxInvalid: 'No route was found in this file. Please send a GPX file with a track or route.'
     }
   },
   bot: {
@@ -570,13 +975,30 @@ Click here to start a private chat: @botname
       listparticipants: 'List all participants for a ride',
       dupride: 'Duplicate an existing ride',
       resumeride: 'Resume a cancelled ride',
+      repeatride: 'Make a ride repeat on a schedule',
+      series: 'Pause, skip or end a repeating ride',
       shareride: 'Share a ride in a chat',
       attach: 'Attach a Telegram group to a ride',
       detach: 'Detach the Telegram group from its ride',
       airide: 'Create or update a ride using AI',
       joinchat: 'Join the private group chat for a ride',
       fromstrava: 'Create or update a ride from a Strava event',
-      settings: 'Manage ride settings and defaults'
+      ics: 'Add rides to your calendar',
+      settings: 'Manage ride settings and defaults',
+      language: 'Choose the bot language',
+      timezone: 'Set your timezone',
+      units: 'Choose kilometers or miles',
+      addleader: 'Add a co-organizer to your ride',
+      announce: 'Send a message to the riders of your ride',
+      exportparticipants: 'Export the participants of your rides',
+      attendance: 'Mark who showed up for your ride',
+      transferride: 'Hand your ride over to another rider',
+      refreshroute: 'Read the route of your ride again',
+      club: 'Create, join and manage clubs',
+      upcoming: 'Show upcoming rides of this chat',
+      myrides: 'Rides you joined or are thinking about',
+      findrides: 'Search your rides',
+      groupsettings: 'Language, timezone, units and sharing in this group'
     }
   }
 };
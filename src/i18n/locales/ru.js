@@ -49,9 +49,11 @@ when: Date and time (e.g., "tomorrow at 6pm", "this saturday 10am", "21 Jul 14:3
 category: One of: "Regular/Mixed Ride" (default), "Road Ride", "Gravel Ride", "Mountain/Enduro/Downhill Ride", "MTB-XC Ride", "E-Bike Ride", "Virtual/Indoor Ride" (optional)
 meet: Meeting point (optional)
 route: Ссылка на маршрут или "Label | URL" (повторяйте параметр для нескольких маршрутов) (optional)
-dist: Distance in km (optional)
+dist: Distance in km, or add mi for miles (40mi) (optional)
+elevation: Набор высоты в м, или с ft для футов (2800ft) (optional)
 duration: Duration in minutes or human-readable format (e.g., "2h 30m", "90m", "1.5h") (optional)
-speed: Speed in km/h: range (25-28), min (25+ or 25-), max (-28), avg (25 or ~25) (optional)
+speed: Speed in km/h or with mph: range (25-28), min (25+ or 25-), max (-28), avg (25 or ~25) (optional)
+max: Максимум участников; остальные попадут в лист ожидания (optional)
 info: Additional information (optional)
 settings.notifyParticipation: yes/no — уведомлять создателя об изменениях участия (optional)
 settings.allowReposts: yes/no — разрешить другим пользователям репост через /shareride (optional)
@@ -77,6 +79,8 @@ info: Bring lights and a rain jacket
 • Используйте <code>route: Label | URL</code>, чтобы задать собственный лейбл
 • URL всегда берется из последнего сегмента после <code>|</code>, поэтому символ <code>|</code> можно использовать внутри лейбла
 • Если лейбл не указан, бот покажет <code>Strava</code>, <code>Garmin</code>, <code>Komoot</code>, <code>RideWithGPS</code> или локализованное <code>Link</code>/<code>Ссылка</code>
+• Отправьте файл .gpx с подписью <code>/newride</code> (или на шаге маршрута в мастере), чтобы прикрепить его: дистанция и место сбора заполнятся по треку
+• Данные маршрута хранятся неделю; <code>/refreshroute #abc123</code> загрузит их заново
 
 3. Через AI в режиме диалога (только в личном чате с ботом):
 Отправьте /airide и опишите поездку в свободной форме. Бот разберет детали с помощью AI, покажет живое превью и позволит уточнять информацию в нескольких сообщениях до подтверждения. AI также умеет извлекать несколько ссылок на маршрут.
@@ -194,10 +198,23 @@ settings.allowReposts: yes/no (optional)
 Доступные настройки:
 • Уведомления об участии — будет ли создатель получать личные уведомления, когда участники записываются, думают или отказываются.
 • Разрешение репостов — могут ли пользователи кроме создателя публиковать поездку через /shareride.
+• Геопозиция места встречи — отправлять ли место встречи в группы отдельным сообщением с геопозицией. Место встречи получает метку на карте, если его отправить геопозицией или заведением на шаге места встречи в мастере или ответить на такое сообщение командой <code>/updateride #abc123</code>.
+• Напоминания — когда участники получат напоминание перед стартом (24 ч, 2 ч, 1 ч); те, кто ещё думает, получат просьбу определиться.
 Дефолты применяются только к новым поездкам. Настройки поездки влияют только на эту поездку.
 
 <b>🧭 Кнопки управления в личном чате</b>
-В личном сообщении своей поездки создатель видит кнопки: редактировать, дублировать, удалить, отменить/возобновить, посмотреть участников и открыть настройки.
+В личном сообщении своей поездки создатель видит кнопки: редактировать, дублировать, удалить, отменить/возобновить, посмотреть участников, открыть настройки и управлять соорганизаторами.
+
+<b>🔁 Повторяющиеся поездки</b>
+Сделайте поездку повторяющейся, и бот будет сам создавать следующую:
+<pre>
+/repeatride #abc123
+repeat: еженедельно по вт, чт
+until: 31 дек 2026 (необязательно)
+count: 10 (необязательно)
+</pre>
+Правила: еженедельно по ДНЯМ, каждые 2 недели по ДНЯМ, ежемесячно во 2-е вс, ежемесячно в последнюю сб. Новая поездка копирует последнюю в серии, создается за несколько дней и публикуется в те же чаты.
+Управляйте серией командой <code>/series #abc123</code> с <code>pause</code>, <code>resume</code>, <code>skip ДАТА</code> или <code>end</code>.
 
 <b>📢 Публикация поездки</b>
 По умолчанию публиковать поездку в другой чат может только создатель. Создатель может разрешить репосты другим пользователям в /settings.
@@ -213,7 +230,7 @@ id: abc123 (or #abc123)
 <b>Важно:</b> Бот должен быть добавлен в другой чат до публикации. Для короткой формы /shareride бот должен быть администратором в том чате, но всегда можно использовать полную форму /shareride@botname.
 
 <b>📎 Привязка группы к поездке</b>
-Привязать группу может только создатель поездки:
+Привязать группу может создатель поездки или соорганизатор:
 1. Создайте Telegram-группу и добавьте бота как администратора (нужны права «Добавление участников» и «Блокировка пользователей»)
 2. Используйте /attach с ID поездки в группе: <code>/attach #abc123</code>
 Бот переименует группу по названию и дате поездки, опубликует и закрепит информацию о поездке и будет автоматически добавлять/удалять участников по мере изменения их статуса.
@@ -226,6 +243,50 @@ id: abc123 (or #abc123)
 <code>/joinchat #rideId</code>
 Бот вышлет одноразовую ссылку (действительна 24 часа). Команда работает только если вы записались в поездку.
 
+<b>✅ Посещаемость</b>
+С 30 минут до старта и до 3 часов после него в сообщении о поездке есть кнопка «Я на месте» для записавшихся. Организаторы отмечают, кто пришёл, кнопкой «Посещаемость» или командой <code>/attendance #rideId</code>, а /listparticipants показывает им посещаемость каждого участника по всем поездкам.
+    `.trim(),
+
+    help4: `
+<b>👤 Личные настройки</b>
+Команда /language выбирает язык сообщений бота. Пока язык не выбран, бот следует языку вашего приложения Telegram.
+Команда /timezone задаёт часовой пояс ваших новых поездок (или <code>timezone:</code> в поездке).
+Команда /units выбирает километры или мили. В них сообщения о поездках в личном чате и мастер показывают дистанцию, набор высоты и скорость, и в них читаются числа без единиц. Единицы всегда можно указать явно: <code>dist: 40mi</code>, <code>speed: 16-18mph</code>.
+
+<b>🌍 Настройки группы</b>
+Администраторы группы могут отправить в ней /groupsettings, чтобы задать язык, часовой пояс и единицы публикаций, тему для них и право участников публиковать поездки.
+
+<b>👥 Соорганизаторы</b>
+Отправьте <code>/addleader #abc123 @username</code>, чтобы участник, откликнувшийся на вашу поездку, управлял ею вместе с вами. Соорганизаторы могут обновлять, отменять и возобновлять поездку, смотреть участников, менять её настройки и привязывать группу, а также получают уведомления об участии. Кнопка «Соорганизаторы» в личном сообщении поездки показывает их и позволяет удалить.
+Отправьте <code>/transferride #abc123 @username</code>, чтобы передать поездку одному из её участников: участники, сообщения, привязанная группа и настройки остаются у поездки.
+
+<b>📣 Объявления</b>
+Отправьте <code>/announce #abc123</code> и текст на следующих строках (или нажмите кнопку «Объявление») и выберите, кто получит его в личные сообщения: записавшиеся, думающие или все. Тех, кто ни разу не запускал бота, упомянут в привязанной группе, а вы получите отчёт о доставке.
+
+<b>📋 Выгрузка участников</b>
+Отправьте <code>/exportparticipants #abc123</code> (или нажмите кнопку «Выгрузка»), чтобы получить участников поездки в CSV-файле; добавьте <code>json</code> для JSON. Чтобы выгрузить все свои поездки за период, укажите <code>from</code> и <code>to</code> на следующих строках, как в /findrides.
+
+<b>🏁 Клубы</b>
+Отправьте <code>/club create Название</code>, чтобы создать клуб и поделиться его кодом приглашения; /club покажет ваши клубы и все команды клубов. Администраторы назначают участникам роли leader, admin или member. Добавьте <code>club: ID</code> к поездке, чтобы сделать её клубной: тогда ею смогут управлять все лидеры клуба, а /listrides покажет поездки клуба.
+
+<b>🗓 Ближайшие поездки</b>
+Отправьте /upcoming в группе, чтобы увидеть ещё не начавшиеся поездки, опубликованные в ней или привязанные к ней, начиная с ближайшей, со ссылками на их сообщения. В личном чате команда покажет предстоящие поездки, опубликованные у вас.
+
+<b>🚴 Ваши поездки как участника</b>
+Отправьте /myrides, чтобы увидеть поездки, в которые вы записались, о которых думаете, и прошедшие поездки. Кнопки под списком меняют ваш ответ на поездку без поиска её сообщения.
+
+<b>🔎 Поиск по вашим поездкам</b>
+Отправьте /findrides со словами из названия или места встречи, а критерии укажите на следующих строках: <code>category</code>, <code>from</code>, <code>to</code>, <code>dist</code>, <code>speed</code> и <code>cancelled</code>. Отправьте /findrides без параметров, чтобы увидеть пример.
+
+<b>📤 Публикация поездок в любом чате</b>
+В любом чате наберите <code>@botname</code> и часть названия поездки, затем выберите поездку, чтобы опубликовать её с кнопками участия. Боту не нужно быть в этом чате. Можно публиковать свои предстоящие поездки и поездки, к которым вы присоединились, если они разрешают репосты.
+
+<b>🔗 Ссылки на поездку</b>
+В сообщениях о ваших поездках в личном чате есть две ссылки для сайтов, описаний в Strava и афиш: одна открывает поездку в боте, другая записывает в поездку после подтверждения.
+
+<b>📅 Календарь</b>
+Отправьте <code>/ics #abc123</code> (или ответьте на сообщение о поездке командой /ics), чтобы получить поездку в виде .ics-файла.
+Отправьте просто /ics, чтобы получить личную ссылку на календарь: подпишитесь на неё в приложении календаря, и поездки, к которым вы присоединились или которые создали, будут синхронизироваться. <code>/ics reset</code> заменит ссылку.
     `.trim(),
 
     ride: `
@@ -234,6 +295,7 @@ id: abc123 (or #abc123)
 {rideDetails}
 🚴 {joinedLabel} ({participantCount}): {participants}
 🤔 {thinkingLabel} ({thinkingCount}): {thinking}
+⏳ {waitlistLabel} ({waitlistCount}): {waitlist}
 🙅 {notInterestedLabel}: {notInterestedCount}
 
 {groupChatLine}{shareLine}🎫 #Ride #{id}{cancelledInstructions}
@@ -263,6 +325,11 @@ id: abc123 (or #abc123)
     resumeRide: 'Возобновить',
     participants: 'Участники',
     settings: 'Настройки',
+    coOrganizers: 'Соорганизаторы',
+    announce: 'Объявление',
+    exportParticipants: 'Выгрузка',
+    attendance: 'Посещаемость',
+    checkIn: '📍 Я на месте',
     confirmDelete: 'Да, удалить ❌',
     cancelDelete: 'Нет, оставить ✅',
     back: '⬅️ Назад',
@@ -287,6 +354,11 @@ id: abc123 (or #abc123)
     ownerActions: {
       settingsComingSoon: 'Настройки поездки пока недоступны.'
     },
+    start: {
+      joinConfirm: 'Записаться в поездку <b>{title}</b> на {date}?',
+      routeFileCaption: 'GPX-маршрут поездки <b>{title}</b>',
+      routeFileMissing: 'У этой поездки нет GPX-файла.'
+    },
     settings: {
       userTitle: 'Настройки по умолчанию для новых поездок',
       userHint: 'Эти значения будут копироваться в каждую новую поездку, которую вы создаете.',
@@ -298,9 +370,64 @@ id: abc123 (or #abc123)
       disableNotifyOnParticipationChange: 'Выключить уведомления об участии',
       enableReposts: 'Разрешить репосты',
       disableReposts: 'Запретить репосты',
+      shareLocationLabel: 'Отправлять место встречи геопозицией в группы',
+      enableShareLocation: 'Отправлять геопозицию места встречи',
+      disableShareLocation: 'Не отправлять геопозицию места встречи',
+      remindersLabel: 'Напоминать участникам перед стартом',
+      remindersOff: 'выкл.',
+      reminderEnabledButton: '✅ {offset}',
+      reminderDisabledButton: '⬜ {offset}',
       updated: 'Настройки по умолчанию обновлены.',
       rideUpdated: 'Настройки поездки обновлены.'
     },
+    groupSettings: {
+      title: '⚙️ Настройки группы',
+      languageLine: 'Язык публикаций поездок: {value}',
+      languageDefault: 'язык того, кто публикует поездку',
+      timezoneLine: 'Местное время рядом со временем поездок: {value}',
+      timezoneDefault: 'не показывается',
+      unitsLine: 'Единицы в публикациях поездок: {value}',
+      topicLine: 'Тема для публикаций поездок: {value}',
+      topicSet: 'тема {id}',
+      topicDefault: 'тема, в которой публикуют поездку',
+      sharesLine: 'Участники могут публиковать любые поездки с разрешёнными репостами: {value}',
+      usage: 'Изменить настройку:\n<code>/groupsettings language {languages}|default</code>\n<code>/groupsettings timezone Europe/Moscow|default</code>\n<code>/groupsettings units metric|imperial|default</code>\n<code>/groupsettings topic here|off</code> (отправьте в нужной теме)\n<code>/groupsettings shares on|off</code>',
+      notAdmin: 'Менять настройки группы могут только её администраторы.',
+      invalidTimezone: 'Неизвестный часовой пояс «{timezone}». Используйте название вида <code>Europe/Moscow</code>.',
+      topicOutsideTopic: 'Отправьте <code>/groupsettings topic here</code> в той теме, куда нужно публиковать поездки.',
+      updated: '✅ Настройки группы обновлены.',
+      error: 'Не удалось обновить настройки группы. Попробуйте позже.'
+    },
+    language: {
+      title: '🌐 Язык',
+      current: 'Текущий язык: {language}',
+      automatic: 'язык приложения Telegram ({language})',
+      automaticButton: 'Как в приложении Telegram',
+      hint: 'На этом языке бот пишет вам, включая уведомления.',
+      nativeName: 'Русский',
+      updated: 'Язык изменён.'
+    },
+    timezone: {
+      title: '🕒 Часовой пояс',
+      current: 'Ваш часовой пояс: {timezone}',
+      default: 'не задан, используется {timezone}',
+      serverTime: 'время сервера',
+      hint: 'Ваши новые поездки проходят в этом часовом поясе, если не указан <code>timezone:</code>, а сообщения о поездках в этом чате показывают ваше местное время для поездок в других поясах.',
+      usage: 'Изменить: <code>/timezone Europe/Moscow</code>, вернуть значение по умолчанию: <code>/timezone default</code>.',
+      invalid: 'Неизвестный часовой пояс «{timezone}». Используйте название вроде <code>Europe/Moscow</code>.',
+      updated: '✅ Часовой пояс изменён.',
+      error: 'Не удалось изменить часовой пояс. Попробуйте позже.'
+    },
+    units: {
+      title: '📏 Единицы измерения',
+      current: 'Ваши единицы: {units}',
+      metric: 'километры (км, км/ч)',
+      imperial: 'мили (mi, mph)',
+      hint: 'В этих единицах сообщения о поездках в этом чате и мастер показывают дистанцию и скорость, и в них читаются числа без единиц. Единицы всегда можно указать явно, например <code>dist: 40mi</code> или <code>speed: 18mph</code>.',
+      usage: 'Изменить: <code>/units metric</code> или <code>/units imperial</code>.',
+      updated: '✅ Единицы измерения изменены.',
+      error: 'Не удалось изменить единицы измерения. Попробуйте позже.'
+    },
     common: {
       rideNotFoundById: 'Поездка #{id} не найдена',
       rideNotFoundByIdWithDot: 'Поездка #{id} не найдена.',
@@ -308,6 +435,7 @@ id: abc123 (or #abc123)
       unknownParameters: 'Неизвестные параметры: {params}',
       validParameters: 'Допустимые параметры:',
       onlyCreatorAction: 'Только создатель поездки может выполнить это действие.',
+      onlyManagerAction: 'Только создатель поездки, соорганизаторы и лидеры ее клуба могут выполнить это действие.',
       rideActionUpdatedMessages: 'Поездка успешно {action}. Обновлено сообщений: {count}.',
       rideActionNoMessagesUpdated: 'Поездка была {action}, но ни одно сообщение не обновилось. Возможно, стоит снова опубликовать поездку через /shareride в нужных чатах: старые сообщения могли быть удалены.',
       removedUnavailableMessages: 'Удалено недоступных сообщений: {count}.',
@@ -322,7 +450,7 @@ id: abc123 (or #abc123)
       }
     },
     update: {
-      onlyCreator: 'Только создатель поездки может ее обновить.',
+      onlyCreator: 'Только создатель поездки, соорганизаторы и лидеры ее клуба могут ее обновить.',
       messageUpdateError: 'Поездка была обновлена, но возникла ошибка при обновлении сообщения о поездке. Возможно, нужно создать новое сообщение о поездке.'
     },
     cancel: {
@@ -334,18 +462,178 @@ id: abc123 (or #abc123)
     duplicate: {
       success: 'Поездка успешно продублирована!'
     },
+    announce: {
+      usage: 'Отправьте <code>/announce #{id}</code> и текст сообщения на следующих строках, например:\n<pre>/announce #{id}\nМесто встречи перенесли на 200 м, к северному входу.</pre>',
+      preview: '📣 Объявление для поездки <b>{title}</b>:\n\n{text}\n\nКому отправить?',
+      targets: {
+        joined: 'Участникам',
+        thinking: 'Думающим',
+        all: 'Всем'
+      },
+      message: '📣 Сообщение от {name} о поездке <b>{title}</b>:\n\n{text}\n\n🎫 #Ride #{id}',
+      groupMessage: '📣 Сообщение от {name} о поездке <b>{title}</b> для {mentions}:\n\n{text}\n\n🎫 #Ride #{id}',
+      sending: '📣 Отправляем объявление… Когда все его получат, здесь появится отчёт о доставке.',
+      report: '📣 Объявление отправлено.\nПолучателей: {total}\n✅ Доставлено: {sent}\n👥 Опубликовано в группе поездки для: {viaGroup}\n⚠️ Не доставлено: {failed}',
+      noRecipients: 'Нет участников в выбранном статусе, объявление не отправлено.',
+      cancelled: 'Объявление отменено.',
+      expired: 'Сообщение с объявлением больше недоступно. Отправьте /announce ещё раз.',
+      error: 'Произошла ошибка при отправке объявления.'
+    },
+    exportParticipants: {
+      usage: 'Отправьте <code>/exportparticipants #abc123</code>, чтобы получить участников поездки в CSV-файле, или <code>/exportparticipants #abc123 json</code> для JSON.\nЧтобы выгрузить все свои поездки за период, укажите критерии /findrides на следующих строках, например:\n<pre>/exportparticipants csv\nfrom: 2025-05-01\nto: 2025-05-31</pre>',
+      rideCaption: '📋 Участники поездки {title}',
+      rangeCaption: '📋 Участники поездок: {count}',
+      rangeCaptionTruncated: '📋 Участники первых {count} из {total} поездок. Сузьте даты, чтобы выгрузить остальные.',
+      noRides: 'Ни одна из ваших поездок не подходит под эти критерии.',
+      error: 'Произошла ошибка при выгрузке участников.'
+    },
+    coOrganizers: {
+      title: '👥 Соорганизаторы',
+      none: 'Соорганизаторов пока нет.',
+      hint: 'Соорганизаторы могут обновлять, отменять и возобновлять поездку, смотреть участников, менять её настройки и привязывать группу. Они получают уведомления об участии и кнопки управления в сообщении о поездке в личном чате с ботом.',
+      usage: 'Чтобы добавить соорганизатора, отправьте <code>/addleader #{id} @username</code>. Добавить можно только участника, откликнувшегося на поездку.',
+      removeButton: '✖️ {name}',
+      onlyCreator: 'Управлять соорганизаторами может только создатель поездки.',
+      notParticipant: '{user} ещё не откликнулся на эту поездку. Попросите сначала нажать одну из её кнопок.',
+      creator: 'Создатель поездки уже управляет ею.',
+      alreadyCoOrganizer: '{name} уже соорганизатор этой поездки.',
+      added: '✅ {name} теперь соорганизатор поездки «{title}».',
+      removed: 'Соорганизатор удалён.',
+      notCoOrganizer: 'Этот участник больше не соорганизатор.',
+      error: 'Не удалось изменить соорганизаторов. Попробуйте позже.'
+    },
+    transfer: {
+      usage: 'Чтобы передать поездку, отправьте <code>/transferride #{id} @username</code>. Передать её можно участнику, откликнувшемуся на поездку, или соорганизатору.',
+      onlyCreator: 'Передать поездку может только её создатель.',
+      notParticipant: '{user} ещё не откликнулся на эту поездку. Попросите сначала нажать одну из её кнопок.',
+      creator: 'Эта поездка уже ваша.',
+      transferred: '✅ Поездка «{title}» теперь принадлежит {name}. Участники, опубликованные сообщения, привязанная группа и настройки остаются у поездки; кнопки управления и уведомления переходят к новому создателю, которому отправлено сообщение.',
+      error: 'Не удалось передать поездку. Попробуйте позже.'
+    },
+    refreshRoute: {
+      onlyCreator: 'Обновить маршрут может только создатель поездки.',
+      noRoutes: 'У этой поездки нет маршрута Strava, RideWithGPS, Komoot или Garmin, который можно обновить.',
+      noMetadata: 'Не удалось прочитать данные маршрута. Поездка не изменилась; попробуйте позже.',
+      refreshed: '✅ Данные маршрута поездки «{title}» загружены заново, поездка обновлена.',
+      error: 'Не удалось обновить маршрут. Попробуйте позже.'
+    },
+    upcoming: {
+      error: 'Не удалось загрузить ближайшие поездки. Попробуйте позже.'
+    },
+    myRides: {
+      tabs: {
+        joined: '🚴 Еду',
+        thinking: '🤔 Думаю',
+        past: '🕘 Прошедшие'
+      },
+      error: 'Не удалось загрузить ваши поездки. Попробуйте позже.'
+    },
+    findRides: {
+      usage: 'Поиск по вашим поездкам: напишите после команды слова из названия или места встречи, а критерии — на следующих строках, например:\n<code>/findrides озеро\ncategory: road\nfrom: 2025-05-01\nto: 2025-05-31\ndist: 40-80\nspeed: 25-30\ncancelled: no</code>\nКатегории: mixed, road, gravel, mtb, mtb-xc, e-bike, virtual. Диапазоны можно задать и как <code>40+</code> или <code>-80</code>.',
+      title: 'Найдено поездок: {total}',
+      noResults: 'Поездки по вашему запросу не найдены.',
+      expired: 'Сообщение с запросом удалено. Отправьте /findrides ещё раз.',
+      error: 'Не удалось выполнить поиск поездок. Попробуйте позже.'
+    },
+    club: {
+      usage: '<code>/club create Название</code> создаёт клуб, <code>/club join КОД</code> вступает в клуб по коду приглашения.\n<code>/club info ID</code> показывает участников, <code>/club invite ID</code> показывает код приглашения (добавьте <code>reset</code>, чтобы заменить его), <code>/club role ID @username admin|leader|member</code> меняет роль, <code>/club remove ID @username</code> удаляет участника, а <code>/club leave ID</code> выходит из клуба.',
+      listTitle: '🏁 <b>Ваши клубы</b>',
+      listItem: '• <b>{name}</b>: {role}, ID <code>{id}</code>',
+      noClubs: 'Вы пока не состоите ни в одном клубе.',
+      created: '✅ Клуб «{name}» создан, его ID: <code>{id}</code>. Чтобы вступить, участники отправляют боту <code>/club join {code}</code>. Добавьте <code>club: {id}</code> к поездке, чтобы сделать её клубной.',
+      invalidName: 'Укажите название клуба длиной до {max} символов: <code>/club create Название</code>',
+      notFound: 'Клуб {id} не найден.',
+      notMember: 'Вы не состоите в этом клубе.',
+      adminOnly: 'Это могут делать только администраторы и владелец клуба.',
+      infoTitle: '🏁 <b>{name}</b> (ID <code>{id}</code>)',
+      memberItem: '• {name}: {role}',
+      invite: 'Чтобы вступить в «{name}», участники отправляют боту <code>/club join {code}</code>.',
+      inviteReset: '🔄 Прежний код приглашения больше не действует. Теперь, чтобы вступить в «{name}», участники отправляют боту <code>/club join {code}</code>.',
+      joined: '✅ Вы вступили в «{name}». Администраторы клуба могут назначить вам роль.',
+      invalidCode: 'Этот код приглашения недействителен. Попросите актуальный код у администратора клуба.',
+      alreadyMember: 'Вы уже состоите в «{name}».',
+      invalidRole: 'Роль должна быть admin, leader или member.',
+      memberNotFound: '{user} не состоит в этом клубе.',
+      forbidden: 'Вы можете менять только участников с ролью ниже вашей и назначать только роли ниже своей.',
+      roleChanged: '✅ Теперь {name}: {role} в «{club}».',
+      removed: '✅ {name} исключён(а) из «{club}».',
+      left: 'Вы вышли из «{name}».',
+      ownerCannotLeave: 'Владелец не может выйти из клуба.',
+      ridesButton: '🏁 {name}',
+      ridesTitle: 'Поездки клуба «{name}»',
+      noRides: 'У этого клуба пока нет поездок.',
+      error: 'Не удалось выполнить команду клуба. Попробуйте позже.',
+      roles: {
+        owner: 'владелец',
+        admin: 'администратор',
+        leader: 'лидер',
+        member: 'участник'
+      }
+    },
+    series: {
+      onlyCreator: 'Управлять повтором поездки может только ее создатель.',
+      repeatUsage: 'Чтобы поездка повторялась, отправьте:\n<pre>/repeatride #rideId\nrepeat: еженедельно по вт, чт\nuntil: 31 дек 2026 (необязательно)\ncount: 10 (необязательно)</pre>',
+      seriesUsage: 'Использование: <code>/series #rideId</code> — посмотреть серию, или добавьте <code>pause</code>, <code>resume</code>, <code>skip ДАТА</code> или <code>end</code>.',
+      created: '🔁 Поездка #{id} теперь повторяется: {rule}. Каждая следующая поездка создается за {daysAhead} дн. до даты и публикуется в те же чаты.',
+      statusTitle: '🔁 <b>Серия поездок</b>',
+      ruleLine: 'Повтор: {rule}',
+      statusLine: 'Статус: {status}',
+      untilLine: 'До: {date}',
+      countLine: 'Поездок: {occurrences} из {count}',
+      occurrencesLine: 'Создано поездок: {occurrences}',
+      nextLine: 'Следующая поездка: {date}',
+      skipLine: 'Пропускаемые даты: {dates}',
+      statuses: {
+        active: 'активна',
+        paused: 'на паузе',
+        ended: 'завершена'
+      },
+      notInSeries: 'Поездка #{id} не повторяется. Используйте /repeatride, чтобы настроить повтор.',
+      invalidUntil: '❌ Не удалось распознать дату окончания. Пример: until: 31 дек 2026',
+      invalidCount: '❌ Количество поездок должно быть целым числом не меньше 2.',
+      invalidSkipDate: '❌ Укажите дату, которую нужно пропустить, например <code>/series #abc123 skip 4 ноя</code>',
+      paused: 'Серия на паузе. Новые поездки не будут создаваться, пока вы ее не возобновите.',
+      resumed: 'Серия возобновлена.',
+      ended: 'Серия завершена. Уже созданные поездки не изменятся.',
+      skipped: 'Поездка на {date} не будет создана.',
+      skipAlreadyCreated: 'Поездка на {date} уже создана. Используйте /cancelride, чтобы ее отменить.',
+      notActive: 'Эта серия не активна.',
+      notPaused: 'Эта серия не на паузе.',
+      alreadyEnded: 'Эта серия завершена. Используйте /repeatride, чтобы запустить ее снова.'
+    },
     listParticipants: {
       invalidRideIdUsage: 'Укажите корректный ID поездки. Использование: /listparticipants rideID',
       allParticipantsTitle: 'Все участники для "{title}" ({total})',
       joinedLabel: 'Участвуют ({count})',
       thinkingLabel: 'Думают ({count})',
+      waitlistLabel: 'Лист ожидания ({count})',
       notInterestedLabel: 'Не интересно ({count})',
       noOneJoinedYet: 'Пока никто не присоединился.',
-      retrieveError: 'Произошла ошибка при получении списка участников.'
+      retrieveError: 'Произошла ошибка при получении списка участников.',
+      attendanceHistory: 'пришёл: {attended}, не пришёл: {noShow}',
+      attendanceLegend: '✅ пришёл · 🚫 не пришёл на эту поездку. Счётчики — по всем поездкам.'
+    },
+    attendance: {
+      title: '✅ Посещаемость',
+      summary: '✅ Пришли: {attended} · 🚫 Не пришли: {noShow} · ▫️ Без отметки: {unmarked}',
+      noJoined: 'В поездку никто не записался.',
+      hint: 'Нажмите на участника, который пришёл, или «Не пришёл» рядом с ним. Повторное нажатие снимает отметку.',
+      noShowButton: '🚫 Не пришёл',
+      notStarted: 'Отмечать посещаемость можно за {minutes} минут до старта.',
+      cancelled: 'Эта поездка отменена.',
+      notJoined: 'Этот участник больше не записан на поездку.',
+      error: 'Произошла ошибка при сохранении посещаемости.',
+      checkIn: {
+        success: '✅ Вы отметились. Хорошей поездки!',
+        notOpen: 'Отметиться в этой поездке сейчас нельзя.',
+        notJoined: 'Отметиться могут только записавшиеся на поездку.',
+        alreadyCheckedIn: 'Вы уже отметились.'
+      }
     },
     share: {
       invalidRideIdUsage: 'Укажите корректный ID поездки. Использование: /shareride rideID',
       onlyCreatorRepost: 'Только создатель поездки может публиковать ее повторно.',
+      onlyCreatorInThisChat: 'В этом чате публиковать поездку может только её создатель.',
       cannotRepostCancelled: 'Нельзя повторно публиковать отмененную поездку.',
       alreadyPostedInChat: 'Эта поездка уже опубликована в этом чате{topicSuffix}.',
       topicSuffix: ' теме',
@@ -359,6 +647,7 @@ id: abc123 (or #abc123)
       joinedSuccess: 'Вы присоединились к поездке!',
       thinkingSuccess: 'Вы рассматриваете участие в поездке',
       skippedSuccess: 'Вы отказались от участия в поездке',
+      waitlistSuccess: 'Мест нет. Вы в листе ожидания, мы сообщим, если место освободится',
       rideNotFound: 'Поездка не найдена',
       rideCancelled: 'Эта поездка была отменена',
       updatedButMessageFailed: 'Ваш статус участия обновлен, но обновление сообщения не удалось',
@@ -367,23 +656,47 @@ id: abc123 (or #abc123)
       states: {
         joined: 'участвую',
         thinking: 'думаю',
-        skipped: 'пропускаю'
+        skipped: 'пропускаю',
+        waitlist: 'в листе ожидания'
       }
     },
     notifications: {
       joined: '🚴 <b>{name}</b> присоединился к вашей поездке "<b>{title}</b>"\n\n🔕 Отключить уведомления:\n<pre>/updateride #{rideId}\nsettings.notifyParticipation: no</pre>',
       thinking: '🤔 <b>{name}</b> думает о вашей поездке "<b>{title}</b>"\n\n🔕 Отключить уведомления:\n<pre>/updateride #{rideId}\nsettings.notifyParticipation: no</pre>',
-      skipped: '🙅 <b>{name}</b> отказался от вашей поездки "<b>{title}</b>"\n\n🔕 Отключить уведомления:\n<pre>/updateride #{rideId}\nsettings.notifyParticipation: no</pre>'
+      skipped: '🙅 <b>{name}</b> отказался от вашей поездки "<b>{title}</b>"\n\n🔕 Отключить уведомления:\n<pre>/updateride #{rideId}\nsettings.notifyParticipation: no</pre>',
+      waitlist: '⏳ <b>{name}</b> в листе ожидания на вашу поездку "<b>{title}</b>"\n\n🔕 Отключить уведомления:\n<pre>/updateride #{rideId}\nsettings.notifyParticipation: no</pre>',
+      promotedFromWaitlist: '🎉 В поездке "<b>{title}</b>" освободилось место, и вы перенесены из листа ожидания в участники!\n\n🎫 #Ride #{rideId}',
+      rideTransferred: '🔑 <b>{name}</b> передал вам поездку "<b>{title}</b>". Теперь вы можете обновлять, отменять и публиковать её и получаете уведомления об участии.\n\n🎫 #Ride #{rideId}'
+    },
+    reminders: {
+      joined: '⏰ Напоминание: поездка "<b>{title}</b>" начнётся через {offset}.',
+      thinking: '🤔 Поездка "<b>{title}</b>" начнётся через {offset}, а вы ещё думаете. Присоединитесь?',
+      whenLine: '📅 {date}, {time}',
+      meetingPointLine: '📍 {meetingPoint}',
+      footer: '🎫 #Ride #{rideId}',
+      offset: {
+        hours: '{count} ч',
+        minutes: '{count} мин'
+      }
+    },
+    calendar: {
+      usage: 'Отправьте <code>/ics #rideId</code> или ответьте на сообщение о поездке командой /ics, чтобы получить файл поездки для календаря.',
+      rideFileCaption: '📅 {title}: откройте файл, чтобы добавить поездку в календарь.',
+      feedLink: '📅 Ваша личная ссылка на календарь с поездками, к которым вы присоединились или которые создали:\n<code>{url}</code>\n\nДобавьте её в приложение календаря как подписку («По URL»), и поездки будут синхронизироваться, включая изменения и отмены. Не передавайте ссылку другим; <code>/ics reset</code> заменит её на новую.\n\nДля одной поездки отправьте <code>/ics #rideId</code>.',
+      feedReset: '🔄 Прежняя ссылка на календарь больше не работает.',
+      feedUnavailable: 'Подписка на календарь недоступна в этом боте.',
+      feedName: 'Велопоездки',
+      error: 'Не удалось создать календарь. Попробуйте позже.'
     },
     stateChange: {
-      onlyCreator: 'Только создатель поездки может {action} эту поездку.',
+      onlyCreator: 'Только создатель поездки, соорганизаторы и лидеры ее клуба могут {action} эту поездку.',
       messageUpdateError: 'Поездка была {action}, но возникла ошибка при обновлении сообщения о поездке. Возможно, нужно создать новое сообщение о поездке.'
     },
     group: {
       notInGroup: 'Эта команда должна использоваться в групповом чате.',
       notSupergroup: 'Эта команда доступна только для супергрупп. Чтобы преобразовать группу, включите «Историю сообщений для новых участников» в настройках группы — Telegram автоматически обновит её до супергруппы. Затем повторите: <code>{command}</code>',
       rideNotFound: 'Поездка не найдена.',
-      notCreator: 'Только создатель поездки может выполнить это действие.',
+      notCreator: 'Только создатель поездки, соорганизаторы и лидеры ее клуба могут выполнить это действие.',
       alreadyAttached: 'К этой поездке уже привязана группа. Сначала используйте /detach.',
       groupAlreadyAttachedToAnotherRide: 'Эта группа уже привязана к другой поездке. Сначала используйте /detach.',
       botNotAdmin: 'Бот не является администратором в этой группе. Сделайте его администратором и попробуйте снова.',
@@ -405,7 +718,8 @@ id: abc123 (or #abc123)
       success: 'Поездка успешно удалена.',
       failed: 'Не удалось удалить поездку.',
       deletedMessages: 'Удалено сообщений: {count}.',
-      removedMessages: 'Удалено недоступных сообщений: {count}.'
+      removedMessages: 'Удалено недоступных сообщений: {count}.',
+      inlineMessageNotice: '🗑 Организатор удалил эту поездку.'
     },
     airide: {
       usageHint: 'Используйте /airide для создания поездки в режиме диалога.\nДля обновления существующей поездки: /airide #rideId',
@@ -431,38 +745,72 @@ id: abc123 (or #abc123)
     noParticipantsYet: 'Пока нет участников',
     noOneJoinedYet: 'Пока никто не присоединился',
     atWord: 'в',
+    viewerTime: '{time} по времени {timezone}',
     routeLinkLabel: 'Ссылка',
     noCreatedRides: 'Вы еще не создали ни одной поездки.',
     yourRidesTitle: 'Ваши поездки',
+    upcomingRidesTitle: 'Ближайшие поездки',
+    noUpcomingRides: 'В этот чат пока не публиковали предстоящих поездок.',
+    myRides: {
+      titles: {
+        joined: 'Поездки, в которые вы записались',
+        thinking: 'Поездки, о которых вы думаете',
+        past: 'Ваши прошедшие поездки'
+      },
+      empty: {
+        joined: 'Вы не записаны ни на одну предстоящую поездку.',
+        thinking: 'Вы не думаете ни об одной предстоящей поездке.',
+        past: 'У вас пока нет прошедших поездок в боте.'
+      },
+      onWaitlist: 'Вы в листе ожидания'
+    },
     postedInSingleChat: 'Опубликовано в {count} чате',
     postedInMultipleChats: 'Опубликовано в {count} чатах',
     notPostedInAnyChats: 'Не опубликовано ни в одном чате',
     pageLabel: 'Страница {page}/{totalPages}',
     andMoreParticipants: '{displayedList} и еще {count}',
-    upToSpeed: 'до {max} км/ч',
+    upToSpeed: 'до {max} {unit}',
     shareLine: 'Поделиться поездкой: <code>/shareride #{id}</code>',
     groupChatLine: '<blockquote>Присоединяйтесь к закрытой группе поездки: напишите <code>/joinchat #{id}</code> боту в личные сообщения (работает только если вы записались в поездку).</blockquote>',
+    shareLineWithLinks: 'Поделиться поездкой: <code>/shareride #{id}</code>\nСсылки для сайтов и афиш: <a href="{rideLink}">открыть поездку</a> · <a href="{joinLink}">записаться</a>',
+    groupChatLineWithLink: '<blockquote>Присоединяйтесь к закрытой группе поездки: <a href="{joinLink}">запишитесь в поездку</a>, и бот пришлёт вам приглашение, или напишите боту <code>/joinchat #{id}</code>, если вы уже записались.</blockquote>',
     labels: {
       when: 'Когда',
       category: 'Категория',
       organizer: 'Организатор',
       meetingPoint: 'Место встречи',
       route: 'Маршрут',
+      routeFile: 'GPX',
+      map: 'карта',
       distance: 'Дистанция',
+      elevation: 'Набор высоты',
       duration: 'Длительность',
       speed: 'Ср. скорость',
-      additionalInfo: 'Дополнительно'
+      maxParticipants: 'Макс. участников',
+      additionalInfo: 'Дополнительно',
+      difficulty: 'Сложность'
+    },
+    difficulty: {
+      easy: 'Лёгкая',
+      moderate: 'Средняя',
+      hard: 'Сложная',
+      veryHard: 'Очень сложная'
     },
     participation: {
       joined: 'Участвуют',
       thinking: 'Думают',
+      waitlist: 'Лист ожидания',
       notInterested: 'Не интересно'
     },
     units: {
       km: 'км',
       min: 'мин',
       hour: 'ч',
-      kmh: 'км/ч'
+      kmh: 'км/ч',
+      mi: 'миль',
+      mph: 'миль/ч',
+      m: 'м',
+      ft: 'фут.'
     }
   },
   categories: {
@@ -482,6 +830,48 @@ id: abc123 (or #abc123)
     },
     duration: {
       invalidFormat: '❌ Не удалось распознать формат длительности. Попробуйте, например:\n• 90 (90 минут)\n• 2h (2 часа)\n• 2h 30m (2 часа 30 минут)\n• 1.5h (1 час 30 минут)'
+    },
+    maxParticipants: {
+      invalidFormat: '❌ Максимум участников должен быть целым положительным числом, например 15.'
+    },
+    distance: {
+      invalid: '❌ Не удалось разобрать дистанцию «{value}». Укажите число, при желании с km или mi, например 40, 65km или 40mi.'
+    },
+    elevation: {
+      invalid: '❌ Не удалось разобрать набор высоты «{value}». Укажите число, при желании с m или ft, например 850, 850m или 2800ft.'
+    },
+    timezone: {
+      invalid: '❌ Неизвестный часовой пояс «{timezone}». Используйте название из базы tz, например Europe/Moscow или Asia/Yekaterinburg.'
+    },
+    rideSearch: {
+      unknownParam: '❌ Неизвестный критерий поиска «{param}». Используйте category, from, to, dist, speed, text или cancelled.',
+      invalidValue: '❌ Не удалось распознать {param}: «{value}».',
+      invalidCategory: '❌ Неизвестная категория «{value}». Используйте одну из: {categories}.'
+    },
+    recurrence: {
+      invalidFormat: '❌ Не удалось распознать правило повтора. Попробуйте, например:\n• еженедельно по вт, чт\n• каждые 2 недели в сб\n• ежемесячно во 2-е вс\n• ежемесячно в последнюю сб'
+    }
+  },
+  recurrence: {
+    weekly: 'еженедельно: {days}',
+    everyNWeeks: 'раз в {interval} нед.: {days}',
+    monthly: 'ежемесячно: {ordinal} {day}',
+    everyNMonths: 'раз в {interval} мес.: {ordinal} {day}',
+    ordinals: {
+      1: '1-й',
+      2: '2-й',
+      3: '3-й',
+      4: '4-й',
+      last: 'последний'
+    },
+    weekdays: {
+      sun: 'вс',
+      mon: 'пн',
+      tue: 'вт',
+      wed: 'ср',
+      thu: 'чт',
+      fri: 'пт',
+      sat: 'сб'
     }
   },
   wizard: {
@@ -505,18 +895,24 @@ id: abc123 (or #abc123)
       category: '🚵 Выберите категорию поездки:',
       organizer: '👤 Кто организует эту поездку?\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
       date: '📅 Когда состоится поездка?\nМожно использовать естественный язык, например:\n• завтра в 18:00\n• через 2 часа\n• в субботу в 10:00\n• 21 июля 14:30',
-      route: '🗺️ Введите ссылку на маршрут (или пропустите):\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
-      distance: '📏 Введите дистанцию в километрах (или пропустите):\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
+      route: '🗺️ Введите ссылку на маршрут или отправьте GPX-файл (или пропустите):\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
+      distance: '📏 Введите дистанцию в ваших единицах (/units) или с km или mi (например, 40mi), либо пропустите:\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
+      elevation: '⛰ Введите набор высоты в ваших единицах (/units: метры или футы) или с m или ft (например, 2800ft), либо пропустите:\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
       duration: '⏱ Введите длительность (например, \"2h 30m\", \"90m\", \"1.5h\"):\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
-      speed: '⚡ Ср. скорость в км/ч или пропустите:\n• 25-28 — диапазон\n• 25+ или 25- — минимум\n• -28 — максимум\n• 25 или ~25 — среднее\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
-      meet: '📍 Введите место встречи (или пропустите):\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
+      speed: '⚡ Ср. скорость в ваших единицах (/units; можно добавить km/h или mph) или пропустите:\n• 25-28 — диапазон\n• 25+ или 25- — минимум\n• -28 — максимум\n• 25 или ~25 — среднее\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
+      meet: '📍 Введите место встречи или отправьте геопозицию (или пропустите):\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
+      max: '👥 Максимальное число участников (или пропустите, если без ограничения):\nКогда мест нет, новые участники попадают в лист ожидания.\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
       info: 'ℹ️ Введите дополнительную информацию (или пропустите):\n<i>Введите дефис (-), чтобы очистить/пропустить это поле</i>',
       notify: '🔔 Уведомлять вас, когда участники присоединяются или выходят?\n<i>Это можно изменить позже через обновление поездки.</i>'
     },
     validation: {
       titleRequired: 'Название не может быть пустым',
       routeInvalid: 'Некорректный формат ссылки на маршрут. Укажите корректный URL, используйте дефис (-) для очистки поля или нажмите Skip.',
-      distanceInvalid: 'Введите корректное число для дистанции или используйте дефис (-), чтобы очистить поле.'
+      routeFileInvalid: 'Отправьте маршрут файлом .gpx.',
+      documentNotExpected: 'Файл можно отправить только на шаге маршрута. Ответьте текстом.',
+      locationNotExpected: 'Геопозицию можно отправить только на шаге места встречи. Ответьте текстом.',
+      distanceInvalid: 'Введите корректное число для дистанции или используйте дефис (-), чтобы очистить поле.',
+      elevationInvalid: 'Введите корректное число для набора высоты или используйте дефис (-), чтобы очистить поле.'
     },
     confirm: {
       confirmPrompt: '👆 Проверьте предварительный просмотр выше и подтвердите'
@@ -531,6 +927,8 @@ id: abc123 (or #abc123)
       errorCreatingRide: 'Произошла ошибка при создании поездки.',
       errorUpdatingRide: 'Произошла ошибка при обновлении поездки.',
       originalRideNotFound: 'Исходная поездка не найдена',
+      clubNotFound: 'Клуб {id} не найден. Отправьте /club, чтобы увидеть ID ваших клубов.',
+      clubLeadersOnly: 'Добавлять поездки в клуб «{club}» могут только его лидеры, администраторы и владелец.',
       selfOrganizerReferences: ['я', 'я сам', 'я сама', 'сам', 'сама']
     },
     rideMessages: {
@@ -543,19 +941,26 @@ id: abc123 (or #abc123)
     category: 'Категория поездки',
     organizer: 'Имя организатора',
     when: 'Дата и время поездки',
+    timezone: 'Часовой пояс поездки, например Europe/Moscow (по умолчанию ваш /timezone)',
     meet: 'Место встречи',
     route: 'URL маршрута',
-    dist: 'Дистанция в километрах',
+    dist: 'Дистанция, например 65 или 40mi (без единиц — в ваших /units)',
+    elevation: 'Набор высоты, например 850 или 2800ft (без единиц — метры или футы по вашим /units)',
     duration: 'Длительность в минутах',
-    speed: 'Скорость: диапазон (25-28), мин (25+), макс (-28), ср. (25)',
+    speed: 'Скорость: диапазон (25-28), мин (25+), макс (-28), ср. (25); добавьте km/h или mph, чтобы выбрать единицы',
+    max: 'Максимальное число участников',
     info: 'Дополнительная информация',
+    club: 'ID клуба, которому принадлежит поездка (см. /club); её смогут редактировать лидеры клуба',
     settingsNotifyParticipation: 'Настройка поездки: уведомлять об изменениях участников (yes/no)',
     settingsAllowReposts: 'Настройка поездки: разрешить другим пользователям репост через /shareride (yes/no)',
     id: 'ID поездки (для команд, где требуется)'
   },
   utils: {
     routeParser: {
-      invalidUrl: 'Некорректный формат URL. Укажите корректную ссылку.'
+      invalidUrl: 'Некорректный формат URL. Укажите корректную ссылку.',
+      gpxTooLarge: 'GPX-файл слишком большой. Поддерживаются файлы до {size} МБ.',
+      gpxDownloadFailed: 'Не удалось загрузить GPX-файл. Попробуйте ещё раз.',
+      gpxInvalid: 'В этом файле не найден маршрут. Отправьте GPX-файл с треком или маршрутом.'
     }
   },
   bot: {
@@ -570,13 +975,30 @@ id: abc123 (or #abc123)
       listparticipants: 'Показать всех участников поездки',
       dupride: 'Дублировать существующую поездку',
       resumeride: 'Возобновить отмененную поездку',
+      repeatride: 'Настроить повтор поездки по расписанию',
+      series: 'Пауза, пропуск или завершение серии поездок',
       shareride: 'Опубликовать поездку в чате',
       attach: 'Привязать Telegram-группу к поездке',
       detach: 'Отвязать Telegram-группу от поездки',
       airide: 'Создать или обновить поездку с помощью AI',
       joinchat: 'Войти в закрытую группу поездки',
       fromstrava: 'Создать или обновить поездку из события Strava',
-      settings: 'Управлять настройками поездок и дефолтами'
+      ics: 'Добавить поездки в календарь',
+      settings: 'Управлять настройками поездок и дефолтами',
+      language: 'Выбрать язык бота',
+      timezone: 'Задать свой часовой пояс',
+      units: 'Выбрать километры или мили',
+      addleader: 'Добавить соорганизатора поездки',
+      announce: 'Отправить сообщение участникам поездки',
+      exportparticipants: 'Выгрузить участников ваших поездок',
+      attendance: 'Отметить, кто пришёл на поездку',
+      transferride: 'Передать поездку другому участнику',
+      refreshroute: 'Заново загрузить маршрут поездки',
+      club: 'Создание клубов, вступление и управление ими',
+      upcoming: 'Показать ближайшие поездки этого чата',
+      myrides: 'Поездки, в которые вы записались или о которых думаете',
+      findrides: 'Поиск по вашим поездкам',
+      groupsettings: 'Язык, часовой пояс, единицы и публикации в этой группе'
     }
   }
 };
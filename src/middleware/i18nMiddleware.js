@@ -1,18 +1,51 @@
 import { config } from '../config.js';
 import { createTranslator, resolveLanguage } from '../i18n/index.js';
 
-export async function i18nMiddleware(ctx, next) {
-  const language = resolveLanguage(
+/**
+ * Resolve the language of a user: stored preference, then Telegram client language, then the deployment default.
+ * @param {string|null} [storedLanguage] - Language chosen with /language
+ * @param {string} [telegramLanguageCode] - `language_code` of the Telegram user
+ * @returns {string}
+ */
+export function resolveUserLanguage(storedLanguage, telegramLanguageCode) {
+  const defaultLanguage = resolveLanguage(
     config.i18n.defaultLanguage,
     config.i18n.fallbackLanguage
   );
+  return resolveLanguage(storedLanguage || telegramLanguageCode, defaultLanguage);
+}
 
+/**
+ * Set the language and translator of a context.
+ * @param {import('grammy').Context} ctx
+ * @param {string} language
+ */
+export function setContextLanguage(ctx, language) {
   ctx.lang = language;
   ctx.t = createTranslator(language, {
     fallbackLanguage: config.i18n.fallbackLanguage,
     withMissingMarker: config.isDev
   });
-
-  await next();
 }
 
+/**
+ * Create the middleware that sets the language and translator of each update.
+ * @param {import('../services/SettingsService.js').SettingsService} [settingsService] - Source of stored user preferences
+ * @returns {Function} Grammy middleware
+ */
+export function createI18nMiddleware(settingsService = null) {
+  return async function i18nMiddleware(ctx, next) {
+    let storedLanguage = null;
+    if (settingsService && ctx.from?.id) {
+      try {
+        storedLanguage = await settingsService.getUserLanguage(ctx.from.id);
+      } catch (error) {
+        console.error('i18nMiddleware: failed to load user language:', error);
+      }
+    }
+
+    setContextLanguage(ctx, resolveUserLanguage(storedLanguage, ctx.from?.language_code));
+
+    await next();
+  };
+}
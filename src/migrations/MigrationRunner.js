@@ -144,6 +144,46 @@ export class MigrationRunner {
           const { migrateRideRepostSettings } = await import('./migrations/004_ride_repost_settings.js');
           await migrateRideRepostSettings(db);
         }
+      },
+      {
+        version: 5,
+        name: 'Add ride reminder settings defaults',
+        up: async (db) => {
+          const { migrateRideReminderSettings } = await import('./migrations/005_ride_reminder_settings.js');
+          await migrateRideReminderSettings(db);
+        }
+      },
+      {
+        version: 6,
+        name: 'Assign the default timezone to existing rides',
+        up: async (db) => {
+          const { migrateRideTimezones } = await import('./migrations/006_ride_timezones.js');
+          await migrateRideTimezones(db);
+        }
+      },
+      {
+        version: 7,
+        name: 'Move ride reminders and ride series onto the job scheduler',
+        up: async (db) => {
+          const { migrateToSchedulerJobs } = await import('./migrations/007_scheduler_jobs.js');
+          await migrateToSchedulerJobs(db);
+        }
+      },
+      {
+        version: 8,
+        name: 'Schedule the check-in jobs of upcoming rides',
+        up: async (db) => {
+          const { migrateCheckInJobs } = await import('./migrations/008_check_in_jobs.js');
+          await migrateCheckInJobs(db);
+        }
+      },
+      {
+        version: 9,
+        name: 'Schedule the reminder jobs of upcoming rides',
+        up: async (db) => {
+          const { migrateReminderJobs } = await import('./migrations/009_reminder_jobs.js');
+          await migrateReminderJobs(db);
+        }
       }
       // Future migrations can be added here
     ];
@@ -0,0 +1,27 @@
+/**
+ * Migration 005: Add ride reminder settings defaults
+ */
+
+const DEFAULT_REMINDERS = [1440, 120];
+
+export async function migrateRideReminderSettings(db) {
+  console.log('Starting migration: Add ride reminder setting defaults');
+
+  const [rideResult, userResult] = await Promise.all([
+    db.collection('rides').updateMany(
+      { 'settings.reminders': { $exists: false } },
+      { $set: { 'settings.reminders': DEFAULT_REMINDERS } }
+    ),
+    db.collection('users').updateMany(
+      {
+        'settings.rideDefaults': { $exists: true },
+        'settings.rideDefaults.reminders': { $exists: false }
+      },
+      { $set: { 'settings.rideDefaults.reminders': DEFAULT_REMINDERS } }
+    )
+  ]);
+
+  console.log('Ride reminder settings migration completed:');
+  console.log(`- Rides updated: ${rideResult.modifiedCount || 0}`);
+  console.log(`- Users updated: ${userResult.modifiedCount || 0}`);
+}
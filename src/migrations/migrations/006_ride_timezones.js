@@ -0,0 +1,18 @@
+/**
+ * Migration 006: Assign the deployment timezone to existing rides
+ */
+
+import { config } from '../../config.js';
+
+export async function migrateRideTimezones(db, timezone = config.dateFormat.defaultTimezone) {
+  console.log('Starting migration: Assign the default timezone to existing rides');
+
+  const rideResult = await db.collection('rides').updateMany(
+    { timezone: { $exists: false } },
+    { $set: { timezone: timezone || null } }
+  );
+
+  console.log('Ride timezone migration completed:');
+  console.log(`- Rides updated: ${rideResult.modifiedCount || 0}`);
+  console.log(`- Timezone: ${timezone || 'server time'}`);
+}
@@ -0,0 +1,48 @@
+/**
+ * Migration 007: Move pending ride reminders and active ride series onto the job scheduler
+ */
+
+import { config } from '../../config.js';
+
+export async function migrateToSchedulerJobs(db, now = new Date()) {
+  console.log('Starting migration: Move ride reminders and ride series onto the job scheduler');
+
+  const jobs = db.collection('jobs');
+  const job = (type, key, payload, runAt) => ({
+    type,
+    key,
+    payload,
+    status: 'pending',
+    runAt,
+    attempts: 0,
+    maxAttempts: config.jobs.maxAttempts,
+    lockedUntil: null,
+    createdAt: now
+  });
+
+  const reminders = await db.collection('ridereminders').find({ status: 'pending' }).toArray();
+  const reminderJobs = reminders.map(reminder => job(
+    'reminder:ride',
+    `reminder:${reminder.rideId}:${reminder.offsetMinutes}`,
+    { rideId: reminder.rideId, offsetMinutes: reminder.offsetMinutes, dueAt: reminder.dueAt },
+    reminder.dueAt
+  ));
+
+  // The first run creates the rides that are due and schedules the next run of each series
+  const seriesList = await db.collection('rideseries').find({ status: 'active' }).toArray();
+  const seriesJobs = seriesList.map(series => job(
+    'rideSeries:createRides',
+    `rideSeries:${series._id.toString()}`,
+    { seriesId: series._id.toString() },
+    now
+  ));
+
+  const newJobs = [...reminderJobs, ...seriesJobs];
+  if (newJobs.length > 0) {
+    await jobs.insertMany(newJobs);
+  }
+
+  console.log('Scheduler jobs migration completed:');
+  console.log(`- Reminder jobs created: ${reminderJobs.length}`);
+  console.log(`- Ride series jobs created: ${seriesJobs.length}`);
+}
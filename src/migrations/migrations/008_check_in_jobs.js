@@ -0,0 +1,52 @@
+/**
+ * Migration 008: Schedule the check-in jobs of upcoming rides
+ */
+
+import { config } from '../../config.js';
+
+const MINUTE_MS = 60 * 1000;
+
+export async function migrateCheckInJobs(db, now = new Date()) {
+  console.log('Starting migration: Schedule the check-in jobs of upcoming rides');
+
+  const opensBeforeMs = config.attendance.checkInOpensMinutesBefore * MINUTE_MS;
+  const closesAfterMs = config.attendance.checkInClosesMinutesAfter * MINUTE_MS;
+  const rides = await db.collection('rides').find({
+    cancelled: { $ne: true },
+    date: { $gt: new Date(now.getTime() - closesAfterMs) }
+  }).toArray();
+
+  const jobs = [];
+  for (const ride of rides) {
+    const rideId = ride._id.toString();
+    const phases = {
+      open: new Date(ride.date.getTime() - opensBeforeMs),
+      close: new Date(ride.date.getTime() + closesAfterMs)
+    };
+    for (const [phase, runAt] of Object.entries(phases)) {
+      if (runAt <= now) {
+        continue;
+      }
+
+      jobs.push({
+        type: 'checkIn:refreshMessages',
+        key: `checkIn:${rideId}:${phase}`,
+        payload: { rideId, date: ride.date },
+        status: 'pending',
+        runAt,
+        attempts: 0,
+        maxAttempts: config.jobs.maxAttempts,
+        lockedUntil: null,
+        createdAt: now
+      });
+    }
+  }
+
+  if (jobs.length > 0) {
+    await db.collection('jobs').insertMany(jobs);
+  }
+
+  console.log('Check-in jobs migration completed:');
+  console.log(`- Rides scheduled: ${rides.length}`);
+  console.log(`- Jobs created: ${jobs.length}`);
+}
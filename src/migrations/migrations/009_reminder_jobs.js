@@ -0,0 +1,53 @@
+/**
+ * Migration 009: Schedule the reminder jobs of upcoming rides
+ */
+
+import { config } from '../../config.js';
+
+const MINUTE_MS = 60 * 1000;
+
+export async function migrateReminderJobs(db, now = new Date()) {
+  console.log('Starting migration: Schedule the reminder jobs of upcoming rides');
+
+  const rides = await db.collection('rides').find({
+    cancelled: { $ne: true },
+    date: { $gt: now }
+  }).toArray();
+
+  // Reminders moved over from the old reminder collection by migration 007 are already scheduled
+  const pendingJobs = await db.collection('jobs').find({ type: 'reminder:ride', status: 'pending' }).toArray();
+  const scheduledKeys = new Set(pendingJobs.map(job => job.key));
+
+  const jobs = [];
+  for (const ride of rides) {
+    const rideId = ride._id.toString();
+    const offsets = ride.settings?.reminders ?? config.reminders.defaultOffsets;
+    for (const offsetMinutes of offsets) {
+      const key = `reminder:${rideId}:${offsetMinutes}`;
+      const dueAt = new Date(ride.date.getTime() - offsetMinutes * MINUTE_MS);
+      if (dueAt <= now || scheduledKeys.has(key)) {
+        continue;
+      }
+
+      jobs.push({
+        type: 'reminder:ride',
+        key,
+        payload: { rideId, offsetMinutes, dueAt },
+        status: 'pending',
+        runAt: dueAt,
+        attempts: 0,
+        maxAttempts: config.jobs.maxAttempts,
+        lockedUntil: null,
+        createdAt: now
+      });
+    }
+  }
+
+  if (jobs.length > 0) {
+    await db.collection('jobs').insertMany(jobs);
+  }
+
+  console.log('Reminder jobs migration completed:');
+  console.log(`- Rides scheduled: ${rides.length}`);
+  console.log(`- Jobs created: ${jobs.length}`);
+}
@@ -59,9 +59,11 @@ Use these exact field names (all optional except title and when):
   organizer: name of the organizer
   meet: meeting point location
   routes: array of strings, each string either a route URL or "Label | URL"
-  dist: distance in km as a string number, e.g. "70"
+  dist: distance as a string number, with "km" or "mi" only if the user gave a unit, e.g. "70", "70km", "40mi"
+  elevation: elevation gain (total climbing) as a string number, with "m" or "ft" only if the user gave a unit, e.g. "850", "850m", "2800ft"
   duration: e.g. "2h 30m", "90m", "1.5h"
-  speed: e.g. "25-28", "25+", "-28", "~25"
+  speed: e.g. "25-28", "25+", "-28", "~25", with "km/h" or "mph" only if the user gave a unit, e.g. "16-18 mph"
+  max: maximum number of participants as a string number, e.g. "15"
   info: additional notes
   settings: optional object
   settings.notifyParticipation: boolean
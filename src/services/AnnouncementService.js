@@ -0,0 +1,280 @@
+import { config } from '../config.js';
+import { t } from '../i18n/index.js';
+import { escapeHtml } from '../utils/html-escape.js';
+
+/**
+ * Participation states that receive an announcement for each target an organizer can pick.
+ * Riders on the waitlist said "I'm in" to a full ride, so they get the announcements for joined riders.
+ */
+export const ANNOUNCEMENT_TARGETS = Object.freeze({
+  joined: ['joined', 'waitlist'],
+  thinking: ['thinking'],
+  all: ['joined', 'waitlist', 'thinking']
+});
+
+export const ANNOUNCEMENT_JOB_TYPE = 'announcement:send';
+
+/**
+ * Service for announcements from organizers to the participants of a ride.
+ * An announcement is a chain of jobs of the persistent job scheduler, so the update that starts it
+ * returns right away. Each job DMs the next few recipients with a pause in between, to stay within
+ * Telegram's broadcast limits, and schedules the job for the rest. Riders the bot cannot message because
+ * they never started it are mentioned in one post in the ride's attached group instead, and the last job
+ * edits the organizer's preview message into a delivery report.
+ */
+export class AnnouncementService {
+  /**
+   * @param {import('./JobSchedulerService.js').JobSchedulerService} jobScheduler
+   * @param {import('./SettingsService.js').SettingsService} [settingsService] - Source of recipients' and groups' languages
+   */
+  constructor(jobScheduler, settingsService = null) {
+    this.jobScheduler = jobScheduler;
+    this.settingsService = settingsService;
+    jobScheduler.registerHandler(ANNOUNCEMENT_JOB_TYPE, (payload, { api, job }) => this.sendBatch(payload, api, job));
+  }
+
+  /**
+   * Riders of the ride in the states of a target, without the sender
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {'joined'|'thinking'|'all'} target
+   * @param {number} [senderId] - User who sends the announcement
+   * @returns {Object[]} - Participants
+   */
+  getRecipients(ride, target, senderId = null) {
+    const participation = ride.participation || {};
+    const recipients = new Map();
+    for (const state of ANNOUNCEMENT_TARGETS[target] || []) {
+      for (const participant of participation[state] || []) {
+        if (participant.userId !== senderId) {
+          recipients.set(participant.userId, participant);
+        }
+      }
+    }
+    return [...recipients.values()];
+  }
+
+  /**
+   * Schedule an announcement to the riders of a target
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {Object} params
+   * @param {string} params.text - Announcement text, sent as plain text
+   * @param {'joined'|'thinking'|'all'} params.target
+   * @param {import('../models/UserProfile.js').UserProfile} params.sender
+   * @param {{chatId: number, messageId: number, language: string}} params.report - Message that gets the delivery report
+   * @returns {Promise<number>} - Number of recipients; nothing is scheduled without any
+   */
+  async scheduleAnnouncement(ride, { text, target, sender, report }) {
+    const recipients = this.getRecipients(ride, target, sender.userId);
+    if (recipients.length === 0) {
+      return 0;
+    }
+
+    await this.scheduleBatch({
+      rideId: ride.id,
+      title: ride.title,
+      groupId: ride.groupId || null,
+      text,
+      sender: this.toParticipantPayload(sender),
+      recipients: recipients.map(participant => this.toParticipantPayload(participant)),
+      next: 0,
+      sent: 0,
+      failed: 0,
+      unreachable: [],
+      report
+    });
+    return recipients.length;
+  }
+
+  /**
+   * Schedule the job that continues an announcement at `state.next`. The key makes a second
+   * tap on the preview replace the pending first job instead of starting another broadcast.
+   * @param {Object} state - Job payload
+   * @param {number} [delayMs]
+   * @returns {Promise<void>}
+   */
+  async scheduleBatch(state, delayMs = 0) {
+    await this.jobScheduler.schedule(ANNOUNCEMENT_JOB_TYPE, state, {
+      key: `announcement:${state.report.chatId}:${state.report.messageId}:${state.next}`,
+      delayMs
+    });
+  }
+
+  /**
+   * Run an announcement job: DM the next recipients and schedule the job for the rest, or finish.
+   * A failing DM ends the batch, so the recipient it failed for starts the next job; when that is the
+   * first DM of the job, the job fails and the job scheduler retries it, until the last attempt counts
+   * the recipient as not delivered. That way a retry never repeats a DM that went through.
+   * @param {Object} state - Job payload
+   * @param {Object} api - Grammy bot API object
+   * @param {import('../storage/interface.js').Job} job
+   * @returns {Promise<void>}
+   */
+  async sendBatch(state, api, job) {
+    const { recipients } = state;
+    let { next, sent, failed } = state;
+    const unreachable = [...state.unreachable];
+    const end = Math.min(recipients.length, next + config.announcements.messagesPerJob);
+
+    for (; next < end; next++) {
+      if (next > state.next) {
+        await this.pause(config.announcements.sendIntervalMs);
+      }
+
+      const participant = recipients[next];
+      try {
+        await this.sendToRecipient(api, state, participant);
+        sent++;
+      } catch (error) {
+        // 403: the rider never started the bot or blocked it
+        if (error?.error_code === 403) {
+          unreachable.push(participant);
+          continue;
+        }
+
+        const isLastAttempt = job.attempts >= job.maxAttempts;
+        if (next === state.next && !isLastAttempt) {
+          throw error;
+        }
+        if (next > state.next) {
+          // 429: Telegram asks to wait before the next message
+          const delayMs = error?.error_code === 429 ? (error.parameters?.retry_after || 0) * 1000 : 0;
+          await this.scheduleBatch({ ...state, next, sent, failed, unreachable }, delayMs);
+          return;
+        }
+
+        console.error(`AnnouncementService: failed to send announcement to user ${participant.userId}:`, error);
+        failed++;
+      }
+    }
+
+    if (next < recipients.length) {
+      await this.scheduleBatch({ ...state, next, sent, failed, unreachable }, config.announcements.sendIntervalMs);
+      return;
+    }
+
+    const viaGroup = unreachable.length > 0 && await this.postToGroup(api, state, unreachable)
+      ? unreachable.length
+      : 0;
+    failed += unreachable.length - viaGroup;
+    await this.sendReport(api, state.report, { total: recipients.length, sent, viaGroup, failed });
+  }
+
+  /**
+   * @param {Object} api - Grammy bot API object
+   * @param {Object} state - Job payload
+   * @param {{userId: number}} participant
+   * @returns {Promise<void>}
+   */
+  async sendToRecipient(api, state, participant) {
+    const language = await this.getRecipientLanguage(participant.userId);
+    const message = this.translate(language, 'commands.announce.message', {
+      name: escapeHtml(this.formatName(state.sender)),
+      title: escapeHtml(state.title),
+      text: escapeHtml(state.text),
+      id: state.rideId
+    });
+    await api.sendMessage(participant.userId, message, { parse_mode: 'HTML' });
+  }
+
+  /**
+   * Post the announcement in the ride's attached group, mentioning the riders it could not be sent to
+   * @param {Object} api - Grammy bot API object
+   * @param {Object} state - Job payload
+   * @param {Object[]} participants
+   * @returns {Promise<boolean>} - Whether the post was sent
+   */
+  async postToGroup(api, state, participants) {
+    if (!state.groupId) {
+      return false;
+    }
+
+    try {
+      const language = await this.getGroupLanguage(state.groupId);
+      const mentions = participants
+        .map(p => `<a href="tg://user?id=${p.userId}">${escapeHtml(this.formatName(p))}</a>`)
+        .join(', ');
+      const message = this.translate(language, 'commands.announce.groupMessage', {
+        name: escapeHtml(this.formatName(state.sender)),
+        title: escapeHtml(state.title),
+        text: escapeHtml(state.text),
+        mentions,
+        id: state.rideId
+      });
+      await api.sendMessage(state.groupId, message, { parse_mode: 'HTML' });
+      return true;
+    } catch (error) {
+      console.error(`AnnouncementService: failed to post announcement in group ${state.groupId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Turn the organizer's preview message into the delivery report
+   * @param {Object} api - Grammy bot API object
+   * @param {{chatId: number, messageId: number, language: string}} report
+   * @param {{total: number, sent: number, viaGroup: number, failed: number}} counts
+   * @returns {Promise<void>}
+   */
+  async sendReport(api, report, counts) {
+    try {
+      await api.editMessageText(report.chatId, report.messageId, this.translate(report.language, 'commands.announce.report', counts));
+    } catch (error) {
+      console.error(`AnnouncementService: failed to report announcement delivery in chat ${report.chatId}:`, error);
+    }
+  }
+
+  /**
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  pause(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+
+  /**
+   * Language chosen by the recipient with /language, or the default language
+   * @param {number} userId
+   * @returns {Promise<string>}
+   */
+  async getRecipientLanguage(userId) {
+    const language = this.settingsService ? await this.settingsService.getUserLanguage(userId) : null;
+    return language || config.i18n.defaultLanguage;
+  }
+
+  /**
+   * Language set for the group with /groupsettings, or the default language
+   * @param {number} chatId
+   * @returns {Promise<string>}
+   */
+  async getGroupLanguage(chatId) {
+    const settings = this.settingsService ? await this.settingsService.getGroupSettings(chatId) : null;
+    return settings?.language || config.i18n.defaultLanguage;
+  }
+
+  /**
+   * Keep only the participant fields needed for the messages, so the job payload stays plain data
+   * @param {Object} p - Participant or user profile
+   * @returns {{userId: number, username?: string, firstName?: string, lastName?: string}}
+   */
+  toParticipantPayload(p) {
+    return {
+      userId: p.userId,
+      username: p.username,
+      firstName: p.firstName,
+      lastName: p.lastName
+    };
+  }
+
+  /**
+   * @param {{firstName?: string, lastName?: string, username?: string}} p
+   * @returns {string}
+   */
+  formatName(p) {
+    const full = `${p.firstName || ''} ${p.lastName || ''}`.trim();
+    return full || (p.username ? `@${p.username}` : String(p.userId));
+  }
+
+  translate(language, key, params = {}) {
+    return t(language, key, params, { fallbackLanguage: config.i18n.fallbackLanguage });
+  }
+}
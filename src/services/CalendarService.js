@@ -0,0 +1,94 @@
+import { randomBytes } from 'crypto';
+import { config } from '../config.js';
+import { IcsFormatter } from '../formatters/IcsFormatter.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEED_REFRESH_MINUTES = 60;
+
+/**
+ * Service for calendar exports: .ics files of single rides and per-user calendar feeds.
+ * A feed is addressed by a secret token stored on the user, so calendar apps can subscribe
+ * without authentication. It lists the rides the user created or joined, cancelled ones
+ * included, so subscribed calendars pick up updates and cancellations.
+ */
+export class CalendarService {
+  /**
+   * @param {import('../storage/interface.js').StorageInterface} storage
+   * @param {IcsFormatter} [icsFormatter]
+   */
+  constructor(storage, icsFormatter = new IcsFormatter()) {
+    this.storage = storage;
+    this.icsFormatter = icsFormatter;
+  }
+
+  /**
+   * Feeds are served by the webhook server, so they need webhook mode and a public domain.
+   * @returns {boolean}
+   */
+  isFeedEnabled() {
+    return Boolean(config.bot.useWebhook && config.bot.webhookDomain);
+  }
+
+  /**
+   * Build the .ics document of a single ride.
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {string} [language]
+   * @param {string|null} [units] - Unit system of the recipient
+   * @returns {string}
+   */
+  buildRideCalendar(ride, language, units = null) {
+    return this.icsFormatter.formatCalendar([ride], { language, units });
+  }
+
+  /**
+   * Get the feed URL of a user, creating the feed token on first use.
+   * @param {import('../models/UserProfile.js').UserProfile} userProfile
+   * @param {Object} [options]
+   * @param {boolean} [options.reset=false] - Replace the token, which revokes the previous URL
+   * @returns {Promise<string>}
+   */
+  async getFeedUrl(userProfile, { reset = false } = {}) {
+    const existingUser = await this.storage.getUser(userProfile.userId);
+    let calendarToken = existingUser?.calendarToken;
+
+    if (!calendarToken || reset) {
+      calendarToken = randomBytes(24).toString('base64url');
+      await this.storage.upsertUser({
+        userId: userProfile.userId,
+        username: userProfile.username,
+        firstName: userProfile.firstName,
+        lastName: userProfile.lastName,
+        calendarToken
+      });
+    }
+
+    return `${config.bot.webhookDomain}${config.calendar.feedPath}/${calendarToken}.ics`;
+  }
+
+  /**
+   * Build the feed of the user owning a token.
+   * @param {string} calendarToken
+   * @param {Date} [now]
+   * @returns {Promise<string|null>} - The .ics document, or null for unknown tokens
+   */
+  async buildFeed(calendarToken, now = new Date()) {
+    if (!calendarToken) {
+      return null;
+    }
+
+    const user = await this.storage.getUserByCalendarToken(calendarToken);
+    if (!user) {
+      return null;
+    }
+
+    const since = new Date(now.getTime() - config.calendar.feedPastDays * DAY_MS);
+    const rides = await this.storage.getRidesForUser(user.userId, since);
+    const language = user.settings?.language || config.i18n.defaultLanguage;
+    return this.icsFormatter.formatCalendar(rides, {
+      language,
+      units: user.settings?.units || null,
+      name: this.icsFormatter.translate('commands.calendar.feedName', {}, language),
+      refreshMinutes: FEED_REFRESH_MINUTES
+    });
+  }
+}
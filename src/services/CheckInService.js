@@ -0,0 +1,91 @@
+import { config } from '../config.js';
+
+const MINUTE_MS = 60 * 1000;
+
+export const CHECK_IN_JOB_TYPE = 'checkIn:refreshMessages';
+
+/**
+ * Service that keeps ride messages in step with the check-in phase of rides.
+ * Ride messages show a check-in button while riders can check in, and the owner buttons get
+ * an attendance roster once the phase begins. Ride messages are static, so every ride has two
+ * jobs of the persistent job scheduler, at the opening and at the closing of its check-in,
+ * that re-render its messages. The ride service replaces them whenever the date or the
+ * cancellation of a ride changes.
+ */
+export class CheckInService {
+  /**
+   * @param {import('../storage/interface.js').StorageInterface} storage
+   * @param {import('./JobSchedulerService.js').JobSchedulerService} jobScheduler
+   * @param {import('./RideMessagesService.js').RideMessagesService|null} [rideMessagesService]
+   */
+  constructor(storage, jobScheduler, rideMessagesService = null) {
+    this.storage = storage;
+    this.jobScheduler = jobScheduler;
+    this.rideMessagesService = rideMessagesService;
+    jobScheduler.registerHandler(CHECK_IN_JOB_TYPE, (payload, { api }) => this.refreshRideMessages(payload, api));
+  }
+
+  /**
+   * Replace the pending check-in jobs of a ride with the ones its current date needs.
+   * Phases that already began get no job; cancelled rides get none at all.
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {Date} [now]
+   * @returns {Promise<void>}
+   */
+  async syncRideCheckIn(ride, now = new Date()) {
+    await this.clearRideCheckIn(ride.id);
+    if (ride.cancelled) {
+      return;
+    }
+
+    const rideTime = new Date(ride.date).getTime();
+    const phases = {
+      open: new Date(rideTime - config.attendance.checkInOpensMinutesBefore * MINUTE_MS),
+      close: new Date(rideTime + config.attendance.checkInClosesMinutesAfter * MINUTE_MS)
+    };
+    for (const [phase, runAt] of Object.entries(phases)) {
+      if (runAt <= now) {
+        continue;
+      }
+
+      await this.jobScheduler.schedule(CHECK_IN_JOB_TYPE, { rideId: ride.id, date: new Date(ride.date) }, {
+        key: `${this.getJobKeyPrefix(ride.id)}${phase}`,
+        runAt
+      });
+    }
+  }
+
+  /**
+   * Drop the pending check-in jobs of a ride, e.g. when it is deleted.
+   * @param {string} rideId
+   * @returns {Promise<void>}
+   */
+  async clearRideCheckIn(rideId) {
+    await this.storage.deletePendingJobs(this.getJobKeyPrefix(rideId));
+  }
+
+  /**
+   * @param {string} rideId
+   * @returns {string}
+   */
+  getJobKeyPrefix(rideId) {
+    return `checkIn:${rideId}:`;
+  }
+
+  /**
+   * Run a check-in job: re-render the ride messages unless the ride is gone, cancelled or was moved
+   * since the job was scheduled. Errors are left to the job scheduler, which retries the job.
+   * @param {{rideId: string, date: Date|string}} payload
+   * @param {Object} api - Grammy bot API object
+   * @returns {Promise<boolean>} - Whether the messages were refreshed
+   */
+  async refreshRideMessages({ rideId, date }, api) {
+    const ride = await this.storage.getRide(rideId);
+    if (!ride || ride.cancelled || new Date(ride.date).getTime() !== new Date(date).getTime()) {
+      return false;
+    }
+
+    await this.rideMessagesService.updateRideMessages(ride, { api });
+    return true;
+  }
+}
@@ -0,0 +1,215 @@
+import { randomBytes } from 'crypto';
+import {
+  CLUB_ROLES,
+  canChangeClubMember,
+  getClubMember,
+  hasClubRole,
+  isValidClubRole
+} from '../utils/club-utils.js';
+
+export const MAX_CLUB_NAME_LENGTH = 64;
+
+/**
+ * Service for clubs: creation, membership and roles.
+ * Users join a club with its secret invite code; admins and the owner then give members their roles.
+ * The bot only knows users who interacted with it, so members are referenced among the club's members.
+ */
+export class ClubService {
+  /**
+   * @param {import('../storage/interface.js').StorageInterface} storage
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Create a club owned by the user.
+   * @param {string} name
+   * @param {import('../models/UserProfile.js').UserProfile} ownerProfile
+   * @returns {Promise<{success: boolean, club: Object|null, reason?: 'invalidName'}>}
+   */
+  async createClub(name, ownerProfile) {
+    const clubName = name?.trim();
+    if (!clubName || clubName.length > MAX_CLUB_NAME_LENGTH) {
+      return { success: false, club: null, reason: 'invalidName' };
+    }
+
+    const club = await this.storage.createClub({
+      name: clubName,
+      createdBy: ownerProfile.userId,
+      members: [this.toMember(ownerProfile, CLUB_ROLES.OWNER)],
+      inviteCode: this.generateInviteCode()
+    });
+    return { success: true, club };
+  }
+
+  /**
+   * @param {string} clubId
+   * @returns {Promise<Object|null>}
+   */
+  async getClub(clubId) {
+    return await this.storage.getClub(clubId);
+  }
+
+  /**
+   * @param {number} userId
+   * @returns {Promise<Object[]>} - Clubs of the user in name order
+   */
+  async getClubsForUser(userId) {
+    return await this.storage.getClubsForUser(userId);
+  }
+
+  /**
+   * Rides owned by a club, newest first.
+   * @param {string} clubId
+   * @param {number} skip
+   * @param {number} limit
+   * @returns {Promise<import('../storage/interface.js').RidesList>}
+   */
+  async getClubRides(clubId, skip, limit) {
+    return await this.storage.getRidesByClub(clubId, skip, limit);
+  }
+
+  /**
+   * Join a club as a member with its invite code.
+   * @param {string} inviteCode
+   * @param {import('../models/UserProfile.js').UserProfile} userProfile
+   * @returns {Promise<{success: boolean, club: Object|null, reason?: 'invalidCode'|'alreadyMember'}>}
+   */
+  async joinClub(inviteCode, userProfile) {
+    const club = inviteCode ? await this.storage.getClubByInviteCode(inviteCode) : null;
+    if (!club) {
+      return { success: false, club: null, reason: 'invalidCode' };
+    }
+    if (getClubMember(club, userProfile.userId)) {
+      return { success: false, club, reason: 'alreadyMember' };
+    }
+
+    const updatedClub = await this.storage.updateClub(club.id, {
+      members: [...club.members, this.toMember(userProfile, CLUB_ROLES.MEMBER)]
+    });
+    return { success: true, club: updatedClub };
+  }
+
+  /**
+   * Replace the invite code of a club, so the previous code no longer works.
+   * @param {Object} club
+   * @param {number} userId - User making the change
+   * @returns {Promise<{success: boolean, club: Object, reason?: 'forbidden'}>}
+   */
+  async resetInviteCode(club, userId) {
+    if (!hasClubRole(club, userId, CLUB_ROLES.ADMIN)) {
+      return { success: false, club, reason: 'forbidden' };
+    }
+
+    const updatedClub = await this.storage.updateClub(club.id, { inviteCode: this.generateInviteCode() });
+    return { success: true, club: updatedClub };
+  }
+
+  /**
+   * Find a member of a club by user ID or username (case-insensitive).
+   * @param {Object} club
+   * @param {{userId?: number, username?: string}} reference
+   * @returns {Object|null}
+   */
+  findClubMember(club, reference) {
+    if (reference.userId) {
+      return getClubMember(club, reference.userId);
+    }
+    const username = reference.username?.toLowerCase();
+    return club.members.find(member => Boolean(username) && member.username?.toLowerCase() === username) || null;
+  }
+
+  /**
+   * Give a member another role.
+   * @param {Object} club
+   * @param {{userId?: number, username?: string}} reference - Member to change
+   * @param {string} role - New role; the owner role cannot be handed out
+   * @param {number} userId - User making the change
+   * @returns {Promise<{success: boolean, club: Object, member?: Object, reason?: 'invalidRole'|'notMember'|'forbidden'}>}
+   */
+  async setMemberRole(club, reference, role, userId) {
+    if (!isValidClubRole(role) || role === CLUB_ROLES.OWNER) {
+      return { success: false, club, reason: 'invalidRole' };
+    }
+    const member = this.findClubMember(club, reference);
+    if (!member) {
+      return { success: false, club, reason: 'notMember' };
+    }
+    if (!canChangeClubMember(club, userId, member, role)) {
+      return { success: false, club, member, reason: 'forbidden' };
+    }
+
+    const updatedMember = { ...member, role };
+    const updatedClub = await this.storage.updateClub(club.id, {
+      members: club.members.map(entry => entry.userId === member.userId ? updatedMember : entry)
+    });
+    return { success: true, club: updatedClub, member: updatedMember };
+  }
+
+  /**
+   * Remove a member from a club.
+   * @param {Object} club
+   * @param {{userId?: number, username?: string}} reference - Member to remove
+   * @param {number} userId - User making the change
+   * @returns {Promise<{success: boolean, club: Object, member?: Object, reason?: 'notMember'|'forbidden'}>}
+   */
+  async removeMember(club, reference, userId) {
+    const member = this.findClubMember(club, reference);
+    if (!member) {
+      return { success: false, club, reason: 'notMember' };
+    }
+    if (!canChangeClubMember(club, userId, member)) {
+      return { success: false, club, member, reason: 'forbidden' };
+    }
+
+    const updatedClub = await this.storage.updateClub(club.id, {
+      members: club.members.filter(entry => entry.userId !== member.userId)
+    });
+    return { success: true, club: updatedClub, member };
+  }
+
+  /**
+   * Leave a club. The owner cannot leave their club.
+   * @param {Object} club
+   * @param {number} userId
+   * @returns {Promise<{success: boolean, club: Object, reason?: 'notMember'|'owner'}>}
+   */
+  async leaveClub(club, userId) {
+    const member = getClubMember(club, userId);
+    if (!member) {
+      return { success: false, club, reason: 'notMember' };
+    }
+    if (member.role === CLUB_ROLES.OWNER) {
+      return { success: false, club, reason: 'owner' };
+    }
+
+    const updatedClub = await this.storage.updateClub(club.id, {
+      members: club.members.filter(entry => entry.userId !== userId)
+    });
+    return { success: true, club: updatedClub };
+  }
+
+  /**
+   * @param {import('../models/UserProfile.js').UserProfile} userProfile
+   * @param {string} role
+   * @returns {import('../storage/interface.js').ClubMember}
+   */
+  toMember(userProfile, role) {
+    return {
+      userId: userProfile.userId,
+      username: userProfile.username || '',
+      firstName: userProfile.firstName || '',
+      lastName: userProfile.lastName || '',
+      role,
+      joinedAt: new Date()
+    };
+  }
+
+  /**
+   * @returns {string}
+   */
+  generateInviteCode() {
+    return randomBytes(6).toString('base64url');
+  }
+}
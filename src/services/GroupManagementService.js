@@ -5,6 +5,13 @@ import { config } from '../config.js';
  * Service for managing Telegram group membership in sync with ride participation
  */
 export class GroupManagementService {
+  /**
+   * @param {import('./SettingsService.js').SettingsService} [settingsService] - Source of recipients' languages
+   */
+  constructor(settingsService = null) {
+    this.settingsService = settingsService;
+  }
+
   translate(language, key, params = {}) {
     return t(language || config.i18n.defaultLanguage, key, params, {
       fallbackLanguage: config.i18n.fallbackLanguage,
@@ -12,6 +19,22 @@ export class GroupManagementService {
     });
   }
 
+  /**
+   * Language chosen by the recipient with /language, or the given fallback.
+   * @param {number} userId
+   * @param {string} [fallbackLanguage]
+   * @returns {Promise<string|undefined>}
+   */
+  async getRecipientLanguage(userId, fallbackLanguage) {
+    try {
+      const language = this.settingsService ? await this.settingsService.getUserLanguage(userId) : null;
+      return language || fallbackLanguage;
+    } catch (error) {
+      console.error(`GroupManagementService: failed to load language of user ${userId}:`, error);
+      return fallbackLanguage;
+    }
+  }
+
   /**
    * Add a participant to the attached group.
    * Sends a single-use invite link via DM. If the user hasn't started the bot (403),
@@ -19,7 +42,7 @@ export class GroupManagementService {
    * @param {import('grammy').Api} api - Grammy bot API
    * @param {number} groupId - Telegram chat ID of the group
    * @param {number} userId - Telegram user ID to add
-   * @param {string} [language] - Language for messages
+   * @param {string} [language] - Language for messages to recipients who have not chosen one
    * @param {number} [creatorId] - Ride creator's user ID, used as fallback if DM to user fails
    */
   async addParticipant(api, groupId, userId, language, creatorId) {
@@ -43,7 +66,7 @@ export class GroupManagementService {
     try {
       await api.sendMessage(
         userId,
-        this.translate(language, 'commands.group.inviteLinkSent', { link: invite.invite_link })
+        this.translate(await this.getRecipientLanguage(userId, language), 'commands.group.inviteLinkSent', { link: invite.invite_link })
       );
     } catch (error) {
       if (error?.error_code === 403 && creatorId) {
@@ -51,7 +74,7 @@ export class GroupManagementService {
         try {
           await api.sendMessage(
             creatorId,
-            this.translate(language, 'commands.group.inviteLinkForCreator', { link: invite.invite_link })
+            this.translate(await this.getRecipientLanguage(creatorId, language), 'commands.group.inviteLinkForCreator', { link: invite.invite_link })
           );
         } catch (e) {
           console.warning(`GroupManagementService: failed to notify creator ${creatorId} about invite for user ${userId}:`, e);
@@ -0,0 +1,192 @@
+import { config } from '../config.js';
+
+export const JOB_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+});
+
+/**
+ * Persistent scheduler for timed background work.
+ * Jobs are stored through the storage layer, so they survive restarts and deploys, and a
+ * polling worker runs the ones that are due. Execution is at-least-once: a job whose worker
+ * died is picked up again once its lease expires, so handlers must tolerate running twice.
+ * Failing jobs are retried with exponential backoff until they run out of attempts.
+ * Scheduling with an idempotency key replaces the pending job of that key, which also makes
+ * debouncing a matter of rescheduling under the same key. A job of the key that is already
+ * running finishes, but is not retried once a newer job is pending.
+ */
+export class JobSchedulerService {
+  /**
+   * @param {import('../storage/interface.js').StorageInterface} storage
+   */
+  constructor(storage) {
+    this.storage = storage;
+    /** @type {Map<string, (payload: Object, context: {api: Object, job: import('../storage/interface.js').Job}) => Promise<void>>} */
+    this.handlers = new Map();
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Register the handler that runs jobs of a type. A handler signals failure by throwing.
+   * @param {string} type
+   * @param {(payload: Object, context: {api: Object, job: import('../storage/interface.js').Job}) => Promise<void>} handler
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Schedule a job.
+   * @param {string} type - Registered job type
+   * @param {Object} payload - Plain, serializable data for the handler
+   * @param {Object} [options]
+   * @param {string} [options.key] - Idempotency key; replaces the pending job with the same key
+   * @param {Date} [options.runAt] - When to run the job, defaults to now
+   * @param {number} [options.delayMs] - Run the job this long from now instead of at `runAt`
+   * @param {number} [options.maxAttempts]
+   * @returns {Promise<import('../storage/interface.js').Job>}
+   */
+  async schedule(type, payload, { key = null, runAt = new Date(), delayMs, maxAttempts = config.jobs.maxAttempts } = {}) {
+    return await this.storage.scheduleJob({
+      type,
+      key,
+      payload,
+      runAt: delayMs !== undefined ? new Date(Date.now() + delayMs) : runAt,
+      maxAttempts
+    });
+  }
+
+  /**
+   * Run due jobs, up to one batch.
+   * @param {Object} api - Grammy bot API object
+   * @param {Date} [now]
+   * @returns {Promise<number>} - Number of jobs that completed
+   */
+  async processDueJobs(api, now = new Date()) {
+    let completedCount = 0;
+    for (let i = 0; i < config.jobs.batchSize; i++) {
+      const job = await this.storage.claimNextDueJob(now, new Date(now.getTime() + config.jobs.lockTimeoutMs));
+      if (!job) {
+        break;
+      }
+
+      if (await this.runJob(job, api, now)) {
+        completedCount++;
+      }
+    }
+
+    return completedCount;
+  }
+
+  /**
+   * Run a claimed job and record the outcome.
+   * @param {import('../storage/interface.js').Job} job
+   * @param {Object} api
+   * @param {Date} now
+   * @returns {Promise<boolean>} - Whether the job completed
+   */
+  async runJob(job, api, now) {
+    try {
+      const handler = this.handlers.get(job.type);
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      await handler(job.payload, { api, job });
+      await this.storage.updateJob(job.id, {
+        status: JOB_STATUSES.COMPLETED,
+        lockedUntil: null,
+        finishedAt: new Date()
+      });
+      return true;
+    } catch (error) {
+      await this.recordFailure(job, error, now);
+      return false;
+    }
+  }
+
+  /**
+   * Put a failed job back for a retry, or give it up when it is out of attempts.
+   * A job whose key was rescheduled while it ran is not retried: the newer job takes its place.
+   * @param {import('../storage/interface.js').Job} job
+   * @param {Error} error
+   * @param {Date} now
+   * @returns {Promise<void>}
+   */
+  async recordFailure(job, error, now) {
+    const lastError = error?.message || String(error);
+    try {
+      if (job.attempts >= job.maxAttempts) {
+        console.error(`Job ${job.id} (${job.type}) failed after ${job.attempts} attempts:`, error);
+        await this.storage.updateJob(job.id, {
+          status: JOB_STATUSES.FAILED,
+          lockedUntil: null,
+          lastError,
+          finishedAt: new Date()
+        });
+        return;
+      }
+
+      const retried = await this.storage.retryJob(job.id, {
+        runAt: new Date(now.getTime() + this.getRetryDelay(job.attempts)),
+        lastError
+      });
+      if (retried) {
+        console.warn(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}, retrying:`, error);
+      } else {
+        console.warn(`Job ${job.id} (${job.type}) failed and was rescheduled under its key meanwhile, not retrying:`, error);
+      }
+    } catch (updateError) {
+      // The lease expires on its own, so the job is retried anyway
+      console.error(`Error recording failure of job ${job.id}:`, updateError);
+    }
+  }
+
+  /**
+   * Exponential backoff: the base delay doubled for every failed attempt, capped at the max delay.
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = config.jobs;
+    return Math.min(retryBaseDelayMs * 2 ** Math.max(0, attempts - 1), retryMaxDelayMs);
+  }
+
+  /**
+   * Start polling for due jobs. Runs a first poll right away.
+   * @param {Object} api - Grammy bot API object
+   * @returns {Promise<void>}
+   */
+  async start(api) {
+    this.stop();
+
+    const tick = async () => {
+      if (this.polling) {
+        return;
+      }
+
+      this.polling = true;
+      try {
+        await this.processDueJobs(api);
+      } catch (error) {
+        console.error('Error processing jobs:', error);
+      } finally {
+        this.polling = false;
+      }
+    };
+
+    this.pollTimer = setInterval(tick, config.jobs.pollIntervalMs);
+    this.pollTimer.unref?.();
+    await tick();
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
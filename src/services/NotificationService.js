@@ -1,69 +1,198 @@
 import { config } from '../config.js';
 import { t } from '../i18n/index.js';
+import { getRideManagerIds } from '../utils/co-organizer-utils.js';
 
 const DEBOUNCE_DELAY_MS = 20_000;
 
+export const NOTIFICATION_JOB_TYPES = Object.freeze({
+  PARTICIPATION: 'notification:participation',
+  WAITLIST_PROMOTION: 'notification:waitlistPromotion',
+  RIDE_TRANSFER: 'notification:rideTransfer'
+});
+
 /**
- * Service for sending debounced participation notifications to ride creators.
- * When a participant's status changes, a 20-second timer is started before
- * sending a DM to the creator. If the status changes again within that window,
- * the pending notification is cancelled and rescheduled with the latest state.
+ * Service for participation notifications, delivered through the persistent job scheduler
+ * so that pending notifications survive restarts and failed sends are retried.
+ * Notifications to ride creators and co-organizers are debounced: a participant's status change
+ * schedules a DM to each of them 20 seconds later, and another change within that window replaces
+ * the pending jobs with the latest state.
  */
 export class NotificationService {
-  constructor() {
-    /** @type {Map<string, {timer: ReturnType<typeof setTimeout>, participant: Object, state: string}>} */
-    this.pendingTimers = new Map();
+  /**
+   * @param {import('./JobSchedulerService.js').JobSchedulerService} jobScheduler
+   * @param {import('./SettingsService.js').SettingsService} [settingsService] - Source of recipients' languages
+   * @param {import('./GroupManagementService.js').GroupManagementService} [groupManagementService] - Invites promoted riders to the ride group
+   */
+  constructor(jobScheduler, settingsService = null, groupManagementService = null) {
+    this.jobScheduler = jobScheduler;
+    this.settingsService = settingsService;
+    this.groupManagementService = groupManagementService;
+    jobScheduler.registerHandler(NOTIFICATION_JOB_TYPES.PARTICIPATION, (payload, { api }) =>
+      this._sendNotification(payload, api));
+    jobScheduler.registerHandler(NOTIFICATION_JOB_TYPES.WAITLIST_PROMOTION, (payload, { api }) =>
+      this._sendWaitlistPromotionNotification(payload, api));
+    jobScheduler.registerHandler(NOTIFICATION_JOB_TYPES.RIDE_TRANSFER, (payload, { api }) =>
+      this._sendRideTransferNotification(payload, api));
   }
 
   /**
    * Schedule a participation notification with debouncing.
    * @param {import('../storage/interface.js').Ride} ride
    * @param {Object} participant - Participant data
-   * @param {string} newState - New participation state ('joined'|'thinking'|'skipped')
-   * @param {Object} api - Grammy bot API object
+   * @param {string} newState - New participation state ('joined'|'thinking'|'skipped'|'waitlist')
+   * @returns {Promise<void>}
    */
-  scheduleParticipationNotification(ride, participant, newState, api) {
+  async scheduleParticipationNotification(ride, participant, newState) {
     if (!ride.settings.notifyParticipation) return;
-    if (ride.createdBy === participant.userId) return;
 
-    const key = `${ride.id}:${participant.userId}`;
-    const existing = this.pendingTimers.get(key);
-    if (existing) {
-      clearTimeout(existing.timer);
-    }
-
-    const timer = setTimeout(async () => {
-      this.pendingTimers.delete(key);
-      await this._sendNotification(ride, participant, newState, api);
-    }, DEBOUNCE_DELAY_MS);
+    const recipientIds = getRideManagerIds(ride).filter(userId => userId !== participant.userId);
 
-    this.pendingTimers.set(key, { timer, participant, state: newState });
+    try {
+      for (const recipientId of recipientIds) {
+        await this.jobScheduler.schedule(NOTIFICATION_JOB_TYPES.PARTICIPATION, {
+          rideId: ride.id,
+          title: ride.title,
+          recipientId,
+          participant: this._toParticipantPayload(participant),
+          state: newState
+        }, {
+          key: `participation:${ride.id}:${participant.userId}:${recipientId}`,
+          delayMs: DEBOUNCE_DELAY_MS
+        });
+      }
+    } catch (err) {
+      console.error('NotificationService: failed to schedule notification:', err);
+    }
   }
 
   /**
-   * Send the participation notification DM to the ride creator.
+   * Tell a waitlisted rider that a spot opened up and they have been moved to the joined list,
+   * and invite them to the ride's attached group.
+   * Sent on the next scheduler run: promotion is not a state the rider can toggle, so there is nothing to debounce.
    * @param {import('../storage/interface.js').Ride} ride
-   * @param {Object} participant
-   * @param {string} state
-   * @param {Object} api
+   * @param {Object} participant - Promoted participant
+   * @returns {Promise<void>}
    */
-  async _sendNotification(ride, participant, state, api) {
+  async scheduleWaitlistPromotionNotification(ride, participant) {
     try {
-      const language = config.i18n.defaultLanguage;
-      const name = this._formatName(participant);
-      const text = t(language, `commands.notifications.${state}`, {
-        name,
+      await this.jobScheduler.schedule(NOTIFICATION_JOB_TYPES.WAITLIST_PROMOTION, {
+        rideId: ride.id,
         title: ride.title,
-        rideId: ride.id
+        userId: participant.userId,
+        groupId: ride.groupId || null,
+        createdBy: ride.createdBy
       }, {
-        fallbackLanguage: config.i18n.fallbackLanguage
+        key: `waitlistPromotion:${ride.id}:${participant.userId}`
       });
-      await api.sendMessage(ride.createdBy, text, { parse_mode: 'HTML' });
     } catch (err) {
-      console.error('NotificationService: failed to send notification:', err);
+      console.error('NotificationService: failed to schedule waitlist promotion notification:', err);
     }
   }
 
+  /**
+   * Tell the new creator of a ride that it was handed over to them.
+   * @param {import('../storage/interface.js').Ride} ride - Ride after the transfer
+   * @param {Object} previousCreator - Profile of the previous creator
+   * @returns {Promise<void>}
+   */
+  async scheduleRideTransferNotification(ride, previousCreator) {
+    try {
+      await this.jobScheduler.schedule(NOTIFICATION_JOB_TYPES.RIDE_TRANSFER, {
+        rideId: ride.id,
+        title: ride.title,
+        userId: ride.createdBy,
+        previousCreator: this._toParticipantPayload(previousCreator)
+      }, {
+        key: `rideTransfer:${ride.id}:${ride.createdBy}`
+      });
+    } catch (err) {
+      console.error('NotificationService: failed to schedule ride transfer notification:', err);
+    }
+  }
+
+  /**
+   * Send the participation notification DM to the ride creator or a co-organizer. Throws on failure so the job is retried.
+   * @param {{rideId: string, title: string, recipientId: number, participant: Object, state: string}} payload
+   * @param {Object} api
+   */
+  async _sendNotification({ rideId, title, recipientId, participant, state }, api) {
+    const language = await this._getRecipientLanguage(recipientId);
+    const name = this._formatName(participant);
+    const text = t(language, `commands.notifications.${state}`, {
+      name,
+      title,
+      rideId
+    }, {
+      fallbackLanguage: config.i18n.fallbackLanguage
+    });
+    await api.sendMessage(recipientId, text, { parse_mode: 'HTML' });
+  }
+
+  /**
+   * Send the waitlist promotion DM, then the group invite. Throws when the DM fails so the job is retried;
+   * the invite handles its own failures, so a retry never sends a second invite.
+   * The acting rider's language does not apply here, so group invites fall back to the default language
+   * unless the promoted rider has chosen one.
+   * @param {{rideId: string, title: string, userId: number, groupId?: number|null, createdBy?: number}} payload
+   * @param {Object} api
+   */
+  async _sendWaitlistPromotionNotification({ rideId, title, userId, groupId, createdBy }, api) {
+    const language = await this._getRecipientLanguage(userId);
+    const text = t(language, 'commands.notifications.promotedFromWaitlist', {
+      title,
+      rideId
+    }, {
+      fallbackLanguage: config.i18n.fallbackLanguage
+    });
+    await api.sendMessage(userId, text, { parse_mode: 'HTML' });
+
+    if (groupId && this.groupManagementService) {
+      await this.groupManagementService.addParticipant(api, groupId, userId, config.i18n.defaultLanguage, createdBy);
+    }
+  }
+
+  /**
+   * Send the ride transfer DM to the new creator. Throws on failure so the job is retried.
+   * @param {{rideId: string, title: string, userId: number, previousCreator: Object}} payload
+   * @param {Object} api
+   */
+  async _sendRideTransferNotification({ rideId, title, userId, previousCreator }, api) {
+    const language = await this._getRecipientLanguage(userId);
+    const text = t(language, 'commands.notifications.rideTransferred', {
+      name: this._formatName(previousCreator),
+      title,
+      rideId
+    }, {
+      fallbackLanguage: config.i18n.fallbackLanguage
+    });
+    await api.sendMessage(userId, text, { parse_mode: 'HTML' });
+  }
+
+  /**
+   * Language chosen by the recipient with /language, or the default language.
+   * Telegram only reports the client language with the user's own updates, so it is not known here.
+   * @param {number} userId
+   * @returns {Promise<string>}
+   */
+  async _getRecipientLanguage(userId) {
+    const language = this.settingsService ? await this.settingsService.getUserLanguage(userId) : null;
+    return language || config.i18n.defaultLanguage;
+  }
+
+  /**
+   * Keep only the participant fields needed for the message, so the job payload stays plain data.
+   * @param {Object} p - Participant object
+   * @returns {{userId: number, username?: string, firstName?: string, lastName?: string}}
+   */
+  _toParticipantPayload(p) {
+    return {
+      userId: p.userId,
+      username: p.username || '',
+      firstName: p.firstName || '',
+      lastName: p.lastName || ''
+    };
+  }
+
   /**
    * Format participant display name.
    * @param {Object} p - Participant object
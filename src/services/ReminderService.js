@@ -0,0 +1,221 @@
+import { InlineKeyboard } from 'grammy';
+import { config } from '../config.js';
+import { t } from '../i18n/index.js';
+import { DateParser } from '../utils/date-parser.js';
+import { escapeHtml } from '../utils/html-escape.js';
+import { SettingsService } from './SettingsService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+export const REMINDER_JOB_TYPE = 'reminder:ride';
+
+/**
+ * Format a reminder offset as "24 h" or "30 min".
+ * @param {number} minutes
+ * @param {string} [language]
+ * @returns {string}
+ */
+export function formatReminderOffset(minutes, language = config.i18n.defaultLanguage) {
+  const key = minutes % 60 === 0 ? 'commands.reminders.offset.hours' : 'commands.reminders.offset.minutes';
+  const count = minutes % 60 === 0 ? minutes / 60 : minutes;
+  return t(language, key, { count }, { fallbackLanguage: config.i18n.fallbackLanguage });
+}
+
+/**
+ * Service for reminders sent to participants before a ride starts.
+ * Reminders are jobs of the persistent job scheduler, one per offset of a ride: the ride service
+ * replaces the pending jobs of a ride whenever its date, cancellation or settings change.
+ * Joined riders get a reminder, riders who are still thinking get a nudge with participation buttons.
+ */
+export class ReminderService {
+  /**
+   * @param {import('../storage/interface.js').StorageInterface} storage
+   * @param {import('./JobSchedulerService.js').JobSchedulerService} jobScheduler
+   * @param {import('./SettingsService.js').SettingsService|null} [settingsService] - Resolves the language of each recipient
+   */
+  constructor(storage, jobScheduler, settingsService = null) {
+    this.storage = storage;
+    this.jobScheduler = jobScheduler;
+    this.settingsService = settingsService;
+    jobScheduler.registerHandler(REMINDER_JOB_TYPE, (payload, { api }) => this.sendDueReminder(payload, api));
+  }
+
+  /**
+   * Build the reminders a ride needs from now on.
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {Date} [now]
+   * @returns {Array<{offsetMinutes: number, dueAt: Date}>}
+   */
+  buildRideReminders(ride, now = new Date()) {
+    if (ride.cancelled) {
+      return [];
+    }
+
+    const rideTime = new Date(ride.date).getTime();
+    return SettingsService.getRideSettingsSnapshot(ride).reminders
+      .map(offsetMinutes => ({ offsetMinutes, dueAt: new Date(rideTime - offsetMinutes * MINUTE_MS) }))
+      .filter(reminder => reminder.dueAt > now);
+  }
+
+  /**
+   * Replace the pending reminder jobs of a ride with the ones its current state needs.
+   * @param {import('../storage/interface.js').Ride} ride
+   * @returns {Promise<void>}
+   */
+  async syncRideReminders(ride) {
+    await this.clearRideReminders(ride.id);
+    for (const { offsetMinutes, dueAt } of this.buildRideReminders(ride)) {
+      await this.jobScheduler.schedule(REMINDER_JOB_TYPE, { rideId: ride.id, offsetMinutes, dueAt }, {
+        key: `${this.getJobKeyPrefix(ride.id)}${offsetMinutes}`,
+        runAt: dueAt
+      });
+    }
+  }
+
+  /**
+   * Drop the pending reminder jobs of a ride, e.g. when it is deleted.
+   * @param {string} rideId
+   * @returns {Promise<void>}
+   */
+  async clearRideReminders(rideId) {
+    await this.storage.deletePendingJobs(this.getJobKeyPrefix(rideId));
+  }
+
+  /**
+   * @param {string} rideId
+   * @returns {string}
+   */
+  getJobKeyPrefix(rideId) {
+    return `reminder:${rideId}:`;
+  }
+
+  /**
+   * Run a reminder job. When several reminders of one ride are due at once (e.g. after downtime),
+   * only the one closest to the start is sent; the others are dropped.
+   * @param {{rideId: string, offsetMinutes: number, dueAt: Date|string}} reminder - Job payload
+   * @param {Object} api - Grammy bot API object
+   * @param {Date} [now]
+   * @returns {Promise<boolean>} - Whether the reminder was sent
+   */
+  async sendDueReminder(reminder, api, now = new Date()) {
+    const ride = await this.storage.getRide(reminder.rideId);
+    if (!this.isReminderStillValid(reminder, ride, now) || this.hasCloserDueReminder(ride, reminder.offsetMinutes, now)) {
+      return false;
+    }
+
+    await this.sendRideReminder(ride, api, now);
+    return true;
+  }
+
+  /**
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {number} offsetMinutes
+   * @param {Date} now
+   * @returns {boolean} - Whether a reminder closer to the start is due as well
+   */
+  hasCloserDueReminder(ride, offsetMinutes, now) {
+    const rideTime = new Date(ride.date).getTime();
+    return SettingsService.getRideSettingsSnapshot(ride).reminders
+      .some(offset => offset < offsetMinutes && rideTime - offset * MINUTE_MS <= now.getTime());
+  }
+
+  /**
+   * A reminder is only sent while the ride still exists, has not started and keeps the same date and reminder setting.
+   * @param {{offsetMinutes: number, dueAt: Date|string}} reminder
+   * @param {import('../storage/interface.js').Ride|null} ride
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isReminderStillValid(reminder, ride, now) {
+    if (!ride || ride.cancelled || new Date(ride.date) <= now) {
+      return false;
+    }
+
+    const expectedDueAt = new Date(ride.date).getTime() - reminder.offsetMinutes * MINUTE_MS;
+    return new Date(reminder.dueAt).getTime() === expectedDueAt
+      && SettingsService.getRideSettingsSnapshot(ride).reminders.includes(reminder.offsetMinutes);
+  }
+
+  /**
+   * DM joined riders a reminder and riders who are thinking a nudge to decide, each in their own language.
+   * Failures for single recipients (e.g. users who never started the bot) are logged and skipped.
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {Object} api - Grammy bot API object
+   * @param {Date} now
+   * @returns {Promise<void>}
+   */
+  async sendRideReminder(ride, api, now) {
+    const participation = ride.participation || {};
+    const minutesLeft = Math.max(1, Math.round((new Date(ride.date).getTime() - now.getTime()) / MINUTE_MS));
+    const offsetMinutes = minutesLeft >= 120 ? Math.round(minutesLeft / 60) * 60 : minutesLeft;
+
+    for (const participant of participation.joined || []) {
+      await this.sendToParticipant(api, ride, participant, 'joined', offsetMinutes);
+    }
+
+    for (const participant of participation.thinking || []) {
+      await this.sendToParticipant(api, ride, participant, 'thinking', offsetMinutes);
+    }
+  }
+
+  /**
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {string} headerKey
+   * @param {Object} params
+   * @param {string} language
+   * @returns {string}
+   */
+  buildReminderText(ride, headerKey, params, language) {
+    const { date, time } = DateParser.formatDateTime(new Date(ride.date), language, ride.timezone);
+    const lines = [
+      this.translate(language, headerKey, params),
+      '',
+      this.translate(language, 'commands.reminders.whenLine', { date, time })
+    ];
+    if (ride.meetingPoint) {
+      lines.push(this.translate(language, 'commands.reminders.meetingPointLine', { meetingPoint: escapeHtml(ride.meetingPoint) }));
+    }
+    lines.push('', this.translate(language, 'commands.reminders.footer', { rideId: ride.id }));
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {Object} api - Grammy bot API object
+   * @param {import('../storage/interface.js').Ride} ride
+   * @param {Object} participant
+   * @param {'joined'|'thinking'} state
+   * @param {number} offsetMinutes - Time left until the start
+   * @returns {Promise<void>}
+   */
+  async sendToParticipant(api, ride, participant, state, offsetMinutes) {
+    try {
+      const language = await this.getRecipientLanguage(participant.userId);
+      const params = { title: escapeHtml(ride.title), offset: formatReminderOffset(offsetMinutes, language) };
+      const text = this.buildReminderText(ride, `commands.reminders.${state}`, params, language);
+      const options = { parse_mode: 'HTML' };
+      if (state === 'thinking') {
+        options.reply_markup = new InlineKeyboard()
+          .text(this.translate(language, 'buttons.join'), `join:${ride.id}`)
+          .text(this.translate(language, 'buttons.thinking'), `thinking:${ride.id}`)
+          .text(this.translate(language, 'buttons.pass'), `skip:${ride.id}`);
+      }
+      await api.sendMessage(participant.userId, text, options);
+    } catch (error) {
+      console.warn(`Failed to send reminder to user ${participant.userId}:`, error);
+    }
+  }
+
+  /**
+   * Language chosen by the recipient with /language, or the default language.
+   * @param {number} userId
+   * @returns {Promise<string>}
+   */
+  async getRecipientLanguage(userId) {
+    const language = this.settingsService ? await this.settingsService.getUserLanguage(userId) : null;
+    return language || config.i18n.defaultLanguage;
+  }
+
+  translate(language, key, params = {}) {
+    return t(language, key, params, { fallbackLanguage: config.i18n.fallbackLanguage });
+  }
+}
@@ -1,6 +1,9 @@
 import { RideParamsHelper } from '../utils/RideParamsHelper.js';
 import { config } from '../config.js';
 import { t } from '../i18n/index.js';
+import { isCoOrganizer } from '../utils/co-organizer-utils.js';
+import { isSameLocation } from '../utils/meeting-point.js';
+import { SettingsService } from './SettingsService.js';
 
 /**
  * Service class for handling ride message operations
@@ -9,10 +12,12 @@ export class RideMessagesService {
   /**
    * @param {import('../services/RideService.js').RideService} rideService
    * @param {import('../formatters/MessageFormatter.js').MessageFormatter} messageFormatter
+   * @param {import('../services/SettingsService.js').SettingsService} [settingsService] - Source of group chat settings
    */
-  constructor(rideService, messageFormatter) {
+  constructor(rideService, messageFormatter, settingsService = null) {
     this.rideService = rideService;
     this.messageFormatter = messageFormatter;
+    this.settingsService = settingsService;
   }
 
   translate(language, key, params = {}) {
@@ -69,6 +74,160 @@ export class RideMessagesService {
     };
   }
 
+  /**
+   * Rendering preferences of a chat: those set with /groupsettings for groups,
+   * and the home timezone and unit system of the user for private chats.
+   * @param {number} chatId
+   * @returns {Promise<{language: string|null, timezone: string|null, units: string|null, defaultThreadId: number|null}>}
+   */
+  async getChatPreferences(chatId) {
+    const none = { language: null, timezone: null, units: null, defaultThreadId: null };
+    if (!this.settingsService || typeof chatId !== 'number') {
+      return none;
+    }
+
+    try {
+      // Private chat IDs are user IDs, group and channel IDs are negative
+      if (chatId > 0) {
+        const [timezone, units] = await Promise.all([
+          this.settingsService.getUserTimezone(chatId),
+          this.settingsService.getUserUnits(chatId)
+        ]);
+        return { ...none, timezone, units };
+      }
+      const { language, timezone, units, defaultThreadId } = await this.settingsService.getGroupSettings(chatId);
+      return { language, timezone, units, defaultThreadId };
+    } catch (error) {
+      console.error(`Error loading settings of chat ${chatId}:`, error);
+      return none;
+    }
+  }
+
+  /**
+   * Whether a ride message gets the owner buttons: messages for the creator and those in private chats of co-organizers.
+   * Only the creator flag is stored with the message, so removing a co-organizer takes the buttons away again.
+   * @param {Object} ride
+   * @param {number} chatId
+   * @param {boolean} isForCreator
+   * @returns {boolean}
+   */
+  hasOwnerButtons(ride, chatId, isForCreator) {
+    return isForCreator || isCoOrganizer(ride, chatId);
+  }
+
+  /**
+   * Whether ride messages in a chat get a location message with the meeting point: in groups, for rides
+   * with a map pin and the shareLocation setting. Private chats only get the map link of the ride message.
+   * @param {Object} ride
+   * @param {number} [chatId]
+   * @returns {boolean}
+   */
+  sharesLocation(ride, chatId) {
+    return Boolean(ride.meetingPointLocation)
+      && typeof chatId === 'number' && chatId < 0
+      && SettingsService.getRideSettingsSnapshot(ride).shareLocation;
+  }
+
+  /**
+   * Post the meeting point of a ride as a location message replying to one of its ride messages.
+   * @param {Object} ride
+   * @param {Object} api - Grammy bot API object
+   * @param {import('../storage/interface.js').RideMessage} rideMessage
+   * @returns {Promise<import('../storage/interface.js').RideMessage|null>} - The location message to track; null when the ride does not share it there or posting failed
+   */
+  async postLocationMessage(ride, api, rideMessage) {
+    if (!this.sharesLocation(ride, rideMessage.chatId)) {
+      return null;
+    }
+
+    const { lat, lon } = ride.meetingPointLocation;
+    const sendOptions = {
+      reply_parameters: { message_id: rideMessage.messageId, allow_sending_without_reply: true }
+    };
+    if (rideMessage.messageThreadId) {
+      sendOptions.message_thread_id = rideMessage.messageThreadId;
+    }
+
+    try {
+      const sentMessage = await api.sendLocation(rideMessage.chatId, lat, lon, sendOptions);
+      const locationMessage = {
+        chatId: rideMessage.chatId,
+        messageId: sentMessage.message_id,
+        isForCreator: false,
+        location: { lat, lon }
+      };
+      if (rideMessage.messageThreadId) {
+        locationMessage.messageThreadId = rideMessage.messageThreadId;
+      }
+      return locationMessage;
+    } catch (error) {
+      console.warn(`Error posting the meeting point of ride ${ride.id} to chat ${rideMessage.chatId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Bring the location messages of a ride in line with its meeting point: location messages of a moved
+   * or removed map pin are deleted, and ride messages in groups without one get one when the ride shares it.
+   * @param {Object} ride
+   * @param {import('../storage/interface.js').RideMessage[]} messages - Tracked messages of the ride
+   * @param {Object} api - Grammy bot API object
+   * @returns {Promise<{messages: import('../storage/interface.js').RideMessage[], changed: boolean}>}
+   */
+  async syncLocationMessages(ride, messages, api) {
+    let changed = false;
+    const synced = [];
+
+    for (const message of messages) {
+      if (message.location && !(this.sharesLocation(ride, message.chatId)
+        && isSameLocation(message.location, ride.meetingPointLocation))) {
+        try {
+          await api.deleteMessage(message.chatId, message.messageId);
+        } catch (error) {
+          console.warn(`Error deleting the location message of ride ${ride.id} in chat ${message.chatId}:`, error);
+        }
+        changed = true;
+        continue;
+      }
+      synced.push(message);
+    }
+
+    for (const message of [...synced]) {
+      const hasLocationMessage = synced.some(other => other.location
+        && other.chatId === message.chatId
+        && (other.messageThreadId || null) === (message.messageThreadId || null));
+      if (message.location || message.inlineMessageId || hasLocationMessage) {
+        continue;
+      }
+
+      const locationMessage = await this.postLocationMessage(ride, api, message);
+      if (locationMessage) {
+        synced.push(locationMessage);
+        changed = true;
+      }
+    }
+
+    return { messages: synced, changed };
+  }
+
+  /**
+   * Formatting options of a ride message
+   * @param {boolean} isForCreator - Whether the message gets the owner buttons
+   * @param {string} language
+   * @param {{timezone: string|null, units: string|null}} preferences - Chat preferences; the timezone is shown as the readers' local time
+   * @returns {{isForCreator: boolean, lang: string, timezone?: string, units?: string}}
+   */
+  buildFormatOptions(isForCreator, language, preferences) {
+    const options = { isForCreator, lang: language };
+    if (preferences.timezone) {
+      options.timezone = preferences.timezone;
+    }
+    if (preferences.units) {
+      options.units = preferences.units;
+    }
+    return options;
+  }
+
   /**
    * Create and store a ride message in a chat
    * @param {Object} ride - Ride object
@@ -78,9 +237,10 @@ export class RideMessagesService {
    */
   async createRideMessage(ride, ctx, messageThreadId) {
     try {
-      // Message thread id
-      const threadId = messageThreadId || ctx.message?.message_thread_id;
-      const language = ctx?.lang || config.i18n.defaultLanguage;
+      // Group settings take precedence over the sharer's language; the default topic applies outside topics
+      const preferences = await this.getChatPreferences(ctx.chat?.id);
+      const threadId = messageThreadId || ctx.message?.message_thread_id || preferences.defaultThreadId;
+      const language = preferences.language || ctx?.lang || config.i18n.defaultLanguage;
 
       // Check if this message is for the ride creator in a private chat
       const isForCreator = ctx.chat?.type === 'private' && ctx.from?.id === ride.createdBy;
@@ -90,7 +250,7 @@ export class RideMessagesService {
       const { message, keyboard, parseMode } = this.messageFormatter.formatRideWithKeyboard(
         ride,
         participation,
-        { isForCreator, lang: language }
+        this.buildFormatOptions(this.hasOwnerButtons(ride, ctx.chat?.id, isForCreator), language, preferences)
       );
       
       // Prepare reply options
@@ -120,10 +280,14 @@ export class RideMessagesService {
         messageData.messageThreadId = threadId;
       }
 
+      const messages = [...(ride.messages || []), messageData];
+      const locationMessage = await this.postLocationMessage(ride, ctx.api, messageData);
+      if (locationMessage) {
+        messages.push(locationMessage);
+      }
+
       // Update the ride with the message info in the messages array
-      const updatedRide = await this.rideService.updateRide(ride.id, {
-        messages: [...(ride.messages || []), messageData]
-      });
+      const updatedRide = await this.rideService.updateRide(ride.id, { messages });
 
       return {
         sentMessage,
@@ -135,6 +299,123 @@ export class RideMessagesService {
     }
   }
 
+  /**
+   * Post a ride message to the chat of the update in place of the messages of the ride already tracked there,
+   * so opening a ride again brings it to the bottom of the chat instead of piling up copies.
+   * Old messages that cannot be deleted stay tracked and keep being updated.
+   * @param {Object} ride - Ride object
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @returns {Promise<Object>} - Object containing the sent message and updated ride
+   */
+  async replaceRideMessage(ride, ctx) {
+    const messages = [];
+    for (const message of ride.messages || []) {
+      if (message.inlineMessageId || message.chatId !== ctx.chat.id) {
+        messages.push(message);
+        continue;
+      }
+
+      try {
+        await ctx.api.deleteMessage(message.chatId, message.messageId);
+      } catch (error) {
+        console.warn(`Error deleting the previous message of ride ${ride.id} in chat ${message.chatId}:`, error);
+        messages.push(message);
+      }
+    }
+
+    return await this.createRideMessage({ ...ride, messages }, ctx);
+  }
+
+  /**
+   * Post a ride message to a chat without a triggering update, e.g. from a background job
+   * @param {Object} ride - Ride object
+   * @param {Object} api - Grammy bot API object
+   * @param {{chatId: number, messageThreadId?: number, language?: string, isForCreator?: boolean}} target - Where and how to post
+   * @returns {Promise<Object>} - Object containing the sent message and updated ride
+   */
+  async postRideMessageToChat(ride, api, target) {
+    const preferences = await this.getChatPreferences(target.chatId);
+    const language = preferences.language || target.language || config.i18n.defaultLanguage;
+    const threadId = target.messageThreadId || preferences.defaultThreadId;
+    const isForCreator = target.isForCreator ?? (target.chatId === ride.createdBy);
+    const participation = ride.participation || { joined: [], thinking: [], skipped: [] };
+    const { message, keyboard, parseMode } = this.messageFormatter.formatRideWithKeyboard(
+      ride,
+      participation,
+      this.buildFormatOptions(this.hasOwnerButtons(ride, target.chatId, isForCreator), language, preferences)
+    );
+
+    const sendOptions = {
+      parse_mode: parseMode,
+      reply_markup: keyboard
+    };
+    if (threadId) {
+      sendOptions.message_thread_id = threadId;
+    }
+
+    const sentMessage = await api.sendMessage(target.chatId, message, sendOptions);
+
+    const messageData = {
+      chatId: target.chatId,
+      messageId: sentMessage.message_id,
+      language,
+      isForCreator
+    };
+    if (threadId) {
+      messageData.messageThreadId = threadId;
+    }
+
+    const messages = [...(ride.messages || []), messageData];
+    const locationMessage = await this.postLocationMessage(ride, api, messageData);
+    if (locationMessage) {
+      messages.push(locationMessage);
+    }
+
+    const updatedRide = await this.rideService.updateRide(ride.id, { messages });
+
+    return {
+      sentMessage,
+      updatedRide
+    };
+  }
+
+  /**
+   * Ride message for inline mode. Nothing is known about the chat it is posted to,
+   * so it never gets the owner buttons and uses the default timezone and units.
+   * @param {Object} ride - Ride object
+   * @param {string} [language]
+   * @returns {{message: string, keyboard: import('grammy').InlineKeyboard, parseMode: string}}
+   */
+  formatInlineRideMessage(ride, language) {
+    const participation = ride.participation || { joined: [], thinking: [], skipped: [] };
+    return this.messageFormatter.formatRideWithKeyboard(
+      ride,
+      participation,
+      this.buildFormatOptions(false, language || config.i18n.defaultLanguage, { timezone: null, units: null })
+    );
+  }
+
+  /**
+   * Track a ride message sent in inline mode so that it is kept in sync with the ride
+   * @param {Object} ride - Ride object
+   * @param {string} inlineMessageId - Inline message ID reported by Telegram
+   * @param {string} [language] - Language the message was rendered in
+   * @returns {Promise<Object>} - Ride with the message tracked
+   */
+  async trackInlineMessage(ride, inlineMessageId, language) {
+    if ((ride.messages || []).some(message => message.inlineMessageId === inlineMessageId)) {
+      return ride;
+    }
+
+    return await this.rideService.updateRide(ride.id, {
+      messages: [...(ride.messages || []), {
+        inlineMessageId,
+        language: language || config.i18n.defaultLanguage,
+        isForCreator: false
+      }]
+    });
+  }
+
   /**
    * Update all messages for a ride across all chats
    * @param {Object} ride - Ride object
@@ -153,15 +434,24 @@ export class RideMessagesService {
       let updatedCount = 0;
       let removedCount = 0;
       const messagesToRemove = [];
+      const preferencesByChat = new Map();
       
-      // Update all messages for this ride
+      // Update all messages for this ride; location messages have no text to edit
       for (const messageInfo of ride.messages) {
-        const language = messageInfo.language || ctx?.lang || config.i18n.defaultLanguage;
+        if (messageInfo.location) {
+          continue;
+        }
+
+        if (!preferencesByChat.has(messageInfo.chatId)) {
+          preferencesByChat.set(messageInfo.chatId, await this.getChatPreferences(messageInfo.chatId));
+        }
+        const preferences = preferencesByChat.get(messageInfo.chatId);
+        const language = preferences.language || messageInfo.language || ctx?.lang || config.i18n.defaultLanguage;
         const isForCreator = messageInfo.isForCreator ?? (messageInfo.chatId === ride.createdBy);
         const { message, keyboard, parseMode } = this.messageFormatter.formatRideWithKeyboard(
           ride,
           participation,
-          { isForCreator, lang: language }
+          this.buildFormatOptions(this.hasOwnerButtons(ride, messageInfo.chatId, isForCreator), language, preferences)
         );
 
         try {
@@ -176,12 +466,16 @@ export class RideMessagesService {
             editOptions.message_thread_id = messageInfo.messageThreadId;
           }
           
-          await ctx.api.editMessageText(
-            messageInfo.chatId,
-            messageInfo.messageId,
-            message,
-            editOptions
-          );
+          if (messageInfo.inlineMessageId) {
+            await ctx.api.editMessageTextInline(messageInfo.inlineMessageId, message, editOptions);
+          } else {
+            await ctx.api.editMessageText(
+              messageInfo.chatId,
+              messageInfo.messageId,
+              message,
+              editOptions
+            );
+          }
           updatedCount++;
         } catch (messageError) {
           // Silently ignore when content hasn't changed — not a real error
@@ -189,11 +483,15 @@ export class RideMessagesService {
             continue;
           }
 
-          console.warn(`Error updating message in chat ${messageInfo.chatId}:`, messageError);
+          const messageLabel = messageInfo.inlineMessageId
+            ? `inline message ${messageInfo.inlineMessageId}`
+            : `message in chat ${messageInfo.chatId}`;
+          console.warn(`Error updating ${messageLabel}:`, messageError);
 
           // Check if the message is no longer available (deleted or bot kicked)
           if (messageError.description && (
               messageError.description.includes('message to edit not found') ||
+              messageError.description.includes('MESSAGE_ID_INVALID') ||
               messageError.description.includes('bot was blocked by the user') ||
               messageError.description.includes('chat not found') ||
               messageError.description.includes('user is deactivated') ||
@@ -206,19 +504,20 @@ export class RideMessagesService {
         }
       }
       
-      // Remove messages that couldn't be updated from the tracking array
-      if (messagesToRemove.length > 0) {
-        // Filter out messages that should be removed
-        const updatedMessages = ride.messages.filter(msg => 
-          !messagesToRemove.some(toRemove => 
-            toRemove.chatId === msg.chatId && 
-            toRemove.messageId === msg.messageId && 
-            toRemove.messageThreadId === msg.messageThreadId
-          )
-        );
-        
-        // Update the ride with the filtered messages array
-        await this.rideService.updateRide(ride.id, { messages: updatedMessages });
+      // Filter out messages that couldn't be updated
+      const updatedMessages = ride.messages.filter(msg => 
+        !messagesToRemove.some(toRemove => 
+          toRemove.chatId === msg.chatId && 
+          toRemove.messageId === msg.messageId && 
+          toRemove.messageThreadId === msg.messageThreadId &&
+          toRemove.inlineMessageId === msg.inlineMessageId
+        )
+      );
+      const synced = await this.syncLocationMessages(ride, updatedMessages, ctx.api);
+
+      // Update the tracking array when messages were removed or location messages changed
+      if (messagesToRemove.length > 0 || synced.changed) {
+        await this.rideService.updateRide(ride.id, { messages: synced.messages });
       }
       
       return { 
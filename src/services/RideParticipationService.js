@@ -15,13 +15,15 @@ export class RideParticipationService {
 
   /**
    * Change participation state and run participation-related side effects.
+   * When the ride is full, a join request lands on the waitlist (`resultState: 'waitlist'`);
+   * `RideService` takes care of the riders a freed spot promotes from it.
    * @param {Object} params
    * @param {string} params.rideId
    * @param {import('../models/UserProfile.js').UserProfile} params.participantProfile
    * @param {'joined'|'thinking'|'skipped'} params.targetState
    * @param {string} [params.language]
    * @param {import('grammy').Api} params.api
-   * @returns {Promise<{status: 'changed'|'ride_not_found'|'ride_cancelled'|'already_in_state', ride?: Object, previousState?: string|null, targetState: string}>}
+   * @returns {Promise<{status: 'changed'|'ride_not_found'|'ride_cancelled'|'already_in_state', ride?: Object, previousState?: string|null, targetState: string, resultState?: string}>}
    */
   async changeParticipation({ rideId, participantProfile, targetState, language, api }) {
     const ride = await this.rideService.getRide(rideId);
@@ -34,16 +36,17 @@ export class RideParticipationService {
     }
 
     const result = await this.rideService.setParticipation(rideId, participantProfile, targetState);
+    const resultState = result.state || targetState;
     if (!result.success) {
-      return { status: 'already_in_state', targetState };
+      return { status: 'already_in_state', targetState, resultState };
     }
 
     if (this.notificationService) {
-      this.notificationService.scheduleParticipationNotification(result.ride, participantProfile, targetState, api);
+      await this.notificationService.scheduleParticipationNotification(result.ride, participantProfile, resultState);
     }
 
     if (result.ride.groupId && this.groupManagementService) {
-      if (targetState === 'joined') {
+      if (resultState === 'joined') {
         await this.groupManagementService.addParticipant(
           api,
           result.ride.groupId,
@@ -60,7 +63,8 @@ export class RideParticipationService {
       status: 'changed',
       ride: result.ride,
       previousState: result.previousState,
-      targetState
+      targetState,
+      resultState
     };
   }
 }
@@ -0,0 +1,364 @@
+import { config } from '../config.js';
+import { DateParser } from '../utils/date-parser.js';
+import { UserProfile } from '../models/UserProfile.js';
+import {
+  completeRecurrenceRule,
+  formatDateKey,
+  formatLocalDateTime,
+  getNextOccurrence
+} from '../utils/recurrence-utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SKIPPED_OCCURRENCES = 100;
+
+export const SERIES_STATUSES = Object.freeze({
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  ENDED: 'ended'
+});
+
+export const SERIES_JOB_TYPE = 'rideSeries:createRides';
+
+/**
+ * Service for recurring ride series.
+ * A series keeps the recurrence rule and points at its latest ride. Each active series has a job
+ * of the persistent job scheduler that runs once the next date falls within the creation window,
+ * duplicates the latest ride for that date, posts it to the same chats as the previous one and
+ * schedules the job of the following date.
+ */
+export class RideSeriesService {
+  /**
+   * @param {import('../storage/interface.js').StorageInterface} storage
+   * @param {import('./RideService.js').RideService} rideService
+   * @param {import('./RideMessagesService.js').RideMessagesService} rideMessagesService
+   * @param {import('./JobSchedulerService.js').JobSchedulerService} jobScheduler
+   */
+  constructor(storage, rideService, rideMessagesService, jobScheduler) {
+    this.storage = storage;
+    this.rideService = rideService;
+    this.rideMessagesService = rideMessagesService;
+    this.jobScheduler = jobScheduler;
+    jobScheduler.registerHandler(SERIES_JOB_TYPE, (payload, { api }) => this.runSeriesJob(payload, api));
+  }
+
+  /**
+   * Convert a stored date to the wall clock of a ride timezone.
+   * @param {Date} date
+   * @param {string|null} [timezone] - Ride timezone, the configured default when omitted
+   * @returns {Date}
+   */
+  toWallClock(date, timezone = null) {
+    return DateParser.convertToTimezone(new Date(date), DateParser.resolveTimezone(timezone));
+  }
+
+  /**
+   * Get the series a ride belongs to.
+   * @param {Object} ride - Ride object
+   * @returns {Promise<import('../storage/interface.js').RideSeries|null>}
+   */
+  async getSeriesForRide(ride) {
+    if (!ride?.seriesId) {
+      return null;
+    }
+    return await this.storage.getRideSeries(ride.seriesId);
+  }
+
+  /**
+   * Make a ride repeat. Replaces the rule when the ride already belongs to a series.
+   * @param {Object} ride - Ride object
+   * @param {{rule: Object, until?: Date|null, count?: number|null}} recurrence - Parsed recurrence settings
+   * @returns {Promise<import('../storage/interface.js').RideSeries>}
+   */
+  async setRecurrence(ride, { rule, until = null, count = null }) {
+    const existing = await this.getSeriesForRide(ride);
+    const anchorDate = existing ? existing.anchorDate : ride.date;
+    const completeRule = completeRecurrenceRule(rule, this.toWallClock(anchorDate, ride.timezone));
+
+    if (existing) {
+      const updatedSeries = await this.storage.updateRideSeries(existing.id, {
+        rule: completeRule,
+        until,
+        count,
+        status: SERIES_STATUSES.ACTIVE
+      });
+      await this.scheduleSeries(updatedSeries);
+      return updatedSeries;
+    }
+
+    const series = await this.storage.createRideSeries({
+      createdBy: ride.createdBy,
+      rule: completeRule,
+      anchorDate,
+      until,
+      count,
+      occurrences: 1,
+      skipDates: [],
+      status: SERIES_STATUSES.ACTIVE,
+      lastRideId: ride.id,
+      lastRideDate: ride.date
+    });
+    await this.rideService.updateRide(ride.id, { seriesId: series.id });
+    await this.scheduleSeries(series);
+    return series;
+  }
+
+  /**
+   * Change the status of a series (pause, resume or end it). The job of a paused or ended series
+   * does nothing when it runs, and resuming schedules it again.
+   * @param {string} seriesId
+   * @param {'active'|'paused'|'ended'} status
+   * @returns {Promise<import('../storage/interface.js').RideSeries>}
+   */
+  async setStatus(seriesId, status) {
+    const series = await this.storage.updateRideSeries(seriesId, { status });
+    if (status === SERIES_STATUSES.ACTIVE) {
+      await this.scheduleSeries(series);
+    }
+    return series;
+  }
+
+  /**
+   * Schedule the job of a series for the moment its next ride enters the creation window,
+   * replacing its pending job. Series without a next ride get a job right away, which ends them.
+   * @param {import('../storage/interface.js').RideSeries} series
+   * @param {Date} [now]
+   * @returns {Promise<void>}
+   */
+  async scheduleSeries(series, now = new Date()) {
+    const nextDate = await this.getNextScheduledDate(series, now);
+    const runAt = nextDate
+      ? new Date(Math.max(now.getTime(), nextDate.getTime() - config.rideSeries.daysAhead * DAY_MS))
+      : now;
+    await this.jobScheduler.schedule(SERIES_JOB_TYPE, { seriesId: series.id }, {
+      key: `rideSeries:${series.id}`,
+      runAt
+    });
+  }
+
+  /**
+   * Exclude one calendar day from the series.
+   * @param {import('../storage/interface.js').RideSeries} series
+   * @param {Date} date - Any moment of the day to skip
+   * @param {string|null} [timezone] - Timezone of the series rides
+   * @returns {Promise<{series: Object, dateKey: string, alreadyCreated: boolean}>}
+   */
+  async skipDate(series, date, timezone = null) {
+    const dateKey = formatDateKey(this.toWallClock(date, timezone));
+    if (dateKey <= formatDateKey(this.toWallClock(series.lastRideDate, timezone))) {
+      return { series, dateKey, alreadyCreated: true };
+    }
+
+    const skipDates = series.skipDates.includes(dateKey)
+      ? series.skipDates
+      : [...series.skipDates, dateKey].sort();
+    const updatedSeries = await this.storage.updateRideSeries(series.id, { skipDates });
+    if (updatedSeries.status === SERIES_STATUSES.ACTIVE) {
+      await this.scheduleSeries(updatedSeries);
+    }
+    return { series: updatedSeries, dateKey, alreadyCreated: false };
+  }
+
+  /**
+   * Find the wall-clock date of the next ride in the series, honoring skipped days and the end date.
+   * @param {import('../storage/interface.js').RideSeries} series
+   * @param {Object} templateRide - Latest ride of the series; its time of day is reused
+   * @param {Date} now
+   * @returns {Date|null}
+   */
+  getNextInstanceDate(series, templateRide, now) {
+    const timezone = templateRide.timezone;
+    const anchorDate = this.toWallClock(series.anchorDate, timezone);
+    const timeOf = this.toWallClock(templateRide.date, timezone);
+    const untilKey = series.until ? formatDateKey(this.toWallClock(series.until, timezone)) : null;
+    let after = this.toWallClock(Math.max(new Date(series.lastRideDate).getTime(), now.getTime()), timezone);
+
+    for (let attempt = 0; attempt < MAX_SKIPPED_OCCURRENCES; attempt++) {
+      const next = getNextOccurrence(series.rule, { anchorDate, after, timeOf });
+      if (!next || (untilKey && formatDateKey(next) > untilKey)) {
+        return null;
+      }
+      if (!series.skipDates.includes(formatDateKey(next))) {
+        return next;
+      }
+      after = next;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the date of the next ride the scheduler will create for an active series.
+   * @param {import('../storage/interface.js').RideSeries} series
+   * @param {Date} [now]
+   * @returns {Promise<Date|null>}
+   */
+  async getNextScheduledDate(series, now = new Date()) {
+    if (series.status !== SERIES_STATUSES.ACTIVE || this.isCountReached(series)) {
+      return null;
+    }
+
+    const templateRide = await this.rideService.getRide(series.lastRideId);
+    if (!templateRide) {
+      return null;
+    }
+
+    const next = this.getNextInstanceDate(series, templateRide, now);
+    return next ? DateParser.convertFromTimezone(next, DateParser.resolveTimezone(templateRide.timezone)) : null;
+  }
+
+  isCountReached(series) {
+    return Boolean(series.count) && series.occurrences >= series.count;
+  }
+
+  /**
+   * Run the job of a series: create its rides that fall within the creation window and schedule
+   * the job of the next one. Throws when a ride within the window could not be created, so the
+   * job scheduler retries it.
+   * @param {{seriesId: string}} payload
+   * @param {Object} api - Grammy bot API object
+   * @param {Date} [now]
+   * @returns {Promise<Object[]>} - Created rides
+   */
+  async runSeriesJob({ seriesId }, api, now = new Date()) {
+    const series = await this.storage.getRideSeries(seriesId);
+    if (series?.status !== SERIES_STATUSES.ACTIVE) {
+      return [];
+    }
+
+    const createdRides = await this.generateDueInstances(series, api, now);
+    const updatedSeries = await this.storage.getRideSeries(seriesId);
+    if (updatedSeries.status !== SERIES_STATUSES.ACTIVE) {
+      return createdRides;
+    }
+
+    const nextDate = await this.getNextScheduledDate(updatedSeries, now);
+    if (nextDate && nextDate.getTime() <= now.getTime() + config.rideSeries.daysAhead * DAY_MS) {
+      throw new Error(`Ride series ${seriesId}: the ride of ${nextDate.toISOString()} could not be created`);
+    }
+
+    await this.scheduleSeries(updatedSeries, now);
+    return createdRides;
+  }
+
+  /**
+   * Create the rides of one series that fall within the creation window, ending the series when it runs out.
+   * @param {import('../storage/interface.js').RideSeries} series
+   * @param {Object} api - Grammy bot API object
+   * @param {Date} now
+   * @returns {Promise<Object[]>} - Created rides
+   */
+  async generateDueInstances(series, api, now) {
+    const horizon = now.getTime() + config.rideSeries.daysAhead * DAY_MS;
+    const createdRides = [];
+    let current = series;
+
+    while (current.status === SERIES_STATUSES.ACTIVE) {
+      if (this.isCountReached(current)) {
+        current = await this.setStatus(current.id, SERIES_STATUSES.ENDED);
+        break;
+      }
+
+      const templateRide = await this.rideService.getRide(current.lastRideId);
+      if (!templateRide) {
+        console.warn(`Ride series ${current.id}: latest ride ${current.lastRideId} no longer exists, ending the series`);
+        current = await this.setStatus(current.id, SERIES_STATUSES.ENDED);
+        break;
+      }
+
+      const nextDate = this.getNextInstanceDate(current, templateRide, now);
+      if (!nextDate) {
+        current = await this.setStatus(current.id, SERIES_STATUSES.ENDED);
+        break;
+      }
+
+      if (DateParser.convertFromTimezone(nextDate, DateParser.resolveTimezone(templateRide.timezone)).getTime() > horizon) {
+        break;
+      }
+
+      const ride = await this.createInstance(current, templateRide, nextDate);
+      if (!ride) {
+        break;
+      }
+
+      // Recorded before posting, so a retry of the job never creates the ride a second time
+      current = await this.storage.updateRideSeries(current.id, {
+        occurrences: current.occurrences + 1,
+        lastRideId: ride.id,
+        lastRideDate: ride.date
+      });
+      createdRides.push(await this.shareCreatedInstance(ride, templateRide.messages, api));
+    }
+
+    return createdRides;
+  }
+
+  /**
+   * Duplicate the template ride for the given date.
+   * @param {import('../storage/interface.js').RideSeries} series
+   * @param {Object} templateRide - Latest ride of the series
+   * @param {Date} date - Wall-clock date of the new ride
+   * @returns {Promise<Object|null>} - Created ride, or null when duplication failed
+   */
+  async createInstance(series, templateRide, date) {
+    const creator = await this.storage.getUser(series.createdBy);
+    const creatorProfile = new UserProfile(creator || { userId: series.createdBy });
+
+    const timezone = DateParser.resolveTimezone(templateRide.timezone);
+    const { ride, error } = await this.rideService.duplicateRide(
+      templateRide.id,
+      { when: formatLocalDateTime(date), ...(timezone ? { timezone } : {}) },
+      creatorProfile
+    );
+    if (error) {
+      console.error(`Ride series ${series.id}: failed to create the next ride:`, error);
+      return null;
+    }
+
+    return await this.rideService.updateRide(ride.id, { seriesId: series.id });
+  }
+
+  /**
+   * Post a ride the series created where the template was posted. The ride stays in the series
+   * when posting fails: it can still be shared by hand.
+   * @param {Object} ride - New ride
+   * @param {Array<Object>} targets - Messages of the previous ride
+   * @param {Object} api - Grammy bot API object
+   * @returns {Promise<Object>} - Ride with the new messages tracked
+   */
+  async shareCreatedInstance(ride, targets, api) {
+    try {
+      return await this.shareInstance(ride, targets, api);
+    } catch (error) {
+      console.error(`Ride series ${ride.seriesId}: failed to post ride ${ride.id}:`, error);
+      return ride;
+    }
+  }
+
+  /**
+   * Post a new ride to the chats of the previous ride.
+   * @param {Object} ride - New ride
+   * @param {Array<Object>} targets - Messages of the previous ride
+   * @param {Object} api - Grammy bot API object
+   * @returns {Promise<Object>} - Ride with the new messages tracked
+   */
+  async shareInstance(ride, targets, api) {
+    let current = ride;
+
+    for (const target of targets || []) {
+      // Messages sent in inline mode belong to no chat the bot can post to;
+      // location messages follow the ride message they belong to
+      if (target.inlineMessageId || target.location) {
+        continue;
+      }
+
+      try {
+        const { updatedRide } = await this.rideMessagesService.postRideMessageToChat(current, api, target);
+        current = updatedRide;
+      } catch (error) {
+        console.warn(`Failed to post ride ${ride.id} to chat ${target.chatId}:`, error);
+      }
+    }
+
+    return current;
+  }
+}
@@ -5,6 +5,13 @@ import { t } from '../i18n/index.js';
 import { getRideRoutes } from '../utils/route-links.js';
 import { UserProfile } from '../models/UserProfile.js';
 import { SettingsService } from './SettingsService.js';
+import { PARTICIPATION_STATES, getFreeSpots, hasParticipantLimit } from '../utils/participation-utils.js';
+import { getCoOrganizers, isCoOrganizer } from '../utils/co-organizer-utils.js';
+import { getAttendanceStatus, hasCheckInStarted, isCheckInOpen } from '../utils/attendance-utils.js';
+import { CLUB_ROLES, hasClubRole } from '../utils/club-utils.js';
+import { DateParser } from '../utils/date-parser.js';
+import { resolveUnitSystem } from '../utils/unit-utils.js';
+import { formatCoordinates } from '../utils/gpx-parser.js';
 
 /**
  * Service class for managing rides and their messages
@@ -13,10 +20,78 @@ export class RideService {
   /**
    * @param {import('../storage/interface.js').StorageInterface} storage
    * @param {SettingsService} [settingsService]
+   * @param {import('./ReminderService.js').ReminderService|null} [reminderService] - Keeps ride reminders in sync with ride changes
+   * @param {import('./CheckInService.js').CheckInService|null} [checkInService] - Keeps the check-in jobs of rides in sync with ride changes
+   * @param {import('./NotificationService.js').NotificationService|null} [notificationService] - Tells riders promoted from the waitlist
    */
-  constructor(storage, settingsService = new SettingsService(storage)) {
+  constructor(
+    storage,
+    settingsService = new SettingsService(storage),
+    reminderService = null,
+    checkInService = null,
+    notificationService = null
+  ) {
     this.storage = storage;
     this.settingsService = settingsService;
+    this.reminderService = reminderService;
+    this.checkInService = checkInService;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Reschedule the reminders of a ride after a change that affects them.
+   * Reminder failures must not fail the ride operation itself.
+   * @param {Object} ride - Ride object
+   * @returns {Promise<void>}
+   */
+  async syncReminders(ride) {
+    if (!this.reminderService || !ride) {
+      return;
+    }
+
+    try {
+      await this.reminderService.syncRideReminders(ride);
+    } catch (error) {
+      console.error(`Error scheduling reminders for ride ${ride.id}:`, error);
+    }
+  }
+
+  /**
+   * Reschedule the check-in jobs of a ride after its date or cancellation changed.
+   * Scheduling failures must not fail the ride operation itself.
+   * @param {Object} ride - Ride object
+   * @returns {Promise<void>}
+   */
+  async syncCheckIn(ride) {
+    if (!this.checkInService || !ride) {
+      return;
+    }
+
+    try {
+      await this.checkInService.syncRideCheckIn(ride);
+    } catch (error) {
+      console.error(`Error scheduling check-in for ride ${ride.id}:`, error);
+    }
+  }
+
+  /**
+   * Timezone for new rides of a user: their home timezone, else the configured default
+   * @param {number|null} userId
+   * @returns {Promise<string|null>}
+   */
+  async getDefaultRideTimezone(userId) {
+    const userTimezone = userId ? await this.settingsService.getUserTimezone(userId) : null;
+    return DateParser.resolveTimezone(userTimezone);
+  }
+
+  /**
+   * Unit system in which a user types distances and speeds without a unit
+   * @param {number|null} userId
+   * @returns {Promise<'metric'|'imperial'>}
+   */
+  async getInputUnits(userId) {
+    const userUnits = userId ? await this.settingsService.getUserUnits(userId) : null;
+    return resolveUnitSystem(userUnits);
   }
 
   translate(language, key, params = {}) {
@@ -37,11 +112,16 @@ export class RideService {
       creatorProfile,
       input: rideData
     });
+    const timezone = rideData.timezone || await this.getDefaultRideTimezone(rideData.createdBy ?? creatorProfile?.userId);
     const ride = await this.storage.createRide({
       ...rideData,
+      timezone,
       settings
     });
 
+    await this.syncReminders(ride);
+    await this.syncCheckIn(ride);
+
     if (!creatorProfile || creatorProfile.userId !== ride.createdBy) {
       return ride;
     }
@@ -75,7 +155,19 @@ export class RideService {
     if (userId !== null && Object.keys(updatesToApply).length > 0) {
       updatesToApply.updatedBy = userId;
     }
-    return await this.storage.updateRide(rideId, updatesToApply);
+    const ride = await this.storage.updateRide(rideId, updatesToApply);
+
+    if (['date', 'cancelled', 'settings'].some(field => updatesToApply[field] !== undefined)) {
+      await this.syncReminders(ride);
+    }
+    if (['date', 'cancelled'].some(field => updatesToApply[field] !== undefined)) {
+      await this.syncCheckIn(ride);
+    }
+    // A raised or removed participant limit frees spots for the waitlist
+    if (updatesToApply.maxParticipants !== undefined) {
+      return (await this.promoteFromWaitlist(rideId)).ride;
+    }
+    return ride;
   }
 
   /**
@@ -102,7 +194,23 @@ export class RideService {
    * @returns {Promise<boolean>} - Success status
    */
   async deleteRide(rideId) {
-    return await this.storage.deleteRide(rideId);
+    const deleted = await this.storage.deleteRide(rideId);
+
+    if (deleted && this.reminderService) {
+      try {
+        await this.reminderService.clearRideReminders(rideId);
+      } catch (error) {
+        console.error(`Error clearing reminders for ride ${rideId}:`, error);
+      }
+    }
+    if (deleted && this.checkInService) {
+      try {
+        await this.checkInService.clearRideCheckIn(rideId);
+      } catch (error) {
+        console.error(`Error clearing check-in for ride ${rideId}:`, error);
+      }
+    }
+    return deleted;
   }
 
   /**
@@ -116,23 +224,155 @@ export class RideService {
     return await this.storage.getRidesByCreator(userId, skip, limit);
   }
 
+  /**
+   * Get rides of a chat that have not started yet and are not cancelled, soonest first.
+   * A ride belongs to a chat when it was posted there or the chat is its attached group.
+   * @param {number} chatId - Chat ID
+   * @param {number} skip - Number of items to skip
+   * @param {number} limit - Maximum number of items to return
+   * @returns {Promise<Object>} - List of rides
+   */
+  async getUpcomingRidesForChat(chatId, skip, limit) {
+    return await this.storage.getUpcomingRidesForChat(chatId, new Date(), skip, limit);
+  }
 
   /**
-   * Set participant state for a ride
+   * Get rides where a user is in one of the given participation states:
+   * rides that have not started yet soonest first, or past rides latest first.
+   * @param {number} userId - User ID
+   * @param {string[]} states - Participation states
+   * @param {boolean} past - Whether to list past rides instead of upcoming ones
+   * @param {number} skip - Number of items to skip
+   * @param {number} limit - Maximum number of items to return
+   * @returns {Promise<Object>} - List of rides
+   */
+  async getRidesByParticipant(userId, states, past, skip, limit) {
+    const now = new Date();
+    return await this.storage.getRidesByParticipant(userId, states, past ? { before: now } : { since: now }, skip, limit);
+  }
+
+  /**
+   * Upcoming rides a user may post in inline mode, soonest first: rides they created and rides they joined
+   * that allow reposts, like with /shareride. Cancelled rides are left out.
+   * @param {number} userId - User ID
+   * @param {string} [text] - Part of the title to look for, case-insensitive
+   * @param {number} [limit] - Maximum number of rides
+   * @returns {Promise<Object[]>}
+   */
+  async getRidesToShare(userId, text = '', limit = 50) {
+    const search = text.trim().toLowerCase();
+    const rides = await this.storage.getRidesForUser(userId, new Date());
+
+    return rides
+      .filter(ride => !ride.cancelled
+        && (ride.createdBy === userId || SettingsService.getRideSettingsSnapshot(ride).allowReposts)
+        && ride.title.toLowerCase().includes(search))
+      .slice(0, limit);
+  }
+
+  /**
+   * Search rides matching every criterion of the query, newest first
+   * @param {import('../storage/interface.js').RideSearchQuery} query - Search criteria
+   * @param {number} skip - Number of items to skip
+   * @param {number} limit - Maximum number of items to return
+   * @returns {Promise<Object>} - List of rides
+   */
+  async searchRides(query, skip, limit) {
+    return await this.storage.searchRides(query, skip, limit);
+  }
+
+
+  /**
+   * Set participant state for a ride.
+   * Joining a ride that has reached its participant limit puts the rider on the waitlist instead,
+   * and a joined rider leaving frees a spot for the first waitlisted rider.
    * @param {string} rideId - Ride ID
    * @param {UserProfile} participantProfile - Participant user profile
-   * @param {string} state - The participation state (joined, thinking, skipped)
-   * @returns {Promise<Object>} - Success status and updated ride
+   * @param {string} state - The requested participation state (joined, thinking, skipped)
+   * @returns {Promise<{success: boolean, ride: Object|null, previousState?: string|null, state: string, promoted?: Object[]}>}
    */
   async setParticipation(rideId, participantProfile, state) {
     // Check if user is already in the desired state
     const currentState = await this.storage.getParticipation(rideId, participantProfile.userId);
-    if (currentState === state) {
-      return { success: false, ride: null };
+    let resultState = state;
+
+    if (state === 'joined' && currentState !== 'joined') {
+      const ride = await this.storage.getRide(rideId);
+      // A rider only gets a spot when there are more free spots than riders queued ahead of them.
+      const waitlist = ride?.participation?.waitlist || [];
+      const queuedAhead = currentState === 'waitlist'
+        ? waitlist.findIndex(p => p.userId === participantProfile.userId)
+        : waitlist.length;
+      if (getFreeSpots(ride) <= queuedAhead) {
+        resultState = 'waitlist';
+      }
+    }
+
+    if (currentState === resultState) {
+      return { success: false, ride: null, state: resultState };
     }
 
-    const result = await this.storage.setParticipation(rideId, state, participantProfile);
-    return { success: true, ride: result.ride, previousState: currentState };
+    let result = await this.storage.setParticipation(rideId, resultState, participantProfile);
+    if (resultState === 'joined' && currentState !== 'joined') {
+      const overflow = await this.demoteOverLimit(rideId, participantProfile);
+      if (overflow) {
+        result = overflow;
+        resultState = 'waitlist';
+      }
+    }
+    if (currentState !== 'joined') {
+      return { success: true, ride: result.ride, previousState: currentState, state: resultState, promoted: [] };
+    }
+
+    const { ride, promoted } = await this.promoteFromWaitlist(rideId);
+    return { success: true, ride, previousState: currentState, state: resultState, promoted };
+  }
+
+  /**
+   * Re-check the limit after a rider joined: when riders joined the last spots at the same time,
+   * those who joined beyond the limit are moved to the waitlist.
+   * @param {string} rideId - Ride ID
+   * @param {import('../models/UserProfile.js').UserProfile} participantProfile - Rider who just joined
+   * @returns {Promise<{ride: Object}|null>} - Storage result of the move, or null when the rider keeps the spot
+   */
+  async demoteOverLimit(rideId, participantProfile) {
+    const ride = await this.storage.getRide(rideId);
+    if (!hasParticipantLimit(ride)) {
+      return null;
+    }
+
+    const position = ride.participation.joined.findIndex(p => p.userId === participantProfile.userId);
+    if (position < ride.maxParticipants) {
+      return null;
+    }
+
+    return await this.storage.setParticipation(rideId, 'waitlist', participantProfile);
+  }
+
+  /**
+   * Move waitlisted riders to joined, in arrival order, while the ride has free spots,
+   * and schedule the notification that tells each of them (and invites them to the ride group).
+   * @param {string} rideId - Ride ID
+   * @returns {Promise<{ride: Object, promoted: Object[]}>} - Updated ride and promoted participants
+   */
+  async promoteFromWaitlist(rideId) {
+    let ride = await this.storage.getRide(rideId);
+    const promoted = [];
+
+    while (getFreeSpots(ride) > 0 && ride.participation?.waitlist?.length > 0) {
+      const [nextParticipant] = ride.participation.waitlist;
+      const result = await this.storage.setParticipation(rideId, 'joined', nextParticipant);
+      ride = result.ride;
+      promoted.push(nextParticipant);
+    }
+
+    if (this.notificationService) {
+      for (const participant of promoted) {
+        await this.notificationService.scheduleWaitlistPromotionNotification(ride, participant);
+      }
+    }
+
+    return { ride, promoted };
   }
 
   /**
@@ -150,7 +390,10 @@ export class RideService {
       updates.updatedBy = userId;
     }
     
-    return this.storage.updateRide(rideId, updates);
+    const ride = await this.storage.updateRide(rideId, updates);
+    await this.syncReminders(ride);
+    await this.syncCheckIn(ride);
+    return ride;
   }
   
   /**
@@ -168,7 +411,241 @@ export class RideService {
       updates.updatedBy = userId;
     }
     
-    return this.storage.updateRide(rideId, updates);
+    const ride = await this.storage.updateRide(rideId, updates);
+    await this.syncReminders(ride);
+    await this.syncCheckIn(ride);
+    return ride;
+  }
+
+  /**
+   * Find a rider of a ride in any participation state, or one of its co-organizers.
+   * @param {Object} ride - Ride object
+   * @param {{userId?: number, username?: string}} reference - User ID, or username without "@"
+   * @returns {Object|null} - Participant
+   */
+  findRideParticipant(ride, reference) {
+    const username = reference.username?.toLowerCase();
+    const matches = reference.userId
+      ? p => p.userId === reference.userId
+      : p => Boolean(username) && p.username?.toLowerCase() === username;
+
+    for (const state of PARTICIPATION_STATES) {
+      const participant = (ride.participation?.[state] || []).find(matches);
+      if (participant) {
+        return participant;
+      }
+    }
+    return getCoOrganizers(ride).find(matches) || null;
+  }
+
+  /**
+   * Make a rider of a ride its co-organizer.
+   * The bot only knows users who interacted with it, so co-organizers are picked among the riders who responded to the ride.
+   * @param {Object} ride - Ride object
+   * @param {{userId?: number, username?: string}} reference - Rider to add
+   * @param {number} userId - User ID of the person making the change
+   * @returns {Promise<{success: boolean, ride: Object|null, coOrganizer?: Object, reason?: 'notParticipant'|'creator'|'alreadyCoOrganizer'}>}
+   */
+  async addCoOrganizer(ride, reference, userId) {
+    const participant = this.findRideParticipant(ride, reference);
+    if (!participant) {
+      return { success: false, ride: null, reason: 'notParticipant' };
+    }
+    if (participant.userId === ride.createdBy) {
+      return { success: false, ride: null, reason: 'creator' };
+    }
+    if (isCoOrganizer(ride, participant.userId)) {
+      return { success: false, ride: null, reason: 'alreadyCoOrganizer' };
+    }
+
+    const coOrganizer = new UserProfile(participant);
+    const updatedRide = await this.updateRide(ride.id, {
+      coOrganizers: [...getCoOrganizers(ride), { ...coOrganizer }]
+    }, userId);
+    return { success: true, ride: updatedRide, coOrganizer };
+  }
+
+  /**
+   * Remove a co-organizer from a ride.
+   * @param {Object} ride - Ride object
+   * @param {number} coOrganizerId - User ID of the co-organizer
+   * @param {number} userId - User ID of the person making the change
+   * @returns {Promise<{success: boolean, ride: Object}>} - Unsuccessful when the user is no co-organizer
+   */
+  async removeCoOrganizer(ride, coOrganizerId, userId) {
+    if (!isCoOrganizer(ride, coOrganizerId)) {
+      return { success: false, ride };
+    }
+
+    const updatedRide = await this.updateRide(ride.id, {
+      coOrganizers: getCoOrganizers(ride).filter(coOrganizer => coOrganizer.userId !== coOrganizerId)
+    }, userId);
+    return { success: true, ride: updatedRide };
+  }
+
+  /**
+   * Hand a ride over to one of its riders or co-organizers.
+   * Tracked messages are re-marked so that the owner buttons follow the new creator; the organizer
+   * name is replaced only while it still names the previous creator, and a series of the ride moves along.
+   * @param {Object} ride - Ride object
+   * @param {{userId?: number, username?: string}} reference - Rider to hand the ride over to
+   * @param {UserProfile} creatorProfile - Current creator making the change
+   * @returns {Promise<{success: boolean, ride: Object|null, newCreator?: UserProfile, reason?: 'notParticipant'|'creator'}>}
+   */
+  async transferRide(ride, reference, creatorProfile) {
+    const participant = this.findRideParticipant(ride, reference);
+    if (!participant) {
+      return { success: false, ride: null, reason: 'notParticipant' };
+    }
+    if (participant.userId === ride.createdBy) {
+      return { success: false, ride: null, reason: 'creator' };
+    }
+
+    const newCreator = new UserProfile(participant);
+    const updates = {
+      createdBy: newCreator.userId,
+      coOrganizers: getCoOrganizers(ride).filter(coOrganizer => coOrganizer.userId !== newCreator.userId),
+      messages: (ride.messages || []).map(message => ({
+        ...message,
+        isForCreator: message.chatId === newCreator.userId
+      }))
+    };
+    if (ride.organizer && ride.organizer === this.getDefaultOrganizer(creatorProfile)) {
+      updates.organizer = this.getDefaultOrganizer(newCreator);
+    }
+
+    const updatedRide = await this.updateRide(ride.id, updates, creatorProfile.userId);
+
+    if (ride.seriesId) {
+      const series = await this.storage.getRideSeries(ride.seriesId);
+      if (series?.createdBy === ride.createdBy) {
+        await this.storage.updateRideSeries(series.id, { createdBy: newCreator.userId });
+      }
+    }
+
+    return { success: true, ride: updatedRide, newCreator };
+  }
+
+  /**
+   * Read the routes of a ride again from their providers, skipping the route metadata cache.
+   * The distance, elevation gain and duration are replaced with those of the first route that has them.
+   * @param {Object} ride - Ride object
+   * @param {number} userId - User making the change
+   * @returns {Promise<{success: boolean, ride: Object|null, reason?: 'noRoutes'|'noMetadata'}>}
+   */
+  async refreshRouteMetadata(ride, userId) {
+    const routes = getRideRoutes(ride).filter(route => RouteParser.isKnownProvider(route.url));
+    if (routes.length === 0) {
+      return { success: false, ride: null, reason: 'noRoutes' };
+    }
+
+    const updates = {};
+    for (const route of routes) {
+      const metadata = await RouteParser.parseRoute(route.url, { refresh: true });
+      if (!metadata) continue;
+      if (updates.distance === undefined && metadata.distance) updates.distance = metadata.distance;
+      if (updates.elevation === undefined && metadata.elevation) updates.elevation = metadata.elevation;
+      if (updates.duration === undefined && metadata.duration) updates.duration = metadata.duration;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return { success: false, ride: null, reason: 'noMetadata' };
+    }
+
+    const updatedRide = await this.updateRide(ride.id, updates, userId);
+    return { success: true, ride: updatedRide };
+  }
+
+  /**
+   * Check a joined rider in to a ride while its check-in phase is open.
+   * @param {Object} ride - Ride object
+   * @param {number} userId - User ID of the rider
+   * @param {Date} [now]
+   * @returns {Promise<{success: boolean, ride: Object|null, reason?: 'notOpen'|'notJoined'|'alreadyCheckedIn'}>}
+   */
+  async checkIn(ride, userId, now = new Date()) {
+    if (!isCheckInOpen(ride, now)) {
+      return { success: false, ride: null, reason: 'notOpen' };
+    }
+    if (!(ride.participation?.joined || []).some(p => p.userId === userId)) {
+      return { success: false, ride: null, reason: 'notJoined' };
+    }
+    if (getAttendanceStatus(ride, userId) === 'attended') {
+      return { success: false, ride: null, reason: 'alreadyCheckedIn' };
+    }
+
+    const updatedRide = await this.storage.setAttendance(ride.id, userId, 'attended', userId);
+    return { success: true, ride: updatedRide };
+  }
+
+  /**
+   * Mark whether a joined rider showed up, from the start of the check-in phase on.
+   * Marking a rider with the mark they already have clears it.
+   * @param {Object} ride - Ride object
+   * @param {number} riderId - User ID of the rider
+   * @param {'attended'|'noShow'} status - Attendance mark
+   * @param {number} userId - User ID of the organizer making the change
+   * @param {Date} [now]
+   * @returns {Promise<{success: boolean, ride: Object|null, status?: 'attended'|'noShow'|null, reason?: 'notStarted'|'notJoined'}>}
+   */
+  async markAttendance(ride, riderId, status, userId, now = new Date()) {
+    if (!hasCheckInStarted(ride, now)) {
+      return { success: false, ride: null, reason: 'notStarted' };
+    }
+    if (!(ride.participation?.joined || []).some(p => p.userId === riderId)) {
+      return { success: false, ride: null, reason: 'notJoined' };
+    }
+
+    const newStatus = getAttendanceStatus(ride, riderId) === status ? null : status;
+    const updatedRide = await this.storage.setAttendance(ride.id, riderId, newStatus, userId);
+    return { success: true, ride: updatedRide, status: newStatus };
+  }
+
+  /**
+   * Attendance history of riders across all rides, for organizers to judge their reliability.
+   * @param {number[]} userIds
+   * @returns {Promise<Map<number, {attended: number, noShow: number}>>} - Riders without any marks are left out
+   */
+  async getAttendanceHistory(userIds) {
+    if (userIds.length === 0) {
+      return new Map();
+    }
+
+    const stats = await this.storage.getAttendanceStats(userIds);
+    return new Map(stats.map(({ userId, attended, noShow }) => [userId, { attended, noShow }]));
+  }
+
+  /**
+   * Whether the user is a leader, admin or the owner of a club.
+   * @param {string} clubId
+   * @param {number} userId
+   * @returns {Promise<boolean>}
+   */
+  async isClubLeader(clubId, userId) {
+    const club = await this.storage.getClub(clubId);
+    return hasClubRole(club, userId, CLUB_ROLES.LEADER);
+  }
+
+  /**
+   * Check that the user may put a ride into a club.
+   * @param {string|null|undefined} clubId - Club from the ride parameters; nothing to check when unset
+   * @param {number} userId
+   * @param {string} [language]
+   * @returns {Promise<string|null>} - Error message, or null when allowed
+   */
+  async checkClubAccess(clubId, userId, language) {
+    if (!clubId) {
+      return null;
+    }
+
+    const club = await this.storage.getClub(clubId);
+    if (!club) {
+      return this.translate(language, 'services.ride.clubNotFound', { id: clubId });
+    }
+    if (!hasClubRole(club, userId, CLUB_ROLES.LEADER)) {
+      return this.translate(language, 'services.ride.clubLeadersOnly', { club: club.name });
+    }
+    return null;
   }
 
   /**
@@ -188,19 +665,29 @@ export class RideService {
     }
 
     try {
+      const defaultTimezone = await this.getDefaultRideTimezone(creatorProfile.userId);
+      const units = await this.getInputUnits(creatorProfile.userId);
       // Use FieldProcessor to handle all field processing
-      const processorOptions = language ? { language } : undefined;
-      const { data, error } = processorOptions
-        ? FieldProcessor.processRideFields(params, false, processorOptions)
-        : FieldProcessor.processRideFields(params, false);
+      const { data, error } = FieldProcessor.processRideFields(params, false, { language, timezone: defaultTimezone, units });
       if (error) return { ride: null, error };
+
+      const clubError = await this.checkClubAccess(data.clubId, creatorProfile.userId, language);
+      if (clubError) return { ride: null, error: clubError };
       
       const routeProcessingError = await this.processRoutesData(data, params, { language });
       if (routeProcessingError) return { ride: null, error: routeProcessingError };
+
+      if (options.meetingPointLocation && data.meetingPoint) {
+        data.meetingPointLocation = options.meetingPointLocation;
+      }
+      if (options.routeFile) {
+        this.applyRouteFile(data, options.routeFile);
+      }
       
       // Set defaults and create ride data
       const rideData = {
         ...data,
+        timezone: data.timezone || defaultTimezone,
         messages: [], // Initialize with empty array
         createdBy: creatorProfile.userId
       };
@@ -277,12 +764,17 @@ export class RideService {
   async updateRideFromParams(rideId, params, userId = null, options = {}) {
     const language = options.language;
     try {
+      // A new start time is read in the ride's timezone
+      const timezone = params.when && params.timezone === undefined
+        ? (await this.storage.getRide(rideId))?.timezone
+        : undefined;
+      const units = await this.getInputUnits(userId);
       // Use FieldProcessor to handle all field processing for updates
-      const processorOptions = language ? { language } : undefined;
-      const { data, error } = processorOptions
-        ? FieldProcessor.processRideFields(params, true, processorOptions)
-        : FieldProcessor.processRideFields(params, true);
+      const { data, error } = FieldProcessor.processRideFields(params, true, { language, timezone, units });
       if (error) return { ride: null, error };
+
+      const clubError = await this.checkClubAccess(data.clubId, userId, language);
+      if (clubError) return { ride: null, error: clubError };
       
       const updates = { ...data };
       
@@ -335,9 +827,14 @@ export class RideService {
         : params.route !== undefined
         ? params.route
         : getRideRoutes(originalRide).map(route => route.label ? `${route.label} | ${route.url}` : route.url),
-      dist: params.dist !== undefined ? params.dist : originalRide.distance?.toString(),
+      // Copied distance and speed carry their unit, so they are not read in the user's unit system
+      dist: params.dist !== undefined ? params.dist : originalRide.distance ? `${originalRide.distance}km` : undefined,
+      elevation: params.elevation !== undefined ? params.elevation : originalRide.elevation ? `${originalRide.elevation}m` : undefined,
       duration: params.duration !== undefined ? params.duration : originalRide.duration?.toString(),
-      info: params.info !== undefined ? params.info : originalRide.additionalInfo
+      max: params.max !== undefined ? params.max : originalRide.maxParticipants?.toString(),
+      info: params.info !== undefined ? params.info : originalRide.additionalInfo,
+      timezone: params.timezone !== undefined ? params.timezone : originalRide.timezone ?? undefined,
+      club: params.club
     };
     
     // Handle date with default to tomorrow
@@ -355,30 +852,66 @@ export class RideService {
       // Reconstruct speed string from original ride, preserving the form type
       const { speedMin, speedMax } = originalRide;
       if (speedMin && speedMax && speedMin === speedMax) {
-        mergedParams.speed = `${speedMin}`;           // average: plain number
+        mergedParams.speed = `${speedMin} km/h`;           // average: single value
       } else if (speedMin && speedMax) {
-        mergedParams.speed = `${speedMin}-${speedMax}`;
+        mergedParams.speed = `${speedMin}-${speedMax} km/h`;
       } else if (speedMin) {
-        mergedParams.speed = `${speedMin}+`;          // explicit min, not avg
+        mergedParams.speed = `${speedMin}+ km/h`;          // explicit min, not avg
       } else if (speedMax) {
-        mergedParams.speed = `-${speedMax}`;          // explicit max
+        mergedParams.speed = `-${speedMax} km/h`;          // explicit max
       }
     }
     
-    // Copy ride settings from the original ride when duplicating your own ride.
-    if (originalRide.createdBy === creatorProfile.userId) {
+    // Copy ride settings and co-organizers from the original ride when duplicating your own ride.
+    const isOwnRide = originalRide.createdBy === creatorProfile.userId;
+    if (isOwnRide) {
       const originalSettings = SettingsService.getRideSettingsSnapshot(originalRide);
-      ['notifyParticipation', 'allowReposts'].forEach(settingName => {
+      ['notifyParticipation', 'allowReposts', 'shareLocation'].forEach(settingName => {
         const paramName = `settings.${settingName}`;
         if (params[paramName] === undefined) {
           mergedParams[paramName] = originalSettings[settingName] ? 'yes' : 'no';
         }
       });
+      mergedParams.settings = { reminders: originalSettings.reminders };
     }
 
+    // A club ride stays with its club while the user may still add rides to it
+    if (mergedParams.club === undefined && originalRide.clubId
+      && await this.isClubLeader(originalRide.clubId, creatorProfile.userId)) {
+      mergedParams.club = originalRide.clubId;
+    }
+
+    // The uploaded route file stays with the copy unless the routes are replaced, and so does the map pin unless the meeting point is
+    const routeFile = params.route === undefined ? originalRide.routeFile : null;
+    const meetingPointLocation = params.meet === undefined ? originalRide.meetingPointLocation : null;
+
     // Use existing createRideFromParams to handle all the validation and processing
-    return await this.createRideFromParams(mergedParams, null, creatorProfile, { language });
+    const result = await this.createRideFromParams(mergedParams, null, creatorProfile, { language, routeFile, meetingPointLocation });
+    if (result.ride && isOwnRide && getCoOrganizers(originalRide).length > 0) {
+      result.ride = await this.updateRide(result.ride.id, { coOrganizers: getCoOrganizers(originalRide) });
+    }
+    return result;
   }
+  /**
+   * Attach an uploaded route file to ride data. Its distance, elevation gain and start point fill
+   * the distance, elevation and meeting point when they are empty; the start point also becomes its map pin.
+   * @param {Object} data - Ride data or wizard data
+   * @param {import('../storage/interface.js').RouteFile} routeFile
+   */
+  applyRouteFile(data, routeFile) {
+    data.routeFile = routeFile;
+    if (!data.distance) {
+      data.distance = routeFile.distance;
+    }
+    if (!data.elevation && routeFile.elevationGain !== null) {
+      data.elevation = routeFile.elevationGain;
+    }
+    if (!data.meetingPoint) {
+      data.meetingPoint = formatCoordinates(routeFile.start);
+      data.meetingPointLocation = { ...routeFile.start };
+    }
+  }
+
   async processRoutesData(data, params, options = {}) {
     if (!data._requiresRouteProcessing) {
       return null;
@@ -386,6 +919,7 @@ export class RideService {
 
     const language = options.language;
     let firstDistance = null;
+    let firstElevation = null;
     let firstDuration = null;
     const processedRoutes = [];
 
@@ -403,6 +937,9 @@ export class RideService {
       if (firstDistance === null && routeInfo.distance) {
         firstDistance = routeInfo.distance;
       }
+      if (firstElevation === null && routeInfo.elevation) {
+        firstElevation = routeInfo.elevation;
+      }
       if (firstDuration === null && routeInfo.duration) {
         firstDuration = routeInfo.duration;
       }
@@ -415,6 +952,10 @@ export class RideService {
       data.distance = firstDistance;
     }
 
+    if (firstElevation !== null && !params.elevation) {
+      data.elevation = firstElevation;
+    }
+
     if (firstDuration !== null && !params.duration) {
       data.duration = firstDuration;
     }
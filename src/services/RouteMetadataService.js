@@ -0,0 +1,64 @@
+import { config } from '../config.js';
+
+/**
+ * Cache of route metadata in front of the route providers. Rides reuse the same routes week after week,
+ * so the figures read from a provider are stored by normalized route ID and reused until they expire.
+ * Routes whose figures could not be read are remembered for a shorter time, so a failing provider
+ * is not asked again for every ride.
+ */
+export class RouteMetadataService {
+  /**
+   * @param {import('../storage/interface.js').StorageInterface} storage
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Get the metadata of a route from the cache, or from its provider when missing, expired or refreshed.
+   * Cache failures are logged and fall back to the provider.
+   * @param {import('../utils/route-providers/index.js').RouteProvider} provider
+   * @param {string} url
+   * @param {{refresh?: boolean}} [options] - refresh: skip the cached entry
+   * @returns {Promise<import('../utils/route-providers/index.js').RouteMetadata|null>}
+   */
+  async getMetadata(provider, url, options = {}) {
+    const routeKey = provider.getRouteKey(url);
+    if (!routeKey) {
+      return provider.fetchMetadata(url);
+    }
+
+    if (!options.refresh) {
+      try {
+        const entry = await this.storage.getRouteMetadata(routeKey);
+        if (entry && entry.expiresAt > new Date()) {
+          return entry.metadata;
+        }
+      } catch (error) {
+        console.error(`Error reading cached metadata of route ${routeKey}:`, error);
+      }
+    }
+
+    let metadata = null;
+    try {
+      metadata = await provider.fetchMetadata(url);
+    } catch (error) {
+      console.warn(`[RouteMetadataService] Error fetching route metadata: ${error.message} for URL: ${url}`);
+    }
+
+    const fetchedAt = new Date();
+    const ttlMs = metadata ? config.routeMetadata.ttlMs : config.routeMetadata.failureTtlMs;
+    try {
+      await this.storage.saveRouteMetadata({
+        routeKey,
+        metadata,
+        fetchedAt,
+        expiresAt: new Date(fetchedAt.getTime() + ttlMs)
+      });
+    } catch (error) {
+      console.error(`Error caching metadata of route ${routeKey}:`, error);
+    }
+
+    return metadata;
+  }
+}
@@ -1,5 +1,10 @@
+import { config } from '../config.js';
+import { getSupportedLanguages } from '../i18n/index.js';
+import { DateParser } from '../utils/date-parser.js';
+import { isValidUnitSystem } from '../utils/unit-utils.js';
+
 /**
- * Application service for user defaults and ride settings snapshots.
+ * Application service for user defaults, ride settings snapshots and group chat settings.
  */
 export class SettingsService {
   /**
@@ -10,19 +15,47 @@ export class SettingsService {
   }
 
   /**
-   * @returns {{notifyParticipation: boolean, allowReposts: boolean}}
+   * @returns {{notifyParticipation: boolean, allowReposts: boolean, reminders: number[], shareLocation: boolean}}
    */
   static getSystemRideDefaults() {
     return {
       notifyParticipation: true,
-      allowReposts: false
+      allowReposts: false,
+      reminders: [...config.reminders.defaultOffsets],
+      shareLocation: false
+    };
+  }
+
+  /**
+   * @returns {{language: null, timezone: null, defaultThreadId: null, allowMemberShares: boolean}}
+   */
+  static getSystemGroupDefaults() {
+    return {
+      language: null,
+      timezone: null,
+      units: null,
+      defaultThreadId: null,
+      allowMemberShares: true
     };
   }
 
+  /**
+   * Turn one reminder offset on or off, keeping the list unique and ordered from the earliest reminder.
+   *
+   * @param {number[]} reminders - Current offsets in minutes before the start
+   * @param {number} offset
+   * @param {boolean} enabled
+   * @returns {number[]}
+   */
+  static setReminderOffset(reminders, offset, enabled) {
+    const others = (reminders || []).filter(value => value !== offset);
+    return (enabled ? [...others, offset] : others).sort((a, b) => b - a);
+  }
+
   /**
    * @param {Object} [baseSettings={}]
    * @param {Object} [overrideSettings={}]
-   * @returns {{notifyParticipation: boolean, allowReposts: boolean}}
+   * @returns {{notifyParticipation: boolean, allowReposts: boolean, reminders: number[], shareLocation: boolean}}
    */
   static buildRideSettingsSnapshot(baseSettings = {}, overrideSettings = {}) {
     return {
@@ -34,7 +67,7 @@ export class SettingsService {
 
   /**
    * @param {Object|null} user
-   * @returns {{notifyParticipation: boolean, allowReposts: boolean}}
+   * @returns {{notifyParticipation: boolean, allowReposts: boolean, reminders: number[], shareLocation: boolean}}
    */
   static getEffectiveUserRideDefaults(user) {
     return SettingsService.buildRideSettingsSnapshot(user?.settings?.rideDefaults);
@@ -42,7 +75,7 @@ export class SettingsService {
 
   /**
    * @param {Object} [input={}]
-   * @returns {{notifyParticipation?: boolean, allowReposts?: boolean}}
+   * @returns {{notifyParticipation?: boolean, allowReposts?: boolean, reminders?: number[], shareLocation?: boolean}}
    */
   static extractExplicitRideSettings(input = {}) {
     return { ...(input.settings || {}) };
@@ -52,7 +85,7 @@ export class SettingsService {
    * Resolve effective ride settings from a ride-like object.
    *
    * @param {Object} [ride={}]
-   * @returns {{notifyParticipation: boolean, allowReposts: boolean}}
+   * @returns {{notifyParticipation: boolean, allowReposts: boolean, reminders: number[], shareLocation: boolean}}
    */
   static getRideSettingsSnapshot(ride = {}) {
     const explicitSettings = SettingsService.extractExplicitRideSettings(ride);
@@ -64,7 +97,7 @@ export class SettingsService {
    *
    * @param {Object} currentRide
    * @param {Object} [updates={}]
-   * @returns {{notifyParticipation: boolean, allowReposts: boolean}}
+   * @returns {{notifyParticipation: boolean, allowReposts: boolean, reminders: number[], shareLocation: boolean}}
    */
   static resolveUpdatedRideSettings(currentRide, updates = {}) {
     return SettingsService.buildRideSettingsSnapshot(
@@ -75,7 +108,7 @@ export class SettingsService {
 
   /**
    * @param {number} userId
-   * @returns {Promise<{notifyParticipation: boolean, allowReposts: boolean}>}
+   * @returns {Promise<{notifyParticipation: boolean, allowReposts: boolean, reminders: number[], shareLocation: boolean}>}
    */
   async getUserRideDefaults(userId) {
     const existingUser = await this.storage.getUser(userId);
@@ -130,13 +163,151 @@ export class SettingsService {
     });
   }
 
+  /**
+   * @param {number} userId
+   * @returns {Promise<string|null>} - The user's preferred language, or null when not chosen
+   */
+  async getUserLanguage(userId) {
+    const existingUser = await this.storage.getUser(userId);
+    return existingUser?.settings?.language || null;
+  }
+
+  /**
+   * Store the user's preferred language, creating the user record if needed.
+   * A null language clears the preference, so the Telegram client language applies again.
+   *
+   * @param {import('../models/UserProfile.js').UserProfile} userProfile
+   * @param {string|null} language
+   * @returns {Promise<import('../storage/interface.js').UserEntity>}
+   */
+  async updateUserLanguage(userProfile, language) {
+    if (language !== null && !getSupportedLanguages().includes(language)) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+
+    return this.storage.upsertUser({
+      userId: userProfile.userId,
+      username: userProfile.username,
+      firstName: userProfile.firstName,
+      lastName: userProfile.lastName,
+      settings: {
+        language
+      }
+    });
+  }
+
+  /**
+   * @param {number} userId
+   * @returns {Promise<string|null>} - The user's home timezone, or null when not set
+   */
+  async getUserTimezone(userId) {
+    const existingUser = await this.storage.getUser(userId);
+    return existingUser?.settings?.timezone || null;
+  }
+
+  /**
+   * Store the user's home timezone, creating the user record if needed.
+   * A null timezone clears it, so the configured default applies again.
+   *
+   * @param {import('../models/UserProfile.js').UserProfile} userProfile
+   * @param {string|null} timezone - IANA timezone name
+   * @returns {Promise<import('../storage/interface.js').UserEntity>}
+   */
+  async updateUserTimezone(userProfile, timezone) {
+    if (timezone !== null && !DateParser.isValidTimezone(timezone)) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+
+    return this.storage.upsertUser({
+      userId: userProfile.userId,
+      username: userProfile.username,
+      firstName: userProfile.firstName,
+      lastName: userProfile.lastName,
+      settings: {
+        timezone
+      }
+    });
+  }
+
+  /**
+   * @param {number} userId
+   * @returns {Promise<string|null>} - The user's unit system, or null when not chosen
+   */
+  async getUserUnits(userId) {
+    const existingUser = await this.storage.getUser(userId);
+    return existingUser?.settings?.units || null;
+  }
+
+  /**
+   * Store the user's unit system, creating the user record if needed.
+   * A null value clears it, so metric units apply again.
+   *
+   * @param {import('../models/UserProfile.js').UserProfile} userProfile
+   * @param {string|null} units - 'metric' or 'imperial'
+   * @returns {Promise<import('../storage/interface.js').UserEntity>}
+   */
+  async updateUserUnits(userProfile, units) {
+    if (units !== null && !isValidUnitSystem(units)) {
+      throw new Error(`Unsupported unit system: ${units}`);
+    }
+
+    return this.storage.upsertUser({
+      userId: userProfile.userId,
+      username: userProfile.username,
+      firstName: userProfile.firstName,
+      lastName: userProfile.lastName,
+      settings: {
+        units
+      }
+    });
+  }
+
+  /**
+   * Effective settings of a group chat: stored values over the system defaults.
+   *
+   * @param {number} chatId
+   * @returns {Promise<{language: string|null, timezone: string|null, units: string|null, defaultThreadId: number|null, allowMemberShares: boolean}>}
+   */
+  async getGroupSettings(chatId) {
+    const stored = await this.storage.getGroupSettings(chatId);
+    const defaults = SettingsService.getSystemGroupDefaults();
+    if (!stored) {
+      return defaults;
+    }
+
+    return Object.fromEntries(
+      Object.entries(defaults).map(([name, value]) => [name, stored[name] ?? value])
+    );
+  }
+
+  /**
+   * Update the settings of a group chat. A null language, timezone, units or topic restores the default.
+   *
+   * @param {number} chatId
+   * @param {{language?: string|null, timezone?: string|null, units?: string|null, defaultThreadId?: number|null, allowMemberShares?: boolean}} patch
+   * @returns {Promise<import('../storage/interface.js').GroupSettings>}
+   */
+  async updateGroupSettings(chatId, patch) {
+    if (patch.language != null && !getSupportedLanguages().includes(patch.language)) {
+      throw new Error(`Unsupported language: ${patch.language}`);
+    }
+    if (patch.timezone != null && !DateParser.isValidTimezone(patch.timezone)) {
+      throw new Error(`Unknown timezone: ${patch.timezone}`);
+    }
+    if (patch.units != null && !isValidUnitSystem(patch.units)) {
+      throw new Error(`Unsupported unit system: ${patch.units}`);
+    }
+
+    return this.storage.upsertGroupSettings(chatId, patch);
+  }
+
   /**
    * Resolve explicit settings for a new ride snapshot and materialize the user when required.
    *
    * @param {Object} params
    * @param {import('../models/UserProfile.js').UserProfile|null} [params.creatorProfile]
    * @param {Object} [params.input]
-   * @returns {Promise<{notifyParticipation: boolean, allowReposts: boolean}>}
+   * @returns {Promise<{notifyParticipation: boolean, allowReposts: boolean, reminders: number[], shareLocation: boolean}>}
    */
   async resolveCreateRideSettings({ creatorProfile = null, input = {} } = {}) {
     const explicitRideSettings = SettingsService.extractExplicitRideSettings(input);
@@ -1,10 +1,12 @@
 /**
  * @typedef {Object} RideMessage
- * @property {number} messageId
- * @property {number} chatId
+ * @property {number} [messageId]
+ * @property {number} [chatId]
+ * @property {string} [inlineMessageId] - Identifies a message sent in inline mode, which has no chat and message ID
  * @property {number} [messageThreadId]
  * @property {string} [language]
  * @property {boolean} [isForCreator]
+ * @property {{lat: number, lon: number}} [location] - Set on the location message posted under a ride message; the place it shows
  */
 
 /**
@@ -13,10 +15,22 @@
  * @property {string} [label]
  */
 
+/**
+ * @typedef {Object} RouteFile
+ * @property {string} fileId - Telegram file ID the file is sent again with
+ * @property {string} fileName
+ * @property {number} distance - Route length in km
+ * @property {number|null} elevationGain - Total climbing in meters; null when the file has no elevations
+ * @property {{lat: number, lon: number}} start
+ * @property {{minLat: number, minLon: number, maxLat: number, maxLon: number}} bounds
+ */
+
 /**
  * @typedef {Object} RideSettings
  * @property {boolean} notifyParticipation
  * @property {boolean} allowReposts
+ * @property {number[]} reminders - Minutes before the start at which participants are reminded
+ * @property {boolean} shareLocation - Post the meeting point as a location message under ride messages in groups
  */
 
 /**
@@ -26,26 +40,50 @@
  * @property {string} title
  * @property {string} [category]
  * @property {string} [organizer]
+ * @property {Participant[]} [coOrganizers] - Riders who may manage the ride together with its creator
  * @property {Date} date
+ * @property {string|null} [timezone] - IANA timezone the ride takes place in; the configured default applies when unset
  * @property {RideRoute[]} [routes]
  * @property {string} [routeLink]
+ * @property {RouteFile|null} [routeFile] - GPX file uploaded as the route
  * @property {string} [meetingPoint]
+ * @property {{lat: number, lon: number}|null} [meetingPointLocation] - Map pin of the meeting point, from a Telegram location or venue or the start of a GPX route
  * @property {number} [distance]
+ * @property {number} [elevation] - Elevation gain in meters
  * @property {number} [duration]
  * @property {number} [speedMin]
  * @property {number} [speedMax]
+ * @property {number} [maxParticipants] - Maximum number of joined riders; extra riders go to the waitlist
  * @property {string} [additionalInfo]
  * @property {boolean} [cancelled]
  * @property {RideSettings} [settings]
  * @property {number} [groupId] - Telegram chat ID of the attached group
+ * @property {string|null} [seriesId] - ID of the recurring series this ride belongs to
+ * @property {string|null} [clubId] - ID of the club that owns the ride; its leaders may edit it
  * @property {Object} [metadata] - Arbitrary metadata (e.g. { stravaId: '123' })
  * @property {Participation} participation - User participation in different states
+ * @property {AttendanceRecord[]} [attendance] - Whether joined riders showed up, marked during and after the check-in phase
  * @property {Date} createdAt
  * @property {number} createdBy
  * @property {Date} [updatedAt]
  * @property {number} [updatedBy]
  */
 
+/**
+ * @typedef {Object} AttendanceRecord
+ * @property {number} userId
+ * @property {'attended'|'noShow'} status
+ * @property {number} markedBy - The rider who checked in, or the organizer who marked them
+ * @property {Date} markedAt
+ */
+
+/**
+ * @typedef {Object} AttendanceStats
+ * @property {number} userId
+ * @property {number} attended - Rides the user showed up for
+ * @property {number} noShow - Rides the user joined but missed
+ */
+
 /**
  * @typedef {Object} Participant
  * @property {number} userId
@@ -60,6 +98,71 @@
  * @property {Participant[]} joined - Users who have joined the ride
  * @property {Participant[]} thinking - Users who are thinking about joining
  * @property {Participant[]} skipped - Users who have skipped the ride
+ * @property {Participant[]} waitlist - Users waiting for a free spot, in arrival order
+ */
+
+/**
+ * @typedef {Object} RecurrenceRule
+ * @property {'weekly'|'monthly'} frequency
+ * @property {number} interval - Repeat every N weeks or months
+ * @property {number[]} [weekdays] - Weekly rules: days of the week (0 = Sunday)
+ * @property {number} [weekOfMonth] - Monthly rules: 1-4, or -1 for the last week of the month
+ * @property {number} [weekday] - Monthly rules: day of the week (0 = Sunday)
+ */
+
+/**
+ * @typedef {Object} RideSeries
+ * @property {string} id
+ * @property {number} createdBy
+ * @property {RecurrenceRule} rule
+ * @property {Date} anchorDate - Date of the first ride in the series
+ * @property {Date|null} until - Last day on which an instance may be scheduled
+ * @property {number|null} count - Total number of rides in the series, including the first one
+ * @property {number} occurrences - Number of rides created so far, including the first one
+ * @property {string[]} skipDates - Calendar days (YYYY-MM-DD) on which no instance is created
+ * @property {'active'|'paused'|'ended'} status
+ * @property {string} lastRideId - Latest ride instance, used as the template for the next one
+ * @property {Date} lastRideDate
+ * @property {Date} createdAt
+ * @property {Date} [updatedAt]
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {string} type - Name of the registered job handler
+ * @property {string|null} key - Idempotency key; at most one pending job exists per key
+ * @property {Object} payload - Plain data passed to the handler
+ * @property {'pending'|'running'|'completed'|'failed'} status
+ * @property {Date} runAt - Earliest moment the job may run
+ * @property {number} attempts - Number of times the job has been started
+ * @property {number} maxAttempts
+ * @property {Date|null} lockedUntil - Lease of the worker running the job
+ * @property {string} [lastError]
+ * @property {Date} createdAt
+ * @property {Date} [updatedAt]
+ * @property {Date} [finishedAt]
+ */
+
+/**
+ * @typedef {Object} ClubMember
+ * @property {number} userId
+ * @property {string} [username]
+ * @property {string} [firstName]
+ * @property {string} [lastName]
+ * @property {'owner'|'admin'|'leader'|'member'} role
+ * @property {Date} joinedAt
+ */
+
+/**
+ * @typedef {Object} Club
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdBy
+ * @property {ClubMember[]} members
+ * @property {string} inviteCode - Secret code with which users join the club
+ * @property {Date} createdAt
+ * @property {Date} [updatedAt]
  */
 
 /**
@@ -68,11 +171,29 @@
  * @property {Array<Ride>} rides - Array of rides for current page
  */
 
+/**
+ * @typedef {Object} RideSearchQuery
+ * @property {number} [createdBy] - Creator's user ID
+ * @property {string} [category] - Category code
+ * @property {Date} [dateFrom] - Earliest start
+ * @property {Date} [dateTo] - Latest start
+ * @property {number} [distanceMin] - Minimum distance in km
+ * @property {number} [distanceMax] - Maximum distance in km
+ * @property {number} [speedMin] - Rides whose speed range reaches this km/h match
+ * @property {number} [speedMax] - Rides whose speed range starts at or below this km/h match
+ * @property {string} [text] - Case-insensitive text in the title or meeting point
+ * @property {boolean} [cancelled] - Only cancelled or only active rides
+ */
+
 /**
  * @typedef {Object} UserSettings
  * @property {Object} rideDefaults
  * @property {boolean} rideDefaults.notifyParticipation
  * @property {boolean} rideDefaults.allowReposts
+ * @property {number[]} rideDefaults.reminders
+ * @property {string|null} [language] - Preferred interface language; the Telegram client language applies when unset
+ * @property {string|null} [timezone] - Home timezone, used for the user's new rides and as a local time hint
+ * @property {string|null} [units] - Unit system ('metric' or 'imperial') of the user's input and private ride messages; metric when unset
  */
 
 /**
@@ -82,10 +203,31 @@
  * @property {string} [firstName]
  * @property {string} [lastName]
  * @property {UserSettings} settings
+ * @property {string} [calendarToken] - Secret token of the user's calendar feed URL
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ */
+
+/**
+ * @typedef {Object} GroupSettings
+ * @property {number} chatId - Telegram chat ID of the group
+ * @property {string|null} [language] - Language of ride posts in the group; the sharer's language when unset
+ * @property {string|null} [timezone] - IANA timezone whose local time is added to ride times in posts; none when unset
+ * @property {string|null} [units] - Unit system ('metric' or 'imperial') of distances and speeds in ride posts; metric when unset
+ * @property {number|null} [defaultThreadId] - Forum topic for ride posts shared outside a topic
+ * @property {boolean} [allowMemberShares] - Whether users other than the ride creator may /shareride in the group
  * @property {Date} createdAt
  * @property {Date} updatedAt
  */
 
+/**
+ * @typedef {Object} RouteMetadataEntry
+ * @property {string} routeKey - Normalized route ID, e.g. 'komoot:tour:2810321675'
+ * @property {import('../utils/route-providers/index.js').RouteMetadata|null} metadata - Null when the provider gave nothing
+ * @property {Date} fetchedAt
+ * @property {Date} expiresAt - The entry is fetched again from then on
+ */
+
 export class StorageInterface {
   /**
    * Create a new ride
@@ -137,6 +279,27 @@ export class StorageInterface {
     throw new Error('Not implemented');
   }
 
+  /**
+   * Mark whether a rider showed up for a ride, replacing their previous mark
+   * @param {string} rideId - Ride ID
+   * @param {number} userId - Rider's user ID
+   * @param {'attended'|'noShow'|null} status - Attendance mark, or null to clear it
+   * @param {number} markedBy - User ID of whoever marks the rider
+   * @returns {Promise<Ride>} - Updated ride
+   */
+  async setAttendance(rideId, userId, status, markedBy) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Count the attendance marks of users across all rides
+   * @param {number[]} userIds
+   * @returns {Promise<AttendanceStats[]>} - Stats of the users with at least one mark
+   */
+  async getAttendanceStats(userIds) {
+    throw new Error('Not implemented');
+  }
+
   /**
    * Get all participants for a ride across all states
    * @param {string} rideId - Ride ID
@@ -166,6 +329,66 @@ export class StorageInterface {
     throw new Error('Not implemented');
   }
 
+  /**
+   * Get rides owned by a club
+   * @param {string} clubId
+   * @param {number} skip - Number of items to skip
+   * @param {number} limit - Maximum number of items to return
+   * @returns {Promise<RidesList>}
+   */
+  async getRidesByClub(clubId, skip, limit) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get rides created by the user or joined by them, starting at or after the given date, in date order
+   * @param {number} userId
+   * @param {Date} since
+   * @returns {Promise<Ride[]>}
+   */
+  async getRidesForUser(userId, since) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get rides that are not cancelled, start at or after the given date and were posted to a chat
+   * or have it attached as their group, in date order
+   * @param {number} chatId
+   * @param {Date} since
+   * @param {number} skip - Number of items to skip
+   * @param {number} limit - Maximum number of items to return
+   * @returns {Promise<RidesList>}
+   */
+  async getUpcomingRidesForChat(chatId, since, skip, limit) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get rides where the user is in one of the given participation states.
+   * With `since`, rides starting at or after it are returned soonest first; with `before`, rides starting before it, latest first.
+   * @param {number} userId
+   * @param {string[]} states - Participation states, e.g. ['joined', 'waitlist']
+   * @param {{since?: Date, before?: Date}} range
+   * @param {number} skip - Number of items to skip
+   * @param {number} limit - Maximum number of items to return
+   * @returns {Promise<RidesList>}
+   */
+  async getRidesByParticipant(userId, states, range, skip, limit) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Search rides matching every criterion of the query, newest first.
+   * Rides without a distance or speed do not match distance or speed criteria.
+   * @param {RideSearchQuery} query
+   * @param {number} skip - Number of items to skip
+   * @param {number} limit - Maximum number of items to return
+   * @returns {Promise<RidesList>}
+   */
+  async searchRides(query, skip, limit) {
+    throw new Error('Not implemented');
+  }
+
   /**
    * Get a ride by its attached group ID
    * @param {number} groupId - Telegram chat ID of the attached group
@@ -185,6 +408,135 @@ export class StorageInterface {
     throw new Error('Not implemented');
   }
 
+  /**
+   * Create a recurring ride series
+   * @param {Omit<RideSeries, 'id' | 'createdAt'>} series
+   * @returns {Promise<RideSeries>}
+   */
+  async createRideSeries(series) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Update a recurring ride series
+   * @param {string} seriesId
+   * @param {Partial<Omit<RideSeries, 'id' | 'createdAt'>>} updates
+   * @returns {Promise<RideSeries>}
+   */
+  async updateRideSeries(seriesId, updates) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get a recurring ride series by ID
+   * @param {string} seriesId
+   * @returns {Promise<RideSeries|null>}
+   */
+  async getRideSeries(seriesId) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Create a pending job. When the job has a key and a pending job with the same key exists,
+   * that job is replaced instead (new type, payload, run time and attempts reset), atomically,
+   * so concurrent calls for one key leave a single pending job. A running job of the key is left
+   * to finish next to the new one, and is not retried if it fails (see `retryJob`).
+   * @param {Pick<Job, 'type' | 'key' | 'payload' | 'runAt' | 'maxAttempts'>} job
+   * @returns {Promise<Job>}
+   */
+  async scheduleJob(job) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Put a running job back to pending for another attempt. When its key got a new pending job
+   * while it was running, that job supersedes it: the job is marked failed instead.
+   * @param {string} jobId
+   * @param {{runAt: Date, lastError: string}} updates
+   * @returns {Promise<Job|null>} - The pending job, or `null` when it was superseded
+   */
+  async retryJob(jobId, updates) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Atomically take the oldest due job for running: a pending job whose run time has come,
+   * or a running job whose lease expired. The job is marked running, leased until `lockedUntil`
+   * and its attempts are incremented.
+   * @param {Date} now
+   * @param {Date} lockedUntil
+   * @returns {Promise<Job|null>}
+   */
+  async claimNextDueJob(now, lockedUntil) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Update a job
+   * @param {string} jobId
+   * @param {Partial<Omit<Job, 'id' | 'createdAt'>>} updates
+   * @returns {Promise<Job>}
+   */
+  async updateJob(jobId, updates) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Delete the pending jobs whose key starts with a prefix, e.g. all reminders of a ride.
+   * Running jobs are left to finish.
+   * @param {string} keyPrefix
+   * @returns {Promise<number>} - Number of deleted jobs
+   */
+  async deletePendingJobs(keyPrefix) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Create a club
+   * @param {Omit<Club, 'id' | 'createdAt'>} club
+   * @returns {Promise<Club>}
+   */
+  async createClub(club) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Update a club
+   * @param {string} clubId
+   * @param {Partial<Club>} updates
+   * @returns {Promise<Club>}
+   */
+  async updateClub(clubId, updates) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get a club by ID
+   * @param {string} clubId
+   * @returns {Promise<Club|null>}
+   */
+  async getClub(clubId) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get a club by its invite code
+   * @param {string} inviteCode
+   * @returns {Promise<Club|null>}
+   */
+  async getClubByInviteCode(inviteCode) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get the clubs the user is a member of, in name order
+   * @param {number} userId
+   * @returns {Promise<Club[]>}
+   */
+  async getClubsForUser(userId) {
+    throw new Error('Not implemented');
+  }
+
   /**
    * Get a persisted user by Telegram user ID.
    * @param {number} userId
@@ -194,6 +546,15 @@ export class StorageInterface {
     throw new Error('Not implemented');
   }
 
+  /**
+   * Get a persisted user by the token of their calendar feed.
+   * @param {string} calendarToken
+   * @returns {Promise<UserEntity|null>}
+   */
+  async getUserByCalendarToken(calendarToken) {
+    throw new Error('Not implemented');
+  }
+
   /**
    * Create or update a persisted user record.
    * @param {Partial<UserEntity> & { userId: number }} user
@@ -202,4 +563,41 @@ export class StorageInterface {
   async upsertUser(user) {
     throw new Error('Not implemented');
   }
+
+  /**
+   * Get the settings of a group chat.
+   * @param {number} chatId
+   * @returns {Promise<GroupSettings|null>}
+   */
+  async getGroupSettings(chatId) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Create or update the settings of a group chat; only the given fields change.
+   * @param {number} chatId
+   * @param {Partial<Omit<GroupSettings, 'chatId' | 'createdAt' | 'updatedAt'>>} settings
+   * @returns {Promise<GroupSettings>}
+   */
+  async upsertGroupSettings(chatId, settings) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get the cached metadata of a route, expired or not.
+   * @param {string} routeKey
+   * @returns {Promise<RouteMetadataEntry|null>}
+   */
+  async getRouteMetadata(routeKey) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Create or replace the cached metadata of a route.
+   * @param {RouteMetadataEntry} entry
+   * @returns {Promise<RouteMetadataEntry>}
+   */
+  async saveRouteMetadata(entry) {
+    throw new Error('Not implemented');
+  }
 } 
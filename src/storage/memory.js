@@ -2,6 +2,7 @@ import { StorageInterface } from './interface.js';
 import { randomUUID } from 'crypto';
 import { normalizeCategory } from '../utils/category-utils.js';
 import { getRideRoutes, normalizeRoutes } from '../utils/route-links.js';
+import { PARTICIPATION_STATES, createEmptyParticipation } from '../utils/participation-utils.js';
 
 const BASE62_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
 
@@ -10,6 +11,11 @@ export class MemoryStorage extends StorageInterface {
     super();
     this.rides = new Map();
     this.users = new Map();
+    this.rideSeries = new Map();
+    this.jobs = new Map();
+    this.groupSettings = new Map();
+    this.clubs = new Map();
+    this.routeMetadata = new Map();
   }
 
   /**
@@ -53,7 +59,8 @@ export class MemoryStorage extends StorageInterface {
       category: normalizeCategory(rideData.category),
       id,
       createdAt: new Date(),
-      participation: { joined: [], thinking: [], skipped: [] }
+      participation: createEmptyParticipation(),
+      attendance: []
     };
     if (rideData.routes !== undefined) {
       newRide.routes = normalizeRoutes(rideData.routes);
@@ -119,6 +126,81 @@ export class MemoryStorage extends StorageInterface {
     };
   }
 
+  async getRidesByClub(clubId, skip, limit) {
+    const clubRides = Array.from(this.rides.values())
+      .filter(ride => ride.clubId === clubId)
+      .sort((a, b) => b.date.getTime() - a.date.getTime());
+
+    return {
+      total: clubRides.length,
+      rides: clubRides.slice(skip, skip + limit).map(ride => this.mapRideToInterface(ride))
+    };
+  }
+
+  async getRidesForUser(userId, since) {
+    return Array.from(this.rides.values())
+      .filter(ride => ride.date >= since
+        && (ride.createdBy === userId || (ride.participation?.joined || []).some(p => p.userId === userId)))
+      .sort((a, b) => a.date.getTime() - b.date.getTime())
+      .map(ride => this.mapRideToInterface(ride));
+  }
+
+  async getRidesByParticipant(userId, states, { since, before }, skip, limit) {
+    const participantRides = Array.from(this.rides.values())
+      .filter(ride => (since ? ride.date >= since : ride.date < before)
+        && states.some(state => (ride.participation?.[state] || []).some(p => p.userId === userId)))
+      .sort((a, b) => since ? a.date.getTime() - b.date.getTime() : b.date.getTime() - a.date.getTime());
+
+    return {
+      total: participantRides.length,
+      rides: participantRides.slice(skip, skip + limit).map(ride => this.mapRideToInterface(ride))
+    };
+  }
+
+  async getUpcomingRidesForChat(chatId, since, skip, limit) {
+    const chatRides = Array.from(this.rides.values())
+      .filter(ride => ride.date >= since && !ride.cancelled
+        && (ride.groupId === chatId || (ride.messages || []).some(message => message.chatId === chatId)))
+      .sort((a, b) => a.date.getTime() - b.date.getTime());
+
+    return {
+      total: chatRides.length,
+      rides: chatRides.slice(skip, skip + limit).map(ride => this.mapRideToInterface(ride))
+    };
+  }
+
+  async searchRides(query, skip, limit) {
+    const matchingRides = Array.from(this.rides.values())
+      .filter(ride => this.matchesRideSearch(ride, query))
+      .sort((a, b) => b.date.getTime() - a.date.getTime());
+
+    return {
+      total: matchingRides.length,
+      rides: matchingRides.slice(skip, skip + limit).map(ride => this.mapRideToInterface(ride))
+    };
+  }
+
+  /**
+   * @param {Object} ride - Stored ride
+   * @param {import('./interface.js').RideSearchQuery} query
+   * @returns {boolean}
+   */
+  matchesRideSearch(ride, query) {
+    const isSet = value => value !== undefined && value !== null;
+    const text = query.text?.toLowerCase();
+
+    return (query.createdBy === undefined || ride.createdBy === query.createdBy)
+      && (!query.category || normalizeCategory(ride.category) === query.category)
+      && (!query.dateFrom || ride.date >= query.dateFrom)
+      && (!query.dateTo || ride.date <= query.dateTo)
+      && (query.distanceMin === undefined || (isSet(ride.distance) && ride.distance >= query.distanceMin))
+      && (query.distanceMax === undefined || (isSet(ride.distance) && ride.distance <= query.distanceMax))
+      && (query.speedMin === undefined || (isSet(ride.speedMax) ? ride.speedMax >= query.speedMin : isSet(ride.speedMin)))
+      && (query.speedMax === undefined || (isSet(ride.speedMin) ? ride.speedMin <= query.speedMax : isSet(ride.speedMax)))
+      && (!text || [ride.title, ride.meetingPoint].some(value => value?.toLowerCase().includes(text)))
+      && (query.cancelled === undefined || Boolean(ride.cancelled) === query.cancelled);
+  }
+
   async deleteRide(rideId) {
     const ride = this.rides.get(rideId);
     if (!ride) {
@@ -136,14 +218,13 @@ export class MemoryStorage extends StorageInterface {
     }
 
     // Ensure participation structure exists
-    if (!ride.participation) {
-      ride.participation = { joined: [], thinking: [], skipped: [] };
-    }
+    ride.participation = { ...createEmptyParticipation(), ...(ride.participation || {}) };
 
     // Remove user from all states first
-    ride.participation.joined = ride.participation.joined.filter(p => p.userId !== participantProfile.userId);
-    ride.participation.thinking = ride.participation.thinking.filter(p => p.userId !== participantProfile.userId);
-    ride.participation.skipped = ride.participation.skipped.filter(p => p.userId !== participantProfile.userId);
+    PARTICIPATION_STATES.forEach(participationState => {
+      ride.participation[participationState] = ride.participation[participationState]
+        .filter(p => p.userId !== participantProfile.userId);
+    });
 
     // Add user to the specified state
     const participantData = {
@@ -167,10 +248,36 @@ export class MemoryStorage extends StorageInterface {
       return null;
     }
 
-    if (ride.participation.joined.some(p => p.userId === userId)) return 'joined';
-    if (ride.participation.thinking.some(p => p.userId === userId)) return 'thinking';
-    if (ride.participation.skipped.some(p => p.userId === userId)) return 'skipped';
-    return null;
+    return PARTICIPATION_STATES.find(
+      participationState => (ride.participation[participationState] || []).some(p => p.userId === userId)
+    ) || null;
+  }
+
+  async setAttendance(rideId, userId, status, markedBy) {
+    const ride = this.rides.get(rideId);
+    if (!ride) {
+      throw new Error('Ride not found');
+    }
+
+    ride.attendance = (ride.attendance || []).filter(record => record.userId !== userId);
+    if (status) {
+      ride.attendance.push({ userId, status, markedBy, markedAt: new Date() });
+    }
+    return this.mapRideToInterface(ride);
+  }
+
+  async getAttendanceStats(userIds) {
+    const statsByUser = new Map();
+    for (const ride of this.rides.values()) {
+      for (const record of ride.attendance || []) {
+        if (!userIds.includes(record.userId)) continue;
+
+        const stats = statsByUser.get(record.userId) || { userId: record.userId, attended: 0, noShow: 0 };
+        stats[record.status]++;
+        statsByUser.set(record.userId, stats);
+      }
+    }
+    return Array.from(statsByUser.values());
   }
 
   async getAllParticipants(rideId) {
@@ -179,7 +286,7 @@ export class MemoryStorage extends StorageInterface {
       throw new Error('Ride not found');
     }
 
-    return ride.participation || { joined: [], thinking: [], skipped: [] };
+    return { ...createEmptyParticipation(), ...(ride.participation || {}) };
   }
 
   async getRideByGroupId(groupId) {
@@ -200,6 +307,117 @@ export class MemoryStorage extends StorageInterface {
     return null;
   }
 
+  async createRideSeries(series) {
+    const id = this.generateShortId();
+    const newSeries = {
+      skipDates: [],
+      ...series,
+      id,
+      createdAt: new Date()
+    };
+
+    this.rideSeries.set(id, newSeries);
+    return this.mapRideSeriesToInterface(newSeries);
+  }
+
+  async updateRideSeries(seriesId, updates) {
+    const series = this.rideSeries.get(seriesId);
+    if (!series) {
+      throw new Error('Ride series not found');
+    }
+
+    const updatedSeries = {
+      ...series,
+      ...updates,
+      updatedAt: new Date()
+    };
+
+    this.rideSeries.set(seriesId, updatedSeries);
+    return this.mapRideSeriesToInterface(updatedSeries);
+  }
+
+  async getRideSeries(seriesId) {
+    const series = this.rideSeries.get(seriesId);
+    return series ? this.mapRideSeriesToInterface(series) : null;
+  }
+
+  async scheduleJob(job) {
+    const now = new Date();
+    const existing = job.key
+      ? Array.from(this.jobs.values()).find(item => item.key === job.key && item.status === 'pending')
+      : null;
+
+    const scheduledJob = {
+      ...(existing || { id: this.generateShortId(), createdAt: now }),
+      type: job.type,
+      key: job.key ?? null,
+      payload: job.payload,
+      status: 'pending',
+      runAt: job.runAt,
+      attempts: 0,
+      maxAttempts: job.maxAttempts,
+      lockedUntil: null,
+      ...(existing ? { updatedAt: now } : {})
+    };
+
+    this.jobs.set(scheduledJob.id, scheduledJob);
+    return { ...scheduledJob };
+  }
+
+  async retryJob(jobId, updates) {
+    const job = this.jobs.get(jobId);
+    const superseded = job?.key && Array.from(this.jobs.values())
+      .some(item => item.id !== jobId && item.key === job.key && item.status === 'pending');
+    if (superseded) {
+      await this.updateJob(jobId, { status: 'failed', lockedUntil: null, lastError: updates.lastError, finishedAt: new Date() });
+      return null;
+    }
+
+    return await this.updateJob(jobId, { ...updates, status: 'pending', lockedUntil: null });
+  }
+
+  async claimNextDueJob(now, lockedUntil) {
+    const [job] = Array.from(this.jobs.values())
+      .filter(item => (item.status === 'pending' && item.runAt <= now)
+        || (item.status === 'running' && item.lockedUntil <= now))
+      .sort((a, b) => a.runAt - b.runAt);
+    if (!job) {
+      return null;
+    }
+
+    const claimedJob = {
+      ...job,
+      status: 'running',
+      lockedUntil,
+      attempts: job.attempts + 1,
+      updatedAt: new Date()
+    };
+    this.jobs.set(job.id, claimedJob);
+    return { ...claimedJob };
+  }
+
+  async updateJob(jobId, updates) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    const updatedJob = { ...job, ...updates, updatedAt: new Date() };
+    this.jobs.set(jobId, updatedJob);
+    return { ...updatedJob };
+  }
+
+  async deletePendingJobs(keyPrefix) {
+    let deletedCount = 0;
+    for (const [id, job] of this.jobs) {
+      if (job.status === 'pending' && job.key?.startsWith(keyPrefix)) {
+        this.jobs.delete(id);
+        deletedCount++;
+      }
+    }
+    return deletedCount;
+  }
+
   async getUser(userId) {
     const user = this.users.get(userId);
     if (!user) {
@@ -209,9 +427,15 @@ export class MemoryStorage extends StorageInterface {
     return this.mapUserToInterface(user);
   }
 
+  async getUserByCalendarToken(calendarToken) {
+    const user = Array.from(this.users.values()).find(item => item.calendarToken === calendarToken);
+    return user ? this.mapUserToInterface(user) : null;
+  }
+
   async upsertUser(userData) {
     const existing = this.users.get(userData.userId);
     const now = new Date();
+    const calendarToken = userData.calendarToken ?? existing?.calendarToken;
     const nextUser = {
       userId: userData.userId,
       username: userData.username ?? existing?.username ?? '',
@@ -220,6 +444,7 @@ export class MemoryStorage extends StorageInterface {
       settings: userData.settings !== undefined
         ? { ...(existing?.settings || {}), ...userData.settings }
         : existing?.settings,
+      ...(calendarToken ? { calendarToken } : {}),
       createdAt: existing?.createdAt ?? now,
       updatedAt: now
     };
@@ -228,6 +453,86 @@ export class MemoryStorage extends StorageInterface {
     return this.mapUserToInterface(nextUser);
   }
 
+  async createClub(club) {
+    const id = this.generateShortId();
+    const newClub = {
+      members: [],
+      ...club,
+      id,
+      createdAt: new Date()
+    };
+
+    this.clubs.set(id, newClub);
+    return this.mapClubToInterface(newClub);
+  }
+
+  async updateClub(clubId, updates) {
+    const club = this.clubs.get(clubId);
+    if (!club) {
+      throw new Error('Club not found');
+    }
+
+    const updatedClub = {
+      ...club,
+      ...updates,
+      updatedAt: new Date()
+    };
+
+    this.clubs.set(clubId, updatedClub);
+    return this.mapClubToInterface(updatedClub);
+  }
+
+  async getClub(clubId) {
+    const club = this.clubs.get(clubId);
+    return club ? this.mapClubToInterface(club) : null;
+  }
+
+  async getClubByInviteCode(inviteCode) {
+    for (const club of this.clubs.values()) {
+      if (club.inviteCode === inviteCode) {
+        return this.mapClubToInterface(club);
+      }
+    }
+    return null;
+  }
+
+  async getClubsForUser(userId) {
+    return Array.from(this.clubs.values())
+      .filter(club => club.members.some(member => member.userId === userId))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(club => this.mapClubToInterface(club));
+  }
+
+  async getGroupSettings(chatId) {
+    const settings = this.groupSettings.get(chatId);
+    return settings ? { ...settings } : null;
+  }
+
+  async upsertGroupSettings(chatId, settings) {
+    const existing = this.groupSettings.get(chatId);
+    const now = new Date();
+    const nextSettings = {
+      ...(existing || {}),
+      ...settings,
+      chatId,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now
+    };
+
+    this.groupSettings.set(chatId, nextSettings);
+    return { ...nextSettings };
+  }
+
+  async getRouteMetadata(routeKey) {
+    const entry = this.routeMetadata.get(routeKey);
+    return entry ? this.mapRouteMetadataToInterface(entry) : null;
+  }
+
+  async saveRouteMetadata(entry) {
+    this.routeMetadata.set(entry.routeKey, this.mapRouteMetadataToInterface(entry));
+    return this.mapRouteMetadataToInterface(entry);
+  }
+
   /**
    * @param {Object} ride
    * @returns {import('./interface.js').Ride}
@@ -235,11 +540,46 @@ export class MemoryStorage extends StorageInterface {
   mapRideToInterface(ride) {
     return {
       ...ride,
+      attendance: (ride.attendance || []).map(record => ({ ...record })),
       routes: getRideRoutes(ride),
       category: normalizeCategory(ride.category)
     };
   }
 
+  /**
+   * @param {Object} series
+   * @returns {import('./interface.js').RideSeries}
+   */
+  mapRideSeriesToInterface(series) {
+    return {
+      ...series,
+      rule: { ...series.rule },
+      skipDates: [...(series.skipDates || [])]
+    };
+  }
+
+  /**
+   * @param {Object} club
+   * @returns {import('./interface.js').Club}
+   */
+  mapClubToInterface(club) {
+    return {
+      ...club,
+      members: club.members.map(member => ({ ...member }))
+    };
+  }
+
+  /**
+   * @param {Object} entry
+   * @returns {import('./interface.js').RouteMetadataEntry}
+   */
+  mapRouteMetadataToInterface(entry) {
+    return {
+      ...entry,
+      metadata: entry.metadata ? { ...entry.metadata } : null
+    };
+  }
+
   /**
    * @param {Object} user
    * @returns {import('./interface.js').UserEntity}
@@ -4,6 +4,7 @@ import { config } from '../config.js';
 import { DEFAULT_CATEGORY, normalizeCategory } from '../utils/category-utils.js';
 import { MigrationRunner } from '../migrations/MigrationRunner.js';
 import { getRideRoutes, normalizeRoutes } from '../utils/route-links.js';
+import { PARTICIPATION_STATES, createEmptyParticipation } from '../utils/participation-utils.js';
 
 const participantSchema = new mongoose.Schema({
   userId: { type: Number, required: true },
@@ -16,15 +17,31 @@ const participantSchema = new mongoose.Schema({
 const participationSchema = new mongoose.Schema({
   joined: [participantSchema],
   thinking: [participantSchema],
-  skipped: [participantSchema]
+  skipped: [participantSchema],
+  waitlist: [participantSchema]
+}, { _id: false });
+
+const attendanceSchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  status: { type: String, enum: ['attended', 'noShow'], required: true },
+  markedBy: { type: Number, required: true },
+  markedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const coordinatesSchema = new mongoose.Schema({
+  lat: { type: Number, required: true },
+  lon: { type: Number, required: true }
 }, { _id: false });
 
 const messageSchema = new mongoose.Schema({
-  messageId: { type: Number, required: true },
-  chatId: { type: Number, required: true },
+  // Messages sent in inline mode have an inlineMessageId instead of a chat and message ID
+  messageId: { type: Number, required: function() { return !this.inlineMessageId; } },
+  chatId: { type: Number, required: function() { return !this.inlineMessageId; } },
+  inlineMessageId: { type: String, default: undefined },
   messageThreadId: { type: Number, default: null },
   language: { type: String, default: null },
-  isForCreator: { type: Boolean, default: null }
+  isForCreator: { type: Boolean, default: null },
+  location: { type: coordinatesSchema, default: undefined }
 });
 
 const routeSchema = new mongoose.Schema({
@@ -32,38 +49,74 @@ const routeSchema = new mongoose.Schema({
   label: { type: String, default: undefined }
 }, { _id: false });
 
+const routeFileSchema = new mongoose.Schema({
+  fileId: { type: String, required: true },
+  fileName: { type: String, required: true },
+  distance: Number,
+  elevationGain: { type: Number, default: null },
+  start: coordinatesSchema,
+  bounds: {
+    minLat: Number,
+    minLon: Number,
+    maxLat: Number,
+    maxLon: Number
+  }
+}, { _id: false });
+
 const rideSettingsSchema = new mongoose.Schema({
   notifyParticipation: { type: Boolean },
-  allowReposts: { type: Boolean }
+  allowReposts: { type: Boolean },
+  reminders: { type: [Number], default: undefined },
+  shareLocation: { type: Boolean }
 }, { _id: false });
 
 const rideSchema = new mongoose.Schema({
   title: { type: String, required: true },
   category: { type: String, default: DEFAULT_CATEGORY },
   date: { type: Date, required: true },
+  timezone: { type: String, default: null },
   messages: [messageSchema],
   routes: [routeSchema],
   routeLink: String,
+  routeFile: { type: routeFileSchema, default: null },
   meetingPoint: String,
+  meetingPointLocation: { type: coordinatesSchema, default: null },
   distance: Number,
+  elevation: Number,
   duration: Number,
   speedMin: Number,
   speedMax: Number,
+  maxParticipants: Number,
   additionalInfo: String,
   settings: { type: rideSettingsSchema, default: undefined },
   cancelled: { type: Boolean, default: false },
   metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
   groupId: { type: Number, default: null },
+  seriesId: { type: String, default: null },
+  clubId: { type: String, default: null },
   createdAt: { type: Date, default: Date.now },
   createdBy: { type: Number, required: true },
   organizer: { type: String },
+  coOrganizers: [participantSchema],
   updatedAt: { type: Date },
   updatedBy: { type: Number },
-  participation: { type: participationSchema, default: () => ({ joined: [], thinking: [], skipped: [] }) }
+  participation: { type: participationSchema, default: createEmptyParticipation },
+  attendance: [attendanceSchema]
 });
 
 // Supports getRidesByCreator() query pattern: filter by createdBy + sort by date desc.
 rideSchema.index({ createdBy: 1, date: -1 });
+// Supports getRidesForUser() and getRidesByParticipant() lookups of rides by participant.
+rideSchema.index({ 'participation.joined.userId': 1, date: 1 });
+rideSchema.index({ 'participation.thinking.userId': 1, date: 1 });
+rideSchema.index({ 'participation.waitlist.userId': 1, date: 1 });
+rideSchema.index({ 'participation.skipped.userId': 1, date: 1 });
+// Supports getAttendanceStats() lookups of the rides a user was marked on.
+rideSchema.index({ 'attendance.userId': 1 });
+// Supports getRidesByClub() query pattern: filter by clubId + sort by date desc.
+rideSchema.index({ clubId: 1, date: -1 }, { partialFilterExpression: { clubId: { $type: 'string' } } });
+// Supports getUpcomingRidesForChat() lookups of rides posted to a chat.
+rideSchema.index({ 'messages.chatId': 1, date: 1 });
 rideSchema.index(
   { groupId: 1 },
   { unique: true, partialFilterExpression: { groupId: { $type: 'number' } } }
@@ -76,7 +129,10 @@ rideSchema.index(
 const Ride = mongoose.model('Ride', rideSchema);
 
 const userSettingsSchema = new mongoose.Schema({
-  rideDefaults: { type: rideSettingsSchema, default: undefined }
+  rideDefaults: { type: rideSettingsSchema, default: undefined },
+  language: { type: String, default: null },
+  timezone: { type: String, default: null },
+  units: { type: String, default: null }
 }, { _id: false });
 
 const userSchema = new mongoose.Schema({
@@ -85,12 +141,129 @@ const userSchema = new mongoose.Schema({
   firstName: { type: String, default: '' },
   lastName: { type: String, default: '' },
   settings: { type: userSettingsSchema, default: undefined },
+  calendarToken: { type: String },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Supports getUserByCalendarToken() lookups from calendar feed requests.
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
 const User = mongoose.models.User || mongoose.model('User', userSchema);
 
+const recurrenceRuleSchema = new mongoose.Schema({
+  frequency: { type: String, required: true },
+  interval: { type: Number, default: 1 },
+  weekdays: { type: [Number], default: undefined },
+  weekOfMonth: { type: Number, default: undefined },
+  weekday: { type: Number, default: undefined }
+}, { _id: false });
+
+const rideSeriesSchema = new mongoose.Schema({
+  createdBy: { type: Number, required: true },
+  rule: { type: recurrenceRuleSchema, required: true },
+  anchorDate: { type: Date, required: true },
+  until: { type: Date, default: null },
+  count: { type: Number, default: null },
+  occurrences: { type: Number, default: 1 },
+  skipDates: { type: [String], default: [] },
+  status: { type: String, default: 'active' },
+  lastRideId: { type: String, required: true },
+  lastRideDate: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date }
+});
+
+const RideSeries = mongoose.models.RideSeries || mongoose.model('RideSeries', rideSeriesSchema);
+
+const groupSettingsSchema = new mongoose.Schema({
+  chatId: { type: Number, required: true, unique: true },
+  language: { type: String, default: null },
+  timezone: { type: String, default: null },
+  units: { type: String, default: null },
+  defaultThreadId: { type: Number, default: null },
+  allowMemberShares: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const GroupSettings = mongoose.models.GroupSettings || mongoose.model('GroupSettings', groupSettingsSchema);
+
+const routeMetadataSchema = new mongoose.Schema({
+  routeKey: { type: String, required: true, unique: true },
+  metadata: {
+    type: new mongoose.Schema({
+      distance: Number,
+      elevation: Number,
+      duration: Number
+    }, { _id: false }),
+    default: null
+  },
+  fetchedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+// Drops cache entries a day after they expire; expired entries are still read until then.
+routeMetadataSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const RouteMetadata = mongoose.models.RouteMetadata || mongoose.model('RouteMetadata', routeMetadataSchema);
+
+const clubMemberSchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  username: { type: String, default: '' },
+  firstName: { type: String, default: '' },
+  lastName: { type: String, default: '' },
+  role: { type: String, required: true },
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const clubSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  createdBy: { type: Number, required: true },
+  members: [clubMemberSchema],
+  inviteCode: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date }
+});
+
+// Supports getClubsForUser() membership lookups.
+clubSchema.index({ 'members.userId': 1 });
+// Supports getClubByInviteCode() lookups when users join a club.
+clubSchema.index({ inviteCode: 1 }, { unique: true, sparse: true });
+
+const Club = mongoose.models.Club || mongoose.model('Club', clubSchema);
+
+const FINISHED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+
+const jobSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  key: { type: String, default: null },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, default: 'pending' },
+  runAt: { type: Date, required: true },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  lockedUntil: { type: Date, default: null },
+  lastError: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date },
+  finishedAt: { type: Date }
+}, { minimize: false });
+
+// Supports claimNextDueJob() polling for due and abandoned jobs.
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+// At most one pending job per idempotency key, which makes replacing it with an upsert atomic.
+jobSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', key: { $type: 'string' } } }
+);
+// Completed and failed jobs are kept for a week for inspection.
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: FINISHED_JOB_TTL_SECONDS });
+
+const Job = mongoose.models.Job || mongoose.model('Job', jobSchema);
+
 export class MongoDBStorage extends StorageInterface {
   constructor() {
     super();
@@ -105,6 +278,12 @@ export class MongoDBStorage extends StorageInterface {
       console.log('Ride indexes ensured');
       await User.createIndexes();
       console.log('User indexes ensured');
+      await RideSeries.createIndexes();
+      console.log('Ride series indexes ensured');
+      await Job.createIndexes();
+      console.log('Job indexes ensured');
+      await Club.createIndexes();
+      console.log('Club indexes ensured');
 
       // Skip schema validation in test environment
       if (process.env.NODE_ENV !== 'test') {
@@ -129,7 +308,7 @@ export class MongoDBStorage extends StorageInterface {
     let rideData = {
       ...ride,
       category: normalizeCategory(ride.category),
-      participation: { joined: [], thinking: [], skipped: [] }
+      participation: createEmptyParticipation()
     };
     if (ride.routes !== undefined) {
       rideData.routes = normalizeRoutes(ride.routes);
@@ -202,6 +381,152 @@ export class MongoDBStorage extends StorageInterface {
     }
   }
 
+  async getRidesByClub(clubId, skip, limit) {
+    try {
+      const [rides, total] = await Promise.all([
+        Ride.find({ clubId })
+          .sort({ date: -1 })
+          .skip(skip)
+          .limit(limit),
+        Ride.countDocuments({ clubId })
+      ]);
+
+      return {
+        total,
+        rides: rides.map(ride => this.mapRideToInterface(ride))
+      };
+    } catch (error) {
+      console.error('Error getting rides by club:', error);
+      return { total: 0, rides: [] };
+    }
+  }
+
+  async getRidesForUser(userId, since) {
+    const rides = await Ride.find({
+      date: { $gte: since },
+      $or: [{ createdBy: userId }, { 'participation.joined.userId': userId }]
+    }).sort({ date: 1 });
+    return rides.map(ride => this.mapRideToInterface(ride));
+  }
+
+  async getRidesByParticipant(userId, states, { since, before }, skip, limit) {
+    try {
+      const query = {
+        date: since ? { $gte: since } : { $lt: before },
+        $or: states.map(state => ({ [`participation.${state}.userId`]: userId }))
+      };
+      const [rides, total] = await Promise.all([
+        Ride.find(query)
+          .sort({ date: since ? 1 : -1 })
+          .skip(skip)
+          .limit(limit),
+        Ride.countDocuments(query)
+      ]);
+
+      return {
+        total,
+        rides: rides.map(ride => this.mapRideToInterface(ride))
+      };
+    } catch (error) {
+      console.error('Error getting rides by participant:', error);
+      return { total: 0, rides: [] };
+    }
+  }
+
+  async getUpcomingRidesForChat(chatId, since, skip, limit) {
+    try {
+      const query = {
+        date: { $gte: since },
+        cancelled: { $ne: true },
+        $or: [{ 'messages.chatId': chatId }, { groupId: chatId }]
+      };
+      const [rides, total] = await Promise.all([
+        Ride.find(query)
+          .sort({ date: 1 })
+          .skip(skip)
+          .limit(limit),
+        Ride.countDocuments(query)
+      ]);
+
+      return {
+        total,
+        rides: rides.map(ride => this.mapRideToInterface(ride))
+      };
+    } catch (error) {
+      console.error('Error getting upcoming rides for chat:', error);
+      return { total: 0, rides: [] };
+    }
+  }
+
+  async searchRides(query, skip, limit) {
+    try {
+      const filter = this.buildRideSearchFilter(query);
+      const [rides, total] = await Promise.all([
+        Ride.find(filter)
+          .sort({ date: -1 })
+          .skip(skip)
+          .limit(limit),
+        Ride.countDocuments(filter)
+      ]);
+
+      return {
+        total,
+        rides: rides.map(ride => this.mapRideToInterface(ride))
+      };
+    } catch (error) {
+      console.error('Error searching rides:', error);
+      return { total: 0, rides: [] };
+    }
+  }
+
+  /**
+   * Translate a ride search into a MongoDB filter
+   * @param {import('./interface.js').RideSearchQuery} query
+   * @returns {Object}
+   */
+  buildRideSearchFilter(query) {
+    const conditions = [];
+
+    if (query.createdBy !== undefined) {
+      conditions.push({ createdBy: query.createdBy });
+    }
+    if (query.category) {
+      // Legacy rides without a category are shown as the default one
+      conditions.push(query.category === DEFAULT_CATEGORY
+        ? { category: { $in: [DEFAULT_CATEGORY, null] } }
+        : { category: query.category });
+    }
+    if (query.dateFrom || query.dateTo) {
+      conditions.push({
+        date: {
+          ...(query.dateFrom && { $gte: query.dateFrom }),
+          ...(query.dateTo && { $lte: query.dateTo })
+        }
+      });
+    }
+    if (query.distanceMin !== undefined) {
+      conditions.push({ distance: { $gte: query.distanceMin } });
+    }
+    if (query.distanceMax !== undefined) {
+      conditions.push({ distance: { $lte: query.distanceMax } });
+    }
+    // A ride with only one speed bound is open-ended on the other side
+    if (query.speedMin !== undefined) {
+      conditions.push({ $or: [{ speedMax: { $gte: query.speedMin } }, { speedMax: null, speedMin: { $ne: null } }] });
+    }
+    if (query.speedMax !== undefined) {
+      conditions.push({ $or: [{ speedMin: { $lte: query.speedMax } }, { speedMin: null, speedMax: { $ne: null } }] });
+    }
+    if (query.text) {
+      const pattern = new RegExp(query.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      conditions.push({ $or: [{ title: pattern }, { meetingPoint: pattern }] });
+    }
+    if (query.cancelled !== undefined) {
+      conditions.push({ cancelled: query.cancelled ? true : { $ne: true } });
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+  }
 
   async deleteRide(rideId) {
     const ride = await Ride.findByIdAndDelete(rideId);
@@ -236,13 +561,14 @@ export class MongoDBStorage extends StorageInterface {
 
     // Ensure participation structure exists
     if (!ride.participation) {
-      ride.participation = { joined: [], thinking: [], skipped: [] };
+      ride.participation = createEmptyParticipation();
     }
 
     // Remove user from all states first
-    ride.participation.joined = ride.participation.joined.filter(p => p.userId !== participantProfile.userId);
-    ride.participation.thinking = ride.participation.thinking.filter(p => p.userId !== participantProfile.userId);
-    ride.participation.skipped = ride.participation.skipped.filter(p => p.userId !== participantProfile.userId);
+    PARTICIPATION_STATES.forEach(participationState => {
+      ride.participation[participationState] = (ride.participation[participationState] || [])
+        .filter(p => p.userId !== participantProfile.userId);
+    });
 
     // Add user to the specified state
     const participantData = {
@@ -264,10 +590,39 @@ export class MongoDBStorage extends StorageInterface {
       return null;
     }
 
-    if (ride.participation.joined.some(p => p.userId === userId)) return 'joined';
-    if (ride.participation.thinking.some(p => p.userId === userId)) return 'thinking';
-    if (ride.participation.skipped.some(p => p.userId === userId)) return 'skipped';
-    return null;
+    return PARTICIPATION_STATES.find(
+      participationState => (ride.participation[participationState] || []).some(p => p.userId === userId)
+    ) || null;
+  }
+
+  async setAttendance(rideId, userId, status, markedBy) {
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      throw new Error('Ride not found');
+    }
+
+    ride.attendance = (ride.attendance || []).filter(record => record.userId !== userId);
+    if (status) {
+      ride.attendance.push({ userId, status, markedBy, markedAt: new Date() });
+    }
+    await ride.save();
+    return this.mapRideToInterface(ride);
+  }
+
+  async getAttendanceStats(userIds) {
+    const stats = await Ride.aggregate([
+      { $match: { 'attendance.userId': { $in: userIds } } },
+      { $unwind: '$attendance' },
+      { $match: { 'attendance.userId': { $in: userIds } } },
+      {
+        $group: {
+          _id: '$attendance.userId',
+          attended: { $sum: { $cond: [{ $eq: ['$attendance.status', 'attended'] }, 1, 0] } },
+          noShow: { $sum: { $cond: [{ $eq: ['$attendance.status', 'noShow'] }, 1, 0] } }
+        }
+      }
+    ]);
+    return stats.map(({ _id, attended, noShow }) => ({ userId: _id, attended, noShow }));
   }
 
   async getAllParticipants(rideId) {
@@ -276,7 +631,112 @@ export class MongoDBStorage extends StorageInterface {
       throw new Error('Ride not found');
     }
 
-    return ride.participation || { joined: [], thinking: [], skipped: [] };
+    return ride.participation || createEmptyParticipation();
+  }
+
+  async createRideSeries(series) {
+    const newSeries = new RideSeries(series);
+    await newSeries.save();
+    return this.mapRideSeriesToInterface(newSeries);
+  }
+
+  async updateRideSeries(seriesId, updates) {
+    const series = await RideSeries.findById(seriesId);
+    if (!series) {
+      throw new Error('Ride series not found');
+    }
+
+    Object.assign(series, updates, { updatedAt: new Date() });
+    await series.save();
+    return this.mapRideSeriesToInterface(series);
+  }
+
+  async getRideSeries(seriesId) {
+    try {
+      const series = await RideSeries.findById(seriesId);
+      return this.mapRideSeriesToInterface(series);
+    } catch (error) {
+      console.error('Error getting ride series:', error);
+      return null;
+    }
+  }
+
+  async scheduleJob(job) {
+    const fields = {
+      type: job.type,
+      key: job.key ?? null,
+      payload: job.payload,
+      status: 'pending',
+      runAt: job.runAt,
+      attempts: 0,
+      maxAttempts: job.maxAttempts,
+      lockedUntil: null
+    };
+
+    if (!fields.key) {
+      const newJob = new Job(fields);
+      await newJob.save();
+      return this.mapJobToInterface(newJob);
+    }
+
+    const upsert = () => Job.findOneAndUpdate(
+      { key: fields.key, status: 'pending' },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { new: true, upsert: true }
+    );
+    try {
+      return this.mapJobToInterface(await upsert());
+    } catch (error) {
+      // A concurrent call inserted the pending job of the key first; replace that one instead
+      if (error.code !== DUPLICATE_KEY_ERROR_CODE) {
+        throw error;
+      }
+      return this.mapJobToInterface(await upsert());
+    }
+  }
+
+  async retryJob(jobId, updates) {
+    try {
+      return await this.updateJob(jobId, { ...updates, status: 'pending', lockedUntil: null });
+    } catch (error) {
+      // The key already has a newer pending job
+      if (error.code !== DUPLICATE_KEY_ERROR_CODE) {
+        throw error;
+      }
+      await this.updateJob(jobId, { status: 'failed', lockedUntil: null, lastError: updates.lastError, finishedAt: new Date() });
+      return null;
+    }
+  }
+
+  async claimNextDueJob(now, lockedUntil) {
+    const job = await Job.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedUntil, updatedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+    return this.mapJobToInterface(job);
+  }
+
+  async updateJob(jobId, updates) {
+    const job = await Job.findByIdAndUpdate(jobId, { ...updates, updatedAt: new Date() }, { new: true });
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    return this.mapJobToInterface(job);
+  }
+
+  async deletePendingJobs(keyPrefix) {
+    const pattern = new RegExp('^' + keyPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const result = await Job.deleteMany({ key: pattern, status: 'pending' });
+    return result.deletedCount || 0;
   }
 
   async getUser(userId) {
@@ -289,6 +749,11 @@ export class MongoDBStorage extends StorageInterface {
     }
   }
 
+  async getUserByCalendarToken(calendarToken) {
+    const user = await User.findOne({ calendarToken });
+    return this.mapUserToInterface(user);
+  }
+
   async upsertUser(userData) {
     const existingUser = await User.findOne({ userId: userData.userId });
     const now = new Date();
@@ -300,15 +765,87 @@ export class MongoDBStorage extends StorageInterface {
     nextUser.username = userData.username ?? nextUser.username ?? '';
     nextUser.firstName = userData.firstName ?? nextUser.firstName ?? '';
     nextUser.lastName = userData.lastName ?? nextUser.lastName ?? '';
+    const currentSettings = nextUser.settings?.toObject ? nextUser.settings.toObject() : nextUser.settings;
     nextUser.settings = userData.settings !== undefined
-      ? { ...(nextUser.settings || {}), ...userData.settings }
+      ? { ...(currentSettings || {}), ...userData.settings }
       : nextUser.settings;
+    if (userData.calendarToken !== undefined) {
+      nextUser.calendarToken = userData.calendarToken;
+    }
     nextUser.updatedAt = now;
 
     await nextUser.save();
     return this.mapUserToInterface(nextUser);
   }
 
+  async createClub(club) {
+    const newClub = new Club(club);
+    await newClub.save();
+    return this.mapClubToInterface(newClub);
+  }
+
+  async updateClub(clubId, updates) {
+    const club = await Club.findById(clubId);
+    if (!club) {
+      throw new Error('Club not found');
+    }
+
+    Object.assign(club, updates, { updatedAt: new Date() });
+    await club.save();
+    return this.mapClubToInterface(club);
+  }
+
+  async getClub(clubId) {
+    try {
+      const club = await Club.findById(clubId);
+      return this.mapClubToInterface(club);
+    } catch (error) {
+      console.error('Error getting club:', error);
+      return null;
+    }
+  }
+
+  async getClubByInviteCode(inviteCode) {
+    const club = await Club.findOne({ inviteCode });
+    return this.mapClubToInterface(club);
+  }
+
+  async getClubsForUser(userId) {
+    const clubs = await Club.find({ 'members.userId': userId }).sort({ name: 1 });
+    return clubs.map(club => this.mapClubToInterface(club));
+  }
+
+  async getGroupSettings(chatId) {
+    const settings = await GroupSettings.findOne({ chatId });
+    return this.mapGroupSettingsToInterface(settings);
+  }
+
+  async upsertGroupSettings(chatId, settings) {
+    const updated = await GroupSettings.findOneAndUpdate(
+      { chatId },
+      {
+        $set: { ...settings, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    return this.mapGroupSettingsToInterface(updated);
+  }
+
+  async getRouteMetadata(routeKey) {
+    const entry = await RouteMetadata.findOne({ routeKey });
+    return this.mapRouteMetadataToInterface(entry);
+  }
+
+  async saveRouteMetadata(entry) {
+    const saved = await RouteMetadata.findOneAndUpdate(
+      { routeKey: entry.routeKey },
+      { $set: { metadata: entry.metadata, fetchedAt: entry.fetchedAt, expiresAt: entry.expiresAt } },
+      { new: true, upsert: true }
+    );
+    return this.mapRouteMetadataToInterface(saved);
+  }
+
   mapRideToInterface(ride) {
     if (!ride) return null;
     const rideObj = ride.toObject ? ride.toObject() : ride;
@@ -319,59 +856,169 @@ export class MongoDBStorage extends StorageInterface {
       title: rideObj.title,
       category: normalizeCategory(rideObj.category || DEFAULT_CATEGORY),
       date: rideObj.date,
+      timezone: rideObj.timezone || null,
       messages: rideObj.messages || [],
       routes: getRideRoutes(rideObj),
       routeLink: rideObj.routeLink,
+      routeFile: rideObj.routeFile || null,
       meetingPoint: rideObj.meetingPoint,
+      meetingPointLocation: rideObj.meetingPointLocation || null,
       distance: rideObj.distance,
+      elevation: rideObj.elevation,
       duration: rideObj.duration,
       speedMin: rideObj.speedMin,
       speedMax: rideObj.speedMax,
+      maxParticipants: rideObj.maxParticipants,
       additionalInfo: rideObj.additionalInfo,
       settings: rideObj.settings,
       cancelled: rideObj.cancelled,
       groupId: rideObj.groupId || null,
+      seriesId: rideObj.seriesId || null,
+      clubId: rideObj.clubId || null,
       createdAt: rideObj.createdAt,
       createdBy: rideObj.createdBy,
       organizer: rideObj.organizer,
+      coOrganizers: (rideObj.coOrganizers || []).map(coOrganizer => ({
+        userId: coOrganizer.userId,
+        username: coOrganizer.username,
+        firstName: coOrganizer.firstName || '',
+        lastName: coOrganizer.lastName || ''
+      })),
       updatedAt: rideObj.updatedAt,
       updatedBy: rideObj.updatedBy,
       metadata: rideObj.metadata ?? {},
-      participation: {
-        joined: (rideObj.participation?.joined || []).map(p => ({
-          userId: p.userId,
-          username: p.username,
-          firstName: p.firstName || '',
-          lastName: p.lastName || '',
-          createdAt: p.createdAt
-        })),
-        thinking: (rideObj.participation?.thinking || []).map(p => ({
-          userId: p.userId,
-          username: p.username,
-          firstName: p.firstName || '',
-          lastName: p.lastName || '',
-          createdAt: p.createdAt
-        })),
-        skipped: (rideObj.participation?.skipped || []).map(p => ({
+      participation: Object.fromEntries(PARTICIPATION_STATES.map(participationState => [
+        participationState,
+        (rideObj.participation?.[participationState] || []).map(p => ({
           userId: p.userId,
           username: p.username,
           firstName: p.firstName || '',
           lastName: p.lastName || '',
           createdAt: p.createdAt
         }))
-      },
+      ])),
+      attendance: (rideObj.attendance || []).map(record => ({
+        userId: record.userId,
+        status: record.status,
+        markedBy: record.markedBy,
+        markedAt: record.markedAt
+      })),
       messages: (rideObj.messages || []).map(msg => ({
         chatId: msg.chatId,
         messageId: msg.messageId,
         messageThreadId: msg.messageThreadId ?? null,
         language: msg.language ?? undefined,
-        isForCreator: msg.isForCreator ?? undefined
+        isForCreator: msg.isForCreator ?? undefined,
+        ...(msg.inlineMessageId && { inlineMessageId: msg.inlineMessageId }),
+        ...(msg.location && { location: { lat: msg.location.lat, lon: msg.location.lon } })
       }))
     };
 
     return result;
   }
 
+  mapRideSeriesToInterface(series) {
+    if (!series) return null;
+    const seriesObj = series.toObject ? series.toObject() : series;
+    const rule = seriesObj.rule || {};
+
+    return {
+      id: seriesObj._id.toString(),
+      createdBy: seriesObj.createdBy,
+      rule: {
+        frequency: rule.frequency,
+        interval: rule.interval,
+        ...(rule.weekdays ? { weekdays: [...rule.weekdays] } : {}),
+        ...(rule.weekOfMonth !== undefined ? { weekOfMonth: rule.weekOfMonth } : {}),
+        ...(rule.weekday !== undefined ? { weekday: rule.weekday } : {})
+      },
+      anchorDate: seriesObj.anchorDate,
+      until: seriesObj.until ?? null,
+      count: seriesObj.count ?? null,
+      occurrences: seriesObj.occurrences,
+      skipDates: [...(seriesObj.skipDates || [])],
+      status: seriesObj.status,
+      lastRideId: seriesObj.lastRideId,
+      lastRideDate: seriesObj.lastRideDate,
+      createdAt: seriesObj.createdAt,
+      updatedAt: seriesObj.updatedAt
+    };
+  }
+
+  mapJobToInterface(job) {
+    if (!job) return null;
+    const jobObj = job.toObject ? job.toObject() : job;
+
+    return {
+      id: jobObj._id.toString(),
+      type: jobObj.type,
+      key: jobObj.key ?? null,
+      payload: jobObj.payload,
+      status: jobObj.status,
+      runAt: jobObj.runAt,
+      attempts: jobObj.attempts,
+      maxAttempts: jobObj.maxAttempts,
+      lockedUntil: jobObj.lockedUntil ?? null,
+      ...(jobObj.lastError ? { lastError: jobObj.lastError } : {}),
+      createdAt: jobObj.createdAt,
+      ...(jobObj.updatedAt ? { updatedAt: jobObj.updatedAt } : {}),
+      ...(jobObj.finishedAt ? { finishedAt: jobObj.finishedAt } : {})
+    };
+  }
+
+  mapClubToInterface(club) {
+    if (!club) return null;
+    const clubObj = club.toObject ? club.toObject() : club;
+
+    return {
+      id: clubObj._id.toString(),
+      name: clubObj.name,
+      createdBy: clubObj.createdBy,
+      members: (clubObj.members || []).map(member => ({
+        userId: member.userId,
+        username: member.username ?? '',
+        firstName: member.firstName ?? '',
+        lastName: member.lastName ?? '',
+        role: member.role,
+        joinedAt: member.joinedAt
+      })),
+      inviteCode: clubObj.inviteCode,
+      createdAt: clubObj.createdAt,
+      ...(clubObj.updatedAt ? { updatedAt: clubObj.updatedAt } : {})
+    };
+  }
+
+  mapGroupSettingsToInterface(settings) {
+    if (!settings) return null;
+    const settingsObj = settings.toObject ? settings.toObject() : settings;
+
+    return {
+      chatId: settingsObj.chatId,
+      language: settingsObj.language ?? null,
+      timezone: settingsObj.timezone ?? null,
+      units: settingsObj.units ?? null,
+      defaultThreadId: settingsObj.defaultThreadId ?? null,
+      allowMemberShares: settingsObj.allowMemberShares ?? true,
+      createdAt: settingsObj.createdAt,
+      updatedAt: settingsObj.updatedAt
+    };
+  }
+
+  mapRouteMetadataToInterface(entry) {
+    if (!entry) return null;
+    const entryObj = entry.toObject ? entry.toObject() : entry;
+    const metadata = entryObj.metadata
+      ? Object.fromEntries(Object.entries(entryObj.metadata).filter(([, value]) => value != null))
+      : null;
+
+    return {
+      routeKey: entryObj.routeKey,
+      metadata,
+      fetchedAt: entryObj.fetchedAt,
+      expiresAt: entryObj.expiresAt
+    };
+  }
+
   mapUserToInterface(user) {
     if (!user) return null;
     const userObj = user.toObject ? user.toObject() : user;
@@ -382,6 +1029,7 @@ export class MongoDBStorage extends StorageInterface {
       firstName: userObj.firstName ?? '',
       lastName: userObj.lastName ?? '',
       settings: userObj.settings,
+      ...(userObj.calendarToken ? { calendarToken: userObj.calendarToken } : {}),
       createdAt: userObj.createdAt,
       updatedAt: userObj.updatedAt
     };
@@ -17,6 +17,13 @@ class MockInlineKeyboard {
   }
 }
 
+class MockInputFile {
+  constructor(file, filename) {
+    this.file = file;
+    this.filename = filename;
+  }
+}
+
 function createMockGrammyRuntime() {
   const middlewares = [];
   const commands = new Map();
@@ -76,6 +83,7 @@ export async function createScenarioHarness() {
   await jest.unstable_mockModule('grammy', async () => ({
     Bot: jest.fn().mockImplementation(() => runtime.botInstance),
     InlineKeyboard: MockInlineKeyboard,
+    InputFile: MockInputFile,
     webhookCallback: jest.fn(),
   }));
 
@@ -280,6 +288,9 @@ export async function createScenarioHarness() {
     return ctx;
   };
 
+  // Run persisted jobs that are due, with messages they send landing in the outbox
+  const runDueJobs = async () => bot.jobScheduler.processDueJobs(createCtx().api);
+
   const listRides = () => Array.from(storage.rides.values());
   const getRide = (rideId) => storage.rides.get(rideId) || null;
 
@@ -290,6 +301,7 @@ export async function createScenarioHarness() {
     runtime,
     dispatchMessage,
     dispatchCallback,
+    runDueJobs,
     listRides,
     getRide,
   };
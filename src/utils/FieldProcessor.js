@@ -2,7 +2,10 @@ import { parseDateTimeInput } from './date-input-parser.js';
 import { parseDuration } from './duration-parser.js';
 import { normalizeCategory, DEFAULT_CATEGORY } from './category-utils.js';
 import { parseSpeedInput } from './speed-utils.js';
+import { parseDistanceInput, parseElevationInput } from './unit-utils.js';
 import { parseRouteEntries } from './route-links.js';
+import { parseMaxParticipants } from './participation-utils.js';
+import { DateParser } from './date-parser.js';
 import { config } from '../config.js';
 import { t } from '../i18n/index.js';
 
@@ -15,16 +18,28 @@ export class FieldProcessor {
    * Process ride fields from parameters
    * @param {Object} params - Input parameters
    * @param {boolean} isUpdate - Whether this is an update operation (affects how '-' is handled)
-   * @param {{language?: string}} options - Localization options
+   * @param {{language?: string, timezone?: string|null, units?: string|null}} options - Localization options; `timezone` is the ride's current or default zone, `units` the unit system of distances, elevation and speeds typed without a unit
    * @returns {Object} - { data, error }
    */
   static processRideFields(params, isUpdate = false, options = {}) {
     const language = options.language;
+    const units = options.units;
     const result = { data: {}, error: null };
+    let timezone = options.timezone;
+
+    // Process timezone before the date, which is read in the ride's timezone
+    if (params.timezone !== undefined) {
+      const timezoneResult = this.processTimezoneField(params.timezone, isUpdate, { language });
+      if (timezoneResult.error) {
+        return { data: null, error: timezoneResult.error };
+      }
+      result.data.timezone = timezoneResult.value;
+      timezone = timezoneResult.value;
+    }
     
     // Process date
     if (params.when) {
-      const dateResult = parseDateTimeInput(params.when, { language });
+      const dateResult = parseDateTimeInput(params.when, { language, timezone });
       if (!dateResult.date) {
         return { data: null, error: dateResult.error };
       }
@@ -33,7 +48,20 @@ export class FieldProcessor {
     
     // Process distance
     if (params.dist !== undefined) {
-      result.data.distance = this.processNumericField(params.dist, isUpdate);
+      const distanceResult = this.processDistanceField(params.dist, isUpdate, { language, units });
+      if (distanceResult.error) {
+        return { data: null, error: distanceResult.error };
+      }
+      result.data.distance = distanceResult.value;
+    }
+
+    // Process elevation gain
+    if (params.elevation !== undefined) {
+      const elevationResult = this.processElevationField(params.elevation, isUpdate, { language, units });
+      if (elevationResult.error) {
+        return { data: null, error: elevationResult.error };
+      }
+      result.data.elevation = elevationResult.value;
     }
     
     // Process duration
@@ -47,10 +75,19 @@ export class FieldProcessor {
     
     // Process speed
     if (params.speed !== undefined) {
-      const speedResult = this.processSpeedField(params.speed, isUpdate);
+      const speedResult = this.processSpeedField(params.speed, isUpdate, { units });
       Object.assign(result.data, speedResult);
     }
     
+    // Process participant limit
+    if (params.max !== undefined) {
+      const maxResult = this.processMaxParticipantsField(params.max, isUpdate, { language });
+      if (maxResult.error) {
+        return { data: null, error: maxResult.error };
+      }
+      result.data.maxParticipants = maxResult.value;
+    }
+    
     // Process route
     const routeInput = params.routes !== undefined ? params.routes : params.route;
     if (routeInput !== undefined) {
@@ -72,10 +109,16 @@ export class FieldProcessor {
       }
     }
     
+    // Process club; RideService checks that the user may add rides to it
+    if (params.club !== undefined) {
+      result.data.clubId = isUpdate && params.club === '-' ? null : String(params.club).trim().replace(/^#/, '');
+    }
+
     // Process simple text fields
     this.processTextFields(params, result.data, isUpdate);
 
     this.processBooleanSettings(params, result.data);
+    this.processReminderSettings(params, result.data);
 
     return result;
   }
@@ -87,7 +130,7 @@ export class FieldProcessor {
    * @param {Object} data
    */
   static processBooleanSettings(params, data) {
-    ['notifyParticipation', 'allowReposts'].forEach(settingName => {
+    ['notifyParticipation', 'allowReposts', 'shareLocation'].forEach(settingName => {
       const value = params.settings?.[settingName] ?? params[`settings.${settingName}`];
       if (value !== undefined) {
         data.settings = {
@@ -98,6 +141,22 @@ export class FieldProcessor {
     });
   }
 
+  /**
+   * Copy reminder offsets from structured input (used when duplicating a ride).
+   *
+   * @param {Object} params
+   * @param {Object} data
+   */
+  static processReminderSettings(params, data) {
+    const reminders = params.settings?.reminders;
+    if (Array.isArray(reminders)) {
+      data.settings = {
+        ...(data.settings || {}),
+        reminders: [...reminders]
+      };
+    }
+  }
+
   /**
    * Parse boolean-like setting inputs from text or structured values.
    *
@@ -114,14 +173,51 @@ export class FieldProcessor {
   }
   
   /**
-   * Process numeric field (distance)
+   * Process distance field: "40", "40km" or "40mi", stored in km
    * @param {string} value - Field value
    * @param {boolean} isUpdate - Whether this is an update operation
-   * @returns {number|null} - Parsed value or null if cleared
+   * @param {{language?: string, units?: string|null}} options - Localization options
+   * @returns {Object} - { value, error }
    */
-  static processNumericField(value, isUpdate) {
-    if (isUpdate && value === '-') return null;
-    return parseFloat(value);
+  static processDistanceField(value, isUpdate, options = {}) {
+    if (isUpdate && value === '-') {
+      return { value: null, error: null };
+    }
+    const distance = parseDistanceInput(value, options.units);
+    if (distance === null) {
+      return {
+        value: null,
+        error: t(options.language || config.i18n.defaultLanguage, 'parsers.distance.invalid', { value }, {
+          fallbackLanguage: config.i18n.fallbackLanguage,
+          withMissingMarker: config.isDev
+        })
+      };
+    }
+    return { value: distance, error: null };
+  }
+
+  /**
+   * Process elevation gain field: "850", "850m" or "2800ft", stored in meters
+   * @param {string} value - Field value
+   * @param {boolean} isUpdate - Whether this is an update operation
+   * @param {{language?: string, units?: string|null}} options - Localization options
+   * @returns {Object} - { value, error }
+   */
+  static processElevationField(value, isUpdate, options = {}) {
+    if (isUpdate && value === '-') {
+      return { value: null, error: null };
+    }
+    const elevation = parseElevationInput(value, options.units);
+    if (elevation === null) {
+      return {
+        value: null,
+        error: t(options.language || config.i18n.defaultLanguage, 'parsers.elevation.invalid', { value }, {
+          fallbackLanguage: config.i18n.fallbackLanguage,
+          withMissingMarker: config.isDev
+        })
+      };
+    }
+    return { value: elevation, error: null };
   }
   
   /**
@@ -139,23 +235,63 @@ export class FieldProcessor {
     return { value: result.duration, error: result.error };
   }
   
+  /**
+   * Process timezone field
+   * @param {string} value - IANA timezone name
+   * @param {boolean} isUpdate - Whether this is an update operation
+   * @param {{language?: string}} options - Localization options
+   * @returns {Object} - { value, error }
+   */
+  static processTimezoneField(value, isUpdate, options = {}) {
+    if (isUpdate && value === '-') {
+      return { value: null, error: null };
+    }
+    if (!DateParser.isValidTimezone(value)) {
+      return {
+        value: null,
+        error: t(options.language || config.i18n.defaultLanguage, 'parsers.timezone.invalid', { timezone: value }, {
+          fallbackLanguage: config.i18n.fallbackLanguage,
+          withMissingMarker: config.isDev
+        })
+      };
+    }
+    return { value, error: null };
+  }
+
+  /**
+   * Process maximum participants field
+   * @param {string} value - Field value
+   * @param {boolean} isUpdate - Whether this is an update operation
+   * @param {{language?: string}} options - Localization options
+   * @returns {Object} - { value, error }
+   */
+  static processMaxParticipantsField(value, isUpdate, options = {}) {
+    if (isUpdate && value === '-') {
+      return { value: null, error: null };
+    }
+    const result = parseMaxParticipants(value, { language: options.language });
+    return { value: result.maxParticipants, error: result.error };
+  }
+  
   /**
    * Process speed field supporting 4 input forms:
    *   "25-28"       → range    (speedMin=25, speedMax=28)
    *   "25+" or "25-"→ minimum  (speedMin=25, speedMax=null)
    *   "-28"         → maximum  (speedMin=null, speedMax=28)
    *   "25" or "~25" → average  (speedMin=25, speedMax=25)
+   * Values are stored in km/h; "18mph" and values typed by imperial users are converted.
    *
    * @param {string} value - Field value
    * @param {boolean} isUpdate - Whether this is an update operation
+   * @param {{units?: string|null}} [options] - Unit system of values typed without a unit
    * @returns {Object} - Object with speedMin and/or speedMax properties
    */
-  static processSpeedField(value, isUpdate) {
+  static processSpeedField(value, isUpdate, options = {}) {
     if (isUpdate && value === '-') {
       return { speedMin: null, speedMax: null };
     }
 
-    const parsed = parseSpeedInput(value);
+    const parsed = parseSpeedInput(value, options.units);
     if (!parsed) return {};
 
     const result = { ...parsed };
@@ -186,6 +322,7 @@ export class FieldProcessor {
             data[field] = DEFAULT_CATEGORY;
           } else if (field === 'meet') {
             data.meetingPoint = '';
+            data.meetingPointLocation = null;
           } else if (field === 'info') {
             data.additionalInfo = '';
           } else {
@@ -197,6 +334,10 @@ export class FieldProcessor {
             data[field] = normalizeCategory(params[field]);
           } else if (field === 'meet') {
             data.meetingPoint = params[field];
+            // A typed meeting point replaces the map pin of a shared location
+            if (isUpdate) {
+              data.meetingPointLocation = null;
+            }
           } else if (field === 'info') {
             data.additionalInfo = params[field];
           } else {
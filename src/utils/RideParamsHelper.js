@@ -19,12 +19,16 @@ export class RideParamsHelper {
       category: translate('params.category'),
       organizer: translate('params.organizer'),
       when: translate('params.when'),
+      timezone: translate('params.timezone'),
       meet: translate('params.meet'),
       route: translate('params.route'),
       dist: translate('params.dist'),
+      elevation: translate('params.elevation'),
       duration: translate('params.duration'),
       speed: translate('params.speed'),
+      max: translate('params.max'),
       info: translate('params.info'),
+      club: translate('params.club'),
       'settings.notifyParticipation': translate('params.settingsNotifyParticipation'),
       'settings.allowReposts': translate('params.settingsAllowReposts'),
       id: translate('params.id')
@@ -0,0 +1,54 @@
+/**
+ * Utility functions for ride attendance: whether joined riders actually showed up
+ */
+import { config } from '../config.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Attendance marks of a joined rider
+ */
+export const ATTENDANCE_STATUSES = Object.freeze(['attended', 'noShow']);
+
+/**
+ * Check-in phase of a ride, from shortly before its start until a few hours after
+ * @param {{date: Date}} ride
+ * @returns {{opensAt: Date, closesAt: Date}}
+ */
+export function getCheckInWindow(ride) {
+  const rideTime = new Date(ride.date).getTime();
+  return {
+    opensAt: new Date(rideTime - config.attendance.checkInOpensMinutesBefore * MINUTE_MS),
+    closesAt: new Date(rideTime + config.attendance.checkInClosesMinutesAfter * MINUTE_MS)
+  };
+}
+
+/**
+ * Check whether the check-in phase of a ride has begun. Organizers can mark attendance from then on.
+ * @param {Object} ride
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function hasCheckInStarted(ride, now = new Date()) {
+  return !ride.cancelled && getCheckInWindow(ride).opensAt <= now;
+}
+
+/**
+ * Check whether riders can check in to a ride themselves
+ * @param {Object} ride
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isCheckInOpen(ride, now = new Date()) {
+  return hasCheckInStarted(ride, now) && now < getCheckInWindow(ride).closesAt;
+}
+
+/**
+ * Attendance mark of a rider on a ride
+ * @param {Object} ride
+ * @param {number} userId
+ * @returns {'attended'|'noShow'|null}
+ */
+export function getAttendanceStatus(ride, userId) {
+  return (ride.attendance || []).find(record => record.userId === userId)?.status || null;
+}
@@ -27,3 +27,45 @@ export async function replaceBotUsername(text, ctx) {
   const botUsername = await getBotUsername(ctx);
   return text.replace(/@botname/g, `@${botUsername}`);
 }
+
+/**
+ * Build a t.me link that opens the private chat with the bot and sends /start with a payload
+ * @param {string} botUsername - Username of the bot
+ * @param {string} payload - Start parameter: up to 64 letters, digits, underscores and hyphens
+ * @returns {string} Deep link
+ */
+export function getStartLink(botUsername, payload) {
+  return `https://t.me/${botUsername}?start=${payload}`;
+}
+
+/**
+ * Parse the payload of a ride deep link: `ride_<id>` shows the ride, `join_<id>` joins it,
+ * `gpx_<id>` sends its GPX file
+ * @param {string|null|undefined} payload - Text after /start
+ * @returns {{action: 'ride'|'join'|'gpx', rideId: string}|null} Deep link action, or null for other payloads
+ */
+export function parseRideStartPayload(payload) {
+  const match = payload?.trim().match(/^(ride|join|gpx)_(\w+)$/);
+  return match ? { action: match[1], rideId: match[2] } : null;
+}
+
+/**
+ * Build a t.me link to a message in a group, supergroup topic or channel.
+ * Public chats are addressed by their username; private supergroups and channels by their ID,
+ * which only opens for their members. Basic groups and private chats have no message links.
+ * @param {{chatId: number, messageId: number, messageThreadId?: number|null}} message - Tracked ride message
+ * @param {string|null} [chatUsername] - Username of the chat, when it is public
+ * @returns {string|null} Message link
+ */
+export function getMessageLink(message, chatUsername = null) {
+  const threadPath = message.messageThreadId ? `${message.messageThreadId}/` : '';
+  if (chatUsername) {
+    return `https://t.me/${chatUsername}/${threadPath}${message.messageId}`;
+  }
+
+  const chatId = String(message.chatId);
+  if (!chatId.startsWith('-100')) {
+    return null;
+  }
+  return `https://t.me/c/${chatId.slice(4)}/${threadPath}${message.messageId}`;
+}
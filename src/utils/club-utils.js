@@ -0,0 +1,77 @@
+/**
+ * Utility functions for clubs and the roles of their members.
+ * Roles are ranked: owner > admin > leader > member. Leaders and above may edit the club's rides;
+ * admins and the owner manage members with a lower role than their own.
+ */
+
+export const CLUB_ROLES = Object.freeze({
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  LEADER: 'leader',
+  MEMBER: 'member'
+});
+
+const ROLE_RANKS = Object.freeze({
+  [CLUB_ROLES.MEMBER]: 0,
+  [CLUB_ROLES.LEADER]: 1,
+  [CLUB_ROLES.ADMIN]: 2,
+  [CLUB_ROLES.OWNER]: 3
+});
+
+/**
+ * @param {*} role
+ * @returns {boolean}
+ */
+export function isValidClubRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_RANKS, role);
+}
+
+/**
+ * @param {Object|null} club
+ * @param {number} userId
+ * @returns {Object|null} - Member entry of the user
+ */
+export function getClubMember(club, userId) {
+  return (club?.members || []).find(member => member.userId === userId) || null;
+}
+
+/**
+ * @param {Object|null} club
+ * @param {number} userId
+ * @returns {string|null} - Role of the user, or null when they are no member
+ */
+export function getClubRole(club, userId) {
+  return getClubMember(club, userId)?.role || null;
+}
+
+/**
+ * Whether the user is a member of the club with at least the given role.
+ * @param {Object|null} club
+ * @param {number} userId
+ * @param {string} [minimumRole=CLUB_ROLES.MEMBER]
+ * @returns {boolean}
+ */
+export function hasClubRole(club, userId, minimumRole = CLUB_ROLES.MEMBER) {
+  const role = getClubRole(club, userId);
+  return role !== null && ROLE_RANKS[role] >= ROLE_RANKS[minimumRole];
+}
+
+/**
+ * Whether a user may remove a member, or give them `newRole`: admins and the owner manage members
+ * below their own role and can only hand out roles below it.
+ * @param {Object} club
+ * @param {number} actorId
+ * @param {Object} member - Member entry being changed
+ * @param {string|null} [newRole]
+ * @returns {boolean}
+ */
+export function canChangeClubMember(club, actorId, member, newRole = null) {
+  const actorRole = getClubRole(club, actorId);
+  if (!actorRole || ROLE_RANKS[actorRole] < ROLE_RANKS[CLUB_ROLES.ADMIN]) {
+    return false;
+  }
+  if (ROLE_RANKS[member.role] >= ROLE_RANKS[actorRole]) {
+    return false;
+  }
+  return newRole === null || ROLE_RANKS[newRole] < ROLE_RANKS[actorRole];
+}
@@ -0,0 +1,41 @@
+/**
+ * Utility functions for ride co-organizers: riders the creator lets manage the ride with them
+ */
+
+/**
+ * Co-organizers of a ride.
+ * @param {Object} ride
+ * @returns {import('../storage/interface.js').Participant[]}
+ */
+export function getCoOrganizers(ride) {
+  return ride?.coOrganizers || [];
+}
+
+/**
+ * Check whether a user is a co-organizer of a ride.
+ * @param {Object} ride
+ * @param {number} userId
+ * @returns {boolean}
+ */
+export function isCoOrganizer(ride, userId) {
+  return getCoOrganizers(ride).some(coOrganizer => coOrganizer.userId === userId);
+}
+
+/**
+ * Check whether a user may manage a ride: its creator or one of its co-organizers.
+ * @param {Object} ride
+ * @param {number} userId
+ * @returns {boolean}
+ */
+export function canManageRide(ride, userId) {
+  return ride?.createdBy === userId || isCoOrganizer(ride, userId);
+}
+
+/**
+ * User IDs of everyone who manages a ride, the creator first.
+ * @param {Object} ride
+ * @returns {number[]}
+ */
+export function getRideManagerIds(ride) {
+  return [ride.createdBy, ...getCoOrganizers(ride).map(coOrganizer => coOrganizer.userId)];
+}
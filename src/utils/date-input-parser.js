@@ -5,6 +5,7 @@ import { t } from '../i18n/index.js';
 /**
  * Parse and validate date/time input
  * @param {string} text - Date/time text to parse
+ * @param {{language?: string, timezone?: string|null}} [options] - `timezone` is the zone the input is written in
  * @returns {{date: Date|null, error?: string}} Result object containing either the parsed date or error message
  */
 export function parseDateTimeInput(text, options = {}) {
@@ -14,13 +15,14 @@ export function parseDateTimeInput(text, options = {}) {
     withMissingMarker: config.isDev
   });
 
-  const parsedDate = DateParser.parseDateTime(text, { language });
+  const timezone = DateParser.resolveTimezone(options.timezone);
+  const parsedDate = DateParser.parseDateTime(text, { language, timezone });
   if (!parsedDate) {
     let errorMessage = translate('parsers.date.invalidFormat');
     
-    // Add timezone information to the error message if a default timezone is configured
-    if (config.dateFormat.defaultTimezone) {
-      errorMessage += `\n\n${translate('parsers.date.timezoneNote', { timezone: config.dateFormat.defaultTimezone })}`;
+    // Add timezone information to the error message if a timezone applies
+    if (timezone) {
+      errorMessage += `\n\n${translate('parsers.date.timezoneNote', { timezone })}`;
     }
     
     return {
@@ -72,13 +72,14 @@ export class DateParser {
   /**
    * Parse natural language date/time into a Date object
    * @param {string} text - Natural language date/time (e.g., "tomorrow at 6pm", "in 2 hours")
-   * @param {{language?: string}} [options]
+   * @param {{language?: string, timezone?: string|null}} [options] - The input is read as wall-clock time of `timezone`, the configured default when omitted
    * @returns {{date: Date, text: string}|null} Parsed date and the text that was recognized
    */
   static parseDateTime(text, options = {}) {
     try {
+      const timezone = this.resolveTimezone(options.timezone);
       // For relative dates (like "tomorrow"), the reference date needs to be in the target timezone
-      const convertedRefDate = this.convertToTimezone(new Date(), config.dateFormat.defaultTimezone);
+      const convertedRefDate = this.convertToTimezone(new Date(), timezone);
 
       let bestResult = null;
       for (const parser of this.getChronoParsers(options.language)) {
@@ -105,7 +106,7 @@ export class DateParser {
       }
 
       // We expect input in local timezone
-      const date = this.convertFromTimezone(parsedResult.start.date(), config.dateFormat.defaultTimezone);
+      const date = this.convertFromTimezone(parsedResult.start.date(), timezone);
       
       // Return both the parsed date and the text that was recognized
       return {
@@ -122,11 +123,12 @@ export class DateParser {
    * Format date for display in messages
    * @param {Date} date 
    * @param {string} [language]
+   * @param {string} [timezone] - Display timezone, the configured default when omitted
    * @returns {{date: string, time: string}} Formatted date and time strings
    */
-  static formatDateTime(date, language) {
+  static formatDateTime(date, language, timezone) {
     // Convert the date from the configured timezone for display
-    const displayDate = this.convertToTimezone(date, config.dateFormat.defaultTimezone);
+    const displayDate = this.convertToTimezone(date, this.resolveTimezone(timezone));
     const displayLocale = this.getDisplayLocale(language);
     
     const dateStr = displayDate.toLocaleDateString(displayLocale, config.dateFormat.date);
@@ -142,10 +144,11 @@ export class DateParser {
    * Format date for use in Telegram chat titles: "April 5th" (en) or "5 апреля" (ru)
    * @param {Date} date
    * @param {string} [language]
+   * @param {string} [timezone] - Display timezone, the configured default when omitted
    * @returns {string}
    */
-  static formatDateForChatTitle(date, language) {
-    const displayDate = this.convertToTimezone(date, config.dateFormat.defaultTimezone);
+  static formatDateForChatTitle(date, language, timezone) {
+    const displayDate = this.convertToTimezone(date, this.resolveTimezone(timezone));
     const normalized = this.normalizeLanguageCode(language) || 'en';
 
     if (normalized === 'en') {
@@ -227,6 +230,32 @@ export class DateParser {
     }
   }
 
+  /**
+   * Timezone to use for a ride or user: their own one, else the configured default.
+   * Null means the server's local time.
+   * @param {string|null} [timezone]
+   * @returns {string|null}
+   */
+  static resolveTimezone(timezone) {
+    return timezone || config.dateFormat.defaultTimezone || null;
+  }
+
+  /**
+   * Check whether a string is an IANA timezone name known to the runtime
+   * @param {string} timezone - e.g. 'Europe/Berlin'
+   * @returns {boolean}
+   */
+  static isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.trim() === '') return false;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Check if a date is in the past
    * @param {Date} date 
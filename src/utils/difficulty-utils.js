@@ -0,0 +1,53 @@
+/**
+ * Utility functions for ride difficulty: a grade derived from distance, elevation gain and speed
+ */
+
+/**
+ * Difficulty grades, from the easiest
+ */
+export const DIFFICULTY_GRADES = Object.freeze(['easy', 'moderate', 'hard', 'veryHard']);
+
+// Climbing counts as extra flat distance: 100 m of elevation gain take about the effort of 4 km on the flat
+const FLAT_KM_PER_CLIMBED_METER = 0.04;
+// Speed the grade limits are set for; faster rides are harder than their distance alone suggests
+const REFERENCE_SPEED_KMH = 25;
+const MIN_SPEED_FACTOR = 0.8;
+const MAX_SPEED_FACTOR = 1.4;
+// Highest effort of each grade but the last, in flat km at the reference speed
+const GRADE_LIMITS = [40, 80, 130];
+
+/**
+ * Effort of a ride in flat km at the reference speed
+ * @param {{distance?: number, elevation?: number, speedMin?: number, speedMax?: number}} ride
+ * @returns {number|null} Null without a distance
+ */
+export function getRideEffort(ride) {
+  if (!ride.distance) {
+    return null;
+  }
+
+  const flatDistance = ride.distance + (ride.elevation || 0) * FLAT_KM_PER_CLIMBED_METER;
+  const speeds = [ride.speedMin, ride.speedMax].filter(speed => speed > 0);
+  if (speeds.length === 0) {
+    return flatDistance;
+  }
+
+  const speed = speeds.reduce((sum, value) => sum + value, 0) / speeds.length;
+  const speedFactor = Math.min(MAX_SPEED_FACTOR, Math.max(MIN_SPEED_FACTOR, speed / REFERENCE_SPEED_KMH));
+  return flatDistance * speedFactor;
+}
+
+/**
+ * Difficulty grade of a ride
+ * @param {{distance?: number, elevation?: number, speedMin?: number, speedMax?: number}} ride
+ * @returns {'easy'|'moderate'|'hard'|'veryHard'|null} Null without a distance
+ */
+export function getRideDifficulty(ride) {
+  const effort = getRideEffort(ride);
+  if (effort === null) {
+    return null;
+  }
+
+  const gradeIndex = GRADE_LIMITS.findIndex(limit => effort <= limit);
+  return DIFFICULTY_GRADES[gradeIndex === -1 ? DIFFICULTY_GRADES.length - 1 : gradeIndex];
+}
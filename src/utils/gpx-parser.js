@@ -0,0 +1,110 @@
+/**
+ * Utility functions for GPX route files: reading track points and deriving the route summary
+ */
+import * as cheerio from 'cheerio';
+
+const EARTH_RADIUS_KM = 6371;
+// Elevation changes smaller than this are GPS noise and do not count as climbing
+const ELEVATION_NOISE_METERS = 3;
+
+/**
+ * Check whether a Telegram document is a GPX file
+ * @param {{file_name?: string, mime_type?: string}|null|undefined} document
+ * @returns {boolean}
+ */
+export function isGpxDocument(document) {
+  if (!document) return false;
+  return /\.gpx$/i.test(document.file_name || '') || document.mime_type === 'application/gpx+xml';
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {{lat: number, lon: number}} from
+ * @param {{lat: number, lon: number}} to
+ * @returns {number} Distance in km
+ */
+export function getDistanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Total climbing of an elevation profile, ignoring changes below the noise threshold
+ * @param {number[]} elevations - Elevations in meters, in route order
+ * @returns {number} Elevation gain in meters
+ */
+export function getElevationGain(elevations) {
+  let gain = 0;
+  let reference = null;
+  for (const elevation of elevations) {
+    if (reference === null || elevation < reference) {
+      reference = elevation;
+    } else if (elevation - reference >= ELEVATION_NOISE_METERS) {
+      gain += elevation - reference;
+      reference = elevation;
+    }
+  }
+  return Math.round(gain);
+}
+
+/**
+ * Parse a GPX document. Track points are read, or route points when the file has no track.
+ * @param {string} xml - GPX file content
+ * @returns {{distance: number, elevationGain: number|null, start: {lat: number, lon: number}, bounds: {minLat: number, minLon: number, maxLat: number, maxLon: number}}|null}
+ *   Distance in km, elevation gain in meters (null without elevation data); null when the file has no points
+ */
+export function parseGpx(xml) {
+  let $;
+  try {
+    $ = cheerio.load(xml, { xmlMode: true });
+  } catch {
+    return null;
+  }
+  if ($('gpx').length === 0) {
+    return null;
+  }
+
+  const readPoints = selector => $(selector).toArray()
+    .map(element => ({
+      lat: parseFloat($(element).attr('lat')),
+      lon: parseFloat($(element).attr('lon')),
+      ele: parseFloat($(element).children('ele').first().text())
+    }))
+    .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lon));
+  const trackPoints = readPoints('trkpt');
+  const points = trackPoints.length > 0 ? trackPoints : readPoints('rtept');
+  if (points.length === 0) {
+    return null;
+  }
+
+  let distance = 0;
+  const bounds = { minLat: points[0].lat, minLon: points[0].lon, maxLat: points[0].lat, maxLon: points[0].lon };
+  for (let i = 1; i < points.length; i++) {
+    distance += getDistanceKm(points[i - 1], points[i]);
+    bounds.minLat = Math.min(bounds.minLat, points[i].lat);
+    bounds.minLon = Math.min(bounds.minLon, points[i].lon);
+    bounds.maxLat = Math.max(bounds.maxLat, points[i].lat);
+    bounds.maxLon = Math.max(bounds.maxLon, points[i].lon);
+  }
+  const elevations = points.map(point => point.ele).filter(Number.isFinite);
+
+  return {
+    distance: Math.round(distance * 10) / 10,
+    elevationGain: elevations.length > 1 ? getElevationGain(elevations) : null,
+    start: { lat: points[0].lat, lon: points[0].lon },
+    bounds
+  };
+}
+
+/**
+ * Format coordinates as "lat, lon", e.g. for a meeting point taken from a route start
+ * @param {{lat: number, lon: number}} point
+ * @returns {string}
+ */
+export function formatCoordinates(point) {
+  return `${point.lat.toFixed(5)}, ${point.lon.toFixed(5)}`;
+}
@@ -0,0 +1,41 @@
+import { formatCoordinates } from './gpx-parser.js';
+
+/**
+ * Read a meeting point from a Telegram location or venue message. A venue gives its name and address
+ * as the meeting point text, a plain location its coordinates.
+ * @param {Object} [message] - Telegram message
+ * @returns {{meetingPoint: string, meetingPointLocation: {lat: number, lon: number}}|null} Null for other messages
+ */
+export function getMeetingPointFromMessage(message) {
+  if (!message?.location) {
+    return null;
+  }
+
+  const meetingPointLocation = { lat: message.location.latitude, lon: message.location.longitude };
+  const venueText = [message.venue?.title, message.venue?.address].filter(Boolean).join(', ');
+  return {
+    meetingPoint: venueText || formatCoordinates(meetingPointLocation),
+    meetingPointLocation
+  };
+}
+
+/**
+ * Map link that drops a pin on a location
+ * @param {{lat: number, lon: number}} location
+ * @returns {string}
+ */
+export function getMapUrl(location) {
+  return `https://www.google.com/maps/search/?api=1&query=${location.lat},${location.lon}`;
+}
+
+/**
+ * @param {{lat: number, lon: number}|null|undefined} left
+ * @param {{lat: number, lon: number}|null|undefined} right
+ * @returns {boolean} Whether both are missing or point at the same place
+ */
+export function isSameLocation(left, right) {
+  if (!left || !right) {
+    return !left && !right;
+  }
+  return left.lat === right.lat && left.lon === right.lon;
+}
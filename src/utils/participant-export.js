@@ -0,0 +1,102 @@
+/**
+ * Participant list exports of rides as CSV or JSON files
+ */
+import { PARTICIPATION_STATES } from './participation-utils.js';
+
+/**
+ * Supported export formats; the first one is the default
+ */
+export const PARTICIPANT_EXPORT_FORMATS = Object.freeze(['csv', 'json']);
+
+/**
+ * Columns of the CSV export, one row per participant of a ride
+ */
+export const PARTICIPANT_EXPORT_COLUMNS = Object.freeze([
+  'rideId', 'rideTitle', 'rideDate', 'state', 'userId', 'username', 'firstName', 'lastName', 'createdAt'
+]);
+
+/**
+ * @param {Date|string|null|undefined} date
+ * @returns {string|null} - ISO 8601 timestamp
+ */
+function toIsoString(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+/**
+ * Participants of a ride in every participation state, in display order
+ * @param {import('../storage/interface.js').Ride} ride
+ * @returns {Array<{userId: number, username: string|null, firstName: string, lastName: string, state: string, createdAt: string|null}>}
+ */
+export function getExportParticipants(ride) {
+  return PARTICIPATION_STATES.flatMap(state => (ride.participation?.[state] || []).map(p => ({
+    userId: p.userId,
+    username: p.username || null,
+    firstName: p.firstName || '',
+    lastName: p.lastName || '',
+    state,
+    createdAt: toIsoString(p.createdAt)
+  })));
+}
+
+/**
+ * Quote a CSV value when needed. Values starting with a formula character are prefixed with an apostrophe,
+ * so spreadsheet apps don't run names like "=cmd" as formulas.
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format the participants of rides as CSV with a header row. Starts with a byte order mark,
+ * so spreadsheet apps read non-Latin names as UTF-8.
+ * @param {import('../storage/interface.js').Ride[]} rides
+ * @returns {string}
+ */
+export function formatParticipantsCsv(rides) {
+  const rows = rides.flatMap(ride => getExportParticipants(ride).map(participant => ({
+    rideId: ride.id,
+    rideTitle: ride.title,
+    rideDate: toIsoString(ride.date),
+    ...participant
+  })));
+
+  const lines = [
+    PARTICIPANT_EXPORT_COLUMNS.join(','),
+    ...rows.map(row => PARTICIPANT_EXPORT_COLUMNS.map(column => toCsvValue(row[column])).join(','))
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Format the participants of rides as JSON, grouped by ride
+ * @param {import('../storage/interface.js').Ride[]} rides
+ * @returns {string}
+ */
+export function formatParticipantsJson(rides) {
+  return JSON.stringify({
+    rides: rides.map(ride => ({
+      id: ride.id,
+      title: ride.title,
+      date: toIsoString(ride.date),
+      cancelled: Boolean(ride.cancelled),
+      participants: getExportParticipants(ride)
+    }))
+  }, null, 2);
+}
+
+/**
+ * Format the participants of rides in an export format
+ * @param {import('../storage/interface.js').Ride[]} rides
+ * @param {'csv'|'json'} format
+ * @returns {string}
+ */
+export function formatParticipantsExport(rides, format) {
+  return format === 'json' ? formatParticipantsJson(rides) : formatParticipantsCsv(rides);
+}
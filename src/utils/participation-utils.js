@@ -0,0 +1,61 @@
+/**
+ * Utility functions for ride participation states and capacity limits
+ */
+import { config } from '../config.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * All participation states a rider can be in, in display order.
+ */
+export const PARTICIPATION_STATES = Object.freeze(['joined', 'thinking', 'skipped', 'waitlist']);
+
+/**
+ * Create an empty participation structure with every state initialized.
+ * @returns {import('../storage/interface.js').Participation}
+ */
+export function createEmptyParticipation() {
+  return { joined: [], thinking: [], skipped: [], waitlist: [] };
+}
+
+/**
+ * Check whether a ride has a participant limit configured.
+ * @param {Object} ride
+ * @returns {boolean}
+ */
+export function hasParticipantLimit(ride) {
+  return Number.isInteger(ride?.maxParticipants) && ride.maxParticipants > 0;
+}
+
+/**
+ * Count remaining free spots on a ride. Unlimited rides return Infinity.
+ * @param {Object} ride
+ * @returns {number}
+ */
+export function getFreeSpots(ride) {
+  if (!hasParticipantLimit(ride)) {
+    return Infinity;
+  }
+  const joinedCount = ride.participation?.joined?.length || 0;
+  return Math.max(ride.maxParticipants - joinedCount, 0);
+}
+
+/**
+ * Parse the maximum participants input
+ * @param {string|number} text - Input value (e.g., "15")
+ * @param {{language?: string}} [options]
+ * @returns {{maxParticipants: number|null, error?: string}}
+ */
+export function parseMaxParticipants(text, options = {}) {
+  const value = String(text ?? '').trim();
+  if (/^\d+$/.test(value) && parseInt(value, 10) > 0) {
+    return { maxParticipants: parseInt(value, 10) };
+  }
+
+  return {
+    maxParticipants: null,
+    error: t(options.language || config.i18n.defaultLanguage, 'parsers.maxParticipants.invalidFormat', {}, {
+      fallbackLanguage: config.i18n.fallbackLanguage,
+      withMissingMarker: config.isDev
+    })
+  };
+}
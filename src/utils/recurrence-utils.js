@@ -0,0 +1,270 @@
+/**
+ * Utility functions for parsing, describing and expanding ride recurrence rules.
+ *
+ * All calendar math here works on the local fields of the given dates (wall clock).
+ * Callers that care about the configured timezone convert dates before and after.
+ */
+import { config } from '../config.js';
+import { t } from '../i18n/index.js';
+
+export const RECURRENCE_FREQUENCIES = Object.freeze({
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+});
+
+/**
+ * Weekday codes indexed like Date#getDay() (0 = Sunday), used as i18n keys.
+ */
+const WEEKDAY_CODES = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
+
+/**
+ * Weekday aliases indexed like Date#getDay() (0 = Sunday).
+ * Short aliases must match exactly, long ones are matched as prefixes.
+ */
+const WEEKDAY_ALIASES = Object.freeze([
+  ['su', 'sun', 'вс', 'воскр'],
+  ['mo', 'mon', 'пн', 'понед'],
+  ['tu', 'tue', 'вт', 'вторн'],
+  ['we', 'wed', 'ср', 'сред'],
+  ['th', 'thu', 'чт', 'четв'],
+  ['fr', 'fri', 'пт', 'пятн'],
+  ['sa', 'sat', 'сб', 'суб']
+]);
+
+const ORDINAL_ALIASES = Object.freeze({
+  first: 1, second: 2, third: 3, fourth: 4, last: -1,
+  'перв': 1, 'втор': 2, 'трет': 3, 'четв': 4, 'последн': -1
+});
+
+const MAX_WEEKLY_INTERVAL = 52;
+const MAX_MONTHLY_INTERVAL = 12;
+const MAX_SEARCH_DAYS = 800;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createTranslator(language) {
+  return (key, params = {}) => t(language || config.i18n.defaultLanguage, key, params, {
+    fallbackLanguage: config.i18n.fallbackLanguage,
+    withMissingMarker: config.isDev
+  });
+}
+
+function parseWeekday(token) {
+  const index = WEEKDAY_ALIASES.findIndex(aliases => aliases.some(alias =>
+    token === alias || (alias.length >= 3 && token.startsWith(alias))
+  ));
+  return index === -1 ? null : index;
+}
+
+function parseOrdinal(token) {
+  const numeric = token.match(/^([1-4])(?:st|nd|rd|th|-?(?:е|й|я|ое|ий|ый))?$/);
+  if (numeric) {
+    return parseInt(numeric[1], 10);
+  }
+  const alias = Object.keys(ORDINAL_ALIASES).find(key => token.startsWith(key));
+  return alias ? ORDINAL_ALIASES[alias] : null;
+}
+
+function parseFrequency(text) {
+  const patterns = [
+    { regex: /^(?:weekly|еженедельно)(?![^\s,])/, frequency: RECURRENCE_FREQUENCIES.WEEKLY, interval: 1 },
+    { regex: /^(?:biweekly|fortnightly|раз в две недели)(?![^\s,])/, frequency: RECURRENCE_FREQUENCIES.WEEKLY, interval: 2 },
+    { regex: /^(?:monthly|ежемесячно)(?![^\s,])/, frequency: RECURRENCE_FREQUENCIES.MONTHLY, interval: 1 }
+  ];
+
+  for (const { regex, frequency, interval } of patterns) {
+    const match = text.match(regex);
+    if (match) {
+      return { frequency, interval, rest: text.slice(match[0].length) };
+    }
+  }
+
+  const everyMatch = text.match(/^(?:every|каждую|каждый|каждые|раз в)\s+(?:(\d+)\s*)?(weeks?|months?|недел\S*|месяц\S*)/);
+  if (!everyMatch) {
+    return null;
+  }
+
+  const unit = everyMatch[2];
+  return {
+    frequency: /^(?:week|недел)/.test(unit) ? RECURRENCE_FREQUENCIES.WEEKLY : RECURRENCE_FREQUENCIES.MONTHLY,
+    interval: everyMatch[1] ? parseInt(everyMatch[1], 10) : 1,
+    rest: text.slice(everyMatch[0].length)
+  };
+}
+
+/**
+ * Parse a human-readable recurrence rule.
+ * Examples: "weekly on tue, thu", "every 2 weeks on sat", "monthly on 2nd sun", "monthly on last sat".
+ * Weekdays left out of the rule are filled from the ride date by completeRecurrenceRule().
+ * @param {string} text - Rule text
+ * @param {{language?: string}} [options]
+ * @returns {{rule: Object|null, error?: string}}
+ */
+export function parseRecurrenceRule(text, options = {}) {
+  const translate = createTranslator(options.language);
+  const invalid = () => ({ rule: null, error: translate('parsers.recurrence.invalidFormat') });
+
+  const normalized = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const parsed = parseFrequency(normalized);
+  if (!parsed) {
+    return invalid();
+  }
+
+  const maxInterval = parsed.frequency === RECURRENCE_FREQUENCIES.WEEKLY ? MAX_WEEKLY_INTERVAL : MAX_MONTHLY_INTERVAL;
+  if (parsed.interval < 1 || parsed.interval > maxInterval) {
+    return invalid();
+  }
+
+  const tokens = parsed.rest
+    .replace(/^\s*(?:on|по|в|во)(?![^\s,])/, '')
+    .split(/[\s,]+/)
+    .filter(token => token && token !== 'and' && token !== 'и');
+
+  if (parsed.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+    const weekdays = tokens.map(parseWeekday);
+    if (weekdays.includes(null)) {
+      return invalid();
+    }
+    return {
+      rule: {
+        frequency: parsed.frequency,
+        interval: parsed.interval,
+        weekdays: [...new Set(weekdays)].sort((a, b) => a - b)
+      }
+    };
+  }
+
+  if (tokens.length === 0) {
+    return { rule: { frequency: parsed.frequency, interval: parsed.interval, weekOfMonth: null, weekday: null } };
+  }
+
+  const weekOfMonth = tokens.length === 2 ? parseOrdinal(tokens[0]) : null;
+  const weekday = tokens.length === 2 ? parseWeekday(tokens[1]) : null;
+  if (weekOfMonth === null || weekday === null) {
+    return invalid();
+  }
+
+  return { rule: { frequency: parsed.frequency, interval: parsed.interval, weekOfMonth, weekday } };
+}
+
+/**
+ * Fill the parts of a rule that were left out with values taken from the first ride date.
+ * @param {Object} rule - Parsed rule
+ * @param {Date} anchorDate - Wall-clock date of the first ride
+ * @returns {Object} Complete rule
+ */
+export function completeRecurrenceRule(rule, anchorDate) {
+  if (rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+    return {
+      ...rule,
+      weekdays: rule.weekdays?.length ? rule.weekdays : [anchorDate.getDay()]
+    };
+  }
+
+  const weekOfAnchor = Math.ceil(anchorDate.getDate() / 7);
+  return {
+    ...rule,
+    weekday: rule.weekday ?? anchorDate.getDay(),
+    weekOfMonth: rule.weekOfMonth ?? (weekOfAnchor > 4 ? -1 : weekOfAnchor)
+  };
+}
+
+function dayNumber(date) {
+  return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+}
+
+function weekNumber(date) {
+  // Weeks start on Monday; 1970-01-01 was a Thursday, hence the +3 shift
+  return Math.floor((dayNumber(date) + 3) / 7);
+}
+
+function matchesRule(rule, anchorDate, day) {
+  if (rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+    const weeksFromAnchor = weekNumber(day) - weekNumber(anchorDate);
+    return weeksFromAnchor % rule.interval === 0 && rule.weekdays.includes(day.getDay());
+  }
+
+  const monthsFromAnchor = (day.getFullYear() - anchorDate.getFullYear()) * 12 + day.getMonth() - anchorDate.getMonth();
+  if (monthsFromAnchor % rule.interval !== 0 || day.getDay() !== rule.weekday) {
+    return false;
+  }
+
+  if (rule.weekOfMonth === -1) {
+    const daysInMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+    return day.getDate() + 7 > daysInMonth;
+  }
+  return Math.ceil(day.getDate() / 7) === rule.weekOfMonth;
+}
+
+/**
+ * Find the first occurrence of a rule strictly after the given date.
+ * @param {Object} rule - Complete recurrence rule
+ * @param {{anchorDate: Date, after: Date, timeOf?: Date}} dates - Wall-clock dates: the series start,
+ *   the lower bound, and the date whose time of day the occurrence should use (defaults to anchorDate)
+ * @returns {Date|null} Wall-clock date of the next occurrence
+ */
+export function getNextOccurrence(rule, { anchorDate, after, timeOf = anchorDate }) {
+  const startDay = new Date(Math.max(after.getTime(), anchorDate.getTime()));
+  startDay.setHours(0, 0, 0, 0);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const day = new Date(startDay);
+    day.setDate(startDay.getDate() + offset);
+    if (!matchesRule(rule, anchorDate, day)) {
+      continue;
+    }
+
+    day.setHours(timeOf.getHours(), timeOf.getMinutes(), 0, 0);
+    if (day > after) {
+      return day;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Format the calendar day of a wall-clock date as YYYY-MM-DD.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDateKey(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format a wall-clock date as YYYY-MM-DDTHH:mm, the form the ride date parser reads as local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatLocalDateTime(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${formatDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Describe a rule in the given language, e.g. "every 2 weeks on Tue, Thu".
+ * @param {Object} rule - Complete recurrence rule
+ * @param {string} [language]
+ * @returns {string}
+ */
+export function describeRecurrenceRule(rule, language) {
+  const translate = createTranslator(language);
+  const weekdayName = index => translate(`recurrence.weekdays.${WEEKDAY_CODES[index]}`);
+
+  if (rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+    const days = rule.weekdays.map(weekdayName).join(', ');
+    return rule.interval === 1
+      ? translate('recurrence.weekly', { days })
+      : translate('recurrence.everyNWeeks', { interval: rule.interval, days });
+  }
+
+  const params = {
+    interval: rule.interval,
+    ordinal: translate(`recurrence.ordinals.${rule.weekOfMonth === -1 ? 'last' : rule.weekOfMonth}`),
+    day: weekdayName(rule.weekday)
+  };
+  return rule.interval === 1
+    ? translate('recurrence.monthly', params)
+    : translate('recurrence.everyNMonths', params);
+}
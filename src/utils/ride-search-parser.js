@@ -0,0 +1,110 @@
+import { DateParser } from './date-parser.js';
+import { FieldProcessor } from './FieldProcessor.js';
+import { VALID_CATEGORIES } from './category-utils.js';
+import { parseSpeedInput } from './speed-utils.js';
+import { parseDistanceRangeInput } from './unit-utils.js';
+import { config } from '../config.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Search parameters accepted on the lines after the /findrides command
+ */
+export const SEARCH_PARAMS = Object.freeze(['category', 'from', 'to', 'dist', 'speed', 'text', 'cancelled']);
+
+/**
+ * Parse a /findrides message into a ride search query.
+ * Text after the command on its first line is searched in titles and meeting points;
+ * each further line is a `param: value` criterion. Dates cover whole days in `timezone`,
+ * distances and speeds without a unit are read in `units`.
+ * @param {string} text - Message text, starting with the command
+ * @param {{language?: string, timezone?: string|null, units?: string|null}} [options]
+ * @returns {{query: import('../storage/interface.js').RideSearchQuery|null, error?: string}}
+ */
+export function parseRideSearch(text, options = {}) {
+  const language = options.language || config.i18n.defaultLanguage;
+  const translate = (key, params = {}) => t(language, key, params, {
+    fallbackLanguage: config.i18n.fallbackLanguage,
+    withMissingMarker: config.isDev
+  });
+
+  const [commandLine, ...lines] = text.split('\n');
+  const query = {};
+  const firstLineText = commandLine.replace(/^\/\S+/, '').trim();
+  if (firstLineText) {
+    query.text = firstLineText;
+  }
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const match = line.match(/^\s*(\w+)\s*:\s*(.+)$/);
+    const param = match?.[1].toLowerCase();
+    if (!SEARCH_PARAMS.includes(param)) {
+      return { query: null, error: translate('parsers.rideSearch.unknownParam', { param: (match?.[1] || line).trim() }) };
+    }
+
+    const value = match[2].trim();
+    const criteria = parseCriterion(param, value, language, options);
+    if (criteria === null) {
+      const key = param === 'category' ? 'parsers.rideSearch.invalidCategory' : 'parsers.rideSearch.invalidValue';
+      return { query: null, error: translate(key, { param, value, categories: VALID_CATEGORIES.join(', ') }) };
+    }
+    Object.assign(query, criteria);
+  }
+
+  return { query };
+}
+
+/**
+ * @param {string} param
+ * @param {string} value
+ * @param {string} language
+ * @param {{timezone?: string|null, units?: string|null}} options
+ * @returns {Object|null} - Query fields, or null for an invalid value
+ */
+function parseCriterion(param, value, language, options) {
+  switch (param) {
+    case 'category': {
+      const category = value.toLowerCase();
+      return VALID_CATEGORIES.includes(category) ? { category } : null;
+    }
+    case 'from': {
+      const dateFrom = parseDay(value, language, options.timezone, 'start');
+      return dateFrom && { dateFrom };
+    }
+    case 'to': {
+      const dateTo = parseDay(value, language, options.timezone, 'end');
+      return dateTo && { dateTo };
+    }
+    case 'dist':
+      return parseDistanceRangeInput(value, options.units);
+    case 'speed':
+      return parseSpeedInput(value, options.units);
+    case 'text':
+      return { text: value };
+    case 'cancelled':
+      return { cancelled: FieldProcessor.parseBooleanSetting(value) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse a date and move it to the start or end of its day in the timezone
+ * @param {string} value
+ * @param {string} language
+ * @param {string|null} [timezone]
+ * @param {'start'|'end'} edge
+ * @returns {Date|null}
+ */
+function parseDay(value, language, timezone, edge) {
+  const parsed = DateParser.parseDateTime(value, { language, timezone });
+  if (!parsed) return null;
+
+  const resolvedTimezone = DateParser.resolveTimezone(timezone);
+  const localDate = DateParser.convertToTimezone(parsed.date, resolvedTimezone);
+  // The end of a day is just before the next midnight; timezone conversion drops milliseconds
+  localDate.setHours(edge === 'start' ? 0 : 24, 0, 0, 0);
+  const boundary = DateParser.convertFromTimezone(localDate, resolvedTimezone);
+  return edge === 'start' ? boundary : new Date(boundary.getTime() - 1);
+}
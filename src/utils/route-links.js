@@ -1,12 +1,6 @@
 import { config } from '../config.js';
 import { t } from '../i18n/index.js';
-
-const PROVIDER_LABELS = {
-  strava: 'Strava',
-  garmin: 'Garmin',
-  komoot: 'Komoot',
-  ridewithgps: 'RideWithGPS'
-};
+import { findRouteProvider } from './route-providers/index.js';
 
 export function isValidUrl(url) {
   try {
@@ -18,18 +12,13 @@ export function isValidUrl(url) {
 }
 
 export function getRouteProvider(url) {
-  for (const [name, provider] of Object.entries(config.routeProviders)) {
-    if (provider.patterns.some(pattern => pattern.test(url))) {
-      return name;
-    }
-  }
-  return null;
+  return findRouteProvider(url)?.name || null;
 }
 
 export function getDerivedRouteLabel(url, language = config.i18n.defaultLanguage) {
-  const provider = getRouteProvider(url);
-  if (provider && PROVIDER_LABELS[provider]) {
-    return PROVIDER_LABELS[provider];
+  const provider = findRouteProvider(url);
+  if (provider?.label) {
+    return provider.label;
   }
 
   return t(language, 'formatter.routeLinkLabel', {}, {
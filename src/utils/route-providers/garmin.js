@@ -0,0 +1,123 @@
+import fetch from 'node-fetch';
+import { buildRouteMetadata, loadRoutePage, matchRouteId, matchRouteKey } from './provider-utils.js';
+
+const ACTIVITY_PATTERN = /https?:\/\/connect\.garmin\.com\/(?:modern|app)\/activity\/(\d+)/;
+const COURSE_PATTERN = /https?:\/\/connect\.garmin\.com\/(?:modern|app)\/course\/(\d+)/;
+const KINDS = { activity: ACTIVITY_PATTERN, course: COURSE_PATTERN };
+const PATTERNS = Object.values(KINDS);
+const COURSE_SERVICE_URL = 'https://connect.garmin.com/modern/proxy/course-service/course';
+
+/**
+ * Read the route summary from the og:description of a Garmin Connect activity page:
+ * "Distance 57.01 km | Time 2:02:59 | Speed 27.8 kph | Elevation 104 m".
+ * Course pages have a generic description without figures; courses are read with `fetchCourse` instead.
+ * @param {cheerio.Root} $
+ * @param {string} url
+ * @returns {import('./index.js').RouteMetadata|null}
+ */
+function parsePage($, url) {
+  try {
+    let distance, elevation, duration;
+
+    const metaDescription = $('meta[property="og:description"]').attr('content');
+
+    if (!metaDescription) {
+      console.warn('[RouteProviders] Could not find og:description tag for Garmin route');
+      return null;
+    }
+
+    const distanceMatch = metaDescription.match(/Distance\s+([\d.]+)\s*km/);
+    if (distanceMatch) {
+      distance = parseFloat(distanceMatch[1]);
+    }
+
+    const elevationMatch = metaDescription.match(/Elevation\s+(\d+)\s*m/);
+    if (elevationMatch) {
+      elevation = parseInt(elevationMatch[1], 10);
+    }
+
+    // Duration in H:MM:SS format
+    const durationMatch = metaDescription.match(/Time\s+(\d+):(\d+):(\d+)/);
+    if (durationMatch) {
+      const hours = parseInt(durationMatch[1], 10);
+      const minutes = parseInt(durationMatch[2], 10);
+      const seconds = parseInt(durationMatch[3], 10);
+      duration = hours * 60 + minutes + (seconds >= 30 ? 1 : 0);
+    }
+
+    return buildRouteMetadata({ distance, elevation, duration });
+  } catch (error) {
+    console.warn(`[RouteProviders] Error parsing Garmin route: ${error.message} for URL: ${url}`);
+    return null;
+  }
+}
+
+/**
+ * Map a course of the Garmin Connect course service to route metadata.
+ * Planned courses have no elapsed time, so they only give distance and elevation gain.
+ * @param {Object} data - Course of the course service
+ * @returns {import('./index.js').RouteMetadata|null}
+ */
+function toCourseMetadata(data) {
+  return buildRouteMetadata({
+    distance: data.distanceMeter ? Math.round(data.distanceMeter / 10) / 100 : undefined,
+    elevation: data.elevationGainMeter ? Math.round(data.elevationGainMeter) : undefined,
+    duration: data.elapsedSeconds ? Math.round(data.elapsedSeconds / 60) : undefined
+  });
+}
+
+/**
+ * Fetch a public course from the course service that the Garmin Connect web app loads course pages from.
+ * @param {string} courseId
+ * @param {string} url - Course URL, for log messages
+ * @returns {Promise<import('./index.js').RouteMetadata|null>} Null when the course is private or could not be read
+ */
+async function fetchCourse(courseId, url) {
+  try {
+    const response = await fetch(`${COURSE_SERVICE_URL}/${courseId}`, {
+      headers: { Accept: 'application/json', NK: 'NT' }
+    });
+    if (!response.ok) {
+      console.warn(`[RouteProviders] Garmin course service error: ${response.status} ${response.statusText} for URL: ${url}`);
+      return null;
+    }
+    return toCourseMetadata(await response.json());
+  } catch (error) {
+    console.warn(`[RouteProviders] Error calling Garmin course service: ${error.message} for URL: ${url}`);
+    return null;
+  }
+}
+
+/**
+ * Garmin Connect activities, read from their share pages, and courses, read from the course service
+ * @type {import('./index.js').RouteProvider & {
+ *   parsePage: typeof parsePage,
+ *   toCourseMetadata: typeof toCourseMetadata
+ * }}
+ */
+export const garmin = {
+  name: 'garmin',
+  label: 'Garmin',
+  patterns: PATTERNS,
+
+  getRouteId(url) {
+    return matchRouteId(PATTERNS, url);
+  },
+
+  getRouteKey(url) {
+    return matchRouteKey('garmin', KINDS, url);
+  },
+
+  async fetchMetadata(url) {
+    const courseMatch = url.match(COURSE_PATTERN);
+    if (courseMatch) {
+      return await fetchCourse(courseMatch[1], url);
+    }
+
+    const $ = await loadRoutePage(url);
+    return $ ? parsePage($, url) : null;
+  },
+
+  parsePage,
+  toCourseMetadata
+};
@@ -0,0 +1,92 @@
+/**
+ * Registry of route provider plugins: the route services whose links the bot recognizes,
+ * labels and reads route metadata from
+ */
+import { strava } from './strava.js';
+import { ridewithgps } from './ridewithgps.js';
+import { komoot } from './komoot.js';
+import { garmin } from './garmin.js';
+
+/**
+ * @typedef {Object} RouteMetadata
+ * @property {number} [distance] - Distance in km
+ * @property {number} [elevation] - Elevation gain in meters
+ * @property {number} [duration] - Riding time in minutes
+ */
+
+/**
+ * @typedef {Object} RouteProvider
+ * @property {string} name - Provider key, e.g. 'komoot'
+ * @property {string} label - Label of its links when the user gave none
+ * @property {RegExp[]} patterns - URL patterns of its routes, capturing the route ID in the first group
+ * @property {(url: string) => string|null} getRouteId - Extract the route ID from a matching URL
+ * @property {(url: string) => string|null} getRouteKey - Normalized route ID of a matching URL, e.g. 'komoot:tour:2810321675'; cached metadata is keyed by it
+ * @property {(url: string) => Promise<RouteMetadata|null>} fetchMetadata - Read the route summary; null when nothing was found
+ */
+
+const providers = [strava, ridewithgps, komoot, garmin];
+
+/**
+ * Add a route provider, replacing a registered provider with the same name
+ * @param {RouteProvider} provider
+ */
+export function registerRouteProvider(provider) {
+  const index = providers.findIndex(registered => registered.name === provider.name);
+  if (index === -1) {
+    providers.push(provider);
+  } else {
+    providers[index] = provider;
+  }
+}
+
+/**
+ * Remove a route provider
+ * @param {string} name
+ */
+export function unregisterRouteProvider(name) {
+  const index = providers.findIndex(provider => provider.name === name);
+  if (index !== -1) {
+    providers.splice(index, 1);
+  }
+}
+
+/**
+ * Registered route providers in matching order
+ * @returns {RouteProvider[]}
+ */
+export function getRouteProviders() {
+  return [...providers];
+}
+
+/**
+ * Find the provider of a route URL
+ * @param {string} url
+ * @returns {RouteProvider|null}
+ */
+export function findRouteProvider(url) {
+  if (typeof url !== 'string') return null;
+  return providers.find(provider => provider.patterns.some(pattern => pattern.test(url))) || null;
+}
+
+/**
+ * Normalized route ID of a route URL
+ * @param {string} url
+ * @returns {string|null} Null for URLs of unknown providers
+ */
+export function getRouteKey(url) {
+  return findRouteProvider(url)?.getRouteKey(url) || null;
+}
+
+/**
+ * Find all route URLs of registered providers inside an arbitrary text blob in discovery order
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractKnownRouteUrls(text) {
+  if (!text) return [];
+
+  const urls = text.match(/https?:\/\/[^\s<>"]+/g) || [];
+  return urls.filter(url => findRouteProvider(url) !== null);
+}
+
+export { strava, ridewithgps, komoot, garmin };
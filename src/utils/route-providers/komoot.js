@@ -0,0 +1,101 @@
+import { buildRouteMetadata, loadRoutePage, matchRouteId, matchRouteKey } from './provider-utils.js';
+
+const KINDS = { tour: /https?:\/\/(?:www\.)?komoot\.com\/(?:[a-z]{2}-[a-z]{2}\/)?tour\/(\d+)/ };
+const PATTERNS = Object.values(KINDS);
+// Komoot pages pass their state to the client as a JSON string: kmtBoot.setProps("{...}")
+const PAGE_STATE_PATTERN = /kmtBoot\.setProps\(("(?:[^"\\]|\\.)*")\)/;
+
+/**
+ * Read the tour of a Komoot page from the page state embedded in its scripts
+ * @param {cheerio.Root} $
+ * @returns {{distance?: number, duration?: number, elevation_up?: number}|null}
+ */
+function readEmbeddedTour($) {
+  for (const script of $('script').toArray()) {
+    const match = ($(script).html() || '').match(PAGE_STATE_PATTERN);
+    if (match) {
+      const state = JSON.parse(JSON.parse(match[1]));
+      return state.page?._embedded?.tour || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the route summary from the og:description of a Komoot page:
+ * "Valery went on an outdoor adventure with komoot! Distance: 57.0 km | Duration: 02:17 h"
+ * @param {cheerio.Root} $
+ * @returns {{distance?: number, duration?: number}}
+ */
+function readDescription($) {
+  const metaDescription = $('meta[property="og:description"]').attr('content');
+  if (!metaDescription) {
+    return {};
+  }
+
+  const summary = {};
+  const distanceMatch = metaDescription.match(/(\d+(?:\.\d+)?)\s*km/);
+  if (distanceMatch) {
+    summary.distance = parseFloat(distanceMatch[1]);
+  }
+
+  const durationMatch = metaDescription.match(/(?:(\d+):)?(\d+)\s*h/);
+  if (durationMatch) {
+    const hours = parseInt(durationMatch[1] || '0', 10);
+    const minutes = parseInt(durationMatch[2] || '0', 10);
+    summary.duration = hours * 60 + minutes;
+  }
+  return summary;
+}
+
+/**
+ * Read the route summary from a Komoot planned or recorded tour page.
+ * The embedded tour has the exact figures and the elevation gain; the og:description is the fallback.
+ * @param {cheerio.Root} $
+ * @returns {import('./index.js').RouteMetadata|null}
+ */
+function parsePage($) {
+  try {
+    let tour = null;
+    try {
+      tour = readEmbeddedTour($);
+    } catch (error) {
+      console.warn(`[RouteProviders] Could not read the embedded Komoot tour: ${error.message}`);
+    }
+
+    const description = readDescription($);
+    return buildRouteMetadata({
+      distance: tour?.distance ? Math.round(tour.distance / 100) / 10 : description.distance,
+      elevation: tour?.elevation_up ? Math.round(tour.elevation_up) : undefined,
+      duration: tour?.duration ? Math.round(tour.duration / 60) : description.duration
+    });
+  } catch (error) {
+    console.warn(`[RouteProviders] Error parsing Komoot route: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Komoot planned and recorded tours, read from their public pages
+ * @type {import('./index.js').RouteProvider & {parsePage: typeof parsePage}}
+ */
+export const komoot = {
+  name: 'komoot',
+  label: 'Komoot',
+  patterns: PATTERNS,
+
+  getRouteId(url) {
+    return matchRouteId(PATTERNS, url);
+  },
+
+  getRouteKey(url) {
+    return matchRouteKey('komoot', KINDS, url);
+  },
+
+  async fetchMetadata(url) {
+    const $ = await loadRoutePage(url);
+    return $ ? parsePage($) : null;
+  },
+
+  parsePage
+};
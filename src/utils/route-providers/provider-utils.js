@@ -0,0 +1,68 @@
+/**
+ * Helpers shared by route provider plugins
+ */
+import fetch from 'node-fetch';
+import * as cheerio from 'cheerio';
+
+/**
+ * Extract the route ID from a URL with the first matching pattern.
+ * Patterns capture the ID in their first group.
+ * @param {RegExp[]} patterns
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function matchRouteId(patterns, url) {
+  for (const pattern of patterns) {
+    const match = url.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the normalized ID of a route: provider, kind of route and route ID, e.g. 'strava:activity:789'.
+ * The same route has the same key whatever form its URL takes.
+ * @param {string} providerName
+ * @param {Object<string, RegExp>} kinds - URL pattern of each kind of route, capturing the route ID in the first group
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function matchRouteKey(providerName, kinds, url) {
+  for (const [kind, pattern] of Object.entries(kinds)) {
+    const match = url.match(pattern);
+    if (match) {
+      return `${providerName}:${kind}:${match[1]}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetch a public route page
+ * @param {string} url
+ * @returns {Promise<cheerio.Root|null>} Null when the page could not be fetched
+ */
+export async function loadRoutePage(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    console.warn(`[RouteProviders] Failed to fetch route data: ${response.status} ${response.statusText} for URL: ${url}`);
+    return null;
+  }
+
+  return cheerio.load(await response.text());
+}
+
+/**
+ * Build route metadata from parsed values, leaving out the missing ones
+ * @param {{distance?: number, elevation?: number, duration?: number}} values
+ * @returns {import('./index.js').RouteMetadata|null} Null when nothing was parsed
+ */
+export function buildRouteMetadata({ distance, elevation, duration }) {
+  const result = {};
+  if (distance) result.distance = distance;
+  if (elevation) result.elevation = elevation;
+  if (duration) result.duration = duration;
+  return Object.keys(result).length > 0 ? result : null;
+}
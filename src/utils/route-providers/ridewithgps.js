@@ -0,0 +1,105 @@
+import { buildRouteMetadata, loadRoutePage, matchRouteId, matchRouteKey } from './provider-utils.js';
+
+const ROUTE_PATTERN = /https?:\/\/(?:www\.)?ridewithgps\.com\/routes\/(\d+)/;
+const TRIP_PATTERN = /https?:\/\/(?:www\.)?ridewithgps\.com\/trips\/(\d+)/;
+const KINDS = { route: ROUTE_PATTERN, trip: TRIP_PATTERN };
+const PATTERNS = Object.values(KINDS);
+
+/**
+ * Read the route summary from a RideWithGPS route or trip page
+ * @param {cheerio.Root} $
+ * @param {string} url
+ * @returns {import('./index.js').RouteMetadata|null}
+ */
+function parsePage($, url) {
+  try {
+    let distance, elevation, duration;
+    const isActivity = TRIP_PATTERN.test(url);
+
+    // Look for the meta description tag
+    const ogDescription = $('meta[property="og:description"]').attr('content');
+
+    if (ogDescription) {
+      // Extract distance in kilometers
+      const distanceMatch = ogDescription.match(/(\d+(?:\.\d+)?)\s*km/);
+      if (distanceMatch) {
+        distance = parseFloat(distanceMatch[1]);
+      }
+
+      // Elevation gain follows the distance: "163.3 km, +1026 m"
+      const elevationMatch = ogDescription.match(/\+(\d+)\s*m\b/);
+      if (elevationMatch) {
+        elevation = parseInt(elevationMatch[1], 10);
+      }
+    }
+
+    // Fallback for distance if not found in og:description
+    if (!distance) {
+      const distanceText = $('.route-stats').find('.distance').text();
+      const distanceMatch = distanceText.match(/(\d+(?:\.\d+)?)\s*km/);
+      if (distanceMatch) {
+        distance = parseFloat(distanceMatch[1]);
+      } else {
+        console.warn('[RouteProviders] Could not extract distance from RideWithGPS route');
+      }
+    }
+
+    if (isActivity) {
+      // For activities/trips, duration is usually found in a table row
+      const totalDurationTd = $('td.metric-label').filter(function () {
+        return $(this).text().trim() === 'Total Duration:';
+      });
+
+      if (totalDurationTd.length) {
+        const durationText = totalDurationTd.next('td.data').text().trim();
+        const durationParts = durationText.split(':');
+        if (durationParts.length >= 2) {
+          const hours = parseInt(durationParts[0] || '0', 10);
+          const minutes = parseInt(durationParts[1] || '0', 10);
+          const seconds = parseInt(durationParts[2] || '0', 10);
+          duration = hours * 60 + minutes + (seconds >= 30 ? 1 : 0);
+        }
+      }
+    } else {
+      // For routes, fallback to previous method if it still exists
+      const durationText = $('.route-stats').find('.time').text();
+      const durationMatch = durationText.match(/(?:(\d+)h\s*)?(?:(\d+)m)?/);
+      if (durationMatch && (durationMatch[1] || durationMatch[2])) {
+        const hours = parseInt(durationMatch[1] || '0', 10);
+        const minutes = parseInt(durationMatch[2] || '0', 10);
+        duration = hours * 60 + minutes;
+      }
+    }
+
+    // Only null if we couldn't parse anything
+    return buildRouteMetadata({ distance, elevation, duration });
+  } catch (error) {
+    console.warn(`[RouteProviders] Error parsing RideWithGPS route: ${error.message} for URL: ${url}`);
+    return null;
+  }
+}
+
+/**
+ * RideWithGPS routes and recorded trips, read from their public pages
+ * @type {import('./index.js').RouteProvider & {parsePage: typeof parsePage}}
+ */
+export const ridewithgps = {
+  name: 'ridewithgps',
+  label: 'RideWithGPS',
+  patterns: PATTERNS,
+
+  getRouteId(url) {
+    return matchRouteId(PATTERNS, url);
+  },
+
+  getRouteKey(url) {
+    return matchRouteKey('ridewithgps', KINDS, url);
+  },
+
+  async fetchMetadata(url) {
+    const $ = await loadRoutePage(url);
+    return $ ? parsePage($, url) : null;
+  },
+
+  parsePage
+};
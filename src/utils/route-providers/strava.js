@@ -0,0 +1,97 @@
+import fetch from 'node-fetch';
+import { config } from '../../config.js';
+import { getStravaAccessToken } from '../strava-token-store.js';
+import { buildRouteMetadata, matchRouteId, matchRouteKey } from './provider-utils.js';
+
+const ROUTE_PATTERN = /https?:\/\/(?:www\.)?strava\.com\/routes\/(\d+)/;
+const ACTIVITY_PATTERN = /https?:\/\/(?:www\.)?strava\.com\/activities\/(\d+)/;
+const KINDS = { route: ROUTE_PATTERN, activity: ACTIVITY_PATTERN };
+const PATTERNS = Object.values(KINDS);
+// Riding speed used to estimate the duration of routes without a moving time
+const ESTIMATED_SPEED_KMH = 20;
+
+/**
+ * Strava routes and activities. Strava pages need a login, so metadata comes from the Strava API v3.
+ * @type {import('./index.js').RouteProvider & {
+ *   getRouteUrl: (routeId: string) => string,
+ *   toMetadata: (data: Object, isActivity?: boolean) => import('./index.js').RouteMetadata|null
+ * }}
+ */
+export const strava = {
+  name: 'strava',
+  label: 'Strava',
+  patterns: PATTERNS,
+
+  getRouteId(url) {
+    return matchRouteId(PATTERNS, url);
+  },
+
+  getRouteKey(url) {
+    return matchRouteKey('strava', KINDS, url);
+  },
+
+  /**
+   * Public URL of a Strava route
+   * @param {string} routeId
+   * @returns {string}
+   */
+  getRouteUrl(routeId) {
+    return `https://www.strava.com/routes/${routeId}`;
+  },
+
+  /**
+   * Map a route or activity of the Strava API to route metadata
+   * @param {Object} data - Strava API route or activity
+   * @param {boolean} [isActivity]
+   * @returns {import('./index.js').RouteMetadata|null}
+   */
+  toMetadata(data, isActivity = false) {
+    const durationSeconds = isActivity ? data.moving_time : data.estimated_moving_time;
+    const elevationGain = isActivity ? data.total_elevation_gain : data.elevation_gain;
+    return buildRouteMetadata({
+      distance: data.distance ? Math.round(data.distance / 1000) : undefined,
+      elevation: elevationGain ? Math.round(elevationGain) : undefined,
+      duration: durationSeconds ? Math.round(durationSeconds / 60) : undefined
+    });
+  },
+
+  /**
+   * Fetch a route or activity from the Strava API (requires OAuth credentials)
+   * @param {string} url
+   * @returns {Promise<import('./index.js').RouteMetadata|null>}
+   */
+  async fetchMetadata(url) {
+    const { clientId, clientSecret } = config.strava;
+    if (!clientId || !clientSecret) {
+      console.warn('[RouteProviders] Strava API credentials not configured. Skipping Strava URL.');
+      return null;
+    }
+    try {
+      const id = strava.getRouteId(url);
+      if (!id) {
+        console.warn(`[RouteProviders] Could not extract ID from Strava URL: ${url}`);
+        return null;
+      }
+      const isActivity = ACTIVITY_PATTERN.test(url);
+      const token = await getStravaAccessToken(clientId, clientSecret);
+      const endpoint = isActivity
+        ? `https://www.strava.com/api/v3/activities/${id}`
+        : `https://www.strava.com/api/v3/routes/${id}`;
+      const response = await fetch(endpoint, { headers: { Authorization: `Bearer ${token}` } });
+      if (!response.ok) {
+        console.warn(`[RouteProviders] Strava API error: ${response.status} ${response.statusText} for URL: ${url}`);
+        return null;
+      }
+      const data = await response.json();
+      const metadata = strava.toMetadata(data, isActivity);
+      // The moving time can be missing or zero for some routes
+      if (metadata && !metadata.duration && data.distance) {
+        metadata.duration = Math.round((data.distance / 1000 / ESTIMATED_SPEED_KMH) * 60);
+      }
+      return metadata;
+    } catch (error) {
+      console.warn(`[RouteProviders] Error calling Strava API: ${error.message} for URL: ${url}`);
+      return null;
+    }
+  }
+};
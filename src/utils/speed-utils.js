@@ -1,5 +1,6 @@
 import { t } from '../i18n/index.js';
 import { config } from '../config.js';
+import { fromMetric, parseRangeValues, resolveUnitSystem, splitSpeedUnit, toMetric } from './unit-utils.js';
 
 function tr(language, key, params = {}) {
   return t(language, key, params, {
@@ -9,7 +10,7 @@ function tr(language, key, params = {}) {
 }
 
 /**
- * Parse speed input text into speedMin/speedMax fields.
+ * Parse speed input text into speedMin/speedMax fields in km/h.
  * Returns null for invalid/non-numeric input.
  *
  * Supported forms:
@@ -18,40 +19,25 @@ function tr(language, key, params = {}) {
  *   "-28"          → { speedMax: 28 }                 maximum
  *   "25" or "~25"  → { speedMin: 25, speedMax: 25 }   average
  *
+ * Each form may end with "km/h" or "mph"; without a unit the values are read in `units`.
+ *
  * @param {string} text - Raw user input
+ * @param {string|null} [units] - Unit system of the user
  * @returns {{ speedMin?: number, speedMax?: number } | null}
  */
-export function parseSpeedInput(text) {
-  const trimmed = text.trim().replace(/^~/, '');
-
-  if (/^-\d/.test(trimmed)) {
-    const max = parseFloat(trimmed.slice(1));
-    if (isNaN(max)) return null;
-    return { speedMax: max };
-  }
-
-  if (/\d[+-]$/.test(trimmed)) {
-    const min = parseFloat(trimmed);
-    if (isNaN(min)) return null;
-    return { speedMin: min };
-  }
-
-  if (/^\d/.test(trimmed) && trimmed.includes('-')) {
-    const [minStr, maxStr] = trimmed.split('-');
-    const min = parseFloat(minStr);
-    const max = parseFloat(maxStr);
-    if (isNaN(min) || isNaN(max)) return null;
-    return { speedMin: min, speedMax: max };
-  }
-
-  const avg = parseFloat(trimmed);
-  if (!isNaN(avg)) return { speedMin: avg, speedMax: avg };
+export function parseSpeedInput(text, units = null) {
+  const { text: valueText, units: inputUnits } = splitSpeedUnit(text.trim(), units);
+  const range = parseRangeValues(valueText.trim().replace(/^~/, ''));
+  if (!range) return null;
 
-  return null;
+  const result = {};
+  if (range.min !== undefined) result.speedMin = toMetric(range.min, inputUnits);
+  if (range.max !== undefined) result.speedMax = toMetric(range.max, inputUnits);
+  return result;
 }
 
 /**
- * Format speed values for display.
+ * Format speed values stored in km/h for display.
  *
  * Display forms:
  *   speedMin === speedMax  → "~25 km/h"         average
@@ -62,14 +48,18 @@ export function parseSpeedInput(text) {
  * @param {number|null} speedMin
  * @param {number|null} speedMax
  * @param {string} language
+ * @param {string|null} [units] - Unit system of the readers
  * @returns {string}
  */
-export function formatSpeed(speedMin, speedMax, language = config.i18n.defaultLanguage) {
-  const kmh = tr(language, 'formatter.units.kmh');
+export function formatSpeed(speedMin, speedMax, language = config.i18n.defaultLanguage, units = null) {
+  const system = resolveUnitSystem(units);
+  const unit = tr(language, system === 'imperial' ? 'formatter.units.mph' : 'formatter.units.kmh');
+  const min = speedMin && fromMetric(speedMin, system);
+  const max = speedMax && fromMetric(speedMax, system);
 
-  if (speedMin && speedMax && speedMin === speedMax) return `~${speedMin} ${kmh}`;
-  if (speedMin && speedMax) return `${speedMin}-${speedMax} ${kmh}`;
-  if (speedMin) return `${speedMin}+ ${kmh}`;
-  if (speedMax) return tr(language, 'formatter.upToSpeed', { max: speedMax });
+  if (min && max && speedMin === speedMax) return `~${min} ${unit}`;
+  if (min && max) return `${min}-${max} ${unit}`;
+  if (min) return `${min}+ ${unit}`;
+  if (max) return tr(language, 'formatter.upToSpeed', { max, unit });
   return '';
 }
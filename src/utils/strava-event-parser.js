@@ -1,7 +1,7 @@
 import fetch from 'node-fetch';
 import { config } from '../config.js';
 import { getStravaAccessToken } from './strava-token-store.js';
-import { RouteParser } from './route-parser.js';
+import { extractKnownRouteUrls, strava } from './route-providers/index.js';
 
 const STRAVA_EVENT_URL_PATTERN = /https?:\/\/(?:www\.)?strava\.com\/clubs\/(\d+)\/group_events\/(\d+)/;
 
@@ -78,7 +78,7 @@ export class StravaEventParser {
    * @returns {string[]}
    */
   static extractRoutesFromDescription(text) {
-    return RouteParser.extractKnownRouteUrls(text);
+    return extractKnownRouteUrls(text);
   }
 
   static extractRouteFromDescription(text) {
@@ -211,14 +211,9 @@ export class StravaEventParser {
     // Route: prefer attached route object, fall back to description links
     if (event.route) {
       const routeIdStr = event.route.id_str ?? String(event.route.id);
-      rideData.routes = [{ url: `https://www.strava.com/routes/${routeIdStr}` }];
+      rideData.routes = [{ url: strava.getRouteUrl(routeIdStr) }];
       rideData.routeLink = rideData.routes[0].url;
-      if (event.route.distance) {
-        rideData.distance = Math.round(event.route.distance / 1000);
-      }
-      if (event.route.estimated_moving_time) {
-        rideData.duration = Math.round(event.route.estimated_moving_time / 60);
-      }
+      Object.assign(rideData, strava.toMetadata(event.route));
     } else {
       const descriptionRouteUrls = this.extractRoutesFromDescription(event.description);
       if (descriptionRouteUrls.length > 0) {
@@ -0,0 +1,223 @@
+/**
+ * Utility functions for unit systems. Rides store distances in km, elevation in meters and speeds in km/h;
+ * values typed in miles, feet or mph are converted on input and converted back when rendering.
+ */
+import { config } from '../config.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Supported unit systems.
+ */
+export const UNIT_SYSTEMS = Object.freeze(['metric', 'imperial']);
+
+/**
+ * Unit system used when neither the chat nor the user chose one.
+ */
+export const DEFAULT_UNIT_SYSTEM = 'metric';
+
+export const KM_PER_MILE = 1.609344;
+export const METERS_PER_FOOT = 0.3048;
+
+const DISTANCE_PATTERN = /^(-?\d+(?:[.,]\d+)?)\s*(km|км|mi|miles?|миль?|мили)?$/i;
+const DISTANCE_RANGE_PATTERN = /^(.*?)\s*(km|км|mi|miles?|миль?|мили)?$/i;
+const IMPERIAL_DISTANCE_UNITS = /^(mi|miles?|миль?|мили)$/i;
+const ELEVATION_PATTERN = /^\+?(\d+(?:[.,]\d+)?)\s*(m|м|ft|feet|foot|фут(?:а|ов)?)?$/i;
+const IMPERIAL_ELEVATION_UNITS = /^(ft|feet|foot|фут(?:а|ов)?)$/i;
+const SPEED_UNIT_PATTERN = /\s*(km\/h|kmh|kph|км\/ч|mph|миль\/ч)$/i;
+
+function tr(language, key, params = {}) {
+  return t(language, key, params, {
+    fallbackLanguage: config.i18n.fallbackLanguage,
+    withMissingMarker: config.isDev
+  });
+}
+
+/**
+ * @param {*} units
+ * @returns {boolean}
+ */
+export function isValidUnitSystem(units) {
+  return UNIT_SYSTEMS.includes(units);
+}
+
+/**
+ * @param {string|null|undefined} units - Stored preference
+ * @returns {'metric'|'imperial'}
+ */
+export function resolveUnitSystem(units) {
+  return isValidUnitSystem(units) ? units : DEFAULT_UNIT_SYSTEM;
+}
+
+/**
+ * Round a converted value to one decimal place.
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundUnitValue(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Convert a value typed in the given unit system to km or km/h.
+ * @param {number} value
+ * @param {string} units
+ * @returns {number}
+ */
+export function toMetric(value, units) {
+  return resolveUnitSystem(units) === 'imperial' ? roundUnitValue(value * KM_PER_MILE) : value;
+}
+
+/**
+ * Convert a stored km or km/h value for display in the given unit system.
+ * @param {number} value
+ * @param {string} units
+ * @returns {number}
+ */
+export function fromMetric(value, units) {
+  return resolveUnitSystem(units) === 'imperial' ? roundUnitValue(value / KM_PER_MILE) : value;
+}
+
+/**
+ * Parse distance input into km.
+ * "40", "40km" and "40mi" are accepted; a number without a unit is read in `units`.
+ *
+ * @param {string} text - Raw user input
+ * @param {string|null} [units] - Unit system of the user
+ * @returns {number|null} - Distance in km, or null for invalid input
+ */
+export function parseDistanceInput(text, units = null) {
+  const match = String(text).trim().match(DISTANCE_PATTERN);
+  if (!match) return null;
+
+  const value = parseFloat(match[1].replace(',', '.'));
+  const inputUnits = match[2]
+    ? (IMPERIAL_DISTANCE_UNITS.test(match[2]) ? 'imperial' : 'metric')
+    : units;
+  return toMetric(value, inputUnits);
+}
+
+/**
+ * Parse elevation gain input into meters.
+ * "850", "850m" and "2800ft" are accepted; a number without a unit is read in `units` (feet for imperial).
+ *
+ * @param {string} text - Raw user input
+ * @param {string|null} [units] - Unit system of the user
+ * @returns {number|null} - Elevation gain in whole meters, or null for invalid input
+ */
+export function parseElevationInput(text, units = null) {
+  const match = String(text).trim().match(ELEVATION_PATTERN);
+  if (!match) return null;
+
+  const value = parseFloat(match[1].replace(',', '.'));
+  const inputUnits = match[2]
+    ? (IMPERIAL_ELEVATION_UNITS.test(match[2]) ? 'imperial' : 'metric')
+    : units;
+  return Math.round(resolveUnitSystem(inputUnits) === 'imperial' ? value * METERS_PER_FOOT : value);
+}
+
+/**
+ * Parse distance range input into km.
+ * "40-80", "40+" (minimum), "-80" (maximum) and "60" (exactly) are accepted, optionally followed by a unit;
+ * without a unit the values are read in `units`.
+ *
+ * @param {string} text - Raw user input
+ * @param {string|null} [units] - Unit system of the user
+ * @returns {{ distanceMin?: number, distanceMax?: number } | null}
+ */
+export function parseDistanceRangeInput(text, units = null) {
+  const [, valueText, unit] = String(text).trim().match(DISTANCE_RANGE_PATTERN);
+  const range = parseRangeValues(valueText.replace(/,/g, '.'));
+  if (!range) return null;
+
+  const inputUnits = unit
+    ? (IMPERIAL_DISTANCE_UNITS.test(unit) ? 'imperial' : 'metric')
+    : units;
+  const result = {};
+  if (range.min !== undefined) result.distanceMin = toMetric(range.min, inputUnits);
+  if (range.max !== undefined) result.distanceMax = toMetric(range.max, inputUnits);
+  return result;
+}
+
+/**
+ * Parse the numbers of a range without units.
+ *
+ * Supported forms:
+ *   "25-28"        → { min: 25, max: 28 }   range
+ *   "25+" or "25-" → { min: 25 }            minimum
+ *   "-28"          → { max: 28 }            maximum
+ *   "25"           → { min: 25, max: 25 }   single value
+ *
+ * @param {string} text
+ * @returns {{ min?: number, max?: number } | null}
+ */
+export function parseRangeValues(text) {
+  const trimmed = text.trim();
+  if (/^-\d/.test(trimmed)) {
+    const max = parseFloat(trimmed.slice(1));
+    if (isNaN(max)) return null;
+    return { max };
+  }
+
+  if (/\d[+-]$/.test(trimmed)) {
+    const min = parseFloat(trimmed);
+    if (isNaN(min)) return null;
+    return { min };
+  }
+
+  if (/^\d/.test(trimmed) && trimmed.includes('-')) {
+    const [minStr, maxStr] = trimmed.split('-');
+    const min = parseFloat(minStr);
+    const max = parseFloat(maxStr);
+    if (isNaN(min) || isNaN(max)) return null;
+    return { min, max };
+  }
+
+  const value = parseFloat(trimmed);
+  if (!isNaN(value)) return { min: value, max: value };
+
+  return null;
+}
+
+/**
+ * Split a trailing speed unit ("km/h", "mph") off speed input.
+ * @param {string} text - Raw user input
+ * @param {string|null} [units] - Unit system used when no unit is given
+ * @returns {{ text: string, units: 'metric'|'imperial' }}
+ */
+export function splitSpeedUnit(text, units = null) {
+  const match = text.match(SPEED_UNIT_PATTERN);
+  if (!match) {
+    return { text, units: resolveUnitSystem(units) };
+  }
+  return {
+    text: text.slice(0, match.index),
+    units: /^(mph|миль\/ч)$/i.test(match[1]) ? 'imperial' : 'metric'
+  };
+}
+
+/**
+ * Format a distance stored in km.
+ * @param {number} distance - Distance in km
+ * @param {string} language
+ * @param {string|null} [units] - Unit system of the readers
+ * @returns {string}
+ */
+export function formatDistance(distance, language = config.i18n.defaultLanguage, units = null) {
+  const system = resolveUnitSystem(units);
+  const unit = tr(language, system === 'imperial' ? 'formatter.units.mi' : 'formatter.units.km');
+  return `${fromMetric(distance, system)} ${unit}`;
+}
+
+/**
+ * Format an elevation gain stored in meters.
+ * @param {number} elevation - Elevation gain in meters
+ * @param {string} language
+ * @param {string|null} [units] - Unit system of the readers
+ * @returns {string}
+ */
+export function formatElevation(elevation, language = config.i18n.defaultLanguage, units = null) {
+  if (resolveUnitSystem(units) === 'imperial') {
+    return `${Math.round(elevation / METERS_PER_FOOT)} ${tr(language, 'formatter.units.ft')}`;
+  }
+  return `${elevation} ${tr(language, 'formatter.units.m')}`;
+}
@@ -89,18 +89,26 @@ export class RideWizard {
       return false;
     }
 
+    // Dates typed into the wizard are read in the ride's timezone
+    const timezone = prefillData?.timezone !== undefined
+      ? prefillData.timezone
+      : await this.rideService.getDefaultRideTimezone(ctx.from.id);
+    const units = await this.rideService.getInputUnits(ctx.from.id);
+
     // Initialize wizard state with prefilled data if provided
     const state = {
       step: 'title',
       data: {
         chatId: ctx.chat.id,
         currentUser: ctx.from.id,
+        timezone,
         // Store message thread ID if present
         messageThreadId: ctx.message?.message_thread_id,
         ...(prefillData || {})  // Merge prefilled data if provided
       },
       isUpdate: prefillData?.isUpdate || false,  // Flag to indicate if this is an update
       originalRideId: prefillData?.originalRideId, // Store original ride ID for updates
+      units, // Unit system of typed and shown distances and speeds
       responseMode,
       errorMessageIds: [], // Track error message IDs
       primaryMessageId: null, // Track the primary wizard message ID
@@ -114,7 +122,7 @@ export class RideWizard {
     const rideObj = this.buildPreviewRideObject(state);
     const hasAnyData = Object.values(rideObj).some(v => v !== null);
     const initialPreviewText = hasAnyData
-      ? this.messageFormatter.formatRidePreview(rideObj, language)
+      ? this.messageFormatter.formatRidePreview(rideObj, language, state.units)
       : this.translate(ctx, 'wizard.preview.placeholder');
     const previewMsg = await ctx.reply(initialPreviewText, { parse_mode: 'HTML' });
     if (previewMsg) {
@@ -237,7 +245,7 @@ export class RideWizard {
           
           if (state.isUpdate) {
             // Update existing ride
-            const updatedRide = await this.storage.updateRide(state.data.originalRideId, rideData);
+            const updatedRide = await this.rideService.updateRide(state.data.originalRideId, rideData);
             await this.updateRideMessage(updatedRide, ctx);
             // Delete preview message
             await this._deletePreviewMessage(ctx, state);
@@ -329,7 +337,7 @@ export class RideWizard {
         state.step = fieldConfig.nextStep;
       } else {
         // Validate input
-        const validationResult = fieldConfig.validator(ctx.message.text);
+        const validationResult = fieldConfig.validator(ctx.message.text, state);
         
         if (!validationResult.valid) {
           shouldProceed = false;
@@ -349,25 +357,84 @@ export class RideWizard {
         }
       }
 
-      // Delete error messages and user inputs in reverse order (newest first)
-      for (const messageId of state.errorMessageIds.reverse()) {
-        try {
-          await ctx.api.deleteMessage(ctx.chat.id, messageId);
-        } catch (error) {
-          console.error('Error deleting message:', error);
-        }
-      }
-
       if (shouldProceed) {
-        // Clear error message IDs when proceeding to next step
-        state.errorMessageIds = [];
-        await this.sendWizardStep(ctx, true);
+        await this.advanceAfterInput(ctx, state);
       }
     } catch (error) {
       console.error('Error in handleWizardInput:', error);
     }
   }
 
+  /**
+   * Handle a document sent during the wizard. Only steps with a document handler
+   * (the route step, for GPX files) accept one.
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleWizardDocument(ctx) {
+    await this.handleWizardAttachment(ctx, 'processDocument', 'wizard.validation.documentNotExpected');
+  }
+
+  /**
+   * Handle a location or venue sent during the wizard. Only steps with a location handler
+   * (the meeting point step) accept one.
+   * @param {import('grammy').Context} ctx - Grammy context
+   */
+  async handleWizardLocation(ctx) {
+    await this.handleWizardAttachment(ctx, 'processLocation', 'wizard.validation.locationNotExpected');
+  }
+
+  /**
+   * Pass a non-text message to the handler of the current step, or explain that the step expects text
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {'processDocument'|'processLocation'} handlerName - Field config handler of the message
+   * @param {string} notExpectedKey - Translation key of the error of steps without that handler
+   */
+  async handleWizardAttachment(ctx, handlerName, notExpectedKey) {
+    const stateKey = this.getWizardStateKey(ctx.from.id, ctx.chat.id);
+    const state = this.wizardStates.get(stateKey);
+    if (!state || ctx.chat.type !== 'private') return;
+
+    try {
+      state.errorMessageIds.push(ctx.message.message_id);
+
+      const fieldConfig = getFieldConfig(state.step, ctx.lang);
+      const result = typeof fieldConfig?.[handlerName] === 'function'
+        ? await fieldConfig[handlerName](ctx.message, state, ctx.api)
+        : { valid: false, error: this.translate(ctx, notExpectedKey) };
+
+      if (!result.valid) {
+        const errorMsg = await ctx.reply(result.error);
+        state.errorMessageIds.push(errorMsg.message_id);
+        return;
+      }
+
+      state.step = fieldConfig.nextStep;
+      await this.advanceAfterInput(ctx, state);
+    } catch (error) {
+      console.error(`Error in wizard ${handlerName}:`, error);
+    }
+  }
+
+  /**
+   * Delete the user's inputs and error messages of an answered step and show the next step
+   * @param {import('grammy').Context} ctx - Grammy context
+   * @param {Object} state - Wizard state
+   */
+  async advanceAfterInput(ctx, state) {
+    // Delete error messages and user inputs in reverse order (newest first)
+    for (const messageId of state.errorMessageIds.reverse()) {
+      try {
+        await ctx.api.deleteMessage(ctx.chat.id, messageId);
+      } catch (error) {
+        console.error('Error deleting message:', error);
+      }
+    }
+
+    // Clear error message IDs when proceeding to next step
+    state.errorMessageIds = [];
+    await this.sendWizardStep(ctx, true);
+  }
+
   /**
    * Clear field value(s) based on configuration
    * @param {Object} state - Wizard state
@@ -383,6 +450,9 @@ export class RideWizard {
       // Single key - always use undefined for consistency
       state.data[fieldConfig.dataKey] = undefined;
     }
+    if (fieldConfig.attachmentDataKey) {
+      state.data[fieldConfig.attachmentDataKey] = undefined;
+    }
   }
 
   /**
@@ -414,13 +484,18 @@ export class RideWizard {
       title:          d.title          ?? null,
       category:       d.category       ?? null,
       date:           d.datetime       ?? null,  // wizard key is 'datetime', formatter uses 'date'
+      timezone:       d.timezone       ?? null,
       organizer:      d.organizer      ?? null,
       meetingPoint:   d.meetingPoint   ?? null,
+      meetingPointLocation: d.meetingPointLocation ?? null,
       routes:         d.routes         ?? null,
+      routeFile:      d.routeFile      ?? null,
       distance:       d.distance       ?? null,
+      elevation:      d.elevation      ?? null,
       duration:       d.duration       ?? null,
       speedMin:       d.speedMin       ?? null,
       speedMax:       d.speedMax       ?? null,
+      maxParticipants: d.maxParticipants ?? null,
       additionalInfo: d.additionalInfo ?? null
     };
   }
@@ -436,7 +511,7 @@ export class RideWizard {
     const rideObj = this.buildPreviewRideObject(state);
     const hasAnyData = Object.values(rideObj).some(v => v !== null);
     const previewText = hasAnyData
-      ? this.messageFormatter.formatRidePreview(rideObj, language)
+      ? this.messageFormatter.formatRidePreview(rideObj, language, state.units)
       : this.translate(ctx, 'wizard.preview.placeholder');
 
     if (!state.previewMessageId) {
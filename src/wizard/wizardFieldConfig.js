@@ -11,7 +11,11 @@ import { DateParser } from '../utils/date-parser.js';
 import { config } from '../config.js';
 import { t } from '../i18n/index.js';
 import { parseSpeedInput, formatSpeed } from '../utils/speed-utils.js';
+import { formatDistance, formatElevation, parseDistanceInput, parseElevationInput } from '../utils/unit-utils.js';
 import { getDerivedRouteLabel, parseRouteEntries } from '../utils/route-links.js';
+import { parseMaxParticipants } from '../utils/participation-utils.js';
+import { formatCoordinates, isGpxDocument } from '../utils/gpx-parser.js';
+import { getMeetingPointFromMessage } from '../utils/meeting-point.js';
 
 /**
  * Wizard field configuration
@@ -109,16 +113,16 @@ export function getWizardFields(language = config.i18n.defaultLanguage) {
       skippable: false,
       nextStep: 'route',
       previousStep: 'organizer',
-      validator: (text) => {
-        const result = parseDateTimeInput(text, { language });
+      validator: (text, state) => {
+        const result = parseDateTimeInput(text, { language, timezone: state?.data?.timezone });
         if (!result.date) {
           return { valid: false, error: result.error };
         }
         return { valid: true, value: result.date };
       },
-      formatter: (date) => {
+      formatter: (date, state) => {
         if (!(date instanceof Date) || isNaN(date)) return '';
-        const formattedDateTime = DateParser.formatDateTime(date, language);
+        const formattedDateTime = DateParser.formatDateTime(date, language, state?.data?.timezone);
         return `${formattedDateTime.date} ${translate(language, 'formatter.atWord')} ${formattedDateTime.time}`;
       }
     },
@@ -143,16 +147,45 @@ export function getWizardFields(language = config.i18n.defaultLanguage) {
         }
         return { valid: true, value: parsedRoutes.routes };
       },
-      formatter: (routes) => {
-        if (!Array.isArray(routes) || routes.length === 0) return '';
-        return routes.map(route => {
+      formatter: (routes, state) => {
+        const lines = (Array.isArray(routes) ? routes : []).map(route => {
           const label = route.label || getDerivedRouteLabel(route.url, language);
           return `${label} | ${route.url}`;
-        }).join('\n');
+        });
+        if (state?.data?.routeFile) {
+          lines.push(`${translate(language, 'formatter.labels.routeFile')} | ${state.data.routeFile.fileName}`);
+        }
+        return lines.join('\n');
+      },
+      hasValue: (state) => Boolean(state.data.routes || state.data.routeFile),
+      // A GPX file sent at this step is kept next to the route links and cleared with them
+      attachmentDataKey: 'routeFile',
+      async processDocument(message, state, api) {
+        const { document } = message;
+        if (!isGpxDocument(document)) {
+          return { valid: false, error: translate(language, 'wizard.validation.routeFileInvalid') };
+        }
+
+        const { routeFile, error } = await RouteParser.processRouteFile(api, document, { language });
+        if (error) {
+          return { valid: false, error };
+        }
+
+        state.data.routeFile = routeFile;
+        state.data.distance = routeFile.distance;
+        if (routeFile.elevationGain !== null) {
+          state.data.elevation = routeFile.elevationGain;
+        }
+        if (!state.data.meetingPoint) {
+          state.data.meetingPoint = formatCoordinates(routeFile.start);
+          state.data.meetingPointLocation = { ...routeFile.start };
+        }
+        return { valid: true };
       },
       async postProcess(text, state) {
         const routes = state.data.routes || parseRouteEntries(text).routes || [];
         let firstDistance;
+        let firstElevation;
         let firstDuration;
 
         for (const route of routes) {
@@ -161,12 +194,14 @@ export function getWizardFields(language = config.i18n.defaultLanguage) {
 
             if (routeInfo) {
               if (firstDistance === undefined && routeInfo.distance) firstDistance = routeInfo.distance;
+              if (firstElevation === undefined && routeInfo.elevation) firstElevation = routeInfo.elevation;
               if (firstDuration === undefined && routeInfo.duration) firstDuration = routeInfo.duration;
             }
           }
         }
 
         if (firstDistance !== undefined) state.data.distance = firstDistance;
+        if (firstElevation !== undefined) state.data.elevation = firstElevation;
         if (firstDuration !== undefined) state.data.duration = firstDuration;
 
         return 'distance';
@@ -181,11 +216,12 @@ export function getWizardFields(language = config.i18n.defaultLanguage) {
       required: false,
       clearable: true,
       skippable: true,
-      nextStep: 'duration',
+      nextStep: 'elevation',
       previousStep: 'route',
-      validator: (text) => {
-        const distance = parseFloat(text);
-        if (isNaN(distance)) {
+      // Distances are typed and shown in the user's unit system and stored in km
+      validator: (text, state) => {
+        const distance = parseDistanceInput(text, state?.units);
+        if (distance === null) {
           return {
             valid: false,
             error: translate(language, 'wizard.validation.distanceInvalid')
@@ -193,7 +229,31 @@ export function getWizardFields(language = config.i18n.defaultLanguage) {
         }
         return { valid: true, value: distance };
       },
-      formatter: (value) => `${value} ${translate(language, 'formatter.units.km')}`
+      formatter: (value, state) => formatDistance(value, language, state?.units)
+    },
+
+    elevation: {
+      step: 'elevation',
+      type: FieldType.NUMBER,
+      dataKey: 'elevation',
+      prompt: translate(language, 'wizard.prompts.elevation'),
+      required: false,
+      clearable: true,
+      skippable: true,
+      nextStep: 'duration',
+      previousStep: 'distance',
+      // Elevation gain is typed and shown in meters or, for imperial units, feet and stored in meters
+      validator: (text, state) => {
+        const elevation = parseElevationInput(text, state?.units);
+        if (elevation === null) {
+          return {
+            valid: false,
+            error: translate(language, 'wizard.validation.elevationInvalid')
+          };
+        }
+        return { valid: true, value: elevation };
+      },
+      formatter: (value, state) => formatElevation(value, language, state?.units)
     },
 
     duration: {
@@ -205,7 +265,7 @@ export function getWizardFields(language = config.i18n.defaultLanguage) {
       clearable: true,
       skippable: true,
       nextStep: 'speed',
-      previousStep: 'distance',
+      previousStep: 'elevation',
       validator: (text) => {
         const result = parseDuration(text, { language });
         if (result.error) {
@@ -229,10 +289,10 @@ export function getWizardFields(language = config.i18n.defaultLanguage) {
       required: false,
       clearable: true,
       skippable: true,
-      nextStep: 'meet',
+      nextStep: 'max',
       previousStep: 'duration',
-      validator: (text) => {
-        const parsed = parseSpeedInput(text);
+      validator: (text, state) => {
+        const parsed = parseSpeedInput(text, state?.units);
         return {
           valid: true,
           value: {
@@ -242,11 +302,30 @@ export function getWizardFields(language = config.i18n.defaultLanguage) {
         };
       },
       formatter: (value, state) => {
-        return formatSpeed(state.data.speedMin, state.data.speedMax, language);
+        return formatSpeed(state.data.speedMin, state.data.speedMax, language, state.units);
       },
       hasValue: (state) => state.data.speedMin || state.data.speedMax
     },
 
+    max: {
+      step: 'max',
+      type: FieldType.NUMBER,
+      dataKey: 'maxParticipants',
+      prompt: translate(language, 'wizard.prompts.max'),
+      required: false,
+      clearable: true,
+      skippable: true,
+      nextStep: 'meet',
+      previousStep: 'speed',
+      validator: (text) => {
+        const result = parseMaxParticipants(text, { language });
+        if (result.error) {
+          return { valid: false, error: result.error };
+        }
+        return { valid: true, value: result.maxParticipants };
+      }
+    },
+
     meet: {
       step: 'meet',
       type: FieldType.TEXT,
@@ -256,8 +335,21 @@ export function getWizardFields(language = config.i18n.defaultLanguage) {
       clearable: true,
       skippable: true,
       nextStep: 'info',
-      previousStep: 'speed',
-      validator: (text) => ({ valid: true, value: text })
+      previousStep: 'max',
+      validator: (text) => ({ valid: true, value: text }),
+      // The map pin of a location or venue sent at this step is cleared with the meeting point
+      attachmentDataKey: 'meetingPointLocation',
+      processLocation(message, state) {
+        const { meetingPoint, meetingPointLocation } = getMeetingPointFromMessage(message);
+        state.data.meetingPoint = meetingPoint;
+        state.data.meetingPointLocation = meetingPointLocation;
+        return { valid: true };
+      },
+      postProcess(text, state) {
+        // A typed meeting point replaces the map pin
+        state.data.meetingPointLocation = undefined;
+        return 'info';
+      }
     },
 
     info: {
@@ -317,12 +409,16 @@ export function buildRideDataFromWizard(wizardData, metadata = {}) {
     date: wizardData.datetime,
     organizer: wizardData.organizer,
     meetingPoint: wizardData.meetingPoint,
+    meetingPointLocation: wizardData.meetingPointLocation ?? null,
     routes: wizardData.routes,
     routeLink: wizardData.routes?.[0]?.url,
+    routeFile: wizardData.routeFile ?? null,
     distance: wizardData.distance,
+    elevation: wizardData.elevation,
     duration: wizardData.duration,
     speedMin: wizardData.speedMin,
     speedMax: wizardData.speedMax,
+    maxParticipants: wizardData.maxParticipants,
     additionalInfo: wizardData.additionalInfo
   };
 
@@ -330,6 +426,10 @@ export function buildRideDataFromWizard(wizardData, metadata = {}) {
     rideData.settings = wizardData.settings;
   }
 
+  if (wizardData.timezone !== undefined) {
+    rideData.timezone = wizardData.timezone;
+  }
+
   if (isUpdate) {
     rideData.updatedBy = currentUser;
   } else {